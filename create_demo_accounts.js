@@ -1,5 +1,6 @@
 // デモアカウント作成スクリプト
-// 使い方: node create_demo_accounts.js
+// 使い方: ADMIN_TOKEN=<管理者のセッショントークン> node create_demo_accounts.js
+// ※ 生徒以外のアカウント作成には管理者権限が必要です
 
 const accounts = [
   {
@@ -35,6 +36,7 @@ const accounts = [
 ];
 
 const API_URL = process.env.API_URL || 'http://localhost:3000';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 
 async function createAccounts() {
   console.log('🚀 デモアカウント作成を開始します...\n');
@@ -44,7 +46,8 @@ async function createAccounts() {
       const response = await fetch(`${API_URL}/api/auth/register`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(ADMIN_TOKEN ? { 'Authorization': `Bearer ${ADMIN_TOKEN}` } : {})
         },
         body: JSON.stringify(account)
       });
@@ -1,5 +1,5 @@
 -- デモアカウント作成用SQL
--- パスワードはすべて "demo2024" (SHA-256ハッシュ化済み)
+-- パスワードはすべて "demo2024" (旧形式のSHA-256ハッシュ。初回ログイン時にPBKDF2へ自動移行)
 -- ハッシュ値: 3fb59388d9fcc5f7b965bc0f1747bea74c0f59102e733e1a7279911899e2879b
 
 -- 1. 教師アカウント（先生用）
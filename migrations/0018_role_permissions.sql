@@ -0,0 +1,152 @@
+-- ロール権限の整備
+-- 1. usersテーブルのrole制約を緩和（coordinator / admin を登録可能にする）
+-- 2. 全APIリソースのデフォルト権限を追加
+
+-- 0. 外部キー制約のチェックをトランザクション終了まで延期
+PRAGMA defer_foreign_keys = true;
+
+-- 1. usersを参照するビューを削除
+DROP VIEW IF EXISTS v_progress_board;
+
+-- 2. 新しいusersテーブルを作成（role制約を削除）
+CREATE TABLE IF NOT EXISTS users_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL,  -- student / teacher / coordinator / admin
+  class_code TEXT NOT NULL,
+  student_number INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  email TEXT,
+  password_hash TEXT,
+  is_active INTEGER DEFAULT 1,
+  last_login_at DATETIME,
+  failed_login_attempts INTEGER DEFAULT 0,
+  locked_until DATETIME
+);
+
+-- 3. データをコピー
+INSERT INTO users_new (
+  id, name, role, class_code, student_number, created_at,
+  email, password_hash, is_active, last_login_at, failed_login_attempts, locked_until
+)
+SELECT
+  id, name, role, class_code, student_number, created_at,
+  email, password_hash, is_active, last_login_at, failed_login_attempts, locked_until
+FROM users;
+
+-- 4. 古いテーブルを削除してリネーム
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+-- 5. インデックスを再作成
+CREATE INDEX IF NOT EXISTS idx_users_class_code ON users(class_code);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_unique ON users(email);
+
+-- 6. 進捗ボード用ビューを再作成（存在するカラムのみ参照）
+CREATE VIEW IF NOT EXISTS v_progress_board AS
+SELECT
+  sp.id,
+  sp.student_id,
+  sp.learning_card_id as card_id,
+  sp.curriculum_id,
+  sp.status,
+  sp.understanding_level,
+  sp.help_type,
+  sp.help_requested_at,
+  sp.help_resolved_at,
+  sp.last_activity_at,
+  sp.created_at,
+  u.name as student_name,
+  u.class_code,
+  lc.card_title,
+  lc.card_number,
+  lc.card_type,
+  lc.course_id,
+  c.course_level,
+  c.course_name,
+  cur.unit_name,
+  cur.subject,
+  cur.grade,
+  -- 停滞時間（分）を計算
+  CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER) as stagnant_minutes,
+  -- ヘルプ待ち時間（分）を計算
+  CASE
+    WHEN sp.help_requested_at IS NOT NULL AND sp.help_resolved_at IS NULL
+    THEN CAST((julianday('now') - julianday(sp.help_requested_at)) * 24 * 60 AS INTEGER)
+    ELSE 0
+  END as help_waiting_minutes,
+  -- 指導介入優先度スコア（高いほど優先）
+  CASE
+    WHEN sp.help_requested_at IS NOT NULL AND sp.help_resolved_at IS NULL
+    THEN 100 + CAST((julianday('now') - julianday(sp.help_requested_at)) * 24 * 60 AS INTEGER)
+    WHEN sp.understanding_level <= 20 AND CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER) > 10
+    THEN 80 + CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER)
+    WHEN CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER) > 30
+    THEN 60 + CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER)
+    WHEN sp.understanding_level <= 40
+    THEN 40 + (50 - sp.understanding_level)
+    ELSE 20
+  END as intervention_priority
+FROM student_progress sp
+JOIN users u ON sp.student_id = u.id
+JOIN learning_cards lc ON sp.learning_card_id = lc.id
+JOIN courses c ON lc.course_id = c.id
+JOIN curriculum cur ON sp.curriculum_id = cur.id
+WHERE sp.status IN ('in_progress', 'help_needed', 'struggling');
+
+-- 7. デフォルト権限を追加
+-- 管理者（admin）: すべての権限
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'card', 'create'),
+  ('admin', 'card', 'read'),
+  ('admin', 'card', 'update'),
+  ('admin', 'card', 'delete'),
+  ('admin', 'progress', 'create'),
+  ('admin', 'progress', 'update'),
+  ('admin', 'evaluation', 'create'),
+  ('admin', 'evaluation', 'read'),
+  ('admin', 'evaluation', 'update'),
+  ('admin', 'ai', 'use'),
+  ('admin', 'analytics', 'create'),
+  ('admin', 'analytics', 'read'),
+  ('admin', 'analytics', 'export'),
+  ('admin', 'coordinator', 'create'),
+  ('admin', 'coordinator', 'read');
+
+-- 教師（teacher）: 学習カード編集、評価、AI・分析機能
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('teacher', 'card', 'create'),
+  ('teacher', 'card', 'read'),
+  ('teacher', 'card', 'update'),
+  ('teacher', 'card', 'delete'),
+  ('teacher', 'progress', 'create'),
+  ('teacher', 'progress', 'update'),
+  ('teacher', 'evaluation', 'create'),
+  ('teacher', 'evaluation', 'read'),
+  ('teacher', 'evaluation', 'update'),
+  ('teacher', 'ai', 'use'),
+  ('teacher', 'analytics', 'create'),
+  ('teacher', 'analytics', 'read'),
+  ('teacher', 'analytics', 'export');
+
+-- 生徒（student）: 自分の進捗・評価・AI学習支援
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('student', 'card', 'read'),
+  ('student', 'progress', 'read'),
+  ('student', 'evaluation', 'create'),
+  ('student', 'evaluation', 'read'),
+  ('student', 'ai', 'use'),
+  ('student', 'analytics', 'create');
+
+-- コーディネーター（coordinator）: 学校横断の閲覧・分析
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('coordinator', 'curriculum', 'read'),
+  ('coordinator', 'card', 'read'),
+  ('coordinator', 'progress', 'read'),
+  ('coordinator', 'reports', 'read'),
+  ('coordinator', 'evaluation', 'read'),
+  ('coordinator', 'analytics', 'read'),
+  ('coordinator', 'analytics', 'export'),
+  ('coordinator', 'coordinator', 'create'),
+  ('coordinator', 'coordinator', 'read');
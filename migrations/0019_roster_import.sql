@@ -0,0 +1,5 @@
+-- 名簿一括取り込みの権限
+-- 教師は自クラスの児童のみ、教師アカウントの取り込みには user:create が必要
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'user', 'import'),
+  ('teacher', 'user', 'import');
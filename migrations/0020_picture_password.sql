@@ -0,0 +1,11 @@
+-- 低学年向けの絵パスワードログイン
+-- クラスコード＋出席番号＋絵の並び（PBKDF2でハッシュ化）でログインする
+ALTER TABLE users ADD COLUMN picture_password_hash TEXT;
+
+-- ログイン時の検索用
+CREATE INDEX IF NOT EXISTS idx_users_class_student_number ON users(class_code, student_number);
+
+-- 絵パスワードの設定・再発行の権限
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'user', 'credential'),
+  ('teacher', 'user', 'credential');
@@ -0,0 +1,10 @@
+-- セッション管理
+-- 期限切れセッションの削除用インデックス
+CREATE INDEX IF NOT EXISTS idx_sessions_refresh_expires_at ON user_sessions(refresh_expires_at);
+
+-- 他ユーザーのセッション管理（強制ログアウト）: 管理者・教師（教師は担当クラスの児童のみ）
+-- 期限切れセッションの一括削除: 管理者のみ
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'session', 'manage'),
+  ('admin', 'session', 'cleanup'),
+  ('teacher', 'session', 'manage');
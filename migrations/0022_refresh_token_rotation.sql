@@ -0,0 +1,13 @@
+-- リフレッシュトークンのローテーション
+-- 使用済みリフレッシュトークン（SHA-256ハッシュ）を記録し、再利用を検知したらセッション系列を無効化する
+CREATE TABLE IF NOT EXISTS consumed_refresh_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_hash TEXT UNIQUE NOT NULL,
+  session_id INTEGER NOT NULL,  -- 系列（ローテーションしても同じセッション行）
+  user_id INTEGER NOT NULL,
+  expires_at DATETIME NOT NULL,  -- 系列のリフレッシュ有効期限（過ぎたら削除）
+  consumed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_consumed_refresh_tokens_expires_at ON consumed_refresh_tokens(expires_at);
@@ -0,0 +1,8 @@
+-- 監査ログの閲覧
+-- 管理者: すべての操作 / 教師: 自クラスのユーザーによる操作
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'audit', 'read'),
+  ('teacher', 'audit', 'read');
+
+-- 絞り込み用インデックス
+CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource, resource_id);
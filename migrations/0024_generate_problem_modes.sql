@@ -0,0 +1,44 @@
+-- 自動問題生成APIの統合
+-- 類似問題・難易度指定・承認キューの3モードを ai_generated_problems に一本化する
+
+-- 1. 生成モードと依頼者・元カードの記録
+ALTER TABLE ai_generated_problems ADD COLUMN generation_mode TEXT DEFAULT 'targeted';  -- similar / targeted / queue
+ALTER TABLE ai_generated_problems ADD COLUMN source_card_id INTEGER REFERENCES learning_cards(id);
+ALTER TABLE ai_generated_problems ADD COLUMN requested_by INTEGER REFERENCES users(id);
+ALTER TABLE ai_generated_problems ADD COLUMN batch_id TEXT;
+
+-- 2. ヒント・解き方（類似問題モードで児童に表示）
+ALTER TABLE ai_generated_problems ADD COLUMN problem_hint TEXT;
+ALTER TABLE ai_generated_problems ADD COLUMN problem_explanation TEXT;
+
+-- 3. 承認状態（pending / approved / rejected）
+ALTER TABLE ai_generated_problems ADD COLUMN review_status TEXT DEFAULT 'pending';
+UPDATE ai_generated_problems SET review_status = 'approved' WHERE is_approved = 1;
+
+-- 4. 旧 generated_problems の履歴を移行
+INSERT INTO ai_generated_problems (
+  curriculum_id, course_id, problem_type, problem_title, problem_content,
+  problem_solution, difficulty_level, generation_prompt, is_approved,
+  created_at, generation_mode, requested_by, problem_explanation, review_status
+)
+SELECT
+  curriculum_id,
+  course_id,
+  'practice',
+  substr(problem_description, 1, 100),
+  problem_content,
+  answer,
+  CASE difficulty_level WHEN 'じっくり' THEN 1 WHEN 'ぐんぐん' THEN 3 ELSE 2 END,
+  generation_params,
+  is_approved,
+  created_at,
+  'targeted',
+  generated_by,
+  learning_meaning,
+  CASE WHEN is_approved = 1 THEN 'approved' ELSE 'pending' END
+FROM generated_problems;
+
+-- 5. インデックス
+CREATE INDEX IF NOT EXISTS idx_ai_generated_review_status ON ai_generated_problems(review_status);
+CREATE INDEX IF NOT EXISTS idx_ai_generated_source_card ON ai_generated_problems(source_card_id);
+CREATE INDEX IF NOT EXISTS idx_ai_generated_batch ON ai_generated_problems(batch_id);
@@ -0,0 +1,55 @@
+-- バッジ付与ルールと児童向け通知
+-- 進捗・行動ログ・ヘルプ解決のたびにルールを評価し、条件を満たしたバッジを付与する
+
+-- 1. バッジ付与ルール（curriculum_id が NULL のものは全単元共通の既定ルール）
+CREATE TABLE IF NOT EXISTS badge_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  curriculum_id INTEGER,
+  badge_type TEXT NOT NULL,   -- completion / help_giver / perseverance / creativity
+  badge_name TEXT NOT NULL,
+  badge_description TEXT,
+  rule_type TEXT NOT NULL,    -- cards_completed / completion_rate / completed_after_help / help_given / optional_completed / action_count
+  threshold INTEGER NOT NULL DEFAULT 1,
+  action_type TEXT,           -- rule_type = action_count のときに数える learning_behavior_logs.action_type
+  is_active INTEGER DEFAULT 1,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (curriculum_id) REFERENCES curriculum(id),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_badge_rules_curriculum ON badge_rules(curriculum_id);
+
+-- 2. 既定ルール
+INSERT INTO badge_rules (badge_type, badge_name, badge_description, rule_type, threshold) VALUES
+  ('completion', 'はじめの一歩', 'はじめての学習カードをクリアしました', 'cards_completed', 1),
+  ('completion', 'ゴールまでたどりついた', 'えらんだコースの学習カードをすべてクリアしました', 'completion_rate', 100),
+  ('perseverance', 'あきらめない心', 'ヘルプを使いながら3枚の学習カードをやりとげました', 'completed_after_help', 3),
+  ('help_giver', 'おたすけマスター', '友だちの「わからない」を3回解決しました', 'help_given', 3),
+  ('creativity', 'ひらめきチャレンジャー', '選択問題に2つちょうせんしてクリアしました', 'optional_completed', 2);
+
+-- 3. 付与済みバッジとルールの対応（同じルールで二重に付与しない）
+ALTER TABLE student_badges ADD COLUMN rule_id INTEGER REFERENCES badge_rules(id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_badges_student_rule ON student_badges(student_id, curriculum_id, rule_id);
+
+-- 4. 児童向け通知
+CREATE TABLE IF NOT EXISTS student_notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  notification_type TEXT NOT NULL,  -- badge
+  title TEXT NOT NULL,
+  message TEXT,
+  related_id INTEGER,               -- badge: student_badges.id
+  is_read INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  read_at DATETIME,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_notifications_user ON student_notifications(user_id, is_read);
+
+-- 5. ルール管理の権限
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'badge', 'manage'),
+  ('teacher', 'badge', 'manage');
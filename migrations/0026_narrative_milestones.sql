@@ -0,0 +1,10 @@
+-- 学習ナラティブの自動生成
+-- コース修了・チェックテスト合格・単元の振り返りのたびに1章ずつ追加する
+
+ALTER TABLE learning_narratives ADD COLUMN milestone_type TEXT;   -- course_completed / check_test_passed / unit_reflection
+ALTER TABLE learning_narratives ADD COLUMN milestone_key TEXT;    -- 同じマイルストーンで二重に章を作らないためのキー（例: course:12）
+ALTER TABLE learning_narratives ADD COLUMN source_summary TEXT;   -- 生成に使った学習データの要約（JSON）
+ALTER TABLE learning_narratives ADD COLUMN generated_by TEXT DEFAULT 'manual';  -- ai / template / manual
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_narratives_milestone
+  ON learning_narratives(student_id, curriculum_id, milestone_key);
@@ -0,0 +1,20 @@
+-- チェックテストの自動採点
+-- 解答ごとの採点結果を記録する（問題ごとの集計は check_test_progress の attempts / status）
+
+CREATE TABLE IF NOT EXISTS check_test_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  student_id INTEGER NOT NULL,
+  curriculum_id INTEGER NOT NULL,
+  problem_number INTEGER NOT NULL,
+  submitted_answer TEXT NOT NULL,
+  answer_type TEXT NOT NULL,   -- numeric / choice / text
+  is_correct INTEGER NOT NULL,
+  review_card_id INTEGER,      -- 不正解のときに戻るよう案内した学習カード
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id),
+  FOREIGN KEY (curriculum_id) REFERENCES curriculum(id),
+  FOREIGN KEY (review_card_id) REFERENCES learning_cards(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_check_test_attempts_student
+  ON check_test_attempts(student_id, curriculum_id, problem_number);
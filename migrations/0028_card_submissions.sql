@@ -0,0 +1,39 @@
+-- 学習カードの解答提出
+-- 児童の答え（文章・写真）を提出ごとに記録し、先生が進捗ボードから確認する
+-- 公式の解答は、児童が一度提出するか先生が公開するまで児童には返さない
+
+-- 1. 解答の提出（1回の提出ごとに1行）
+CREATE TABLE IF NOT EXISTS card_submissions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  student_id INTEGER NOT NULL,
+  curriculum_id INTEGER,
+  learning_card_id INTEGER NOT NULL,
+  attempt_number INTEGER NOT NULL,
+  answer_text TEXT,
+  photo_data TEXT,                        -- 写真（縮小済みの data URL）
+  auto_result TEXT DEFAULT 'unknown',     -- correct / incorrect / unknown（公式の解答がない・写真のみ）
+  review_status TEXT DEFAULT 'pending',   -- pending / correct / needs_revision
+  teacher_comment TEXT,
+  reviewed_by INTEGER,
+  reviewed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id),
+  FOREIGN KEY (curriculum_id) REFERENCES curriculum(id),
+  FOREIGN KEY (learning_card_id) REFERENCES learning_cards(id),
+  FOREIGN KEY (reviewed_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_submissions_student_card ON card_submissions(student_id, learning_card_id);
+CREATE INDEX IF NOT EXISTS idx_card_submissions_review ON card_submissions(curriculum_id, review_status);
+
+-- 2. 先生による解答の公開（クラス単位）
+CREATE TABLE IF NOT EXISTS card_answer_releases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  learning_card_id INTEGER NOT NULL,
+  class_code TEXT NOT NULL,
+  released_by INTEGER,
+  released_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (learning_card_id) REFERENCES learning_cards(id),
+  FOREIGN KEY (released_by) REFERENCES users(id),
+  UNIQUE(learning_card_id, class_code)
+);
@@ -0,0 +1,169 @@
+-- 学習進捗を「児童×学習カードごとに1行」の現在状態にする
+-- 状態遷移: not_started → in_progress → help_needed → completed（遷移の検証はアプリ側）
+-- 遷移の履歴は student_progress_events に残し、レポートで再生できるようにする
+
+-- 0. 外部キー制約のチェックをトランザクション終了まで延期
+PRAGMA defer_foreign_keys = true;
+
+-- 1. student_progressを参照するビューを削除
+DROP VIEW IF EXISTS v_progress_board;
+
+-- 2. 状態遷移の履歴
+CREATE TABLE IF NOT EXISTS student_progress_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  progress_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  curriculum_id INTEGER NOT NULL,
+  learning_card_id INTEGER,
+  event_type TEXT NOT NULL,     -- started / help_requested / help_resolved / completed / updated / imported
+  from_status TEXT,             -- 行を作成したとき・移行前の履歴は NULL
+  to_status TEXT NOT NULL,
+  understanding_level INTEGER,
+  help_type TEXT,
+  actor_id INTEGER,             -- 操作したユーザー（教師の代理入力を含む）
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id),
+  FOREIGN KEY (curriculum_id) REFERENCES curriculum(id),
+  FOREIGN KEY (learning_card_id) REFERENCES learning_cards(id),
+  FOREIGN KEY (actor_id) REFERENCES users(id)
+);
+
+-- 3. 新しいテーブル（help_needed を許可し、児童×カードで一意にする）
+CREATE TABLE IF NOT EXISTS student_progress_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  student_id INTEGER NOT NULL,
+  curriculum_id INTEGER NOT NULL,
+  course_id INTEGER,
+  learning_card_id INTEGER,
+  status TEXT NOT NULL CHECK(status IN ('not_started', 'in_progress', 'help_needed', 'completed')),
+  understanding_level INTEGER CHECK(understanding_level BETWEEN 1 AND 5),
+  help_requested_from TEXT CHECK(help_requested_from IN ('ai', 'teacher', 'friend', 'hint')),
+  help_count INTEGER DEFAULT 0,
+  started_at DATETIME,
+  completed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  help_requested_at DATETIME,
+  help_resolved_at DATETIME,
+  last_activity_at DATETIME,
+  help_type TEXT,  -- ai, teacher, friend, hint
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id),
+  FOREIGN KEY (curriculum_id) REFERENCES curriculum(id),
+  FOREIGN KEY (course_id) REFERENCES courses(id),
+  FOREIGN KEY (learning_card_id) REFERENCES learning_cards(id),
+  UNIQUE(student_id, learning_card_id)
+);
+
+-- 4. 既存の行を1枚につき1行にまとめる（最新の行を現在状態とし、開始・完了・作成日時は最初のものを残す）
+INSERT INTO student_progress_new (
+  id, student_id, curriculum_id, course_id, learning_card_id,
+  status, understanding_level, help_requested_from, help_count,
+  started_at, completed_at, created_at,
+  help_requested_at, help_resolved_at, last_activity_at, help_type, updated_at
+)
+SELECT
+  sp.id, sp.student_id, sp.curriculum_id, sp.course_id, sp.learning_card_id,
+  sp.status, sp.understanding_level, sp.help_requested_from, agg.help_count,
+  agg.started_at, CASE WHEN sp.status = 'completed' THEN agg.completed_at END, agg.created_at,
+  sp.help_requested_at, sp.help_resolved_at,
+  COALESCE(sp.last_activity_at, sp.created_at), sp.help_type,
+  COALESCE(sp.last_activity_at, sp.created_at)
+FROM student_progress sp
+JOIN (
+  SELECT
+    MAX(id) as latest_id,
+    MAX(help_count) as help_count,
+    MIN(COALESCE(started_at, created_at)) as started_at,
+    MIN(CASE WHEN status = 'completed' THEN COALESCE(completed_at, created_at) END) as completed_at,
+    MIN(created_at) as created_at
+  FROM student_progress
+  GROUP BY student_id, learning_card_id
+) agg ON sp.id = agg.latest_id;
+
+-- 5. これまでの行は履歴として残す
+INSERT INTO student_progress_events (
+  progress_id, student_id, curriculum_id, learning_card_id,
+  event_type, from_status, to_status, understanding_level, help_type, created_at
+)
+SELECT
+  latest.latest_id, sp.student_id, sp.curriculum_id, sp.learning_card_id,
+  'imported', NULL, sp.status, sp.understanding_level,
+  COALESCE(sp.help_type, sp.help_requested_from), sp.created_at
+FROM student_progress sp
+JOIN (
+  SELECT student_id, learning_card_id, MAX(id) as latest_id
+  FROM student_progress
+  GROUP BY student_id, learning_card_id
+) latest ON sp.student_id = latest.student_id
+  AND sp.learning_card_id IS latest.learning_card_id;
+
+-- 6. 古いテーブルを削除して置き換え
+DROP TABLE student_progress;
+ALTER TABLE student_progress_new RENAME TO student_progress;
+
+-- 7. インデックスを再作成
+CREATE INDEX IF NOT EXISTS idx_student_progress_student ON student_progress(student_id);
+CREATE INDEX IF NOT EXISTS idx_student_progress_curriculum ON student_progress(curriculum_id);
+CREATE INDEX IF NOT EXISTS idx_student_progress_help_requested
+  ON student_progress(help_requested_at);
+CREATE INDEX IF NOT EXISTS idx_student_progress_last_activity
+  ON student_progress(last_activity_at);
+CREATE INDEX IF NOT EXISTS idx_student_progress_learning_card_id
+  ON student_progress(learning_card_id);
+
+CREATE INDEX IF NOT EXISTS idx_student_progress_events_progress
+  ON student_progress_events(progress_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_student_progress_events_student
+  ON student_progress_events(student_id, curriculum_id, created_at);
+
+-- 8. 進捗ボード用ビューを再作成
+CREATE VIEW IF NOT EXISTS v_progress_board AS
+SELECT
+  sp.id,
+  sp.student_id,
+  sp.learning_card_id as card_id,
+  sp.curriculum_id,
+  sp.status,
+  sp.understanding_level,
+  sp.help_type,
+  sp.help_requested_at,
+  sp.help_resolved_at,
+  sp.last_activity_at,
+  sp.created_at,
+  u.name as student_name,
+  u.class_code,
+  lc.card_title,
+  lc.card_number,
+  lc.card_type,
+  lc.course_id,
+  c.course_level,
+  c.course_name,
+  cur.unit_name,
+  cur.subject,
+  cur.grade,
+  -- 停滞時間（分）を計算
+  CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER) as stagnant_minutes,
+  -- ヘルプ待ち時間（分）を計算
+  CASE
+    WHEN sp.help_requested_at IS NOT NULL AND sp.help_resolved_at IS NULL
+    THEN CAST((julianday('now') - julianday(sp.help_requested_at)) * 24 * 60 AS INTEGER)
+    ELSE 0
+  END as help_waiting_minutes,
+  -- 指導介入優先度スコア（高いほど優先）
+  CASE
+    WHEN sp.help_requested_at IS NOT NULL AND sp.help_resolved_at IS NULL
+    THEN 100 + CAST((julianday('now') - julianday(sp.help_requested_at)) * 24 * 60 AS INTEGER)
+    WHEN sp.understanding_level <= 20 AND CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER) > 10
+    THEN 80 + CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER)
+    WHEN CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER) > 30
+    THEN 60 + CAST((julianday('now') - julianday(sp.last_activity_at)) * 24 * 60 AS INTEGER)
+    WHEN sp.understanding_level <= 40
+    THEN 40 + (50 - sp.understanding_level)
+    ELSE 20
+  END as intervention_priority
+FROM student_progress sp
+JOIN users u ON sp.student_id = u.id
+JOIN learning_cards lc ON sp.learning_card_id = lc.id
+JOIN courses c ON lc.course_id = c.id
+JOIN curriculum cur ON sp.curriculum_id = cur.id
+WHERE sp.status IN ('in_progress', 'help_needed', 'struggling');
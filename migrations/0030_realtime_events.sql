@@ -0,0 +1,15 @@
+-- リアルタイム配信イベント
+-- APIが記録した進捗・ヘルプの変化をクラス単位で残し、WebSocket に接続できないクライアントはポーリングで受け取る
+-- WebSocket で配信するメッセージと同じ id を持つ（1日より古いものは配信時に削除）
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  class_code TEXT NOT NULL,
+  event_type TEXT NOT NULL,   -- progress_updated / help_requested / help_resolved / activity_updated
+  payload TEXT NOT NULL,      -- メッセージ本体（JSON、type・id・timestamp を除く）
+  target_role TEXT,           -- teacher: 児童以外にだけ届ける / NULL: クラス全員
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_events_class ON realtime_events(class_code, id);
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created ON realtime_events(created_at);
@@ -0,0 +1,28 @@
+-- 先生から児童への連絡（クラス全体へのお知らせ・児童ひとりへのメッセージ）
+-- 送った連絡は児童ごとに student_notifications（notification_type = 'class_message'）として残し、
+-- 児童が「わかった」を押したら既読（is_read = 1）にする。あとから学習を始めた児童も未読の連絡を受け取れる
+
+-- 1. 連絡
+CREATE TABLE IF NOT EXISTS class_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  class_code TEXT NOT NULL,
+  sender_id INTEGER NOT NULL,
+  recipient_id INTEGER,             -- NULL: クラス全体へのお知らせ / 児童の id: その児童へのメッセージ
+  body TEXT NOT NULL,
+  learning_card_id INTEGER,         -- 関係する学習カード（ヘルプ要請への返信など）
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (sender_id) REFERENCES users(id),
+  FOREIGN KEY (recipient_id) REFERENCES users(id),
+  FOREIGN KEY (learning_card_id) REFERENCES learning_cards(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_messages_class ON class_messages(class_code, created_at);
+CREATE INDEX IF NOT EXISTS idx_student_notifications_related ON student_notifications(notification_type, related_id);
+
+-- 2. リアルタイム配信の宛先（ひとりの児童だけに届けるメッセージ用）
+ALTER TABLE realtime_events ADD COLUMN target_user_id INTEGER;
+
+-- 3. 連絡の送信権限
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'class_message', 'send'),
+  ('teacher', 'class_message', 'send');
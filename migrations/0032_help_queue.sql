@@ -0,0 +1,55 @@
+-- ヘルプ待ちの列
+-- 児童が「ヘルプ要請中」になるたびに1件追加し、ヘルプ要請中でなくなったら解決にする（学習進捗の状態遷移と同時に更新）
+--   waiting → claimed（先生が対応中）/ peer_assigned（できた友だちに任せた）→ resolved
+-- 待ち時間・解決までの時間・解決した人（先生 / 友だち / 自分）は週次レポートで集計する
+
+CREATE TABLE IF NOT EXISTS help_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  progress_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  class_code TEXT NOT NULL,
+  curriculum_id INTEGER,
+  learning_card_id INTEGER NOT NULL,
+  help_type TEXT,
+  status TEXT NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'claimed', 'peer_assigned', 'resolved')),
+  claimed_by INTEGER,            -- 対応中の先生
+  claimed_at DATETIME,
+  helper_student_id INTEGER,     -- 任せた友だち（同じカードを終えた児童）
+  assigned_at DATETIME,
+  resolution TEXT CHECK (resolution IN ('teacher', 'peer', 'self')),
+  resolved_by INTEGER,
+  resolved_at DATETIME,
+  requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (progress_id) REFERENCES student_progress(id),
+  FOREIGN KEY (student_id) REFERENCES users(id),
+  FOREIGN KEY (learning_card_id) REFERENCES learning_cards(id),
+  FOREIGN KEY (claimed_by) REFERENCES users(id),
+  FOREIGN KEY (helper_student_id) REFERENCES users(id)
+);
+
+-- 児童×カードで同時に待っているのは1件だけ
+CREATE UNIQUE INDEX IF NOT EXISTS idx_help_requests_open
+  ON help_requests(student_id, learning_card_id)
+  WHERE status IN ('waiting', 'claimed', 'peer_assigned');
+CREATE INDEX IF NOT EXISTS idx_help_requests_class ON help_requests(class_code, status, requested_at);
+CREATE INDEX IF NOT EXISTS idx_help_requests_helper ON help_requests(helper_student_id, status);
+
+-- いまヘルプ要請中の進捗を列に入れる
+INSERT OR IGNORE INTO help_requests (
+  progress_id, student_id, class_code, curriculum_id, learning_card_id, help_type, requested_at, updated_at
+)
+SELECT
+  sp.id, sp.student_id, COALESCE(u.class_code, ''), sp.curriculum_id, sp.learning_card_id,
+  COALESCE(sp.help_type, sp.help_requested_from),
+  COALESCE(sp.help_requested_at, sp.updated_at, CURRENT_TIMESTAMP),
+  CURRENT_TIMESTAMP
+FROM student_progress sp
+JOIN users u ON sp.student_id = u.id
+WHERE sp.status = 'help_needed';
+
+-- 列の操作（対応する・友だちに任せる）の権限
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('admin', 'help_queue', 'manage'),
+  ('teacher', 'help_queue', 'manage');
@@ -0,0 +1,32 @@
+-- 保護者ポータル
+-- 保護者（role = 'guardian'）は紐づけられた児童の学習の様子を閲覧だけできる
+-- 何を見せるかは家庭から同意を得た範囲で先生が設定する（同意を記録した先生と日時も残す）
+
+-- 1. 保護者と児童の紐づけ（1人の保護者に複数の児童、1人の児童に複数の保護者）
+CREATE TABLE IF NOT EXISTS guardian_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guardian_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  relationship TEXT,                       -- 母・父・祖父母など（表示用）
+  share_progress INTEGER NOT NULL DEFAULT 1,     -- コースの進み具合・週ごとのまとめ
+  share_badges INTEGER NOT NULL DEFAULT 1,       -- もらったバッジ
+  share_reflections INTEGER NOT NULL DEFAULT 0,  -- 単元の振り返り（児童が書いた文章）
+  share_comments INTEGER NOT NULL DEFAULT 0,     -- 先生の所見（non_cognitive_evaluations のコメント）
+  consented_by INTEGER,                    -- 同意の内容を記録した先生
+  consented_at DATETIME,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (guardian_id, student_id),
+  FOREIGN KEY (guardian_id) REFERENCES users(id),
+  FOREIGN KEY (student_id) REFERENCES users(id),
+  FOREIGN KEY (consented_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_guardian_links_student ON guardian_links(student_id, is_active);
+
+-- 2. 権限（保護者は閲覧のみ。紐づけと同意の設定は先生・管理者）
+INSERT OR IGNORE INTO role_permissions (role, resource, action) VALUES
+  ('guardian', 'guardian', 'read'),
+  ('admin', 'guardian', 'manage'),
+  ('teacher', 'guardian', 'manage');
@@ -0,0 +1,52 @@
+-- 単元カタログ（検索・絞り込み・ページ送り）
+-- 学年・教科・教科書会社・単元名・作成した先生・タグで絞り込み、学習カードの題名と問題文を全文検索する
+-- 全文検索は FTS5 の trigram（3文字ずつ区切る）を使う。日本語は単語の区切りがないため、部分一致で引けるようにする
+-- （2文字以下の語は trigram で引けないので、アプリ側で LIKE に切り替える）
+
+-- 1. 単元を作成した先生（既存の単元は不明なので NULL）
+ALTER TABLE curriculum ADD COLUMN created_by INTEGER REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_curriculum_catalog ON curriculum(grade, subject, textbook_company, unit_order);
+CREATE INDEX IF NOT EXISTS idx_curriculum_created_by ON curriculum(created_by);
+
+-- 2. 単元のタグ（「教科書準拠」「復習向け」など先生が自由に付ける）
+CREATE TABLE IF NOT EXISTS curriculum_tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  curriculum_id INTEGER NOT NULL,
+  tag TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (curriculum_id, tag),
+  FOREIGN KEY (curriculum_id) REFERENCES curriculum(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_curriculum_tags_tag ON curriculum_tags(tag);
+
+-- 3. 学習カードの全文検索（learning_cards を中身とする外部コンテンツ表。トリガーで同期する）
+CREATE VIRTUAL TABLE IF NOT EXISTS learning_cards_fts USING fts5(
+  card_title,
+  problem_description,
+  example_problem,
+  content = 'learning_cards',
+  content_rowid = 'id',
+  tokenize = 'trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS learning_cards_fts_insert AFTER INSERT ON learning_cards BEGIN
+  INSERT INTO learning_cards_fts (rowid, card_title, problem_description, example_problem)
+  VALUES (new.id, new.card_title, new.problem_description, new.example_problem);
+END;
+
+CREATE TRIGGER IF NOT EXISTS learning_cards_fts_delete AFTER DELETE ON learning_cards BEGIN
+  INSERT INTO learning_cards_fts (learning_cards_fts, rowid, card_title, problem_description, example_problem)
+  VALUES ('delete', old.id, old.card_title, old.problem_description, old.example_problem);
+END;
+
+CREATE TRIGGER IF NOT EXISTS learning_cards_fts_update AFTER UPDATE OF card_title, problem_description, example_problem ON learning_cards BEGIN
+  INSERT INTO learning_cards_fts (learning_cards_fts, rowid, card_title, problem_description, example_problem)
+  VALUES ('delete', old.id, old.card_title, old.problem_description, old.example_problem);
+  INSERT INTO learning_cards_fts (rowid, card_title, problem_description, example_problem)
+  VALUES (new.id, new.card_title, new.problem_description, new.example_problem);
+END;
+
+-- 既存の学習カードを索引に入れる
+INSERT INTO learning_cards_fts (learning_cards_fts) VALUES ('rebuild');
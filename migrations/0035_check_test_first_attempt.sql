@@ -0,0 +1,16 @@
+-- チェックテストの1回目の正誤
+-- 一度正解した問題は正解のまま残るため、何度も出し直せば選択式は当てられる
+-- 1回目で正解したかを別に残し、先生の画面とレポートで見分けられるようにする
+
+ALTER TABLE check_test_progress ADD COLUMN first_attempt_correct INTEGER;
+
+-- 既存の行は解答の記録（check_test_attempts）の最初の1件から埋める
+UPDATE check_test_progress
+SET first_attempt_correct = (
+  SELECT a.is_correct FROM check_test_attempts a
+  WHERE a.student_id = check_test_progress.student_id
+    AND a.curriculum_id = check_test_progress.curriculum_id
+    AND a.problem_number = check_test_progress.problem_number
+  ORDER BY a.id
+  LIMIT 1
+);
@@ -91,8 +91,8 @@ document.addEventListener('DOMContentLoaded', () => {
     state.student.name = state.auth.user.name
     state.student.classCode = state.auth.user.class_code
     
-    // WebSocketに接続
-    websocket.connect()
+    // リアルタイム更新を受信
+    realtime.connect()
     
     // セッションの有効性を確認
     verifySession()
@@ -109,6 +109,11 @@ document.addEventListener('DOMContentLoaded', () => {
 // トップページ（学年・教科・単元選択）
 // ============================================
 async function renderTopPage() {
+  // 保護者は保護者ページだけを使う
+  if (state.auth.user?.role === 'guardian') {
+    return renderGuardianPortal()
+  }
+  
   state.currentView = 'top'
   
   const app = document.getElementById('app')
@@ -135,12 +140,20 @@ async function renderTopPage() {
               ${state.auth.user ? `<p class="text-xs text-gray-400">${state.auth.user.role === 'teacher' ? '教師' : state.auth.user.role === 'admin' ? '管理者' : '児童・生徒'} | クラス: ${state.student.classCode}</p>` : ''}
             </div>
           </div>
-          <button
-            onclick="logout()"
-            class="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors"
-          >
-            <i class="fas fa-sign-out-alt mr-2"></i>ログアウト
-          </button>
+          <div class="flex gap-2">
+            <button
+              onclick="showSessionManager()"
+              class="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition-colors"
+            >
+              <i class="fas fa-laptop mr-2"></i>ログイン中の端末
+            </button>
+            <button
+              onclick="logout()"
+              class="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors"
+            >
+              <i class="fas fa-sign-out-alt mr-2"></i>ログアウト
+            </button>
+          </div>
         </div>
       </div>
 
@@ -169,6 +182,14 @@ async function renderTopPage() {
           AIで学習カードを作成する
           <i class="fas fa-arrow-right ml-3 group-hover:translate-x-2 transition-transform"></i>
         </button>
+        ${state.auth.user?.role === 'student' ? '' : `
+          <button 
+            onclick="showCurriculumPackageImport()"
+            class="w-full mt-3 bg-white bg-opacity-20 hover:bg-opacity-30 text-white py-3 px-6 rounded-lg font-bold transition">
+            <i class="fas fa-file-import mr-2"></i>
+            書き出した単元パッケージを取り込む
+          </button>
+        `}
 
         <!-- 機能紹介 -->
         <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-8">
@@ -190,6 +211,41 @@ async function renderTopPage() {
         </div>
       </div>
 
+      <!-- 単元カタログ -->
+      <div class="bg-white rounded-lg shadow-lg p-6 mb-8">
+        <h2 class="text-2xl font-bold text-gray-800 mb-4">
+          <i class="fas fa-book-open mr-2 text-indigo-600"></i>
+          単元をさがす
+        </h2>
+        <div class="grid grid-cols-2 md:grid-cols-6 gap-2 mb-4">
+          <div class="col-span-2 flex gap-2">
+            <input type="search" id="catalogKeyword" placeholder="単元名・カードの題名や問題文など"
+                   onkeydown="if (event.key === 'Enter') searchCurriculumCatalog()"
+                   class="flex-1 min-w-0 p-2 border-2 border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none">
+            <button onclick="searchCurriculumCatalog()" class="bg-indigo-600 hover:bg-indigo-700 text-white px-4 rounded-lg transition" title="検索">
+              <i class="fas fa-search"></i>
+            </button>
+          </div>
+          <select id="catalogGrade" onchange="searchCurriculumCatalog()" class="p-2 border-2 border-gray-300 rounded-lg">
+            <option value="">学年（すべて）</option>
+          </select>
+          <select id="catalogSubject" onchange="searchCurriculumCatalog()" class="p-2 border-2 border-gray-300 rounded-lg">
+            <option value="">教科（すべて）</option>
+          </select>
+          <select id="catalogTextbook" onchange="searchCurriculumCatalog()" class="p-2 border-2 border-gray-300 rounded-lg">
+            <option value="">教科書（すべて）</option>
+          </select>
+          <select id="catalogAuthor" onchange="searchCurriculumCatalog()" class="p-2 border-2 border-gray-300 rounded-lg">
+            <option value="">作成した先生（すべて）</option>
+          </select>
+        </div>
+        <div id="catalogTags" class="flex flex-wrap gap-2 mb-4"></div>
+        <div id="catalogResults" class="space-y-2">
+          <p class="text-gray-400 text-center py-4"><i class="fas fa-spinner fa-spin mr-2"></i>読み込み中...</p>
+        </div>
+        <div id="catalogPagination" class="flex items-center justify-center gap-2 mt-4"></div>
+      </div>
+
       <!-- 使い方ガイド -->
       <div class="bg-white rounded-lg shadow-lg p-8">
         <h2 class="text-2xl font-bold text-gray-800 mb-6 text-center">
@@ -276,133 +332,203 @@ async function renderTopPage() {
 
     </div>
   `
+  
+  loadTopPageData()
+}
+
+// ============================================
+// 単元カタログ（絞り込み・キーワード検索・ページ送り）
+// ============================================
+
+let catalogTag = ''
+let catalogPage = 1
+
+// 学年の表示（AI単元生成の単元は「小学3年」のような文字列）
+function formatCatalogGrade(grade) {
+  return /^\d+$/.test(String(grade)) ? `小学${grade}年` : String(grade)
 }
 
+// 絞り込みの選択肢を読み込んで、最初のページを表示
 async function loadTopPageData() {
+  catalogTag = ''
+  
   try {
-    // 選択肢データの取得
     const response = await axios.get('/api/curriculum/options')
-    const { grades, subjects, textbooks } = response.data
-
-    // 学年選択肢を設定
-    const gradeSelect = document.getElementById('gradeSelect')
-    grades.forEach(item => {
-      const option = document.createElement('option')
-      option.value = item.grade
-      option.textContent = `小学${item.grade}年`
-      gradeSelect.appendChild(option)
-    })
-
-    // 教科選択肢を設定
-    const subjectSelect = document.getElementById('subjectSelect')
-    subjects.forEach(item => {
-      const option = document.createElement('option')
-      option.value = item.subject
-      option.textContent = item.subject
-      subjectSelect.appendChild(option)
-    })
-
-    // 教科書会社選択肢を設定
-    const textbookSelect = document.getElementById('textbookSelect')
-    textbooks.forEach(item => {
-      const option = document.createElement('option')
-      option.value = item.textbook_company
-      option.textContent = item.textbook_company
-      textbookSelect.appendChild(option)
-    })
+    const { grades, subjects, textbooks, authors = [], tags = [] } = response.data
+    
+    const fill = (id, items, value, label) => {
+      const select = document.getElementById(id)
+      items.forEach(item => {
+        const option = document.createElement('option')
+        option.value = item[value]
+        option.textContent = label(item)
+        select.appendChild(option)
+      })
+    }
+    fill('catalogGrade', grades, 'grade', item => formatCatalogGrade(item.grade))
+    fill('catalogSubject', subjects, 'subject', item => item.subject)
+    fill('catalogTextbook', textbooks, 'textbook_company', item => item.textbook_company)
+    fill('catalogAuthor', authors, 'id', item => `${item.name}（${item.unit_count}）`)
+    
+    document.getElementById('catalogTags').innerHTML = tags.map(item => `
+      <button onclick="selectCatalogTag(${escapeHtml(JSON.stringify(item.tag))})" data-tag="${escapeHtml(item.tag)}"
+              class="catalog-tag px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-700 hover:bg-indigo-100 transition">
+        #${escapeHtml(item.tag)} <span class="text-xs text-gray-400">${item.unit_count}</span>
+      </button>
+    `).join('')
+  } catch (error) {
+    console.error('データ読み込みエラー:', error)
+  }
+  
+  await searchCurriculumCatalog()
+}
 
-    // 選択が変更されたら単元リストを更新
-    gradeSelect.addEventListener('change', updateUnitList)
-    subjectSelect.addEventListener('change', updateUnitList)
-    textbookSelect.addEventListener('change', updateUnitList)
+// タグで絞り込む（同じタグをもう一度押すと解除）
+function selectCatalogTag(tag) {
+  catalogTag = catalogTag === tag ? '' : tag
+  document.querySelectorAll('.catalog-tag').forEach(button => {
+    const active = button.dataset.tag === catalogTag
+    button.classList.toggle('bg-indigo-600', active)
+    button.classList.toggle('text-white', active)
+    button.classList.toggle('bg-gray-100', !active)
+    button.classList.toggle('text-gray-700', !active)
+  })
+  searchCurriculumCatalog()
+}
 
-    // 開始ボタン
-    document.getElementById('startButton').addEventListener('click', () => {
-      const unitSelect = document.getElementById('unitSelect')
-      const curriculumId = unitSelect.value
-      if (curriculumId) {
-        loadGuidePage(curriculumId)
-      }
-    })
+// 単元を検索して表示
+async function searchCurriculumCatalog(page = 1) {
+  const results = document.getElementById('catalogResults')
+  if (!results) return
+  
+  const params = {
+    q: document.getElementById('catalogKeyword').value.trim(),
+    grade: document.getElementById('catalogGrade').value,
+    subject: document.getElementById('catalogSubject').value,
+    textbook_company: document.getElementById('catalogTextbook').value,
+    author_id: document.getElementById('catalogAuthor').value,
+    tag: catalogTag,
+    page
+  }
+  Object.keys(params).forEach(key => { if (params[key] === '') delete params[key] })
+  
+  try {
+    const response = await axios.get('/api/curriculum/catalog', { params })
+    const { units, pagination } = response.data
+    catalogPage = pagination.page
+    
+    results.innerHTML = units.length > 0
+      ? units.map(renderCatalogUnit).join('')
+      : '<p class="text-gray-500 text-center py-4">該当する単元がありません</p>'
+    renderCatalogPagination(pagination)
   } catch (error) {
-    console.error('データ読み込みエラー:', error)
-    alert('データの読み込みに失敗しました')
+    console.error('単元リスト読み込みエラー:', error)
+    results.innerHTML = `<p class="text-red-600 text-center py-4">${escapeHtml(error.response?.data?.error || '単元の検索に失敗しました')}</p>`
   }
 }
 
-async function updateUnitList() {
-  const grade = document.getElementById('gradeSelect').value
-  const subject = document.getElementById('subjectSelect').value
-  const textbook = document.getElementById('textbookSelect').value
-  const unitSelect = document.getElementById('unitSelect')
-  const startButton = document.getElementById('startButton')
+// 一致した部分（\u0001 〜 \u0002）を強調表示
+function highlightCatalogExcerpt(text) {
+  return escapeHtml(text)
+    .replace(/\u0001/g, '<mark class="bg-yellow-200 rounded px-0.5">')
+    .replace(/\u0002/g, '</mark>')
+}
 
-  // リセット
-  unitSelect.innerHTML = '<option value="">選択してください</option>'
-  startButton.disabled = true
+function renderCatalogUnit(unit) {
+  const canEdit = state.auth.user?.role !== 'student'
+  const unitName = escapeHtml(JSON.stringify(unit.unit_name))
+  
+  return `
+    <div class="bg-white border-2 border-gray-200 rounded-lg p-4 hover:border-purple-400 transition cursor-pointer flex items-start justify-between gap-4 group"
+         onclick="selectUnit(${unit.id})">
+      <div class="flex-1 min-w-0">
+        <p class="font-bold text-gray-800">${escapeHtml(unit.unit_order)}. ${escapeHtml(unit.unit_name)}</p>
+        <p class="text-sm text-gray-500">
+          ${escapeHtml(formatCatalogGrade(unit.grade))} ${escapeHtml(unit.subject)} - ${escapeHtml(unit.textbook_company)}
+          ・カード${unit.card_count}枚${unit.author_name ? `・作成: ${escapeHtml(unit.author_name)}` : ''}
+        </p>
+        ${unit.tags.length > 0 ? `
+          <div class="flex flex-wrap gap-1 mt-1">
+            ${unit.tags.map(tag => `<span class="px-2 py-0.5 rounded-full text-xs bg-indigo-50 text-indigo-700">#${escapeHtml(tag)}</span>`).join('')}
+          </div>
+        ` : ''}
+        ${unit.matched_cards.length > 0 ? `
+          <div class="mt-2 space-y-1 text-sm">
+            ${unit.matched_cards.map(card => `
+              <div class="text-gray-600 truncate">
+                <i class="fas fa-file-alt mr-1 text-gray-400"></i>${escapeHtml(card.card_number)}. ${escapeHtml(card.card_title)}
+                ${card.excerpt ? `<span class="text-gray-500 ml-2">${highlightCatalogExcerpt(card.excerpt)}</span>` : ''}
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+      ${canEdit ? `
+        <div class="flex gap-2">
+          <button 
+            onclick="event.stopPropagation(); editCurriculumTags(${unit.id}, ${escapeHtml(JSON.stringify(unit.tags))})" 
+            class="bg-indigo-100 text-indigo-700 hover:bg-indigo-200 px-3 py-1 rounded transition opacity-0 group-hover:opacity-100"
+            title="タグ">
+            <i class="fas fa-tags"></i>
+          </button>
+          <button 
+            onclick="event.stopPropagation(); duplicateCurriculum(${unit.id})" 
+            class="bg-green-100 text-green-700 hover:bg-green-200 px-3 py-1 rounded transition opacity-0 group-hover:opacity-100"
+            title="複製">
+            <i class="fas fa-copy"></i>
+          </button>
+          <button 
+            onclick="event.stopPropagation(); editCurriculum(${unit.id})" 
+            class="bg-blue-100 text-blue-700 hover:bg-blue-200 px-3 py-1 rounded transition opacity-0 group-hover:opacity-100"
+            title="編集">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button 
+            onclick="event.stopPropagation(); deleteCurriculum(${unit.id}, ${unitName})" 
+            class="bg-red-100 text-red-700 hover:bg-red-200 px-3 py-1 rounded transition opacity-0 group-hover:opacity-100"
+            title="削除">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      ` : ''}
+    </div>
+  `
+}
 
-  // 3つすべて選択されている場合のみ単元を読み込み
-  if (grade && subject && textbook) {
-    try {
-      const response = await axios.get('/api/curriculum')
-      const curricula = response.data.filter(c => 
-        c.grade == grade && 
-        c.subject === subject && 
-        c.textbook_company === textbook
-      )
-
-      if (curricula.length > 0) {
-        // カード形式で表示
-        unitSelect.innerHTML = ''
-        unitSelect.className = 'space-y-2'
-        
-        curricula.forEach(item => {
-          const card = document.createElement('div')
-          card.className = 'bg-white border-2 border-gray-200 rounded-lg p-4 hover:border-purple-400 transition cursor-pointer flex items-center justify-between group'
-          card.innerHTML = `
-            <div class="flex-1" onclick="selectUnit(${item.id})">
-              <p class="font-bold text-gray-800">${item.unit_order}. ${item.unit_name}</p>
-              <p class="text-sm text-gray-500">${item.grade}年 ${item.subject} - ${item.textbook_company}</p>
-            </div>
-            <div class="flex gap-2">
-              <button 
-                onclick="event.stopPropagation(); duplicateCurriculum(${item.id})" 
-                class="bg-green-100 text-green-700 hover:bg-green-200 px-3 py-1 rounded transition opacity-0 group-hover:opacity-100"
-                title="複製">
-                <i class="fas fa-copy"></i>
-              </button>
-              <button 
-                onclick="event.stopPropagation(); editCurriculum(${item.id})" 
-                class="bg-blue-100 text-blue-700 hover:bg-blue-200 px-3 py-1 rounded transition opacity-0 group-hover:opacity-100"
-                title="編集">
-                <i class="fas fa-edit"></i>
-              </button>
-              <button 
-                onclick="event.stopPropagation(); deleteCurriculum(${item.id}, '${item.unit_name}')" 
-                class="bg-red-100 text-red-700 hover:bg-red-200 px-3 py-1 rounded transition opacity-0 group-hover:opacity-100"
-                title="削除">
-                <i class="fas fa-trash"></i>
-              </button>
-            </div>
-          `
-          unitSelect.appendChild(card)
-        })
-        
-        startButton.disabled = false
-      } else {
-        unitSelect.innerHTML = '<option value="">該当する単元がありません</option>'
-        startButton.disabled = true
-      }
-    } catch (error) {
-      console.error('単元リスト読み込みエラー:', error)
-    }
+function renderCatalogPagination(pagination) {
+  const container = document.getElementById('catalogPagination')
+  if (pagination.total_pages <= 1) {
+    container.innerHTML = pagination.total > 0 ? `<span class="text-sm text-gray-500">${pagination.total}件</span>` : ''
+    return
   }
+  
+  container.innerHTML = `
+    <button onclick="searchCurriculumCatalog(${pagination.page - 1})" ${pagination.page <= 1 ? 'disabled' : ''}
+            class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed">
+      <i class="fas fa-chevron-left"></i>
+    </button>
+    <span class="text-sm text-gray-600">${pagination.page} / ${pagination.total_pages}ページ（${pagination.total}件）</span>
+    <button onclick="searchCurriculumCatalog(${pagination.page + 1})" ${pagination.page >= pagination.total_pages ? 'disabled' : ''}
+            class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed">
+      <i class="fas fa-chevron-right"></i>
+    </button>
+  `
+}
 
-  // selectモードの場合のみイベントリスナー追加
-  if (unitSelect.tagName === 'SELECT') {
-    unitSelect.addEventListener('change', () => {
-      startButton.disabled = !unitSelect.value
+// 単元のタグを付け替える（カンマ区切りで入力）
+async function editCurriculumTags(curriculumId, currentTags) {
+  const input = prompt('タグをカンマ区切りで入力してください（例: 教科書準拠, 復習向け）', currentTags.join(', '))
+  if (input === null) return
+  
+  try {
+    await axios.put(`/api/curriculum/${curriculumId}/tags`, {
+      tags: input.split(/[,、，]/)
     })
+    showToast('タグを保存しました', 'success')
+    searchCurriculumCatalog(catalogPage)
+  } catch (error) {
+    console.error('タグ更新エラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || 'タグの保存に失敗しました'), 'error')
   }
 }
 
@@ -515,7 +641,7 @@ async function executeDuplicate(curriculumId) {
     if (response.data.success) {
       alert(`✅ 単元「${newUnitName}」を複製しました！`)
       // 単元リストを更新
-      updateUnitList()
+      searchCurriculumCatalog(catalogPage)
     } else {
       throw new Error(response.data.error || '複製に失敗しました')
     }
@@ -539,7 +665,7 @@ async function deleteCurriculum(curriculumId, unitName) {
     if (response.data.success) {
       alert(`✅ 「${unitName}」を削除しました`)
       // 単元リストを再読み込み
-      updateUnitList()
+      searchCurriculumCatalog(catalogPage)
     } else {
       throw new Error(response.data.error || '削除に失敗しました')
     }
@@ -811,6 +937,7 @@ async function saveEditedCurriculum(curriculumId) {
 async function loadGuidePage(curriculumId) {
   state.currentView = 'guide'
   loadingManager.show('学習のてびきを読み込み中...')
+  checkBadgeNotifications()
   
   try {
     const response = await axios.get(`/api/curriculum/${curriculumId}`)
@@ -896,6 +1023,11 @@ async function loadGuidePage(curriculumId) {
               <button onclick="editCurriculum(${curriculumId})" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-bold transition shadow-lg">
                 <i class="fas fa-edit mr-2"></i>編集
               </button>
+              ${state.auth.user?.role === 'student' ? '' : `
+                <button onclick="exportCurriculumPackage(${curriculumId})" class="bg-teal-600 hover:bg-teal-700 text-white px-4 py-2 rounded-lg font-bold transition shadow-lg" title="ほかの学校・環境へ持ち運べるJSONに書き出す">
+                  <i class="fas fa-file-export mr-2"></i>書き出し
+                </button>
+              `}
               <button onclick="loadTeacherOverview(${curriculumId})" class="bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white px-4 py-2 rounded-lg font-bold transition shadow-lg">
                 <i class="fas fa-chalkboard-teacher mr-2"></i>教師用
               </button>
@@ -1068,6 +1200,9 @@ async function loadGuidePage(curriculumId) {
                     <p class="text-sm text-gray-600 text-center mb-4">
                       ${commonCheckTest.test_note}
                     </p>
+                    ${state.auth.user?.role === 'student' ? `
+                      <div id="checkTestSummary" class="text-center text-sm font-bold text-gray-700 mb-3 print:hidden"></div>
+                    ` : ''}
                     <div class="space-y-3">
                       ${commonCheckTest.sample_problems.map((problem, index) => `
                         <div class="border-2 border-yellow-200 bg-gradient-to-r from-yellow-50 to-white rounded-lg p-3 group relative">
@@ -1077,10 +1212,13 @@ async function loadGuidePage(curriculumId) {
                             </div>
                             <div class="flex-1">
                               <p class="text-sm text-gray-800 mb-2">${problem.problem_text}</p>
+                              ${state.auth.user?.role === 'student' ? renderCheckTestAnswerForm(curriculum.id, problem) : `
                               <div class="bg-yellow-100 rounded px-3 py-1 text-xs text-gray-600">
                                 💡 こたえ: ${problem.answer}
                               </div>
+                              `}
                             </div>
+                            ${state.auth.user?.role === 'student' ? '' : `
                             <div class="flex gap-1 opacity-0 group-hover:opacity-100 transition print:hidden">
                               <button onclick="editCheckTestProblem(${curriculum.id}, ${problem.problem_number})" 
                                       class="text-blue-600 hover:text-blue-800 px-2 py-1 text-xs"
@@ -1093,16 +1231,19 @@ async function loadGuidePage(curriculumId) {
                                 <i class="fas fa-trash"></i>
                               </button>
                             </div>
+                            `}
                           </div>
                         </div>
                       `).join('')}
                     </div>
+                    ${state.auth.user?.role === 'student' ? '' : `
                     <div class="mt-4 text-center print:hidden">
                       <button onclick="addCheckTestProblem(${curriculum.id})" 
                               class="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg text-sm font-bold transition">
                         <i class="fas fa-plus mr-2"></i>問題を追加
                       </button>
                     </div>
+                    `}
                   </div>
                 ` : ''}
               </div>
@@ -1185,6 +1326,13 @@ async function loadGuidePage(curriculumId) {
                   <i class="fas fa-history mr-2"></i>
                   編集履歴
                 </button>
+                ${state.auth.user?.role === 'student' ? `
+                <button onclick="showNarrativeTimeline(${curriculum.id})" 
+                        class="bg-gradient-to-r from-yellow-500 to-amber-600 text-white py-3 px-4 rounded-xl font-bold hover:from-yellow-600 hover:to-amber-700 transition shadow-lg flex items-center justify-center">
+                  <i class="fas fa-book-open mr-2"></i>
+                  わたしの学習ストーリー
+                </button>
+                ` : ''}
               </div>
             </div>
 
@@ -1193,6 +1341,10 @@ async function loadGuidePage(curriculumId) {
       </div>
     `
     
+    if (state.auth.user?.role === 'student' && commonCheckTest?.sample_problems?.length > 0) {
+      loadCheckTestResults(curriculum.id)
+    }
+    
     loadingManager.hide()
   } catch (error) {
     console.error('学習のてびき読み込みエラー:', error)
@@ -1790,7 +1942,7 @@ async function showIntegratedPrintPreview(curriculumId) {
                         </div>
                         <div class="flex-1">
                           <p class="text-xs mb-1">${problem.problem_text}</p>
-                          <div class="bg-yellow-100 rounded px-2 py-1 text-xs">💡 ${problem.answer}</div>
+                          ${problem.answer ? `<div class="bg-yellow-100 rounded px-2 py-1 text-xs">💡 ${problem.answer}</div>` : ''}
                         </div>
                       </div>
                     </div>
@@ -2039,7 +2191,7 @@ async function loadCardPage(cardId) {
   
   try {
     const response = await axios.get(`/api/cards/${cardId}`)
-    const { card, hints, answer } = response.data
+    const { card, hints, answer, answerLocked } = response.data
     
     // カードデータをグローバルに保存（ヘルプ要請時に使用）
     window.currentCardData = card
@@ -2147,6 +2299,17 @@ async function loadCardPage(cardId) {
                           rows="6" 
                           class="w-full p-4 border-2 border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none"
                           placeholder="ここに答えを書いてください..."></textarea>
+                ${state.auth.user?.role === 'student' ? `
+                  <div class="mt-3 flex flex-wrap items-center gap-3">
+                    <label class="cursor-pointer bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm font-bold transition">
+                      <i class="fas fa-camera mr-2"></i>ノートの写真をつける
+                      <input type="file" id="answerPhotoInput" accept="image/*" capture="environment" class="hidden"
+                             onchange="previewAnswerPhoto(event)">
+                    </label>
+                    <img id="answerPhotoPreview" class="hidden max-h-24 rounded border" alt="提出する写真">
+                  </div>
+                  <div id="cardSubmissionHistory" class="mt-3 text-sm"></div>
+                ` : ''}
               </div>
 
               <!-- 分かった度 -->
@@ -2188,6 +2351,13 @@ async function loadCardPage(cardId) {
 
               <!-- アクションボタン -->
               <div class="mt-6 flex gap-4">
+                ${state.auth.user?.role === 'student' ? `
+                  <button onclick="submitCardAnswer()" id="submitAnswerButton"
+                          class="flex-1 bg-green-600 text-white py-3 px-6 rounded-lg font-bold hover:bg-green-700 transition">
+                    <i class="fas fa-paper-plane mr-2"></i>
+                    こたえを出す
+                  </button>
+                ` : ''}
                 <button onclick="saveProgress()" 
                         class="flex-1 bg-indigo-600 text-white py-3 px-6 rounded-lg font-bold hover:bg-indigo-700 transition">
                   <i class="fas fa-save mr-2"></i>
@@ -2202,31 +2372,7 @@ async function loadCardPage(cardId) {
             </div>
 
             <!-- 解答表示エリア（非表示） -->
-            ${(answer || card.answer || card.example_solution) ? `
-              <div id="answerSection" class="hidden bg-green-50 border-l-4 border-green-500 rounded-lg p-6">
-                <h3 class="text-lg font-bold text-green-800 mb-4">
-                  <i class="fas fa-check-circle mr-2"></i>解答
-                </h3>
-                <div class="bg-white rounded-lg p-4 mb-4">
-                  <pre class="text-gray-800 whitespace-pre-wrap font-sans">${answer?.answer_content || card.answer || card.example_solution || '解答は準備中です'}</pre>
-                </div>
-                ${(answer?.explanation || card.real_world_connection) ? `
-                  <div class="bg-white rounded-lg p-4">
-                    <h4 class="font-bold text-gray-800 mb-2">
-                      <i class="fas fa-info-circle mr-2"></i>解説
-                    </h4>
-                    <pre class="text-gray-800 whitespace-pre-wrap font-sans">${answer?.explanation || card.real_world_connection}</pre>
-                  </div>
-                ` : ''}
-              </div>
-            ` : `
-              <div id="answerSection" class="hidden bg-gray-50 border-l-4 border-gray-300 rounded-lg p-6">
-                <h3 class="text-lg font-bold text-gray-600 mb-4">
-                  <i class="fas fa-exclamation-circle mr-2"></i>解答
-                </h3>
-                <p class="text-gray-600">解答は準備中です</p>
-              </div>
-            `}
+            ${renderCardAnswerSection(card, answer, answerLocked)}
           </div>
 
           <!-- サイドバー（右側） -->
@@ -2275,9 +2421,16 @@ async function loadCardPage(cardId) {
                        class="flex-1 p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
                        onkeypress="if(event.key==='Enter') askAI()">
                 <button onclick="askAI()" 
+                        id="aiSendButton"
                         class="bg-blue-600 text-white px-6 py-3 rounded-lg font-bold hover:bg-blue-700 transition">
                   <i class="fas fa-paper-plane"></i>
                 </button>
+                <button onclick="cancelAIStream()" 
+                        id="aiCancelButton"
+                        class="hidden bg-gray-500 text-white px-6 py-3 rounded-lg font-bold hover:bg-gray-600 transition"
+                        title="回答を止める">
+                  <i class="fas fa-stop"></i>
+                </button>
               </div>
             </div>
 
@@ -2323,7 +2476,17 @@ async function loadCardPage(cardId) {
     window.currentUnderstandingLevel = 3 // デフォルトは「だいたいOK」
     window.currentHelpType = null
     window.helpCount = 0
-    window.currentCardData = { card, hints, answer }
+    window.currentCardData = { card, hints, answer, answerLocked }
+    window.answerPhotoData = null
+    window.lastSubmittedAnswer = null
+    
+    if (state.auth.user?.role === 'student') {
+      loadCardSubmissions(cardId)
+      loadClassMessages()
+      // カードを開いたら学習中として記録（完了・ヘルプ要請中のカードはそのまま）
+      axios.post('/api/progress/activity', { learning_card_id: cardId })
+        .catch(error => console.error('活動記録エラー:', error))
+    }
 
   } catch (error) {
     console.error('学習カード読み込みエラー:', error)
@@ -2415,21 +2578,26 @@ async function loadConversationHistory() {
   }
 }
 
-// AI先生に質問
+// AI先生に質問（回答はSSEで少しずつ届く）
 async function askAI() {
   const input = document.getElementById('aiQuestionInput')
   const question = input.value.trim()
   
-  if (!question) return
+  if (!question || window.aiStreamController) return
   
   // ユーザーメッセージを追加
   addAIMessage(question, 'user')
   input.value = ''
   
-  // ローディング表示
+  // ローディング表示（最初の文字が届いたら回答に置き換える）
   const aiChat = document.getElementById('aiChat')
-  const loadingId = 'loading-' + Date.now()
-  addAIMessage('考えているよ... 💭', 'ai', loadingId)
+  const answerDiv = addAIMessage('考えているよ... 💭', 'ai')
+  const answerText = answerDiv.querySelector('p')
+  let answer = ''
+  
+  const controller = new AbortController()
+  window.aiStreamController = controller
+  setAIStreaming(true)
   
   try {
     // セッションIDを生成または取得
@@ -2438,7 +2606,7 @@ async function askAI() {
     }
     
     // カード情報を取得
-    const card = window.currentCardData
+    const card = window.currentCardData?.card
     const cardContext = card ? {
       card_title: card.card_title,
       problem_description: card.problem_description,
@@ -2446,42 +2614,100 @@ async function askAI() {
     } : null
     
     // AI先生APIを呼び出す
-    const response = await axios.post('/api/ai/ask', {
-      studentId: state.student.id,
-      curriculumId: state.selectedCurriculum.id,
-      cardId: state.selectedCard,
-      question: question,
-      context: cardContext ? JSON.stringify(cardContext) : '',
-      sessionId: window.aiSessionId
+    const response = await authFetch('/api/ai/ask/stream', {
+      method: 'POST',
+      body: JSON.stringify({
+        studentId: state.student.id,
+        curriculumId: state.selectedCurriculum.id,
+        cardId: state.selectedCard,
+        question: question,
+        context: cardContext ? JSON.stringify(cardContext) : '',
+        sessionId: window.aiSessionId
+      }),
+      signal: controller.signal
     })
     
-    // ローディングメッセージを削除
-    const loadingMsg = document.getElementById(loadingId)
-    if (loadingMsg) loadingMsg.remove()
-    
-    // AIの回答を追加
-    const answer = response.data.answer || 'ごめんね、うまく答えられなかったよ。先生に聞いてみてね。'
-    addAIMessage(answer, 'ai')
-    
-    // セッションIDを更新
-    if (response.data.sessionId) {
-      window.aiSessionId = response.data.sessionId
+    // AI未設定時などはJSONで返ってくる
+    if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'エラーが発生しました')
+      answerText.textContent = data.answer || 'ごめんね、うまく答えられなかったよ。先生に聞いてみてね。'
+      return
     }
     
-    // トークン使用量を表示（デバッグ用）
-    if (response.data.tokensUsed) {
-      console.log('AI Tokens used:', response.data.tokensUsed)
-    }
+    await readSSE(response, (event, data) => {
+      if (event === 'start') {
+        window.aiSessionId = data.sessionId
+      } else if (event === 'token') {
+        answer += data.text
+        answerText.textContent = answer
+        aiChat.scrollTop = aiChat.scrollHeight
+      } else if (event === 'done') {
+        // トークン使用量を表示（デバッグ用）
+        if (data.tokensUsed) {
+          console.log('AI Tokens used:', data.tokensUsed)
+        }
+      } else if (event === 'error') {
+        console.error('AI質問エラー:', data.error)
+        answerText.textContent = answer || data.answer
+      }
+    })
     
   } catch (error) {
+    if (error.name === 'AbortError') {
+      answerText.textContent = answer ? `${answer}…（とちゅうで止めました）` : '質問を取り消しました'
+      return
+    }
+    
     console.error('AI質問エラー:', error)
-    console.error('エラー詳細:', error.response?.data || error.message)
-    const loadingMsg = document.getElementById(loadingId)
-    if (loadingMsg) loadingMsg.remove()
     
     // エラーメッセージ
-    const errorMsg = error.response?.data?.error || 'エラーが発生しました'
-    addAIMessage(`ごめんね、うまく答えられなかったよ。\n\n【先生に聞いてみてね】\n${errorMsg}`, 'ai')
+    answerText.textContent = `ごめんね、うまく答えられなかったよ。\n\n【先生に聞いてみてね】\n${error.message || 'エラーが発生しました'}`
+  } finally {
+    window.aiStreamController = null
+    setAIStreaming(false)
+  }
+}
+
+// AI先生の回答を途中で止める
+function cancelAIStream() {
+  if (window.aiStreamController) {
+    window.aiStreamController.abort()
+  }
+}
+
+// 回答中は送信ボタンを中断ボタンに切り替える
+function setAIStreaming(streaming) {
+  document.getElementById('aiSendButton')?.classList.toggle('hidden', streaming)
+  document.getElementById('aiCancelButton')?.classList.toggle('hidden', !streaming)
+}
+
+// SSEレスポンスを読み、イベントごとに onEvent(event, data) を呼ぶ
+async function readSSE(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += value
+    
+    // イベントは空行区切り
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const block = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+      
+      let event = 'message'
+      const dataLines = []
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim())
+      })
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join('\n')))
+      }
+    }
   }
 }
 
@@ -2495,12 +2721,13 @@ function addAIMessage(message, sender, loadingId = null) {
   messageDiv.innerHTML = `
     <div class="${sender === 'user' ? 'bg-indigo-600 text-white' : 'bg-white text-gray-800 border-2 border-gray-200'} rounded-lg p-3 max-w-[80%] shadow">
       ${sender === 'ai' ? '<div class="flex items-center mb-1"><i class="fas fa-robot text-blue-500 mr-2"></i><span class="font-bold text-xs">AI先生</span></div>' : ''}
-      <p class="text-sm whitespace-pre-wrap">${message}</p>
+      <p class="text-sm whitespace-pre-wrap">${escapeHtml(message)}</p>
     </div>
   `
   
   aiChat.appendChild(messageDiv)
   aiChat.scrollTop = aiChat.scrollHeight
+  return messageDiv
 }
 
 // 先生を呼ぶ
@@ -2508,31 +2735,38 @@ function callTeacher() {
   window.currentHelpType = 'teacher'
   window.helpCount++
   
-  // 進捗に記録（先生呼び出しフラグ）
-  saveProgress(true)
-  
-  // WebSocket通知を送信
-  if (state.selectedCard && state.selectedCurriculum) {
-    const card = window.currentCardData // グローバルに保存されたカードデータ
-    sendHelpRequest(
-      state.student.id,
-      state.student.name,
-      state.selectedCurriculum.id,
-      state.selectedCard,
-      card?.card_title || '学習カード',
-      'teacher'
-    )
-  }
+  // 進捗に記録（ヘルプ要請中にする）
+  axios.post('/api/progress/help-request', {
+    student_id: state.student.id,
+    curriculum_id: state.selectedCurriculum?.id,
+    learning_card_id: state.selectedCard,
+    help_type: 'teacher'
+  }).catch(error => console.error('ヘルプ要請エラー:', error))
   
   alert('先生に助けを求めました。先生が来るまで他の問題に取り組んでもOKです。')
 }
 
 // 友達に聞く
-function askFriend() {
+async function askFriend() {
   window.currentHelpType = 'friend'
   window.helpCount++
   
-  alert('この学習カードをクリアした友達に聞いてみましょう！\n\n※実際のクラスでは、進捗ボードで誰ができているか確認できます。')
+  // ヘルプ待ちの列に入れる（このカードを終えた友だちがいれば、その場で任せる）
+  try {
+    const response = await axios.post('/api/progress/help-request', {
+      student_id: state.student.id,
+      curriculum_id: state.selectedCurriculum?.id,
+      learning_card_id: state.selectedCard,
+      help_type: 'friend'
+    })
+    const helper = response.data.helper
+    alert(helper
+      ? `${helper.name}さんがこのカードをクリアしています。${helper.name}さんに聞いてみましょう！`
+      : 'いま聞ける友達がいないので、先生が探してくれます。それまでヒントを見てみよう！')
+  } catch (error) {
+    console.error('ヘルプ要請エラー:', error)
+    alert('この学習カードをクリアした友達に聞いてみましょう！')
+  }
 }
 
 // 分かった度設定
@@ -2549,8 +2783,170 @@ function setUnderstanding(level) {
   selectedBtn.classList.add('bg-indigo-100', 'border-2', 'border-indigo-600')
 }
 
+// 学習カードの解答エリア（児童は答えを出すまでロック）
+function renderCardAnswerSection(card, answer, locked) {
+  if (locked) {
+    return `
+      <div id="answerSection" class="hidden bg-gray-50 border-l-4 border-gray-300 rounded-lg p-6">
+        <h3 class="text-lg font-bold text-gray-600 mb-4">
+          <i class="fas fa-lock mr-2"></i>解答
+        </h3>
+        <p class="text-gray-600">自分のこたえを出すと、解答が見られるよ。</p>
+      </div>
+    `
+  }
+  
+  return (answer || card.answer || card.example_solution) ? `
+    <div id="answerSection" class="hidden bg-green-50 border-l-4 border-green-500 rounded-lg p-6">
+      <h3 class="text-lg font-bold text-green-800 mb-4">
+        <i class="fas fa-check-circle mr-2"></i>解答
+      </h3>
+      <div class="bg-white rounded-lg p-4 mb-4">
+        <pre class="text-gray-800 whitespace-pre-wrap font-sans">${answer?.answer_content || card.answer || card.example_solution || '解答は準備中です'}</pre>
+      </div>
+      ${(answer?.explanation || card.real_world_connection) ? `
+        <div class="bg-white rounded-lg p-4">
+          <h4 class="font-bold text-gray-800 mb-2">
+            <i class="fas fa-info-circle mr-2"></i>解説
+          </h4>
+          <pre class="text-gray-800 whitespace-pre-wrap font-sans">${answer?.explanation || card.real_world_connection}</pre>
+        </div>
+      ` : ''}
+    </div>
+  ` : `
+    <div id="answerSection" class="hidden bg-gray-50 border-l-4 border-gray-300 rounded-lg p-6">
+      <h3 class="text-lg font-bold text-gray-600 mb-4">
+        <i class="fas fa-exclamation-circle mr-2"></i>解答
+      </h3>
+      <p class="text-gray-600">解答は準備中です</p>
+    </div>
+  `
+}
+
+// 写真を長い辺 1280px の JPEG に縮小して data URL にする
+function resizeImageToDataURL(file, maxSize = 1280, quality = 0.7) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    const url = URL.createObjectURL(file)
+    image.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(image.width, image.height))
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(image.width * scale)
+      canvas.height = Math.round(image.height * scale)
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+      URL.revokeObjectURL(url)
+      resolve(canvas.toDataURL('image/jpeg', quality))
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('画像を読み込めませんでした'))
+    }
+    image.src = url
+  })
+}
+
+async function previewAnswerPhoto(event) {
+  const file = event.target.files?.[0]
+  const preview = document.getElementById('answerPhotoPreview')
+  if (!file) return
+  
+  try {
+    window.answerPhotoData = await resizeImageToDataURL(file)
+    preview.src = window.answerPhotoData
+    preview.classList.remove('hidden')
+  } catch (error) {
+    console.error('写真読み込みエラー:', error)
+    window.answerPhotoData = null
+    preview.classList.add('hidden')
+    showToast('写真を読み込めませんでした', 'error')
+  }
+}
+
+const SUBMISSION_REVIEW_LABELS = {
+  pending: { text: '先生のかくにん待ち', className: 'text-gray-500' },
+  correct: { text: '先生: よくできました ⭕', className: 'text-green-700 font-bold' },
+  needs_revision: { text: '先生: もういちど考えてみよう', className: 'text-orange-600 font-bold' }
+}
+
+async function loadCardSubmissions(cardId) {
+  const container = document.getElementById('cardSubmissionHistory')
+  if (!container) return
+  
+  try {
+    const response = await axios.get(`/api/cards/${cardId}/submissions`)
+    const submissions = response.data.submissions || []
+    if (submissions.length === 0) {
+      container.innerHTML = ''
+      return
+    }
+    
+    const latest = submissions[0]
+    const review = SUBMISSION_REVIEW_LABELS[latest.review_status] || SUBMISSION_REVIEW_LABELS.pending
+    container.innerHTML = `
+      <div class="bg-gray-50 rounded-lg p-3">
+        <p class="text-gray-600">
+          <i class="fas fa-paper-plane mr-1"></i>${submissions.length}回 出しました
+          <span class="ml-2 ${review.className}">${review.text}</span>
+        </p>
+        ${latest.teacher_comment ? `
+          <p class="mt-1 text-gray-800"><i class="fas fa-comment mr-1 text-indigo-500"></i>${escapeHtml(latest.teacher_comment)}</p>
+        ` : ''}
+      </div>
+    `
+  } catch (error) {
+    console.error('提出履歴取得エラー:', error)
+  }
+}
+
+// 答えを提出（silent: 保存時の自動提出。結果の表示だけ行う）
+async function submitCardAnswer({ silent = false } = {}) {
+  const answerText = document.getElementById('answerInput').value.trim()
+  const photo = window.answerPhotoData
+  
+  if (!answerText && !photo) {
+    if (!silent) showToast('こたえを書くか、ノートの写真をつけてね', 'warning')
+    return null
+  }
+  
+  const button = document.getElementById('submitAnswerButton')
+  if (button) button.disabled = true
+  
+  try {
+    const response = await axios.post(`/api/cards/${state.selectedCard}/submissions`, {
+      answer_text: answerText,
+      photo
+    })
+    const result = response.data
+    window.lastSubmittedAnswer = `${answerText}\n${photo || ''}`
+    
+    // 提出したので解答を見られるようにする
+    const { card } = window.currentCardData
+    window.currentCardData.answer = result.answer
+    window.currentCardData.answerLocked = false
+    document.getElementById('answerSection').outerHTML = renderCardAnswerSection(card, result.answer, false)
+    
+    if (!silent) {
+      showToast(result.autoResult === 'correct'
+        ? '⭕ 解答と同じこたえだよ！ 解答と解説もたしかめよう'
+        : '📮 こたえを出しました。解答とくらべてみよう', 'success', 5000)
+    }
+    loadCardSubmissions(state.selectedCard)
+    return result
+  } catch (error) {
+    console.error('解答提出エラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || 'こたえを出せませんでした'), 'error')
+  } finally {
+    if (button) button.disabled = false
+  }
+}
+
 // 解答表示
 function showAnswer() {
+  if (window.currentCardData?.answerLocked) {
+    showToast('まず自分のこたえを出そう。出すと解答が見られるよ', 'warning')
+    return
+  }
+  
   const answerSection = document.getElementById('answerSection')
   if (answerSection) {
     answerSection.classList.toggle('hidden')
@@ -2572,78 +2968,359 @@ function toggleHintPanel() {
 }
 
 // 学習進捗保存
-async function saveProgress(teacherCall = false) {
+async function saveProgress() {
   const answerInput = document.getElementById('answerInput').value
   
-  if (!answerInput && !teacherCall) {
+  if (!answerInput) {
     alert('答えを書いてから保存してください。')
     return
   }
   
   try {
-    await axios.post('/api/progress', {
+    // まだ出していない答えは、進捗といっしょに提出しておく
+    if (state.auth.user?.role === 'student' &&
+        window.lastSubmittedAnswer !== `${answerInput.trim()}\n${window.answerPhotoData || ''}`) {
+      await submitCardAnswer({ silent: true })
+    }
+    
+    const response = await axios.post('/api/progress', {
       student_id: state.student.id,
       curriculum_id: state.selectedCurriculum.id,
       course_id: state.selectedCourse,
       learning_card_id: state.selectedCard,
       status: 'completed',
       understanding_level: window.currentUnderstandingLevel,
-      help_requested_from: window.currentHelpType,
-      help_count: window.helpCount
+      help_requested_from: window.currentHelpType
     })
     
-    // WebSocket通知を送信
-    sendProgressUpdate(
-      state.student.id,
-      state.selectedCurriculum.id,
-      state.selectedCourse,
-      state.selectedCard,
-      'completed',
-      window.currentUnderstandingLevel
-    )
+    showNewBadges(response.data.newBadges)
     
-    if (!teacherCall) {
-      alert('保存しました！次のカードに進みましょう。')
-      // 次のカードに進む（今は学習カード一覧に戻る）
-      selectCourse(state.selectedCourse)
-    }
+    alert('保存しました！次のカードに進みましょう。')
+    // 次のカードに進む（今は学習カード一覧に戻る）
+    selectCourse(state.selectedCourse)
   } catch (error) {
     console.error('進捗保存エラー:', error)
     alert('保存に失敗しました')
   }
 }
 
-// グローバルスコープに関数を登録
-window.showHelpMenu = showHelpMenu
-window.closeHelpMenu = closeHelpMenu
-window.showHints = showHints
-window.toggleHint = toggleHint
-window.showAITeacher = showAITeacher
-window.askAI = askAI
-window.callTeacher = callTeacher
-window.askFriend = askFriend
-window.setUnderstanding = setUnderstanding
-window.showAnswer = showAnswer
-window.toggleHintPanel = toggleHintPanel
-window.saveProgress = saveProgress
-window.loadLearningPlan = loadLearningPlan
-window.loadAnswersTab = loadAnswersTab
-window.savePlanReflection = savePlanReflection
-window.requestAIFeedback = requestAIFeedback
-
-// ============================================
-// 学習計画表ページ
-// ============================================
-async function loadLearningPlan(curriculumId) {
-  state.currentView = 'plan'
+// 学習ストーリー（単元の章をタイムライン表示）
+async function showNarrativeTimeline(curriculumId) {
+  const milestoneIcons = {
+    course_completed: 'fa-flag-checkered',
+    check_test_passed: 'fa-medal',
+    unit_reflection: 'fa-pencil-alt'
+  }
   
   try {
-    // カリキュラム情報取得
-    const currResponse = await axios.get(`/api/curriculum/${curriculumId}`)
-    const { curriculum, courses } = currResponse.data
+    const response = await axios.get(`/api/narratives/student/${state.student.id}/curriculum/${curriculumId}`)
+    const chapters = response.data || []
     
-    // 既存の計画を取得
-    const plansResponse = await axios.get(`/api/plans/${state.student.id}/${curriculumId}`)
+    const modal = document.createElement('div')
+    modal.id = 'narrativeModal'
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4'
+    modal.onclick = (event) => { if (event.target === modal) modal.remove() }
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="bg-gradient-to-r from-yellow-500 to-amber-600 p-6 flex justify-between items-center">
+          <h3 class="text-2xl font-bold text-white">
+            <i class="fas fa-book-open mr-2"></i>わたしの学習ストーリー
+          </h3>
+          <button onclick="document.getElementById('narrativeModal').remove()" class="text-white hover:text-gray-200">
+            <i class="fas fa-times text-xl"></i>
+          </button>
+        </div>
+        <div class="p-6">
+          ${chapters.length > 0 ? `
+            <ol class="relative border-l-4 border-amber-300 ml-4">
+              ${chapters.map(chapter => `
+                <li class="mb-8 ml-8">
+                  <span class="absolute -left-5 flex items-center justify-center w-9 h-9 rounded-full bg-amber-500 text-white">
+                    <i class="fas ${milestoneIcons[chapter.milestone_type] || 'fa-star'}"></i>
+                  </span>
+                  <p class="text-xs text-gray-500">${new Date(chapter.created_at).toLocaleDateString('ja-JP')}</p>
+                  <h4 class="text-lg font-bold text-gray-800">第${chapter.chapter_number}章　${escapeHtml(chapter.chapter_title)}</h4>
+                  <p class="text-gray-700 mt-2 whitespace-pre-wrap leading-relaxed">${escapeHtml(chapter.story_content)}</p>
+                </li>
+              `).join('')}
+            </ol>
+          ` : `
+            <p class="text-gray-500 text-center py-8">
+              コースをやりとげたり、チェックテストに合格したり、単元の振り返りを書いたりすると、<br>
+              あなたの学習ストーリーが1章ずつふえていくよ！
+            </p>
+          `}
+        </div>
+      </div>
+    `
+    document.body.appendChild(modal)
+  } catch (error) {
+    console.error('学習ストーリー取得エラー:', error)
+    alert('学習ストーリーの読み込みに失敗しました')
+  }
+}
+
+// 獲得したバッジをお祝い表示
+function showNewBadges(badges) {
+  if (!badges || badges.length === 0) return
+  
+  badges.forEach((badge, index) => {
+    setTimeout(() => {
+      showToast(`🏅 バッジ「${escapeHtml(badge.badge_name)}」をゲット！\n${escapeHtml(badge.badge_description || '')}`, 'success', 6000)
+    }, index * 800)
+  })
+  
+  // その場で表示した分は通知一覧でもう一度出さない
+  axios.post('/api/notifications/read-all?type=badge').catch(error => console.error('通知既読エラー:', error))
+}
+
+// 未読のバッジ通知（先生の再評価やほかの端末で獲得した分）を表示
+async function checkBadgeNotifications() {
+  if (state.auth.user?.role !== 'student') return
+  
+  try {
+    const response = await axios.get('/api/notifications?unread=1')
+    const notifications = (response.data.notifications || []).filter(n => n.notification_type === 'badge')
+    if (notifications.length === 0) return
+    
+    notifications.slice(0, 3).forEach((notification, index) => {
+      setTimeout(() => {
+        showToast(`🏅 ${escapeHtml(notification.title)}\n${escapeHtml(notification.message || '')}`, 'success', 6000)
+      }, index * 800)
+    })
+    
+    await axios.post('/api/notifications/read-all?type=badge')
+  } catch (error) {
+    console.error('通知取得エラー:', error)
+  }
+}
+
+// ============================================
+// 先生からの連絡（児童）
+// ============================================
+
+// 表示した連絡（同じ連絡を二重に出さない）
+const shownClassMessageIds = new Set()
+
+// 先生からの連絡を「わかった」ボタンつきで表示（押すまで消えない）
+function showClassMessageToast(message) {
+  if (shownClassMessageIds.has(message.messageId)) return
+  shownClassMessageIds.add(message.messageId)
+  
+  let container = document.getElementById('classMessageToasts')
+  if (!container) {
+    container = document.createElement('div')
+    container.id = 'classMessageToasts'
+    container.className = 'fixed top-4 left-1/2 -translate-x-1/2 z-50 w-full max-w-md px-4 space-y-2'
+    document.body.appendChild(container)
+  }
+  
+  const toast = document.createElement('div')
+  toast.id = `classMessage-${message.messageId}`
+  toast.className = `p-4 rounded-lg shadow-lg text-white ${message.kind === 'direct' ? 'bg-pink-500' : 'bg-indigo-500'}`
+  toast.innerHTML = `
+    <div class="text-xs font-bold mb-1">
+      <i class="fas ${message.kind === 'direct' ? 'fa-envelope' : 'fa-bullhorn'} mr-1"></i>
+      ${escapeHtml(message.senderName)}先生から${message.kind === 'direct' ? 'あなたへ' : 'みんなへ'}
+      ${message.cardTitle ? `（${escapeHtml(message.cardTitle)}）` : ''}
+    </div>
+    <div class="text-lg font-bold whitespace-pre-line">${escapeHtml(message.body)}</div>
+    <div class="text-right mt-2">
+      <button onclick="acknowledgeClassMessage(${message.messageId})"
+              class="bg-white text-gray-800 font-bold px-4 py-1 rounded-full hover:bg-gray-100">
+        <i class="fas fa-check mr-1"></i>わかった
+      </button>
+    </div>
+  `
+  container.appendChild(toast)
+  playNotificationSound()
+}
+
+// まだ「わかった」を押していない連絡を表示（学習カードを開いたとき）
+async function loadClassMessages() {
+  if (state.auth.user?.role !== 'student') return
+  
+  try {
+    const response = await axios.get('/api/class-messages')
+    response.data.messages.forEach(message => showClassMessageToast(message))
+  } catch (error) {
+    console.error('連絡取得エラー:', error)
+  }
+}
+
+// 「わかった」を先生に返す
+async function acknowledgeClassMessage(messageId) {
+  document.getElementById(`classMessage-${messageId}`)?.remove()
+  
+  try {
+    await axios.post(`/api/class-messages/${messageId}/ack`)
+  } catch (error) {
+    console.error('連絡確認エラー:', error)
+  }
+}
+window.acknowledgeClassMessage = acknowledgeClassMessage
+
+// ============================================
+// チェックテスト（児童の解答・自動採点）
+// ============================================
+const CHECK_TEST_CHOICE_LABELS = ['ア', 'イ', 'ウ', 'エ', 'オ', 'カ', 'キ', 'ク', 'ケ', 'コ']
+
+function renderCheckTestAnswerForm(curriculumId, problem) {
+  const n = problem.problem_number
+  const input = problem.choices && problem.choices.length > 0 ? `
+    <div class="flex flex-wrap gap-2">
+      ${problem.choices.map((choice, index) => `
+        <label class="flex items-center gap-1 bg-white border border-yellow-300 rounded px-2 py-1 text-sm cursor-pointer">
+          <input type="radio" name="checkTestChoice-${n}" value="${escapeHtml(choice)}">
+          ${CHECK_TEST_CHOICE_LABELS[index] || index + 1}. ${escapeHtml(choice)}
+        </label>
+      `).join('')}
+    </div>
+  ` : `
+    <input type="text" id="checkTestInput-${n}" placeholder="こたえを書こう"
+           onkeydown="if (event.key === 'Enter') submitCheckTestAnswer(${curriculumId}, ${n})"
+           class="flex-1 min-w-0 px-3 py-1 border border-yellow-300 rounded text-sm focus:ring-2 focus:ring-yellow-400">
+  `
+  
+  return `
+    <div class="print:hidden">
+      <div class="flex flex-wrap items-center gap-2">
+        ${input}
+        <button onclick="submitCheckTestAnswer(${curriculumId}, ${n})" id="checkTestSubmit-${n}"
+                class="bg-yellow-500 hover:bg-yellow-600 text-white px-3 py-1 rounded text-sm font-bold transition">
+          こたえあわせ
+        </button>
+        <span id="checkTestStatus-${n}" class="text-xs"></span>
+      </div>
+      <div id="checkTestFeedback-${n}" class="hidden mt-2 text-sm rounded px-3 py-2"></div>
+    </div>
+  `
+}
+
+function renderCheckTestStatus(problemNumber, status, attempts) {
+  const element = document.getElementById(`checkTestStatus-${problemNumber}`)
+  if (!element) return
+  
+  if (status === 'completed') {
+    element.innerHTML = `<span class="text-green-700 font-bold">⭕ せいかい</span> <span class="text-gray-500">(${attempts}かい)</span>`
+  } else if (status === 'failed') {
+    element.innerHTML = `<span class="text-red-600 font-bold">もういちど</span> <span class="text-gray-500">(${attempts}かい)</span>`
+  } else {
+    element.innerHTML = ''
+  }
+}
+
+function renderCheckTestSummary(summary) {
+  const element = document.getElementById('checkTestSummary')
+  if (!element || !summary) return
+  
+  element.innerHTML = summary.passed
+    ? `🎉 ごうかく！（${summary.correctCount} / ${summary.totalProblems}もん せいかい）`
+    : `せいかい ${summary.correctCount} / ${summary.totalProblems}もん（${summary.passCount}もん せいかいで ごうかく）`
+}
+
+async function loadCheckTestResults(curriculumId) {
+  try {
+    const response = await axios.get(`/api/check-test/${curriculumId}/student/${state.auth.user.id}`)
+    const { progress, summary } = response.data
+    
+    progress.forEach(p => renderCheckTestStatus(p.problem_number, p.status, p.attempts))
+    renderCheckTestSummary(summary)
+  } catch (error) {
+    console.error('チェックテスト結果取得エラー:', error)
+  }
+}
+
+async function submitCheckTestAnswer(curriculumId, problemNumber) {
+  const textInput = document.getElementById(`checkTestInput-${problemNumber}`)
+  const choiceInput = document.querySelector(`input[name="checkTestChoice-${problemNumber}"]:checked`)
+  const answer = (textInput ? textInput.value : choiceInput?.value || '').trim()
+  
+  if (!answer) {
+    showToast('こたえを入れてから「こたえあわせ」をおしてね', 'warning')
+    return
+  }
+  
+  const button = document.getElementById(`checkTestSubmit-${problemNumber}`)
+  const feedback = document.getElementById(`checkTestFeedback-${problemNumber}`)
+  if (button) button.disabled = true
+  
+  try {
+    const response = await axios.post(`/api/check-test/${curriculumId}/problem/${problemNumber}/submit`, { answer })
+    const result = response.data
+    
+    renderCheckTestStatus(problemNumber, result.status, result.attempts)
+    renderCheckTestSummary(result.summary)
+    
+    if (result.correct) {
+      feedback.className = 'mt-2 text-sm rounded px-3 py-2 bg-green-50 text-green-800'
+      feedback.innerHTML = result.missingUnit
+        ? '⭕ せいかい！ つぎは たんいも わすれずに書こう。'
+        : '⭕ せいかい！ よくできました。'
+    } else {
+      feedback.className = 'mt-2 text-sm rounded px-3 py-2 bg-red-50 text-red-800'
+      feedback.innerHTML = `
+        もういちど かんがえてみよう。
+        ${result.reviewCard ? `
+          <button onclick="loadCardPage(${result.reviewCard.id})"
+                  class="ml-2 bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded text-xs font-bold transition">
+            <i class="fas fa-undo mr-1"></i>カード${result.reviewCard.card_number}「${escapeHtml(result.reviewCard.card_title)}」でふくしゅうする
+          </button>
+        ` : ''}
+      `
+    }
+    
+    if (result.justPassed) {
+      showToast('🎉 チェックテスト ごうかく！「えらべるもんだい」にちょうせんしよう', 'success', 6000)
+    }
+  } catch (error) {
+    console.error('チェックテスト採点エラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || 'こたえあわせに失敗しました'), 'error')
+  } finally {
+    if (button) button.disabled = false
+  }
+}
+
+// グローバルスコープに関数を登録
+window.showHelpMenu = showHelpMenu
+window.closeHelpMenu = closeHelpMenu
+window.showHints = showHints
+window.toggleHint = toggleHint
+window.showAITeacher = showAITeacher
+window.askAI = askAI
+window.cancelAIStream = cancelAIStream
+window.showNarrativeTimeline = showNarrativeTimeline
+window.submitCheckTestAnswer = submitCheckTestAnswer
+window.callTeacher = callTeacher
+window.askFriend = askFriend
+window.setUnderstanding = setUnderstanding
+window.showAnswer = showAnswer
+window.submitCardAnswer = submitCardAnswer
+window.previewAnswerPhoto = previewAnswerPhoto
+window.loadSubmissionReview = loadSubmissionReview
+window.reviewSubmission = reviewSubmission
+window.toggleCardAnswerRelease = toggleCardAnswerRelease
+window.showSubmissionPhoto = showSubmissionPhoto
+window.toggleHintPanel = toggleHintPanel
+window.saveProgress = saveProgress
+window.loadLearningPlan = loadLearningPlan
+window.loadAnswersTab = loadAnswersTab
+window.savePlanReflection = savePlanReflection
+window.requestAIFeedback = requestAIFeedback
+
+// ============================================
+// 学習計画表ページ
+// ============================================
+async function loadLearningPlan(curriculumId) {
+  state.currentView = 'plan'
+  
+  try {
+    // カリキュラム情報取得
+    const currResponse = await axios.get(`/api/curriculum/${curriculumId}`)
+    const { curriculum, courses } = currResponse.data
+    
+    // 既存の計画を取得
+    const plansResponse = await axios.get(`/api/plans/${state.student.id}/${curriculumId}`)
     const existingPlans = plansResponse.data
     
     // 学習カードリストを取得（選択したコース用）
@@ -3104,7 +3781,9 @@ async function loadAnswersTab(curriculumId) {
                     </div>
                   ` : ''}
                   
-                  ${!answer.answer_content && !answer.explanation ? `
+                  ${answer.answer_locked ? `
+                    <p class="text-gray-500 text-sm"><i class="fas fa-lock mr-1"></i>学習カードで自分のこたえを出すと見られるよ</p>
+                  ` : !answer.answer_content && !answer.explanation ? `
                     <p class="text-gray-500 text-sm">解答は準備中です</p>
                   ` : ''}
                 </div>
@@ -3222,7 +3901,7 @@ async function loadAnswersTab(curriculumId) {
 // ============================================
 async function loadProgressBoard(curriculumId, curriculumId2 = null) {
   state.currentView = 'progress'
-  showLoading('進捗ボードを読み込み中...')
+  loadingManager.show('進捗ボードを読み込み中...')
   
   try {
     // カリキュラム情報取得
@@ -3234,13 +3913,20 @@ async function loadProgressBoard(curriculumId, curriculumId2 = null) {
       curriculums.push(response.data)
     }
     
-    // 進捗ボードデータ取得（新しいAPI）
+    // 進捗ボードデータ取得（全件。以降の自動更新は差分で取得する）
     const progressResponse = await axios.get(
       `/api/progress-board/class/${state.student.classCode}?curriculumIds=${curriculumIds}`
     )
     const progressData = progressResponse.data
+    progressBoardCache = {
+      classCode: state.student.classCode,
+      curriculumIds,
+      cursor: progressData.cursor,
+      students: progressData.students,
+      serverOffset: Date.now() - Date.parse(progressData.timestamp)
+    }
     
-    hideLoading()
+    loadingManager.hide()
     
     const app = document.getElementById('app')
     app.innerHTML = `
@@ -3262,19 +3948,29 @@ async function loadProgressBoard(curriculumId, curriculumId2 = null) {
               <!-- 自動更新トグル -->
               <label class="inline-flex items-center cursor-pointer">
                 <input type="checkbox" id="autoRefreshToggle" class="sr-only peer" 
-                       onchange="toggleAutoRefresh(${curriculumId})">
+                       onchange="toggleAutoRefresh(${curriculumId})" ${autoRefreshInterval ? 'checked' : ''}>
                 <div class="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
                 <span class="ms-2 text-xs md:text-sm font-medium text-gray-600">自動更新</span>
               </label>
               
+              <!-- クラスへの連絡 -->
+              <button onclick="showClassMessageModal()" 
+                      class="bg-indigo-500 hover:bg-indigo-600 text-white px-3 py-1 rounded text-sm">
+                <i class="fas fa-bullhorn mr-1"></i>連絡
+              </button>
+              
               <!-- PDF出力 -->
               <button onclick="exportProgressToPDF()" 
                       class="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded text-sm">
                 <i class="fas fa-file-pdf mr-1"></i>PDF
               </button>
+              <button onclick="exportClassStudentReports()" 
+                      class="bg-red-400 hover:bg-red-500 text-white px-3 py-1 rounded text-sm">
+                <i class="fas fa-file-pdf mr-1"></i>個人レポート
+              </button>
               
               <!-- 手動更新 -->
-              <button onclick="loadProgressBoard(${curriculumId})" 
+              <button onclick="loadProgressBoard(${curriculumId}${curriculumId2 ? `, ${curriculumId2}` : ''})" 
                       class="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded text-sm">
                 <i class="fas fa-sync-alt mr-1"></i>更新
               </button>
@@ -3326,7 +4022,9 @@ async function loadProgressBoard(curriculumId, curriculumId2 = null) {
             </div>
             
             <!-- 生徒ごとの進捗行 -->
-            ${generateProgressBoardRows(progressData.students, curriculums)}
+            <div id="progressBoardRows">
+              ${generateProgressBoardRows(progressData.students, curriculums)}
+            </div>
           </div>
         </div>
 
@@ -3336,10 +4034,10 @@ async function loadProgressBoard(curriculumId, curriculumId2 = null) {
           <div class="bg-orange-50 border-l-4 border-orange-500 rounded-lg p-3">
             <h3 class="text-sm md:text-base font-bold text-orange-800 mb-2 flex items-center">
               <i class="fas fa-hand-paper mr-2"></i>
-              ヘルプ要請中（${countHelpRequests(progressData.students)}名）
+              ヘルプ要請中（<span id="helpRequestCount">-</span>件）
             </h3>
-            <div class="space-y-2 max-h-48 overflow-y-auto text-xs md:text-sm">
-              ${generateHelpRequestList(progressData.students)}
+            <div id="helpRequestList" class="space-y-2 max-h-48 overflow-y-auto text-xs md:text-sm">
+              <div class="text-gray-500 text-center py-2">読み込み中...</div>
             </div>
           </div>
 
@@ -3347,21 +4045,40 @@ async function loadProgressBoard(curriculumId, curriculumId2 = null) {
           <div class="bg-red-50 border-l-4 border-red-500 rounded-lg p-3">
             <h3 class="text-sm md:text-base font-bold text-red-800 mb-2 flex items-center">
               <i class="fas fa-exclamation-triangle mr-2"></i>
-              停滞中（${countStagnant(progressData.students)}名）
+              停滞中（<span id="stagnantCount">${countStagnant(progressData.students)}</span>名）
             </h3>
-            <div class="space-y-2 max-h-48 overflow-y-auto text-xs md:text-sm">
+            <div id="stagnantList" class="space-y-2 max-h-48 overflow-y-auto text-xs md:text-sm">
               ${generateStagnantList(progressData.students)}
             </div>
           </div>
         </div>
 
+        <!-- 提出された答え -->
+        <div class="bg-white rounded-lg shadow-md p-3 mt-3">
+          <div class="flex items-center justify-between mb-3">
+            <h3 class="text-sm md:text-base font-bold text-gray-800 flex items-center">
+              <i class="fas fa-inbox mr-2"></i>
+              提出された答え
+            </h3>
+            <select id="submissionStatusFilter" onchange="loadSubmissionReview(${curriculumId})"
+                    class="border border-gray-300 rounded px-2 py-1 text-xs md:text-sm">
+              <option value="pending">未確認</option>
+              <option value="needs_revision">やり直し</option>
+              <option value="">すべて</option>
+            </select>
+          </div>
+          <div id="submissionReviewPanel" class="space-y-3 text-xs md:text-sm">
+            <p class="text-gray-500">読み込み中...</p>
+          </div>
+        </div>
+
         <!-- ヘルプ統計 -->
         <div class="bg-white rounded-lg shadow-md p-3 mt-3">
           <h3 class="text-sm md:text-base font-bold text-gray-800 mb-3 flex items-center">
             <i class="fas fa-chart-pie mr-2"></i>
             ヘルプの種類別統計
           </h3>
-          <div class="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs md:text-sm">
+          <div id="helpStatsGrid" class="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs md:text-sm">
             ${generateHelpStatsNew(progressData.students)}
           </div>
               <i class="fas fa-microscope mr-2"></i>
@@ -3394,18 +4111,161 @@ async function loadProgressBoard(curriculumId, curriculumId2 = null) {
                       class="bg-gradient-to-r from-purple-500 to-purple-600 hover:from-purple-600 hover:to-purple-700 text-white px-4 py-2 rounded-lg transition-all shadow text-xs md:text-sm font-bold">
                 <i class="fas fa-calendar-alt mr-2"></i>月次レポート
               </button>
+              <button onclick="showRosterImport()" 
+                      class="col-span-2 bg-gradient-to-r from-indigo-500 to-indigo-600 hover:from-indigo-600 hover:to-indigo-700 text-white px-4 py-2 rounded-lg transition-all shadow text-xs md:text-sm font-bold">
+                <i class="fas fa-file-csv mr-2"></i>名簿の一括取り込み（CSV）
+              </button>
+              <button onclick="showGuardianLinks()" 
+                      class="col-span-2 bg-gradient-to-r from-teal-500 to-teal-600 hover:from-teal-600 hover:to-teal-700 text-white px-4 py-2 rounded-lg transition-all shadow text-xs md:text-sm font-bold">
+                <i class="fas fa-house-user mr-2"></i>保護者の紐づけ
+              </button>
+              <button onclick="showAuditLogs()" 
+                      class="col-span-2 bg-gradient-to-r from-gray-600 to-gray-700 hover:from-gray-700 hover:to-gray-800 text-white px-4 py-2 rounded-lg transition-all shadow text-xs md:text-sm font-bold">
+                <i class="fas fa-clipboard-list mr-2"></i>監査ログ
+              </button>
             </div>
           </div>
         </div>
       </div>
     `
+    
+    loadHelpQueue()
+    loadSubmissionReview(curriculumId)
   } catch (error) {
     console.error('進捗ボード読み込みエラー:', error)
-    hideLoading()
+    loadingManager.hide()
     alert('データの読み込みに失敗しました: ' + error.message)
   }
 }
 
+// 提出された答えの確認（学習カードごとにまとめて表示）
+async function loadSubmissionReview(curriculumId) {
+  const panel = document.getElementById('submissionReviewPanel')
+  if (!panel) return
+  
+  const status = document.getElementById('submissionStatusFilter')?.value ?? 'pending'
+  
+  try {
+    const params = new URLSearchParams({ curriculum_id: curriculumId })
+    if (status) params.set('status', status)
+    const response = await axios.get(`/api/submissions/class/${state.student.classCode}?${params}`)
+    const { submissions, releasedCardIds } = response.data
+    
+    if (submissions.length === 0) {
+      panel.innerHTML = '<p class="text-gray-500">該当する提出はありません</p>'
+      return
+    }
+    
+    const cards = new Map()
+    submissions.forEach(submission => {
+      if (!cards.has(submission.learning_card_id)) cards.set(submission.learning_card_id, [])
+      cards.get(submission.learning_card_id).push(submission)
+    })
+    
+    panel.innerHTML = [...cards.entries()].map(([cardId, items]) => {
+      const first = items[0]
+      const released = releasedCardIds.includes(cardId)
+      return `
+        <div class="border rounded-lg p-3">
+          <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <div class="font-bold text-gray-800">
+              ${escapeHtml(first.course_display_name || '')} カード${first.card_number}「${escapeHtml(first.card_title)}」
+              <span class="ml-2 text-gray-500 font-normal">${items.length}件</span>
+            </div>
+            <button onclick="toggleCardAnswerRelease(${cardId}, ${released}, ${curriculumId})"
+                    class="${released ? 'bg-gray-500 hover:bg-gray-600' : 'bg-indigo-500 hover:bg-indigo-600'} text-white px-3 py-1 rounded text-xs">
+              <i class="fas ${released ? 'fa-lock' : 'fa-lock-open'} mr-1"></i>${released ? '解答の公開をやめる' : '解答をクラスに公開'}
+            </button>
+          </div>
+          ${first.official_answer ? `
+            <p class="text-gray-600 mb-2"><span class="font-bold">解答:</span> ${escapeHtml(first.official_answer)}</p>
+          ` : ''}
+          <div class="space-y-2">
+            ${items.map(item => `
+              <div class="bg-gray-50 rounded p-2 flex flex-wrap items-start gap-2">
+                <div class="w-28 font-bold text-gray-800">
+                  ${escapeHtml(item.student_name)}
+                  <div class="text-gray-500 font-normal">${item.attempt_number}回目</div>
+                </div>
+                <div class="flex-1 min-w-[200px]">
+                  <p class="whitespace-pre-wrap text-gray-800">${escapeHtml(item.answer_text || '（写真のみ）')}</p>
+                  <div class="mt-1 flex items-center gap-2 text-gray-500">
+                    <span class="${item.auto_result === 'correct' ? 'text-green-700' : item.auto_result === 'incorrect' ? 'text-orange-600' : ''}">
+                      自動照合: ${item.auto_result === 'correct' ? '一致' : item.auto_result === 'incorrect' ? '不一致' : 'なし'}
+                    </span>
+                    ${item.has_photo ? `
+                      <button onclick="showSubmissionPhoto(${item.id})" class="text-indigo-600 hover:underline">
+                        <i class="fas fa-image mr-1"></i>写真
+                      </button>
+                    ` : ''}
+                    <span>${escapeHtml(item.created_at)}</span>
+                  </div>
+                </div>
+                <div class="flex flex-col gap-1 w-56">
+                  <input type="text" id="submissionComment-${item.id}" value="${escapeHtml(item.teacher_comment || '')}"
+                         placeholder="コメント（任意）" class="border border-gray-300 rounded px-2 py-1">
+                  <div class="flex gap-1">
+                    <button onclick="reviewSubmission(${item.id}, 'correct', ${curriculumId})"
+                            class="flex-1 ${item.review_status === 'correct' ? 'bg-green-700' : 'bg-green-500 hover:bg-green-600'} text-white px-2 py-1 rounded">⭕ OK</button>
+                    <button onclick="reviewSubmission(${item.id}, 'needs_revision', ${curriculumId})"
+                            class="flex-1 ${item.review_status === 'needs_revision' ? 'bg-orange-700' : 'bg-orange-500 hover:bg-orange-600'} text-white px-2 py-1 rounded">やり直し</button>
+                  </div>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `
+    }).join('')
+  } catch (error) {
+    console.error('提出一覧取得エラー:', error)
+    panel.innerHTML = '<p class="text-red-600">提出一覧の読み込みに失敗しました</p>'
+  }
+}
+
+async function reviewSubmission(submissionId, reviewStatus, curriculumId) {
+  try {
+    await axios.put(`/api/submissions/${submissionId}/review`, {
+      review_status: reviewStatus,
+      teacher_comment: document.getElementById(`submissionComment-${submissionId}`)?.value.trim() || null
+    })
+    showToast(reviewStatus === 'correct' ? '⭕ 確認済みにしました' : 'やり直しを伝えました', 'success')
+    loadSubmissionReview(curriculumId)
+  } catch (error) {
+    console.error('提出確認エラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || '提出の確認に失敗しました'), 'error')
+  }
+}
+
+async function toggleCardAnswerRelease(cardId, released, curriculumId) {
+  try {
+    await axios({ method: released ? 'delete' : 'post', url: `/api/cards/${cardId}/answer-release?class_code=${encodeURIComponent(state.student.classCode)}` })
+    showToast(released ? '解答の公開をやめました' : '解答をクラスに公開しました', 'success')
+    loadSubmissionReview(curriculumId)
+  } catch (error) {
+    console.error('解答公開エラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || '解答の公開設定に失敗しました'), 'error')
+  }
+}
+
+async function showSubmissionPhoto(submissionId) {
+  try {
+    const response = await axios.get(`/api/submissions/${submissionId}/photo`)
+    const modal = document.createElement('div')
+    modal.className = 'fixed inset-0 bg-black bg-opacity-70 z-50 flex items-center justify-center p-4'
+    modal.onclick = () => modal.remove()
+    const image = document.createElement('img')
+    image.src = response.data.photo
+    image.alt = '提出された写真'
+    image.className = 'max-w-full max-h-full rounded-lg shadow-xl bg-white'
+    modal.appendChild(image)
+    document.body.appendChild(modal)
+  } catch (error) {
+    console.error('提出写真取得エラー:', error)
+    showToast('写真の読み込みに失敗しました', 'error')
+  }
+}
+
 // 進捗バー生成
 function generateProgressBars(studentProgress, courses) {
   let html = ''
@@ -3881,9 +4741,14 @@ async function loadEvaluationPage(curriculumId) {
 
         <!-- 評価フォーム（生徒選択後に表示） -->
         <div id="evaluationForm"></div>
+        
+        <!-- バッジルール設定 -->
+        <div id="badgeRulesPanel" class="mt-6"></div>
       </div>
     `
     
+    loadBadgeRules(curriculumId)
+    
     // 生徒選択イベント
     document.getElementById('studentSelect').addEventListener('change', async (e) => {
       const studentId = e.target.value
@@ -3982,8 +4847,8 @@ async function loadStudentEvaluation(studentId, curriculumId) {
             ${badges.map(badge => `
               <div class="bg-yellow-50 border-2 border-yellow-300 rounded-lg p-4 text-center">
                 <i class="fas fa-medal text-yellow-600 text-4xl mb-2"></i>
-                <h3 class="font-bold text-gray-800">${badge.badge_name}</h3>
-                <p class="text-sm text-gray-600 mt-1">${badge.badge_description}</p>
+                <h3 class="font-bold text-gray-800">${escapeHtml(badge.badge_name)}</h3>
+                <p class="text-sm text-gray-600 mt-1">${escapeHtml(badge.badge_description)}</p>
                 <p class="text-xs text-gray-500 mt-2">${new Date(badge.earned_at).toLocaleDateString('ja-JP')}</p>
               </div>
             `).join('')}
@@ -4003,10 +4868,10 @@ async function loadStudentEvaluation(studentId, curriculumId) {
             ${narratives.map(narrative => `
               <div class="border-l-4 border-blue-500 pl-4 py-2">
                 <h3 class="font-bold text-gray-800">
-                  第${narrative.chapter_number}章: ${narrative.chapter_title}
+                  第${narrative.chapter_number}章: ${escapeHtml(narrative.chapter_title)}
                   ${narrative.milestone_reached ? '<i class="fas fa-flag-checkered text-green-600 ml-2"></i>' : ''}
                 </h3>
-                <p class="text-gray-700 mt-2">${narrative.story_content}</p>
+                <p class="text-gray-700 mt-2">${escapeHtml(narrative.story_content)}</p>
               </div>
             `).join('')}
           </div>
@@ -4026,51 +4891,202 @@ async function loadStudentEvaluation(studentId, curriculumId) {
   }
 }
 
-// 3観点評価レンダリング
-function renderThreePointEvaluation(label, key, data) {
-  const value = data[key] || ''
-  const comment = data[`${key}_comment`] || ''
-  
-  return `
-    <div class="mb-6 pb-6 border-b border-gray-200">
-      <label class="block text-sm font-bold text-gray-700 mb-2">${label}</label>
-      <div class="flex items-center space-x-4 mb-2">
-        <label class="flex items-center">
-          <input type="radio" name="${key}" value="A" ${value === 'A' ? 'checked' : ''}
-            class="mr-2 w-5 h-5 text-green-600">
-          <span class="text-lg font-bold text-green-600">A</span>
-          <span class="text-sm text-gray-600 ml-1">（十分満足できる）</span>
-        </label>
-        <label class="flex items-center">
-          <input type="radio" name="${key}" value="B" ${value === 'B' ? 'checked' : ''}
-            class="mr-2 w-5 h-5 text-blue-600">
-          <span class="text-lg font-bold text-blue-600">B</span>
-          <span class="text-sm text-gray-600 ml-1">（おおむね満足できる）</span>
-        </label>
-        <label class="flex items-center">
-          <input type="radio" name="${key}" value="C" ${value === 'C' ? 'checked' : ''}
-            class="mr-2 w-5 h-5 text-red-600">
-          <span class="text-lg font-bold text-red-600">C</span>
-          <span class="text-sm text-gray-600 ml-1">（努力を要する）</span>
-        </label>
-      </div>
-      <textarea id="${key}_comment" rows="2" 
-        class="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-        placeholder="具体的な評価コメントを記入してください"
-      >${comment}</textarea>
-    </div>
-  `
-}
-
-// 非認知能力評価レンダリング
-function renderNonCognitiveEvaluation(label, key, data, description) {
-  const value = data[key] || 0
-  const comment = data[`${key}_comment`] || ''
+// バッジルール設定パネル
+async function loadBadgeRules(curriculumId) {
+  const panel = document.getElementById('badgeRulesPanel')
+  if (!panel) return
   
-  return `
-    <div class="mb-6 pb-6 border-b border-gray-200">
-      <label class="block text-sm font-bold text-gray-700 mb-1">${label}</label>
-      <p class="text-xs text-gray-500 mb-2">${description}</p>
+  try {
+    const response = await axios.get(`/api/badges/rules/${curriculumId}`)
+    const { rules, badgeTypes, ruleTypes, actionTypes } = response.data
+    const badgeTypeLabels = {
+      completion: 'やりきった',
+      help_giver: 'おたすけ',
+      perseverance: 'ねばり強さ',
+      creativity: 'ひらめき'
+    }
+    
+    panel.innerHTML = `
+      <div class="bg-white rounded-lg shadow-md p-6">
+        <div class="flex justify-between items-center mb-4">
+          <h2 class="text-xl font-bold text-gray-800">
+            <i class="fas fa-award mr-2"></i>バッジルール
+          </h2>
+          <button onclick="evaluateBadgeRules(${curriculumId})"
+            class="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 text-sm">
+            <i class="fas fa-sync mr-1"></i>クラス全員を再判定
+          </button>
+        </div>
+        
+        <table class="w-full text-sm mb-6">
+          <thead>
+            <tr class="border-b text-left text-gray-600">
+              <th class="py-2">バッジ</th>
+              <th class="py-2">種類</th>
+              <th class="py-2">条件</th>
+              <th class="py-2 text-center">獲得人数</th>
+              <th class="py-2 text-center">有効</th>
+              <th class="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rules.map(rule => `
+              <tr class="border-b ${rule.is_active ? '' : 'text-gray-400'}">
+                <td class="py-2">
+                  <div class="font-bold">${escapeHtml(rule.badge_name)}</div>
+                  <div class="text-xs text-gray-500">${escapeHtml(rule.badge_description || '')}</div>
+                </td>
+                <td class="py-2">${badgeTypeLabels[rule.badge_type] || escapeHtml(rule.badge_type)}</td>
+                <td class="py-2">
+                  ${escapeHtml(ruleTypes[rule.rule_type] || rule.rule_type)}${rule.action_type ? `（${escapeHtml(actionTypes[rule.action_type] || rule.action_type)}）` : ''}
+                  ≧ ${rule.threshold}
+                </td>
+                <td class="py-2 text-center">${rule.awarded_count}</td>
+                <td class="py-2 text-center">
+                  ${rule.curriculum_id === null
+                    ? '<span class="text-xs text-gray-500">既定</span>'
+                    : `<input type="checkbox" ${rule.is_active ? 'checked' : ''}
+                        onchange="toggleBadgeRule(${rule.id}, this.checked, ${curriculumId})">`}
+                </td>
+                <td class="py-2 text-right">
+                  ${rule.curriculum_id === null ? '' : `
+                    <button onclick="deleteBadgeRule(${rule.id}, ${curriculumId})" class="text-red-500 hover:text-red-700">
+                      <i class="fas fa-trash"></i>
+                    </button>
+                  `}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        
+        <h3 class="font-bold text-gray-700 mb-2">この単元のバッジを追加</h3>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input id="badgeRuleName" type="text" placeholder="バッジ名" class="px-3 py-2 border rounded-lg">
+          <select id="badgeRuleBadgeType" class="px-3 py-2 border rounded-lg">
+            ${badgeTypes.map(type => `<option value="${type}">${badgeTypeLabels[type] || type}</option>`).join('')}
+          </select>
+          <input id="badgeRuleDescription" type="text" placeholder="説明（児童に表示されます）" class="px-3 py-2 border rounded-lg">
+          <select id="badgeRuleType" class="px-3 py-2 border rounded-lg"
+            onchange="document.getElementById('badgeRuleActionType').classList.toggle('hidden', this.value !== 'action_count')">
+            ${Object.entries(ruleTypes).map(([type, label]) => `<option value="${type}">${escapeHtml(label)}</option>`).join('')}
+          </select>
+          <select id="badgeRuleActionType" class="hidden px-3 py-2 border rounded-lg">
+            ${Object.entries(actionTypes).map(([type, label]) => `<option value="${type}">${escapeHtml(label)}</option>`).join('')}
+          </select>
+          <input id="badgeRuleThreshold" type="number" min="1" value="1" class="px-3 py-2 border rounded-lg">
+        </div>
+        <div class="flex justify-end mt-3">
+          <button onclick="createBadgeRule(${curriculumId})"
+            class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+            <i class="fas fa-plus mr-2"></i>追加
+          </button>
+        </div>
+      </div>
+    `
+  } catch (error) {
+    console.error('バッジルール取得エラー:', error)
+    panel.innerHTML = ''
+  }
+}
+
+async function createBadgeRule(curriculumId) {
+  try {
+    await axios.post('/api/badges/rules', {
+      curriculum_id: curriculumId,
+      badge_name: document.getElementById('badgeRuleName').value,
+      badge_type: document.getElementById('badgeRuleBadgeType').value,
+      badge_description: document.getElementById('badgeRuleDescription').value,
+      rule_type: document.getElementById('badgeRuleType').value,
+      action_type: document.getElementById('badgeRuleActionType').value,
+      threshold: parseInt(document.getElementById('badgeRuleThreshold').value, 10)
+    })
+    showToast('バッジルールを追加しました', 'success')
+    loadBadgeRules(curriculumId)
+  } catch (error) {
+    console.error('バッジルール作成エラー:', error)
+    alert(error.response?.data?.error || 'バッジルールの追加に失敗しました')
+  }
+}
+
+async function toggleBadgeRule(ruleId, isActive, curriculumId) {
+  try {
+    await axios.put(`/api/badges/rules/${ruleId}`, { is_active: isActive })
+    loadBadgeRules(curriculumId)
+  } catch (error) {
+    console.error('バッジルール更新エラー:', error)
+    alert(error.response?.data?.error || 'バッジルールの更新に失敗しました')
+  }
+}
+
+async function deleteBadgeRule(ruleId, curriculumId) {
+  if (!confirm('このバッジルールを削除しますか？（獲得済みのバッジは残ります）')) return
+  
+  try {
+    await axios.delete(`/api/badges/rules/${ruleId}`)
+    loadBadgeRules(curriculumId)
+  } catch (error) {
+    console.error('バッジルール削除エラー:', error)
+    alert(error.response?.data?.error || 'バッジルールの削除に失敗しました')
+  }
+}
+
+async function evaluateBadgeRules(curriculumId) {
+  try {
+    const response = await axios.post(`/api/badges/rules/${curriculumId}/evaluate`)
+    showToast(response.data.message, 'success')
+    loadBadgeRules(curriculumId)
+  } catch (error) {
+    console.error('バッジ再判定エラー:', error)
+    alert('バッジの再判定に失敗しました')
+  }
+}
+
+// 3観点評価レンダリング
+function renderThreePointEvaluation(label, key, data) {
+  const value = data[key] || ''
+  const comment = data[`${key}_comment`] || ''
+  
+  return `
+    <div class="mb-6 pb-6 border-b border-gray-200">
+      <label class="block text-sm font-bold text-gray-700 mb-2">${label}</label>
+      <div class="flex items-center space-x-4 mb-2">
+        <label class="flex items-center">
+          <input type="radio" name="${key}" value="A" ${value === 'A' ? 'checked' : ''}
+            class="mr-2 w-5 h-5 text-green-600">
+          <span class="text-lg font-bold text-green-600">A</span>
+          <span class="text-sm text-gray-600 ml-1">（十分満足できる）</span>
+        </label>
+        <label class="flex items-center">
+          <input type="radio" name="${key}" value="B" ${value === 'B' ? 'checked' : ''}
+            class="mr-2 w-5 h-5 text-blue-600">
+          <span class="text-lg font-bold text-blue-600">B</span>
+          <span class="text-sm text-gray-600 ml-1">（おおむね満足できる）</span>
+        </label>
+        <label class="flex items-center">
+          <input type="radio" name="${key}" value="C" ${value === 'C' ? 'checked' : ''}
+            class="mr-2 w-5 h-5 text-red-600">
+          <span class="text-lg font-bold text-red-600">C</span>
+          <span class="text-sm text-gray-600 ml-1">（努力を要する）</span>
+        </label>
+      </div>
+      <textarea id="${key}_comment" rows="2" 
+        class="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        placeholder="具体的な評価コメントを記入してください"
+      >${comment}</textarea>
+    </div>
+  `
+}
+
+// 非認知能力評価レンダリング
+function renderNonCognitiveEvaluation(label, key, data, description) {
+  const value = data[key] || 0
+  const comment = data[`${key}_comment`] || ''
+  
+  return `
+    <div class="mb-6 pb-6 border-b border-gray-200">
+      <label class="block text-sm font-bold text-gray-700 mb-1">${label}</label>
+      <p class="text-xs text-gray-500 mb-2">${description}</p>
       <div class="flex items-center space-x-2 mb-2">
         ${[1, 2, 3, 4, 5].map(level => `
           <label class="flex flex-col items-center cursor-pointer">
@@ -4171,6 +5187,11 @@ window.loadEnvironmentDesignPage = loadEnvironmentDesignPage
 window.saveEnvironmentDesign = saveEnvironmentDesign
 window.loadEvaluationPage = loadEvaluationPage
 window.loadStudentEvaluation = loadStudentEvaluation
+window.loadBadgeRules = loadBadgeRules
+window.createBadgeRule = createBadgeRule
+window.toggleBadgeRule = toggleBadgeRule
+window.deleteBadgeRule = deleteBadgeRule
+window.evaluateBadgeRules = evaluateBadgeRules
 window.saveThreePointEvaluation = saveThreePointEvaluation
 window.saveNonCognitiveEvaluation = saveNonCognitiveEvaluation
 
@@ -4982,11 +6003,13 @@ async function generateProblem() {
   
   try {
     const response = await axios.post('/api/ai/generate-problem', {
+      version: 2,
+      mode: 'similar',
       cardId: state.selectedCardForGeneration,
       difficulty: state.selectedDifficulty || 'normal'
     })
     
-    const problem = response.data
+    const problem = response.data.problem
     
     // 生成された問題を表示
     const problemArea = document.getElementById('generatedProblem')
@@ -4999,17 +6022,17 @@ async function generateProblem() {
         </h2>
         <div class="bg-white text-gray-800 rounded-lg p-6 mb-4">
           <p class="text-lg font-semibold mb-2">問題：</p>
-          <p class="text-xl leading-relaxed">${problem.problem}</p>
+          <p class="text-xl leading-relaxed whitespace-pre-wrap">${escapeHtml(problem.content)}</p>
         </div>
         
         <!-- 答えを表示/非表示 -->
         <div id="answerSection" class="hidden bg-white text-gray-800 rounded-lg p-6 mb-4">
           <p class="text-lg font-semibold text-green-600 mb-2">正解：</p>
-          <p class="text-xl">${problem.answer}</p>
+          <p class="text-xl whitespace-pre-wrap">${escapeHtml(problem.solution)}</p>
           ${problem.explanation ? `
             <div class="mt-4 border-t pt-4">
               <p class="text-sm font-semibold text-gray-600 mb-2">解き方：</p>
-              <p class="text-sm text-gray-700">${problem.explanation}</p>
+              <p class="text-sm text-gray-700">${escapeHtml(problem.explanation)}</p>
             </div>
           ` : ''}
         </div>
@@ -5021,7 +6044,7 @@ async function generateProblem() {
             <i class="fas fa-lightbulb mr-2"></i>
             ヒント：
           </p>
-          <p>${problem.hint}</p>
+          <p>${escapeHtml(problem.hint)}</p>
         </div>
         ` : ''}
         
@@ -5047,7 +6070,7 @@ async function generateProblem() {
     
   } catch (error) {
     console.error('問題生成エラー:', error)
-    alert('問題を生成できませんでした')
+    alert('問題を生成できませんでした' + (error.response?.data?.error ? `（${error.response.data.error}）` : ''))
     generateBtn.disabled = false
     generateBtn.innerHTML = '<i class="fas fa-wand-magic-sparkles mr-2"></i>問題を生成する'
   }
@@ -7603,60 +8626,49 @@ function printGuide() {
   window.print()
 }
 
-// PDF出力機能
-async function downloadGuidePDF(curriculumId) {
+// サーバーで作ったファイルをダウンロード
+async function downloadServerFile(url, filename, params = {}, messages = {}) {
+  showLoading(messages.loading || 'ファイルを作成中...')
+  
   try {
-    // PDF生成中メッセージ
-    const originalContent = document.getElementById('app').innerHTML
-    
-    // ローディング表示
-    const loadingMsg = document.createElement('div')
-    loadingMsg.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50'
-    loadingMsg.innerHTML = `
-      <div class="bg-white rounded-lg p-8 text-center">
-        <i class="fas fa-spinner fa-spin text-4xl text-purple-600 mb-4"></i>
-        <p class="text-xl font-bold text-gray-800">PDF生成中...</p>
-        <p class="text-sm text-gray-600 mt-2">しばらくお待ちください（約10〜30秒）</p>
-      </div>
-    `
-    document.body.appendChild(loadingMsg)
-    
-    // 印刷用の要素を取得
-    const element = document.querySelector('.bg-white.rounded-2xl')
-    
-    if (!element) {
-      throw new Error('印刷対象の要素が見つかりません')
-    }
-    
-    // PDF生成オプション
-    const opt = {
-      margin: 10,
-      filename: `学習のてびき_${state.selectedCurriculum?.unit_name || 'curriculum'}.pdf`,
-      image: { type: 'jpeg', quality: 0.98 },
-      html2canvas: { scale: 2, useCORS: true },
-      jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' }
-    }
-    
-    // PDF生成
-    await html2pdf().set(opt).from(element).save()
-    
-    // ローディング削除
-    document.body.removeChild(loadingMsg)
-    
-    console.log('✅ PDF生成完了')
-    
+    const response = await axios.get(url, { params, responseType: 'blob' })
+    const blobUrl = URL.createObjectURL(response.data)
+    const a = document.createElement('a')
+    a.href = blobUrl
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(blobUrl)
   } catch (error) {
-    console.error('PDF生成エラー:', error)
-    alert(`❌ PDF生成に失敗しました: ${error.message}\n\nブラウザの印刷機能（Ctrl+P）をご利用ください。`)
-    
-    // ローディング削除（エラー時）
-    const loading = document.querySelector('.fixed.inset-0')
-    if (loading) {
-      document.body.removeChild(loading)
-    }
+    console.error('ダウンロードエラー:', error)
+    // responseType: 'blob' なのでエラーの本文も Blob で返る
+    const body = error.response?.data instanceof Blob
+      ? await error.response.data.text().then(text => JSON.parse(text)).catch(() => null)
+      : null
+    showToast(escapeHtml(body?.error || messages.error || 'ファイルの作成に失敗しました'), 'error')
+    return null
+  } finally {
+    hideLoading()
   }
 }
 
+// サーバーで作ったPDFをダウンロード（日本語フォントとふりがなはサーバー側で組む）
+async function downloadServerPdf(url, filename, params = {}) {
+  await downloadServerFile(url, filename, params, {
+    loading: 'PDFを作成中...',
+    error: 'PDFの作成に失敗しました'
+  })
+}
+
+// PDF出力機能
+async function downloadGuidePDF(curriculumId) {
+  await downloadServerPdf(
+    `/api/pdf/curriculum/${curriculumId}`,
+    `学習のてびき_${state.selectedCurriculum?.unit_name || 'curriculum'}.pdf`
+  )
+}
+
 // カードの並び順を保存
 async function saveCardOrder(courseId, courseIndex) {
   try {
@@ -7784,6 +8796,9 @@ window.toggleCardDetail = toggleCardDetail
 window.closeEditModal = closeEditModal
 window.saveEditedCurriculum = saveEditedCurriculum
 window.saveCardOrder = saveCardOrder
+window.searchCurriculumCatalog = searchCurriculumCatalog
+window.selectCatalogTag = selectCatalogTag
+window.editCurriculumTags = editCurriculumTags
 window.duplicateCurriculum = duplicateCurriculum
 window.closeDuplicateModal = closeDuplicateModal
 window.executeDuplicate = executeDuplicate
@@ -7798,6 +8813,8 @@ window.editCheckTest = editCheckTest
 window.saveCheckTest = saveCheckTest
 window.addCheckTestProblem = addCheckTestProblem
 window.deleteCheckTestProblem = deleteCheckTestProblem
+window.editCheckTestProblem = editCheckTestProblem
+window.saveCheckTestProblem = saveCheckTestProblem
 window.editOptionalProblem = editOptionalProblem
 window.saveOptionalProblem = saveOptionalProblem
 window.deleteOptionalProblem = deleteOptionalProblem
@@ -7816,6 +8833,83 @@ window.stopAutoRefresh = stopAutoRefresh
 // 自動更新タイマー
 let autoRefreshInterval = null
 
+// 表示中の進捗ボード（差分更新用）
+let progressBoardCache = null
+
+// 児童×カードの行に、停滞時間・ヘルプ待ち時間・指導介入優先度を付ける
+// サーバー（src/progress-board.ts の applyProgressBoardTimings）と同じ計算。データが変わらなくても時間は進むので毎回計算し直す
+// 理解度は1〜5（1で10分超の停滞、2以下を優先する）
+function applyProgressBoardTimings(row, now) {
+  const minutesSince = (timestamp) =>
+    timestamp ? Math.max(0, Math.floor((now - Date.parse(timestamp.replace(' ', 'T') + 'Z')) / 60000)) : 0
+  const active = row.status === 'in_progress' || row.status === 'help_needed'
+  const waitingHelp = active && !!row.help_requested_at && !row.help_resolved_at
+  const stagnant = active ? minutesSince(row.last_activity_at) : 0
+  const waiting = waitingHelp ? minutesSince(row.help_requested_at) : 0
+  const level = row.understanding_level
+  
+  row.stagnant_minutes = stagnant
+  row.help_waiting_minutes = waiting
+  row.intervention_priority = !active ? 0
+    : waitingHelp ? 100 + waiting
+    : level != null && level <= 1 && stagnant > 10 ? 80 + stagnant
+    : stagnant > 30 ? 60 + stagnant
+    : level != null && level <= 2 ? 40 + (3 - level) * 5
+    : 20
+  return row
+}
+
+// 進捗ボードを差分で更新（変わっていなければ 304 で本文なし）
+async function refreshProgressBoard() {
+  const cache = progressBoardCache
+  if (state.currentView !== 'progress' || !cache || !document.getElementById('progressBoardRows')) {
+    stopAutoRefresh()
+    return
+  }
+  
+  try {
+    const response = await axios.get(`/api/progress-board/class/${cache.classCode}`, {
+      params: { curriculumIds: cache.curriculumIds, since: cache.cursor },
+      headers: { 'If-None-Match': `"${cache.cursor}"` },
+      validateStatus: status => status === 200 || status === 304
+    })
+    
+    if (response.status === 200) {
+      const data = response.data
+      if (data.full) {
+        cache.students = data.students
+      } else {
+        const changed = new Map(data.students.map(student => [student.student_id, student]))
+        cache.students = cache.students.map(student => changed.get(student.student_id) || student)
+      }
+      cache.cursor = data.cursor
+      cache.serverOffset = Date.now() - Date.parse(data.timestamp)
+    }
+    
+    // 時間で変わる値を計算し直して、優先度順に並べ替え
+    const now = Date.now() - cache.serverOffset
+    cache.students.forEach(student => {
+      student.curriculums.forEach(curr => {
+        curr.card_progress.forEach(row => applyProgressBoardTimings(row, now))
+        curr.intervention_priority = Math.max(0, ...curr.card_progress.map(p => p.intervention_priority))
+        curr.has_help_request = curr.card_progress.some(p => p.help_requested_at && !p.help_resolved_at)
+      })
+    })
+    cache.students.sort((a, b) =>
+      Math.max(0, ...b.curriculums.map(c => c.intervention_priority)) -
+      Math.max(0, ...a.curriculums.map(c => c.intervention_priority))
+    )
+    
+    document.getElementById('progressBoardRows').innerHTML = generateProgressBoardRows(cache.students)
+    loadHelpQueue()
+    document.getElementById('stagnantCount').textContent = countStagnant(cache.students)
+    document.getElementById('stagnantList').innerHTML = generateStagnantList(cache.students)
+    document.getElementById('helpStatsGrid').innerHTML = generateHelpStatsNew(cache.students)
+  } catch (error) {
+    console.error('進捗ボード更新エラー:', error)
+  }
+}
+
 // 自動更新開始
 function startAutoRefresh(curriculumId, intervalSeconds = 30) {
   if (autoRefreshInterval) {
@@ -7824,7 +8918,7 @@ function startAutoRefresh(curriculumId, intervalSeconds = 30) {
   
   autoRefreshInterval = setInterval(() => {
     console.log('🔄 進捗ボードを自動更新中...')
-    loadProgressBoard(curriculumId)
+    refreshProgressBoard()
   }, intervalSeconds * 1000)
   
   console.log(`✅ 自動更新を開始しました（${intervalSeconds}秒ごと）`)
@@ -7852,6 +8946,108 @@ function toggleAutoRefresh(curriculumId) {
 }
 window.toggleAutoRefresh = toggleAutoRefresh
 
+// 先生からの連絡（クラス全体へのお知らせ、または児童ひとりへのメッセージ）
+// studentId を指定するとその児童への返信（ヘルプ要請一覧から開く）
+async function showClassMessageModal(studentId = null, cardId = null) {
+  const classCode = progressBoardCache?.classCode || state.student.classCode
+  const student = studentId ? progressBoardCache?.students.find(s => s.student_id === studentId) : null
+  const card = cardId
+    ? student?.curriculums.flatMap(c => c.card_progress).find(p => p.card_id === cardId)
+    : null
+  
+  document.getElementById('classMessageModal')?.remove()
+  const modal = document.createElement('div')
+  modal.id = 'classMessageModal'
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+  modal.innerHTML = `
+    <div class="bg-white rounded-lg shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+      <div class="flex items-center justify-between mb-4">
+        <h2 class="text-xl font-bold text-indigo-600">
+          <i class="fas ${student ? 'fa-envelope' : 'fa-bullhorn'} mr-2"></i>
+          ${student ? `${escapeHtml(student.student_name)}さんへのメッセージ` : 'クラスへのお知らせ'}
+        </h2>
+        <button onclick="document.getElementById('classMessageModal').remove()" class="text-gray-500 hover:text-gray-700">
+          <i class="fas fa-times text-xl"></i>
+        </button>
+      </div>
+      ${card ? `<div class="text-sm text-gray-600 mb-2">カード: ${escapeHtml(card.card_title || '')}</div>` : ''}
+      <textarea id="classMessageBody" rows="3" maxlength="200"
+                class="w-full border-2 border-gray-300 rounded-lg p-3 focus:border-indigo-500 focus:outline-none"
+                placeholder="${student ? '例：いま行くので、図をかいて待っていてね' : '例：あと5分です / みんなカード3を見てください'}"></textarea>
+      ${student ? '' : `
+        <div class="flex flex-wrap gap-2 mt-2">
+          ${['あと5分です', 'みんなカード3を見てください', '手を止めて前を見てください'].map(text => `
+            <button onclick="document.getElementById('classMessageBody').value = '${text}'"
+                    class="text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded">${text}</button>
+          `).join('')}
+        </div>
+      `}
+      <button onclick="sendClassMessage('${escapeHtml(classCode)}', ${studentId || 'null'}, ${cardId || 'null'})"
+              class="w-full mt-4 bg-indigo-500 hover:bg-indigo-600 text-white font-bold py-2 rounded-lg">
+        <i class="fas fa-paper-plane mr-2"></i>送る
+      </button>
+      <h3 class="font-bold text-gray-700 mt-6 mb-2">今日送った連絡</h3>
+      <div id="classMessageList" class="space-y-2 text-sm">
+        <div class="text-gray-500 text-center py-2">読み込み中...</div>
+      </div>
+    </div>
+  `
+  document.body.appendChild(modal)
+  document.getElementById('classMessageBody').focus()
+  loadClassMessageList(classCode)
+}
+
+// 今日送った連絡と「わかった」の数
+async function loadClassMessageList(classCode) {
+  const list = document.getElementById('classMessageList')
+  if (!list) return
+  
+  try {
+    const response = await axios.get(`/api/class-messages/class/${encodeURIComponent(classCode)}`)
+    const messages = response.data.messages
+    list.innerHTML = messages.length === 0
+      ? '<div class="text-gray-500 text-center py-2">まだありません</div>'
+      : messages.map(message => `
+        <div class="border rounded p-2">
+          <div class="flex items-center justify-between text-xs text-gray-500">
+            <span>${message.recipient_name ? `${escapeHtml(message.recipient_name)}さんへ` : 'クラス全体'}・${escapeHtml(message.created_at.slice(11, 16))}</span>
+            <span class="${message.acknowledged_count === message.recipient_count ? 'text-green-600' : 'text-orange-600'}">
+              わかった ${message.acknowledged_count}/${message.recipient_count}
+            </span>
+          </div>
+          <div class="text-gray-800 mt-1">${escapeHtml(message.body)}</div>
+        </div>
+      `).join('')
+  } catch (error) {
+    console.error('連絡一覧取得エラー:', error)
+    list.innerHTML = '<div class="text-red-500 text-center py-2">読み込みに失敗しました</div>'
+  }
+}
+
+async function sendClassMessage(classCode, studentId, cardId) {
+  const body = document.getElementById('classMessageBody').value.trim()
+  if (!body) {
+    showToast('連絡の内容を入力してください', 'warning')
+    return
+  }
+  
+  try {
+    const response = await axios.post(`/api/class-messages/class/${encodeURIComponent(classCode)}`, {
+      body,
+      recipient_id: studentId,
+      learning_card_id: cardId
+    })
+    document.getElementById('classMessageBody').value = ''
+    showToast(`送りました（${response.data.recipientCount}人）`, 'success')
+    loadClassMessageList(classCode)
+  } catch (error) {
+    console.error('連絡送信エラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || '連絡の送信に失敗しました'), 'error')
+  }
+}
+window.showClassMessageModal = showClassMessageModal
+window.sendClassMessage = sendClassMessage
+
 // 児童詳細モーダル表示
 function showStudentDetail(studentData) {
   const student = typeof studentData === 'string' ? JSON.parse(studentData) : studentData
@@ -8022,7 +9218,9 @@ function showStudentDetail(studentData) {
                         status === 'failed' ? '✗ 不合格' :
                         status === 'in_progress' ? '実施中' : '未実施'}
                     </div>
-                    ${test && test.attempts > 0 ? `<div class="text-xs text-gray-500 mt-1">${test.attempts}回挑戦</div>` : ''}
+                    ${test && test.attempts > 0 ? `<div class="text-xs text-gray-500 mt-1">${test.attempts}回挑戦${
+                      test.first_attempt_correct === 1 ? '（1回目で正解）' : test.first_attempt_correct === 0 ? '（1回目は不正解）' : ''
+                    }</div>` : ''}
                   </div>
                 `
               }).join('')}
@@ -8109,7 +9307,7 @@ function showStudentDetail(studentData) {
 
         <!-- アクションボタン -->
         <div class="mt-6 pt-6 border-t border-gray-200 flex gap-3">
-          <button onclick="exportStudentReport('${student.student_id}')" 
+          <button onclick="exportStudentReport('${student.student_id}', ${currProgress.curriculum_id || 'null'})" 
                   class="flex-1 bg-gradient-to-r from-blue-500 to-blue-600 text-white px-6 py-3 rounded-lg hover:from-blue-600 hover:to-blue-700 transition-all shadow-md">
             <i class="fas fa-file-pdf mr-2"></i>個人レポート出力
           </button>
@@ -8165,80 +9363,225 @@ function getUnderstandingEmoji(level) {
   return '😢'
 }
 
-// PDF出力機能
+// 進捗一覧のPDF出力（進捗ボードで表示中の1つ目の単元）
 async function exportProgressToPDF() {
-  showLoading('PDFを生成中...')
-  
-  try {
-    const element = document.querySelector('.min-h-screen')
-    if (!element) {
-      throw new Error('出力対象の要素が見つかりません')
-    }
+  if (!progressBoardCache) return
+  const curriculumId = String(progressBoardCache.curriculumIds).split(',')[0]
+  await downloadServerPdf(
+    `/api/pdf/progress/class/${progressBoardCache.classCode}`,
+    `進捗一覧_${progressBoardCache.classCode}_${new Date().toLocaleDateString('ja-JP')}.pdf`,
+    { curriculumId }
+  )
+}
 
-    const opt = {
-      margin: 10,
-      filename: `進捗ボード_${new Date().toLocaleDateString('ja-JP')}.pdf`,
-      image: { type: 'jpeg', quality: 0.98 },
-      html2canvas: { scale: 2, useCORS: true },
-      jsPDF: { unit: 'mm', format: 'a4', orientation: 'landscape' }
-    }
+// クラス全員の個人レポート（1人1ページ）
+async function exportClassStudentReports() {
+  if (!progressBoardCache) return
+  const curriculumId = String(progressBoardCache.curriculumIds).split(',')[0]
+  await downloadServerPdf(
+    `/api/pdf/class/${progressBoardCache.classCode}/student-reports`,
+    `個人レポート_${progressBoardCache.classCode}.pdf`,
+    { curriculumId }
+  )
+}
+window.exportClassStudentReports = exportClassStudentReports
 
-    await html2pdf().set(opt).from(element).save()
-    
-    hideLoading()
-    console.log('✅ PDF生成完了')
-  } catch (error) {
-    hideLoading()
-    console.error('PDF生成エラー:', error)
-    alert('PDF生成に失敗しました。ブラウザの印刷機能をご利用ください。')
+// 個人レポート出力
+async function exportStudentReport(studentId, curriculumId) {
+  await downloadServerPdf(
+    `/api/pdf/students/${studentId}/report`,
+    `個人レポート_${studentId}.pdf`,
+    curriculumId ? { curriculumId } : {}
+  )
+}
+window.exportStudentReport = exportStudentReport
+
+// ==============================================
+// 週次・月次レポート（表示は共通。期間の計算はサーバーで日本時間の日付で行う）
+// ==============================================
+
+const REPORT_HELP_TYPE_LABELS = { ai: 'AI', teacher: '先生', friend: '友達', hint: 'ヒント' }
+
+// 前の期間との差（増えたら緑、減ったら赤。ヘルプ要請のように減ったほうがよい値は inverse）
+function formatReportDelta(value, { inverse = false, unit = '' } = {}) {
+  if (value === null || value === undefined) {
+    return '<span class="text-gray-400">-</span>'
   }
+  if (value === 0) {
+    return '<span class="text-gray-500">±0</span>'
+  }
+  const good = inverse ? value < 0 : value > 0
+  return `<span class="${good ? 'text-green-600' : 'text-red-600'}">${value > 0 ? '▲' : '▼'}${Math.abs(value)}${unit}</span>`
 }
 
-// 個人レポート出力（将来実装）
-async function exportStudentReport(studentId) {
-  alert('個人レポート機能は現在開発中です')
+// 理解度（1〜5）の色分け
+function understandingBadge(level) {
+  if (level === null || level === undefined) {
+    return '<span class="text-gray-400">-</span>'
+  }
+  const color = level >= 4 ? 'bg-green-100 text-green-800' :
+                level >= 3 ? 'bg-blue-100 text-blue-800' :
+                level >= 2 ? 'bg-yellow-100 text-yellow-800' :
+                'bg-red-100 text-red-800'
+  return `<span class="px-2 py-1 ${color} rounded-full font-bold">${level}</span>`
+}
+
+function renderReportSummary(report, comparisonLabel) {
+  const { current, delta } = report.summary
+  const items = [
+    { label: '完了カード', value: `${current.completed_cards}枚`, delta: formatReportDelta(delta.completed_cards) },
+    { label: '平均理解度', value: current.avg_understanding ?? '-', delta: formatReportDelta(delta.avg_understanding) },
+    { label: '学習した児童', value: `${current.active_students}名`, delta: formatReportDelta(delta.active_students) },
+    { label: 'ヘルプ要請', value: `${current.help_requests}件`, delta: formatReportDelta(delta.help_requests, { inverse: true }) }
+  ]
+  
+  return `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6 text-sm">
+      ${items.map(item => `
+        <div class="bg-gray-50 rounded-lg p-3">
+          <div class="text-gray-600">${item.label}</div>
+          <div class="text-xl font-bold text-gray-800">${item.value}</div>
+          <div class="text-xs">${comparisonLabel} ${item.delta}</div>
+        </div>
+      `).join('')}
+    </div>
+  `
+}
+
+// ヘルプの種類の内訳（今回と前回を並べる）
+function renderHelpMix(report, comparisonLabel) {
+  const { current, previous } = report.help_mix
+  const max = Math.max(1, ...Object.values(current), ...Object.values(previous))
+  
+  return `
+    <div class="border rounded-lg p-4">
+      <h3 class="font-bold text-gray-800 mb-3">ヘルプの種類</h3>
+      <div class="space-y-2 text-sm">
+        ${Object.keys(REPORT_HELP_TYPE_LABELS).map(type => `
+          <div class="grid grid-cols-[3rem_1fr_6rem] items-center gap-2">
+            <div class="text-gray-600">${REPORT_HELP_TYPE_LABELS[type]}</div>
+            <div>
+              <div class="bg-blue-500 h-3 rounded" style="width: ${(current[type] / max) * 100}%"></div>
+              <div class="bg-gray-300 h-2 rounded mt-0.5" style="width: ${(previous[type] / max) * 100}%"></div>
+            </div>
+            <div class="text-right">
+              <span class="font-bold">${current[type]}</span>
+              <span class="text-xs">${formatReportDelta(current[type] - previous[type])}</span>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="text-xs text-gray-500 mt-2">青：今回 / 灰：${comparisonLabel.replace('比', '')}（児童×カードごとに1回と数えます）</div>
+    </div>
+  `
+}
+
+function renderHelpQueueSummary(helpQueue) {
+  return `
+    <div class="border rounded-lg p-4 text-sm">
+      <h3 class="font-bold text-gray-800 mb-3">ヘルプ待ちの列</h3>
+      <div class="grid grid-cols-2 gap-2">
+        <div>要請 <span class="font-bold text-orange-600">${helpQueue.total_requests || 0}件</span></div>
+        <div>解決 <span class="font-bold">${helpQueue.resolved_requests || 0}件</span></div>
+        <div>平均待ち <span class="font-bold text-blue-600">${helpQueue.avg_wait_minutes ?? '-'}分</span></div>
+        <div>最長待ち <span class="font-bold">${helpQueue.max_wait_minutes ?? '-'}分</span></div>
+        <div class="col-span-2">解決までの平均 <span class="font-bold text-green-600">${helpQueue.avg_resolution_minutes ?? '-'}分</span></div>
+        <div class="col-span-2 text-xs text-gray-600">
+          解決した人：先生 <span class="font-bold">${helpQueue.resolved_by_teacher || 0}</span> /
+          友だち <span class="font-bold">${helpQueue.resolved_by_peer || 0}</span> /
+          自分 <span class="font-bold">${helpQueue.resolved_by_self || 0}</span>
+        </div>
+      </div>
+    </div>
+  `
+}
+
+// 単元・コース別（完了のない単元も出す）
+function renderUnitBreakdown(report, comparisonLabel) {
+  if (report.units.length === 0) {
+    return '<div class="text-gray-500 text-center py-4">この期間までに取り組んだ単元はありません</div>'
+  }
+  
+  return `
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+      ${report.units.map(unit => `
+        <div class="border rounded-lg p-4 bg-gradient-to-r from-blue-50 to-purple-50">
+          <h4 class="font-bold text-gray-800 mb-2">${escapeHtml(unit.subject)} - ${escapeHtml(unit.unit_name)}</h4>
+          <div class="flex items-center justify-between text-sm">
+            <span class="text-gray-600">取組人数:</span>
+            <span class="font-bold text-blue-600">${unit.students_count}名</span>
+          </div>
+          <div class="flex items-center justify-between text-sm mt-1">
+            <span class="text-gray-600">完了カード:</span>
+            <span>
+              <span class="font-bold text-green-600">${unit.completed_cards_total}枚</span>
+              <span class="text-xs ml-1">${comparisonLabel} ${formatReportDelta(unit.completed_cards_total - unit.previous_completed_cards_total)}</span>
+            </span>
+          </div>
+          <div class="mt-3 space-y-1 text-xs">
+            ${unit.courses.map(course => `
+              <div class="flex items-center justify-between bg-white rounded px-2 py-1">
+                <span>${escapeHtml(course.course_display_name)}（${course.total_cards}枚）</span>
+                <span>${course.students_count}名・<span class="font-bold">${course.completed_cards_total}枚</span></span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `
 }
-window.exportStudentReport = exportStudentReport
 
-// 週次レポート表示
-async function showWeeklyReport() {
-  showLoading('週次レポートを生成中...')
+// query: 週次は { date }、月次は { year, month }。省略すると今週・今月
+async function showClassReport(kind, query = {}) {
+  const weekly = kind === 'weekly'
+  const title = weekly ? '週次レポート' : '月次レポート'
+  showLoading(`${title}を生成中...`)
   
   try {
-    // 今週の日付範囲を計算
-    const today = new Date()
-    const dayOfWeek = today.getDay()
-    const startOfWeek = new Date(today)
-    startOfWeek.setDate(today.getDate() - dayOfWeek)
-    const endOfWeek = new Date(today)
-    endOfWeek.setDate(today.getDate() + (6 - dayOfWeek))
-    
-    const startDate = startOfWeek.toISOString().split('T')[0]
-    const endDate = endOfWeek.toISOString().split('T')[0]
-    
-    const response = await axios.get(
-      `/api/reports/weekly/${state.student.classCode}?startDate=${startDate}&endDate=${endDate}`
-    )
+    const classCode = state.student.classCode
+    const response = await axios.get(`/api/reports/${kind}/${encodeURIComponent(classCode)}`, { params: query })
     
     hideLoading()
     
     if (!response.data.success) {
-      alert('週次レポートの取得に失敗しました')
+      alert(`${title}の取得に失敗しました`)
       return
     }
     
-    const stats = response.data.stats
+    const report = response.data
+    const { period, previous_period: previous } = report
+    const comparisonLabel = weekly ? '先週比' : '先月比'
+    const periodLabel = weekly ? `${period.start} 〜 ${period.end}` : `${period.year}年${period.month}月`
+    
+    // 前後の期間へ移動（次の期間の最初の日は、今の期間の最後の日の翌日）
+    const nextStart = new Date(`${period.end}T00:00:00Z`)
+    nextStart.setUTCDate(nextStart.getUTCDate() + 1)
+    const previousQuery = weekly ? { date: previous.start } : { year: previous.year, month: previous.month }
+    const nextQuery = weekly
+      ? { date: nextStart.toISOString().slice(0, 10) }
+      : { year: nextStart.getUTCFullYear(), month: nextStart.getUTCMonth() + 1 }
     
+    document.getElementById('classReportModal')?.remove()
     const modal = document.createElement('div')
+    modal.id = 'classReportModal'
     modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
     modal.innerHTML = `
       <div class="bg-white rounded-lg shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
-        <div class="bg-gradient-to-r from-green-500 to-blue-500 text-white p-6 rounded-t-lg">
+        <div class="bg-gradient-to-r ${weekly ? 'from-green-500 to-blue-500' : 'from-purple-500 to-pink-500'} text-white p-6 rounded-t-lg">
           <div class="flex items-center justify-between">
             <div>
-              <h2 class="text-2xl font-bold">週次レポート</h2>
-              <p class="text-sm mt-1">${startDate} 〜 ${endDate}</p>
-              <p class="text-sm">クラス: ${state.student.classCode}</p>
+              <h2 class="text-2xl font-bold">${title}</h2>
+              <p class="text-sm mt-1">
+                <button onclick='showClassReport("${kind}", ${JSON.stringify(previousQuery)})' class="hover:text-gray-200 mr-2" title="前へ">
+                  <i class="fas fa-chevron-left"></i>
+                </button>
+                ${periodLabel}
+                <button onclick='showClassReport("${kind}", ${JSON.stringify(nextQuery)})' class="hover:text-gray-200 ml-2" title="次へ">
+                  <i class="fas fa-chevron-right"></i>
+                </button>
+              </p>
+              <p class="text-sm">クラス: ${escapeHtml(classCode)}</p>
             </div>
             <button onclick="this.closest('.fixed').remove()" 
                     class="text-white hover:text-gray-200 text-3xl">
@@ -8248,51 +9591,58 @@ async function showWeeklyReport() {
         </div>
 
         <div class="p-6">
-          <div class="overflow-x-auto">
-            <table class="min-w-full divide-y divide-gray-200">
-              <thead class="bg-gray-50">
-                <tr>
-                  <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">No.</th>
-                  <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">氏名</th>
-                  <th class="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">完了カード数</th>
-                  <th class="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">平均理解度</th>
-                  <th class="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">AI</th>
-                  <th class="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">先生</th>
-                  <th class="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">友達</th>
-                  <th class="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">ヒント</th>
-                </tr>
+          ${renderReportSummary(report, comparisonLabel)}
+
+          <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            ${renderHelpMix(report, comparisonLabel)}
+            ${renderHelpQueueSummary(report.help_queue)}
+          </div>
+
+          <!-- 児童別統計 -->
+          <h3 class="text-lg font-bold text-gray-800 mb-4">児童別学習状況</h3>
+          <div class="overflow-x-auto mb-8">
+            <table class="min-w-full divide-y divide-gray-200">
+              <thead class="bg-gray-50">
+                <tr>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">No.</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">氏名</th>
+                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">完了カード数</th>
+                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">平均理解度</th>
+                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">活動日数</th>
+                  ${Object.values(REPORT_HELP_TYPE_LABELS).map(label => `
+                    <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">${label}</th>
+                  `).join('')}
+                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">要請</th>
+                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">教えた</th>
+                </tr>
               </thead>
               <tbody class="bg-white divide-y divide-gray-200">
-                ${stats.map(student => `
+                ${report.students.map(student => `
                   <tr class="hover:bg-gray-50">
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${student.student_number}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${student.student_name}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-center">
+                    <td class="px-4 py-4 whitespace-nowrap text-sm text-gray-900">${student.student_number ?? ''}</td>
+                    <td class="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${escapeHtml(student.student_name)}</td>
+                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center">
                       <span class="px-2 py-1 bg-blue-100 text-blue-800 rounded-full font-bold">
-                        ${student.completed_cards || 0}
-                      </span>
-                    </td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-center">
-                      <span class="px-2 py-1 ${
-                        (student.avg_understanding || 0) >= 80 ? 'bg-green-100 text-green-800' :
-                        (student.avg_understanding || 0) >= 60 ? 'bg-blue-100 text-blue-800' :
-                        (student.avg_understanding || 0) >= 40 ? 'bg-yellow-100 text-yellow-800' :
-                        'bg-red-100 text-red-800'
-                      } rounded-full font-bold">
-                        ${Math.round(student.avg_understanding || 0)}
+                        ${student.completed_cards}
                       </span>
+                      <span class="text-xs ml-1">${formatReportDelta(student.completed_cards_delta)}</span>
                     </td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-center text-gray-500">
-                      ${student.ai_help_count || 0}
+                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center">
+                      ${understandingBadge(student.avg_understanding)}
                     </td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-center text-gray-500">
-                      ${student.teacher_help_count || 0}
+                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center text-gray-700">
+                      ${student.active_days}日
                     </td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-center text-gray-500">
-                      ${student.friend_help_count || 0}
+                    ${Object.keys(REPORT_HELP_TYPE_LABELS).map(type => `
+                      <td class="px-4 py-4 whitespace-nowrap text-sm text-center text-gray-500">
+                        ${student[`${type}_help_count`]}
+                      </td>
+                    `).join('')}
+                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center text-orange-600">
+                      ${student.help_request_count}
                     </td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm text-center text-gray-500">
-                      ${student.hint_help_count || 0}
+                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center text-purple-600">
+                      ${student.peer_helped_count}
                     </td>
                   </tr>
                 `).join('')}
@@ -8300,8 +9650,12 @@ async function showWeeklyReport() {
             </table>
           </div>
 
+          <!-- 単元・コース別進捗 -->
+          <h3 class="text-lg font-bold text-gray-800 mb-4">単元・コース別進捗</h3>
+          ${renderUnitBreakdown(report, comparisonLabel)}
+
           <div class="mt-6 flex gap-3">
-            <button onclick="exportReportToPDF('weekly', '${startDate}', '${endDate}')" 
+            <button onclick="exportReportToPDF('${kind}', '${weekly ? period.start : period.year}', '${weekly ? period.end : period.month}')" 
                     class="flex-1 bg-red-500 hover:bg-red-600 text-white px-6 py-3 rounded-lg transition-all">
               <i class="fas fa-file-pdf mr-2"></i>PDF出力
             </button>
@@ -8317,10 +9671,16 @@ async function showWeeklyReport() {
     document.body.appendChild(modal)
   } catch (error) {
     hideLoading()
-    console.error('週次レポートエラー:', error)
-    alert('週次レポートの取得に失敗しました')
+    console.error(`${title}エラー:`, error)
+    alert(error.response?.data?.error || `${title}の取得に失敗しました`)
   }
 }
+window.showClassReport = showClassReport
+
+// 週次レポート表示（今週）
+function showWeeklyReport() {
+  return showClassReport('weekly')
+}
 window.showWeeklyReport = showWeeklyReport
 window.loadHistoryTab = loadHistoryTab
 window.showHistoryDiff = showHistoryDiff
@@ -8592,39 +9952,558 @@ async function rollbackToHistory(historyId, curriculumId) {
   }
 }
 
-// 月次レポート表示
-async function showMonthlyReport() {
-  showLoading('月次レポートを生成中...')
+// 月次レポート表示（今月）
+function showMonthlyReport() {
+  return showClassReport('monthly')
+}
+window.showMonthlyReport = showMonthlyReport
+
+// ============================================
+// 名簿一括取り込み（CSV）
+// ============================================
+
+let rosterCsvText = ''
+
+// HTMLエスケープ（CSVの値をそのまま表示するため）
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// 名簿取り込みモーダル表示
+function showRosterImport() {
+  rosterCsvText = ''
+  
+  const modal = document.createElement('div')
+  modal.id = 'roster-import-modal'
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+  modal.innerHTML = `
+    <div class="bg-white rounded-lg shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+      <div class="bg-gradient-to-r from-indigo-500 to-blue-500 text-white p-6 rounded-t-lg">
+        <div class="flex items-center justify-between">
+          <div>
+            <h2 class="text-2xl font-bold">名簿の一括取り込み</h2>
+            <p class="text-sm mt-1">校務システムから出力したCSVを読み込みます</p>
+          </div>
+          <button onclick="this.closest('.fixed').remove()" 
+                  class="text-white hover:text-gray-200 text-3xl">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      </div>
+
+      <div class="p-6 space-y-4">
+        <div class="bg-blue-50 rounded-lg p-4 text-sm text-gray-700">
+          <p class="font-bold mb-1"><i class="fas fa-info-circle mr-2"></i>CSVの形式</p>
+          <p>見出し行: <code>出席番号,氏名,クラスコード,役割</code>（任意: メールアドレス, 学年, クラス名, 学校名）</p>
+          <p>役割は「児童」または「教師」。児童のメールアドレスが空欄の場合はログインIDを自動で発行します。</p>
+        </div>
+
+        <input type="file" id="roster-file" accept=".csv,text/csv"
+               onchange="loadRosterFile(this.files[0])"
+               class="block w-full text-sm text-gray-700 border border-gray-300 rounded-lg p-2">
+        <textarea id="roster-csv" rows="6" placeholder="またはCSVを貼り付け"
+                  class="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm"></textarea>
+
+        <div class="flex gap-3">
+          <button onclick="previewRosterImport()" 
+                  class="flex-1 bg-indigo-500 hover:bg-indigo-600 text-white px-6 py-3 rounded-lg transition-all">
+            <i class="fas fa-search mr-2"></i>内容を確認
+          </button>
+          <button id="roster-commit-button" onclick="commitRosterImport()" disabled
+                  class="flex-1 bg-green-500 hover:bg-green-600 text-white px-6 py-3 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed">
+            <i class="fas fa-user-plus mr-2"></i>登録する
+          </button>
+        </div>
+
+        <div id="roster-preview"></div>
+      </div>
+    </div>
+  `
+  
+  document.body.appendChild(modal)
+}
+
+// CSVファイル読み込み（Shift_JISで出力された名簿にも対応）
+async function loadRosterFile(file) {
+  if (!file) return
+  
+  const buffer = await file.arrayBuffer()
+  let text = new TextDecoder('utf-8').decode(buffer)
+  if (text.includes('�')) {
+    text = new TextDecoder('shift_jis').decode(buffer)
+  }
+  document.getElementById('roster-csv').value = text
+  previewRosterImport()
+}
+
+// 取り込み内容のプレビュー
+async function previewRosterImport() {
+  const csv = document.getElementById('roster-csv').value
+  const commitButton = document.getElementById('roster-commit-button')
+  const preview = document.getElementById('roster-preview')
+  commitButton.disabled = true
+  
+  loadingManager.show('名簿を確認中...')
   
   try {
-    const today = new Date()
-    const year = today.getFullYear()
-    const month = String(today.getMonth() + 1).padStart(2, '0')
+    const response = await axios.post('/api/roster/import/preview', { csv })
+    loadingManager.hide()
     
-    const response = await axios.get(
-      `/api/reports/monthly/${state.student.classCode}?year=${year}&month=${month}`
-    )
+    rosterCsvText = csv
+    commitButton.disabled = !response.data.can_commit
+    preview.innerHTML = renderRosterPreview(response.data.summary, response.data.rows)
+  } catch (error) {
+    loadingManager.hide()
+    console.error('名簿プレビューエラー:', error)
+    preview.innerHTML = `
+      <div class="bg-red-50 text-red-700 rounded-lg p-4">
+        <i class="fas fa-exclamation-triangle mr-2"></i>${escapeHtml(error.response?.data?.error || '名簿の確認に失敗しました')}
+      </div>
+    `
+  }
+}
+
+// プレビュー表（エラー・重複のある行を強調）
+function renderRosterPreview(summary, rows) {
+  return `
+    <div class="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4 text-center text-sm">
+      <div class="bg-gray-100 rounded-lg p-2">合計 <span class="font-bold">${summary.total}</span></div>
+      <div class="bg-blue-100 rounded-lg p-2">児童 <span class="font-bold">${summary.students}</span></div>
+      <div class="bg-purple-100 rounded-lg p-2">教師 <span class="font-bold">${summary.teachers}</span></div>
+      <div class="bg-red-100 rounded-lg p-2">エラー <span class="font-bold">${summary.errors}</span></div>
+      <div class="bg-yellow-100 rounded-lg p-2">既存と重複 <span class="font-bold">${summary.conflicts}</span></div>
+    </div>
+    <div class="overflow-x-auto">
+      <table class="min-w-full divide-y divide-gray-200 text-sm">
+        <thead class="bg-gray-50">
+          <tr>
+            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">行</th>
+            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">No.</th>
+            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">氏名</th>
+            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">クラス</th>
+            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">役割</th>
+            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">ログインID</th>
+            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">確認結果</th>
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+          ${rows.map(row => `
+            <tr class="${row.errors.length > 0 ? 'bg-red-50' : row.conflicts.length > 0 ? 'bg-yellow-50' : ''}">
+              <td class="px-3 py-2 text-gray-500">${row.row}</td>
+              <td class="px-3 py-2">${escapeHtml(row.student_number ?? '')}</td>
+              <td class="px-3 py-2 font-medium">${escapeHtml(row.name)}</td>
+              <td class="px-3 py-2">${escapeHtml(row.class_code)}</td>
+              <td class="px-3 py-2">${row.role === 'teacher' ? '教師' : row.role === 'student' ? '児童' : escapeHtml(row.role)}</td>
+              <td class="px-3 py-2 font-mono text-xs">${escapeHtml(row.email)}</td>
+              <td class="px-3 py-2">
+                ${[...row.errors.map(e => `<div class="text-red-700"><i class="fas fa-times-circle mr-1"></i>${escapeHtml(e)}</div>`),
+                   ...row.conflicts.map(e => `<div class="text-yellow-700"><i class="fas fa-exclamation-circle mr-1"></i>${escapeHtml(e)}</div>`)].join('')
+                  || '<span class="text-green-700"><i class="fas fa-check-circle mr-1"></i>OK</span>'}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `
+}
+
+// 名簿の登録
+async function commitRosterImport() {
+  if (!rosterCsvText) return
+  if (!confirm('確認した内容で登録します。よろしいですか？')) return
+  
+  loadingManager.show('名簿を登録中...')
+  
+  try {
+    const response = await axios.post('/api/roster/import/commit', { csv: rosterCsvText })
+    loadingManager.hide()
     
+    document.getElementById('roster-import-modal')?.remove()
+    showLoginCards(response.data.login_cards)
+  } catch (error) {
+    loadingManager.hide()
+    console.error('名簿取り込みエラー:', error)
+    const data = error.response?.data
+    if (data?.rows) {
+      document.getElementById('roster-preview').innerHTML = renderRosterPreview(data.summary, data.rows)
+      document.getElementById('roster-commit-button').disabled = true
+    }
+    alert(data?.error || '名簿の取り込みに失敗しました')
+  }
+}
+
+// ログインカード（初期パスワード）の表示・印刷
+// ※ 初期パスワードはこの画面でしか確認できない
+function showLoginCards(cards) {
+  const modal = document.createElement('div')
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+  modal.innerHTML = `
+    <div class="bg-white rounded-lg shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+      <div class="no-print flex items-center justify-between p-6 border-b">
+        <div>
+          <h2 class="text-2xl font-bold text-gray-800">ログインカード（${cards.length}名）</h2>
+          <p class="text-sm text-red-600 mt-1">
+            <i class="fas fa-exclamation-triangle mr-1"></i>初期パスワードはこの画面を閉じると再表示できません。印刷してから閉じてください。
+          </p>
+        </div>
+        <div class="flex gap-2">
+          <button onclick="window.print()" 
+                  class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg">
+            <i class="fas fa-print mr-2"></i>印刷
+          </button>
+          <button onclick="if (confirm('初期パスワードを印刷しましたか？')) this.closest('.fixed').remove()" 
+                  class="bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400">
+            閉じる
+          </button>
+        </div>
+      </div>
+      <div id="login-cards" class="p-6 grid grid-cols-2 gap-4">
+        ${cards.map(card => `
+          <div class="border-2 border-dashed border-gray-400 rounded-lg p-4" style="break-inside: avoid;">
+            <p class="text-xs text-gray-500">${escapeHtml(card.class_code)}${card.student_number ? ` / ${card.student_number}番` : ''}</p>
+            <p class="text-xl font-bold text-gray-800 mb-2">${escapeHtml(card.name)}</p>
+            <p class="text-sm">ログインID: <span class="font-mono font-bold">${escapeHtml(card.email)}</span></p>
+            <p class="text-sm">パスワード: <span class="font-mono font-bold text-lg">${escapeHtml(card.initial_password)}</span></p>
+            ${card.picture_password ? `
+              <p class="text-sm mt-1">えの パスワード: <span class="text-2xl">${card.picture_password.map(i => PICTURE_PASSWORD_IMAGES[i]).join(' → ')}</span></p>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    </div>
+    <style>
+      @media print {
+        body > *:not(.fixed) { display: none !important; }
+        .no-print { display: none !important; }
+        .fixed { position: static !important; background: none !important; }
+        .max-h-\\[90vh\\] { max-height: none !important; box-shadow: none !important; }
+      }
+    </style>
+  `
+  
+  document.body.appendChild(modal)
+}
+
+window.showRosterImport = showRosterImport
+window.loadRosterFile = loadRosterFile
+window.previewRosterImport = previewRosterImport
+window.commitRosterImport = commitRosterImport
+
+// ==============================================
+// 保護者ポータル（紐づけられた児童の学習の様子を見るだけ）
+// 何を見せるかは家庭の同意をもとに先生が設定する
+// ==============================================
+
+const GUARDIAN_SHARE_LABELS = {
+  share_progress: '進み具合・週のまとめ',
+  share_badges: 'バッジ',
+  share_reflections: '単元の振り返り',
+  share_comments: '先生の所見'
+}
+
+let guardianStudents = []
+
+// 保護者のトップページ（児童が複数いるときはタブで切り替える）
+async function renderGuardianPortal(studentId = null) {
+  state.currentView = 'guardian'
+  showLoading('読み込み中...')
+  
+  try {
+    const response = await axios.get('/api/guardian/students')
+    guardianStudents = response.data.students || []
+  } catch (error) {
+    console.error('保護者ポータル読み込みエラー:', error)
+    guardianStudents = []
+  } finally {
     hideLoading()
-    
-    if (!response.data.success) {
-      alert('月次レポートの取得に失敗しました')
-      return
+  }
+  
+  const selected = guardianStudents.find(student => student.student_id === Number(studentId)) || guardianStudents[0]
+  
+  const app = document.getElementById('app')
+  app.innerHTML = `
+    <div class="container mx-auto px-4 py-8 max-w-5xl">
+      <div class="bg-white rounded-lg shadow p-4 mb-6">
+        <div class="flex items-center justify-between">
+          <div class="flex items-center">
+            <i class="fas fa-house-user text-3xl text-teal-500 mr-3"></i>
+            <div>
+              <p class="text-sm text-gray-500">保護者ページ</p>
+              <p class="font-bold text-lg">${escapeHtml(state.auth.user?.name || '')}</p>
+            </div>
+          </div>
+          <div class="flex gap-2">
+            <button onclick="showSessionManager()" 
+                    class="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition-colors">
+              <i class="fas fa-laptop mr-2"></i>ログイン中の端末
+            </button>
+            <button onclick="logout()" 
+                    class="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors">
+              <i class="fas fa-sign-out-alt mr-2"></i>ログアウト
+            </button>
+          </div>
+        </div>
+      </div>
+
+      ${selected ? `
+        ${guardianStudents.length > 1 ? `
+          <div class="flex gap-2 mb-4">
+            ${guardianStudents.map(student => `
+              <button onclick="renderGuardianPortal(${student.student_id})" 
+                      class="px-4 py-2 rounded-lg font-bold ${student.student_id === selected.student_id ? 'bg-teal-500 text-white' : 'bg-white text-gray-700 hover:bg-teal-50'}">
+                ${escapeHtml(student.student_name)}
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        <div class="bg-gradient-to-r from-teal-500 to-blue-500 rounded-lg shadow-lg p-6 mb-6 text-white">
+          <h1 class="text-2xl font-bold">${escapeHtml(selected.student_name)}さんの学習のようす</h1>
+          <p class="text-sm opacity-90 mt-1">クラス ${escapeHtml(selected.class_code || '')}${selected.student_number ? `　${selected.student_number}番` : ''}</p>
+        </div>
+
+        <div id="guardian-digest" class="mb-6"></div>
+        <div id="guardian-progress" class="mb-6"></div>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+          <div id="guardian-badges"></div>
+          <div id="guardian-comments"></div>
+        </div>
+        <div id="guardian-reflections" class="mb-6"></div>
+      ` : `
+        <div class="bg-white rounded-lg shadow p-8 text-center text-gray-600">
+          <i class="fas fa-link text-4xl text-gray-300 mb-3"></i>
+          <p>まだお子さまが紐づけられていません。学校にお問い合わせください。</p>
+        </div>
+      `}
+    </div>
+  `
+  
+  if (selected) {
+    loadGuardianStudent(selected)
+  }
+}
+
+// 共有の同意がある内容だけ読み込む
+function loadGuardianStudent(student) {
+  const sections = [
+    ['guardian-digest', 'share_progress', () => loadGuardianDigest(student.student_id)],
+    ['guardian-progress', 'share_progress', () => loadGuardianSection(student.student_id, 'progress', 'guardian-progress', renderGuardianProgress)],
+    ['guardian-badges', 'share_badges', () => loadGuardianSection(student.student_id, 'badges', 'guardian-badges', renderGuardianBadges)],
+    ['guardian-comments', 'share_comments', () => loadGuardianSection(student.student_id, 'comments', 'guardian-comments', renderGuardianComments)],
+    ['guardian-reflections', 'share_reflections', () => loadGuardianSection(student.student_id, 'reflections', 'guardian-reflections', renderGuardianReflections)]
+  ]
+  
+  for (const [elementId, flag, load] of sections) {
+    if (student[flag]) {
+      load()
+    } else if (elementId !== 'guardian-progress') {
+      document.getElementById(elementId).innerHTML = renderGuardianCard(GUARDIAN_SHARE_LABELS[flag], `
+        <p class="text-sm text-gray-500">この内容は共有されていません。ご希望の場合は学校にご相談ください。</p>
+      `)
     }
+  }
+}
+
+async function loadGuardianSection(studentId, path, elementId, render) {
+  const element = document.getElementById(elementId)
+  element.innerHTML = '<div class="text-center text-gray-400 py-4"><i class="fas fa-spinner fa-spin"></i></div>'
+  
+  try {
+    const response = await axios.get(`/api/guardian/students/${studentId}/${path}`)
+    element.innerHTML = render(response.data)
+  } catch (error) {
+    console.error('保護者ポータル読み込みエラー:', error)
+    element.innerHTML = `<p class="text-sm text-red-500">${escapeHtml(error.response?.data?.error || '読み込みに失敗しました')}</p>`
+  }
+}
+
+function renderGuardianCard(title, body) {
+  return `
+    <div class="bg-white rounded-lg shadow p-6 h-full">
+      <h2 class="text-lg font-bold text-gray-800 mb-4">${title}</h2>
+      ${body}
+    </div>
+  `
+}
+
+// 週ごとのまとめ（◀ ▶ で前後の週へ）
+async function loadGuardianDigest(studentId, date = null) {
+  const element = document.getElementById('guardian-digest')
+  
+  try {
+    const response = await axios.get(`/api/guardian/students/${studentId}/weekly-digest`, { params: date ? { date } : {} })
+    const digest = response.data
+    const { period, previous_period: previous } = digest
+    const row = digest.student || {}
+    const nextStart = new Date(`${period.end}T00:00:00Z`)
+    nextStart.setUTCDate(nextStart.getUTCDate() + 1)
+    const helpCount = Object.keys(REPORT_HELP_TYPE_LABELS).reduce((sum, type) => sum + (row[`${type}_help_count`] || 0), 0)
+    
+    element.innerHTML = renderGuardianCard(`
+      <button onclick="loadGuardianDigest(${studentId}, '${previous.start}')" class="text-teal-600 hover:text-teal-800 mr-2" title="前の週">
+        <i class="fas fa-chevron-left"></i>
+      </button>
+      今週のまとめ（${period.start} 〜 ${period.end}）
+      <button onclick="loadGuardianDigest(${studentId}, '${nextStart.toISOString().slice(0, 10)}')" class="text-teal-600 hover:text-teal-800 ml-2" title="次の週">
+        <i class="fas fa-chevron-right"></i>
+      </button>
+    `, `
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-center">
+        <div class="bg-blue-50 rounded-lg p-3">
+          <p class="text-xs text-gray-500">できたカード</p>
+          <p class="text-2xl font-bold text-blue-600">${row.completed_cards || 0}枚</p>
+          <p class="text-xs">先週比 ${formatReportDelta(row.completed_cards_delta ?? 0)}</p>
+        </div>
+        <div class="bg-green-50 rounded-lg p-3">
+          <p class="text-xs text-gray-500">分かった度</p>
+          <p class="text-lg mt-1">${understandingBadge(row.avg_understanding)}</p>
+        </div>
+        <div class="bg-yellow-50 rounded-lg p-3">
+          <p class="text-xs text-gray-500">学習した日</p>
+          <p class="text-2xl font-bold text-yellow-600">${row.active_days || 0}日</p>
+        </div>
+        <div class="bg-purple-50 rounded-lg p-3">
+          <p class="text-xs text-gray-500">ヘルプ / 友だちに教えた</p>
+          <p class="text-2xl font-bold text-purple-600">${helpCount} / ${row.peer_helped_count || 0}</p>
+        </div>
+      </div>
+      ${digest.completed_cards.length > 0 ? `
+        <h3 class="text-sm font-bold text-gray-700 mb-2">できた学習カード</h3>
+        <ul class="text-sm space-y-1 mb-4">
+          ${digest.completed_cards.map(card => `
+            <li class="flex justify-between bg-gray-50 rounded px-3 py-1">
+              <span>${escapeHtml(card.unit_name)}　${escapeHtml(card.course_display_name)} ${card.card_number}「${escapeHtml(card.card_title)}」</span>
+              <span class="text-gray-500">${card.completed_on}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : '<p class="text-sm text-gray-500 mb-4">この週にできた学習カードはありません</p>'}
+      ${digest.badges.length > 0 ? `
+        <h3 class="text-sm font-bold text-gray-700 mb-2">もらったバッジ</h3>
+        <div class="flex flex-wrap gap-2">
+          ${digest.badges.map(badge => `
+            <span class="px-3 py-1 bg-yellow-100 text-yellow-800 rounded-full text-sm">🏅 ${escapeHtml(badge.badge_name)}</span>
+          `).join('')}
+        </div>
+      ` : ''}
+    `)
+  } catch (error) {
+    console.error('週ごとのまとめ読み込みエラー:', error)
+    element.innerHTML = `<p class="text-sm text-red-500">${escapeHtml(error.response?.data?.error || '週ごとのまとめの読み込みに失敗しました')}</p>`
+  }
+}
+
+function renderGuardianProgress(data) {
+  if (data.units.length === 0) {
+    return renderGuardianCard('単元の進み具合', '<p class="text-sm text-gray-500">まだ取り組んだ単元はありません</p>')
+  }
+  
+  return renderGuardianCard('単元の進み具合', `
+    <div class="space-y-4">
+      ${data.units.map(unit => `
+        <div class="border rounded-lg p-4">
+          <h3 class="font-bold text-gray-800 mb-2">${escapeHtml(unit.grade)} ${escapeHtml(unit.subject)}「${escapeHtml(unit.unit_name)}」</h3>
+          ${unit.courses.map(course => {
+            const rate = course.total_cards > 0 ? Math.round(course.completed_cards / course.total_cards * 100) : 0
+            return `
+              <div class="mb-2">
+                <div class="flex justify-between text-sm">
+                  <span>${escapeHtml(course.course_display_name)}</span>
+                  <span class="text-gray-600">${course.completed_cards} / ${course.total_cards}枚</span>
+                </div>
+                <div class="w-full bg-gray-200 rounded-full h-2">
+                  <div class="bg-teal-500 h-2 rounded-full" style="width: ${rate}%"></div>
+                </div>
+              </div>
+            `
+          }).join('')}
+        </div>
+      `).join('')}
+    </div>
+  `)
+}
+
+function renderGuardianBadges(data) {
+  return renderGuardianCard('もらったバッジ', data.badges.length === 0
+    ? '<p class="text-sm text-gray-500">まだバッジはありません</p>'
+    : `
+      <ul class="space-y-2">
+        ${data.badges.map(badge => `
+          <li class="bg-yellow-50 rounded-lg px-3 py-2">
+            <p class="font-bold text-yellow-800">🏅 ${escapeHtml(badge.badge_name)}</p>
+            <p class="text-xs text-gray-600">${escapeHtml(badge.unit_name)}${badge.badge_description ? `　${escapeHtml(badge.badge_description)}` : ''}</p>
+          </li>
+        `).join('')}
+      </ul>
+    `)
+}
+
+function renderGuardianComments(data) {
+  return renderGuardianCard('先生の所見', data.comments.length === 0
+    ? '<p class="text-sm text-gray-500">まだ所見はありません</p>'
+    : data.comments.map(evaluation => `
+      <div class="mb-4">
+        <h3 class="text-sm font-bold text-gray-700 mb-1">${escapeHtml(evaluation.unit_name)}</h3>
+        <dl class="text-sm space-y-1">
+          ${evaluation.items.map(item => `
+            <div><dt class="inline text-gray-500">${escapeHtml(item.label)}：</dt><dd class="inline">${escapeHtml(item.comment)}</dd></div>
+          `).join('')}
+        </dl>
+      </div>
+    `).join(''))
+}
+
+function renderGuardianReflections(data) {
+  return renderGuardianCard('単元の振り返り', data.reflections.length === 0
+    ? '<p class="text-sm text-gray-500">まだ振り返りはありません</p>'
+    : `
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+        ${data.reflections.map(reflection => `
+          <div class="border rounded-lg p-4 text-sm">
+            <h3 class="font-bold text-gray-800 mb-2">${escapeHtml(reflection.unit_name)}</h3>
+            ${reflection.reflection_good ? `<p><span class="text-green-600 font-bold">よかった：</span>${escapeHtml(reflection.reflection_good)}</p>` : ''}
+            ${reflection.reflection_bad ? `<p><span class="text-orange-600 font-bold">むずかしかった：</span>${escapeHtml(reflection.reflection_bad)}</p>` : ''}
+            ${reflection.reflection_learned ? `<p><span class="text-blue-600 font-bold">わかった：</span>${escapeHtml(reflection.reflection_learned)}</p>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `)
+}
+
+// 保護者の紐づけと共有の同意（先生）
+async function showGuardianLinks() {
+  showLoading('保護者の一覧を読み込み中...')
+  
+  try {
+    const classCode = state.student.classCode
+    const response = await axios.get(`/api/guardian-links/class/${encodeURIComponent(classCode)}`)
+    const students = response.data.students
     
-    const studentStats = response.data.student_stats
-    const curriculumProgress = response.data.curriculum_progress
+    hideLoading()
     
+    const shareCheckboxes = (values, onchange) => Object.entries(GUARDIAN_SHARE_LABELS).map(([flag, label]) => `
+      <label class="inline-flex items-center mr-3 text-xs whitespace-nowrap">
+        <input type="checkbox" data-flag="${flag}" ${values[flag] ? 'checked' : ''} ${onchange ? `onchange="${onchange}"` : ''} class="mr-1">${label}
+      </label>
+    `).join('')
+    
+    document.getElementById('guardian-links-modal')?.remove()
     const modal = document.createElement('div')
+    modal.id = 'guardian-links-modal'
     modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
     modal.innerHTML = `
-      <div class="bg-white rounded-lg shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
-        <div class="bg-gradient-to-r from-purple-500 to-pink-500 text-white p-6 rounded-t-lg">
+      <div class="bg-white rounded-lg shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="bg-gradient-to-r from-teal-500 to-blue-500 text-white p-6 rounded-t-lg">
           <div class="flex items-center justify-between">
             <div>
-              <h2 class="text-2xl font-bold">月次レポート</h2>
-              <p class="text-sm mt-1">${year}年${month}月</p>
-              <p class="text-sm">クラス: ${state.student.classCode}</p>
+              <h2 class="text-2xl font-bold">保護者の紐づけ</h2>
+              <p class="text-sm mt-1">家庭から同意を得た内容だけを保護者ページに表示します</p>
             </div>
             <button onclick="this.closest('.fixed').remove()" 
                     class="text-white hover:text-gray-200 text-3xl">
@@ -8633,123 +10512,532 @@ async function showMonthlyReport() {
           </div>
         </div>
 
-        <div class="p-6">
-          <!-- 児童別統計 -->
-          <h3 class="text-lg font-bold text-gray-800 mb-4">児童別学習状況</h3>
-          <div class="overflow-x-auto mb-8">
-            <table class="min-w-full divide-y divide-gray-200">
-              <thead class="bg-gray-50">
-                <tr>
-                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">No.</th>
-                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">氏名</th>
-                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">完了カード数</th>
-                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">平均理解度</th>
-                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">活動日数</th>
-                  <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">ヘルプ回数</th>
-                </tr>
-              </thead>
-              <tbody class="bg-white divide-y divide-gray-200">
-                ${studentStats.map(student => `
-                  <tr class="hover:bg-gray-50">
-                    <td class="px-4 py-4 whitespace-nowrap text-sm text-gray-900">${student.student_number}</td>
-                    <td class="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${student.student_name}</td>
-                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center">
-                      <span class="px-2 py-1 bg-blue-100 text-blue-800 rounded-full font-bold">
-                        ${student.completed_cards || 0}
-                      </span>
-                    </td>
-                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center">
-                      <span class="px-2 py-1 ${
-                        (student.avg_understanding || 0) >= 80 ? 'bg-green-100 text-green-800' :
-                        (student.avg_understanding || 0) >= 60 ? 'bg-blue-100 text-blue-800' :
-                        (student.avg_understanding || 0) >= 40 ? 'bg-yellow-100 text-yellow-800' :
-                        'bg-red-100 text-red-800'
-                      } rounded-full font-bold">
-                        ${Math.round(student.avg_understanding || 0)}
-                      </span>
-                    </td>
-                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center text-gray-700">
-                      ${student.active_days || 0}日
-                    </td>
-                    <td class="px-4 py-4 whitespace-nowrap text-sm text-center text-gray-700">
-                      ${student.total_help_count || 0}回
-                    </td>
-                  </tr>
+        <div class="p-6 space-y-6">
+          <div class="bg-teal-50 rounded-lg p-4 space-y-3">
+            <p class="font-bold text-gray-800"><i class="fas fa-user-plus mr-2"></i>保護者を追加</p>
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <select id="guardian-student" class="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                ${students.map(student => `
+                  <option value="${student.student_id}">${student.student_number ?? ''} ${escapeHtml(student.student_name)}</option>
                 `).join('')}
-              </tbody>
-            </table>
+              </select>
+              <input id="guardian-name" type="text" placeholder="保護者の名前" class="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+              <input id="guardian-email" type="email" placeholder="メールアドレス" class="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+              <input id="guardian-relationship" type="text" placeholder="続柄（母・父など）" class="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+            </div>
+            <div id="guardian-new-flags">${shareCheckboxes({ share_progress: 1, share_badges: 1 })}</div>
+            <button onclick="addGuardianLink()" 
+                    class="bg-teal-500 hover:bg-teal-600 text-white px-6 py-2 rounded-lg transition-all">
+              <i class="fas fa-link mr-2"></i>紐づける
+            </button>
           </div>
 
-          <!-- カリキュラム別進捗 -->
-          <h3 class="text-lg font-bold text-gray-800 mb-4">カリキュラム別進捗</h3>
-          <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-            ${curriculumProgress.map(curr => `
-              <div class="border rounded-lg p-4 bg-gradient-to-r from-blue-50 to-purple-50">
-                <h4 class="font-bold text-gray-800 mb-2">${curr.subject} - ${curr.unit_name}</h4>
-                <div class="flex items-center justify-between text-sm">
-                  <span class="text-gray-600">取組人数:</span>
-                  <span class="font-bold text-blue-600">${curr.students_count || 0}名</span>
-                </div>
-                <div class="flex items-center justify-between text-sm mt-1">
-                  <span class="text-gray-600">完了カード:</span>
-                  <span class="font-bold text-green-600">${curr.completed_cards_total || 0}枚</span>
-                </div>
-              </div>
-            `).join('')}
+          <table class="min-w-full divide-y divide-gray-200 text-sm">
+            <thead class="bg-gray-50">
+              <tr>
+                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">No.</th>
+                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">児童</th>
+                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">保護者</th>
+                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">共有する内容（同意）</th>
+                <th class="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+              ${students.map(student => student.guardians.length === 0 ? `
+                <tr>
+                  <td class="px-3 py-2">${student.student_number ?? ''}</td>
+                  <td class="px-3 py-2">${escapeHtml(student.student_name)}</td>
+                  <td class="px-3 py-2 text-gray-400" colspan="3">未登録</td>
+                </tr>
+              ` : student.guardians.map(link => `
+                <tr data-link-id="${link.id}">
+                  <td class="px-3 py-2">${student.student_number ?? ''}</td>
+                  <td class="px-3 py-2">${escapeHtml(student.student_name)}</td>
+                  <td class="px-3 py-2">
+                    <p>${escapeHtml(link.guardian_name)}${link.relationship ? `（${escapeHtml(link.relationship)}）` : ''}</p>
+                    <p class="text-xs text-gray-500">${escapeHtml(link.guardian_email)}</p>
+                  </td>
+                  <td class="px-3 py-2">
+                    ${shareCheckboxes(link, `updateGuardianShare(${link.id}, this)`)}
+                    <p class="text-xs text-gray-400 mt-1">${link.consented_at ? `${escapeHtml(link.consented_by_name || '')} ${new Date(link.consented_at + 'Z').toLocaleString('ja-JP')} に記録` : ''}</p>
+                  </td>
+                  <td class="px-3 py-2 text-right">
+                    <button onclick="removeGuardianLink(${link.id})" class="text-red-500 hover:text-red-700 text-xs">
+                      <i class="fas fa-unlink mr-1"></i>解除
+                    </button>
+                  </td>
+                </tr>
+              `).join('')).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `
+    
+    document.body.appendChild(modal)
+  } catch (error) {
+    hideLoading()
+    console.error('保護者一覧読み込みエラー:', error)
+    alert(error.response?.data?.error || '保護者の一覧の読み込みに失敗しました')
+  }
+}
+
+async function addGuardianLink() {
+  const studentSelect = document.getElementById('guardian-student')
+  const payload = {
+    student_id: Number(studentSelect.value),
+    guardian_name: document.getElementById('guardian-name').value,
+    guardian_email: document.getElementById('guardian-email').value,
+    relationship: document.getElementById('guardian-relationship').value
+  }
+  document.querySelectorAll('#guardian-new-flags input[data-flag]').forEach(input => {
+    payload[input.dataset.flag] = input.checked
+  })
+  
+  try {
+    const response = await axios.post('/api/guardian-links', payload)
+    await showGuardianLinks()
+    
+    // 新しく作ったアカウントの初期パスワードはこのときだけ表示できる
+    if (response.data.initial_password) {
+      showLoginCards([{
+        name: payload.guardian_name,
+        class_code: `保護者（${studentSelect.selectedOptions[0].textContent.trim()}）`,
+        email: payload.guardian_email.trim().toLowerCase(),
+        initial_password: response.data.initial_password
+      }])
+    } else {
+      showToast('保護者を紐づけました', 'success')
+    }
+  } catch (error) {
+    console.error('保護者紐づけエラー:', error)
+    alert(error.response?.data?.error || '保護者の紐づけに失敗しました')
+  }
+}
+
+async function updateGuardianShare(linkId, checkbox) {
+  try {
+    await axios.put(`/api/guardian-links/${linkId}`, { [checkbox.dataset.flag]: checkbox.checked })
+    showToast('共有する内容を変更しました', 'success')
+  } catch (error) {
+    checkbox.checked = !checkbox.checked
+    console.error('共有設定エラー:', error)
+    alert(error.response?.data?.error || '共有する内容の変更に失敗しました')
+  }
+}
+
+async function removeGuardianLink(linkId) {
+  if (!confirm('この保護者の紐づけを解除しますか？\n保護者ページでこの児童の様子が見られなくなります。')) return
+  
+  try {
+    await axios.delete(`/api/guardian-links/${linkId}`)
+    await showGuardianLinks()
+  } catch (error) {
+    console.error('紐づけ解除エラー:', error)
+    alert(error.response?.data?.error || '紐づけの解除に失敗しました')
+  }
+}
+
+window.renderGuardianPortal = renderGuardianPortal
+window.loadGuardianDigest = loadGuardianDigest
+window.showGuardianLinks = showGuardianLinks
+window.addGuardianLink = addGuardianLink
+window.updateGuardianShare = updateGuardianShare
+window.removeGuardianLink = removeGuardianLink
+
+// ============================================
+// 単元パッケージ（書き出し・取り込み）
+// ============================================
+
+let curriculumPackageData = null
+
+// 単元パッケージの書き出し（カード画像も埋め込んだJSON）
+async function exportCurriculumPackage(curriculumId) {
+  await downloadServerFile(
+    `/api/curriculum/${curriculumId}/export`,
+    `単元パッケージ_${state.selectedCurriculum?.unit_name || 'curriculum'}.json`,
+    {},
+    { loading: '単元パッケージを書き出し中...', error: '単元パッケージの書き出しに失敗しました' }
+  )
+}
+
+// 単元パッケージ取り込みモーダル表示
+function showCurriculumPackageImport() {
+  curriculumPackageData = null
+  
+  const modal = document.createElement('div')
+  modal.id = 'curriculum-package-modal'
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+  modal.innerHTML = `
+    <div class="bg-white rounded-lg shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+      <div class="bg-gradient-to-r from-teal-500 to-green-500 text-white p-6 rounded-t-lg">
+        <div class="flex items-center justify-between">
+          <div>
+            <h2 class="text-2xl font-bold">単元パッケージの取り込み</h2>
+            <p class="text-sm mt-1">ほかの学校・環境で書き出した単元（.json）を読み込みます</p>
           </div>
+          <button onclick="this.closest('.fixed').remove()" 
+                  class="text-white hover:text-gray-200 text-3xl">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      </div>
 
-          <div class="mt-6 flex gap-3">
-            <button onclick="exportReportToPDF('monthly', '${year}', '${month}')" 
-                    class="flex-1 bg-red-500 hover:bg-red-600 text-white px-6 py-3 rounded-lg transition-all">
-              <i class="fas fa-file-pdf mr-2"></i>PDF出力
-            </button>
-            <button onclick="this.closest('.fixed').remove()" 
-                    class="flex-1 bg-gray-300 text-gray-700 px-6 py-3 rounded-lg hover:bg-gray-400 transition-all">
-              閉じる
+      <div class="p-6 space-y-4">
+        <input type="file" id="curriculum-package-file" accept=".json,application/json"
+               onchange="loadCurriculumPackageFile(this.files[0])"
+               class="block w-full text-sm text-gray-700 border border-gray-300 rounded-lg p-2">
+
+        <div>
+          <label class="block text-sm font-bold text-gray-700 mb-2">取り込む単元名</label>
+          <div class="flex gap-2">
+            <input type="text" id="curriculum-package-unit-name" placeholder="ファイルを選ぶと表示されます"
+                   class="flex-1 px-4 py-2 border border-gray-300 rounded-lg">
+            <button onclick="previewCurriculumPackage()" 
+                    class="bg-teal-500 hover:bg-teal-600 text-white px-4 py-2 rounded-lg transition-all">
+              <i class="fas fa-search mr-2"></i>内容を確認
             </button>
           </div>
+          <p class="text-xs text-gray-500 mt-1">同じ学年・教科・教科書会社に同じ単元名があるときは、名前を変えてから取り込んでください</p>
         </div>
+
+        <div id="curriculum-package-preview"></div>
+
+        <button id="curriculum-package-commit-button" onclick="commitCurriculumPackage()" disabled
+                class="w-full bg-green-500 hover:bg-green-600 text-white px-6 py-3 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed">
+          <i class="fas fa-file-import mr-2"></i>取り込む
+        </button>
+      </div>
+    </div>
+  `
+  
+  document.body.appendChild(modal)
+}
+
+// パッケージファイル読み込み
+async function loadCurriculumPackageFile(file) {
+  if (!file) return
+  
+  try {
+    curriculumPackageData = JSON.parse(await file.text())
+  } catch (error) {
+    curriculumPackageData = null
+    document.getElementById('curriculum-package-commit-button').disabled = true
+    document.getElementById('curriculum-package-preview').innerHTML = `
+      <div class="bg-red-50 text-red-700 rounded-lg p-4">
+        <i class="fas fa-exclamation-triangle mr-2"></i>JSONファイルとして読み込めませんでした
       </div>
     `
+    return
+  }
+  document.getElementById('curriculum-package-unit-name').value = curriculumPackageData?.curriculum?.unit_name || ''
+  previewCurriculumPackage()
+}
+
+// 取り込み内容のプレビュー
+async function previewCurriculumPackage() {
+  if (!curriculumPackageData) return
+  
+  const commitButton = document.getElementById('curriculum-package-commit-button')
+  const preview = document.getElementById('curriculum-package-preview')
+  commitButton.disabled = true
+  
+  loadingManager.show('単元パッケージを確認中...')
+  
+  try {
+    const response = await axios.post('/api/curriculum-package/import/preview', {
+      package: curriculumPackageData,
+      unit_name: document.getElementById('curriculum-package-unit-name').value
+    })
+    loadingManager.hide()
     
-    document.body.appendChild(modal)
+    commitButton.disabled = !response.data.can_commit
+    preview.innerHTML = renderCurriculumPackagePreview(response.data)
   } catch (error) {
-    hideLoading()
-    console.error('月次レポートエラー:', error)
-    alert('月次レポートの取得に失敗しました')
+    loadingManager.hide()
+    console.error('単元パッケージプレビューエラー:', error)
+    preview.innerHTML = `
+      <div class="bg-red-50 text-red-700 rounded-lg p-4">
+        <i class="fas fa-exclamation-triangle mr-2"></i>${escapeHtml(error.response?.data?.error || '単元パッケージの確認に失敗しました')}
+      </div>
+    `
   }
 }
-window.showMonthlyReport = showMonthlyReport
 
-// レポートPDF出力
-async function exportReportToPDF(type, param1, param2) {
-  showLoading('PDFを生成中...')
+// プレビュー（件数・エラー・既存の単元との重複）
+function renderCurriculumPackagePreview(data) {
+  const { curriculum, summary, errors = [], conflicts = [] } = data
+  const counts = [
+    ['コース', summary.courses],
+    ['学習カード', summary.learning_cards],
+    ['ヒント', summary.hint_cards],
+    ['解答', summary.answers],
+    ['選択問題', summary.optional_problems],
+    ['メタデータ', summary.metadata],
+    ['画像', summary.images]
+  ]
+  
+  return `
+    <div class="bg-gray-50 rounded-lg p-4 mb-3 text-sm">
+      <p class="font-bold text-gray-800">「${escapeHtml(curriculum.unit_name)}」</p>
+      <p class="text-gray-600">学年: ${escapeHtml(curriculum.grade)} ／ 教科: ${escapeHtml(curriculum.subject)} ／ 教科書: ${escapeHtml(curriculum.textbook_company)}</p>
+      <p class="text-xs text-gray-500 mt-1">パッケージの版: ${escapeHtml(data.schema_version)}</p>
+    </div>
+    <div class="grid grid-cols-4 md:grid-cols-7 gap-2 mb-3 text-center text-sm">
+      ${counts.map(([label, count]) => `
+        <div class="bg-teal-50 rounded-lg p-2">${label}<br><span class="font-bold">${count}</span></div>
+      `).join('')}
+    </div>
+    ${errors.length > 0 ? `
+      <div class="bg-red-50 rounded-lg p-4 mb-3 text-sm text-red-700 max-h-48 overflow-y-auto">
+        <p class="font-bold mb-1"><i class="fas fa-times-circle mr-1"></i>エラー（${errors.length}件）</p>
+        ${errors.map(e => `<div>${escapeHtml(e)}</div>`).join('')}
+      </div>
+    ` : ''}
+    ${conflicts.length > 0 ? `
+      <div class="bg-yellow-50 rounded-lg p-4 mb-3 text-sm text-yellow-800">
+        <p class="font-bold mb-1"><i class="fas fa-exclamation-circle mr-1"></i>同じ単元が既にあります</p>
+        ${conflicts.map(found => `<div>ID ${found.id}「${escapeHtml(found.unit_name)}」（${escapeHtml(String(found.created_at || '').slice(0, 10))} 作成）</div>`).join('')}
+        <p class="mt-1">単元名を変えて「内容を確認」をもう一度押してください</p>
+      </div>
+    ` : ''}
+    ${errors.length === 0 && conflicts.length === 0 ? `
+      <div class="bg-green-50 rounded-lg p-3 text-sm text-green-700">
+        <i class="fas fa-check-circle mr-1"></i>取り込めます
+      </div>
+    ` : ''}
+  `
+}
+
+// 単元パッケージの登録
+async function commitCurriculumPackage() {
+  if (!curriculumPackageData) return
+  if (!confirm('確認した内容で単元を登録します。よろしいですか？')) return
+  
+  loadingManager.show('単元パッケージを取り込み中...')
   
   try {
-    const modal = document.querySelector('.fixed.inset-0')
-    if (!modal) {
-      throw new Error('レポートが見つかりません')
+    const response = await axios.post('/api/curriculum-package/import/commit', {
+      package: curriculumPackageData,
+      unit_name: document.getElementById('curriculum-package-unit-name').value
+    })
+    loadingManager.hide()
+    
+    document.getElementById('curriculum-package-modal')?.remove()
+    showToast(escapeHtml(response.data.message), 'success')
+    loadGuidePage(response.data.curriculum_id)
+  } catch (error) {
+    loadingManager.hide()
+    console.error('単元パッケージ取り込みエラー:', error)
+    const data = error.response?.data
+    if (data?.summary) {
+      document.getElementById('curriculum-package-preview').innerHTML = renderCurriculumPackagePreview({
+        ...data,
+        schema_version: curriculumPackageData.schema_version,
+        curriculum: { ...curriculumPackageData.curriculum, unit_name: document.getElementById('curriculum-package-unit-name').value }
+      })
+      document.getElementById('curriculum-package-commit-button').disabled = true
     }
+    alert(data?.error || '単元パッケージの取り込みに失敗しました')
+  }
+}
 
-    const opt = {
-      margin: 10,
-      filename: type === 'weekly' 
-        ? `週次レポート_${param1}_${param2}.pdf`
-        : `月次レポート_${param1}年${param2}月.pdf`,
-      image: { type: 'jpeg', quality: 0.98 },
-      html2canvas: { scale: 2, useCORS: true },
-      jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' }
-    }
+window.exportCurriculumPackage = exportCurriculumPackage
+window.showCurriculumPackageImport = showCurriculumPackageImport
+window.loadCurriculumPackageFile = loadCurriculumPackageFile
+window.previewCurriculumPackage = previewCurriculumPackage
+window.commitCurriculumPackage = commitCurriculumPackage
 
-    await html2pdf().set(opt).from(modal).save()
-    
-    hideLoading()
-    console.log('✅ レポートPDF生成完了')
+// ============================================
+// 監査ログ閲覧
+// ============================================
+
+const AUDIT_RESOURCE_LABELS = {
+  curriculum: '単元',
+  course: 'コース',
+  optional_problem: '選択問題',
+  environment_design: '学習環境デザイン',
+  teacher_customization: '先生カスタマイズ',
+  custom_content: 'カスタム教材',
+  card: '学習カード',
+  hint: 'ヒント',
+  generated_problem: 'AI生成問題',
+  evaluation: '評価',
+  plan: '学習計画',
+  coordinator: 'コーディネーター',
+  user: 'ユーザー',
+  session: 'セッション'
+}
+
+const AUDIT_ACTION_LABELS = {
+  create: '作成',
+  update: '更新',
+  delete: '削除',
+  rollback: 'ロールバック',
+  generate: '生成',
+  approve: '承認',
+  import: '取り込み',
+  credential: 'パスワード設定',
+  revoke: '強制ログアウト'
+}
+
+const auditLogFilter = { offset: 0, limit: 50 }
+
+// 監査ログモーダル表示
+function showAuditLogs() {
+  auditLogFilter.offset = 0
+  
+  const modal = document.createElement('div')
+  modal.id = 'audit-log-modal'
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+  modal.innerHTML = `
+    <div class="bg-white rounded-lg shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
+      <div class="bg-gradient-to-r from-gray-700 to-gray-900 text-white p-6 rounded-t-lg">
+        <div class="flex items-center justify-between">
+          <div>
+            <h2 class="text-2xl font-bold">監査ログ</h2>
+            <p class="text-sm mt-1">誰が・いつ・何を変更したかの記録</p>
+          </div>
+          <button onclick="this.closest('.fixed').remove()" 
+                  class="text-white hover:text-gray-200 text-3xl">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      </div>
+
+      <div class="p-6">
+        <div class="grid grid-cols-2 md:grid-cols-6 gap-2 mb-4 text-sm">
+          <input type="number" id="audit-user-id" placeholder="ユーザーID"
+                 class="px-3 py-2 border border-gray-300 rounded-lg">
+          <select id="audit-resource" class="px-3 py-2 border border-gray-300 rounded-lg">
+            <option value="">すべてのリソース</option>
+            ${Object.entries(AUDIT_RESOURCE_LABELS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+          </select>
+          <select id="audit-action" class="px-3 py-2 border border-gray-300 rounded-lg">
+            <option value="">すべての操作</option>
+            ${Object.entries(AUDIT_ACTION_LABELS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+          </select>
+          <input type="date" id="audit-from" class="px-3 py-2 border border-gray-300 rounded-lg">
+          <input type="date" id="audit-to" class="px-3 py-2 border border-gray-300 rounded-lg">
+          <button onclick="auditLogFilter.offset = 0; loadAuditLogs()"
+                  class="bg-gray-700 hover:bg-gray-800 text-white px-4 py-2 rounded-lg">
+            <i class="fas fa-filter mr-2"></i>絞り込み
+          </button>
+        </div>
+        
+        <div id="audit-log-list"></div>
+      </div>
+    </div>
+  `
+  
+  document.body.appendChild(modal)
+  loadAuditLogs()
+}
+
+// 監査ログ読み込み
+async function loadAuditLogs() {
+  const list = document.getElementById('audit-log-list')
+  if (!list) return
+  
+  const params = new URLSearchParams({
+    limit: auditLogFilter.limit,
+    offset: auditLogFilter.offset
+  })
+  const filters = {
+    user_id: document.getElementById('audit-user-id').value,
+    resource: document.getElementById('audit-resource').value,
+    action: document.getElementById('audit-action').value,
+    from: document.getElementById('audit-from').value,
+    to: document.getElementById('audit-to').value
+  }
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value)
+  })
+  
+  try {
+    const response = await axios.get(`/api/audit-logs?${params}`)
+    const { logs, total, offset, limit } = response.data
+    
+    list.innerHTML = `
+      <p class="text-sm text-gray-500 mb-2">${total}件中 ${total === 0 ? 0 : offset + 1}〜${Math.min(offset + limit, total)}件</p>
+      <div class="overflow-x-auto">
+        <table class="min-w-full divide-y divide-gray-200 text-sm">
+          <thead class="bg-gray-50">
+            <tr>
+              <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">日時（UTC）</th>
+              <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">ユーザー</th>
+              <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">操作</th>
+              <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">リソース</th>
+              <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">変更内容</th>
+              <th class="px-3 py-2 text-left text-xs font-medium text-gray-500">IPアドレス</th>
+            </tr>
+          </thead>
+          <tbody class="bg-white divide-y divide-gray-200">
+            ${logs.map(log => `
+              <tr class="align-top">
+                <td class="px-3 py-2 whitespace-nowrap">${escapeHtml(log.created_at)}</td>
+                <td class="px-3 py-2 whitespace-nowrap">${escapeHtml(log.user_name || '不明')}<span class="text-xs text-gray-400 ml-1">#${log.user_id ?? '-'}</span></td>
+                <td class="px-3 py-2 whitespace-nowrap">${escapeHtml(AUDIT_ACTION_LABELS[log.action] || log.action)}</td>
+                <td class="px-3 py-2 whitespace-nowrap">${escapeHtml(AUDIT_RESOURCE_LABELS[log.resource] || log.resource)}${log.resource_id ? ` #${escapeHtml(log.resource_id)}` : ''}</td>
+                <td class="px-3 py-2">${renderAuditChanges(log.details)}</td>
+                <td class="px-3 py-2 whitespace-nowrap text-xs text-gray-500">${escapeHtml(log.ip_address)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="flex justify-between mt-4">
+        <button onclick="auditLogFilter.offset = Math.max(0, auditLogFilter.offset - auditLogFilter.limit); loadAuditLogs()"
+                ${offset === 0 ? 'disabled' : ''}
+                class="px-4 py-2 bg-gray-200 rounded-lg disabled:opacity-50">◀ 前へ</button>
+        <button onclick="auditLogFilter.offset += auditLogFilter.limit; loadAuditLogs()"
+                ${offset + limit >= total ? 'disabled' : ''}
+                class="px-4 py-2 bg-gray-200 rounded-lg disabled:opacity-50">次へ ▶</button>
+      </div>
+    `
   } catch (error) {
-    hideLoading()
-    console.error('PDF生成エラー:', error)
-    alert('PDF生成に失敗しました')
+    console.error('監査ログ取得エラー:', error)
+    list.innerHTML = '<p class="text-red-600">監査ログの取得に失敗しました</p>'
+  }
+}
+
+// 変更前後の差分表示
+function renderAuditChanges(details) {
+  if (!details) return ''
+  
+  const changes = Object.entries(details.changes || {})
+    .filter(([key]) => key !== 'updated_at')
+  if (changes.length === 0) {
+    return `<span class="text-xs text-gray-400">${escapeHtml(details.route)}</span>`
   }
+  
+  return `
+    <details>
+      <summary class="cursor-pointer text-blue-600">${changes.length}項目</summary>
+      <ul class="mt-1 space-y-1 text-xs">
+        ${changes.map(([key, change]) => `
+          <li>
+            <span class="font-bold">${escapeHtml(key)}</span>:
+            <span class="bg-red-50 line-through">${escapeHtml(change.before ?? '')}</span>
+            → <span class="bg-green-50">${escapeHtml(change.after ?? '')}</span>
+          </li>
+        `).join('')}
+      </ul>
+    </details>
+  `
+}
+
+window.showAuditLogs = showAuditLogs
+window.loadAuditLogs = loadAuditLogs
+
+// レポートPDF出力（表示中の期間をサーバーで組み直す）
+async function exportReportToPDF(type, param1, param2) {
+  const weekly = type === 'weekly'
+  await downloadServerPdf(
+    `/api/pdf/reports/${type}/${state.student.classCode}`,
+    weekly ? `週次レポート_${param1}_${param2}.pdf` : `月次レポート_${param1}年${param2}月.pdf`,
+    weekly ? { startDate: param1, endDate: param2 } : { year: param1, month: param2 }
+  )
 }
 window.exportReportToPDF = exportReportToPDF
 
@@ -8919,46 +11207,157 @@ function getPriorityColor(priority) {
   return 'text-gray-600'
 }
 
-function countHelpRequests(students) {
-  return students.filter(s => 
-    s.curriculums.some(c => c.has_help_request)
-  ).length
-}
-
 function countStagnant(students) {
   return students.filter(s => 
     s.curriculums.some(c => c.intervention_priority >= 60 && !c.has_help_request)
   ).length
 }
 
-function generateHelpRequestList(students) {
-  const helpRequests = students.filter(s => 
-    s.curriculums.some(c => c.has_help_request)
-  )
+// ヘルプ待ちの列（指導介入優先度・待ち時間の順。サーバーで並べ替え済み）
+async function loadHelpQueue() {
+  const cache = progressBoardCache
+  if (!cache || !document.getElementById('helpRequestList')) return
+  
+  try {
+    const response = await axios.get(`/api/help-queue/class/${encodeURIComponent(cache.classCode)}`, {
+      params: { curriculumIds: cache.curriculumIds }
+    })
+    const requests = response.data.requests
+    document.getElementById('helpRequestCount').textContent = requests.length
+    document.getElementById('helpRequestList').innerHTML = generateHelpQueueList(requests)
+  } catch (error) {
+    console.error('ヘルプ待ち取得エラー:', error)
+  }
+}
 
-  if (helpRequests.length === 0) {
+function generateHelpQueueList(requests) {
+  if (requests.length === 0) {
     return '<div class="text-gray-500 text-center py-2">なし</div>'
   }
-
-  return helpRequests.map(student => {
-    const curr = student.curriculums.find(c => c.has_help_request)
-    const card = curr.card_progress.find(c => c.help_requested_at && !c.help_resolved_at)
-    const waitingMinutes = card ? card.help_waiting_minutes : 0
-
+  
+  const myId = state.auth.user?.id
+  return requests.map(request => {
+    const claimedByMe = request.status === 'claimed' && request.claimed_by === myId
+    const statusLabel = request.status === 'claimed'
+      ? `<span class="text-blue-600"><i class="fas fa-user-check mr-1"></i>${escapeHtml(request.claimed_by_name)}先生が対応中</span>`
+      : request.status === 'peer_assigned'
+        ? `<span class="text-purple-600"><i class="fas fa-user-friends mr-1"></i>${escapeHtml(request.helper_name)}さんに任せました</span>`
+        : '<span class="text-orange-600">待っています</span>'
+    
     return `
-      <div class="bg-white rounded p-2 border-l-4 border-orange-500">
+      <div class="bg-white rounded p-2 border-l-4 ${request.status === 'waiting' ? 'border-orange-500' : 'border-gray-300'}">
         <div class="flex items-center justify-between">
-          <div class="font-bold">${student.student_name}</div>
-          <div class="text-xs text-orange-600">${waitingMinutes}分待機</div>
+          <div class="font-bold">${escapeHtml(request.student_name)}</div>
+          <div class="text-xs text-orange-600">${request.wait_minutes}分待機</div>
         </div>
-        <div class="text-xs text-gray-600 mt-1">
-          ${card ? card.card_title : '不明'}
+        <div class="flex items-center justify-between mt-1 text-xs">
+          <div class="text-gray-600">
+            ${escapeHtml(request.card_title || '不明')}
+            ${request.help_type === 'friend' ? '<span class="ml-1 text-purple-600">（友だち）</span>' : ''}
+          </div>
+          ${statusLabel}
+        </div>
+        <div class="flex items-center justify-end gap-3 mt-1 text-xs">
+          ${request.status === 'waiting' ? `
+            <button onclick="claimHelpRequest(${request.id})" class="text-blue-600 hover:text-blue-800">
+              <i class="fas fa-hand-holding-heart mr-1"></i>対応する
+            </button>
+          ` : ''}
+          ${claimedByMe ? `
+            <button onclick="releaseHelpRequest(${request.id})" class="text-gray-600 hover:text-gray-800">
+              <i class="fas fa-undo mr-1"></i>対応をやめる
+            </button>
+          ` : ''}
+          ${request.status !== 'peer_assigned' ? `
+            <button onclick="showPeerHelperModal(${request.id})" class="text-purple-600 hover:text-purple-800">
+              <i class="fas fa-user-friends mr-1"></i>友だちに任せる
+            </button>
+          ` : ''}
+          <button onclick="showClassMessageModal(${request.student_id}, ${request.learning_card_id})"
+                  class="text-indigo-600 hover:text-indigo-800">
+            <i class="fas fa-reply mr-1"></i>返信
+          </button>
         </div>
       </div>
     `
   }).join('')
 }
 
+// ヘルプ要請に対応する・対応をやめる（ほかの先生の画面にも「対応中」が出る）
+async function updateHelpRequestClaim(requestId, action) {
+  try {
+    await axios.post(`/api/help-queue/${requestId}/${action}`)
+  } catch (error) {
+    console.error('ヘルプ対応エラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || 'ヘルプ要請の更新に失敗しました'), 'error')
+  }
+  loadHelpQueue()
+}
+
+function claimHelpRequest(requestId) {
+  return updateHelpRequestClaim(requestId, 'claim')
+}
+
+function releaseHelpRequest(requestId) {
+  return updateHelpRequestClaim(requestId, 'release')
+}
+
+// 同じカードを終えた友だちから、任せる児童を選ぶ
+async function showPeerHelperModal(requestId) {
+  try {
+    const response = await axios.get(`/api/help-queue/${requestId}/peers`)
+    const peers = response.data.peers
+    
+    const modal = document.createElement('div')
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg shadow-2xl max-w-sm w-full p-6">
+        <div class="flex items-center justify-between mb-4">
+          <h2 class="text-lg font-bold text-purple-600">
+            <i class="fas fa-user-friends mr-2"></i>友だちに任せる
+          </h2>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700">
+            <i class="fas fa-times text-xl"></i>
+          </button>
+        </div>
+        ${peers.length === 0 ? `
+          <p class="text-gray-600 text-sm">このカードを終えていて、いま手のあいている友だちがいません。</p>
+        ` : `
+          <p class="text-gray-600 text-sm mb-3">このカードを終えた友だち（今日教えた回数が少ない順）</p>
+          <div class="space-y-2">
+            ${peers.map(peer => `
+              <button onclick="assignPeerHelper(${requestId}, ${peer.id}); this.closest('.fixed').remove()"
+                      class="w-full flex items-center justify-between border rounded-lg px-3 py-2 hover:bg-purple-50">
+                <span class="font-bold">${escapeHtml(peer.name)}</span>
+                <span class="text-xs text-gray-500">今日 ${peer.helped_today}回</span>
+              </button>
+            `).join('')}
+          </div>
+        `}
+      </div>
+    `
+    document.body.appendChild(modal)
+  } catch (error) {
+    console.error('友だち候補取得エラー:', error)
+    showToast('友だちの候補の取得に失敗しました', 'error')
+  }
+}
+
+async function assignPeerHelper(requestId, helperStudentId) {
+  try {
+    const response = await axios.post(`/api/help-queue/${requestId}/assign-peer`, { helper_student_id: helperStudentId })
+    showToast(`${escapeHtml(response.data.helper.name)}さんに任せました`, 'success')
+  } catch (error) {
+    console.error('友だち割り当てエラー:', error)
+    showToast(escapeHtml(error.response?.data?.error || '友だちへの割り当てに失敗しました'), 'error')
+  }
+  loadHelpQueue()
+}
+window.claimHelpRequest = claimHelpRequest
+window.releaseHelpRequest = releaseHelpRequest
+window.showPeerHelperModal = showPeerHelperModal
+window.assignPeerHelper = assignPeerHelper
+
 function generateStagnantList(students) {
   const stagnant = students.filter(s => 
     s.curriculums.some(c => c.intervention_priority >= 60 && !c.has_help_request)
@@ -9389,31 +11788,151 @@ function addCheckTestProblem(curriculumId) {
           <i class="fas fa-trash"></i>
         </button>
       </div>
-    </div>
-  `
-  
-  list.appendChild(newProblem)
+    </div>
+  `
+  
+  list.appendChild(newProblem)
+}
+
+// チェックテスト問題削除
+async function deleteCheckTestProblem(curriculumId, problemNumber) {
+  if (!confirm('この問題を削除しますか？')) return
+  
+  try {
+    showLoading('問題を削除中...')
+    
+    await axios.delete(`/api/curriculum/${curriculumId}/check-test/${problemNumber}`)
+    
+    hideLoading()
+    alert('✅ 問題を削除しました')
+    
+    // モーダルを閉じて再度開く
+    document.querySelector('.fixed.inset-0').remove()
+    editCheckTest(curriculumId)
+  } catch (error) {
+    hideLoading()
+    console.error('問題削除エラー:', error)
+    alert('問題の削除に失敗しました')
+  }
+}
+
+// チェックテスト問題の個別編集（問題文・答え・採点設定）
+async function editCheckTestProblem(curriculumId, problemNumber) {
+  try {
+    const response = await axios.get(`/api/curriculum/${curriculumId}/metadata`)
+    const problem = (response.data.common_check_test?.sample_problems || [])
+      .find(p => p.problem_number === problemNumber)
+    
+    if (!problem) {
+      alert('問題が見つかりません')
+      return
+    }
+    
+    const modal = document.createElement('div')
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="p-6">
+          <div class="flex justify-between items-center mb-4">
+            <h3 class="text-xl font-bold text-gray-800">
+              <i class="fas fa-edit mr-2"></i>チェックテスト 問題${problemNumber}を編集
+            </h3>
+            <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700">
+              <i class="fas fa-times text-2xl"></i>
+            </button>
+          </div>
+          
+          <div class="space-y-4">
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">問題文</label>
+              <textarea id="ctProblemText" rows="3"
+                        class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">${escapeHtml(problem.problem_text)}</textarea>
+            </div>
+            <div class="grid grid-cols-2 gap-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">答え</label>
+                <input type="text" id="ctAnswer" value="${escapeHtml(problem.answer)}"
+                       class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">答えの形式</label>
+                <select id="ctAnswerType" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                  <option value="">自動判定</option>
+                  <option value="numeric" ${problem.answer_type === 'numeric' ? 'selected' : ''}>数（小数・分数・あまり・単位）</option>
+                  <option value="choice" ${problem.answer_type === 'choice' ? 'selected' : ''}>選択式</option>
+                  <option value="text" ${problem.answer_type === 'text' ? 'selected' : ''}>ことば</option>
+                </select>
+              </div>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">選択肢（選択式のみ・1行に1つ。答えには記号 ア・イ… か選択肢の文を書く）</label>
+              <textarea id="ctChoices" rows="3"
+                        class="w-full px-3 py-2 border border-gray-300 rounded-lg">${escapeHtml((problem.choices || []).join('\n'))}</textarea>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">別解（正解にする別の書き方・1行に1つ）</label>
+              <textarea id="ctAcceptedAnswers" rows="2"
+                        class="w-full px-3 py-2 border border-gray-300 rounded-lg">${escapeHtml((problem.accepted_answers || []).join('\n'))}</textarea>
+            </div>
+            <div class="grid grid-cols-2 gap-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">許容誤差（数の答えのみ）</label>
+                <input type="number" id="ctTolerance" min="0" step="any" value="${problem.tolerance ?? ''}"
+                       class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">まちがえたときに戻るカード番号</label>
+                <input type="number" id="ctRelatedCard" min="1" value="${problem.related_card_number ?? ''}"
+                       class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+              </div>
+            </div>
+          </div>
+          
+          <div class="flex gap-3 mt-6">
+            <button onclick="saveCheckTestProblem(${curriculumId}, ${problemNumber})"
+                    class="flex-1 bg-gradient-to-r from-blue-500 to-blue-600 text-white px-6 py-3 rounded-lg hover:from-blue-600 hover:to-blue-700 transition-all shadow-md">
+              <i class="fas fa-save mr-2"></i>保存する
+            </button>
+            <button onclick="this.closest('.fixed').remove()"
+                    class="flex-1 bg-gray-300 text-gray-700 px-6 py-3 rounded-lg hover:bg-gray-400 transition-all">
+              キャンセル
+            </button>
+          </div>
+        </div>
+      </div>
+    `
+    
+    document.body.appendChild(modal)
+  } catch (error) {
+    console.error('チェックテスト問題読み込みエラー:', error)
+    alert('問題の読み込みに失敗しました')
+  }
 }
 
-// チェックテスト問題削除
-async function deleteCheckTestProblem(curriculumId, problemNumber) {
-  if (!confirm('この問題を削除しますか？')) return
+async function saveCheckTestProblem(curriculumId, problemNumber) {
+  const lines = id => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean)
   
   try {
-    showLoading('問題を削除中...')
-    
-    await axios.delete(`/api/curriculum/${curriculumId}/check-test/${problemNumber}`)
-    
-    hideLoading()
-    alert('✅ 問題を削除しました')
+    loadingManager.show('問題を保存中...')
+    
+    await axios.put(`/api/curriculum/${curriculumId}/check-test/problem/${problemNumber}`, {
+      problem_text: document.getElementById('ctProblemText').value,
+      answer: document.getElementById('ctAnswer').value,
+      answer_type: document.getElementById('ctAnswerType').value,
+      choices: lines('ctChoices'),
+      accepted_answers: lines('ctAcceptedAnswers'),
+      tolerance: document.getElementById('ctTolerance').value,
+      related_card_number: document.getElementById('ctRelatedCard').value
+    })
     
-    // モーダルを閉じて再度開く
+    loadingManager.hide()
     document.querySelector('.fixed.inset-0').remove()
-    editCheckTest(curriculumId)
+    showToast('✅ チェックテスト問題を保存しました', 'success')
+    loadGuidePage(curriculumId)
   } catch (error) {
-    hideLoading()
-    console.error('問題削除エラー:', error)
-    alert('問題の削除に失敗しました')
+    loadingManager.hide()
+    console.error('チェックテスト問題保存エラー:', error)
+    alert(error.response?.data?.error || '問題の保存に失敗しました')
   }
 }
 
@@ -9721,6 +12240,33 @@ async function authFetch(url, options = {}) {
   return response
 }
 
+// axiosリクエストにも認証トークンを付与
+axios.interceptors.request.use((config) => {
+  if (state.auth.sessionToken) {
+    config.headers = config.headers || {}
+    config.headers['Authorization'] = `Bearer ${state.auth.sessionToken}`
+  }
+  return config
+})
+
+// axiosの401エラー（認証切れ）はリフレッシュして1回だけリトライ
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config
+    if (error.response?.status === 401 && config && !config._retried && state.auth.refreshToken) {
+      config._retried = true
+      const refreshed = await refreshSession()
+      if (refreshed) {
+        config.headers['Authorization'] = `Bearer ${state.auth.sessionToken}`
+        return axios(config)
+      }
+      logout()
+    }
+    return Promise.reject(error)
+  }
+)
+
 // セッション検証
 async function verifySession() {
   try {
@@ -9735,7 +12281,28 @@ async function verifySession() {
 }
 
 // セッション更新
-async function refreshSession() {
+// リフレッシュトークンは1回しか使えない（使うたびに新しいトークンが発行される）ため、
+// 複数のリクエストが同時に401になっても更新リクエストは1つにまとめる
+let refreshSessionPromise = null
+
+function refreshSession() {
+  if (!refreshSessionPromise) {
+    refreshSessionPromise = requestSessionRefresh().finally(() => {
+      refreshSessionPromise = null
+    })
+  }
+  return refreshSessionPromise
+}
+
+async function requestSessionRefresh() {
+  // 別のタブで更新済みの場合は、そのトークンを使う（古いトークンで更新すると再利用とみなされる）
+  const storedSessionToken = localStorage.getItem('session_token')
+  if (storedSessionToken && storedSessionToken !== state.auth.sessionToken) {
+    state.auth.sessionToken = storedSessionToken
+    state.auth.refreshToken = localStorage.getItem('refresh_token')
+    return true
+  }
+  
   try {
     const response = await fetch('/api/auth/refresh', {
       method: 'POST',
@@ -9749,7 +12316,9 @@ async function refreshSession() {
     
     const data = await response.json()
     state.auth.sessionToken = data.session_token
+    state.auth.refreshToken = data.refresh_token
     localStorage.setItem('session_token', data.session_token)
+    localStorage.setItem('refresh_token', data.refresh_token)
     
     return true
   } catch (error) {
@@ -9758,153 +12327,482 @@ async function refreshSession() {
   }
 }
 
-// ログイン画面表示
-function renderLoginPage() {
+// ログイン画面表示
+function renderLoginPage() {
+  state.currentView = 'login'
+  
+  const app = document.getElementById('app')
+  app.innerHTML = `
+    <div class="min-h-screen bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 flex items-center justify-center px-4">
+      <div class="bg-white rounded-2xl shadow-2xl max-w-md w-full p-8">
+        <!-- ヘッダー -->
+        <div class="text-center mb-8">
+          <i class="fas fa-graduation-cap text-6xl text-indigo-600 mb-4"></i>
+          <h1 class="text-3xl font-bold text-gray-800 mb-2">
+            自由進度学習支援システム
+          </h1>
+          <p class="text-gray-600">ログインしてください</p>
+        </div>
+        
+        <!-- ログインフォーム -->
+        <form id="loginForm" class="space-y-6">
+          <div>
+            <label for="email" class="block text-sm font-medium text-gray-700 mb-2">
+              <i class="fas fa-envelope mr-2"></i>メールアドレス
+            </label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              required
+              class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              placeholder="example@school.jp"
+            />
+          </div>
+          
+          <div>
+            <label for="password" class="block text-sm font-medium text-gray-700 mb-2">
+              <i class="fas fa-lock mr-2"></i>パスワード
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              required
+              class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              placeholder="パスワードを入力"
+            />
+          </div>
+          
+          <!-- エラーメッセージ -->
+          <div id="loginError" class="hidden bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-600">
+            <i class="fas fa-exclamation-circle mr-2"></i>
+            <span id="loginErrorMessage"></span>
+          </div>
+          
+          <!-- ログインボタン -->
+          <button
+            type="submit"
+            class="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-3 rounded-lg hover:from-indigo-700 hover:to-purple-700 transition-all shadow-lg"
+          >
+            <i class="fas fa-sign-in-alt mr-2"></i>ログイン
+          </button>
+        </form>
+        
+        <!-- 絵パスワードログイン（低学年向け） -->
+        <div class="mt-6">
+          <button
+            onclick="renderPictureLoginPage()"
+            class="w-full bg-gradient-to-r from-yellow-400 to-orange-400 text-white font-bold py-3 rounded-lg hover:from-yellow-500 hover:to-orange-500 transition-all shadow"
+          >
+            🍎🐶 えで ログイン（1・2ねんせい）
+          </button>
+        </div>
+        
+        <!-- 新規登録リンク -->
+        <div class="mt-6 text-center">
+          <p class="text-sm text-gray-600">
+            アカウントをお持ちでない場合は
+            <button onclick="renderRegisterPage()" class="text-indigo-600 hover:text-indigo-800 font-medium">
+              新規登録
+            </button>
+          </p>
+        </div>
+        
+        <!-- デモログイン -->
+        <div class="mt-4 text-center">
+          <button
+            onclick="demoLogin()"
+            class="text-sm text-gray-500 hover:text-gray-700 underline"
+          >
+            <i class="fas fa-user-secret mr-1"></i>デモアカウントでログイン
+          </button>
+        </div>
+      </div>
+    </div>
+  `
+  
+  // ログインフォームの送信処理
+  document.getElementById('loginForm').addEventListener('submit', handleLogin)
+}
+
+// ログイン処理
+async function handleLogin(event) {
+  event.preventDefault()
+  
+  const email = document.getElementById('email').value
+  const password = document.getElementById('password').value
+  const errorDiv = document.getElementById('loginError')
+  const errorMessage = document.getElementById('loginErrorMessage')
+  
+  loadingManager.show('ログイン中...')
+  errorDiv.classList.add('hidden')
+  
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    })
+    
+    const data = await response.json()
+    
+    if (!response.ok) {
+      loadingManager.hide()
+      errorMessage.textContent = data.error || 'ログインに失敗しました'
+      errorDiv.classList.remove('hidden')
+      return
+    }
+    
+    loadingManager.hide()
+    completeLogin(data)
+  } catch (error) {
+    loadingManager.hide()
+    console.error('ログインエラー:', error)
+    errorMessage.textContent = 'ログインに失敗しました。もう一度お試しください。'
+    errorDiv.classList.remove('hidden')
+  }
+}
+
+// ログイン成功時の共通処理
+function completeLogin(data) {
+  // 認証情報を保存
+  state.auth.isAuthenticated = true
+  state.auth.sessionToken = data.session_token
+  state.auth.refreshToken = data.refresh_token
+  state.auth.user = data.user
+  
+  localStorage.setItem('session_token', data.session_token)
+  localStorage.setItem('refresh_token', data.refresh_token)
+  localStorage.setItem('user', JSON.stringify(data.user))
+  
+  // ユーザー情報をstateに反映
+  state.student.id = data.user.id
+  state.student.name = data.user.name
+  state.student.classCode = data.user.class_code
+  
+  // リアルタイム更新を受信
+  realtime.connect()
+  
+  // トップページへ遷移
+  renderTopPage()
+}
+
+// ============================================
+// セッション管理（ログイン中の端末）
+// ============================================
+
+// User-Agentから端末の種類を簡易表示
+function describeUserAgent(userAgent) {
+  const ua = userAgent || ''
+  const device = /iPad/.test(ua) ? 'iPad' :
+    /iPhone/.test(ua) ? 'iPhone' :
+    /Android/.test(ua) ? 'Android' :
+    /CrOS/.test(ua) ? 'Chromebook' :
+    /Windows/.test(ua) ? 'Windows' :
+    /Mac OS X/.test(ua) ? 'Mac' : '不明な端末'
+  const browser = /Edg\//.test(ua) ? 'Edge' :
+    /Chrome\//.test(ua) ? 'Chrome' :
+    /Firefox\//.test(ua) ? 'Firefox' :
+    /Safari\//.test(ua) ? 'Safari' : ''
+  return browser ? `${device}（${browser}）` : device
+}
+
+// ログイン中の端末一覧を表示
+async function showSessionManager() {
+  loadingManager.show('ログイン中の端末を確認中...')
+  
+  try {
+    const response = await axios.get('/api/auth/sessions')
+    loadingManager.hide()
+    
+    const sessions = response.data.sessions
+    document.getElementById('session-manager-modal')?.remove()
+    
+    const modal = document.createElement('div')
+    modal.id = 'session-manager-modal'
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="flex items-center justify-between p-6 border-b">
+          <h2 class="text-2xl font-bold text-gray-800">
+            <i class="fas fa-laptop mr-2 text-indigo-500"></i>ログイン中の端末
+          </h2>
+          <button onclick="this.closest('.fixed').remove()" 
+                  class="text-gray-400 hover:text-gray-600 text-3xl">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        
+        <div class="p-6 space-y-3">
+          ${sessions.map(session => `
+            <div class="flex items-center justify-between border rounded-lg p-4 ${session.is_current ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200'}">
+              <div>
+                <p class="font-bold text-gray-800">
+                  ${escapeHtml(describeUserAgent(session.user_agent))}
+                  ${session.is_current ? '<span class="ml-2 text-xs bg-indigo-500 text-white px-2 py-1 rounded-full">この端末</span>' : ''}
+                </p>
+                <p class="text-xs text-gray-500">IP: ${escapeHtml(session.ip_address || '不明')}</p>
+                <p class="text-xs text-gray-500">ログイン: ${escapeHtml(session.created_at)} / 最終更新: ${escapeHtml(session.updated_at)}</p>
+              </div>
+              ${session.is_current ? '' : `
+                <button onclick="revokeSession(${session.id})"
+                        class="px-3 py-2 bg-red-100 hover:bg-red-200 text-red-700 rounded-lg text-sm">
+                  ログアウト
+                </button>
+              `}
+            </div>
+          `).join('')}
+        </div>
+        
+        <div class="p-6 border-t">
+          <button onclick="revokeOtherSessions()" ${sessions.length <= 1 ? 'disabled' : ''}
+                  class="w-full bg-red-500 hover:bg-red-600 text-white px-6 py-3 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed">
+            <i class="fas fa-sign-out-alt mr-2"></i>この端末以外をすべてログアウト
+          </button>
+        </div>
+      </div>
+    `
+    
+    document.body.appendChild(modal)
+  } catch (error) {
+    loadingManager.hide()
+    console.error('セッション一覧取得エラー:', error)
+    alert('ログイン中の端末を取得できませんでした')
+  }
+}
+
+// 端末を1台ログアウト
+async function revokeSession(sessionId) {
+  if (!confirm('この端末をログアウトしますか？')) return
+  
+  try {
+    await axios.delete(`/api/auth/sessions/${sessionId}`)
+    showSessionManager()
+  } catch (error) {
+    console.error('セッション無効化エラー:', error)
+    alert('ログアウトに失敗しました')
+  }
+}
+
+// この端末以外をすべてログアウト
+async function revokeOtherSessions() {
+  if (!confirm('この端末以外のすべての端末をログアウトしますか？')) return
+  
+  try {
+    const response = await axios.delete('/api/auth/sessions')
+    showToast(`${response.data.revoked}台の端末をログアウトしました`, 'success')
+    showSessionManager()
+  } catch (error) {
+    console.error('セッション一括無効化エラー:', error)
+    alert('ログアウトに失敗しました')
+  }
+}
+
+window.showSessionManager = showSessionManager
+window.revokeSession = revokeSession
+window.revokeOtherSessions = revokeOtherSessions
+
+// ============================================
+// 絵パスワードログイン（低学年向け）
+// ============================================
+
+// 絵の番号（0〜8）とサーバーに保存する並びが対応する
+const PICTURE_PASSWORD_IMAGES = ['🍎', '🐶', '🚗', '⭐', '🌸', '🐟', '☀️', '🎈', '🍙']
+
+const pictureLogin = {
+  classCode: null,
+  studentNumber: null,
+  sequence: [],
+  sequenceLength: 4
+}
+
+// ステップ1: クラスコード入力（端末に前回のクラスを記憶）
+function renderPictureLoginPage() {
   state.currentView = 'login'
+  pictureLogin.classCode = null
+  pictureLogin.studentNumber = null
+  pictureLogin.sequence = []
+  
+  const savedClassCode = localStorage.getItem('picture_login_class_code') || ''
   
   const app = document.getElementById('app')
   app.innerHTML = `
-    <div class="min-h-screen bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 flex items-center justify-center px-4">
-      <div class="bg-white rounded-2xl shadow-2xl max-w-md w-full p-8">
-        <!-- ヘッダー -->
-        <div class="text-center mb-8">
-          <i class="fas fa-graduation-cap text-6xl text-indigo-600 mb-4"></i>
-          <h1 class="text-3xl font-bold text-gray-800 mb-2">
-            自由進度学習支援システム
-          </h1>
-          <p class="text-gray-600">ログインしてください</p>
+    <div class="min-h-screen bg-gradient-to-br from-yellow-300 via-orange-300 to-pink-400 flex items-center justify-center px-4">
+      <div class="bg-white rounded-3xl shadow-2xl max-w-2xl w-full p-8">
+        <div class="text-center mb-6">
+          <p class="text-6xl mb-2">🏫</p>
+          <h1 class="text-3xl font-bold text-gray-800">えで ログイン</h1>
         </div>
         
-        <!-- ログインフォーム -->
-        <form id="loginForm" class="space-y-6">
-          <div>
-            <label for="email" class="block text-sm font-medium text-gray-700 mb-2">
-              <i class="fas fa-envelope mr-2"></i>メールアドレス
-            </label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              required
-              class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-              placeholder="example@school.jp"
-            />
-          </div>
-          
-          <div>
-            <label for="password" class="block text-sm font-medium text-gray-700 mb-2">
-              <i class="fas fa-lock mr-2"></i>パスワード
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              required
-              class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-              placeholder="パスワードを入力"
-            />
-          </div>
-          
-          <!-- エラーメッセージ -->
-          <div id="loginError" class="hidden bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-600">
-            <i class="fas fa-exclamation-circle mr-2"></i>
-            <span id="loginErrorMessage"></span>
-          </div>
-          
-          <!-- ログインボタン -->
-          <button
-            type="submit"
-            class="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-3 rounded-lg hover:from-indigo-700 hover:to-purple-700 transition-all shadow-lg"
-          >
-            <i class="fas fa-sign-in-alt mr-2"></i>ログイン
+        <div id="pictureLoginStep">
+          <label for="pictureClassCode" class="block text-xl font-bold text-gray-700 mb-3 text-center">
+            クラスの コードを いれてね
+          </label>
+          <input
+            type="text"
+            id="pictureClassCode"
+            value="${escapeHtml(savedClassCode)}"
+            class="w-full px-4 py-4 border-4 border-orange-300 rounded-2xl text-3xl text-center font-bold"
+            placeholder="CLASS2024A"
+          />
+          <button onclick="selectPictureLoginClass()"
+                  class="w-full mt-4 bg-orange-500 hover:bg-orange-600 text-white text-2xl font-bold py-4 rounded-2xl shadow-lg">
+            つぎへ ▶
           </button>
-        </form>
-        
-        <!-- 新規登録リンク -->
-        <div class="mt-6 text-center">
-          <p class="text-sm text-gray-600">
-            アカウントをお持ちでない場合は
-            <button onclick="renderRegisterPage()" class="text-indigo-600 hover:text-indigo-800 font-medium">
-              新規登録
-            </button>
-          </p>
         </div>
         
-        <!-- デモログイン -->
-        <div class="mt-4 text-center">
-          <button
-            onclick="demoLogin()"
-            class="text-sm text-gray-500 hover:text-gray-700 underline"
-          >
-            <i class="fas fa-user-secret mr-1"></i>デモアカウントでログイン
+        <div id="pictureLoginError" class="hidden mt-4 bg-red-50 border-2 border-red-200 rounded-2xl p-4 text-xl text-center text-red-600"></div>
+        
+        <div class="mt-6 text-center">
+          <button onclick="renderLoginPage()" class="text-sm text-gray-500 hover:text-gray-700 underline">
+            メールアドレスでログイン
           </button>
         </div>
       </div>
     </div>
   `
   
-  // ログインフォームの送信処理
-  document.getElementById('loginForm').addEventListener('submit', handleLogin)
+  // 記憶済みのクラスがあれば番号選択から始める
+  if (savedClassCode) {
+    selectPictureLoginClass()
+  }
 }
 
-// ログイン処理
-async function handleLogin(event) {
-  event.preventDefault()
+function showPictureLoginError(message) {
+  const errorDiv = document.getElementById('pictureLoginError')
+  errorDiv.textContent = message
+  errorDiv.classList.remove('hidden')
+}
+
+// ステップ2: 出席番号を選ぶ
+async function selectPictureLoginClass() {
+  const classCode = document.getElementById('pictureClassCode')?.value.trim() || pictureLogin.classCode
+  if (!classCode) return
   
-  const email = document.getElementById('email').value
-  const password = document.getElementById('password').value
-  const errorDiv = document.getElementById('loginError')
-  const errorMessage = document.getElementById('loginErrorMessage')
+  try {
+    const response = await fetch(`/api/auth/picture-login/${encodeURIComponent(classCode)}`)
+    const data = await response.json()
+    
+    if (!response.ok || data.student_numbers.length === 0) {
+      showPictureLoginError('クラスが みつからないよ。せんせいに きいてね')
+      return
+    }
+    
+    pictureLogin.classCode = classCode
+    pictureLogin.sequenceLength = data.sequence_length
+    localStorage.setItem('picture_login_class_code', classCode)
+    document.getElementById('pictureLoginError').classList.add('hidden')
+    
+    document.getElementById('pictureLoginStep').innerHTML = `
+      <p class="text-xl font-bold text-gray-700 mb-4 text-center">じぶんの ばんごうを おしてね</p>
+      <div class="grid grid-cols-5 gap-3">
+        ${data.student_numbers.map(number => `
+          <button onclick="selectPictureLoginNumber(${number})"
+                  class="bg-blue-100 hover:bg-blue-300 text-blue-900 text-3xl font-bold py-4 rounded-2xl shadow">
+            ${number}
+          </button>
+        `).join('')}
+      </div>
+      <button onclick="localStorage.removeItem('picture_login_class_code'); renderPictureLoginPage()"
+              class="w-full mt-6 text-sm text-gray-500 hover:text-gray-700 underline">
+        クラスを かえる
+      </button>
+    `
+  } catch (error) {
+    console.error('出席番号一覧取得エラー:', error)
+    showPictureLoginError('つながらないよ。もういちど やってみてね')
+  }
+}
+
+// ステップ3: 絵を順番に選ぶ
+function selectPictureLoginNumber(number) {
+  pictureLogin.studentNumber = number
+  pictureLogin.sequence = []
+  document.getElementById('pictureLoginError').classList.add('hidden')
+  
+  document.getElementById('pictureLoginStep').innerHTML = `
+    <p class="text-xl font-bold text-gray-700 mb-2 text-center">${number}ばんさん、えを じゅんばんに おしてね</p>
+    <div id="pictureLoginDots" class="flex justify-center gap-3 mb-4"></div>
+    <div class="grid grid-cols-3 gap-4">
+      ${PICTURE_PASSWORD_IMAGES.map((image, index) => `
+        <button onclick="tapPictureLoginImage(${index})"
+                class="bg-yellow-50 hover:bg-yellow-200 text-6xl py-4 rounded-2xl shadow border-4 border-yellow-200">
+          ${image}
+        </button>
+      `).join('')}
+    </div>
+    <div class="flex gap-3 mt-4">
+      <button onclick="selectPictureLoginClass()"
+              class="flex-1 bg-gray-200 text-gray-700 text-xl font-bold py-3 rounded-2xl">
+        ◀ もどる
+      </button>
+      <button onclick="pictureLogin.sequence = []; renderPictureLoginDots()"
+              class="flex-1 bg-gray-200 text-gray-700 text-xl font-bold py-3 rounded-2xl">
+        やりなおす
+      </button>
+    </div>
+  `
+  renderPictureLoginDots()
+}
+
+function renderPictureLoginDots() {
+  const dots = document.getElementById('pictureLoginDots')
+  if (!dots) return
+  
+  dots.innerHTML = Array.from({ length: pictureLogin.sequenceLength }, (_, i) => `
+    <span class="w-6 h-6 rounded-full ${i < pictureLogin.sequence.length ? 'bg-orange-500' : 'bg-gray-200'}"></span>
+  `).join('')
+}
+
+async function tapPictureLoginImage(index) {
+  if (pictureLogin.sequence.length >= pictureLogin.sequenceLength) return
+  
+  pictureLogin.sequence.push(index)
+  renderPictureLoginDots()
+  
+  if (pictureLogin.sequence.length < pictureLogin.sequenceLength) return
   
+  // 必要な数の絵を選んだら自動でログイン
   loadingManager.show('ログイン中...')
-  errorDiv.classList.add('hidden')
   
   try {
     const response = await fetch('/api/auth/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password })
+      body: JSON.stringify({
+        class_code: pictureLogin.classCode,
+        student_number: pictureLogin.studentNumber,
+        picture_password: pictureLogin.sequence
+      })
     })
     
     const data = await response.json()
+    loadingManager.hide()
     
     if (!response.ok) {
-      loadingManager.hide()
-      errorMessage.textContent = data.error || 'ログインに失敗しました'
-      errorDiv.classList.remove('hidden')
+      pictureLogin.sequence = []
+      renderPictureLoginDots()
+      showPictureLoginError(data.error || 'ログインできなかったよ')
       return
     }
     
-    // 認証情報を保存
-    state.auth.isAuthenticated = true
-    state.auth.sessionToken = data.session_token
-    state.auth.refreshToken = data.refresh_token
-    state.auth.user = data.user
-    
-    localStorage.setItem('session_token', data.session_token)
-    localStorage.setItem('refresh_token', data.refresh_token)
-    localStorage.setItem('user', JSON.stringify(data.user))
-    
-    // ユーザー情報をstateに反映
-    state.student.id = data.user.id
-    state.student.name = data.user.name
-    state.student.classCode = data.user.class_code
-    
-    loadingManager.hide()
-    
-    // WebSocketに接続
-    websocket.connect()
-    
-    // トップページへ遷移
-    renderTopPage()
+    completeLogin(data)
   } catch (error) {
     loadingManager.hide()
-    console.error('ログインエラー:', error)
-    errorMessage.textContent = 'ログインに失敗しました。もう一度お試しください。'
-    errorDiv.classList.remove('hidden')
+    console.error('絵パスワードログインエラー:', error)
+    pictureLogin.sequence = []
+    renderPictureLoginDots()
+    showPictureLoginError('つながらないよ。もういちど やってみてね')
   }
 }
 
+window.renderPictureLoginPage = renderPictureLoginPage
+window.selectPictureLoginClass = selectPictureLoginClass
+window.selectPictureLoginNumber = selectPictureLoginNumber
+window.tapPictureLoginImage = tapPictureLoginImage
+window.renderPictureLoginDots = renderPictureLoginDots
+
 // 新規登録画面表示
 function renderRegisterPage() {
   state.currentView = 'register'
@@ -10109,15 +13007,19 @@ async function handleRegister(event) {
 // ログアウト処理
 async function logout() {
   try {
+    // authFetchは401でlogoutを呼ぶため、ここでは直接fetchする
     if (state.auth.sessionToken) {
-      await authFetch('/api/auth/logout', { method: 'POST' })
+      await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${state.auth.sessionToken}` }
+      })
     }
   } catch (error) {
     console.error('ログアウトエラー:', error)
   }
   
-  // WebSocketを切断
-  websocket.disconnect()
+  // リアルタイム更新の受信を停止
+  realtime.disconnect()
   
   // ローカルストレージをクリア
   localStorage.removeItem('session_token')
@@ -10142,140 +13044,267 @@ function demoLogin() {
 }
 
 // ============================================
-// WebSocket リアルタイム通信
+// リアルタイム通信（WebSocket / ポーリング）
 // ============================================
 
-// WebSocket接続管理
-const websocket = {
+// リアルタイム更新の受信
+// WebSocket（配信ワーカー）に接続できないときは /api/realtime/poll のポーリングに切り替える
+// どちらで受け取っても同じメッセージ（type・id つき）を handleMessage で処理する
+const realtime = {
   ws: null,
+  mode: null,               // 'websocket' | 'polling'
+  classCode: null,
+  lastEventId: null,        // 受け取った最大のメッセージ id（ポーリングの続きに使う）
+  lastSeq: null,            // WebSocket で受け取った最後のクラス内の通し番号（再接続時の resume に使う）
+  seenIds: new Set(),       // 処理済みのメッセージ id（直近 maxSeenIds 件。重複の読み飛ばしに使う）
+  maxSeenIds: 500,
   reconnectTimer: null,
   reconnectAttempts: 0,
   maxReconnectAttempts: 5,
   reconnectDelay: 3000,
+  pollTimer: null,
+  pollInterval: 15000,
+  boardRefreshTimer: null,
   
   // 接続
   connect: function() {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      console.log('WebSocket already connected')
+    if (this.mode && this.classCode === state.student.classCode) {
+      return
+    }
+    this.disconnect()
+    
+    // 保護者はクラスの配信を受け取らない
+    if (state.auth.user?.role === 'guardian') {
       return
     }
     
-    if (!state.student.classCode) {
+    if (!state.student.classCode || !state.auth.sessionToken) {
       console.error('No class code available')
       return
     }
     
-    // WebSocket URLを構築
+    this.classCode = state.student.classCode
+    this.connectWebSocket()
+  },
+  
+  connectWebSocket: function() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
-    const host = window.location.host
-    const url = `${protocol}//${host}/api/ws?classCode=${state.student.classCode}&userId=${state.student.id}&role=${state.auth.user?.role || 'student'}`
+    const url = `${protocol}//${window.location.host}/api/ws?classCode=${encodeURIComponent(this.classCode)}&token=${encodeURIComponent(state.auth.sessionToken)}`
     
-    console.log('Connecting to WebSocket:', url)
+    let opened = false
+    this.mode = 'websocket'
     
     try {
       this.ws = new WebSocket(url)
-      
-      this.ws.onopen = (event) => {
-        console.log('✅ WebSocket connected')
-        this.reconnectAttempts = 0
-        
-        // Ping/Pong for keep-alive (30秒ごと)
-        this.startPingInterval()
+    } catch (error) {
+      console.error('WebSocket connection error:', error)
+      this.startPolling()
+      return
+    }
+    
+    this.ws.onopen = () => {
+      console.log('✅ WebSocket connected')
+      opened = true
+      this.reconnectAttempts = 0
+      this.startPingInterval()
+      // 切断中に届いたメッセージを再送してもらう（取りきれなかったら resumed の complete が false）
+      if (this.lastSeq !== null) {
+        this.ws.send(JSON.stringify({ type: 'resume', lastSeq: this.lastSeq }))
       }
-      
-      this.ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data)
-          this.handleMessage(data)
-        } catch (error) {
-          console.error('WebSocket message parse error:', error)
-        }
+    }
+    
+    this.ws.onmessage = (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data))
+      } catch (error) {
+        console.error('WebSocket message parse error:', error)
       }
-      
-      this.ws.onerror = (error) => {
-        console.error('WebSocket error:', error)
+    }
+    
+    this.ws.onerror = (error) => {
+      console.error('WebSocket error:', error)
+    }
+    
+    this.ws.onclose = (event) => {
+      console.log('WebSocket closed:', event.code, event.reason)
+      this.stopPingInterval()
+      this.ws = null
+      if (this.mode !== 'websocket') {
+        return
       }
       
-      this.ws.onclose = (event) => {
-        console.log('WebSocket closed:', event.code, event.reason)
-        this.stopPingInterval()
-        
-        // 自動再接続
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-          this.reconnectAttempts++
-          console.log(`Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`)
-          
-          this.reconnectTimer = setTimeout(() => {
-            this.connect()
-          }, this.reconnectDelay)
-        } else {
-          console.error('Max reconnect attempts reached')
-        }
+      // 一度も開けなかった（配信サーバーなし・503）か、再接続を使い切ったらポーリングへ
+      if (!opened || this.reconnectAttempts >= this.maxReconnectAttempts) {
+        console.log('WebSocketが使えないため、ポーリングに切り替えます')
+        this.startPolling()
+        return
       }
-    } catch (error) {
-      console.error('WebSocket connection error:', error)
+      
+      this.reconnectAttempts++
+      console.log(`Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`)
+      this.reconnectTimer = setTimeout(() => this.connectWebSocket(), this.reconnectDelay)
     }
   },
   
   // 切断
   disconnect: function() {
+    this.mode = null
     this.stopPingInterval()
     
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer)
       this.reconnectTimer = null
     }
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = null
+    }
     
     if (this.ws) {
       this.ws.close()
       this.ws = null
     }
+    
+    this.classCode = null
+    this.lastEventId = null
+    this.lastSeq = null
+    this.seenIds.clear()
   },
   
-  // メッセージ送信
-  send: function(data) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(data))
-    } else {
-      console.error('WebSocket is not connected')
+  // ポーリング
+  startPolling: function() {
+    this.mode = 'polling'
+    this.poll()
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval)
+  },
+  
+  poll: async function() {
+    const classCode = this.classCode
+    try {
+      const params = { classCode }
+      if (this.lastEventId !== null) {
+        params.after = this.lastEventId
+      }
+      const response = await axios.get('/api/realtime/poll', { params })
+      if (classCode !== this.classCode) {
+        return
+      }
+      
+      response.data.messages.forEach(message => this.handleMessage(message))
+      this.lastEventId = Math.max(this.lastEventId || 0, response.data.cursor)
+    } catch (error) {
+      console.error('リアルタイム更新の取得エラー:', error)
     }
   },
   
   // メッセージ処理
   handleMessage: function(data) {
-    console.log('WebSocket message:', data)
+    // seq は配信した順に増えるので、再送分を読み飛ばしても最大値まで進めてよい
+    if (data.seq) {
+      this.lastSeq = Math.max(this.lastSeq || 0, data.seq)
+    }
+    if (data.id) {
+      // WebSocket とポーリングの両方で受け取ったメッセージは一度だけ処理する
+      // id は全クラス共通の連番で、配信は非同期なので小さい id が後から届くこともある（id の大小では判定しない）
+      if (this.seenIds.has(data.id)) {
+        return
+      }
+      this.seenIds.add(data.id)
+      if (this.seenIds.size > this.maxSeenIds) {
+        this.seenIds.delete(this.seenIds.values().next().value)
+      }
+      this.lastEventId = Math.max(this.lastEventId || 0, data.id)
+    }
     
     switch (data.type) {
       case 'connected':
         console.log(`Connected to class: ${data.classCode}, clients: ${data.clientCount}`)
+        // 初めての接続では、この時点の seq から数える（再接続時は resume の結果で進める）
+        if (this.lastSeq === null) {
+          this.lastSeq = data.latestSeq || 0
+        }
         break
         
       case 'pong':
         // Keep-alive response
         break
         
+      case 'resumed':
+        // 配信サーバーに残っていなかった分はポーリングで取得
+        console.log(`Resumed: ${data.replayed} messages`)
+        if (!data.complete) {
+          this.lastSeq = data.latestSeq
+          this.poll()
+        }
+        break
+        
       case 'progress_updated':
-        // 進捗更新通知
-        this.onProgressUpdate(data)
+        // 進捗更新通知（教師のみ）
+        if (data.status === 'completed' && data.previousStatus !== 'completed') {
+          showToast(`📝 ${escapeHtml(data.studentName)}さんが学習カードを終えました`, 'info')
+        }
+        this.scheduleBoardRefresh(2000)
         break
         
       case 'help_requested':
         // ヘルプ要請通知（教師のみ）
-        this.onHelpRequest(data)
+        playNotificationSound()
+        showToast(
+          `🆘 ${escapeHtml(data.studentName)}さんがヘルプを要請しています\n` +
+          `カード: ${escapeHtml(data.cardTitle || '学習カード')}\n` +
+          `種類: ${escapeHtml(data.helpType || '-')}`,
+          'warning',
+          10000 // 10秒表示
+        )
+        this.scheduleBoardRefresh(1000)
         break
         
       case 'help_resolved':
-        // ヘルプ解決通知
-        this.onHelpResolve(data)
+        // ヘルプ解決通知（教師のみ）
+        showToast(`✅ ${escapeHtml(data.studentName)}さんのヘルプが解決されました`, 'success')
+        this.scheduleBoardRefresh(1000)
         break
         
       case 'activity_updated':
         // 活動更新通知（教師のみ）
-        this.onActivityUpdate(data)
+        this.scheduleBoardRefresh(3000)
+        break
+        
+      case 'help_queue_updated':
+        // ほかの先生が対応した・友だちに任せた（教師のみ）
+        if (state.currentView === 'progress') {
+          loadHelpQueue()
+        }
+        break
+        
+      case 'peer_help_assigned':
+        // 友だちどうしのヘルプ（教える側・教わる側の本人だけに届く）
+        playNotificationSound()
+        showToast(data.role === 'helper'
+          ? `🤝 ${escapeHtml(data.studentName)}さんが「${escapeHtml(data.cardTitle || '学習カード')}」でこまっています。教えてあげてね`
+          : `🤝 ${escapeHtml(data.helperName)}さんが教えに来てくれるよ`,
+          'info',
+          10000
+        )
+        break
+        
+      case 'announcement':
+      case 'direct_message':
+        // 先生からの連絡（学習カードを開いていないときは、次に開いたときに表示）
+        if (state.auth.user?.role === 'student' && state.currentView === 'card') {
+          showClassMessageToast(data)
+        }
+        break
+        
+      case 'message_acknowledged':
+        // 「わかった」の数を更新（教師のみ）
+        if (document.getElementById('classMessageList')) {
+          loadClassMessageList(this.classCode)
+        }
         break
         
       case 'error':
-        console.error('WebSocket error:', data.message)
+        console.error('Realtime error:', data.message)
         break
         
       default:
@@ -10283,91 +13312,24 @@ const websocket = {
     }
   },
   
-  // 進捗更新ハンドラー
-  onProgressUpdate: function(data) {
-    console.log('Progress updated:', data)
-    
-    // 進捗ボードが表示されている場合は自動更新
-    if (state.currentView === 'progress') {
-      // 進捗ボードを再読み込み（デバウンス付き）
-      if (!this.progressUpdateTimer) {
-        this.progressUpdateTimer = setTimeout(() => {
-          if (state.selectedCurriculum) {
-            loadProgressBoard(state.selectedCurriculum.id)
-          }
-          this.progressUpdateTimer = null
-        }, 2000) // 2秒デバウンス
-      }
-    }
-    
-    // 通知表示
-    if (state.auth.user?.role === 'teacher') {
-      showToast(`📝 ${data.studentId}番の児童が進捗を更新しました`, 'info')
-    }
-  },
-  
-  // ヘルプ要請ハンドラー（教師用）
-  onHelpRequest: function(data) {
-    console.log('Help requested:', data)
-    
-    // 音声通知
-    playNotificationSound()
-    
-    // 目立つ通知表示
-    showToast(
-      `🆘 ${data.studentName}さんがヘルプを要請しています\n` +
-      `カード: ${data.cardTitle}\n` +
-      `種類: ${data.helpType}`,
-      'warning',
-      10000 // 10秒表示
-    )
-    
-    // 進捗ボードが表示されている場合は自動更新
-    if (state.currentView === 'progress') {
-      setTimeout(() => {
-        if (state.selectedCurriculum) {
-          loadProgressBoard(state.selectedCurriculum.id)
-        }
-      }, 1000)
-    }
-  },
-  
-  // ヘルプ解決ハンドラー
-  onHelpResolve: function(data) {
-    console.log('Help resolved:', data)
-    
-    if (state.auth.user?.role === 'teacher') {
-      showToast(`✅ ヘルプが解決されました`, 'success')
-      
-      // 進捗ボードを更新
-      if (state.currentView === 'progress' && state.selectedCurriculum) {
-        setTimeout(() => {
-          loadProgressBoard(state.selectedCurriculum.id)
-        }, 1000)
-      }
-    }
-  },
-  
-  // 活動更新ハンドラー（教師用）
-  onActivityUpdate: function(data) {
-    console.log('Activity updated:', data)
-    
-    // 進捗ボードを更新（デバウンス付き）
-    if (state.currentView === 'progress' && !this.activityUpdateTimer) {
-      this.activityUpdateTimer = setTimeout(() => {
-        if (state.selectedCurriculum) {
-          loadProgressBoard(state.selectedCurriculum.id)
-        }
-        this.activityUpdateTimer = null
-      }, 3000)
+  // 進捗ボードが表示されていれば差分更新（続けて届いたときはまとめる）
+  scheduleBoardRefresh: function(delay) {
+    if (state.currentView !== 'progress' || this.boardRefreshTimer) {
+      return
     }
+    this.boardRefreshTimer = setTimeout(() => {
+      this.boardRefreshTimer = null
+      refreshProgressBoard()
+    }, delay)
   },
   
   // Ping/Pongインターバル
   pingInterval: null,
   startPingInterval: function() {
     this.pingInterval = setInterval(() => {
-      this.send({ type: 'ping' })
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(JSON.stringify({ type: 'ping' }))
+      }
     }, 30000) // 30秒ごと
   },
   
@@ -10432,49 +13394,6 @@ function playNotificationSound() {
   }
 }
 
-// WebSocketヘルパー関数：進捗更新を送信
-function sendProgressUpdate(studentId, curriculumId, courseId, cardId, status, understandingLevel) {
-  websocket.send({
-    type: 'progress_update',
-    studentId,
-    curriculumId,
-    courseId,
-    cardId,
-    status,
-    understandingLevel
-  })
-}
-
-// WebSocketヘルパー関数：ヘルプ要請を送信
-function sendHelpRequest(studentId, studentName, curriculumId, cardId, cardTitle, helpType) {
-  websocket.send({
-    type: 'help_request',
-    studentId,
-    studentName,
-    curriculumId,
-    cardId,
-    cardTitle,
-    helpType
-  })
-}
-
-// WebSocketヘルパー関数：ヘルプ解決を送信
-function sendHelpResolve(studentId) {
-  websocket.send({
-    type: 'help_resolve',
-    studentId
-  })
-}
-
-// WebSocketヘルパー関数：活動記録を送信
-function sendActivity(studentId, cardId) {
-  websocket.send({
-    type: 'activity',
-    studentId,
-    cardId
-  })
-}
-
 // ============================================
 // AI問題生成機能
 // ============================================
@@ -10586,28 +13505,29 @@ function showProblemGenerationModal(curriculumId) {
   // フォーム送信処理
   document.getElementById('problemGenerationForm').addEventListener('submit', async (e) => {
     e.preventDefault()
-    await generateProblem(curriculumId)
+    await generateCurriculumProblem(curriculumId)
   })
 }
 
-// 問題生成実行
-async function generateProblem(curriculumId) {
+// 問題生成実行（難易度指定モード）
+async function generateCurriculumProblem(curriculumId) {
   const problemType = document.getElementById('problemType').value
   const difficultyLevel = parseInt(document.getElementById('difficultyLevel').value)
   const specificRequirements = document.getElementById('specificRequirements').value
   
-  showLoading('AI が問題を生成中...')
+  loadingManager.show('AI が問題を生成中...')
   
   try {
     const response = await axios.post('/api/ai/generate-problem', {
-      userId: state.student.id,
+      version: 2,
+      mode: 'targeted',
       curriculumId: curriculumId,
       problemType: problemType,
       difficultyLevel: difficultyLevel,
       specificRequirements: specificRequirements
     })
     
-    hideLoading()
+    loadingManager.hide()
     
     if (!response.data.success) {
       alert('問題生成に失敗しました: ' + response.data.error)
@@ -10626,14 +13546,14 @@ async function generateProblem(curriculumId) {
         <div>
           <div class="text-sm font-bold text-gray-600 mb-1">タイトル</div>
           <div class="bg-white border border-gray-200 rounded p-3">
-            ${response.data.problem.title}
+            ${escapeHtml(response.data.problem.title)}
           </div>
         </div>
         
         <div>
           <div class="text-sm font-bold text-gray-600 mb-1">問題内容</div>
           <div class="bg-white border border-gray-200 rounded p-3 whitespace-pre-wrap">
-            ${response.data.problem.content}
+            ${escapeHtml(response.data.problem.content)}
           </div>
         </div>
         
@@ -10641,7 +13561,7 @@ async function generateProblem(curriculumId) {
           <div>
             <div class="text-sm font-bold text-gray-600 mb-1">解答・解説</div>
             <div class="bg-white border border-gray-200 rounded p-3 whitespace-pre-wrap">
-              ${response.data.problem.solution}
+              ${escapeHtml(response.data.problem.solution)}
             </div>
           </div>
         ` : ''}
@@ -10658,7 +13578,7 @@ async function generateProblem(curriculumId) {
     resultArea.scrollIntoView({ behavior: 'smooth' })
     
   } catch (error) {
-    hideLoading()
+    loadingManager.hide()
     console.error('問題生成エラー:', error)
     alert('問題生成に失敗しました: ' + (error.response?.data?.error || error.message))
   }
@@ -10675,7 +13595,7 @@ function regenerateProblem() {
   document.getElementById('generationResult').classList.add('hidden')
   
   // 再生成
-  generateProblem(state.selectedCurriculum.id)
+  generateCurriculumProblem(state.selectedCurriculum.id)
 }
 
 // 生成された問題を保存
@@ -10685,16 +13605,15 @@ async function saveGeneratedProblem() {
     return
   }
   
-  showLoading('問題を保存中...')
+  loadingManager.show('問題を保存中...')
   
   try {
     // 承認APIを呼び出し
     await axios.post(`/api/ai/approve-problem/${window.generatedProblem.id}`, {
-      userId: state.student.id,
       approved: true
     })
     
-    hideLoading()
+    loadingManager.hide()
     alert('✅ 問題を保存しました！')
     
     // モーダルを閉じる
@@ -10706,7 +13625,7 @@ async function saveGeneratedProblem() {
     }
     
   } catch (error) {
-    hideLoading()
+    loadingManager.hide()
     console.error('問題保存エラー:', error)
     alert('問題の保存に失敗しました')
   }
@@ -10714,7 +13633,7 @@ async function saveGeneratedProblem() {
 
 // グローバルスコープに関数を登録
 window.showProblemGenerationModal = showProblemGenerationModal
-window.generateProblem = generateProblem
+window.generateCurriculumProblem = generateCurriculumProblem
 window.regenerateProblem = regenerateProblem
 window.saveGeneratedProblem = saveGeneratedProblem
 
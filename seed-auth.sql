@@ -1,5 +1,5 @@
 -- デモ用ユーザーを作成
--- パスワードは 'demo123' (SHA-256ハッシュ)
+-- パスワードは 'demo123' (旧形式のSHA-256ハッシュ。初回ログイン時にPBKDF2へ自動移行)
 
 -- 教師アカウント
 INSERT OR IGNORE INTO users (id, name, email, password_hash, role, class_code, is_active, student_number) VALUES
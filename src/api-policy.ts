@@ -0,0 +1,228 @@
+// APIのアクセスポリシー表とルートの照合
+// 照合は純粋な関数にして、セッションや権限の確認（src/index.tsx の enforceApiPolicy）と分けておく
+
+// APIアクセスポリシー
+// 上から順に評価し、最初に一致したルールを適用する。どのルールにも一致しないAPIは拒否する。
+// resource/action を省略したルールはログインのみ必要。
+// パスに :studentId / :classCode / :teacherId を含む場合はアクセス範囲も検証する。
+export interface ApiPolicy {
+  method: 'GET' | 'POST' | 'PUT' | 'DELETE' | '*'
+  path: string  // '/api/curriculum/:id' 形式。末尾の '/*' は前方一致
+  resource?: string
+  action?: string
+  public?: boolean
+}
+
+export const apiPolicies: ApiPolicy[] = [
+  // 認証（登録はハンドラー内で児童以外のロール作成を制限）
+  { method: 'POST', path: '/api/auth/login', public: true },
+  { method: 'POST', path: '/api/auth/register', public: true },
+  { method: 'POST', path: '/api/auth/refresh', public: true },
+  { method: 'GET', path: '/api/auth/picture-login/:classCode', public: true },
+  { method: 'POST', path: '/api/auth/picture-password/:studentId', resource: 'user', action: 'credential' },
+  { method: 'POST', path: '/api/auth/sessions/cleanup', resource: 'session', action: 'cleanup' },
+  { method: '*', path: '/api/auth/users/:userId/sessions', resource: 'session', action: 'manage' },
+  { method: '*', path: '/api/auth/*' },
+  
+  // 名簿一括取り込み（教師は自クラスの児童のみ、ハンドラー内で検証）
+  { method: 'POST', path: '/api/roster/import/*', resource: 'user', action: 'import' },
+  
+  // 監査ログ閲覧（教師は自クラスのユーザーの操作のみ、ハンドラー内で絞り込み）
+  { method: 'GET', path: '/api/audit-logs', resource: 'audit', action: 'read' },
+  
+  // リアルタイム通信
+  { method: 'GET', path: '/api/ws' },
+  { method: 'GET', path: '/api/realtime/poll' },
+  
+  // カリキュラム
+  { method: 'GET', path: '/api/curriculum/:id/history', resource: 'curriculum', action: 'update' },
+  { method: 'GET', path: '/api/curriculum/:id/export', resource: 'curriculum', action: 'update' },
+  { method: 'GET', path: '/api/curriculum/*', resource: 'curriculum', action: 'read' },
+  { method: 'GET', path: '/api/curriculum', resource: 'curriculum', action: 'read' },
+  { method: 'GET', path: '/api/courses/*', resource: 'curriculum', action: 'read' },
+  { method: 'GET', path: '/api/environment/*', resource: 'curriculum', action: 'read' },
+  { method: 'GET', path: '/api/teacher/customization/:curriculumId', resource: 'curriculum', action: 'read' },
+  { method: 'POST', path: '/api/curriculum/save-generated', resource: 'curriculum', action: 'create' },
+  { method: 'POST', path: '/api/curriculum/:id/duplicate', resource: 'curriculum', action: 'create' },
+  { method: 'POST', path: '/api/curriculum-package/import/*', resource: 'curriculum', action: 'create' },
+  { method: 'POST', path: '/api/ai/suggest-units', resource: 'curriculum', action: 'create' },
+  { method: 'POST', path: '/api/ai/generate-unit', resource: 'curriculum', action: 'create' },
+  { method: 'DELETE', path: '/api/curriculum/:id', resource: 'curriculum', action: 'delete' },
+  { method: '*', path: '/api/curriculum/*', resource: 'curriculum', action: 'update' },
+  { method: '*', path: '/api/course/*', resource: 'curriculum', action: 'update' },
+  { method: '*', path: '/api/optional-problem/*', resource: 'curriculum', action: 'update' },
+  { method: '*', path: '/api/environment/*', resource: 'curriculum', action: 'update' },
+  { method: 'POST', path: '/api/teacher/customization', resource: 'curriculum', action: 'update' },
+  { method: '*', path: '/api/custom/content/*', resource: 'curriculum', action: 'update' },
+  { method: '*', path: '/api/custom/content', resource: 'curriculum', action: 'update' },
+  
+  // 学習カード・ヒント・解答
+  { method: 'GET', path: '/api/cards/:cardId/submissions', resource: 'progress', action: 'read' },
+  { method: 'POST', path: '/api/cards/:cardId/submissions', resource: 'progress', action: 'create' },
+  { method: 'GET', path: '/api/cards/:cardId/adapted/:studentId', resource: 'card', action: 'read' },
+  { method: 'GET', path: '/api/cards/:cardId', resource: 'card', action: 'read' },
+  { method: 'GET', path: '/api/answers/curriculum/:curriculumId', resource: 'card', action: 'read' },
+  { method: 'POST', path: '/api/cards/:cardId/generate-similar', resource: 'card', action: 'read' },
+  { method: 'POST', path: '/api/cards', resource: 'card', action: 'create' },
+  { method: 'POST', path: '/api/hints', resource: 'card', action: 'create' },
+  { method: 'DELETE', path: '/api/cards/:cardId', resource: 'card', action: 'delete' },
+  { method: 'DELETE', path: '/api/hints/:hintId', resource: 'card', action: 'delete' },
+  { method: '*', path: '/api/cards/*', resource: 'card', action: 'update' },
+  { method: '*', path: '/api/card/*', resource: 'card', action: 'update' },
+  { method: '*', path: '/api/hints/*', resource: 'card', action: 'update' },
+  { method: 'GET', path: '/api/ai/generated-problems/:curriculumId', resource: 'card', action: 'update' },
+  { method: 'POST', path: '/api/ai/approve-problem/:problemId', resource: 'card', action: 'update' },
+  
+  // 学習進捗・学習計画
+  { method: 'GET', path: '/api/progress/class/:classCode', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/progress/curriculum/:curriculumId/class/:classCode', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/progress-board/class/:classCode', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/help-queue/class/:classCode', resource: 'progress', action: 'read' },
+  { method: '*', path: '/api/help-queue/*', resource: 'help_queue', action: 'manage' },
+  { method: 'POST', path: '/api/progress', resource: 'progress', action: 'create' },
+  { method: 'POST', path: '/api/progress/help-request', resource: 'progress', action: 'update' },
+  { method: 'POST', path: '/api/progress/help-resolve', resource: 'progress', action: 'update' },
+  { method: 'POST', path: '/api/progress/activity', resource: 'progress', action: 'update' },
+  { method: 'GET', path: '/api/progress/events/:studentId', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/plans/:studentId/:curriculumId', resource: 'progress', action: 'read' },
+  { method: 'POST', path: '/api/plans', resource: 'progress', action: 'create' },
+  { method: 'PUT', path: '/api/plans/:id', resource: 'progress', action: 'update' },
+  { method: 'GET', path: '/api/learning-plan/:studentId/:curriculumId', resource: 'progress', action: 'read' },
+  { method: 'POST', path: '/api/learning-plan/save', resource: 'progress', action: 'update' },
+  { method: 'GET', path: '/api/badges/student/:studentId/curriculum/:curriculumId', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/narratives/student/:studentId/curriculum/:curriculumId', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/check-test/:curriculumId/student/:studentId', resource: 'progress', action: 'read' },
+  { method: 'POST', path: '/api/check-test/:curriculumId/problem/:problemNumber/submit', resource: 'progress', action: 'create' },
+  { method: 'GET', path: '/api/submissions/class/:classCode', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/submissions/:id/photo', resource: 'progress', action: 'read' },
+  { method: 'PUT', path: '/api/submissions/:id/review', resource: 'evaluation', action: 'update' },
+  
+  // バッジルール（教師が単元ごとに設定）・児童向け通知
+  { method: '*', path: '/api/badges/rules/*', resource: 'badge', action: 'manage' },
+  { method: 'POST', path: '/api/badges/rules', resource: 'badge', action: 'manage' },
+  { method: 'GET', path: '/api/notifications' },
+  { method: 'POST', path: '/api/notifications/*' },
+  
+  // 先生からの連絡（送信・一覧は先生、受信・「わかった」は自分宛てのみ）
+  { method: '*', path: '/api/class-messages/class/:classCode', resource: 'class_message', action: 'send' },
+  { method: 'GET', path: '/api/class-messages' },
+  { method: 'POST', path: '/api/class-messages/:id/ack' },
+  
+  // レポート
+  { method: 'GET', path: '/api/reports/weekly/:classCode', resource: 'reports', action: 'read' },
+  { method: 'GET', path: '/api/reports/monthly/:classCode', resource: 'reports', action: 'read' },
+  
+  // 保護者ポータル（紐づけと同意の設定は先生、閲覧は紐づけられた保護者のみ）
+  { method: 'GET', path: '/api/guardian-links/class/:classCode', resource: 'guardian', action: 'manage' },
+  { method: 'POST', path: '/api/guardian-links', resource: 'guardian', action: 'manage' },
+  { method: '*', path: '/api/guardian-links/:id', resource: 'guardian', action: 'manage' },
+  { method: 'GET', path: '/api/guardian/students', resource: 'guardian', action: 'read' },
+  { method: 'GET', path: '/api/guardian/students/:studentId/*', resource: 'guardian', action: 'read' },
+  
+  // PDF出力（個人レポートは児童本人も取得できる）
+  { method: 'GET', path: '/api/pdf/curriculum/:id', resource: 'curriculum', action: 'read' },
+  { method: 'GET', path: '/api/pdf/progress/class/:classCode', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/pdf/students/:studentId/report', resource: 'progress', action: 'read' },
+  { method: 'GET', path: '/api/pdf/class/:classCode/student-reports', resource: 'reports', action: 'read' },
+  { method: 'GET', path: '/api/pdf/reports/:kind/:classCode', resource: 'reports', action: 'read' },
+  
+  // 評価
+  { method: 'GET', path: '/api/evaluations/student/:studentId/curriculum/:curriculumId', resource: 'evaluation', action: 'read' },
+  { method: 'GET', path: '/api/evaluations/three-point/student/:studentId/curriculum/:curriculumId', resource: 'evaluation', action: 'read' },
+  { method: 'GET', path: '/api/evaluations/non-cognitive/student/:studentId/curriculum/:curriculumId', resource: 'evaluation', action: 'read' },
+  { method: 'POST', path: '/api/evaluations', resource: 'evaluation', action: 'create' },
+  { method: 'POST', path: '/api/evaluations/*', resource: 'evaluation', action: 'create' },
+  { method: 'PUT', path: '/api/evaluations/*', resource: 'evaluation', action: 'update' },
+  
+  // AI学習支援
+  { method: 'POST', path: '/api/ai/analyze-errors', resource: 'analytics', action: 'read' },
+  { method: 'GET', path: '/api/ai/stats/:studentId', resource: 'ai', action: 'use' },
+  { method: 'GET', path: '/api/ai/conversations/:studentId/:cardId', resource: 'ai', action: 'use' },
+  { method: '*', path: '/api/ai/*', resource: 'ai', action: 'use' },
+  { method: 'POST', path: '/api/ai-chat', resource: 'ai', action: 'use' },
+  
+  // 学習データ収集（児童の操作ログ・マルチモーダル入力）
+  { method: 'POST', path: '/api/behavior/logs', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/lstm/collect-data/:studentId', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/ml/update-model/:studentId', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/transformer/analyze-text', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/rl/*', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/voice/*', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/handwriting/*', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/ab-test/assign', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/ab-test/event', resource: 'analytics', action: 'create' },
+  
+  // 学習分析（教師・コーディネーター向け）
+  { method: 'GET', path: '/api/behavior/logs/:studentId', resource: 'analytics', action: 'read' },
+  { method: 'POST', path: '/api/analysis/*', resource: 'analytics', action: 'read' },
+  { method: 'GET', path: '/api/dashboard/class/:classCode', resource: 'analytics', action: 'read' },
+  { method: 'GET', path: '/api/dashboard/student/:studentId', resource: 'analytics', action: 'read' },
+  { method: 'POST', path: '/api/dashboard/recommendations', resource: 'analytics', action: 'create' },
+  { method: 'POST', path: '/api/predictions/:studentId', resource: 'analytics', action: 'read' },
+  { method: 'GET', path: '/api/lstm/time-series/:studentId', resource: 'analytics', action: 'read' },
+  { method: 'POST', path: '/api/ml/predict/:studentId', resource: 'analytics', action: 'read' },
+  { method: 'GET', path: '/api/ab-test/results/:experimentName', resource: 'analytics', action: 'read' },
+  { method: 'GET', path: '/api/research/export/:classCode', resource: 'analytics', action: 'export' },
+  { method: 'GET', path: '/api/research/summary/:classCode', resource: 'analytics', action: 'export' },
+  { method: 'POST', path: '/api/research/create-dataset', resource: 'analytics', action: 'export' },
+  { method: 'GET', path: '/api/system/stats', resource: 'analytics', action: 'read' },
+  
+  // コーディネーター（複数校）
+  { method: 'GET', path: '/api/schools', resource: 'coordinator', action: 'read' },
+  { method: 'GET', path: '/api/cross-school/analytics/:municipalityId', resource: 'coordinator', action: 'read' },
+  { method: 'GET', path: '/api/coordinator/*', resource: 'coordinator', action: 'read' },
+  { method: 'POST', path: '/api/coordinator/*', resource: 'coordinator', action: 'create' }
+]
+
+export type CompiledRoute<T> = { route: T; keys: string[]; regex: RegExp }
+
+// ユーティリティ: ルート定義（method + path）の一覧を正規表現に変換
+export function compileRoutePatterns<T extends { method: string; path: string }>(routes: T[]): CompiledRoute<T>[] {
+  return routes.map(route => {
+    const keys: string[] = []
+    const pattern = route.path
+      .replace(/:(\w+)/g, (_, key) => {
+        keys.push(key)
+        return '([^/]+)'
+      })
+      .replace(/\/\*$/, '/.+')
+    
+    return { route, keys, regex: new RegExp(`^${pattern}$`) }
+  })
+}
+
+// ユーティリティ: リクエストに最初に一致するルート定義を検索
+export function matchRoutePattern<T extends { method: string; path: string }>(
+  compiled: CompiledRoute<T>[],
+  method: string,
+  path: string
+): { route: T; params: Record<string, string> } | null {
+  for (const { route, keys, regex } of compiled) {
+    if (route.method !== '*' && route.method !== method) continue
+    
+    const match = path.match(regex)
+    if (!match) continue
+    
+    // 「%E0」のような壊れたエスケープを含むパスはどのルートにも一致しない（ポリシーでは拒否になる）
+    const params: Record<string, string> = {}
+    try {
+      keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(match[index + 1])
+      })
+    } catch {
+      return null
+    }
+    
+    return { route, params }
+  }
+  
+  return null
+}
+
+const compiledApiPolicies = compileRoutePatterns(apiPolicies)
+
+// ユーティリティ: リクエストに一致するアクセスポリシーを検索
+export function matchApiPolicy(method: string, path: string): { policy: ApiPolicy; params: Record<string, string> } | null {
+  const matched = matchRoutePattern(compiledApiPolicies, method, path)
+  return matched ? { policy: matched.route, params: matched.params } : null
+}
@@ -0,0 +1,250 @@
+// 単元カタログの検索
+// 学年・教科・教科書会社・作成した先生・タグで絞り込み、キーワードで単元名などと学習カードの中身を検索してページに分けて返す
+//   キーワード : 空白で区切った語がすべて含まれる単元（語ごとに、単元名・教科・教科書会社・作成者名・タグ・学習カードのどこかに含まれればよい）
+//   学習カード : 題名・問題文・例題を learning_cards_fts（FTS5 trigram）で引く。trigram は3文字以上の語しか引けないので、2文字以下は LIKE で探す
+// 一致した学習カードは単元ごとに数枚だけ、一致した部分を \u0001 と \u0002 で囲んだ抜粋つきで返す
+
+export interface CatalogQuery {
+  keywords: string[]
+  grade: string | null
+  subject: string | null
+  textbook_company: string | null
+  author_id: number | null
+  tag: string | null
+  page: number
+  per_page: number
+}
+
+const DEFAULT_PER_PAGE = 20
+const MAX_PER_PAGE = 50
+const MAX_KEYWORDS = 5
+const MATCHED_CARDS_PER_UNIT = 3
+const FTS_MIN_LENGTH = 3
+
+export const TAG_MAX_LENGTH = 20
+export const TAGS_PER_CURRICULUM = 10
+
+export const MATCH_START = '\u0001'
+export const MATCH_END = '\u0002'
+
+function optionalText(value: string | undefined): string | null {
+  return value && value.trim() ? value.trim() : null
+}
+
+function pageNumber(value: string | undefined, fallback: number, max: number = Number.MAX_SAFE_INTEGER): number {
+  const number = Number(value)
+  return Number.isInteger(number) && number >= 1 ? Math.min(number, max) : fallback
+}
+
+// クエリ文字列を検索条件にする（不正な値は指定なしとして扱う）
+export function parseCatalogQuery(params: Record<string, string | undefined>): CatalogQuery {
+  const authorId = Number(params.author_id)
+  return {
+    keywords: [...new Set((params.q || '').split(/[\s　]+/).filter(Boolean))].slice(0, MAX_KEYWORDS),
+    grade: optionalText(params.grade),
+    subject: optionalText(params.subject),
+    textbook_company: optionalText(params.textbook_company),
+    author_id: Number.isInteger(authorId) && authorId > 0 ? authorId : null,
+    tag: optionalText(params.tag),
+    page: pageNumber(params.page, 1),
+    per_page: pageNumber(params.per_page, DEFAULT_PER_PAGE, MAX_PER_PAGE)
+  }
+}
+
+// タグをそろえる（前後の空白と先頭の # を除き、重複と長すぎるものを落とす）
+export function normalizeTags(tags: unknown): string[] | null {
+  if (!Array.isArray(tags)) {
+    return null
+  }
+  const normalized = tags
+    .filter((tag): tag is string => typeof tag === 'string')
+    .map(tag => tag.trim().replace(/^[#＃]+/, '').trim())
+    .filter(tag => tag && tag.length <= TAG_MAX_LENGTH)
+  return [...new Set(normalized)].slice(0, TAGS_PER_CURRICULUM)
+}
+
+const likePattern = (keyword: string) => `%${keyword.replace(/[\\%_]/g, ch => `\\${ch}`)}%`
+const ftsPhrase = (keyword: string) => `"${keyword.replace(/"/g, '""')}"`
+const usesFts = (keyword: string) => [...keyword].length >= FTS_MIN_LENGTH
+
+// 語が学習カードに含まれる単元の id を返す副問い合わせ
+function cardMatchSubquery(keyword: string): { sql: string; binds: string[] } {
+  if (usesFts(keyword)) {
+    return {
+      sql: `
+        SELECT co.curriculum_id FROM learning_cards_fts
+        JOIN learning_cards lc ON lc.id = learning_cards_fts.rowid
+        JOIN courses co ON co.id = lc.course_id
+        WHERE learning_cards_fts MATCH ?
+      `,
+      binds: [ftsPhrase(keyword)]
+    }
+  }
+  const pattern = likePattern(keyword)
+  return {
+    sql: `
+      SELECT co.curriculum_id FROM learning_cards lc
+      JOIN courses co ON co.id = lc.course_id
+      WHERE lc.card_title LIKE ? ESCAPE '\\' OR lc.problem_description LIKE ? ESCAPE '\\' OR lc.example_problem LIKE ? ESCAPE '\\'
+    `,
+    binds: [pattern, pattern, pattern]
+  }
+}
+
+function buildWhere(query: CatalogQuery): { sql: string; binds: (string | number)[] } {
+  const conditions: string[] = []
+  const binds: (string | number)[] = []
+
+  if (query.grade !== null) {
+    conditions.push('c.grade = ?')
+    binds.push(query.grade)
+  }
+  if (query.subject !== null) {
+    conditions.push('c.subject = ?')
+    binds.push(query.subject)
+  }
+  if (query.textbook_company !== null) {
+    conditions.push('c.textbook_company = ?')
+    binds.push(query.textbook_company)
+  }
+  if (query.author_id !== null) {
+    conditions.push('c.created_by = ?')
+    binds.push(query.author_id)
+  }
+  if (query.tag !== null) {
+    conditions.push('EXISTS (SELECT 1 FROM curriculum_tags t WHERE t.curriculum_id = c.id AND t.tag = ?)')
+    binds.push(query.tag)
+  }
+
+  for (const keyword of query.keywords) {
+    const pattern = likePattern(keyword)
+    const cards = cardMatchSubquery(keyword)
+    conditions.push(`(
+      c.unit_name LIKE ? ESCAPE '\\' OR c.subject LIKE ? ESCAPE '\\' OR c.textbook_company LIKE ? ESCAPE '\\' OR u.name LIKE ? ESCAPE '\\'
+      OR EXISTS (SELECT 1 FROM curriculum_tags t WHERE t.curriculum_id = c.id AND t.tag LIKE ? ESCAPE '\\')
+      OR c.id IN (${cards.sql})
+    )`)
+    binds.push(pattern, pattern, pattern, pattern, pattern, ...cards.binds)
+  }
+
+  return { sql: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', binds }
+}
+
+// キーワードに一致した学習カード（単元ごとに数枚）
+async function findMatchedCards(db: D1Database, keywords: string[], curriculumIds: number[]) {
+  const matched = new Map<number, any[]>()
+  if (keywords.length === 0 || curriculumIds.length === 0) {
+    return matched
+  }
+
+  const ids = curriculumIds.map(() => '?').join(',')
+  const ftsKeywords = keywords.filter(usesFts)
+  const shortKeywords = keywords.filter(keyword => !usesFts(keyword))
+  const statements: D1PreparedStatement[] = []
+
+  // snippet() は ROW_NUMBER() の副問い合わせの中では使えないので、単元ごとの数枚を先に選んでから抜粋を作る
+  if (ftsKeywords.length > 0) {
+    const match = ftsKeywords.map(ftsPhrase).join(' OR ')
+    statements.push(db.prepare(`
+      SELECT co.curriculum_id, lc.id, lc.card_number, lc.card_title, co.course_level,
+        snippet(learning_cards_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', 16) AS excerpt
+      FROM learning_cards_fts
+      JOIN learning_cards lc ON lc.id = learning_cards_fts.rowid
+      JOIN courses co ON co.id = lc.course_id
+      WHERE learning_cards_fts MATCH ? AND lc.id IN (
+        SELECT id FROM (
+          SELECT lc.id, ROW_NUMBER() OVER (PARTITION BY co.curriculum_id ORDER BY lc.card_number, lc.id) AS position
+          FROM learning_cards lc
+          JOIN courses co ON co.id = lc.course_id
+          WHERE co.curriculum_id IN (${ids})
+            AND lc.id IN (SELECT rowid FROM learning_cards_fts WHERE learning_cards_fts MATCH ?)
+        ) WHERE position <= ${MATCHED_CARDS_PER_UNIT}
+      )
+      ORDER BY co.curriculum_id, lc.card_number, lc.id
+    `).bind(match, ...curriculumIds, match))
+  }
+
+  if (shortKeywords.length > 0) {
+    const patterns = shortKeywords.map(likePattern)
+    const cardLike = shortKeywords.map(() => `lc.card_title LIKE ? ESCAPE '\\' OR lc.problem_description LIKE ? ESCAPE '\\' OR lc.example_problem LIKE ? ESCAPE '\\'`).join(' OR ')
+    statements.push(db.prepare(`
+      SELECT curriculum_id, id, card_number, card_title, course_level, NULL AS excerpt FROM (
+        SELECT co.curriculum_id, lc.id, lc.card_number, lc.card_title, co.course_level,
+          ROW_NUMBER() OVER (PARTITION BY co.curriculum_id ORDER BY lc.card_number, lc.id) AS position
+        FROM learning_cards lc
+        JOIN courses co ON co.id = lc.course_id
+        WHERE (${cardLike}) AND co.curriculum_id IN (${ids})
+      ) WHERE position <= ${MATCHED_CARDS_PER_UNIT}
+    `).bind(...patterns.flatMap(pattern => [pattern, pattern, pattern]), ...curriculumIds))
+  }
+
+  for (const result of await db.batch(statements)) {
+    for (const card of (result.results || []) as any[]) {
+      const cards = matched.get(card.curriculum_id) || []
+      if (cards.length < MATCHED_CARDS_PER_UNIT && !cards.some(found => found.id === card.id)) {
+        const { curriculum_id, ...rest } = card
+        cards.push(rest)
+      }
+      matched.set(card.curriculum_id, cards)
+    }
+  }
+  return matched
+}
+
+export async function searchCurriculumCatalog(db: D1Database, query: CatalogQuery) {
+  const where = buildWhere(query)
+  const from = `FROM curriculum c LEFT JOIN users u ON u.id = c.created_by ${where.sql}`
+
+  const total = await db.prepare(`SELECT COUNT(*) AS count ${from}`).bind(...where.binds).first<{ count: number }>()
+  const count = total?.count || 0
+  const totalPages = Math.max(1, Math.ceil(count / query.per_page))
+
+  const rows = await db.prepare(`
+    SELECT c.id, c.grade, c.subject, c.textbook_company, c.unit_name, c.unit_order, c.total_hours,
+      c.unit_goal, c.created_by, u.name AS author_name, c.created_at
+    ${from}
+    ORDER BY c.grade, c.subject, c.textbook_company, c.unit_order, c.id
+    LIMIT ? OFFSET ?
+  `).bind(...where.binds, query.per_page, (query.page - 1) * query.per_page).all()
+
+  const units = (rows.results || []) as any[]
+  const ids = units.map(unit => unit.id)
+  const tags = new Map<number, string[]>()
+  const cardCounts = new Map<number, number>()
+
+  if (ids.length > 0) {
+    const placeholders = ids.map(() => '?').join(',')
+    const [tagRows, countRows] = await db.batch([
+      db.prepare(`SELECT curriculum_id, tag FROM curriculum_tags WHERE curriculum_id IN (${placeholders}) ORDER BY id`).bind(...ids),
+      db.prepare(`
+        SELECT co.curriculum_id, COUNT(lc.id) AS card_count
+        FROM courses co JOIN learning_cards lc ON lc.course_id = co.id
+        WHERE co.curriculum_id IN (${placeholders})
+        GROUP BY co.curriculum_id
+      `).bind(...ids)
+    ])
+    for (const row of (tagRows.results || []) as any[]) {
+      tags.set(row.curriculum_id, [...(tags.get(row.curriculum_id) || []), row.tag])
+    }
+    for (const row of (countRows.results || []) as any[]) {
+      cardCounts.set(row.curriculum_id, row.card_count)
+    }
+  }
+
+  const matchedCards = await findMatchedCards(db, query.keywords, ids)
+
+  return {
+    units: units.map(unit => ({
+      ...unit,
+      tags: tags.get(unit.id) || [],
+      card_count: cardCounts.get(unit.id) || 0,
+      matched_cards: matchedCards.get(unit.id) || []
+    })),
+    pagination: {
+      page: query.page,
+      per_page: query.per_page,
+      total: count,
+      total_pages: totalPages
+    }
+  }
+}
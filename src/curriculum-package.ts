@@ -0,0 +1,393 @@
+// 単元パッケージ（単元を丸ごと別の学校・環境へ持ち運ぶためのJSON）
+// 単元・コース・学習カード・ヒントカード・解答・選択問題・メタデータ（コース選択問題、共通チェックテスト）と
+// カード画像をひとつにまとめる。ID はパッケージの中だけで通じる番号で、取り込むときに新しい ID へ振り直す
+//   schema_version : パッケージの形式の版。形式を変えたら上げ、古い版の読み替えは validateCurriculumPackage に足す
+//   images         : 同じサーバーの画像（/static/...）と data URL はパッケージに埋め込み、
+//                    カードには "package-image:<ref>" と書く。外部の http(s) の画像は URL のまま残す
+
+export const CURRICULUM_PACKAGE_FORMAT = 'jiyushindo-curriculum-package'
+export const CURRICULUM_PACKAGE_VERSION = 1
+
+export const PACKAGE_IMAGE_PREFIX = 'package-image:'
+export const PACKAGE_IMAGE_MAX_LENGTH = 1_000_000  // 取り込み後の data URL の上限（D1の1行に収まる大きさ）
+const PACKAGE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml']
+
+const COURSE_LEVELS = ['basic', 'standard', 'advanced']
+
+// パッケージに入れる列（id と created_at は環境ごとに違うので入れない）
+const CURRICULUM_COLUMNS = ['grade', 'subject', 'textbook_company', 'unit_name', 'unit_order', 'total_hours', 'unit_goal', 'non_cognitive_goal']
+const COURSE_COLUMNS = ['course_level', 'course_display_name', 'selection_question_title', 'selection_question_content', 'course_label', 'course_name', 'description', 'color_code', 'introduction_problem']
+const CARD_COLUMNS = ['card_number', 'card_title', 'card_type', 'new_terms', 'example_problem', 'example_solution', 'problem_description', 'answer', 'difficulty_level', 'real_world_connection', 'textbook_page', 'hints', 'visual_support', 'auditory_support', 'kinesthetic_support', 'learning_style_notes', 'problem_image_url', 'answer_image_url']
+const HINT_COLUMNS = ['hint_number', 'hint_content', 'thinking_tool_suggestion']
+const ANSWER_COLUMNS = ['answer_content', 'explanation']
+const OPTIONAL_PROBLEM_COLUMNS = ['problem_number', 'problem_title', 'problem_description', 'problem_content', 'problem_category', 'difficulty_level', 'learning_meaning']
+const CARD_IMAGE_COLUMNS = ['problem_image_url', 'answer_image_url']
+
+type PackageRow = Record<string, any>
+
+export interface PackageImage {
+  ref: string
+  source_url: string | null  // 書き出し元での URL（data URL の場合は null）
+  content_type: string
+  data: string               // base64
+}
+
+export interface CurriculumPackage {
+  format: string
+  schema_version: number
+  exported_at: string
+  source: { curriculum_id: number; unit_name: string }
+  curriculum: PackageRow
+  courses: PackageRow[]            // id を持つ
+  learning_cards: PackageRow[]     // id, course_id を持つ
+  hint_cards: PackageRow[]         // learning_card_id を持つ
+  answers: PackageRow[]            // learning_card_id か optional_problem_id のどちらかを持つ
+  optional_problems: PackageRow[]  // id を持つ
+  curriculum_metadata: { metadata_key: string; metadata_value: string }[]
+  images: PackageImage[]
+}
+
+export interface PackageSummary {
+  courses: number
+  learning_cards: number
+  hint_cards: number
+  answers: number
+  optional_problems: number
+  metadata: number
+  images: number
+}
+
+// 同じサーバーのファイルのパス（「//ほかのホスト/」や「/\ほかのホスト/」は別のホストを指すので含めない）
+const SAME_SERVER_PATH = /^\/(?![\/\\])/
+
+// 画像の読み込み（同じサーバーの静的ファイルを読む。見つからなければ null）
+export type PackageImageLoader = (url: string) => Promise<{ content_type: string; data: ArrayBuffer } | null>
+
+function pick(row: PackageRow, columns: string[]): PackageRow {
+  const picked: PackageRow = {}
+  for (const column of columns) {
+    picked[column] = row[column] ?? null
+  }
+  return picked
+}
+
+function arrayBufferToBase64(buffer: ArrayBuffer): string {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  // String.fromCharCode の引数の数の上限を超えないように分けて変換する
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+// 単元をパッケージにする（単元がなければ null）
+export async function exportCurriculumPackage(db: D1Database, curriculumId: number, loadImage: PackageImageLoader): Promise<CurriculumPackage | null> {
+  const curriculum = await db.prepare(`SELECT * FROM curriculum WHERE id = ?`).bind(curriculumId).first<PackageRow>()
+  if (!curriculum) {
+    return null
+  }
+
+  const [courses, cards, hints, cardAnswers, problems, problemAnswers, metadata] = await db.batch([
+    db.prepare(`SELECT * FROM courses WHERE curriculum_id = ? ORDER BY id`).bind(curriculumId),
+    db.prepare(`
+      SELECT lc.* FROM learning_cards lc
+      JOIN courses co ON co.id = lc.course_id
+      WHERE co.curriculum_id = ?
+      ORDER BY lc.course_id, lc.card_number, lc.id
+    `).bind(curriculumId),
+    db.prepare(`
+      SELECT hc.* FROM hint_cards hc
+      JOIN learning_cards lc ON lc.id = hc.learning_card_id
+      JOIN courses co ON co.id = lc.course_id
+      WHERE co.curriculum_id = ?
+      ORDER BY hc.learning_card_id, hc.hint_number, hc.id
+    `).bind(curriculumId),
+    db.prepare(`
+      SELECT a.* FROM answers a
+      JOIN learning_cards lc ON lc.id = a.learning_card_id
+      JOIN courses co ON co.id = lc.course_id
+      WHERE co.curriculum_id = ?
+      ORDER BY a.id
+    `).bind(curriculumId),
+    db.prepare(`SELECT * FROM optional_problems WHERE curriculum_id = ? ORDER BY problem_number, id`).bind(curriculumId),
+    db.prepare(`
+      SELECT a.* FROM answers a
+      JOIN optional_problems op ON op.id = a.optional_problem_id
+      WHERE op.curriculum_id = ? AND a.learning_card_id IS NULL
+      ORDER BY a.id
+    `).bind(curriculumId),
+    db.prepare(`SELECT metadata_key, metadata_value FROM curriculum_metadata WHERE curriculum_id = ? ORDER BY metadata_key`).bind(curriculumId)
+  ])
+
+  // 画像は URL ごとに1つだけ埋め込む
+  const images: PackageImage[] = []
+  const imageRefs = new Map<string, string>()
+  const embedImage = async (url: string | null): Promise<string | null> => {
+    if (!url || /^https?:\/\//i.test(url)) {
+      return url
+    }
+    if (imageRefs.has(url)) {
+      return imageRefs.get(url)!
+    }
+
+    let image: PackageImage | null = null
+    const dataUrl = url.match(/^data:([^;,]+);base64,(.*)$/s)
+    if (dataUrl) {
+      image = { ref: '', source_url: null, content_type: dataUrl[1], data: dataUrl[2] }
+    } else if (SAME_SERVER_PATH.test(url)) {
+      const loaded = await loadImage(url)
+      if (loaded) {
+        image = { ref: '', source_url: url, content_type: loaded.content_type, data: arrayBufferToBase64(loaded.data) }
+      }
+    }
+    // 読めなかった画像は元の URL のまま残す（取り込み時の検証で知らせる）
+    if (!image) {
+      return url
+    }
+
+    image.ref = `img${images.length + 1}`
+    images.push(image)
+    imageRefs.set(url, `${PACKAGE_IMAGE_PREFIX}${image.ref}`)
+    return imageRefs.get(url)!
+  }
+
+  const learningCards: PackageRow[] = []
+  for (const card of (cards.results || []) as PackageRow[]) {
+    const row = { id: card.id, course_id: card.course_id, ...pick(card, CARD_COLUMNS) }
+    for (const column of CARD_IMAGE_COLUMNS) {
+      row[column] = await embedImage(row[column])
+    }
+    learningCards.push(row)
+  }
+
+  return {
+    format: CURRICULUM_PACKAGE_FORMAT,
+    schema_version: CURRICULUM_PACKAGE_VERSION,
+    exported_at: new Date().toISOString(),
+    source: { curriculum_id: curriculum.id, unit_name: curriculum.unit_name },
+    curriculum: pick(curriculum, CURRICULUM_COLUMNS),
+    courses: ((courses.results || []) as PackageRow[]).map(course => ({ id: course.id, ...pick(course, COURSE_COLUMNS) })),
+    learning_cards: learningCards,
+    hint_cards: ((hints.results || []) as PackageRow[]).map(hint => ({ learning_card_id: hint.learning_card_id, ...pick(hint, HINT_COLUMNS) })),
+    answers: ([...(cardAnswers.results || []), ...(problemAnswers.results || [])] as PackageRow[]).map(answer => ({
+      learning_card_id: answer.learning_card_id ?? null,
+      optional_problem_id: answer.learning_card_id == null ? answer.optional_problem_id : null,
+      ...pick(answer, ANSWER_COLUMNS)
+    })),
+    optional_problems: ((problems.results || []) as PackageRow[]).map(problem => ({ id: problem.id, ...pick(problem, OPTIONAL_PROBLEM_COLUMNS) })),
+    curriculum_metadata: (metadata.results || []) as { metadata_key: string; metadata_value: string }[],
+    images
+  }
+}
+
+const isBlank = (value: unknown) => typeof value !== 'string' || value.trim() === ''
+const isPositiveInteger = (value: unknown) => Number.isInteger(value) && (value as number) > 0
+
+// パッケージの形式・版・参照のつながりを確かめる（DB は見ない）
+// エラーが1つでもあれば取り込まない。メッセージは先生に見せるので、どの行の何が悪いかを書く
+export function validateCurriculumPackage(pkg: any): { errors: string[]; summary: PackageSummary | null } {
+  if (!pkg || typeof pkg !== 'object' || pkg.format !== CURRICULUM_PACKAGE_FORMAT) {
+    return { errors: ['単元パッケージのファイルではありません'], summary: null }
+  }
+  if (!Number.isInteger(pkg.schema_version) || pkg.schema_version < 1) {
+    return { errors: ['パッケージの版（schema_version）が読み取れません'], summary: null }
+  }
+  if (pkg.schema_version > CURRICULUM_PACKAGE_VERSION) {
+    return { errors: [`このパッケージは新しい版（${pkg.schema_version}）です。アプリを更新してから取り込んでください（対応している版: ${CURRICULUM_PACKAGE_VERSION}まで）`], summary: null }
+  }
+
+  const lists = ['courses', 'learning_cards', 'hint_cards', 'answers', 'optional_problems', 'curriculum_metadata', 'images'] as const
+  const missing = [
+    ...(pkg.curriculum && typeof pkg.curriculum === 'object' ? [] : ['curriculum']),
+    ...lists.filter(key => !Array.isArray(pkg[key]))
+  ]
+  if (missing.length > 0) {
+    return { errors: [`パッケージの中身が足りません: ${missing.join(', ')}`], summary: null }
+  }
+
+  const errors: string[] = []
+  const curriculum = pkg.curriculum
+  // 学年は 3 のような数と「小学3年」のような文字列（AI単元生成）の両方がある
+  for (const key of ['grade', 'subject', 'textbook_company', 'unit_name', 'unit_order', 'total_hours']) {
+    if (curriculum[key] === null || curriculum[key] === undefined || String(curriculum[key]).trim() === '') {
+      errors.push(`単元: ${key} が空です`)
+    }
+  }
+
+  // パッケージ内の ID の重複と参照先の有無
+  const courseIds = new Set<number>()
+  pkg.courses.forEach((course: any, index: number) => {
+    const label = `コース${index + 1}`
+    if (!Number.isInteger(course.id) || courseIds.has(course.id)) errors.push(`${label}: id がないか重複しています`)
+    courseIds.add(course.id)
+    if (!COURSE_LEVELS.includes(course.course_level)) errors.push(`${label}: course_level は ${COURSE_LEVELS.join(' / ')} のいずれかにしてください`)
+    for (const key of ['course_display_name', 'selection_question_title', 'selection_question_content']) {
+      if (typeof course[key] !== 'string') errors.push(`${label}: ${key} がありません`)
+    }
+  })
+
+  const cardIds = new Set<number>()
+  const cardNumbers = new Set<string>()
+  const imageRefs = new Set<string>(pkg.images.map((image: any) => image?.ref))
+  pkg.learning_cards.forEach((card: any, index: number) => {
+    const label = `学習カード${index + 1}（${card.card_title || '題名なし'}）`
+    if (!Number.isInteger(card.id) || cardIds.has(card.id)) errors.push(`${label}: id がないか重複しています`)
+    cardIds.add(card.id)
+    if (!courseIds.has(card.course_id)) errors.push(`${label}: コース ${card.course_id} がパッケージにありません`)
+    if (!isPositiveInteger(card.card_number)) {
+      errors.push(`${label}: card_number は1以上の整数にしてください`)
+    } else if (cardNumbers.has(`${card.course_id}:${card.card_number}`)) {
+      errors.push(`${label}: 同じコースに card_number ${card.card_number} が2枚あります`)
+    }
+    cardNumbers.add(`${card.course_id}:${card.card_number}`)
+    if (isBlank(card.card_title)) errors.push(`${label}: card_title が空です`)
+    if (isBlank(card.card_type)) errors.push(`${label}: card_type が空です`)
+    for (const column of CARD_IMAGE_COLUMNS) {
+      const url = card[column]
+      if (typeof url === 'string' && url.startsWith(PACKAGE_IMAGE_PREFIX) && !imageRefs.has(url.slice(PACKAGE_IMAGE_PREFIX.length))) {
+        errors.push(`${label}: 画像 ${url} がパッケージにありません`)
+      } else if (typeof url === 'string' && url.startsWith('/')) {
+        errors.push(`${label}: 画像 ${url} を書き出せていません（書き出し元で画像を確認してください）`)
+      }
+    }
+  })
+
+  pkg.hint_cards.forEach((hint: any, index: number) => {
+    if (!cardIds.has(hint.learning_card_id)) errors.push(`ヒントカード${index + 1}: 学習カード ${hint.learning_card_id} がパッケージにありません`)
+    if (!isPositiveInteger(hint.hint_number)) errors.push(`ヒントカード${index + 1}: hint_number は1以上の整数にしてください`)
+    if (isBlank(hint.hint_content)) errors.push(`ヒントカード${index + 1}: hint_content が空です`)
+  })
+
+  const problemIds = new Set<number>()
+  pkg.optional_problems.forEach((problem: any, index: number) => {
+    const label = `選択問題${index + 1}`
+    if (!Number.isInteger(problem.id) || problemIds.has(problem.id)) errors.push(`${label}: id がないか重複しています`)
+    problemIds.add(problem.id)
+    if (!isPositiveInteger(problem.problem_number)) errors.push(`${label}: problem_number は1以上の整数にしてください`)
+    for (const key of ['problem_title', 'problem_description', 'problem_content']) {
+      if (typeof problem[key] !== 'string') errors.push(`${label}: ${key} がありません`)
+    }
+  })
+
+  pkg.answers.forEach((answer: any, index: number) => {
+    const label = `解答${index + 1}`
+    const hasCard = answer.learning_card_id !== null && answer.learning_card_id !== undefined
+    const hasProblem = answer.optional_problem_id !== null && answer.optional_problem_id !== undefined
+    if (hasCard === hasProblem) {
+      errors.push(`${label}: learning_card_id と optional_problem_id のどちらか一方を指定してください`)
+    } else if (hasCard && !cardIds.has(answer.learning_card_id)) {
+      errors.push(`${label}: 学習カード ${answer.learning_card_id} がパッケージにありません`)
+    } else if (hasProblem && !problemIds.has(answer.optional_problem_id)) {
+      errors.push(`${label}: 選択問題 ${answer.optional_problem_id} がパッケージにありません`)
+    }
+    if (isBlank(answer.answer_content)) errors.push(`${label}: answer_content が空です`)
+  })
+
+  const metadataKeys = new Set<string>()
+  pkg.curriculum_metadata.forEach((meta: any, index: number) => {
+    if (isBlank(meta.metadata_key) || typeof meta.metadata_value !== 'string') {
+      errors.push(`メタデータ${index + 1}: metadata_key と metadata_value（文字列）が必要です`)
+    } else if (metadataKeys.has(meta.metadata_key)) {
+      errors.push(`メタデータ「${meta.metadata_key}」が2つあります`)
+    }
+    metadataKeys.add(meta.metadata_key)
+  })
+
+  const seenRefs = new Set<string>()
+  pkg.images.forEach((image: any, index: number) => {
+    const label = `画像${index + 1}（${image?.ref || 'ref なし'}）`
+    if (isBlank(image?.ref) || seenRefs.has(image.ref)) errors.push(`${label}: ref がないか重複しています`)
+    seenRefs.add(image?.ref)
+    if (!PACKAGE_IMAGE_TYPES.includes(image?.content_type)) {
+      errors.push(`${label}: 画像の種類（${image?.content_type}）は取り込めません`)
+    } else if (typeof image.data !== 'string' || !/^[A-Za-z0-9+/]+=*$/.test(image.data)) {
+      errors.push(`${label}: 画像のデータが壊れています`)
+    } else if (packageImageDataUrl(image).length > PACKAGE_IMAGE_MAX_LENGTH) {
+      errors.push(`${label}: 画像が大きすぎます（縮小してから書き出してください）`)
+    }
+  })
+
+  return {
+    errors,
+    summary: {
+      courses: pkg.courses.length,
+      learning_cards: pkg.learning_cards.length,
+      hint_cards: pkg.hint_cards.length,
+      answers: pkg.answers.length,
+      optional_problems: pkg.optional_problems.length,
+      metadata: pkg.curriculum_metadata.length,
+      images: pkg.images.length
+    }
+  }
+}
+
+function packageImageDataUrl(image: PackageImage): string {
+  return `data:${image.content_type};base64,${image.data}`
+}
+
+// 取り込み先にある同じ単元（学年・教科・教科書会社・単元名が同じ）
+export async function findCurriculumConflicts(db: D1Database, curriculum: PackageRow, unitName: string) {
+  const result = await db.prepare(`
+    SELECT id, unit_name, created_at FROM curriculum
+    WHERE grade = ? AND subject = ? AND textbook_company = ? AND unit_name = ?
+    ORDER BY id
+  `).bind(curriculum.grade, curriculum.subject, curriculum.textbook_company, unitName).all()
+  return result.results || []
+}
+
+function insertStatement(db: D1Database, table: string, parent: Record<string, string>, row: PackageRow, columns: string[], returning = false): D1PreparedStatement {
+  const names = [...Object.keys(parent), ...columns]
+  const values = [...Object.values(parent), ...columns.map(() => '?')]
+  return db.prepare(`
+    INSERT INTO ${table} (${names.join(', ')})
+    VALUES (${values.join(', ')})${returning ? ' RETURNING id' : ''}
+  `).bind(...columns.map(column => row[column] ?? null))
+}
+
+// 検証済みのパッケージを取り込む文を作る（1つのバッチで実行すると、途中で失敗しても何も残らない）
+// 親の新しい ID はバッチの中で直前に入れた行として MAX(id) で引く。AUTOINCREMENT なので新しい行が必ず最大になる
+// そのため、親のすぐ後にその子を並べる（単元 → 選択問題と解答 → メタデータ → コースごとにカード → カードごとにヒントと解答）
+// 作成者は取り込んだ先生にする。最初の文が新しい単元の id を返す
+export function buildCurriculumImportStatements(db: D1Database, pkg: CurriculumPackage, unitName: string, createdBy: number | null): D1PreparedStatement[] {
+  const curriculumId = '(SELECT MAX(id) FROM curriculum)'
+  const statements = [
+    insertStatement(db, 'curriculum', {}, { ...pkg.curriculum, unit_name: unitName, created_by: createdBy }, [...CURRICULUM_COLUMNS, 'created_by'], true)
+  ]
+
+  const imageUrls = new Map(pkg.images.map(image => [`${PACKAGE_IMAGE_PREFIX}${image.ref}`, packageImageDataUrl(image)]))
+  const answersOf = (key: 'learning_card_id' | 'optional_problem_id', id: number) =>
+    pkg.answers.filter(answer => answer[key] === id)
+
+  for (const problem of pkg.optional_problems) {
+    statements.push(insertStatement(db, 'optional_problems', { curriculum_id: curriculumId }, problem, OPTIONAL_PROBLEM_COLUMNS))
+    for (const answer of answersOf('optional_problem_id', problem.id)) {
+      statements.push(insertStatement(db, 'answers', { optional_problem_id: '(SELECT MAX(id) FROM optional_problems)' }, answer, ANSWER_COLUMNS))
+    }
+  }
+
+  for (const meta of pkg.curriculum_metadata) {
+    statements.push(insertStatement(db, 'curriculum_metadata', { curriculum_id: curriculumId }, meta, ['metadata_key', 'metadata_value']))
+  }
+
+  for (const course of pkg.courses) {
+    statements.push(insertStatement(db, 'courses', { curriculum_id: curriculumId }, course, COURSE_COLUMNS))
+    for (const card of pkg.learning_cards.filter(card => card.course_id === course.id)) {
+      const row = { ...card }
+      for (const column of CARD_IMAGE_COLUMNS) {
+        row[column] = imageUrls.get(row[column]) ?? row[column] ?? null
+      }
+      statements.push(insertStatement(db, 'learning_cards', { course_id: '(SELECT MAX(id) FROM courses)' }, row, CARD_COLUMNS))
+
+      const learningCardId = '(SELECT MAX(id) FROM learning_cards)'
+      for (const hint of pkg.hint_cards.filter(hint => hint.learning_card_id === card.id)) {
+        statements.push(insertStatement(db, 'hint_cards', { learning_card_id: learningCardId }, hint, HINT_COLUMNS))
+      }
+      for (const answer of answersOf('learning_card_id', card.id)) {
+        statements.push(insertStatement(db, 'answers', { learning_card_id: learningCardId }, answer, ANSWER_COLUMNS))
+      }
+    }
+  }
+
+  return statements
+}
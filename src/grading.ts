@@ -0,0 +1,188 @@
+// チェックテストの自動採点
+// 答えの形式ごとに採点する（answer_type 未指定時は答えから判定）
+//   numeric : 整数・小数・分数（3/4・4分の3・1と3/4）・あまり・単位つきの数（「6こ」と「6個」など同じ意味の単位は同じとみなす）
+//   choice  : 選択式（記号 ア/イ/ウ・a/b/c・1/2/3 または選択肢の文を受け付ける）
+//   text    : 短い記述（全角半角・カタカナひらがな・空白の違いを無視して比較）
+
+export type AnswerType = 'numeric' | 'choice' | 'text'
+
+export const ANSWER_TYPES: AnswerType[] = ['numeric', 'choice', 'text']
+
+export interface GradableProblem {
+  problem_number: number
+  answer: string
+  answer_type?: AnswerType
+  choices?: string[]
+  accepted_answers?: string[]  // 正解として扱う別の書き方
+  tolerance?: number           // numeric の許容誤差（既定 0）
+}
+
+export interface GradeResult {
+  correct: boolean
+  answerType: AnswerType
+  missingUnit?: boolean        // 数は合っているが単位が書かれていない
+}
+
+interface MathValue {
+  value: number
+  remainder?: number
+  unit: string
+}
+
+const CHOICE_LABELS = ['あいうえおかきくけこ', 'abcdefghij']
+
+// 同じ意味の単位・助数詞（正規化後の表記 → 代表の表記）
+// 「6こ」と「6個」、「3ほん」と「3本」を同じ単位として扱う
+const UNIT_ALIASES: Record<string, string> = {
+  'こ': '個',
+  'ほん': '本', 'ぽん': '本', 'ぼん': '本',
+  'まい': '枚',
+  'にん': '人',
+  'ひき': '匹', 'びき': '匹', 'ぴき': '匹',
+  'さつ': '冊',
+  'だい': '台',
+  'かい': '回',
+  'えん': '円',
+  'わ': '羽', 'ば': '羽', 'ぱ': '羽',
+  'はい': '杯', 'ばい': '杯', 'ぱい': '杯',
+  'ふん': '分', 'ぷん': '分',
+  'びょう': '秒',
+  'じかん': '時間',
+  'にち': '日',
+  'せんち': 'cm', 'せんちめーとる': 'cm',
+  'めーとる': 'm',
+  'きろめーとる': 'km',
+  'みり': 'mm', 'みりめーとる': 'mm',
+  'りっとる': 'l',
+  'でしりっとる': 'dl',
+  'みりりっとる': 'ml',
+  'ぐらむ': 'g',
+  'きろぐらむ': 'kg', 'きろ': 'kg'
+}
+
+// 全角→半角、カタカナ→ひらがな、空白除去、小文字化
+export function normalizeAnswer(text: unknown): string {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .replace(/[−‐-―]/g, '-')
+    .replace(/\s+/g, '')
+    .replace(/[。、.,!?！？]+$/, '')
+    .toLowerCase()
+}
+
+// 「24÷4=6 答え6こ」のような書き方から答えの部分だけを取り出す
+function extractAnswerPart(normalized: string): string {
+  const marker = normalized.match(/^.*(?:答え|こたえ|答)[:]?/)
+  let part = marker ? normalized.slice(marker[0].length) : normalized
+  const equal = part.lastIndexOf('=')
+  if (equal >= 0) part = part.slice(equal + 1)
+  return part.replace(/です$/, '')
+}
+
+function parseMathValue(normalized: string): MathValue | null {
+  const text = extractAnswerPart(normalized)
+  const patterns: [RegExp, (m: RegExpMatchArray) => Omit<MathValue, 'unit'>][] = [
+    [/^(-?\d+)あまり(\d+)/, m => ({ value: Number(m[1]), remainder: Number(m[2]) })],
+    [/^(\d+)と(\d+)分の(\d+)/, m => ({ value: Number(m[1]) + Number(m[3]) / Number(m[2]) })],
+    [/^(\d+)と(\d+)\/(\d+)/, m => ({ value: Number(m[1]) + Number(m[2]) / Number(m[3]) })],
+    [/^(-?\d+)分の(\d+)/, m => ({ value: Number(m[2]) / Number(m[1]) })],
+    [/^(-?\d+)\/(\d+)/, m => ({ value: Number(m[1]) / Number(m[2]) })],
+    [/^-?\d{1,3}(?:,\d{3})+(?:\.\d+)?/, m => ({ value: Number(m[0].replace(/,/g, '')) })],
+    [/^-?(?:\d+(?:\.\d+)?|\.\d+)/, m => ({ value: Number(m[0]) })]
+  ]
+
+  for (const [pattern, toValue] of patterns) {
+    const match = text.match(pattern)
+    if (!match) continue
+
+    const parsed = toValue(match)
+    const unit = text.slice(match[0].length)
+    // 「2時間30分」など数が2つ以上ある答えは数値として扱わない
+    if (!Number.isFinite(parsed.value) || /\d/.test(unit)) return null
+    return { ...parsed, unit: UNIT_ALIASES[unit] ?? unit }
+  }
+
+  return null
+}
+
+function resolveChoiceIndex(normalized: string, choices: string[]): number {
+  const value = normalized.replace(/^[(「]|[)」]$/g, '')
+  const byText = choices.findIndex(choice => normalizeAnswer(choice) === value)
+  if (byText >= 0) return byText
+
+  for (let i = 0; i < choices.length; i++) {
+    if (CHOICE_LABELS.some(labels => labels[i] === value) || String(i + 1) === value) {
+      return i
+    }
+  }
+  return -1
+}
+
+export function inferAnswerType(problem: GradableProblem): AnswerType {
+  if (problem.answer_type && ANSWER_TYPES.includes(problem.answer_type)) return problem.answer_type
+  if (problem.choices && problem.choices.length > 0) return 'choice'
+  return parseMathValue(normalizeAnswer(problem.answer)) ? 'numeric' : 'text'
+}
+
+function gradeNumeric(expectedAnswers: string[], submitted: string, tolerance: number): GradeResult {
+  const actual = parseMathValue(submitted)
+  let missingUnit = false
+
+  if (actual) {
+    for (const expectedAnswer of expectedAnswers) {
+      const expected = parseMathValue(normalizeAnswer(expectedAnswer))
+      if (!expected) continue
+      if (Math.abs(expected.value - actual.value) > tolerance + 1e-9) continue
+      if ((expected.remainder ?? null) !== (actual.remainder ?? null)) continue
+      // 単位は書かなくても正解、ちがう単位を書いたら不正解
+      if (actual.unit && expected.unit && actual.unit !== expected.unit) continue
+
+      if (!actual.unit && expected.unit) {
+        missingUnit = true
+        continue
+      }
+      return { correct: true, answerType: 'numeric' }
+    }
+  }
+
+  return missingUnit
+    ? { correct: true, answerType: 'numeric', missingUnit: true }
+    : gradeText(expectedAnswers, submitted, 'numeric')
+}
+
+function gradeChoice(problem: GradableProblem, expectedAnswers: string[], submitted: string): GradeResult {
+  const choices = problem.choices || []
+  const actual = resolveChoiceIndex(submitted, choices)
+  const correct = actual >= 0 &&
+    expectedAnswers.some(answer => resolveChoiceIndex(normalizeAnswer(answer), choices) === actual)
+
+  return correct ? { correct, answerType: 'choice' } : gradeText(expectedAnswers, submitted, 'choice')
+}
+
+function gradeText(expectedAnswers: string[], submitted: string, answerType: AnswerType = 'text'): GradeResult {
+  const correct = expectedAnswers.some(answer => {
+    const normalized = normalizeAnswer(answer)
+    return normalized === submitted || extractAnswerPart(normalized) === extractAnswerPart(submitted)
+  })
+  return { correct, answerType }
+}
+
+export function gradeAnswer(problem: GradableProblem, submittedAnswer: string): GradeResult {
+  const answerType = inferAnswerType(problem)
+  const submitted = normalizeAnswer(submittedAnswer)
+  const expectedAnswers = [problem.answer, ...(problem.accepted_answers || [])].filter(Boolean)
+
+  if (!submitted) {
+    return { correct: false, answerType }
+  }
+
+  switch (answerType) {
+    case 'numeric':
+      return gradeNumeric(expectedAnswers, submitted, Math.abs(Number(problem.tolerance) || 0))
+    case 'choice':
+      return gradeChoice(problem, expectedAnswers, submitted)
+    default:
+      return gradeText(expectedAnswers, submitted)
+  }
+}
@@ -0,0 +1,46 @@
+// 保護者ポータルの共有設定と、保護者に見せる内容の整形
+// 何を見せるかは家庭の同意（guardian_links の share_* 列）で決める。DB の読み書きは src/index.tsx のルートで行う
+
+export const GUARDIAN_SHARE_FLAGS = ['share_progress', 'share_badges', 'share_reflections', 'share_comments'] as const
+export type GuardianShareFlag = typeof GUARDIAN_SHARE_FLAGS[number]
+
+// 先生の所見として見せる非認知能力評価の項目（コメントのみ。段階の数値は見せない）
+const NON_COGNITIVE_COMMENT_LABELS: Record<string, string> = {
+  self_regulation: '自己調整能力',
+  motivation: '意欲・粘り強さ',
+  collaboration: '協働性',
+  metacognition: 'メタ認知',
+  creativity: '創造性',
+  curiosity: '好奇心',
+  self_esteem: '自己肯定感'
+}
+
+// リクエストの共有設定（指定のないものは現在の設定、なければ既定値）
+export function readGuardianShareFlags(body: any, current: Record<string, any> = {}): Record<GuardianShareFlag, number> {
+  const defaults: Record<GuardianShareFlag, number> = {
+    share_progress: 1,
+    share_badges: 1,
+    share_reflections: 0,
+    share_comments: 0
+  }
+  return Object.fromEntries(GUARDIAN_SHARE_FLAGS.map(flag => [
+    flag,
+    body[flag] === undefined ? (current[flag] ?? defaults[flag]) : (body[flag] ? 1 : 0)
+  ])) as Record<GuardianShareFlag, number>
+}
+
+// 非認知能力評価（単元ごとの最新）から、コメントの書かれた項目だけを所見として取り出す
+export function guardianComments(evaluations: any[]) {
+  return evaluations
+    .map(evaluation => ({
+      curriculum_id: evaluation.curriculum_id,
+      grade: evaluation.grade,
+      subject: evaluation.subject,
+      unit_name: evaluation.unit_name,
+      evaluated_at: evaluation.updated_at || evaluation.created_at,
+      items: Object.entries(NON_COGNITIVE_COMMENT_LABELS)
+        .filter(([key]) => evaluation[`${key}_comment`])
+        .map(([key, label]) => ({ item: key, label, comment: evaluation[`${key}_comment`] }))
+    }))
+    .filter(evaluation => evaluation.items.length > 0)
+}
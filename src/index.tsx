@@ -1,17 +1,30 @@
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
+import { streamSSE } from 'hono/streaming'
 import { serveStatic } from 'hono/cloudflare-workers'
-
-type Bindings = {
+import { callLLM, streamLLM, isLLMConfigured, type LLMEnv, type LLMResponse } from './llm'
+import { gradeAnswer, inferAnswerType, ANSWER_TYPES, type AnswerType } from './grading'
+import { findSessionUser, cleanupExpiredSessions, canAccessClass, canJoinClassChannel, type SessionUser } from './session'
+import { canTransition, progressEventType, isProgressStatus, PROGRESS_STATUSES, HELP_TYPES, type ProgressStatus, type ProgressEventType, type HelpResolution } from './progress-state'
+import { applyProgressBoardTimings, orderHelpQueue } from './progress-board'
+import { resolveReportPeriod, buildClassReport, buildStudentDigest, type ReportKind } from './reports'
+import { PdfBuilder, PDF_COLORS, PDF_FONT_PATH } from './pdf'
+import { parseCatalogQuery, searchCurriculumCatalog, normalizeTags } from './catalog'
+import { GUARDIAN_SHARE_FLAGS, readGuardianShareFlags, guardianComments, type GuardianShareFlag } from './guardian'
+import { matchApiPolicy, compileRoutePatterns, matchRoutePattern } from './api-policy'
+import { exportCurriculumPackage, validateCurriculumPackage, findCurriculumConflicts, buildCurriculumImportStatements, type PackageImageLoader } from './curriculum-package'
+
+type Bindings = LLMEnv & {
   DB: D1Database
-  GEMINI_API_KEY?: string
   PROGRESS_WEBSOCKET?: DurableObjectNamespace
+  ASSETS?: Fetcher
 }
 
-const app = new Hono<{ Bindings: Bindings }>()
+type Variables = {
+  user: SessionUser
+}
 
-// Durable Object（WebSocket）をエクスポート
-export { ProgressWebSocket } from './websocket'
+const app = new Hono<{ Bindings: Bindings; Variables: Variables }>()
 
 // 履歴記録ヘルパー
 async function recordHistory(
@@ -42,119 +55,14 @@ async function recordHistory(
   }
 }
 
-// Gemini API呼び出しヘルパー（リトライ + 監視）
-interface GeminiCallOptions {
-  model: string
-  prompt: string
-  apiKey: string
-  maxOutputTokens?: number
-  temperature?: number
-  retries?: number
-  retryDelay?: number
-}
-
-interface GeminiResponse {
-  success: boolean
-  content?: string
-  model?: string
-  error?: string
-  attempts?: number
-  totalTime?: number
-}
-
-async function callGeminiAPI(options: GeminiCallOptions): Promise<GeminiResponse> {
-  const {
-    model,
-    prompt,
-    apiKey,
-    maxOutputTokens = 8192,
-    temperature = 0.8,
-    retries = 3,
-    retryDelay = 2000
-  } = options
-
-  const startTime = Date.now()
-  let lastError = ''
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      console.log(`🔄 Gemini API呼び出し: ${model} (試行 ${attempt}/${retries})`)
-      
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: { temperature, maxOutputTokens }
-          })
-        }
-      )
-
-      if (!response.ok) {
-        const errorText = await response.text()
-        lastError = `HTTP ${response.status}: ${errorText.substring(0, 200)}`
-        console.error(`❌ Gemini API エラー (${model}):`, lastError)
-        
-        // 429 (Rate Limit) や 5xx エラーの場合はリトライ
-        if (response.status === 429 || response.status >= 500) {
-          if (attempt < retries) {
-            console.log(`⏳ ${retryDelay}ms 待機してリトライ...`)
-            await new Promise(resolve => setTimeout(resolve, retryDelay * attempt))
-            continue
-          }
-        }
-        
-        // その他のエラーはリトライしない
-        break
-      }
-
-      const data = await response.json()
-      const content = data.candidates?.[0]?.content?.parts?.[0]?.text
-
-      if (!content) {
-        lastError = 'AIの応答が空でした'
-        console.error(`❌ 応答なし (${model})`)
-        continue
-      }
-
-      const totalTime = Date.now() - startTime
-      console.log(`✅ Gemini API成功: ${model} (${attempt}回目, ${totalTime}ms)`)
-
-      return {
-        success: true,
-        content,
-        model,
-        attempts: attempt,
-        totalTime
-      }
-    } catch (error) {
-      lastError = error instanceof Error ? error.message : 'Unknown error'
-      console.error(`❌ Gemini API例外 (${model}):`, lastError)
-      
-      if (attempt < retries) {
-        console.log(`⏳ ${retryDelay}ms 待機してリトライ...`)
-        await new Promise(resolve => setTimeout(resolve, retryDelay * attempt))
-      }
-    }
-  }
-
-  const totalTime = Date.now() - startTime
-  console.error(`❌ Gemini API失敗: ${model} (全${retries}回試行, ${totalTime}ms)`)
-
-  return {
-    success: false,
-    error: lastError,
-    model,
-    attempts: retries,
-    totalTime
-  }
-}
-
 // CORS設定
 app.use('/api/*', cors())
 
+// 認証・権限チェック（ポリシーは認証APIセクションの apiPolicies を参照）
+app.use('/api/*', enforceApiPolicy)
+// 更新系APIの監査ログ（対象は auditRules を参照）
+app.use('/api/*', recordAuditLog)
+
 // 静的ファイル配信
 app.use('/static/*', serveStatic({ root: './' }))
 
@@ -194,76 +102,130 @@ app.get('/api/curriculum/options', async (c) => {
       SELECT DISTINCT textbook_company FROM curriculum ORDER BY textbook_company
     `).all()
     
+    // 単元を作成した先生とタグ（単元カタログの絞り込み用）
+    const authors = await env.DB.prepare(`
+      SELECT u.id, u.name, COUNT(*) AS unit_count
+      FROM curriculum c JOIN users u ON u.id = c.created_by
+      GROUP BY u.id
+      ORDER BY u.name
+    `).all()
+    
+    const tags = await env.DB.prepare(`
+      SELECT tag, COUNT(*) AS unit_count FROM curriculum_tags
+      GROUP BY tag
+      ORDER BY unit_count DESC, tag
+    `).all()
+    
     return c.json({
       grades: grades.results,
       subjects: subjects.results,
-      textbooks: textbooks.results
+      textbooks: textbooks.results,
+      authors: authors.results,
+      tags: tags.results
     })
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
+// APIルート：単元カタログの検索（絞り込み・キーワード・学習カードの全文検索・ページ送り）
+// q, grade, subject, textbook_company, author_id, tag, page, per_page（最大50）
+app.get('/api/curriculum/catalog', async (c) => {
+  const { env } = c
+  
+  try {
+    const result = await searchCurriculumCatalog(env.DB, parseCatalogQuery(c.req.query()))
+    return c.json({ success: true, ...result })
+  } catch (error: any) {
+    console.error('単元カタログ検索エラー:', error)
+    return c.json({
+      success: false,
+      error: '単元の検索に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// 学習のてびきの内容（単元・コースごとの学習カード・選択問題）
+async function loadCurriculumGuide(db: D1Database, id: any) {
+  // カリキュラム基本情報
+  const curriculum: any = await db.prepare(`
+    SELECT * FROM curriculum WHERE id = ?
+  `).bind(id).first()
+  
+  if (!curriculum) {
+    return null
+  }
+  
+  // コース情報
+  const courses = await db.prepare(`
+    SELECT * FROM courses WHERE curriculum_id = ?
+    ORDER BY 
+      CASE course_level
+        WHEN 'basic' THEN 1
+        WHEN 'standard' THEN 2
+        WHEN 'advanced' THEN 3
+      END
+  `).bind(id).all()
+  
+  // コースごとの学習カードを取得
+  const coursesWithCards = await Promise.all(
+    (courses.results || []).map(async (course: any) => {
+      const cards = await db.prepare(`
+        SELECT * FROM learning_cards 
+        WHERE course_id = ?
+        ORDER BY card_number
+      `).bind(course.id).all()
+      
+      // introduction_problemをパース
+      let introductionProblem = null
+      if (course.introduction_problem) {
+        try {
+          introductionProblem = JSON.parse(course.introduction_problem)
+        } catch (e) {
+          console.error('導入問題のパースエラー:', e)
+        }
+      }
+      
+      return { 
+        ...course, 
+        cards: cards.results as any[],
+        introduction_problem: introductionProblem
+      }
+    })
+  )
+  
+  // 選択問題
+  const optionalProblems = await db.prepare(`
+    SELECT * FROM optional_problems 
+    WHERE curriculum_id = ?
+    ORDER BY problem_number
+  `).bind(id).all()
+  
+  return {
+    curriculum,
+    courses: coursesWithCards,
+    optionalProblems: optionalProblems.results as any[]
+  }
+}
+
+type CurriculumGuide = NonNullable<Awaited<ReturnType<typeof loadCurriculumGuide>>>
+
 // APIルート：特定カリキュラムの詳細取得（学習のてびき用）
 app.get('/api/curriculum/:id', async (c) => {
   const { env } = c
   const id = c.req.param('id')
   
   try {
-    // カリキュラム基本情報
-    const curriculum = await env.DB.prepare(`
-      SELECT * FROM curriculum WHERE id = ?
-    `).bind(id).first()
-    
-    // コース情報
-    const courses = await env.DB.prepare(`
-      SELECT * FROM courses WHERE curriculum_id = ?
-      ORDER BY 
-        CASE course_level
-          WHEN 'basic' THEN 1
-          WHEN 'standard' THEN 2
-          WHEN 'advanced' THEN 3
-        END
-    `).bind(id).all()
-    
-    // コースごとの学習カードを取得
-    const coursesWithCards = await Promise.all(
-      (courses.results || []).map(async (course: any) => {
-        const cards = await env.DB.prepare(`
-          SELECT * FROM learning_cards 
-          WHERE course_id = ?
-          ORDER BY card_number
-        `).bind(course.id).all()
-        
-        // introduction_problemをパース
-        let introductionProblem = null
-        if (course.introduction_problem) {
-          try {
-            introductionProblem = JSON.parse(course.introduction_problem)
-          } catch (e) {
-            console.error('導入問題のパースエラー:', e)
-          }
-        }
-        
-        return { 
-          ...course, 
-          cards: cards.results,
-          introduction_problem: introductionProblem
-        }
-      })
-    )
-    
-    // 選択問題
-    const optionalProblems = await env.DB.prepare(`
-      SELECT * FROM optional_problems 
-      WHERE curriculum_id = ?
-      ORDER BY problem_number
-    `).bind(id).all()
+    const guide = await loadCurriculumGuide(env.DB, id)
+    if (!guide) {
+      return c.json({ curriculum: null, courses: [], optionalProblems: [] })
+    }
     
+    const visibleIds = await visibleAnswerCardIds(env.DB, c.get('user'))
     return c.json({
-      curriculum,
-      courses: coursesWithCards,
-      optionalProblems: optionalProblems.results
+      ...guide,
+      courses: guide.courses.map(course => ({ ...course, cards: hideCardAnswers(course.cards, visibleIds) }))
     })
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
@@ -291,6 +253,11 @@ app.get('/api/curriculum/:id/metadata', async (c) => {
       }
     }
     
+    // チェックテストの答えは採点（サーバー側）にだけ使い、児童には返さない
+    if (c.get('user').role === 'student' && result.common_check_test) {
+      result.common_check_test = withoutCheckTestAnswers(result.common_check_test)
+    }
+    
     return c.json(result)
   } catch (error) {
     return c.json({ 
@@ -312,7 +279,7 @@ app.get('/api/courses/:courseId/cards', async (c) => {
       ORDER BY card_number
     `).bind(courseId).all()
     
-    return c.json(cards.results)
+    return c.json(hideCardAnswers(cards.results, await visibleAnswerCardIds(env.DB, c.get('user'))))
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
@@ -338,1485 +305,2255 @@ app.get('/api/cards/:cardId', async (c) => {
       SELECT * FROM answers WHERE learning_card_id = ?
     `).bind(cardId).first()
     
+    // 児童には、自分の答えを提出するか先生が公開するまで解答を返さない
+    const answerVisible = await canViewCardAnswer(env.DB, c.get('user'), cardId)
+    
     return c.json({
-      card,
+      card: answerVisible || !card ? card : withoutCardAnswer(card),
       hints: hints.results,
-      answer
+      answer: answerVisible ? answer : null,
+      answerLocked: !answerVisible,
+      hasAnswer: !!(answer || card?.answer)
     })
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：学習進捗の保存
-app.post('/api/progress', async (c) => {
+// ==============================================
+// 学習カードの解答提出
+// ==============================================
+
+const SUBMISSION_TEXT_MAX_LENGTH = 2000
+const SUBMISSION_PHOTO_MAX_LENGTH = 1_000_000  // 縮小済みの data URL（D1の1行に収まる大きさ）
+const SUBMISSION_REVIEW_STATUSES = ['pending', 'correct', 'needs_revision']
+
+// ユーティリティ: 公式の解答を見せてよいか
+// 児童は、そのカードで一度答えを提出したか、先生が自分のクラスに解答を公開した場合のみ
+async function canViewCardAnswer(db: D1Database, user: SessionUser, cardId: any): Promise<boolean> {
+  if (user.role !== 'student') {
+    return true
+  }
+  
+  const row: any = await db.prepare(`
+    SELECT
+      EXISTS (SELECT 1 FROM card_submissions WHERE student_id = ? AND learning_card_id = ?) AS submitted,
+      EXISTS (SELECT 1 FROM card_answer_releases WHERE learning_card_id = ? AND class_code = ?) AS released
+  `).bind(user.id, cardId, cardId, user.class_code).first()
+  
+  return !!(row?.submitted || row?.released)
+}
+
+// ユーティリティ: 解答を見てよいカードのIDの一覧（児童以外は null = すべてのカード）
+// 学習カードを返すAPIは、この一覧と hideCardAnswers で解答を除いてから返す
+async function visibleAnswerCardIds(db: D1Database, user: SessionUser): Promise<Set<number> | null> {
+  if (user.role !== 'student') {
+    return null
+  }
+  
+  const visible = await db.prepare(`
+    SELECT learning_card_id FROM card_submissions WHERE student_id = ?
+    UNION
+    SELECT learning_card_id FROM card_answer_releases WHERE class_code = ?
+  `).bind(user.id, user.class_code).all()
+  
+  return new Set(visible.results.map((r: any) => Number(r.learning_card_id)))
+}
+
+// 学習カードの解答の列（learning_cards）
+function withoutCardAnswer<T extends Record<string, any>>(card: T): T {
+  return { ...card, answer: null, answer_image_url: null }
+}
+
+// ユーティリティ: 見てよい解答だけを残す（idKey はカードIDの列名）
+function hideCardAnswers<T extends Record<string, any>>(cards: T[], visibleIds: Set<number> | null, idKey: string = 'id'): T[] {
+  if (!visibleIds) {
+    return cards
+  }
+  return cards.map(card => visibleIds.has(Number(card[idKey])) ? card : withoutCardAnswer(card))
+}
+
+// APIルート：学習カードの答えを提出（文章・写真）
+app.post('/api/cards/:cardId/submissions', async (c) => {
   const { env } = c
+  const cardId = c.req.param('cardId')
   const body = await c.req.json()
   
   try {
+    const studentId = await resolveStudentId(c, body.student_id)
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
+    const answerText = typeof body.answer_text === 'string' ? body.answer_text.trim() : ''
+    const photo = typeof body.photo === 'string' ? body.photo : ''
+    
+    if (!answerText && !photo) {
+      return c.json({ success: false, error: 'こたえを書くか、写真をえらんでください' }, 400)
+    }
+    if (answerText.length > SUBMISSION_TEXT_MAX_LENGTH) {
+      return c.json({ success: false, error: `こたえは${SUBMISSION_TEXT_MAX_LENGTH}文字以内で書いてください` }, 400)
+    }
+    if (photo && (!/^data:image\/(png|jpeg|webp);base64,/.test(photo) || photo.length > SUBMISSION_PHOTO_MAX_LENGTH)) {
+      return c.json({ success: false, error: '写真の形式または大きさが正しくありません' }, 400)
+    }
+    
+    const card: any = await env.DB.prepare(`
+      SELECT lc.id, lc.answer, lc.answer_image_url, co.curriculum_id
+      FROM learning_cards lc
+      LEFT JOIN courses co ON lc.course_id = co.id
+      WHERE lc.id = ?
+    `).bind(cardId).first()
+    
+    if (!card) {
+      return c.json({ error: '学習カードが見つかりません' }, 404)
+    }
+    
+    const answer: any = await env.DB.prepare(`
+      SELECT answer_content, explanation FROM answers WHERE learning_card_id = ?
+    `).bind(cardId).first()
+    
+    // 公式の解答と照合（文章の答えがあり、公式の解答が登録されている場合のみ）
+    const officialAnswer = answer?.answer_content || card.answer
+    const autoResult = answerText && officialAnswer
+      ? (gradeAnswer({ problem_number: 0, answer: officialAnswer }, answerText).correct ? 'correct' : 'incorrect')
+      : 'unknown'
+    
+    const previous: any = await env.DB.prepare(`
+      SELECT COUNT(*) as count FROM card_submissions WHERE student_id = ? AND learning_card_id = ?
+    `).bind(studentId, cardId).first()
+    const attemptNumber = (previous?.count || 0) + 1
+    
     const result = await env.DB.prepare(`
-      INSERT INTO student_progress 
-        (student_id, curriculum_id, course_id, learning_card_id, 
-         status, understanding_level, help_requested_from, help_count)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      body.student_id,
-      body.curriculum_id,
-      body.course_id,
-      body.learning_card_id,
-      body.status,
-      body.understanding_level,
-      body.help_requested_from,
-      body.help_count || 0
-    ).run()
+      INSERT INTO card_submissions
+        (student_id, curriculum_id, learning_card_id, attempt_number, answer_text, photo_data, auto_result)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(studentId, card.curriculum_id, cardId, attemptNumber, answerText || null, photo || null, autoResult).run()
     
-    return c.json({ success: true, id: result.meta.last_row_id })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    return c.json({
+      success: true,
+      id: result.meta.last_row_id,
+      attemptNumber,
+      autoResult,
+      // 提出したので解答を見られる
+      answer: officialAnswer ? {
+        answer_content: officialAnswer,
+        explanation: answer?.explanation || null,
+        answer_image_url: card.answer_image_url || null
+      } : null
+    })
+  } catch (error: any) {
+    console.error('解答提出エラー:', error)
+    return c.json({
+      success: false,
+      error: '答えの提出に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：クラスの進捗取得
-app.get('/api/progress/class/:classCode', async (c) => {
+// APIルート：学習カードの提出履歴（写真は含めない）
+app.get('/api/cards/:cardId/submissions', async (c) => {
   const { env } = c
-  const classCode = c.req.param('classCode')
+  const cardId = c.req.param('cardId')
   
   try {
-    const progress = await env.DB.prepare(`
-      SELECT 
-        u.name,
-        u.student_number,
-        p.curriculum_id,
-        p.course_id,
-        p.learning_card_id,
-        p.status,
-        p.understanding_level,
-        p.help_requested_from,
-        p.help_count,
-        p.created_at,
-        c.course_level,
-        c.course_display_name
-      FROM student_progress p
-      JOIN users u ON p.student_id = u.id
-      LEFT JOIN courses c ON p.course_id = c.id
-      WHERE u.class_code = ?
-      ORDER BY u.student_number, p.created_at DESC
-    `).bind(classCode).all()
+    const studentId = await resolveStudentId(c, c.req.query('student_id'))
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
     
-    return c.json(progress.results)
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    const submissions = await env.DB.prepare(`
+      SELECT
+        id, attempt_number, answer_text, photo_data IS NOT NULL as has_photo,
+        auto_result, review_status, teacher_comment, reviewed_at, created_at
+      FROM card_submissions
+      WHERE student_id = ? AND learning_card_id = ?
+      ORDER BY attempt_number DESC
+    `).bind(studentId, cardId).all()
+    
+    return c.json({ success: true, submissions: submissions.results })
+  } catch (error: any) {
+    console.error('提出履歴取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '提出履歴の取得に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：カリキュラム別の詳細進捗取得（進捗ボード用）
-app.get('/api/progress/curriculum/:curriculumId/class/:classCode', async (c) => {
+// APIルート：クラスの提出一覧（進捗ボードでの確認用）
+app.get('/api/submissions/class/:classCode', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('curriculumId')
   const classCode = c.req.param('classCode')
+  const curriculumId = c.req.query('curriculum_id')
+  const status = c.req.query('status')
   
   try {
-    // 全生徒のリスト
-    const students = await env.DB.prepare(`
-      SELECT id, name, student_number 
-      FROM users 
-      WHERE class_code = ? AND role = 'student'
-      ORDER BY student_number
+    if (status && !SUBMISSION_REVIEW_STATUSES.includes(status)) {
+      return c.json({ success: false, error: `status は ${SUBMISSION_REVIEW_STATUSES.join(' / ')} のいずれかを指定してください` }, 400)
+    }
+    
+    const conditions = ['u.class_code = ?']
+    const params: any[] = [classCode]
+    if (curriculumId) {
+      conditions.push('cs.curriculum_id = ?')
+      params.push(curriculumId)
+    }
+    if (status) {
+      conditions.push('cs.review_status = ?')
+      params.push(status)
+    }
+    
+    const submissions = await env.DB.prepare(`
+      SELECT
+        cs.id, cs.student_id, u.name as student_name, u.student_number,
+        cs.learning_card_id, lc.card_number, lc.card_title, co.course_display_name,
+        COALESCE(a.answer_content, lc.answer) as official_answer,
+        cs.attempt_number, cs.answer_text, cs.photo_data IS NOT NULL as has_photo,
+        cs.auto_result, cs.review_status, cs.teacher_comment, cs.reviewed_at, cs.created_at
+      FROM card_submissions cs
+      JOIN users u ON cs.student_id = u.id
+      JOIN learning_cards lc ON cs.learning_card_id = lc.id
+      LEFT JOIN courses co ON lc.course_id = co.id
+      LEFT JOIN answers a ON a.learning_card_id = lc.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY cs.created_at DESC, cs.id DESC
+      LIMIT 200
+    `).bind(...params).all()
+    
+    const releases = await env.DB.prepare(`
+      SELECT learning_card_id FROM card_answer_releases WHERE class_code = ?
     `).bind(classCode).all()
     
-    // 各生徒の最新進捗
-    const progressData = await env.DB.prepare(`
-      SELECT 
-        p.student_id,
-        p.course_id,
-        p.learning_card_id,
-        p.status,
-        p.understanding_level,
-        p.help_requested_from,
-        p.help_count,
-        p.created_at,
-        c.course_level,
-        c.course_display_name,
-        lc.card_number,
-        lc.card_title
-      FROM student_progress p
-      LEFT JOIN courses c ON p.course_id = c.id
-      LEFT JOIN learning_cards lc ON p.learning_card_id = lc.id
-      WHERE p.curriculum_id = ?
-      AND p.student_id IN (
-        SELECT id FROM users WHERE class_code = ? AND role = 'student'
-      )
-      ORDER BY p.student_id, p.created_at DESC
-    `).bind(curriculumId, classCode).all()
-    
-    // 生徒ごとにグループ化
-    const studentProgress = {}
-    students.results.forEach(student => {
-      const latestProgress = progressData.results.find(p => p.student_id === student.id)
-      studentProgress[student.id] = {
-        student,
-        progress: latestProgress || null,
-        allProgress: progressData.results.filter(p => p.student_id === student.id)
-      }
+    return c.json({
+      success: true,
+      submissions: submissions.results,
+      releasedCardIds: releases.results.map((r: any) => r.learning_card_id)
     })
-    
-    return c.json(studentProgress)
-  } catch (error) {
-    console.error('Progress error:', error)
-    return c.json({ error: 'Database error' }, 500)
+  } catch (error: any) {
+    console.error('提出一覧取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '提出一覧の取得に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：進捗ボード拡張版（教師用）
-app.get('/api/progress-board/class/:classCode', async (c) => {
+// APIルート：提出された写真
+app.get('/api/submissions/:id/photo', async (c) => {
   const { env } = c
-  const classCode = c.req.param('classCode')
-  const curriculumIds = c.req.query('curriculumIds') // カンマ区切りで複数指定可能
+  const submissionId = c.req.param('id')
   
   try {
-    const curriculumList = curriculumIds ? curriculumIds.split(',') : []
-    
-    // 生徒リスト取得
-    const students = await env.DB.prepare(`
-      SELECT id, name, student_number 
-      FROM users 
-      WHERE class_code = ? AND role = 'student'
-      ORDER BY student_number
-    `).bind(classCode).all()
+    const submission: any = await env.DB.prepare(`
+      SELECT student_id, photo_data FROM card_submissions WHERE id = ?
+    `).bind(submissionId).first()
     
-    const progressBoard = []
-    
-    for (const student of students.results) {
-      const studentData = {
-        student_id: student.id,
-        student_name: student.name,
-        student_number: student.student_number,
-        curriculums: []
-      }
-      
-      // 各カリキュラムの進捗を取得
-      for (const curriculumId of curriculumList) {
-        // 学習カード進捗（ビューを使用）
-        const cardProgress = await env.DB.prepare(`
-          SELECT * FROM v_progress_board 
-          WHERE student_id = ? AND curriculum_id = ?
-          ORDER BY course_level, card_number
-        `).bind(student.id, curriculumId).all()
-        
-        // チェックテスト進捗
-        const checkTestProgress = await env.DB.prepare(`
-          SELECT * FROM check_test_progress
-          WHERE student_id = ? AND curriculum_id = ?
-          ORDER BY problem_number
-        `).bind(student.id, curriculumId).all()
-        
-        // 選択問題進捗
-        const optionalProgress = await env.DB.prepare(`
-          SELECT opp.*, op.problem_title, op.problem_number
-          FROM optional_problem_progress opp
-          JOIN optional_problems op ON opp.optional_problem_id = op.id
-          WHERE opp.student_id = ? AND opp.curriculum_id = ?
-          ORDER BY op.problem_number
-        `).bind(student.id, curriculumId).all()
-        
-        // ヘルプ統計
-        const helpStats = await env.DB.prepare(`
-          SELECT 
-            help_type,
-            COUNT(*) as count
-          FROM student_progress
-          WHERE student_id = ? AND curriculum_id = ? AND help_type IS NOT NULL
-          GROUP BY help_type
-        `).bind(student.id, curriculumId).all()
-        
-        // 最高優先度を取得
-        const maxPriority = cardProgress.results.length > 0 
-          ? Math.max(...cardProgress.results.map(p => p.intervention_priority || 0))
-          : 0
-        
-        // ヘルプ要請中かどうか
-        const hasHelpRequest = cardProgress.results.some(p => 
-          p.help_requested_at && !p.help_resolved_at
-        )
-        
-        studentData.curriculums.push({
-          curriculum_id: curriculumId,
-          card_progress: cardProgress.results,
-          check_test_progress: checkTestProgress.results,
-          optional_progress: optionalProgress.results,
-          help_stats: helpStats.results,
-          intervention_priority: maxPriority,
-          has_help_request: hasHelpRequest,
-          completed_cards: cardProgress.results.filter(p => p.status === 'completed').length,
-          total_cards: cardProgress.results.length
-        })
-      }
-      
-      progressBoard.push(studentData)
-    }
-    
-    // 優先度順にソート
-    progressBoard.sort((a, b) => {
-      const maxA = Math.max(...a.curriculums.map(c => c.intervention_priority))
-      const maxB = Math.max(...b.curriculums.map(c => c.intervention_priority))
-      return maxB - maxA
-    })
+    if (!submission || !(await canAccessStudent(env.DB, c.get('user'), submission.student_id))) {
+      return c.json({ error: '提出が見つかりません' }, 404)
+    }
     
+    return c.json({ success: true, photo: submission.photo_data })
+  } catch (error: any) {
+    console.error('提出写真取得エラー:', error)
     return c.json({
-      success: true,
-      class_code: classCode,
-      students: progressBoard,
-      timestamp: new Date().toISOString()
-    })
-  } catch (error) {
-    console.error('進捗ボードエラー:', error)
-    return c.json({ 
-      success: false, 
-      error: '進捗ボードの読み込みに失敗しました',
-      details: error.message 
+      success: false,
+      error: '写真の取得に失敗しました',
+      details: error.message
     }, 500)
   }
 })
 
-// APIルート：ヘルプ要請
-app.post('/api/progress/help-request', async (c) => {
+// APIルート：提出の確認（先生）
+app.put('/api/submissions/:id/review', async (c) => {
   const { env } = c
-  const { student_id, learning_card_id, curriculum_id } = await c.req.json()
+  const user: SessionUser = c.get('user')
+  const submissionId = c.req.param('id')
+  const { review_status, teacher_comment } = await c.req.json()
   
   try {
+    if (!SUBMISSION_REVIEW_STATUSES.includes(review_status)) {
+      return c.json({ success: false, error: `review_status は ${SUBMISSION_REVIEW_STATUSES.join(' / ')} のいずれかを指定してください` }, 400)
+    }
+    
+    const submission: any = await env.DB.prepare(`
+      SELECT student_id FROM card_submissions WHERE id = ?
+    `).bind(submissionId).first()
+    
+    if (!submission || !(await canAccessStudent(env.DB, user, submission.student_id))) {
+      return c.json({ error: '提出が見つかりません' }, 404)
+    }
+    
     await env.DB.prepare(`
-      UPDATE student_progress 
-      SET 
-        status = 'help_needed',
-        help_requested_at = CURRENT_TIMESTAMP,
-        help_resolved_at = NULL,
-        last_activity_at = CURRENT_TIMESTAMP
-      WHERE student_id = ? AND learning_card_id = ? AND curriculum_id = ?
-    `).bind(student_id, learning_card_id, curriculum_id).run()
-    
-    return c.json({ success: true, message: 'ヘルプ要請を送信しました' })
-  } catch (error) {
-    console.error('ヘルプ要請エラー:', error)
-    return c.json({ success: false, error: 'ヘルプ要請に失敗しました' }, 500)
+      UPDATE card_submissions
+      SET review_status = ?, teacher_comment = ?, reviewed_by = ?,
+          reviewed_at = CASE WHEN ? = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE id = ?
+    `).bind(review_status, teacher_comment || null, user.id, review_status, submissionId).run()
+    
+    return c.json({ success: true })
+  } catch (error: any) {
+    console.error('提出確認エラー:', error)
+    return c.json({
+      success: false,
+      error: '提出の確認に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：ヘルプ解決
-app.post('/api/progress/help-resolve', async (c) => {
+// APIルート：学習カードの解答をクラスに公開
+app.post('/api/cards/:cardId/answer-release', async (c) => {
   const { env } = c
-  const { student_id, learning_card_id, curriculum_id } = await c.req.json()
+  const user: SessionUser = c.get('user')
+  const cardId = c.req.param('cardId')
+  const classCode = c.req.query('class_code') || user.class_code
   
   try {
+    if (!classCode || !canAccessClass(user, classCode)) {
+      return c.json({ error: 'このクラスのデータにはアクセスできません' }, 403)
+    }
+    
     await env.DB.prepare(`
-      UPDATE student_progress 
-      SET 
-        status = 'in_progress',
-        help_resolved_at = CURRENT_TIMESTAMP,
-        last_activity_at = CURRENT_TIMESTAMP
-      WHERE student_id = ? AND learning_card_id = ? AND curriculum_id = ?
-    `).bind(student_id, learning_card_id, curriculum_id).run()
+      INSERT OR IGNORE INTO card_answer_releases (learning_card_id, class_code, released_by)
+      VALUES (?, ?, ?)
+    `).bind(cardId, classCode, user.id).run()
     
-    return c.json({ success: true, message: 'ヘルプを解決しました' })
-  } catch (error) {
-    console.error('ヘルプ解決エラー:', error)
-    return c.json({ success: false, error: 'ヘルプ解決に失敗しました' }, 500)
+    return c.json({ success: true, classCode })
+  } catch (error: any) {
+    console.error('解答公開エラー:', error)
+    return c.json({
+      success: false,
+      error: '解答の公開に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：活動記録更新
-app.post('/api/progress/activity', async (c) => {
+// APIルート：学習カードの解答の公開を取り消し
+app.delete('/api/cards/:cardId/answer-release', async (c) => {
   const { env } = c
-  const { student_id, learning_card_id, curriculum_id } = await c.req.json()
+  const user: SessionUser = c.get('user')
+  const cardId = c.req.param('cardId')
+  const classCode = c.req.query('class_code') || user.class_code
   
   try {
+    if (!classCode || !canAccessClass(user, classCode)) {
+      return c.json({ error: 'このクラスのデータにはアクセスできません' }, 403)
+    }
+    
     await env.DB.prepare(`
-      UPDATE student_progress 
-      SET 
-        last_activity_at = CURRENT_TIMESTAMP
-      WHERE student_id = ? AND learning_card_id = ? AND curriculum_id = ?
-    `).bind(student_id, learning_card_id, curriculum_id).run()
+      DELETE FROM card_answer_releases WHERE learning_card_id = ? AND class_code = ?
+    `).bind(cardId, classCode).run()
     
-    return c.json({ success: true })
-  } catch (error) {
-    console.error('活動記録エラー:', error)
-    return c.json({ success: false }, 500)
+    return c.json({ success: true, classCode })
+  } catch (error: any) {
+    console.error('解答公開取り消しエラー:', error)
+    return c.json({
+      success: false,
+      error: '解答の公開の取り消しに失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：週次レポート
-app.get('/api/reports/weekly/:classCode', async (c) => {
+// ==============================================
+// 学習進捗の状態遷移
+// ==============================================
+
+const PROGRESS_STATUS_LABELS: Record<ProgressStatus, string> = {
+  not_started: '未着手',
+  in_progress: '学習中',
+  help_needed: 'ヘルプ要請中',
+  completed: '完了'
+}
+
+type ProgressChange = {
+  status: ProgressStatus
+  understandingLevel?: number | null
+  helpType?: string | null
+  curriculumId?: number | string | null  // 指定された場合は、カードがこの単元のものか確認する
+  resolution?: HelpResolution       // ヘルプ要請中でなくなるとき、誰が解決したか（省略時は列の状態から判定）
+  helperStudentId?: number | null   // 友だちが教えて解決した場合
+}
+
+type ProgressTransition = {
+  error: string | null
+  status: number           // error のときの HTTP ステータス
+  from: ProgressStatus | null
+  eventType?: ProgressEventType
+  progress?: any
+}
+
+// 児童×学習カードの現在状態を遷移させ、履歴を記録する
+// 同時に更新された場合は、読み取った状態のままの行だけを更新する（取りこぼしたら 409）
+async function transitionProgress(
+  db: D1Database,
+  studentId: any,
+  cardId: any,
+  change: ProgressChange,
+  actorId: number
+): Promise<ProgressTransition> {
+  const card: any = await db.prepare(`
+    SELECT lc.course_id, co.curriculum_id
+    FROM learning_cards lc
+    LEFT JOIN courses co ON lc.course_id = co.id
+    WHERE lc.id = ?
+  `).bind(cardId).first()
+  
+  if (!card || card.curriculum_id == null) {
+    return { error: '学習カードが見つかりません', status: 404, from: null }
+  }
+  if (change.curriculumId != null && String(change.curriculumId) !== String(card.curriculum_id)) {
+    return { error: 'この学習カードは指定された単元のものではありません', status: 400, from: null }
+  }
+  
+  const current: any = await db.prepare(`
+    SELECT status FROM student_progress WHERE student_id = ? AND learning_card_id = ?
+  `).bind(studentId, cardId).first()
+  
+  const from: ProgressStatus | null = current?.status ?? null
+  const to = change.status
+  
+  if (!canTransition(from, to)) {
+    return {
+      error: `「${PROGRESS_STATUS_LABELS[from ?? 'not_started']}」から「${PROGRESS_STATUS_LABELS[to]}」には変更できません`,
+      status: 409,
+      from
+    }
+  }
+  
+  // ヘルプの回数はクライアントの値を使わず、ヘルプ待ちの列に入った回数から数える
+  // 進捗・履歴・ヘルプ待ちの列は1つのバッチ（トランザクション）で更新する
+  const helpType = change.helpType || null
+  const eventType = progressEventType(from, to)
+  const statements: D1PreparedStatement[] = [db.prepare(`
+    INSERT INTO student_progress (
+      student_id, curriculum_id, course_id, learning_card_id,
+      status, understanding_level, help_requested_from, help_type, help_count,
+      started_at, completed_at, help_requested_at, last_activity_at, updated_at
+    ) VALUES (
+      ?1, ?2, ?3, ?4, ?5, ?6, ?7, ?7,
+      (SELECT COUNT(*) FROM help_requests WHERE student_id = ?1 AND learning_card_id = ?4)
+        + CASE WHEN ?5 = 'help_needed' THEN 1 ELSE 0 END,
+      CASE WHEN ?5 <> 'not_started' THEN CURRENT_TIMESTAMP END,
+      CASE WHEN ?5 = 'completed' THEN CURRENT_TIMESTAMP END,
+      CASE WHEN ?5 = 'help_needed' THEN CURRENT_TIMESTAMP END,
+      CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    )
+    ON CONFLICT(student_id, learning_card_id) DO UPDATE SET
+      status = excluded.status,
+      understanding_level = COALESCE(excluded.understanding_level, understanding_level),
+      help_requested_from = COALESCE(excluded.help_requested_from, help_requested_from),
+      help_type = COALESCE(excluded.help_type, help_type),
+      help_count = CASE
+        WHEN excluded.status = 'help_needed' AND status <> 'help_needed' THEN MAX(help_count + 1, excluded.help_count)
+        ELSE MAX(help_count, excluded.help_count - CASE WHEN excluded.status = 'help_needed' THEN 1 ELSE 0 END)
+      END,
+      started_at = COALESCE(started_at, excluded.started_at),
+      completed_at = COALESCE(completed_at, excluded.completed_at),
+      help_requested_at = CASE
+        WHEN excluded.status = 'help_needed' AND status <> 'help_needed' THEN CURRENT_TIMESTAMP
+        ELSE help_requested_at
+      END,
+      help_resolved_at = CASE
+        WHEN excluded.status = 'help_needed' AND status <> 'help_needed' THEN NULL
+        WHEN status = 'help_needed' AND excluded.status <> 'help_needed' THEN CURRENT_TIMESTAMP
+        ELSE help_resolved_at
+      END,
+      last_activity_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE student_progress.status IS ?8
+    RETURNING *
+  `).bind(
+    studentId,
+    card.curriculum_id,
+    card.course_id,
+    cardId,
+    to,
+    change.understandingLevel ?? null,
+    helpType,
+    from
+  )]
+  
+  // 同じ状態への更新は、理解度やヘルプの種類を記録したときだけ履歴に残す
+  // 進捗がほかの操作で先に更新された場合（changes() = 0）は記録しない
+  if (eventType !== 'updated' || change.understandingLevel != null || helpType) {
+    statements.push(db.prepare(`
+      INSERT INTO student_progress_events (
+        progress_id, student_id, curriculum_id, learning_card_id,
+        event_type, from_status, to_status, understanding_level, help_type, actor_id
+      )
+      SELECT id, student_id, curriculum_id, learning_card_id, ?, ?, ?, ?, ?, ?
+      FROM student_progress
+      WHERE student_id = ? AND learning_card_id = ? AND changes() > 0
+    `).bind(
+      eventType, from, to, change.understandingLevel ?? null, helpType, actorId,
+      studentId, cardId
+    ))
+  }
+  
+  // ヘルプ待ちの列を進捗の状態に合わせる（進捗が遷移後の状態になっているときだけ）
+  if (eventType === 'help_requested') {
+    statements.push(db.prepare(`
+      INSERT OR IGNORE INTO help_requests (
+        progress_id, student_id, class_code, curriculum_id, learning_card_id, help_type
+      )
+      SELECT sp.id, u.id, COALESCE(u.class_code, ''), sp.curriculum_id, sp.learning_card_id, sp.help_type
+      FROM student_progress sp
+      JOIN users u ON u.id = sp.student_id
+      WHERE sp.student_id = ? AND sp.learning_card_id = ? AND sp.status = 'help_needed'
+    `).bind(studentId, cardId))
+  } else if (from === 'help_needed' && to !== 'help_needed') {
+    statements.push(db.prepare(`
+      UPDATE help_requests
+      SET
+        status = 'resolved',
+        helper_student_id = COALESCE(?1, helper_student_id),
+        resolution = COALESCE(?2, CASE
+          WHEN ?1 IS NOT NULL OR status = 'peer_assigned' THEN 'peer'
+          WHEN ?3 = student_id THEN 'self'
+          ELSE 'teacher'
+        END),
+        resolved_by = ?3,
+        resolved_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE student_id = ?4 AND learning_card_id = ?5 AND status IN ('waiting', 'claimed', 'peer_assigned')
+        AND EXISTS (
+          SELECT 1 FROM student_progress
+          WHERE student_id = ?4 AND learning_card_id = ?5 AND status = ?6
+        )
+    `).bind(change.helperStudentId ?? null, change.resolution ?? null, actorId, studentId, cardId, to))
+  }
+  
+  const [upserted] = await db.batch(statements)
+  const progress: any = upserted.results?.[0]
+  
+  if (!progress) {
+    return { error: '進捗がほかの操作で更新されました。もう一度お試しください', status: 409, from }
+  }
+  
+  return { error: null, status: 200, from, eventType, progress }
+}
+
+// APIルート：学習進捗の保存（児童×カードの現在状態を更新）
+app.post('/api/progress', async (c) => {
   const { env } = c
-  const classCode = c.req.param('classCode')
-  const startDate = c.req.query('startDate') // YYYY-MM-DD
-  const endDate = c.req.query('endDate') // YYYY-MM-DD
+  const body = await c.req.json()
   
   try {
-    // 期間内の進捗データを集計
-    const weeklyStats = await env.DB.prepare(`
-      SELECT 
-        u.name as student_name,
-        u.student_number,
-        COUNT(DISTINCT sp.learning_card_id) as completed_cards,
-        AVG(sp.understanding_level) as avg_understanding,
-        SUM(CASE WHEN sp.help_type = 'ai' THEN 1 ELSE 0 END) as ai_help_count,
-        SUM(CASE WHEN sp.help_type = 'teacher' THEN 1 ELSE 0 END) as teacher_help_count,
-        SUM(CASE WHEN sp.help_type = 'friend' THEN 1 ELSE 0 END) as friend_help_count,
-        SUM(CASE WHEN sp.help_type = 'hint' THEN 1 ELSE 0 END) as hint_help_count
-      FROM users u
-      LEFT JOIN student_progress sp ON u.id = sp.student_id
-        AND sp.status = 'completed'
-        AND DATE(sp.completed_at) BETWEEN ? AND ?
-      WHERE u.class_code = ? AND u.role = 'student'
-      GROUP BY u.id, u.name, u.student_number
-      ORDER BY u.student_number
-    `).bind(startDate, endDate, classCode).all()
+    const studentId = await resolveStudentId(c, body.student_id)
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
+    if (!body.learning_card_id) {
+      return c.json({ success: false, error: 'learning_card_id を指定してください' }, 400)
+    }
+    if (!isProgressStatus(body.status)) {
+      return c.json({ success: false, error: `status は ${PROGRESS_STATUSES.join(' / ')} のいずれかを指定してください` }, 400)
+    }
+    
+    const understandingLevel = body.understanding_level == null ? null : Number(body.understanding_level)
+    if (understandingLevel !== null && !(Number.isInteger(understandingLevel) && understandingLevel >= 1 && understandingLevel <= 5)) {
+      return c.json({ success: false, error: 'understanding_level は1〜5の整数で指定してください' }, 400)
+    }
+    if (body.help_requested_from && !HELP_TYPES.includes(body.help_requested_from)) {
+      return c.json({ success: false, error: `help_requested_from は ${HELP_TYPES.join(' / ')} のいずれかを指定してください` }, 400)
+    }
+    
+    const transition = await transitionProgress(env.DB, studentId, body.learning_card_id, {
+      status: body.status,
+      understandingLevel,
+      helpType: body.help_requested_from,
+      curriculumId: body.curriculum_id
+    }, c.get('user').id)
+    
+    if (transition.error) {
+      return c.json({ success: false, error: transition.error, from: transition.from, to: body.status }, transition.status as 400 | 404 | 409)
+    }
+    
+    const { progress } = transition
+    const newBadges = await evaluateBadges(env.DB, studentId, progress.curriculum_id)
+    
+    // コースを修了したら学習ストーリーの章を追加（完了に変わったときだけ判定する）
+    if (transition.eventType === 'completed' && await isCourseCompleted(env.DB, studentId, progress.course_id)) {
+      await runInBackground(c, generateNarrativeChapter(env, studentId, progress.curriculum_id, {
+        type: 'course_completed',
+        key: `course:${progress.course_id}`,
+        courseId: progress.course_id
+      }))
+    }
+    
+    await publishStudentEvent(c, studentId, 'progress_updated', {
+      curriculumId: progress.curriculum_id,
+      courseId: progress.course_id,
+      cardId: progress.learning_card_id,
+      status: progress.status,
+      previousStatus: transition.from,
+      understandingLevel: progress.understanding_level
+    })
     
     return c.json({
       success: true,
-      period: { start: startDate, end: endDate },
-      class_code: classCode,
-      stats: weeklyStats.results
+      id: progress.id,
+      status: progress.status,
+      previousStatus: transition.from,
+      progress,
+      newBadges
     })
-  } catch (error) {
-    console.error('週次レポートエラー:', error)
-    return c.json({ 
-      success: false, 
-      error: '週次レポートの生成に失敗しました',
-      details: error.message 
+  } catch (error: any) {
+    console.error('進捗保存エラー:', error)
+    return c.json({
+      success: false,
+      error: '進捗の保存に失敗しました',
+      details: error.message
     }, 500)
   }
 })
 
-// APIルート：月次レポート
-app.get('/api/reports/monthly/:classCode', async (c) => {
+// APIルート：クラスの進捗取得
+app.get('/api/progress/class/:classCode', async (c) => {
   const { env } = c
   const classCode = c.req.param('classCode')
-  const year = c.req.query('year') // YYYY
-  const month = c.req.query('month') // MM
   
   try {
-    const startDate = `${year}-${month}-01`
-    const endDate = `${year}-${month}-31`
-    
-    // 月次統計
-    const monthlyStats = await env.DB.prepare(`
+    const progress = await env.DB.prepare(`
       SELECT 
-        u.name as student_name,
+        u.name,
         u.student_number,
-        COUNT(DISTINCT sp.learning_card_id) as completed_cards,
-        AVG(sp.understanding_level) as avg_understanding,
-        COUNT(DISTINCT DATE(sp.created_at)) as active_days,
-        SUM(CASE WHEN sp.help_type IS NOT NULL THEN 1 ELSE 0 END) as total_help_count
-      FROM users u
-      LEFT JOIN student_progress sp ON u.id = sp.student_id
-        AND DATE(sp.created_at) BETWEEN ? AND ?
-      WHERE u.class_code = ? AND u.role = 'student'
-      GROUP BY u.id, u.name, u.student_number
-      ORDER BY u.student_number
-    `).bind(startDate, endDate, classCode).all()
-    
-    // カリキュラム別進捗
-    const curriculumProgress = await env.DB.prepare(`
-      SELECT 
-        cur.unit_name,
-        cur.subject,
-        COUNT(DISTINCT sp.student_id) as students_count,
-        COUNT(DISTINCT sp.learning_card_id) as completed_cards_total
-      FROM curriculum cur
-      LEFT JOIN student_progress sp ON cur.id = sp.curriculum_id
-        AND sp.status = 'completed'
-        AND DATE(sp.completed_at) BETWEEN ? AND ?
-      JOIN users u ON sp.student_id = u.id
+        p.curriculum_id,
+        p.course_id,
+        p.learning_card_id,
+        p.status,
+        p.understanding_level,
+        p.help_requested_from,
+        p.help_count,
+        p.created_at,
+        c.course_level,
+        c.course_display_name
+      FROM student_progress p
+      JOIN users u ON p.student_id = u.id
+      LEFT JOIN courses c ON p.course_id = c.id
       WHERE u.class_code = ?
-      GROUP BY cur.id, cur.unit_name, cur.subject
-    `).bind(startDate, endDate, classCode).all()
+      ORDER BY u.student_number, p.updated_at DESC
+    `).bind(classCode).all()
     
-    return c.json({
-      success: true,
-      period: { year, month, start: startDate, end: endDate },
-      class_code: classCode,
-      student_stats: monthlyStats.results,
-      curriculum_progress: curriculumProgress.results
-    })
+    return c.json(progress.results)
   } catch (error) {
-    console.error('月次レポートエラー:', error)
-    return c.json({ 
-      success: false, 
-      error: '月次レポートの生成に失敗しました',
-      details: error.message 
-    }, 500)
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：AI先生（Gemini API）
-app.post('/api/ai/ask', async (c) => {
+// APIルート：カリキュラム別の詳細進捗取得（進捗ボード用）
+app.get('/api/progress/curriculum/:curriculumId/class/:classCode', async (c) => {
   const { env } = c
-  const body = await c.req.json()
-  const startTime = Date.now()
-  
-  const apiKey = env.GEMINI_API_KEY
-  
-  if (!apiKey || apiKey === 'your-gemini-api-key-here') {
-    return c.json({ 
-      answer: '申し訳ありません。AI先生は現在利用できません。ヒントカードや先生に聞いてみましょう。',
-      error: 'API key not configured'
-    })
-  }
-  
-  // セッションIDの生成（対話履歴グループ化用）
-  const sessionId = body.sessionId || `session-${Date.now()}-${Math.random().toString(36).substring(7)}`
+  const curriculumId = c.req.param('curriculumId')
+  const classCode = c.req.param('classCode')
   
   try {
-    // 学習カード情報を取得
-    const card = await env.DB.prepare(`
-      SELECT * FROM learning_cards WHERE id = ?
-    `).bind(body.cardId).first()
-    
-    // 対話履歴を取得（コンテキスト保持）
-    const conversationHistory = await env.DB.prepare(`
-      SELECT message_type, message_text
-      FROM ai_conversations
-      WHERE session_id = ? AND student_id = ?
-      ORDER BY created_at DESC
-      LIMIT 5
-    `).bind(sessionId, body.studentId).all()
+    // 全生徒のリスト
+    const students = await env.DB.prepare(`
+      SELECT id, name, student_number 
+      FROM users 
+      WHERE class_code = ? AND role = 'student'
+      ORDER BY student_number
+    `).bind(classCode).all()
     
-    // 対話履歴をGemini APIフォーマットに変換
-    const historyContext = conversationHistory.results?.reverse().map((msg: any) => 
-      `${msg.message_type === 'question' ? '生徒' : 'AI先生'}: ${msg.message_text}`
-    ).join('\n') || ''
+    // 各生徒の最新進捗
+    const progressData = await env.DB.prepare(`
+      SELECT 
+        p.student_id,
+        p.course_id,
+        p.learning_card_id,
+        p.status,
+        p.understanding_level,
+        p.help_requested_from,
+        p.help_count,
+        p.created_at,
+        c.course_level,
+        c.course_display_name,
+        lc.card_number,
+        lc.card_title
+      FROM student_progress p
+      LEFT JOIN courses c ON p.course_id = c.id
+      LEFT JOIN learning_cards lc ON p.learning_card_id = lc.id
+      WHERE p.curriculum_id = ?
+      AND p.student_id IN (
+        SELECT id FROM users WHERE class_code = ? AND role = 'student'
+      )
+      ORDER BY p.student_id, p.updated_at DESC
+    `).bind(curriculumId, classCode).all()
     
-    // 質問を履歴に保存
-    await env.DB.prepare(`
-      INSERT INTO ai_conversations (
-        student_id, curriculum_id, learning_card_id, session_id, message_type, message_text, context_data
-      ) VALUES (?, ?, ?, ?, 'question', ?, ?)
-    `).bind(
-      body.studentId,
-      body.curriculumId,
-      body.cardId,
-      sessionId,
-      body.question,
-      JSON.stringify({ cardTitle: card?.card_title })
-    ).run()
+    // 生徒ごとにグループ化
+    const studentProgress = {}
+    students.results.forEach(student => {
+      const latestProgress = progressData.results.find(p => p.student_id === student.id)
+      studentProgress[student.id] = {
+        student,
+        progress: latestProgress || null,
+        allProgress: progressData.results.filter(p => p.student_id === student.id)
+      }
+    })
     
-    // Gemini APIにリクエスト
-    const geminiResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: `現在あなたは「学習モード」です。以下の厳格なルールに従ってください：
-
-# 厳格なルール
+    return c.json(studentProgress)
+  } catch (error) {
+    console.error('Progress error:', error)
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
 
-親しみやすくかつダイナミックな教師となり、学習過程をガイドしながらユーザーの学びをサポートします。
-
-- ユーザーについて知りましょう。目標や学年レベルが分からない場合は質問してください。（軽めに！）回答がない場合は、小学4年生が理解できるような説明を心がけてください。
-- 既存の知識を基盤にします。新しい概念をユーザーがすでに知っていることに結びつけます。
-- 単に答えを与えるのではなく、ガイドしましょう。質問、ヒント、小さなステップを用いて、ユーザー自身が答えを発見できるようにします。
-- 確認と強化を行います。難しい部分の後は、ユーザーがその概念を説明したり使ったりできるか確認します。
-- リズムに変化をつけます。説明、質問、アクティビティ（ロールプレイ、練習ラウンドなど）を混ぜて、講義ではなく会話のように感じさせます。
-
-# 何よりも重要なこと：ユーザーの仕事を代わりにやらないでください。
-
-宿題の質問に答えないでください — ユーザーとの協力を通じて、彼らが既に知っていることから構築しながら、答えを見つける手助けをします。
-
-# トーンとアプローチ
-
-温かく、忍耐強く、平易な言葉で話しましょう。感嘆符や絵文字を使いすぎないようにします。セッションを前に進め続けましょう：次のステップを常に把握します。そして簡潔に — 決してエッセイの長さの返答を送らないでください。良い対話を目指しましょう。
-
-# 重要
-
-ユーザーが数学や論理的な問題を質問した場合、最初の回答でそれを解決しないでください。代わりに：ユーザーと一緒に問題を一歩ずつ検討し、各ステップで一つの質問をし、続ける前にユーザーが各ステップに応答する機会を与えてください。
-
-【学習カード情報】
-タイトル: ${card?.card_title || ''}
-問題: ${body.context || ''}
-
-${historyContext ? `【これまでの対話】\n${historyContext}\n` : ''}
+// ==============================================
+// 進捗ボード（教師用）
+// ==============================================
 
-【生徒の質問】
-${body.question}
+// 進捗ボードのデータ版数（カーソル・ETag に使う）
+// "<最終更新日時の数字14桁>-<名簿件数>.<最大児童ID>.<カード進捗件数>.<チェックテスト件数>.<選択問題件数>.<最大進捗イベントID>"
+// updated_at は秒単位で、件数の変わらない更新（状態や理解度の変更）が同じ秒に重なると版数が変わらないため、
+// カード進捗は更新のたびに必ず増える student_progress_events の id で見分ける
+async function getProgressBoardVersion(db: D1Database, classCode: string, curriculumIds: number[]): Promise<string> {
+  const placeholders = curriculumIds.map(() => '?').join(',') || 'NULL'
+  const progressVersion = (table: string) => db.prepare(`
+    SELECT COUNT(*) as count, MAX(p.updated_at) as latest
+    FROM ${table} p
+    JOIN users u ON p.student_id = u.id
+    WHERE u.class_code = ? AND u.role = 'student' AND p.curriculum_id IN (${placeholders})
+  `).bind(classCode, ...curriculumIds)
+  
+  const [roster, cards, checkTests, optional, events] = await db.batch([
+    db.prepare(`
+      SELECT COUNT(*) as count, COALESCE(MAX(id), 0) as max_id
+      FROM users WHERE class_code = ? AND role = 'student'
+    `).bind(classCode),
+    progressVersion('student_progress'),
+    progressVersion('check_test_progress'),
+    progressVersion('optional_problem_progress'),
+    db.prepare(`
+      SELECT COALESCE(MAX(e.id), 0) as max_id
+      FROM student_progress_events e
+      JOIN users u ON e.student_id = u.id
+      WHERE u.class_code = ? AND u.role = 'student' AND e.curriculum_id IN (${placeholders})
+    `).bind(classCode, ...curriculumIds)
+  ])
+  
+  const rows = [cards, checkTests, optional].map(r => r.results[0] as any)
+  const latest = rows.map(r => r.latest || '').sort().pop() || ''
+  const rosterRow: any = roster.results[0]
+  const eventRow: any = events.results[0]
+  return `${latest.replace(/\D/g, '').padEnd(14, '0')}-${[rosterRow.count, rosterRow.max_id, ...rows.map(r => r.count), eventRow.max_id].join('.')}`
+}
 
-150文字以内で簡潔に回答してください。`
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 200,
-          }
-        })
-      }
-    )
-    
-    const responseTime = Date.now() - startTime
-    
-    if (!geminiResponse.ok) {
-      const errorData = await geminiResponse.json()
-      console.error('Gemini API error:', errorData)
-      
-      // エラーログを統計に記録
-      await env.DB.prepare(`
-        INSERT INTO ai_usage_stats (
-          student_id, curriculum_id, learning_card_id, feature_type, 
-          response_time_ms, success, error_message
-        ) VALUES (?, ?, ?, 'teacher', ?, 0, ?)
-      `).bind(
-        body.studentId,
-        body.curriculumId,
-        body.cardId,
-        responseTime,
-        `API Error: ${geminiResponse.status}`
-      ).run()
-      
-      throw new Error(`Gemini API error: ${geminiResponse.status}`)
-    }
-    
-    const geminiData = await geminiResponse.json()
-    
-    const answer = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || 
-                   '考えるヒントを用意できませんでした。もう一度質問してみてください。'
-    
-    // 回答を履歴に保存
-    await env.DB.prepare(`
-      INSERT INTO ai_conversations (
-        student_id, curriculum_id, learning_card_id, session_id, message_type, message_text
-      ) VALUES (?, ?, ?, ?, 'answer', ?)
-    `).bind(
-      body.studentId,
-      body.curriculumId,
-      body.cardId,
-      sessionId,
-      answer
-    ).run()
-    
-    // 使用統計を記録
-    const tokensUsed = geminiData.usageMetadata?.totalTokenCount || 0
-    await env.DB.prepare(`
-      INSERT INTO ai_usage_stats (
-        student_id, curriculum_id, learning_card_id, feature_type,
-        tokens_used, response_time_ms, success
-      ) VALUES (?, ?, ?, 'teacher', ?, ?, 1)
-    `).bind(
-      body.studentId,
-      body.curriculumId,
-      body.cardId,
-      tokensUsed,
-      responseTime
-    ).run()
-    
-    return c.json({ 
-      answer,
-      sessionId,
-      tokensUsed,
-      responseTime
-    })
-    
-  } catch (error: any) {
-    console.error('AI error:', error)
-    
-    // エラーログを統計に記録
-    try {
-      await env.DB.prepare(`
-        INSERT INTO ai_usage_stats (
-          student_id, curriculum_id, learning_card_id, feature_type,
-          response_time_ms, success, error_message
-        ) VALUES (?, ?, ?, 'teacher', ?, 0, ?)
-      `).bind(
-        body.studentId,
-        body.curriculumId,
-        body.cardId,
-        Date.now() - startTime,
-        error.message
-      ).run()
-    } catch (dbError) {
-      console.error('Failed to log error:', dbError)
-    }
-    
-    return c.json({ 
-      answer: 'ごめんなさい、今は答えられません。ヒントカードを見てみましょう！',
-      error: error.message
-    })
-  }
-})
+// カーソルの最終更新日時を SQLite の日時形式に戻す
+function progressBoardCursorTime(cursor: string): string {
+  const digits = cursor.split('-')[0]
+  return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)} ${digits.slice(8, 10)}:${digits.slice(10, 12)}:${digits.slice(12, 14)}`
+}
 
-// APIルート：AI対話履歴取得
-app.get('/api/ai/conversations/:sessionId', async (c) => {
+// APIルート：進捗ボード（教師用）
+// 全児童・全単元をまとめて集計する。since に前回の cursor を渡すと、その後に変わった児童だけを返す
+// If-None-Match が現在の版数と同じなら 304
+app.get('/api/progress-board/class/:classCode', async (c) => {
   const { env } = c
-  const sessionId = c.req.param('sessionId')
+  const classCode = c.req.param('classCode')
+  const curriculumIds = (c.req.query('curriculumIds') || '') // カンマ区切りで複数指定可能
+    .split(',')
+    .map(id => Number(id))
+    .filter(id => Number.isInteger(id) && id > 0)
+  const since = c.req.query('since')
   
   try {
-    const conversations = await env.DB.prepare(`
-      SELECT 
-        id, message_type, message_text, context_data, created_at,
-        learning_card_id, curriculum_id
-      FROM ai_conversations
-      WHERE session_id = ?
-      ORDER BY created_at ASC
-    `).bind(sessionId).all()
+    const cursor = await getProgressBoardVersion(env.DB, classCode, curriculumIds)
+    const etag = `"${cursor}"`
+    c.header('ETag', etag)
+    c.header('Cache-Control', 'private, no-cache')
+    
+    if (c.req.header('If-None-Match') === etag) {
+      return c.body(null, 304)
+    }
+    
+    // 名簿が同じで、進捗の行が減っていない（追加・更新だけの）ときは差分で返す
+    const isDelta = (previous: string) => {
+      const [, before = ''] = previous.split('-')
+      const [, after] = cursor.split('-')
+      const beforeCounts = before.split('.').map(Number)
+      const afterCounts = after.split('.').map(Number)
+      return /^\d{14}-[\d.]+$/.test(previous) &&
+        beforeCounts.length === afterCounts.length &&
+        beforeCounts.slice(0, 2).every((n, i) => n === afterCounts[i]) &&
+        beforeCounts.slice(2).every((n, i) => n <= afterCounts[i + 2])
+    }
+    const full = !since || !isDelta(since)
+    const placeholders = curriculumIds.map(() => '?').join(',') || 'NULL'
+    const changedSince = full ? '' : `
+      AND u.id IN (
+        SELECT student_id FROM student_progress WHERE curriculum_id IN (${placeholders}) AND updated_at >= ?
+        UNION SELECT student_id FROM check_test_progress WHERE curriculum_id IN (${placeholders}) AND updated_at >= ?
+        UNION SELECT student_id FROM optional_problem_progress WHERE curriculum_id IN (${placeholders}) AND updated_at >= ?
+      )`
+    const changedParams = full ? [] : [0, 1, 2].flatMap(() => [...curriculumIds, progressBoardCursorTime(since)])
+    
+    const [students, cardProgress, checkTestProgress, optionalProgress, helpStats] = await env.DB.batch([
+      env.DB.prepare(`
+        SELECT u.id, u.name, u.student_number
+        FROM users u
+        WHERE u.class_code = ? AND u.role = 'student' ${changedSince}
+        ORDER BY u.student_number
+      `).bind(classCode, ...changedParams),
+      env.DB.prepare(`
+        SELECT
+          sp.id, sp.student_id, sp.learning_card_id as card_id, sp.curriculum_id,
+          sp.status, sp.understanding_level, sp.help_type,
+          sp.help_requested_at, sp.help_resolved_at, sp.last_activity_at, sp.created_at, sp.updated_at,
+          lc.card_title, lc.card_number, lc.card_type, lc.course_id,
+          co.course_level, co.course_name
+        FROM student_progress sp
+        JOIN users u ON sp.student_id = u.id
+        JOIN learning_cards lc ON sp.learning_card_id = lc.id
+        JOIN courses co ON lc.course_id = co.id
+        WHERE u.class_code = ? AND u.role = 'student' AND sp.curriculum_id IN (${placeholders}) ${changedSince}
+        ORDER BY co.course_level, lc.card_number
+      `).bind(classCode, ...curriculumIds, ...changedParams),
+      env.DB.prepare(`
+        SELECT ctp.*
+        FROM check_test_progress ctp
+        JOIN users u ON ctp.student_id = u.id
+        WHERE u.class_code = ? AND u.role = 'student' AND ctp.curriculum_id IN (${placeholders}) ${changedSince}
+        ORDER BY ctp.problem_number
+      `).bind(classCode, ...curriculumIds, ...changedParams),
+      env.DB.prepare(`
+        SELECT opp.*, op.problem_title, op.problem_number
+        FROM optional_problem_progress opp
+        JOIN optional_problems op ON opp.optional_problem_id = op.id
+        JOIN users u ON opp.student_id = u.id
+        WHERE u.class_code = ? AND u.role = 'student' AND opp.curriculum_id IN (${placeholders}) ${changedSince}
+        ORDER BY op.problem_number
+      `).bind(classCode, ...curriculumIds, ...changedParams),
+      env.DB.prepare(`
+        SELECT sp.student_id, sp.curriculum_id, COALESCE(sp.help_type, sp.help_requested_from) as help_type, COUNT(*) as count
+        FROM student_progress sp
+        JOIN users u ON sp.student_id = u.id
+        WHERE u.class_code = ? AND u.role = 'student' AND sp.curriculum_id IN (${placeholders})
+          AND COALESCE(sp.help_type, sp.help_requested_from) IS NOT NULL ${changedSince}
+        GROUP BY sp.student_id, sp.curriculum_id, COALESCE(sp.help_type, sp.help_requested_from)
+      `).bind(classCode, ...curriculumIds, ...changedParams)
+    ])
+    
+    // 児童×単元ごとに振り分け
+    const now = Date.now()
+    const rowsFor = (result: D1Result, studentId: number, curriculumId: number) =>
+      (result.results as any[]).filter(r => r.student_id === studentId && r.curriculum_id === curriculumId)
+    
+    const progressBoard = (students.results as any[]).map(student => ({
+      student_id: student.id,
+      student_name: student.name,
+      student_number: student.student_number,
+      curriculums: curriculumIds.map(curriculumId => {
+        const cards = rowsFor(cardProgress, student.id, curriculumId).map(row => applyProgressBoardTimings(row, now))
+        return {
+          curriculum_id: curriculumId,
+          card_progress: cards,
+          check_test_progress: rowsFor(checkTestProgress, student.id, curriculumId),
+          optional_progress: rowsFor(optionalProgress, student.id, curriculumId),
+          help_stats: rowsFor(helpStats, student.id, curriculumId).map(({ help_type, count }) => ({ help_type, count })),
+          intervention_priority: Math.max(0, ...cards.map(p => p.intervention_priority)),
+          has_help_request: cards.some(p => p.help_requested_at && !p.help_resolved_at),
+          completed_cards: cards.filter(p => p.status === 'completed').length,
+          total_cards: cards.length
+        }
+      })
+    }))
     
-    return c.json({ 
-      conversations: conversations.results || [],
-      total: conversations.results?.length || 0
+    // 優先度順にソート
+    progressBoard.sort((a, b) => {
+      const maxA = Math.max(0, ...a.curriculums.map(c => c.intervention_priority))
+      const maxB = Math.max(0, ...b.curriculums.map(c => c.intervention_priority))
+      return maxB - maxA
+    })
+    
+    return c.json({
+      success: true,
+      class_code: classCode,
+      full,
+      cursor,
+      students: progressBoard,
+      timestamp: new Date(now).toISOString()
     })
   } catch (error: any) {
-    console.error('Failed to fetch conversations:', error)
+    console.error('進捗ボードエラー:', error)
     return c.json({ 
-      error: '対話履歴の取得に失敗しました',
-      conversations: [],
-      total: 0
+      success: false, 
+      error: '進捗ボードの読み込みに失敗しました',
+      details: error.message 
     }, 500)
   }
 })
 
-// APIルート：自動問題生成
-app.post('/api/ai/generate-problem', async (c) => {
+// APIルート：ヘルプ要請
+app.post('/api/progress/help-request', async (c) => {
   const { env } = c
   const body = await c.req.json()
-  
-  // Gemini APIキーの確認
-  const apiKey = env.GEMINI_API_KEY
-  if (!apiKey || apiKey === 'your-gemini-api-key') {
-    return c.json({ 
-      error: 'Gemini APIキーが設定されていません。環境変数を設定してください。'
-    }, 500)
-  }
+  const { learning_card_id, curriculum_id, help_type } = body
   
   try {
-    const startTime = Date.now()
-    
-    // カリキュラム情報を取得
-    const curriculum = await env.DB.prepare(`
-      SELECT * FROM curriculum WHERE id = ?
-    `).bind(body.curriculumId).first()
-    
-    // 既存のコース問題を参考として取得
-    const existingProblems = await env.DB.prepare(`
-      SELECT problem_content, learning_meaning FROM learning_cards
-      WHERE course_id = ? LIMIT 3
-    `).bind(body.courseId).all()
-    
-    const examplesText = existingProblems.results?.map((p: any, i: number) => 
-      `例${i + 1}:\n問題: ${p.problem_content}\n学習の意味: ${p.learning_meaning}`
-    ).join('\n\n') || ''
-    
-    // Gemini APIにリクエスト
-    const geminiResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: `あなたは小学生向けの学習問題を作成するAI先生です。以下の情報を元に、学習カードの問題を生成してください。
-
-【カリキュラム情報】
-学年: ${curriculum?.grade || ''}
-教科: ${curriculum?.subject || ''}
-単元: ${curriculum?.unit_name || ''}
-単元目標: ${curriculum?.unit_goal || ''}
-難易度: ${body.difficultyLevel || 'しっかり'}
-
-${examplesText ? `【参考問題】\n${examplesText}\n` : ''}
-
-【生成条件】
-- 小学生が理解できる言葉で
-- 実社会と関連付ける
-- 思考力を育む内容
-- ${body.requirements || ''}
-
-以下のJSON形式で回答してください：
-{
-  "problem_description": "問題の簡単な説明（30文字以内）",
-  "problem_content": "問題文（150文字程度）",
-  "learning_meaning": "この問題で学べること（100文字程度）",
-  "answer": "解答例（必要に応じて）",
-  "difficulty_level": "${body.difficultyLevel || 'しっかり'}"
-}`
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.8,
-            maxOutputTokens: 500,
-          }
-        })
-      }
-    )
-    
-    const responseTime = Date.now() - startTime
-    
-    if (!geminiResponse.ok) {
-      const errorData = await geminiResponse.json()
-      console.error('Gemini API error:', errorData)
-      
-      // エラーログを統計に記録
-      await env.DB.prepare(`
-        INSERT INTO ai_usage_stats (
-          curriculum_id, feature_type, 
-          response_time_ms, success, error_message
-        ) VALUES (?, 'problem_generation', ?, 0, ?)
-      `).bind(
-        body.curriculumId,
-        responseTime,
-        `API Error: ${geminiResponse.status}`
-      ).run()
-      
-      throw new Error(`Gemini API error: ${geminiResponse.status}`)
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
     }
     
-    const geminiData = await geminiResponse.json()
-    const generatedText = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || ''
-    
-    // JSONを抽出
-    const jsonMatch = generatedText.match(/\{[\s\S]*\}/)
-    if (!jsonMatch) {
-      throw new Error('生成結果からJSONを抽出できませんでした')
+    if (!learning_card_id) {
+      return c.json({ success: false, error: 'learning_card_id を指定してください' }, 400)
+    }
+    if (help_type && !HELP_TYPES.includes(help_type)) {
+      return c.json({ success: false, error: `help_type は ${HELP_TYPES.join(' / ')} のいずれかを指定してください` }, 400)
     }
     
-    const problemData = JSON.parse(jsonMatch[0])
-    
-    // generated_problemsテーブルに保存
-    const result = await env.DB.prepare(`
-      INSERT INTO generated_problems (
-        curriculum_id, course_id, problem_description, problem_content,
-        learning_meaning, answer, difficulty_level, generated_by, 
-        generation_params, is_approved
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
-    `).bind(
-      body.curriculumId,
-      body.courseId,
-      problemData.problem_description,
-      problemData.problem_content,
-      problemData.learning_meaning,
-      problemData.answer || null,
-      problemData.difficulty_level,
-      body.userId || 0,
-      JSON.stringify({ requirements: body.requirements, difficultyLevel: body.difficultyLevel })
-    ).run()
+    const transition = await transitionProgress(env.DB, student_id, learning_card_id, {
+      status: 'help_needed',
+      helpType: help_type,
+      curriculumId: curriculum_id
+    }, c.get('user').id)
     
-    // 使用統計を記録
-    const tokensUsed = geminiData.usageMetadata?.totalTokenCount || 0
-    await env.DB.prepare(`
-      INSERT INTO ai_usage_stats (
-        curriculum_id, feature_type, tokens_used, response_time_ms, success
-      ) VALUES (?, 'problem_generation', ?, ?, 1)
-    `).bind(
-      body.curriculumId,
-      tokensUsed,
-      responseTime
-    ).run()
+    if (transition.error) {
+      return c.json({ success: false, error: transition.error }, transition.status as 400 | 404 | 409)
+    }
     
-    return c.json({ 
-      problem: {
-        id: result.meta.last_row_id,
-        ...problemData
-      },
-      tokensUsed,
-      responseTime
+    const card: any = await env.DB.prepare(`
+      SELECT card_title FROM learning_cards WHERE id = ?
+    `).bind(learning_card_id).first()
+    
+    await publishStudentEvent(c, student_id, 'help_requested', {
+      curriculumId: transition.progress.curriculum_id,
+      cardId: transition.progress.learning_card_id,
+      cardTitle: card?.card_title || null,
+      helpType: transition.progress.help_requested_from
     })
     
-  } catch (error: any) {
-    console.error('Problem generation error:', error)
+    // 友だちに聞く場合は、同じカードを終えた友だちにすぐ任せる（いなければ先生の列で待つ）
+    let helper = null
+    if (transition.eventType === 'help_requested' && help_type === 'friend') {
+      const request: any = await env.DB.prepare(`
+        SELECT * FROM help_requests
+        WHERE student_id = ? AND learning_card_id = ? AND status = 'waiting'
+      `).bind(student_id, learning_card_id).first()
+      const [peer] = request ? await findPeerHelpers(env.DB, request, 1) : []
+      if (peer && await assignPeerHelper(c, request, peer)) {
+        helper = { id: peer.id, name: peer.name }
+      }
+    }
     
-    return c.json({ 
-      error: '問題の生成に失敗しました',
-      details: error.message
-    }, 500)
+    return c.json({ success: true, message: 'ヘルプ要請を送信しました', progress: transition.progress, helper })
+  } catch (error) {
+    console.error('ヘルプ要請エラー:', error)
+    return c.json({ success: false, error: 'ヘルプ要請に失敗しました' }, 500)
   }
 })
 
-// APIルート：学習計画取得
-app.get('/api/plans/:studentId/:curriculumId', async (c) => {
+// APIルート：ヘルプ解決
+app.post('/api/progress/help-resolve', async (c) => {
   const { env } = c
-  const studentId = c.req.param('studentId')
-  const curriculumId = c.req.param('curriculumId')
+  const body = await c.req.json()
+  const { learning_card_id, curriculum_id } = body
   
   try {
-    const plans = await env.DB.prepare(`
-      SELECT * FROM learning_plans
-      WHERE student_id = ? AND curriculum_id = ?
-      ORDER BY planned_date
-    `).bind(studentId, curriculumId).all()
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
+    // 友だちが教えて解決した場合は教えた児童の行動として記録（おたすけバッジはヘルプ待ちの列の解決者で判定する）
+    // 児童は、ヘルプ待ちの列で任された友だちを教えた児童として指定できる
+    const helperId = body.helper_student_id
+    if (helperId) {
+      const helper = await env.DB.prepare(`
+        SELECT id FROM users WHERE id = ? AND role = 'student'
+      `).bind(helperId).first()
+      const assigned = await env.DB.prepare(`
+        SELECT id FROM help_requests
+        WHERE student_id = ? AND learning_card_id = ? AND status = 'peer_assigned' AND helper_student_id = ?
+      `).bind(student_id, learning_card_id, helperId).first()
+      if (!helper || String(helperId) === String(student_id) ||
+          !(assigned || await canAccessStudent(env.DB, c.get('user'), helperId))) {
+        return c.json({ success: false, error: '教えた児童を確認できません' }, 400)
+      }
+    }
     
-    return c.json(plans.results)
+    const current: any = await env.DB.prepare(`
+      SELECT status FROM student_progress WHERE student_id = ? AND learning_card_id = ?
+    `).bind(student_id, learning_card_id).first()
+    
+    if (current?.status !== 'help_needed') {
+      return c.json({ success: false, error: 'この学習カードではヘルプを要請していません' }, 409)
+    }
+    
+    const transition = await transitionProgress(env.DB, student_id, learning_card_id, {
+      status: 'in_progress',
+      curriculumId: curriculum_id,
+      helperStudentId: helperId ? Number(helperId) : null
+    }, c.get('user').id)
+    
+    if (transition.error) {
+      return c.json({ success: false, error: transition.error }, transition.status as 400 | 404 | 409)
+    }
+    
+    let newBadges: any[] = []
+    if (helperId) {
+      // 教えた回数はヘルプ待ちの列（help_requests）の解決記録から数える
+      newBadges = await evaluateBadges(env.DB, helperId, transition.progress.curriculum_id)
+    }
+    
+    await publishStudentEvent(c, student_id, 'help_resolved', {
+      curriculumId: transition.progress.curriculum_id,
+      cardId: transition.progress.learning_card_id,
+      helperStudentId: helperId ? Number(helperId) : null
+    })
+    
+    return c.json({ success: true, message: 'ヘルプを解決しました', newBadges })
   } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    console.error('ヘルプ解決エラー:', error)
+    return c.json({ success: false, error: 'ヘルプ解決に失敗しました' }, 500)
   }
 })
 
-// APIルート：学習計画保存
-app.post('/api/plans', async (c) => {
+// APIルート：活動記録更新（まだ始めていないカードは学習中にする）
+app.post('/api/progress/activity', async (c) => {
   const { env } = c
   const body = await c.req.json()
+  const { learning_card_id } = body
   
   try {
-    const result = await env.DB.prepare(`
-      INSERT INTO learning_plans 
-        (student_id, curriculum_id, planned_date, learning_card_id, 
-         reflection_good, reflection_bad, reflection_learned)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      body.student_id,
-      body.curriculum_id,
-      body.planned_date,
-      body.learning_card_id || null,
-      body.reflection_good || null,
-      body.reflection_bad || null,
-      body.reflection_learned || null
-    ).run()
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
     
-    return c.json({ success: true, id: result.meta.last_row_id })
+    const touched = await env.DB.prepare(`
+      UPDATE student_progress 
+      SET 
+        last_activity_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE student_id = ? AND learning_card_id = ? AND status <> 'not_started'
+    `).bind(student_id, learning_card_id).run()
+    
+    if (touched.meta.changes === 0) {
+      const transition = await transitionProgress(env.DB, student_id, learning_card_id, {
+        status: 'in_progress'
+      }, c.get('user').id)
+      
+      if (transition.error) {
+        return c.json({ success: false, error: transition.error }, transition.status as 404 | 409)
+      }
+    }
+    
+    await publishStudentEvent(c, student_id, 'activity_updated', {
+      cardId: Number(learning_card_id),
+      started: touched.meta.changes === 0
+    })
+    
+    return c.json({ success: true })
   } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    console.error('活動記録エラー:', error)
+    return c.json({ success: false }, 500)
   }
 })
 
-// APIルート：学習計画更新
-app.put('/api/plans/:id', async (c) => {
+// APIルート：学習進捗の遷移履歴（レポートでの再生用）
+app.get('/api/progress/events/:studentId', async (c) => {
   const { env } = c
-  const planId = c.req.param('id')
-  const body = await c.req.json()
+  const studentId = c.req.param('studentId')
+  const curriculumId = c.req.query('curriculum_id')
+  const since = c.req.query('since')
   
   try {
-    await env.DB.prepare(`
-      UPDATE learning_plans 
-      SET actual_date = ?,
-          learning_card_id = ?,
-          reflection_good = ?,
-          reflection_bad = ?,
-          reflection_learned = ?,
-          ai_feedback = ?
-      WHERE id = ?
-    `).bind(
-      body.actual_date || null,
-      body.learning_card_id || null,
-      body.reflection_good || null,
-      body.reflection_bad || null,
-      body.reflection_learned || null,
-      body.ai_feedback || null,
-      planId
-    ).run()
-    
-    return c.json({ success: true })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    const conditions = ['e.student_id = ?']
+    const params: any[] = [studentId]
+    if (curriculumId) {
+      conditions.push('e.curriculum_id = ?')
+      params.push(curriculumId)
+    }
+    if (since) {
+      conditions.push('e.created_at >= ?')
+      params.push(since)
+    }
+    
+    const events = await env.DB.prepare(`
+      SELECT
+        e.id, e.progress_id, e.curriculum_id, e.learning_card_id,
+        lc.card_number, lc.card_title,
+        e.event_type, e.from_status, e.to_status,
+        e.understanding_level, e.help_type, e.actor_id, e.created_at
+      FROM student_progress_events e
+      LEFT JOIN learning_cards lc ON e.learning_card_id = lc.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.created_at, e.id
+      LIMIT 1000
+    `).bind(...params).all()
+    
+    return c.json({ success: true, events: events.results })
+  } catch (error: any) {
+    console.error('進捗履歴取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '進捗履歴の取得に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：振り返りAIフィードバック
-app.post('/api/ai/reflect', async (c) => {
-  const { env } = c
-  const body = await c.req.json()
-  const { reflections, type } = body  // type: 'hourly' or 'unit'
-  
-  const apiKey = env.GEMINI_API_KEY
-  
-  if (!apiKey) {
-    return c.json({ 
-      feedback: type === 'unit' 
-        ? '単元を最後まで学習できましたね！次の単元も楽しみです。'
-        : 'がんばりましたね！次回も楽しく学習しましょう。' 
-    })
-  }
-  
-  const promptText = type === 'unit' 
-    ? `あなたは小学生の学習を応援するAI先生です。子どもの単元全体の振り返りを読んで、成長を認め、次の学習への意欲を高めるメッセージを送ってください。
-
-【単元全体の振り返り】
-良かったこと: ${reflections.good || 'なし'}
-直したいこと: ${reflections.bad || 'なし'}
-わかったこと: ${reflections.learned || 'なし'}
-
-【フィードバックのルール】
-1. 単元全体を通しての成長を認める
-2. 良かったことを具体的に褒める
-3. 直したいことは次の目標として前向きに受け止める
-4. わかったことの価値を伝え、学びの喜びを共感する
-5. 次の単元への期待感を持たせる
-6. 小学生にわかりやすい言葉で
-7. 200文字以内で
+// ==============================================
+// ヘルプ待ちの列
+// ==============================================
 
-温かく励ますメッセージを書いてください。`
-    : `あなたは小学生の学習を応援するAI先生です。子どもの1時間の学習の振り返りを読んで、励ましとアドバイスをしてください。
+// ユーティリティ: 同じカードを終えていて、いま手のあいている友だち（今日教えた回数が少ない順）
+async function findPeerHelpers(db: D1Database, request: any, limit = 5) {
+  const peers = await db.prepare(`
+    SELECT
+      u.id, u.name, u.student_number, sp.completed_at,
+      (
+        SELECT COUNT(*) FROM help_requests h
+        WHERE h.helper_student_id = u.id AND h.resolution = 'peer'
+          AND h.resolved_at >= datetime('now', 'start of day')
+      ) as helped_today
+    FROM student_progress sp
+    JOIN users u ON sp.student_id = u.id
+    WHERE sp.learning_card_id = ? AND sp.status = 'completed'
+      AND u.class_code = ? AND u.role = 'student' AND u.is_active = 1 AND u.id <> ?
+      AND NOT EXISTS (
+        SELECT 1 FROM help_requests h WHERE h.helper_student_id = u.id AND h.status = 'peer_assigned'
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM student_progress mine WHERE mine.student_id = u.id AND mine.status = 'help_needed'
+      )
+    ORDER BY helped_today, sp.completed_at
+    LIMIT ?
+  `).bind(request.learning_card_id, request.class_code, request.student_id, limit).all()
+  
+  return peers.results as any[]
+}
 
-【振り返り内容】
-良かったこと: ${reflections.good || 'なし'}
-難しかったこと: ${reflections.bad || 'なし'}
-わかったこと: ${reflections.learned || 'なし'}
+// ユーティリティ: 列が変わったことをクラスの先生に配信（ほかの先生の画面でも「対応中」がわかる）
+async function publishHelpQueueUpdate(c: any, requestId: number | string) {
+  const request: any = await c.env.DB.prepare(`
+    SELECT
+      h.id, h.class_code, h.student_id, h.status, h.claimed_by, t.name as claimed_by_name,
+      h.helper_student_id, p.name as helper_name
+    FROM help_requests h
+    LEFT JOIN users t ON h.claimed_by = t.id
+    LEFT JOIN users p ON h.helper_student_id = p.id
+    WHERE h.id = ?
+  `).bind(requestId).first()
+  
+  if (request) {
+    await runInBackground(c, publishRealtime(c, request.class_code, 'help_queue_updated', {
+      requestId: request.id,
+      studentId: request.student_id,
+      status: request.status,
+      claimedBy: request.claimed_by,
+      claimedByName: request.claimed_by_name,
+      helperStudentId: request.helper_student_id,
+      helperName: request.helper_name
+    }, 'teacher'))
+  }
+}
 
-【フィードバックのルール】
-1. 必ず励ましの言葉から始める
-2. 良かったことを具体的に褒める
-3. 難しかったことには共感し、次へのヒントを出す
-4. わかったことの素晴らしさを伝える
-5. 次の学習への意欲が湧く言葉で締める
-6. 小学生にわかりやすい言葉で
-7. 150文字以内で簡潔に
+// ユーティリティ: 友だちに任せる（任せた友だちと要請した児童の両方に知らせる）
+// 待っている・先生が対応中の要請だけを任せられる。任せられなかったら false
+async function assignPeerHelper(c: any, request: any, helper: any): Promise<boolean> {
+  const { env } = c
+  
+  const assigned = await env.DB.prepare(`
+    UPDATE help_requests
+    SET status = 'peer_assigned', helper_student_id = ?, assigned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN ('waiting', 'claimed')
+  `).bind(helper.id, request.id).run()
+  
+  if (assigned.meta.changes === 0) {
+    return false
+  }
+  
+  const detail: any = await env.DB.prepare(`
+    SELECT u.name as student_name, lc.card_title
+    FROM help_requests h
+    JOIN users u ON h.student_id = u.id
+    JOIN learning_cards lc ON h.learning_card_id = lc.id
+    WHERE h.id = ?
+  `).bind(request.id).first()
+  
+  await runInBackground(c, publishRealtime(c, request.class_code, 'peer_help_assigned', {
+    requestId: request.id,
+    role: 'helper',
+    studentName: detail?.student_name,
+    cardTitle: detail?.card_title
+  }, null, helper.id))
+  await runInBackground(c, publishRealtime(c, request.class_code, 'peer_help_assigned', {
+    requestId: request.id,
+    role: 'requester',
+    helperName: helper.name,
+    cardTitle: detail?.card_title
+  }, null, request.student_id))
+  await publishHelpQueueUpdate(c, request.id)
+  
+  return true
+}
 
-フィードバックしてください。`
+// APIルート：クラスのヘルプ待ちの列（指導介入優先度・待ち時間の順）
+app.get('/api/help-queue/class/:classCode', async (c) => {
+  const { env } = c
+  const classCode = c.req.param('classCode')
+  const curriculumIds = (c.req.query('curriculumIds') || '')
+    .split(',').map(Number).filter(id => Number.isInteger(id) && id > 0)
   
   try {
-    const geminiResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: promptText
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.8,
-            maxOutputTokens: type === 'unit' ? 300 : 200,
-          }
-        })
-      }
-    )
-    
-    const geminiData = await geminiResponse.json()
-    
-    if (!geminiResponse.ok) {
-      throw new Error('Gemini API error')
-    }
-    
-    const feedback = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || 
-                     (type === 'unit' 
-                       ? '単元をしっかり学習できました！次の単元も楽しみです！'
-                       : 'よくがんばりました！次回も楽しく学習しましょう。')
-    
-    return c.json({ feedback })
-    
-  } catch (error) {
-    console.error('AI reflection error:', error)
-    return c.json({ 
-      feedback: 'すばらしい振り返りですね！これからも一緒にがんばりましょう！' 
-    })
+    const requests = await env.DB.prepare(`
+      SELECT
+        h.id, h.student_id, u.name as student_name, u.student_number,
+        h.curriculum_id, h.learning_card_id, lc.card_number, lc.card_title, h.help_type,
+        h.status, h.claimed_by, t.name as claimed_by_name, h.claimed_at,
+        h.helper_student_id, p.name as helper_name, h.assigned_at, h.requested_at,
+        sp.status as progress_status, sp.understanding_level,
+        sp.help_requested_at, sp.help_resolved_at, sp.last_activity_at
+      FROM help_requests h
+      JOIN users u ON h.student_id = u.id
+      JOIN learning_cards lc ON h.learning_card_id = lc.id
+      JOIN student_progress sp ON h.progress_id = sp.id
+      LEFT JOIN users t ON h.claimed_by = t.id
+      LEFT JOIN users p ON h.helper_student_id = p.id
+      WHERE h.class_code = ? AND h.status IN ('waiting', 'claimed', 'peer_assigned')
+        ${curriculumIds.length > 0 ? `AND h.curriculum_id IN (${curriculumIds.map(() => '?').join(',')})` : ''}
+    `).bind(classCode, ...curriculumIds).all()
+    
+    const now = Date.now()
+    const queue = orderHelpQueue(requests.results as any[], now)
+    
+    return c.json({ success: true, requests: queue, timestamp: new Date(now).toISOString() })
+  } catch (error: any) {
+    console.error('ヘルプ待ち一覧取得エラー:', error)
+    return c.json({
+      success: false,
+      error: 'ヘルプ待ちの取得に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：全解答取得（解答タブ用）
-app.get('/api/answers/curriculum/:curriculumId', async (c) => {
+// APIルート：ヘルプ要請を任せられる友だち（同じカードを終えた児童）
+app.get('/api/help-queue/:id/peers', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('curriculumId')
+  const requestId = c.req.param('id')
   
   try {
-    // コースと学習カードの解答
-    const cardAnswers = await env.DB.prepare(`
-      SELECT 
-        c.course_display_name,
-        c.course_level,
-        lc.card_number,
-        lc.card_title,
-        lc.card_type,
-        a.answer_content,
-        a.explanation
-      FROM courses c
-      JOIN learning_cards lc ON c.id = lc.course_id
-      LEFT JOIN answers a ON lc.id = a.learning_card_id
-      WHERE c.curriculum_id = ?
-      ORDER BY c.course_level, lc.card_number
-    `).bind(curriculumId).all()
-    
-    // 選択問題の解答
-    const optionalAnswers = await env.DB.prepare(`
-      SELECT 
-        op.problem_number,
-        op.problem_title,
-        op.problem_description,
-        op.learning_meaning,
-        a.answer_content,
-        a.explanation
-      FROM optional_problems op
-      LEFT JOIN answers a ON op.id = a.optional_problem_id
-      WHERE op.curriculum_id = ?
-      ORDER BY op.problem_number
-    `).bind(curriculumId).all()
+    const request: any = await env.DB.prepare(`SELECT * FROM help_requests WHERE id = ?`).bind(requestId).first()
+    if (!request || !canAccessClass(c.get('user'), request.class_code)) {
+      return c.json({ error: 'ヘルプ要請が見つかりません' }, 404)
+    }
     
+    return c.json({ success: true, peers: await findPeerHelpers(env.DB, request) })
+  } catch (error: any) {
+    console.error('友だち候補取得エラー:', error)
     return c.json({
-      cardAnswers: cardAnswers.results,
-      optionalAnswers: optionalAnswers.results
-    })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+      success: false,
+      error: '友だちの候補の取得に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：カスタムコンテンツ保存
-app.post('/api/custom/content', async (c) => {
+// APIルート：ヘルプ要請に対応する（先生）・対応をやめる
+app.post('/api/help-queue/:id/:action{claim|release}', async (c) => {
   const { env } = c
-  const body = await c.req.json()
+  const user: SessionUser = c.get('user')
+  const requestId = c.req.param('id')
+  const action = c.req.param('action')
   
   try {
-    const result = await env.DB.prepare(`
-      INSERT INTO custom_content 
-        (teacher_id, original_learning_card_id, original_optional_problem_id, 
-         content_type, custom_data)
-      VALUES (?, ?, ?, ?, ?)
-    `).bind(
-      body.teacher_id,
-      body.original_learning_card_id || null,
-      body.original_optional_problem_id || null,
-      body.content_type,
-      JSON.stringify(body.custom_data)
-    ).run()
-    
-    return c.json({ success: true, id: result.meta.last_row_id })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    const request: any = await env.DB.prepare(`SELECT * FROM help_requests WHERE id = ?`).bind(requestId).first()
+    if (!request || !canAccessClass(user, request.class_code)) {
+      return c.json({ error: 'ヘルプ要請が見つかりません' }, 404)
+    }
+    
+    // 対応は同時にひとりだけ。やめられるのは対応している本人（管理者はだれの分でも）
+    const result = action === 'claim'
+      ? await env.DB.prepare(`
+          UPDATE help_requests
+          SET status = 'claimed', claimed_by = ?, claimed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND (status = 'waiting' OR (status = 'claimed' AND claimed_by = ?))
+        `).bind(user.id, requestId, user.id).run()
+      : await env.DB.prepare(`
+          UPDATE help_requests
+          SET status = 'waiting', claimed_by = NULL, claimed_at = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'claimed' AND (claimed_by = ? OR ? = 'admin')
+        `).bind(requestId, user.id, user.role).run()
+    
+    if (result.meta.changes === 0) {
+      const current: any = await env.DB.prepare(`
+        SELECT h.status, t.name as claimed_by_name
+        FROM help_requests h LEFT JOIN users t ON h.claimed_by = t.id
+        WHERE h.id = ?
+      `).bind(requestId).first()
+      const error = current.status === 'resolved' ? 'このヘルプ要請は解決済みです'
+        : current.status === 'peer_assigned' ? 'このヘルプ要請は友だちに任せています'
+        : current.status === 'claimed' ? `${current.claimed_by_name}先生が対応中です`
+        : 'このヘルプ要請はだれも対応していません'
+      return c.json({ success: false, error, status: current.status, claimedByName: current.claimed_by_name }, 409)
+    }
+    
+    await publishHelpQueueUpdate(c, requestId)
+    
+    return c.json({ success: true, status: action === 'claim' ? 'claimed' : 'waiting' })
+  } catch (error: any) {
+    console.error('ヘルプ対応エラー:', error)
+    return c.json({
+      success: false,
+      error: 'ヘルプ要請の更新に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：カスタムコンテンツ取得
-app.get('/api/custom/content/:teacherId', async (c) => {
+// APIルート：ヘルプ要請を友だちに任せる（helper_student_id 省略時は候補の先頭）
+app.post('/api/help-queue/:id/assign-peer', async (c) => {
   const { env } = c
-  const teacherId = c.req.param('teacherId')
+  const requestId = c.req.param('id')
+  const body = await c.req.json().catch(() => ({}))
   
   try {
-    const customContent = await env.DB.prepare(`
-      SELECT * FROM custom_content
-      WHERE teacher_id = ?
-      ORDER BY created_at DESC
-    `).bind(teacherId).all()
+    const request: any = await env.DB.prepare(`SELECT * FROM help_requests WHERE id = ?`).bind(requestId).first()
+    if (!request || !canAccessClass(c.get('user'), request.class_code)) {
+      return c.json({ error: 'ヘルプ要請が見つかりません' }, 404)
+    }
     
-    // JSON文字列をパース
-    const parsed = customContent.results.map(item => ({
-      ...item,
-      custom_data: JSON.parse(item.custom_data)
-    }))
+    const peers = await findPeerHelpers(env.DB, request, 50)
+    const helper = body.helper_student_id
+      ? peers.find(peer => peer.id === Number(body.helper_student_id))
+      : peers[0]
+    if (!helper) {
+      return c.json({ success: false, error: body.helper_student_id ? 'この児童には任せられません' : '任せられる友だちがいません' }, 409)
+    }
     
-    return c.json(parsed)
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    if (!(await assignPeerHelper(c, request, helper))) {
+      return c.json({ success: false, error: 'このヘルプ要請は友だちに任せられない状態です' }, 409)
+    }
+    
+    return c.json({ success: true, helper: { id: helper.id, name: helper.name } })
+  } catch (error: any) {
+    console.error('友だち割り当てエラー:', error)
+    return c.json({
+      success: false,
+      error: '友だちへの割り当てに失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：評価保存
-app.post('/api/evaluations', async (c) => {
+// APIルート：週次レポート（date を含む月曜〜日曜。startDate / endDate で任意の期間）
+app.get('/api/reports/weekly/:classCode', async (c) => {
   const { env } = c
-  const body = await c.req.json()
+  const classCode = c.req.param('classCode')
   
   try {
-    const result = await env.DB.prepare(`
-      INSERT INTO evaluations 
-        (student_id, curriculum_id, knowledge_skill, 
-         thinking_judgment_expression, attitude_toward_learning, 
-         non_cognitive_evaluation, teacher_comment)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      body.student_id,
-      body.curriculum_id,
-      body.knowledge_skill,
-      body.thinking_judgment_expression,
-      body.attitude_toward_learning,
-      body.non_cognitive_evaluation,
-      body.teacher_comment
-    ).run()
+    const { period, error } = resolveReportPeriod('weekly', c.req.query())
+    if (error) {
+      return c.json({ success: false, error }, 400)
+    }
     
-    return c.json({ success: true, id: result.meta.last_row_id })
+    const report = await buildClassReport(env.DB, classCode, period)
+    
+    return c.json({ success: true, class_code: classCode, ...report })
   } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    console.error('週次レポートエラー:', error)
+    return c.json({ 
+      success: false, 
+      error: '週次レポートの生成に失敗しました',
+      details: error.message 
+    }, 500)
   }
 })
 
-// APIルート：評価取得
-app.get('/api/evaluations/student/:studentId/curriculum/:curriculumId', async (c) => {
+// APIルート：月次レポート（year / month。省略時は今月）
+app.get('/api/reports/monthly/:classCode', async (c) => {
   const { env } = c
-  const studentId = c.req.param('studentId')
-  const curriculumId = c.req.param('curriculumId')
+  const classCode = c.req.param('classCode')
   
   try {
-    const evaluation = await env.DB.prepare(`
-      SELECT e.*, u.name as student_name
-      FROM evaluations e
-      JOIN users u ON e.student_id = u.id
-      WHERE e.student_id = ? AND e.curriculum_id = ?
-      ORDER BY e.created_at DESC
-      LIMIT 1
-    `).bind(studentId, curriculumId).first()
+    const { period, error } = resolveReportPeriod('monthly', c.req.query())
+    if (error) {
+      return c.json({ success: false, error }, 400)
+    }
     
-    return c.json(evaluation)
+    const report = await buildClassReport(env.DB, classCode, period)
+    
+    return c.json({ success: true, class_code: classCode, ...report })
   } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
-  }
-})
-
-// APIルート：学習計画取得
-app.get('/api/learning-plan/:studentId/:curriculumId', async (c) => {
-  const { env } = c
-  const studentId = c.req.param('studentId')
-  const curriculumId = c.req.param('curriculumId')
-  
-  try {
-    const plans = await env.DB.prepare(`
-      SELECT * FROM learning_plans
-      WHERE student_id = ? AND curriculum_id = ?
-      ORDER BY planned_date ASC
-    `).bind(studentId, curriculumId).all()
-    
-    return c.json({ plans: plans.results })
-  } catch (error) {
-    console.error('学習計画取得エラー:', error)
-    return c.json({ error: 'Database error' }, 500)
+    console.error('月次レポートエラー:', error)
+    return c.json({ 
+      success: false, 
+      error: '月次レポートの生成に失敗しました',
+      details: error.message 
+    }, 500)
   }
 })
 
-// APIルート：学習計画保存
-app.post('/api/learning-plan/save', async (c) => {
-  const { env } = c
-  const body = await c.req.json()
-  const { student_id, curriculum_id, total_hours, plans, unit_reflection } = body
+// ==============================================
+// PDF出力（学習のてびき・進捗一覧・個人レポート）
+// ==============================================
+
+const PDF_HELP_TYPE_LABELS: Record<string, string> = { ai: 'AI', teacher: '先生', friend: '友達', hint: 'ヒント' }
+
+const PDF_CHECK_TEST_STATUS_LABELS: Record<string, string> = {
+  not_started: '未実施',
+  in_progress: '取組中',
+  completed: '合格',
+  failed: '再挑戦'
+}
+
+// PDF用フォント（静的ファイルから読み込み、同じインスタンスでは使い回す）
+let pdfFontBytes: Promise<ArrayBuffer> | null = null
+
+function loadPdfFont(c: any): Promise<ArrayBuffer> {
+  if (!pdfFontBytes) {
+    const url = new URL(PDF_FONT_PATH, c.req.url)
+    const assets: Fetcher | undefined = c.env.ASSETS
+    pdfFontBytes = (assets ? assets.fetch(url) : fetch(url))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`フォントを読み込めません（${response.status}）`)
+        }
+        return response.arrayBuffer()
+      })
+      .catch(error => {
+        pdfFontBytes = null
+        throw error
+      })
+  }
+  return pdfFontBytes
+}
+
+function pdfResponse(c: any, bytes: Uint8Array, filename: string) {
+  return c.body(bytes, 200, {
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="report.pdf"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    'Cache-Control': 'private, no-store'
+  })
+}
+
+function formatPdfDate(value: string | null | undefined): string {
+  return value ? String(value).slice(0, 10) : ''
+}
+
+// 学習のてびき
+function renderGuidePdf(pdf: PdfBuilder, guide: CurriculumGuide) {
+  const curriculum = guide.curriculum
+  pdf.heading(`${curriculum.grade} ${curriculum.subject}「${curriculum.unit_name}」学習のてびき`)
+  pdf.field('教科書', curriculum.textbook_company)
+  pdf.field('時数', curriculum.total_hours ? `${curriculum.total_hours}時間` : null)
+  pdf.field('単元の目標', curriculum.unit_goal)
+  pdf.field('めざす姿', curriculum.non_cognitive_goal)
   
-  try {
-    // 既存の計画を削除
-    await env.DB.prepare(`
-      DELETE FROM learning_plans 
-      WHERE student_id = ? AND curriculum_id = ?
-    `).bind(student_id, curriculum_id).run()
-    
-    // 既存の単元振り返りを削除
-    await env.DB.prepare(`
-      DELETE FROM unit_reflections 
-      WHERE student_id = ? AND curriculum_id = ?
-    `).bind(student_id, curriculum_id).run()
-    
-    // 新しい計画を保存
-    for (const plan of plans) {
-      await env.DB.prepare(`
-        INSERT INTO learning_plans (
-          student_id, 
-          curriculum_id,
-          hour_number,
-          subject,
-          planned_date,
-          learning_content,
-          reflection_good, 
-          reflection_bad, 
-          reflection_learned,
-          ai_feedback
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).bind(
-        student_id,
-        curriculum_id,
-        plan.hour_number,
-        plan.subject,
-        plan.planned_date || null,
-        plan.learning_content || '',
-        plan.reflection_good || '',
-        plan.reflection_bad || '',
-        plan.reflection_learned || '',
-        plan.ai_feedback || null
-      ).run()
+  for (const course of guide.courses) {
+    pdf.heading(`${course.course_display_name || course.course_name}${course.course_label ? `（${course.course_label}）` : ''}`, 2)
+    pdf.paragraph(course.description, { color: PDF_COLORS.muted })
+    if (course.introduction_problem) {
+      pdf.field('導入問題', course.introduction_problem.problem_content || course.introduction_problem.problem_title)
     }
     
-    // 単元全体の振り返りを保存
-    if (unit_reflection && (unit_reflection.good || unit_reflection.bad || unit_reflection.learned)) {
-      await env.DB.prepare(`
-        INSERT INTO unit_reflections (
-          student_id, 
-          curriculum_id,
-          reflection_good, 
-          reflection_bad, 
-          reflection_learned
-        ) VALUES (?, ?, ?, ?, ?)
-      `).bind(
-        student_id,
-        curriculum_id,
-        unit_reflection.good || '',
-        unit_reflection.bad || '',
-        unit_reflection.learned || ''
-      ).run()
+    for (const card of course.cards) {
+      pdf.heading(`カード${card.card_number}　${card.card_title}${card.textbook_page ? `（${card.textbook_page}）` : ''}`, 3)
+      pdf.paragraph(card.problem_description, { indent: 8 })
+      pdf.field('新しい言葉', card.new_terms, { indent: 8, size: 9.5, labelWidth: 90 })
+      pdf.field('例題', card.example_problem, { indent: 8, size: 9.5, labelWidth: 90 })
+      pdf.field('生活とのつながり', card.real_world_connection, { indent: 8, size: 9.5, labelWidth: 90 })
     }
-    
-    return c.json({ success: true })
-  } catch (error) {
-    console.error('学習計画保存エラー:', error)
-    return c.json({ error: 'Database error', details: error.message }, 500)
   }
-})
-
-// APIルート：学習環境デザイン取得
-app.get('/api/environment/:curriculumId', async (c) => {
-  const { env } = c
-  const curriculumId = c.req.param('curriculumId')
   
-  try {
-    const environments = await env.DB.prepare(`
-      SELECT * FROM learning_environment
-      WHERE curriculum_id = ?
-      ORDER BY category, id
-    `).bind(curriculumId).all()
-    
-    return c.json(environments.results)
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+  if (guide.optionalProblems.length > 0) {
+    pdf.heading('選択問題', 2)
+    for (const problem of guide.optionalProblems) {
+      pdf.heading(`${problem.problem_number}. ${problem.problem_title}`, 3)
+      pdf.paragraph(problem.problem_description || problem.problem_content, { indent: 8 })
+      pdf.field('学ぶ意味', problem.learning_meaning, { indent: 8, size: 9.5, labelWidth: 90 })
+    }
   }
-})
+}
 
-// ==================== Phase 5: 先生カスタマイズモード API ====================
+// 個人レポートの材料（複数の児童分をまとめて1つのバッチで取得する）
+async function collectStudentReports(db: D1Database, studentIds: any[], curriculumId: any) {
+  const ids = studentIds.map(id => Number(id)).filter(id => Number.isInteger(id))
+  if (ids.length === 0) {
+    return []
+  }
+  const inList = ids.map(() => '?').join(',')
+  
+  const [students, curriculum, cards, checkTests, optional, helps, reflections, unitReflections, badges] = await db.batch([
+    db.prepare(`SELECT id, name, student_number, class_code FROM users WHERE id IN (${inList}) AND role = 'student'`).bind(...ids),
+    db.prepare(`SELECT id, grade, subject, unit_name FROM curriculum WHERE id = ?`).bind(curriculumId),
+    db.prepare(`
+      SELECT
+        u.id as student_id, co.course_display_name, co.course_level, lc.card_number, lc.card_title,
+        sp.status, sp.understanding_level, sp.help_type, sp.completed_at
+      FROM users u
+      JOIN courses co ON co.curriculum_id = ?
+      JOIN learning_cards lc ON lc.course_id = co.id
+      LEFT JOIN student_progress sp ON sp.learning_card_id = lc.id AND sp.student_id = u.id
+      WHERE u.id IN (${inList})
+      ORDER BY CASE co.course_level WHEN 'basic' THEN 1 WHEN 'standard' THEN 2 WHEN 'advanced' THEN 3 END, lc.card_number
+    `).bind(curriculumId, ...ids),
+    db.prepare(`
+      SELECT student_id, problem_number, status, attempts, first_attempt_correct, completed_at FROM check_test_progress
+      WHERE student_id IN (${inList}) AND curriculum_id = ?
+      ORDER BY problem_number
+    `).bind(...ids, curriculumId),
+    db.prepare(`
+      SELECT opp.student_id, op.problem_number, op.problem_title, opp.status, opp.completed_at
+      FROM optional_problem_progress opp
+      JOIN optional_problems op ON opp.optional_problem_id = op.id
+      WHERE opp.student_id IN (${inList}) AND opp.curriculum_id = ?
+      ORDER BY op.problem_number
+    `).bind(...ids, curriculumId),
+    db.prepare(`
+      SELECT student_id, help_type, COUNT(DISTINCT learning_card_id) as count FROM student_progress_events
+      WHERE student_id IN (${inList}) AND curriculum_id = ? AND help_type IS NOT NULL
+      GROUP BY student_id, help_type
+    `).bind(...ids, curriculumId),
+    db.prepare(`
+      SELECT student_id, hour_number, reflection_good, reflection_bad, reflection_learned
+      FROM learning_plans
+      WHERE student_id IN (${inList}) AND curriculum_id = ?
+        AND (reflection_good != '' OR reflection_bad != '' OR reflection_learned != '')
+      ORDER BY hour_number
+    `).bind(...ids, curriculumId),
+    db.prepare(`
+      SELECT student_id, reflection_good, reflection_bad, reflection_learned FROM unit_reflections
+      WHERE student_id IN (${inList}) AND curriculum_id = ?
+      ORDER BY created_at DESC
+    `).bind(...ids, curriculumId),
+    db.prepare(`
+      SELECT student_id, badge_name, earned_at FROM student_badges
+      WHERE student_id IN (${inList}) AND curriculum_id = ?
+      ORDER BY earned_at
+    `).bind(...ids, curriculumId)
+  ])
+  
+  const rowsOf = (result: D1Result, studentId: number) =>
+    (result.results as any[]).filter(row => Number(row.student_id) === studentId)
+  const studentRows = new Map((students.results as any[]).map(row => [Number(row.id), row]))
+  
+  // 引数の順に返す（見つからない児童は student が undefined）
+  return ids.map(id => ({
+    student: studentRows.get(id),
+    curriculum: curriculum.results[0] as any,
+    cards: rowsOf(cards, id),
+    checkTests: rowsOf(checkTests, id),
+    optional: rowsOf(optional, id),
+    helpCounts: Object.fromEntries(rowsOf(helps, id).map(row => [row.help_type, row.count])),
+    reflections: rowsOf(reflections, id),
+    unitReflection: rowsOf(unitReflections, id)[0],
+    badges: rowsOf(badges, id)
+  }))
+}
 
-// APIルート：3観点評価取得
-app.get('/api/evaluations/three-point/student/:studentId/curriculum/:curriculumId', async (c) => {
+type StudentReport = Awaited<ReturnType<typeof collectStudentReports>>[number]
+
+function renderStudentReportPdf(pdf: PdfBuilder, report: StudentReport) {
+  const { student, curriculum } = report
+  const completed = report.cards.filter(card => card.status === 'completed')
+  const levels = completed.map(card => card.understanding_level).filter(level => level != null)
+  
+  const fieldOptions = { labelWidth: 100 }
+  
+  pdf.heading(`${student.name}さんの学習の記録`)
+  pdf.field('単元', `${curriculum.grade} ${curriculum.subject}「${curriculum.unit_name}」`, fieldOptions)
+  pdf.field('クラス・番号', `${student.class_code}　${student.student_number ?? ''}番`, fieldOptions)
+  pdf.field('できたカード', `${completed.length} / ${report.cards.length}枚`, fieldOptions)
+  pdf.field('分かった度の平均', levels.length ? `${(levels.reduce((a, b) => a + b, 0) / levels.length).toFixed(1)}（5段階）` : 'なし', fieldOptions)
+  pdf.field('使ったヘルプ', Object.entries(report.helpCounts)
+    .map(([type, count]) => `${PDF_HELP_TYPE_LABELS[type] || type} ${count}回`).join('、') || 'なし', fieldOptions)
+  pdf.field('バッジ', report.badges.map(badge => badge.badge_name).join('、') || 'なし', fieldOptions)
+  
+  pdf.heading('学習カード', 2)
+  pdf.table([
+    { header: 'コース', width: 0.2 },
+    { header: 'No.', width: 0.07, align: 'center' },
+    { header: 'カード', width: 0.35 },
+    { header: '状態', width: 0.12, align: 'center' },
+    { header: '分かった度', width: 0.11, align: 'center' },
+    { header: '完了日', width: 0.15, align: 'center' }
+  ], report.cards.map(card => [
+    card.course_display_name,
+    card.card_number,
+    card.card_title,
+    PROGRESS_STATUS_LABELS[(card.status || 'not_started') as ProgressStatus],
+    card.understanding_level,
+    formatPdfDate(card.completed_at)
+  ]))
+  
+  if (report.checkTests.length > 0) {
+    pdf.heading('チェックテスト', 2)
+    pdf.table([
+      { header: '問題', width: 0.15, align: 'center' },
+      { header: '結果', width: 0.25, align: 'center' },
+      { header: '1回目', width: 0.15, align: 'center' },
+      { header: '挑戦回数', width: 0.2, align: 'center' },
+      { header: '合格日', width: 0.25, align: 'center' }
+    ], report.checkTests.map(test => [
+      `${test.problem_number}`,
+      PDF_CHECK_TEST_STATUS_LABELS[test.status] || test.status,
+      test.first_attempt_correct === 1 ? '○' : test.first_attempt_correct === 0 ? '×' : '',
+      test.attempts,
+      formatPdfDate(test.completed_at)
+    ]))
+  }
+  
+  if (report.optional.length > 0) {
+    pdf.heading('選択問題', 2)
+    pdf.table([
+      { header: '問題', width: 0.6 },
+      { header: '状態', width: 0.2, align: 'center' },
+      { header: '完了日', width: 0.2, align: 'center' }
+    ], report.optional.map(problem => [
+      `${problem.problem_number}. ${problem.problem_title}`,
+      PROGRESS_STATUS_LABELS[problem.status as ProgressStatus] || problem.status,
+      formatPdfDate(problem.completed_at)
+    ]))
+  }
+  
+  if (report.reflections.length > 0 || report.unitReflection) {
+    pdf.heading('振り返り', 2)
+    for (const reflection of report.reflections) {
+      pdf.heading(`${reflection.hour_number}時間目`, 3)
+      pdf.field('よかった', reflection.reflection_good, { indent: 8, labelWidth: 90 })
+      pdf.field('むずかしかった', reflection.reflection_bad, { indent: 8, labelWidth: 90 })
+      pdf.field('わかった', reflection.reflection_learned, { indent: 8, labelWidth: 90 })
+    }
+    if (report.unitReflection) {
+      pdf.heading('単元の振り返り', 3)
+      pdf.field('よかった', report.unitReflection.reflection_good, { indent: 8, labelWidth: 90 })
+      pdf.field('むずかしかった', report.unitReflection.reflection_bad, { indent: 8, labelWidth: 90 })
+      pdf.field('わかった', report.unitReflection.reflection_learned, { indent: 8, labelWidth: 90 })
+    }
+  }
+}
+
+// APIルート：学習のてびきのPDF
+app.get('/api/pdf/curriculum/:id', async (c) => {
   const { env } = c
-  const studentId = c.req.param('studentId')
-  const curriculumId = c.req.param('curriculumId')
   
   try {
-    const evaluation = await env.DB.prepare(`
-      SELECT e.*, u.name as student_name
-      FROM three_point_evaluations e
-      JOIN users u ON e.student_id = u.id
-      WHERE e.student_id = ? AND e.curriculum_id = ?
-      ORDER BY e.created_at DESC
-      LIMIT 1
-    `).bind(studentId, curriculumId).first()
+    const guide = await loadCurriculumGuide(env.DB, c.req.param('id'))
+    if (!guide) {
+      return c.json({ success: false, error: 'カリキュラムが見つかりません' }, 404)
+    }
     
-    return c.json(evaluation || {})
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    const title = `学習のてびき_${guide.curriculum.unit_name}`
+    const pdf = await PdfBuilder.create(await loadPdfFont(c), title)
+    renderGuidePdf(pdf, guide)
+    
+    return pdfResponse(c, await pdf.save(), `${title}.pdf`)
+  } catch (error: any) {
+    console.error('てびきPDF生成エラー:', error)
+    return c.json({
+      success: false,
+      error: '学習のてびきのPDF生成に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：3観点評価保存
-app.post('/api/evaluations/three-point', async (c) => {
+// APIルート：クラスの進捗一覧のPDF（単元ごと）
+app.get('/api/pdf/progress/class/:classCode', async (c) => {
   const { env } = c
-  const body = await c.req.json()
+  const classCode = c.req.param('classCode')
+  const curriculumId = c.req.query('curriculumId')
   
   try {
-    const result = await env.DB.prepare(`
-      INSERT INTO three_point_evaluations (
-        student_id, curriculum_id,
-        knowledge_skill, knowledge_skill_comment,
-        thinking_judgment, thinking_judgment_comment,
-        attitude, attitude_comment,
-        overall_comment
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      body.student_id,
-      body.curriculum_id,
-      body.knowledge_skill || '',
-      body.knowledge_skill_comment || '',
-      body.thinking_judgment || '',
-      body.thinking_judgment_comment || '',
-      body.attitude || '',
-      body.attitude_comment || '',
-      body.overall_comment || ''
-    ).run()
-    
-    return c.json({ success: true, id: result.meta.last_row_id })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    const curriculum: any = await env.DB.prepare(`
+      SELECT id, grade, subject, unit_name FROM curriculum WHERE id = ?
+    `).bind(curriculumId ?? null).first()
+    if (!curriculum) {
+      return c.json({ success: false, error: 'curriculumId で単元を指定してください' }, 400)
+    }
+    
+    const [students, totals] = await env.DB.batch([
+      env.DB.prepare(`
+        SELECT
+          u.name, u.student_number,
+          COUNT(CASE WHEN sp.status = 'completed' THEN 1 END) as completed_cards,
+          ROUND(AVG(CASE WHEN sp.status = 'completed' THEN sp.understanding_level END), 1) as avg_understanding,
+          MAX(sp.status = 'help_needed') as help_needed,
+          MAX(sp.last_activity_at) as last_activity_at,
+          (SELECT COUNT(*) FROM check_test_progress ctp
+           WHERE ctp.student_id = u.id AND ctp.curriculum_id = ?1 AND ctp.status = 'completed') as check_tests_passed,
+          (SELECT COUNT(*) FROM check_test_progress ctp
+           WHERE ctp.student_id = u.id AND ctp.curriculum_id = ?1 AND ctp.first_attempt_correct = 1) as check_tests_first_correct,
+          (SELECT COUNT(*) FROM optional_problem_progress opp
+           WHERE opp.student_id = u.id AND opp.curriculum_id = ?1 AND opp.status = 'completed') as optional_completed
+        FROM users u
+        LEFT JOIN student_progress sp ON sp.student_id = u.id AND sp.curriculum_id = ?1
+        WHERE u.class_code = ?2 AND u.role = 'student'
+        GROUP BY u.id
+        ORDER BY u.student_number
+      `).bind(curriculum.id, classCode),
+      env.DB.prepare(`
+        SELECT COUNT(*) as cards FROM learning_cards lc
+        JOIN courses co ON lc.course_id = co.id
+        WHERE co.curriculum_id = ?
+      `).bind(curriculum.id)
+    ])
+    
+    const title = `進捗一覧_${classCode}_${curriculum.unit_name}`
+    const pdf = await PdfBuilder.create(await loadPdfFont(c), title, { landscape: true })
+    pdf.heading(`${curriculum.grade} ${curriculum.subject}「${curriculum.unit_name}」進捗一覧`)
+    pdf.field('クラス', classCode)
+    pdf.field('出力日時', new Date(Date.now() + 9 * 60 * 60 * 1000).toISOString().slice(0, 16).replace('T', ' '))
+    pdf.spacer()
+    pdf.table([
+      { header: 'No.', width: 0.06, align: 'center' },
+      { header: '氏名', width: 0.2 },
+      { header: 'カード（3コース合計）', width: 0.16, align: 'center' },
+      { header: '分かった度', width: 0.1, align: 'center' },
+      { header: 'チェックテスト', width: 0.12, align: 'center' },
+      { header: '選択問題', width: 0.1, align: 'center' },
+      { header: 'ヘルプ', width: 0.08, align: 'center' },
+      { header: '最終活動', width: 0.18, align: 'center' }
+    ], (students.results as any[]).map(student => [
+      student.student_number,
+      student.name,
+      `${student.completed_cards} / ${(totals.results[0] as any).cards}`,
+      student.avg_understanding,
+      `${student.check_tests_passed}問合格（1回目${student.check_tests_first_correct}問）`,
+      `${student.optional_completed}題`,
+      student.help_needed ? '要請中' : '',
+      student.last_activity_at ? String(student.last_activity_at).slice(0, 16) : ''
+    ]))
+    
+    return pdfResponse(c, await pdf.save(), `${title}.pdf`)
+  } catch (error: any) {
+    console.error('進捗PDF生成エラー:', error)
+    return c.json({
+      success: false,
+      error: '進捗一覧のPDF生成に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：3観点評価更新
-app.put('/api/evaluations/three-point/:id', async (c) => {
+// APIルート：児童の個人レポートのPDF
+app.get('/api/pdf/students/:studentId/report', async (c) => {
   const { env } = c
-  const id = c.req.param('id')
-  const body = await c.req.json()
   
   try {
-    await env.DB.prepare(`
-      UPDATE three_point_evaluations SET
-        knowledge_skill = ?,
-        knowledge_skill_comment = ?,
-        thinking_judgment = ?,
-        thinking_judgment_comment = ?,
-        attitude = ?,
-        attitude_comment = ?,
-        overall_comment = ?,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).bind(
-      body.knowledge_skill || '',
-      body.knowledge_skill_comment || '',
-      body.thinking_judgment || '',
-      body.thinking_judgment_comment || '',
-      body.attitude || '',
-      body.attitude_comment || '',
-      body.overall_comment || '',
-      id
-    ).run()
+    const [report] = await collectStudentReports(env.DB, [c.req.param('studentId')], c.req.query('curriculumId') ?? null)
+    if (!report?.student || !report.curriculum) {
+      return c.json({ success: false, error: '児童または単元が見つかりません' }, 404)
+    }
     
-    return c.json({ success: true })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    const title = `個人レポート_${report.student.name}_${report.curriculum.unit_name}`
+    const pdf = await PdfBuilder.create(await loadPdfFont(c), title)
+    renderStudentReportPdf(pdf, report)
+    
+    return pdfResponse(c, await pdf.save(), `${title}.pdf`)
+  } catch (error: any) {
+    console.error('個人レポートPDF生成エラー:', error)
+    return c.json({
+      success: false,
+      error: '個人レポートのPDF生成に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：非認知能力評価取得
-app.get('/api/evaluations/non-cognitive/student/:studentId/curriculum/:curriculumId', async (c) => {
+// APIルート：クラス全員の個人レポートを1つのPDFに（一人ずつ改ページ）
+app.get('/api/pdf/class/:classCode/student-reports', async (c) => {
   const { env } = c
-  const studentId = c.req.param('studentId')
-  const curriculumId = c.req.param('curriculumId')
+  const classCode = c.req.param('classCode')
+  const curriculumId = c.req.query('curriculumId') ?? null
   
   try {
-    const evaluation = await env.DB.prepare(`
-      SELECT e.*, u.name as student_name
-      FROM non_cognitive_evaluations e
-      JOIN users u ON e.student_id = u.id
-      WHERE e.student_id = ? AND e.curriculum_id = ?
-      ORDER BY e.created_at DESC
-      LIMIT 1
-    `).bind(studentId, curriculumId).first()
+    const students = await env.DB.prepare(`
+      SELECT id FROM users WHERE class_code = ? AND role = 'student' ORDER BY student_number
+    `).bind(classCode).all()
     
-    return c.json(evaluation || {})
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    const reports = await collectStudentReports(env.DB, (students.results as any[]).map(student => student.id), curriculumId)
+    if (reports.length === 0 || !reports[0].curriculum) {
+      return c.json({ success: false, error: '児童または単元が見つかりません' }, 404)
+    }
+    
+    const title = `個人レポート_${classCode}_${reports[0].curriculum.unit_name}`
+    const pdf = await PdfBuilder.create(await loadPdfFont(c), title)
+    reports.forEach((report, index) => {
+      if (index > 0) {
+        pdf.newPage()
+      }
+      renderStudentReportPdf(pdf, report)
+    })
+    
+    return pdfResponse(c, await pdf.save(), `${title}.pdf`)
+  } catch (error: any) {
+    console.error('個人レポート一括PDF生成エラー:', error)
+    return c.json({
+      success: false,
+      error: '個人レポートのPDF生成に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：非認知能力評価保存
-app.post('/api/evaluations/non-cognitive', async (c) => {
+// APIルート：週次・月次レポートのPDF（期間の指定は /api/reports と同じ）
+app.get('/api/pdf/reports/:kind{weekly|monthly}/:classCode', async (c) => {
   const { env } = c
-  const body = await c.req.json()
+  const kind = c.req.param('kind') as ReportKind
+  const classCode = c.req.param('classCode')
   
   try {
-    const result = await env.DB.prepare(`
-      INSERT INTO non_cognitive_evaluations (
-        student_id, curriculum_id,
-        self_regulation, self_regulation_comment,
-        motivation, motivation_comment,
-        collaboration, collaboration_comment,
-        metacognition, metacognition_comment,
-        creativity, creativity_comment,
-        curiosity, curiosity_comment,
-        self_esteem, self_esteem_comment
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      body.student_id,
-      body.curriculum_id,
-      body.self_regulation || 0,
-      body.self_regulation_comment || '',
-      body.motivation || 0,
-      body.motivation_comment || '',
-      body.collaboration || 0,
-      body.collaboration_comment || '',
-      body.metacognition || 0,
-      body.metacognition_comment || '',
-      body.creativity || 0,
-      body.creativity_comment || '',
-      body.curiosity || 0,
-      body.curiosity_comment || '',
-      body.self_esteem || 0,
-      body.self_esteem_comment || ''
-    ).run()
+    const { period, error } = resolveReportPeriod(kind, c.req.query())
+    if (error) {
+      return c.json({ success: false, error }, 400)
+    }
+    
+    const report = await buildClassReport(env.DB, classCode, period)
+    const periodLabel = kind === 'weekly' ? `${period.start}〜${period.end}` : `${period.year}年${period.month}月`
+    const comparison = kind === 'weekly' ? '先週比' : '先月比'
+    const signed = (value: number | null) => value == null ? '-' : value > 0 ? `+${value}` : `${value}`
+    
+    const title = `${kind === 'weekly' ? '週次' : '月次'}レポート_${classCode}_${periodLabel}`
+    const pdf = await PdfBuilder.create(await loadPdfFont(c), title, { landscape: true })
+    pdf.heading(`${kind === 'weekly' ? '週次' : '月次'}レポート　${periodLabel}`)
+    pdf.field('クラス', classCode)
+    
+    const { current, delta } = report.summary
+    pdf.table([
+      { header: '', width: 0.25 },
+      { header: '完了カード', width: 0.1875, align: 'center' },
+      { header: '平均理解度', width: 0.1875, align: 'center' },
+      { header: '学習した児童', width: 0.1875, align: 'center' },
+      { header: 'ヘルプ要請', width: 0.1875, align: 'center' }
+    ], [
+      ['今回', current.completed_cards, current.avg_understanding ?? '-', current.active_students, current.help_requests],
+      [comparison, signed(delta.completed_cards), signed(delta.avg_understanding), signed(delta.active_students), signed(delta.help_requests)]
+    ])
+    
+    pdf.heading('児童別', 2)
+    pdf.table([
+      { header: 'No.', width: 0.05, align: 'center' },
+      { header: '氏名', width: 0.17 },
+      { header: '完了', width: 0.07, align: 'center' },
+      { header: comparison, width: 0.07, align: 'center' },
+      { header: '理解度', width: 0.07, align: 'center' },
+      { header: '活動日数', width: 0.08, align: 'center' },
+      ...HELP_TYPES.map(type => ({ header: PDF_HELP_TYPE_LABELS[type], width: 0.07, align: 'center' as const })),
+      { header: '要請', width: 0.07, align: 'center' },
+      { header: '教えた', width: 0.07, align: 'center' }
+    ], report.students.map((student: any) => [
+      student.student_number,
+      student.student_name,
+      student.completed_cards,
+      signed(student.completed_cards_delta),
+      student.avg_understanding ?? '-',
+      student.active_days,
+      ...HELP_TYPES.map(type => student[`${type}_help_count`]),
+      student.help_request_count,
+      student.peer_helped_count
+    ]))
+    
+    pdf.heading('単元・コース別', 2)
+    pdf.table([
+      { header: '単元', width: 0.3 },
+      { header: 'コース', width: 0.25 },
+      { header: '取組人数', width: 0.15, align: 'center' },
+      { header: '完了カード', width: 0.15, align: 'center' },
+      { header: comparison, width: 0.15, align: 'center' }
+    ], report.units.flatMap((unit: any) => [
+      [`${unit.subject} ${unit.unit_name}`, '（合計）', unit.students_count, unit.completed_cards_total,
+        signed(unit.completed_cards_total - unit.previous_completed_cards_total)],
+      ...unit.courses.map((course: any) => [
+        '', `${course.course_display_name}（${course.total_cards}枚）`, course.students_count, course.completed_cards_total,
+        signed(course.completed_cards_total - course.previous_completed_cards_total)
+      ])
+    ]))
+    
+    const helpQueue: any = report.help_queue || {}
+    pdf.heading('ヘルプ', 2)
+    pdf.field('種類', HELP_TYPES.map(type =>
+      `${PDF_HELP_TYPE_LABELS[type]} ${report.help_mix.current[type]}（${comparison} ${signed(report.help_mix.current[type] - report.help_mix.previous[type])}）`
+    ).join('　'))
+    pdf.field('ヘルプ待ち', `要請 ${helpQueue.total_requests || 0}件　平均待ち ${helpQueue.avg_wait_minutes ?? '-'}分　最長 ${helpQueue.max_wait_minutes ?? '-'}分　解決までの平均 ${helpQueue.avg_resolution_minutes ?? '-'}分`)
+    pdf.field('解決した人', `先生 ${helpQueue.resolved_by_teacher || 0}　友だち ${helpQueue.resolved_by_peer || 0}　自分 ${helpQueue.resolved_by_self || 0}`)
+    
+    return pdfResponse(c, await pdf.save(), `${title}.pdf`)
+  } catch (error: any) {
+    console.error('レポートPDF生成エラー:', error)
+    return c.json({
+      success: false,
+      error: 'レポートのPDF生成に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// AI先生（/api/ai/ask と /api/ai/ask/stream で共通）
+interface AskRequest {
+  studentId: number
+  curriculumId?: number
+  cardId?: number
+  question: string
+  context?: string
+}
+
+// 質問を履歴に保存し、カードタイトルと直近の対話履歴を返す
+async function prepareAskConversation(db: D1Database, body: AskRequest, sessionId: string) {
+  // 学習カード情報を取得
+  const card = await db.prepare(`
+    SELECT * FROM learning_cards WHERE id = ?
+  `).bind(body.cardId ?? null).first()
+  
+  // 対話履歴を取得（コンテキスト保持）
+  const conversationHistory = await db.prepare(`
+    SELECT message_type, message_text
+    FROM ai_conversations
+    WHERE session_id = ? AND student_id = ?
+    ORDER BY created_at DESC
+    LIMIT 5
+  `).bind(sessionId, body.studentId).all()
+  
+  const historyContext = conversationHistory.results?.reverse().map((msg: any) => 
+    `${msg.message_type === 'question' ? '生徒' : 'AI先生'}: ${msg.message_text}`
+  ).join('\n') || ''
+  
+  // 質問を履歴に保存
+  await db.prepare(`
+    INSERT INTO ai_conversations (
+      student_id, curriculum_id, learning_card_id, session_id, message_type, message_text, context_data
+    ) VALUES (?, ?, ?, ?, 'question', ?, ?)
+  `).bind(
+    body.studentId,
+    body.curriculumId ?? null,
+    body.cardId ?? null,
+    sessionId,
+    body.question,
+    JSON.stringify({ cardTitle: card?.card_title })
+  ).run()
+  
+  return { cardTitle: card?.card_title as string | undefined, historyContext }
+}
+
+function buildAskPrompt(body: AskRequest, cardTitle: string | undefined, historyContext: string, maxChars: number): string {
+  return `現在あなたは「学習モード」です。以下の厳格なルールに従ってください：
+
+# 厳格なルール
+
+親しみやすくかつダイナミックな教師となり、学習過程をガイドしながらユーザーの学びをサポートします。
+
+- ユーザーについて知りましょう。目標や学年レベルが分からない場合は質問してください。（軽めに！）回答がない場合は、小学4年生が理解できるような説明を心がけてください。
+- 既存の知識を基盤にします。新しい概念をユーザーがすでに知っていることに結びつけます。
+- 単に答えを与えるのではなく、ガイドしましょう。質問、ヒント、小さなステップを用いて、ユーザー自身が答えを発見できるようにします。
+- 確認と強化を行います。難しい部分の後は、ユーザーがその概念を説明したり使ったりできるか確認します。
+- リズムに変化をつけます。説明、質問、アクティビティ（ロールプレイ、練習ラウンドなど）を混ぜて、講義ではなく会話のように感じさせます。
+
+# 何よりも重要なこと：ユーザーの仕事を代わりにやらないでください。
+
+宿題の質問に答えないでください — ユーザーとの協力を通じて、彼らが既に知っていることから構築しながら、答えを見つける手助けをします。
+
+# トーンとアプローチ
+
+温かく、忍耐強く、平易な言葉で話しましょう。感嘆符や絵文字を使いすぎないようにします。セッションを前に進め続けましょう：次のステップを常に把握します。そして簡潔に — 決してエッセイの長さの返答を送らないでください。良い対話を目指しましょう。
+
+# 重要
+
+ユーザーが数学や論理的な問題を質問した場合、最初の回答でそれを解決しないでください。代わりに：ユーザーと一緒に問題を一歩ずつ検討し、各ステップで一つの質問をし、続ける前にユーザーが各ステップに応答する機会を与えてください。
+
+【学習カード情報】
+タイトル: ${cardTitle || ''}
+問題: ${body.context || ''}
+
+${historyContext ? `【これまでの対話】\n${historyContext}\n` : ''}
+
+【生徒の質問】
+${body.question}
+
+${maxChars}文字以内で簡潔に回答してください。`
+}
+
+// 回答を履歴に保存
+async function recordAskAnswer(db: D1Database, body: AskRequest, sessionId: string, answer: string) {
+  await db.prepare(`
+    INSERT INTO ai_conversations (
+      student_id, curriculum_id, learning_card_id, session_id, message_type, message_text
+    ) VALUES (?, ?, ?, ?, 'answer', ?)
+  `).bind(
+    body.studentId,
+    body.curriculumId ?? null,
+    body.cardId ?? null,
+    sessionId,
+    answer
+  ).run()
+}
+
+// 使用統計を記録（errorMessage があれば失敗として記録）
+async function recordAskUsage(db: D1Database, body: AskRequest, responseTime: number, tokensUsed: number, errorMessage?: string) {
+  await db.prepare(`
+    INSERT INTO ai_usage_stats (
+      student_id, curriculum_id, learning_card_id, feature_type,
+      tokens_used, response_time_ms, success, error_message
+    ) VALUES (?, ?, ?, 'teacher', ?, ?, ?, ?)
+  `).bind(
+    body.studentId,
+    body.curriculumId ?? null,
+    body.cardId ?? null,
+    tokensUsed,
+    responseTime,
+    errorMessage ? 0 : 1,
+    errorMessage ?? null
+  ).run()
+}
+
+const ASK_UNAVAILABLE_ANSWER = '申し訳ありません。AI先生は現在利用できません。ヒントカードや先生に聞いてみましょう。'
+const ASK_ERROR_ANSWER = 'ごめんなさい、今は答えられません。ヒントカードを見てみましょう！'
+
+function createAskSessionId(): string {
+  return `session-${Date.now()}-${Math.random().toString(36).substring(7)}`
+}
+
+// APIルート：AI先生（Gemini API）
+app.post('/api/ai/ask', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
+  const startTime = Date.now()
+  
+  body.studentId = await resolveStudentId(c, body.studentId)
+  if (body.studentId === null) {
+    return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+  }
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({ 
+      answer: ASK_UNAVAILABLE_ANSWER,
+      error: 'API key not configured'
+    })
+  }
+  
+  // セッションIDの生成（対話履歴グループ化用）
+  const sessionId = body.sessionId || createAskSessionId()
+  
+  try {
+    const { cardTitle, historyContext } = await prepareAskConversation(env.DB, body, sessionId)
+    
+    // AIにリクエスト
+    const result = await callLLM(env, {
+      task: 'ask',
+      model: 'gemini-2.0-flash-exp',
+      prompt: buildAskPrompt(body, cardTitle, historyContext, 150),
+      maxOutputTokens: 200,
+      temperature: 0.7,
+      retries: 1
+    })
     
-    return c.json({ success: true, id: result.meta.last_row_id })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    if (!result.success) {
+      throw new Error(`AI API error: ${result.error}`)
+    }
+    
+    const answer = result.content || 
+                   '考えるヒントを用意できませんでした。もう一度質問してみてください。'
+    
+    await recordAskAnswer(env.DB, body, sessionId, answer)
+    
+    const responseTime = Date.now() - startTime
+    const tokensUsed = result.tokensUsed || 0
+    await recordAskUsage(env.DB, body, responseTime, tokensUsed)
+    
+    return c.json({ 
+      answer,
+      sessionId,
+      tokensUsed,
+      responseTime
+    })
+    
+  } catch (error: any) {
+    console.error('AI error:', error)
+    
+    // エラーログを統計に記録
+    try {
+      await recordAskUsage(env.DB, body, Date.now() - startTime, 0, error.message)
+    } catch (dbError) {
+      console.error('Failed to log error:', dbError)
+    }
+    
+    return c.json({ 
+      answer: ASK_ERROR_ANSWER,
+      error: error.message
+    })
   }
 })
 
-// APIルート：非認知能力評価更新
-app.put('/api/evaluations/non-cognitive/:id', async (c) => {
+// APIルート：AI先生（ストリーミング版）
+// SSEで start → token（複数）→ done の順に送る。失敗時は error を送って終了
+// クライアントが接続を切った場合は途中までの回答を保存し、使用統計には cancelled として記録する
+app.post('/api/ai/ask/stream', async (c) => {
   const { env } = c
-  const id = c.req.param('id')
   const body = await c.req.json()
+  const startTime = Date.now()
+  
+  body.studentId = await resolveStudentId(c, body.studentId)
+  if (body.studentId === null) {
+    return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+  }
+  
+  // ストリーミングできない場合は通常版と同じJSONを返す（クライアントはContent-Typeで判別）
+  if (!isLLMConfigured(env)) {
+    return c.json({ 
+      answer: ASK_UNAVAILABLE_ANSWER,
+      error: 'API key not configured'
+    })
+  }
+  
+  const sessionId = body.sessionId || createAskSessionId()
+  
+  return streamSSE(c, async (stream) => {
+    // 切断はレスポンス本文のキャンセルとリクエストの signal のどちらかで届く
+    const abortController = new AbortController()
+    stream.onAbort(() => abortController.abort())
+    c.req.raw.signal?.addEventListener('abort', () => stream.abort())
+    
+    let answer = ''
+    let tokensUsed = 0
+    
+    // 中断された回答も対話履歴として残す（接続が切れているためレスポンス後に保存）
+    const recordCancelled = () => runInBackground(c, (async () => {
+      if (answer) await recordAskAnswer(env.DB, body, sessionId, answer)
+      await recordAskUsage(env.DB, body, Date.now() - startTime, tokensUsed, 'cancelled')
+    })().catch((dbError) => console.error('Failed to log cancellation:', dbError)))
+    
+    try {
+      const { cardTitle, historyContext } = await prepareAskConversation(env.DB, body, sessionId)
+      await stream.writeSSE({ event: 'start', data: JSON.stringify({ sessionId }) })
+      
+      // 逐次表示できるため通常版より長めの回答を許可する
+      const chunks = streamLLM(env, {
+        task: 'ask',
+        model: 'gemini-2.0-flash-exp',
+        prompt: buildAskPrompt(body, cardTitle, historyContext, 300),
+        maxOutputTokens: 400,
+        temperature: 0.7
+      }, abortController.signal)
+      
+      for await (const chunk of chunks) {
+        if (stream.aborted) break
+        if (chunk.tokensUsed !== undefined) tokensUsed = chunk.tokensUsed
+        if (!chunk.text) continue
+        answer += chunk.text
+        await stream.writeSSE({ event: 'token', data: JSON.stringify({ text: chunk.text }) })
+      }
+      
+      if (stream.aborted) {
+        await recordCancelled()
+        return
+      }
+      
+      if (!answer) {
+        answer = '考えるヒントを用意できませんでした。もう一度質問してみてください。'
+        await stream.writeSSE({ event: 'token', data: JSON.stringify({ text: answer }) })
+      }
+      
+      const responseTime = Date.now() - startTime
+      await recordAskAnswer(env.DB, body, sessionId, answer)
+      await recordAskUsage(env.DB, body, responseTime, tokensUsed)
+      
+      await stream.writeSSE({ event: 'done', data: JSON.stringify({ sessionId, tokensUsed, responseTime }) })
+      
+    } catch (error: any) {
+      if (stream.aborted || error.name === 'AbortError') {
+        await recordCancelled()
+        return
+      }
+      
+      console.error('AI stream error:', error)
+      
+      // エラーログを統計に記録
+      try {
+        await recordAskUsage(env.DB, body, Date.now() - startTime, tokensUsed, error.message)
+      } catch (dbError) {
+        console.error('Failed to log error:', dbError)
+      }
+      
+      await stream.writeSSE({ event: 'error', data: JSON.stringify({ answer: ASK_ERROR_ANSWER, error: error.message }) })
+    }
+  })
+})
+
+// APIルート：AI対話履歴取得
+app.get('/api/ai/conversations/:sessionId', async (c) => {
+  const { env } = c
+  const sessionId = c.req.param('sessionId')
+  const user = c.get('user')
   
   try {
-    await env.DB.prepare(`
-      UPDATE non_cognitive_evaluations SET
-        self_regulation = ?,
-        self_regulation_comment = ?,
-        motivation = ?,
-        motivation_comment = ?,
-        collaboration = ?,
-        collaboration_comment = ?,
-        metacognition = ?,
-        metacognition_comment = ?,
-        creativity = ?,
-        creativity_comment = ?,
-        curiosity = ?,
-        curiosity_comment = ?,
-        self_esteem = ?,
-        self_esteem_comment = ?,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).bind(
-      body.self_regulation || 0,
-      body.self_regulation_comment || '',
-      body.motivation || 0,
-      body.motivation_comment || '',
-      body.collaboration || 0,
-      body.collaboration_comment || '',
-      body.metacognition || 0,
-      body.metacognition_comment || '',
-      body.creativity || 0,
-      body.creativity_comment || '',
-      body.curiosity || 0,
-      body.curiosity_comment || '',
-      body.self_esteem || 0,
-      body.self_esteem_comment || '',
-      id
-    ).run()
+    // 児童は自分の対話のみ取得できる
+    const conversations = await env.DB.prepare(`
+      SELECT 
+        id, message_type, message_text, context_data, created_at,
+        learning_card_id, curriculum_id
+      FROM ai_conversations
+      WHERE session_id = ? AND (? = 0 OR student_id = ?)
+      ORDER BY created_at ASC
+    `).bind(sessionId, user.role === 'student' ? 1 : 0, user.id).all()
     
-    return c.json({ success: true })
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    return c.json({ 
+      conversations: conversations.results || [],
+      total: conversations.results?.length || 0
+    })
+  } catch (error: any) {
+    console.error('Failed to fetch conversations:', error)
+    return c.json({ 
+      error: '対話履歴の取得に失敗しました',
+      conversations: [],
+      total: 0
+    }, 500)
   }
 })
 
-// APIルート：学習環境デザイン取得
-app.get('/api/environment/design/:curriculumId', async (c) => {
+// APIルート：学習計画取得
+app.get('/api/plans/:studentId/:curriculumId', async (c) => {
   const { env } = c
+  const studentId = c.req.param('studentId')
   const curriculumId = c.req.param('curriculumId')
   
   try {
-    const design = await env.DB.prepare(`
-      SELECT * FROM learning_environment_designs
-      WHERE curriculum_id = ?
-      LIMIT 1
-    `).bind(curriculumId).first()
+    const plans = await env.DB.prepare(`
+      SELECT * FROM learning_plans
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY planned_date
+    `).bind(studentId, curriculumId).all()
     
-    return c.json(design || {})
+    return c.json(plans.results)
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：学習環境デザイン保存
-app.post('/api/environment/design', async (c) => {
-  const { env } = c
+// APIルート：学習計画保存
+app.post('/api/plans', async (c) => {
+  const { env } = c
   const body = await c.req.json()
   
   try {
+    const studentId = await resolveStudentId(c, body.student_id)
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     const result = await env.DB.prepare(`
-      INSERT INTO learning_environment_designs (
-        curriculum_id,
-        expression_creative, expression_creative_enabled,
-        research_fieldwork, research_fieldwork_enabled,
-        critical_thinking, critical_thinking_enabled,
-        social_contribution, social_contribution_enabled,
-        metacognition_reflection, metacognition_reflection_enabled,
-        question_generation, question_generation_enabled
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO learning_plans 
+        (student_id, curriculum_id, planned_date, learning_card_id, 
+         reflection_good, reflection_bad, reflection_learned)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `).bind(
+      studentId,
       body.curriculum_id,
-      body.expression_creative || '',
-      body.expression_creative_enabled ? 1 : 0,
-      body.research_fieldwork || '',
-      body.research_fieldwork_enabled ? 1 : 0,
-      body.critical_thinking || '',
-      body.critical_thinking_enabled ? 1 : 0,
-      body.social_contribution || '',
-      body.social_contribution_enabled ? 1 : 0,
-      body.metacognition_reflection || '',
-      body.metacognition_reflection_enabled ? 1 : 0,
-      body.question_generation || '',
-      body.question_generation_enabled ? 1 : 0
+      body.planned_date,
+      body.learning_card_id || null,
+      body.reflection_good || null,
+      body.reflection_bad || null,
+      body.reflection_learned || null
     ).run()
     
     return c.json({ success: true, id: result.meta.last_row_id })
@@ -1825,43 +2562,43 @@ app.post('/api/environment/design', async (c) => {
   }
 })
 
-// APIルート：学習環境デザイン更新
-app.put('/api/environment/design/:id', async (c) => {
+// APIルート：学習計画更新
+app.put('/api/plans/:id', async (c) => {
   const { env } = c
-  const id = c.req.param('id')
+  const planId = c.req.param('id')
   const body = await c.req.json()
   
   try {
+    // 計画の持ち主を確認
+    const plan = await env.DB.prepare(`
+      SELECT student_id FROM learning_plans WHERE id = ?
+    `).bind(planId).first()
+    
+    if (!plan) {
+      return c.json({ error: '学習計画が見つかりません' }, 404)
+    }
+    
+    if (!(await canAccessStudent(env.DB, c.get('user'), plan.student_id))) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     await env.DB.prepare(`
-      UPDATE learning_environment_designs SET
-        expression_creative = ?,
-        expression_creative_enabled = ?,
-        research_fieldwork = ?,
-        research_fieldwork_enabled = ?,
-        critical_thinking = ?,
-        critical_thinking_enabled = ?,
-        social_contribution = ?,
-        social_contribution_enabled = ?,
-        metacognition_reflection = ?,
-        metacognition_reflection_enabled = ?,
-        question_generation = ?,
-        question_generation_enabled = ?,
-        updated_at = CURRENT_TIMESTAMP
+      UPDATE learning_plans 
+      SET actual_date = ?,
+          learning_card_id = ?,
+          reflection_good = ?,
+          reflection_bad = ?,
+          reflection_learned = ?,
+          ai_feedback = ?
       WHERE id = ?
     `).bind(
-      body.expression_creative || '',
-      body.expression_creative_enabled ? 1 : 0,
-      body.research_fieldwork || '',
-      body.research_fieldwork_enabled ? 1 : 0,
-      body.critical_thinking || '',
-      body.critical_thinking_enabled ? 1 : 0,
-      body.social_contribution || '',
-      body.social_contribution_enabled ? 1 : 0,
-      body.metacognition_reflection || '',
-      body.metacognition_reflection_enabled ? 1 : 0,
-      body.question_generation || '',
-      body.question_generation_enabled ? 1 : 0,
-      id
+      body.actual_date || null,
+      body.learning_card_id || null,
+      body.reflection_good || null,
+      body.reflection_bad || null,
+      body.reflection_learned || null,
+      body.ai_feedback || null,
+      planId
     ).run()
     
     return c.json({ success: true })
@@ -1870,197 +2607,156 @@ app.put('/api/environment/design/:id', async (c) => {
   }
 })
 
-// APIルート：先生カスタマイズ設定取得
-app.get('/api/teacher/customization/:curriculumId', async (c) => {
+// APIルート：振り返りAIフィードバック
+app.post('/api/ai/reflect', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('curriculumId')
+  const body = await c.req.json()
+  const { reflections, type } = body  // type: 'hourly' or 'unit'
   
-  try {
-    const customization = await env.DB.prepare(`
-      SELECT * FROM teacher_customization
-      WHERE curriculum_id = ?
-      LIMIT 1
-    `).bind(curriculumId).first()
-    
-    return c.json(customization || {})
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+  if (!isLLMConfigured(env)) {
+    return c.json({ 
+      feedback: type === 'unit' 
+        ? '単元を最後まで学習できましたね！次の単元も楽しみです。'
+        : 'がんばりましたね！次回も楽しく学習しましょう。' 
+    })
   }
-})
+  
+  const promptText = type === 'unit' 
+    ? `あなたは小学生の学習を応援するAI先生です。子どもの単元全体の振り返りを読んで、成長を認め、次の学習への意欲を高めるメッセージを送ってください。
 
-// APIルート：先生カスタマイズ設定保存・更新
-app.post('/api/teacher/customization', async (c) => {
-  const { env } = c
-  const body = await c.req.json()
+【単元全体の振り返り】
+良かったこと: ${reflections.good || 'なし'}
+直したいこと: ${reflections.bad || 'なし'}
+わかったこと: ${reflections.learned || 'なし'}
+
+【フィードバックのルール】
+1. 単元全体を通しての成長を認める
+2. 良かったことを具体的に褒める
+3. 直したいことは次の目標として前向きに受け止める
+4. わかったことの価値を伝え、学びの喜びを共感する
+5. 次の単元への期待感を持たせる
+6. 小学生にわかりやすい言葉で
+7. 200文字以内で
+
+温かく励ますメッセージを書いてください。`
+    : `あなたは小学生の学習を応援するAI先生です。子どもの1時間の学習の振り返りを読んで、励ましとアドバイスをしてください。
+
+【振り返り内容】
+良かったこと: ${reflections.good || 'なし'}
+難しかったこと: ${reflections.bad || 'なし'}
+わかったこと: ${reflections.learned || 'なし'}
+
+【フィードバックのルール】
+1. 必ず励ましの言葉から始める
+2. 良かったことを具体的に褒める
+3. 難しかったことには共感し、次へのヒントを出す
+4. わかったことの素晴らしさを伝える
+5. 次の学習への意欲が湧く言葉で締める
+6. 小学生にわかりやすい言葉で
+7. 150文字以内で簡潔に
+
+フィードバックしてください。`
   
   try {
-    // まず既存のデータがあるかチェック
-    const existing = await env.DB.prepare(`
-      SELECT id FROM teacher_customization
-      WHERE curriculum_id = ?
-    `).bind(body.curriculum_id).first()
+    const result = await callLLM(env, {
+      task: 'reflect',
+      model: 'gemini-3-flash-preview',
+      prompt: promptText,
+      maxOutputTokens: type === 'unit' ? 300 : 200,
+      temperature: 0.8,
+      retries: 1
+    })
     
-    if (existing) {
-      // 更新
-      await env.DB.prepare(`
-        UPDATE teacher_customization SET
-          teacher_id = ?,
-          teaching_philosophy = ?,
-          custom_unit_goal = ?,
-          custom_non_cognitive_goal = ?,
-          teaching_notes = ?,
-          gamification_enabled = ?,
-          badge_system_enabled = ?,
-          narrative_enabled = ?,
-          story_theme = ?,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE curriculum_id = ?
-      `).bind(
-        body.teacher_id || 1,
-        body.teaching_philosophy || '',
-        body.custom_unit_goal || '',
-        body.custom_non_cognitive_goal || '',
-        body.teaching_notes || '',
-        body.gamification_enabled ? 1 : 0,
-        body.badge_system_enabled ? 1 : 0,
-        body.narrative_enabled ? 1 : 0,
-        body.story_theme || '',
-        body.curriculum_id
-      ).run()
-      
-      return c.json({ success: true, id: existing.id })
-    } else {
-      // 新規作成
-      const result = await env.DB.prepare(`
-        INSERT INTO teacher_customization (
-          curriculum_id, teacher_id,
-          teaching_philosophy,
-          custom_unit_goal,
-          custom_non_cognitive_goal,
-          teaching_notes,
-          gamification_enabled,
-          badge_system_enabled,
-          narrative_enabled,
-          story_theme
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).bind(
-        body.curriculum_id,
-        body.teacher_id || 1,
-        body.teaching_philosophy || '',
-        body.custom_unit_goal || '',
-        body.custom_non_cognitive_goal || '',
-        body.teaching_notes || '',
-        body.gamification_enabled ? 1 : 0,
-        body.badge_system_enabled ? 1 : 0,
-        body.narrative_enabled ? 1 : 0,
-        body.story_theme || ''
-      ).run()
-      
-      return c.json({ success: true, id: result.meta.last_row_id })
+    if (!result.success) {
+      throw new Error(result.error)
     }
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
-  }
-})
-
-// APIルート：生徒のバッジ取得
-app.get('/api/badges/student/:studentId/curriculum/:curriculumId', async (c) => {
-  const { env } = c
-  const studentId = c.req.param('studentId')
-  const curriculumId = c.req.param('curriculumId')
-  
-  try {
-    const badges = await env.DB.prepare(`
-      SELECT * FROM student_badges
-      WHERE student_id = ? AND curriculum_id = ?
-      ORDER BY earned_at DESC
-    `).bind(studentId, curriculumId).all()
     
-    return c.json(badges.results)
+    const feedback = result.content || 
+                     (type === 'unit' 
+                       ? '単元をしっかり学習できました！次の単元も楽しみです！'
+                       : 'よくがんばりました！次回も楽しく学習しましょう。')
+    
+    return c.json({ feedback })
+    
   } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
+    console.error('AI reflection error:', error)
+    return c.json({ 
+      feedback: 'すばらしい振り返りですね！これからも一緒にがんばりましょう！' 
+    })
   }
 })
 
-// APIルート：学習ナラティブ取得
-app.get('/api/narratives/student/:studentId/curriculum/:curriculumId', async (c) => {
+// APIルート：全解答取得（解答タブ用）
+app.get('/api/answers/curriculum/:curriculumId', async (c) => {
   const { env } = c
-  const studentId = c.req.param('studentId')
   const curriculumId = c.req.param('curriculumId')
   
   try {
-    const narratives = await env.DB.prepare(`
-      SELECT * FROM learning_narratives
-      WHERE student_id = ? AND curriculum_id = ?
-      ORDER BY chapter_number
-    `).bind(studentId, curriculumId).all()
-    
-    return c.json(narratives.results)
-  } catch (error) {
-    return c.json({ error: 'Database error' }, 500)
-  }
-})
-
-// ==================== 問題編集機能 API ====================
-
-// APIルート：学習カード更新
-app.put('/api/cards/:cardId', async (c) => {
-  const { env } = c
-  const cardId = c.req.param('cardId')
-  const body = await c.req.json()
-  
-  try {
-    await env.DB.prepare(`
-      UPDATE learning_cards SET
-        card_title = ?,
-        problem_description = ?,
-        new_terms = ?,
-        example_problem = ?,
-        example_solution = ?,
-        diagram_url = ?,
-        real_world_connection = ?,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).bind(
-      body.card_title || '',
-      body.problem_description || '',
-      body.new_terms || '',
-      body.example_problem || '',
-      body.example_solution || '',
-      body.diagram_url || '',
-      body.real_world_connection || '',
-      cardId
-    ).run()
+    // コースと学習カードの解答
+    const cardAnswers = await env.DB.prepare(`
+      SELECT 
+        c.course_display_name,
+        c.course_level,
+        lc.id as card_id,
+        lc.card_number,
+        lc.card_title,
+        lc.card_type,
+        a.answer_content,
+        a.explanation
+      FROM courses c
+      JOIN learning_cards lc ON c.id = lc.course_id
+      LEFT JOIN answers a ON lc.id = a.learning_card_id
+      WHERE c.curriculum_id = ?
+      ORDER BY c.course_level, lc.card_number
+    `).bind(curriculumId).all()
     
-    return c.json({ success: true })
+    // 選択問題の解答
+    const optionalAnswers = await env.DB.prepare(`
+      SELECT 
+        op.problem_number,
+        op.problem_title,
+        op.problem_description,
+        op.learning_meaning,
+        a.answer_content,
+        a.explanation
+      FROM optional_problems op
+      LEFT JOIN answers a ON op.id = a.optional_problem_id
+      WHERE op.curriculum_id = ?
+      ORDER BY op.problem_number
+    `).bind(curriculumId).all()
+    
+    // 児童には、答えを提出したカードと先生が公開したカードの解答のみ返す
+    const visibleIds = await visibleAnswerCardIds(env.DB, c.get('user'))
+    const visibleCardAnswers = cardAnswers.results.map((answer: any) => !visibleIds || visibleIds.has(Number(answer.card_id))
+      ? answer
+      : { ...answer, answer_content: null, explanation: null, answer_locked: true })
+    
+    return c.json({
+      cardAnswers: visibleCardAnswers,
+      optionalAnswers: optionalAnswers.results
+    })
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：学習カード追加
-app.post('/api/cards', async (c) => {
+// APIルート：カスタムコンテンツ保存
+app.post('/api/custom/content', async (c) => {
   const { env } = c
   const body = await c.req.json()
   
   try {
     const result = await env.DB.prepare(`
-      INSERT INTO learning_cards (
-        course_id, card_number, card_title, card_type,
-        problem_description, new_terms, example_problem,
-        example_solution, diagram_url, real_world_connection
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO custom_content 
+        (teacher_id, original_learning_card_id, original_optional_problem_id, 
+         content_type, custom_data)
+      VALUES (?, ?, ?, ?, ?)
     `).bind(
-      body.course_id,
-      body.card_number,
-      body.card_title || '',
-      body.card_type || 'main',
-      body.problem_description || '',
-      body.new_terms || '',
-      body.example_problem || '',
-      body.example_solution || '',
-      body.diagram_url || '',
-      body.real_world_connection || ''
+      c.get('user').id,
+      body.original_learning_card_id || null,
+      body.original_optional_problem_id || null,
+      body.content_type,
+      JSON.stringify(body.custom_data)
     ).run()
     
     return c.json({ success: true, id: result.meta.last_row_id })
@@ -2069,1717 +2765,3131 @@ app.post('/api/cards', async (c) => {
   }
 })
 
-// APIルート：学習カード削除
-app.delete('/api/cards/:cardId', async (c) => {
+// APIルート：カスタムコンテンツ取得
+app.get('/api/custom/content/:teacherId', async (c) => {
   const { env } = c
-  const cardId = c.req.param('cardId')
+  const teacherId = c.req.param('teacherId')
   
   try {
-    // 関連するヒントカードも削除
-    await env.DB.prepare(`
-      DELETE FROM hint_cards WHERE learning_card_id = ?
-    `).bind(cardId).run()
+    const customContent = await env.DB.prepare(`
+      SELECT * FROM custom_content
+      WHERE teacher_id = ?
+      ORDER BY created_at DESC
+    `).bind(teacherId).all()
     
-    // 学習カード削除
-    await env.DB.prepare(`
-      DELETE FROM learning_cards WHERE id = ?
-    `).bind(cardId).run()
+    // JSON文字列をパース
+    const parsed = customContent.results.map(item => ({
+      ...item,
+      custom_data: JSON.parse(item.custom_data)
+    }))
     
-    return c.json({ success: true })
+    return c.json(parsed)
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：ヒントカード更新
-app.put('/api/hints/:hintId', async (c) => {
+// APIルート：評価保存
+app.post('/api/evaluations', async (c) => {
   const { env } = c
-  const hintId = c.req.param('hintId')
   const body = await c.req.json()
   
   try {
-    await env.DB.prepare(`
-      UPDATE hint_cards SET
-        hint_text = ?,
-        thinking_tool_suggestion = ?,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
+    const studentId = await resolveStudentId(c, body.student_id)
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
+    const result = await env.DB.prepare(`
+      INSERT INTO evaluations 
+        (student_id, curriculum_id, knowledge_skill, 
+         thinking_judgment_expression, attitude_toward_learning, 
+         non_cognitive_evaluation, teacher_comment)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `).bind(
-      body.hint_text || '',
-      body.thinking_tool_suggestion || '',
-      hintId
+      studentId,
+      body.curriculum_id,
+      body.knowledge_skill,
+      body.thinking_judgment_expression,
+      body.attitude_toward_learning,
+      body.non_cognitive_evaluation,
+      body.teacher_comment
     ).run()
     
-    return c.json({ success: true })
+    return c.json({ success: true, id: result.meta.last_row_id })
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：ヒントカード追加
-app.post('/api/hints', async (c) => {
+// APIルート：評価取得
+app.get('/api/evaluations/student/:studentId/curriculum/:curriculumId', async (c) => {
   const { env } = c
-  const body = await c.req.json()
+  const studentId = c.req.param('studentId')
+  const curriculumId = c.req.param('curriculumId')
   
   try {
-    const result = await env.DB.prepare(`
-      INSERT INTO hint_cards (
-        learning_card_id, hint_number, hint_content, thinking_tool_suggestion
-      ) VALUES (?, ?, ?, ?)
-    `).bind(
-      body.learning_card_id,
-      body.hint_level || body.hint_number || 1,
-      body.hint_text || body.hint_content || '',
-      body.thinking_tool_suggestion || ''
-    ).run()
+    const evaluation = await env.DB.prepare(`
+      SELECT e.*, u.name as student_name
+      FROM evaluations e
+      JOIN users u ON e.student_id = u.id
+      WHERE e.student_id = ? AND e.curriculum_id = ?
+      ORDER BY e.created_at DESC
+      LIMIT 1
+    `).bind(studentId, curriculumId).first()
     
-    return c.json({ success: true, id: result.meta.last_row_id })
+    return c.json(evaluation)
   } catch (error) {
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：ヒントカード削除
-app.delete('/api/hints/:hintId', async (c) => {
+// APIルート：学習計画取得
+app.get('/api/learning-plan/:studentId/:curriculumId', async (c) => {
   const { env } = c
-  const hintId = c.req.param('hintId')
+  const studentId = c.req.param('studentId')
+  const curriculumId = c.req.param('curriculumId')
   
   try {
-    await env.DB.prepare(`
-      DELETE FROM hint_cards WHERE id = ?
-    `).bind(hintId).run()
+    const plans = await env.DB.prepare(`
+      SELECT * FROM learning_plans
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY planned_date ASC
+    `).bind(studentId, curriculumId).all()
     
-    return c.json({ success: true })
+    return c.json({ plans: plans.results })
   } catch (error) {
+    console.error('学習計画取得エラー:', error)
     return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：類似問題生成
-app.post('/api/cards/:cardId/generate-similar', async (c) => {
+// APIルート：学習計画保存
+app.post('/api/learning-plan/save', async (c) => {
   const { env } = c
-  const cardId = c.req.param('cardId')
+  const body = await c.req.json()
+  const { curriculum_id, total_hours, plans, unit_reflection } = body
   
   try {
-    // カード情報を取得
-    const card = await env.DB.prepare(`
-      SELECT lc.*, c.course_name, curr.grade, curr.subject, curr.unit_name
-      FROM learning_cards lc
-      JOIN courses c ON lc.course_id = c.id
-      JOIN curriculum curr ON c.curriculum_id = curr.id
-      WHERE lc.id = ?
-    `).bind(cardId).first()
-    
-    if (!card) {
-      return c.json({ error: 'Card not found' }, 404)
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
     }
     
-    // Gemini Flashで類似問題を生成
-    const apiKey = env.GEMINI_API_KEY
-    if (!apiKey) {
-      return c.json({ error: 'API key not configured' }, 500)
+    // 既存の計画を削除
+    await env.DB.prepare(`
+      DELETE FROM learning_plans 
+      WHERE student_id = ? AND curriculum_id = ?
+    `).bind(student_id, curriculum_id).run()
+    
+    // 既存の単元振り返りを削除
+    await env.DB.prepare(`
+      DELETE FROM unit_reflections 
+      WHERE student_id = ? AND curriculum_id = ?
+    `).bind(student_id, curriculum_id).run()
+    
+    // 新しい計画を保存
+    for (const plan of plans) {
+      await env.DB.prepare(`
+        INSERT INTO learning_plans (
+          student_id, 
+          curriculum_id,
+          hour_number,
+          subject,
+          planned_date,
+          learning_content,
+          reflection_good, 
+          reflection_bad, 
+          reflection_learned,
+          ai_feedback
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        student_id,
+        curriculum_id,
+        plan.hour_number,
+        plan.subject,
+        plan.planned_date || null,
+        plan.learning_content || '',
+        plan.reflection_good || '',
+        plan.reflection_bad || '',
+        plan.reflection_learned || '',
+        plan.ai_feedback || null
+      ).run()
     }
     
-    const prompt = `あなたは小学校の優秀な教師です。以下の学習カードの問題に基づいて、類似問題を1問生成してください。
-
-【元の学習カード情報】
-- 学年: ${card.grade}
-- 教科: ${card.subject}
-- 単元: ${card.unit_name}
-- コース: ${card.course_name}
-- カードタイトル: ${card.card_title}
-- 元の問題: ${card.problem_content}
-- 解答例: ${card.answer || card.example_solution || ''}
+    // 単元全体の振り返りを保存
+    if (unit_reflection && (unit_reflection.good || unit_reflection.bad || unit_reflection.learned)) {
+      await env.DB.prepare(`
+        INSERT INTO unit_reflections (
+          student_id, 
+          curriculum_id,
+          reflection_good, 
+          reflection_bad, 
+          reflection_learned
+        ) VALUES (?, ?, ?, ?, ?)
+      `).bind(
+        student_id,
+        curriculum_id,
+        unit_reflection.good || '',
+        unit_reflection.bad || '',
+        unit_reflection.learned || ''
+      ).run()
+      
+      // 単元の振り返りを書いたら学習ストーリーの章を追加（1回目のみ）
+      await runInBackground(c, generateNarrativeChapter(env, student_id, curriculum_id, {
+        type: 'unit_reflection',
+        key: 'unit_reflection'
+      }))
+    }
+    
+    return c.json({ success: true })
+  } catch (error) {
+    console.error('学習計画保存エラー:', error)
+    return c.json({ error: 'Database error', details: error.message }, 500)
+  }
+})
 
-【類似問題の条件】
-1. 元の問題と**同じ学習内容**を練習できる問題にする
-2. **数字や状況を変えた**バリエーションを作成
-3. 難易度は元の問題と同程度
-4. 具体的で子どもが解ける形式
-5. 必ず解答例を付ける
+// APIルート：学習環境デザイン取得
+app.get('/api/environment/:curriculumId', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  
+  try {
+    const environments = await env.DB.prepare(`
+      SELECT * FROM learning_environment
+      WHERE curriculum_id = ?
+      ORDER BY category, id
+    `).bind(curriculumId).all()
+    
+    return c.json(environments.results)
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
 
-以下のJSON形式で出力してください。説明文は不要です：
-{
-  "problem_text": "新しい類似問題の問題文",
-  "answer": "解答例",
-  "hint_1": "ヒント1（まず考えてほしいこと）",
-  "hint_2": "ヒント2（中間ヒント）",
-  "hint_3": "ヒント3（答えに近いヒント）"
-}`
+// ==================== Phase 5: 先生カスタマイズモード API ====================
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.9,
-            maxOutputTokens: 2048
-          }
-        })
-      }
-    )
-    
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text || ''
+// APIルート：3観点評価取得
+app.get('/api/evaluations/three-point/student/:studentId/curriculum/:curriculumId', async (c) => {
+  const { env } = c
+  const studentId = c.req.param('studentId')
+  const curriculumId = c.req.param('curriculumId')
+  
+  try {
+    const evaluation = await env.DB.prepare(`
+      SELECT e.*, u.name as student_name
+      FROM three_point_evaluations e
+      JOIN users u ON e.student_id = u.id
+      WHERE e.student_id = ? AND e.curriculum_id = ?
+      ORDER BY e.created_at DESC
+      LIMIT 1
+    `).bind(studentId, curriculumId).first()
     
-    // JSONを抽出
-    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/)
-    if (!jsonMatch) {
-      throw new Error('AI response is not valid JSON')
+    return c.json(evaluation || {})
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
+
+// APIルート：3観点評価保存
+app.post('/api/evaluations/three-point', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
+  
+  try {
+    const studentId = await resolveStudentId(c, body.student_id)
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
     }
     
-    const similarProblem = JSON.parse(jsonMatch[0])
-    
-    return c.json({
-      success: true,
-      problem: similarProblem
-    })
+    const result = await env.DB.prepare(`
+      INSERT INTO three_point_evaluations (
+        student_id, curriculum_id,
+        knowledge_skill, knowledge_skill_comment,
+        thinking_judgment, thinking_judgment_comment,
+        attitude, attitude_comment,
+        overall_comment
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      studentId,
+      body.curriculum_id,
+      body.knowledge_skill || '',
+      body.knowledge_skill_comment || '',
+      body.thinking_judgment || '',
+      body.thinking_judgment_comment || '',
+      body.attitude || '',
+      body.attitude_comment || '',
+      body.overall_comment || ''
+    ).run()
     
+    return c.json({ success: true, id: result.meta.last_row_id })
   } catch (error) {
-    console.error('類似問題生成エラー:', error)
-    return c.json({ 
-      error: '類似問題の生成に失敗しました',
-      details: error instanceof Error ? error.message : String(error)
-    }, 500)
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// AIチャット機能（学習カード用）
-app.post('/api/ai-chat', async (c) => {
+// APIルート：3観点評価更新
+app.put('/api/evaluations/three-point/:id', async (c) => {
+  const { env } = c
+  const id = c.req.param('id')
+  const body = await c.req.json()
+  
   try {
-    const { message, cardContext } = await c.req.json()
+    // 評価対象の児童を確認
+    const evaluation = await env.DB.prepare(`
+      SELECT student_id FROM three_point_evaluations WHERE id = ?
+    `).bind(id).first()
     
-    const systemPrompt = `あなたは小学生の学習を優しくサポートするAI先生です。
-${cardContext ? `
-【現在の学習内容】
-- カードタイトル: ${cardContext.card_title}
-- 学習内容: ${cardContext.problem_description}
-- 新出用語: ${cardContext.new_terms || 'なし'}
-` : ''}
-
-【回答ルール】
-1. 小学生が使う言葉で、具体的に説明する（難しい言葉は使わない）
-2. 答えは教えず、「まず〜を考えてみよう」のように段階的にヒントを出す
-3. 図や絵で考える方法を提案する（例：「図に書いてみるといいよ」）
-4. 「いいところに気づいたね！」など励ましを入れる
-5. 150文字程度で簡潔に（長すぎないこと）
-6. 子どもが理解できているか確認する質問を最後に入れる
-
-【回答例】
-質問「区切りってどういうこと？」
-→「区切りっていうのは、大きな数をわかりやすく分けることだよ。例えば、10000を「10と1000」に分けると計算しやすくなるよね。この問題では、どこで区切ると計算しやすいかな？」`
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${env.GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{
-          parts: [
-            { text: systemPrompt },
-            { text: `子どもの質問: ${message}` }
-          ]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 500
-        }
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.text()
-      console.error('Gemini APIエラー:', response.status, errorData)
-      throw new Error(`Gemini API returned ${response.status}`)
+    if (!evaluation) {
+      return c.json({ error: '評価が見つかりません' }, 404)
     }
-
-    const data = await response.json()
     
-    if (!data.candidates || data.candidates.length === 0) {
-      console.error('Gemini API - 候補なし:', JSON.stringify(data, null, 2))
-      return c.json({ response: 'ごめんね、今は答えられないよ。先生に聞いてみてね！' })
+    if (!(await canAccessStudent(env.DB, c.get('user'), evaluation.student_id))) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
     }
+    
+    await env.DB.prepare(`
+      UPDATE three_point_evaluations SET
+        knowledge_skill = ?,
+        knowledge_skill_comment = ?,
+        thinking_judgment = ?,
+        thinking_judgment_comment = ?,
+        attitude = ?,
+        attitude_comment = ?,
+        overall_comment = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      body.knowledge_skill || '',
+      body.knowledge_skill_comment || '',
+      body.thinking_judgment || '',
+      body.thinking_judgment_comment || '',
+      body.attitude || '',
+      body.attitude_comment || '',
+      body.overall_comment || '',
+      id
+    ).run()
+    
+    return c.json({ success: true })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
 
-    const aiResponse = data.candidates[0]?.content?.parts?.[0]?.text || 'ごめんね、うまく答えられなかったよ。もう一度聞いてね。'
-
-    return c.json({ response: aiResponse })
-  } catch (error: any) {
-    console.error('AIチャットエラー:', error)
-    console.error('エラー詳細:', error.message)
-    return c.json({ 
-      error: 'AIが今は答えられません。先生に聞いてみてね！',
-      details: error.message 
-    }, 500)
+// APIルート：非認知能力評価取得
+app.get('/api/evaluations/non-cognitive/student/:studentId/curriculum/:curriculumId', async (c) => {
+  const { env } = c
+  const studentId = c.req.param('studentId')
+  const curriculumId = c.req.param('curriculumId')
+  
+  try {
+    const evaluation = await env.DB.prepare(`
+      SELECT e.*, u.name as student_name
+      FROM non_cognitive_evaluations e
+      JOIN users u ON e.student_id = u.id
+      WHERE e.student_id = ? AND e.curriculum_id = ?
+      ORDER BY e.created_at DESC
+      LIMIT 1
+    `).bind(studentId, curriculumId).first()
+    
+    return c.json(evaluation || {})
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// トップページ
-app.get('/', (c) => {
-  return c.html(`
-    <!DOCTYPE html>
-    <html lang="ja">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>自由進度学習支援システム</title>
-        <script src="https://cdn.tailwindcss.com"></script>
-        <link href="https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/css/all.min.css" rel="stylesheet">
-        <script src="https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js"></script>
-        <script src="https://cdn.jsdelivr.net/npm/sortablejs@1.15.0/Sortable.min.js"></script>
-        <script src="https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js"></script>
-        <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
-        <script src="https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/dist/tf.min.js"></script>
-        <style>
-          @media print {
-            body { background: white !important; }
-            .print\\:hidden { display: none !important; }
-            .print\\:shadow-none { box-shadow: none !important; }
-            .print\\:break-after-page { page-break-after: always; }
-            .print\\:break-inside-avoid { page-break-inside: avoid; }
-            @page { margin: 1cm; }
-          }
-        </style>
-    </head>
-    <body class="bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen">
-        <div id="app">
-          <div class="flex items-center justify-center min-h-screen">
-            <div class="text-center">
-              <div class="inline-block animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-blue-600 mb-4"></div>
-              <p class="text-xl text-gray-700">システムを読み込んでいます...</p>
-            </div>
-          </div>
-        </div>
-        
-        <script src="https://cdn.jsdelivr.net/npm/axios@1.6.0/dist/axios.min.js"></script>
-        <script src="/static/app.js"></script>
-        <script>
-          // すべてのリソース読み込み後に実行
-          window.addEventListener('load', () => {
-            console.log('✅ ページ読み込み完了')
-            console.log('📦 renderTopPage:', typeof renderTopPage)
-            
-            try {
-              if (typeof renderTopPage === 'function') {
-                renderTopPage()
-              } else if (typeof window.renderTopPage === 'function') {
-                window.renderTopPage()
-              } else {
-                console.error('❌ renderTopPage関数が見つかりません')
-                // エラー表示
-                document.getElementById('app').innerHTML = '<div class="flex items-center justify-center min-h-screen p-4"><div class="bg-white rounded-lg shadow-xl p-8 max-w-md w-full text-center"><div class="text-red-600 mb-4"><i class="fas fa-exclamation-triangle text-6xl"></i></div><h2 class="text-2xl font-bold text-gray-800 mb-4">システムエラー</h2><p class="text-gray-600 mb-6">ページをリフレッシュしてください。</p><button onclick="location.reload()" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition"><i class="fas fa-redo mr-2"></i>リフレッシュ</button></div></div>'
-              }
-            } catch (error) {
-              console.error('エラー:', error)
-              document.getElementById('app').innerHTML = '<div class="flex items-center justify-center min-h-screen p-4"><div class="bg-white rounded-lg shadow-xl p-8 max-w-md w-full text-center"><div class="text-red-600 mb-4"><i class="fas fa-exclamation-triangle text-6xl"></i></div><h2 class="text-2xl font-bold text-gray-800 mb-4">エラー</h2><button onclick="location.reload()" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition">リフレッシュ</button></div></div>'
-            }
-          })
-        </script>
-    </body>
-    </html>
-  `)
-})
-
-// ============================================
-// Phase 6: AI機能フル実装
-// ============================================
-
-// APIルート：AI学習診断
-app.post('/api/ai/diagnosis', async (c) => {
+// APIルート：非認知能力評価保存
+app.post('/api/evaluations/non-cognitive', async (c) => {
   const { env } = c
-  const { studentId, curriculumId } = await c.req.json()
-  
-  const apiKey = env.GEMINI_API_KEY
-  
-  if (!apiKey) {
-    return c.json({
-      diagnosis: '学習診断機能は現在利用できません。',
-      recommendations: [],
-      strengths: [],
-      areas_for_improvement: []
-    })
-  }
+  const body = await c.req.json()
   
   try {
-    // 学習進捗データを取得
-    const progress = await env.DB.prepare(`
-      SELECT 
-        sp.*,
-        lc.card_title,
-        lc.card_type,
-        lc.card_number
-      FROM student_progress sp
-      JOIN learning_cards lc ON sp.learning_card_id = lc.id
-      WHERE sp.student_id = ? AND sp.curriculum_id = ?
-      ORDER BY sp.updated_at DESC
-      LIMIT 20
-    `).bind(studentId, curriculumId).all()
-    
-    // 助け要請データを取得
-    const helpRequests = await env.DB.prepare(`
-      SELECT help_type, COUNT(*) as count
-      FROM student_progress
-      WHERE student_id = ? AND curriculum_id = ?
-      GROUP BY help_type
-    `).bind(studentId, curriculumId).all()
-    
-    // 理解度データを集計
-    const understandingStats = progress.results.reduce((acc: any, item: any) => {
-      if (item.understanding_level) {
-        acc.total++
-        acc.sum += item.understanding_level
-        if (item.understanding_level >= 4) acc.high++
-        if (item.understanding_level <= 2) acc.low++
-      }
-      return acc
-    }, { total: 0, sum: 0, high: 0, low: 0 })
+    const studentId = await resolveStudentId(c, body.student_id)
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
     
-    const avgUnderstanding = understandingStats.total > 0 
-      ? (understandingStats.sum / understandingStats.total).toFixed(1) 
-      : '0'
+    const result = await env.DB.prepare(`
+      INSERT INTO non_cognitive_evaluations (
+        student_id, curriculum_id,
+        self_regulation, self_regulation_comment,
+        motivation, motivation_comment,
+        collaboration, collaboration_comment,
+        metacognition, metacognition_comment,
+        creativity, creativity_comment,
+        curiosity, curiosity_comment,
+        self_esteem, self_esteem_comment
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      studentId,
+      body.curriculum_id,
+      body.self_regulation || 0,
+      body.self_regulation_comment || '',
+      body.motivation || 0,
+      body.motivation_comment || '',
+      body.collaboration || 0,
+      body.collaboration_comment || '',
+      body.metacognition || 0,
+      body.metacognition_comment || '',
+      body.creativity || 0,
+      body.creativity_comment || '',
+      body.curiosity || 0,
+      body.curiosity_comment || '',
+      body.self_esteem || 0,
+      body.self_esteem_comment || ''
+    ).run()
     
-    // Gemini APIに診断を依頼
-    const prompt = `あなたは小学生の学習を支援する優しいAI先生です。
-以下の学習データから、この児童の学習状況を分析して、具体的なアドバイスをしてください。
-
-【学習データ】
-- 学習カード総数: ${progress.results.length}枚
-- 平均理解度: ${avgUnderstanding}/5
-- 高理解度カード: ${understandingStats.high}枚
-- 低理解度カード: ${understandingStats.low}枚
-- 助け要請: ${JSON.stringify(helpRequests.results)}
-
-【最近の学習カード】
-${progress.results.slice(0, 5).map((p: any) => 
-  `- ${p.card_title} (理解度: ${p.understanding_level || '未評価'}/5)`
-).join('\n')}
-
-以下のJSON形式で診断結果を出力してください：
-{
-  "overall_assessment": "全体的な学習状況の評価（100文字以内）",
-  "strengths": ["強み1", "強み2", "強み3"],
-  "areas_for_improvement": ["改善点1", "改善点2"],
-  "recommendations": [
-    {"title": "おすすめアクション1", "description": "具体的な説明"},
-    {"title": "おすすめアクション2", "description": "具体的な説明"}
-  ],
-  "encouragement": "児童への励ましメッセージ（50文字以内）"
-}`
+    return c.json({ success: true, id: result.meta.last_row_id })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 1000
-          }
-        })
-      }
-    )
+// APIルート：非認知能力評価更新
+app.put('/api/evaluations/non-cognitive/:id', async (c) => {
+  const { env } = c
+  const id = c.req.param('id')
+  const body = await c.req.json()
+  
+  try {
+    // 評価対象の児童を確認
+    const evaluation = await env.DB.prepare(`
+      SELECT student_id FROM non_cognitive_evaluations WHERE id = ?
+    `).bind(id).first()
     
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text || '{}'
+    if (!evaluation) {
+      return c.json({ error: '評価が見つかりません' }, 404)
+    }
     
-    // JSONを抽出（```json ... ``` の中身を取得）
-    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
-                      aiResponse.match(/\{[\s\S]*\}/)
-    const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : '{}'
-    const diagnosis = JSON.parse(jsonStr)
+    if (!(await canAccessStudent(env.DB, c.get('user'), evaluation.student_id))) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
     
-    return c.json(diagnosis)
+    await env.DB.prepare(`
+      UPDATE non_cognitive_evaluations SET
+        self_regulation = ?,
+        self_regulation_comment = ?,
+        motivation = ?,
+        motivation_comment = ?,
+        collaboration = ?,
+        collaboration_comment = ?,
+        metacognition = ?,
+        metacognition_comment = ?,
+        creativity = ?,
+        creativity_comment = ?,
+        curiosity = ?,
+        curiosity_comment = ?,
+        self_esteem = ?,
+        self_esteem_comment = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      body.self_regulation || 0,
+      body.self_regulation_comment || '',
+      body.motivation || 0,
+      body.motivation_comment || '',
+      body.collaboration || 0,
+      body.collaboration_comment || '',
+      body.metacognition || 0,
+      body.metacognition_comment || '',
+      body.creativity || 0,
+      body.creativity_comment || '',
+      body.curiosity || 0,
+      body.curiosity_comment || '',
+      body.self_esteem || 0,
+      body.self_esteem_comment || '',
+      id
+    ).run()
     
+    return c.json({ success: true })
   } catch (error) {
-    console.error('AI診断エラー:', error)
-    return c.json({
-      overall_assessment: '学習診断を実行できませんでした。',
-      strengths: ['頑張って学習を続けています'],
-      areas_for_improvement: [],
-      recommendations: [],
-      encouragement: 'これからも一緒に頑張りましょう！'
-    })
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：AI問題生成
-app.post('/api/ai/generate-problem', async (c) => {
+// APIルート：学習環境デザイン取得
+app.get('/api/environment/design/:curriculumId', async (c) => {
   const { env } = c
-  const { cardId, difficulty } = await c.req.json()
-  
-  const apiKey = env.GEMINI_API_KEY
-  
-  if (!apiKey) {
-    return c.json({
-      problem: '問題生成機能は現在利用できません。',
-      answer: '',
-      hint: ''
-    })
-  }
+  const curriculumId = c.req.param('curriculumId')
   
   try {
-    // 学習カード情報を取得
-    const card = await env.DB.prepare(`
-      SELECT * FROM learning_cards WHERE id = ?
-    `).bind(cardId).first()
-    
-    if (!card) {
-      return c.json({ error: 'カードが見つかりません' }, 404)
-    }
-    
-    const difficultyText = difficulty === 'easy' ? 'やさしい' : 
-                          difficulty === 'hard' ? '難しい' : '標準的な'
+    const design = await env.DB.prepare(`
+      SELECT * FROM learning_environment_designs
+      WHERE curriculum_id = ?
+      LIMIT 1
+    `).bind(curriculumId).first()
     
-    const prompt = `あなたは小学生向けの問題を作る先生です。
-以下の学習カードの内容に基づいて、${difficultyText}レベルの類似問題を1つ作成してください。
-
-【元の学習カード】
-タイトル: ${card.card_title}
-問題: ${card.problem_description}
-例題: ${card.example_problem}
+    return c.json(design || {})
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
 
-以下のJSON形式で問題を出力してください：
-{
-  "problem": "新しい問題文（数値や状況を変えて）",
-  "answer": "正解",
-  "hint": "ヒント（困ったときのアドバイス）",
-  "explanation": "解き方の説明"
-}`
-
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.8,
-            maxOutputTokens: 500
-          }
-        })
-      }
-    )
-    
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text || '{}'
-    
-    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
-                      aiResponse.match(/\{[\s\S]*\}/)
-    const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : '{}'
-    const generatedProblem = JSON.parse(jsonStr)
-    
-    return c.json(generatedProblem)
+// APIルート：学習環境デザイン保存
+app.post('/api/environment/design', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
+  
+  try {
+    const result = await env.DB.prepare(`
+      INSERT INTO learning_environment_designs (
+        curriculum_id,
+        expression_creative, expression_creative_enabled,
+        research_fieldwork, research_fieldwork_enabled,
+        critical_thinking, critical_thinking_enabled,
+        social_contribution, social_contribution_enabled,
+        metacognition_reflection, metacognition_reflection_enabled,
+        question_generation, question_generation_enabled
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      body.curriculum_id,
+      body.expression_creative || '',
+      body.expression_creative_enabled ? 1 : 0,
+      body.research_fieldwork || '',
+      body.research_fieldwork_enabled ? 1 : 0,
+      body.critical_thinking || '',
+      body.critical_thinking_enabled ? 1 : 0,
+      body.social_contribution || '',
+      body.social_contribution_enabled ? 1 : 0,
+      body.metacognition_reflection || '',
+      body.metacognition_reflection_enabled ? 1 : 0,
+      body.question_generation || '',
+      body.question_generation_enabled ? 1 : 0
+    ).run()
     
+    return c.json({ success: true, id: result.meta.last_row_id })
   } catch (error) {
-    console.error('問題生成エラー:', error)
-    return c.json({
-      problem: '問題を生成できませんでした。',
-      answer: '',
-      hint: '先生に聞いてみましょう',
-      explanation: ''
-    })
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：AI学習計画提案
-app.post('/api/ai/suggest-plan', async (c) => {
+// APIルート：学習環境デザイン更新
+app.put('/api/environment/design/:id', async (c) => {
   const { env } = c
-  const { studentId, curriculumId } = await c.req.json()
-  
-  const apiKey = env.GEMINI_API_KEY
-  
-  if (!apiKey) {
-    return c.json({
-      suggestion: '学習計画提案機能は現在利用できません。',
-      daily_goals: [],
-      weekly_goals: []
-    })
-  }
+  const id = c.req.param('id')
+  const body = await c.req.json()
   
   try {
-    // 進捗データを取得
-    const progress = await env.DB.prepare(`
-      SELECT sp.*, lc.card_title, lc.card_number, lc.card_type
-      FROM student_progress sp
-      JOIN learning_cards lc ON sp.learning_card_id = lc.id
-      WHERE sp.student_id = ? AND sp.curriculum_id = ?
-      ORDER BY sp.updated_at DESC
-    `).bind(studentId, curriculumId).all()
-    
-    // 学習計画を取得
-    const plans = await env.DB.prepare(`
-      SELECT * FROM learning_plans
-      WHERE student_id = ? AND curriculum_id = ?
-      ORDER BY planned_date DESC
-      LIMIT 7
-    `).bind(studentId, curriculumId).all()
-    
-    const completedCards = progress.results.filter((p: any) => p.is_completed).length
-    const totalCards = progress.results.length
-    
-    const prompt = `あなたは小学生の学習をサポートするAI先生です。
-以下のデータから、今後の学習計画を提案してください。
-
-【現在の状況】
-- 完了カード: ${completedCards}/${totalCards}枚
-- 最近の学習: ${plans.results.length}日分のデータ
-- 平均理解度: ${progress.results.filter((p: any) => p.understanding_level).length > 0 
-  ? (progress.results.reduce((sum: number, p: any) => sum + (p.understanding_level || 0), 0) / 
-     progress.results.filter((p: any) => p.understanding_level).length).toFixed(1) 
-  : '未評価'}
-
-以下のJSON形式で学習計画を提案してください：
-{
-  "overall_suggestion": "全体的な学習計画の提案（100文字以内）",
-  "daily_goals": [
-    {"day": "今日", "goal": "具体的な目標", "cards": 2},
-    {"day": "明日", "goal": "具体的な目標", "cards": 2}
-  ],
-  "weekly_goals": [
-    {"goal": "今週の目標1", "importance": "high"},
-    {"goal": "今週の目標2", "importance": "medium"}
-  ],
-  "tips": ["学習のコツ1", "学習のコツ2"]
-}`
-
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 800
-          }
-        })
-      }
-    )
-    
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text || '{}'
-    
-    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
-                      aiResponse.match(/\{[\s\S]*\}/)
-    const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : '{}'
-    const plan = JSON.parse(jsonStr)
-    
-    return c.json(plan)
+    await env.DB.prepare(`
+      UPDATE learning_environment_designs SET
+        expression_creative = ?,
+        expression_creative_enabled = ?,
+        research_fieldwork = ?,
+        research_fieldwork_enabled = ?,
+        critical_thinking = ?,
+        critical_thinking_enabled = ?,
+        social_contribution = ?,
+        social_contribution_enabled = ?,
+        metacognition_reflection = ?,
+        metacognition_reflection_enabled = ?,
+        question_generation = ?,
+        question_generation_enabled = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      body.expression_creative || '',
+      body.expression_creative_enabled ? 1 : 0,
+      body.research_fieldwork || '',
+      body.research_fieldwork_enabled ? 1 : 0,
+      body.critical_thinking || '',
+      body.critical_thinking_enabled ? 1 : 0,
+      body.social_contribution || '',
+      body.social_contribution_enabled ? 1 : 0,
+      body.metacognition_reflection || '',
+      body.metacognition_reflection_enabled ? 1 : 0,
+      body.question_generation || '',
+      body.question_generation_enabled ? 1 : 0,
+      id
+    ).run()
     
+    return c.json({ success: true })
   } catch (error) {
-    console.error('計画提案エラー:', error)
-    return c.json({
-      overall_suggestion: '学習計画を提案できませんでした。',
-      daily_goals: [],
-      weekly_goals: [],
-      tips: ['自分のペースで頑張りましょう']
-    })
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：AI誤答分析
-app.post('/api/ai/analyze-errors', async (c) => {
+// APIルート：先生カスタマイズ設定取得
+app.get('/api/teacher/customization/:curriculumId', async (c) => {
   const { env } = c
-  const { studentId, curriculumId } = await c.req.json()
-  
-  const apiKey = env.GEMINI_API_KEY
+  const curriculumId = c.req.param('curriculumId')
   
-  if (!apiKey) {
-    return c.json({
-      analysis: '誤答分析機能は現在利用できません。',
-      error_patterns: [],
-      suggestions_for_teacher: []
-    })
+  try {
+    const customization = await env.DB.prepare(`
+      SELECT * FROM teacher_customization
+      WHERE curriculum_id = ?
+      LIMIT 1
+    `).bind(curriculumId).first()
+    
+    return c.json(customization || {})
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
   }
+})
+
+// APIルート：先生カスタマイズ設定保存・更新
+app.post('/api/teacher/customization', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
   
   try {
-    // 理解度が低いカードを取得
-    const weakCards = await env.DB.prepare(`
-      SELECT sp.*, lc.card_title, lc.problem_description, lc.card_type
-      FROM student_progress sp
-      JOIN learning_cards lc ON sp.learning_card_id = lc.id
-      WHERE sp.student_id = ? 
-        AND sp.curriculum_id = ?
-        AND sp.understanding_level <= 2
-      ORDER BY sp.updated_at DESC
-      LIMIT 10
-    `).bind(studentId, curriculumId).all()
-    
-    // 助け要請が多いカードを取得
-    const helpCards = await env.DB.prepare(`
-      SELECT sp.*, lc.card_title, sp.help_type
-      FROM student_progress sp
-      JOIN learning_cards lc ON sp.learning_card_id = lc.id
-      WHERE sp.student_id = ? 
-        AND sp.curriculum_id = ?
-        AND sp.help_type IS NOT NULL
-      ORDER BY sp.updated_at DESC
-      LIMIT 10
-    `).bind(studentId, curriculumId).all()
-    
-    if (weakCards.results.length === 0 && helpCards.results.length === 0) {
-      return c.json({
-        analysis: 'この児童は順調に学習を進めています。特につまずきは見られません。',
-        error_patterns: [],
-        suggestions_for_teacher: ['引き続き見守りながら、チャレンジ問題を提案してみてください。']
-      })
-    }
+    // まず既存のデータがあるかチェック
+    const existing = await env.DB.prepare(`
+      SELECT id FROM teacher_customization
+      WHERE curriculum_id = ?
+    `).bind(body.curriculum_id).first()
     
-    const prompt = `あなたは教育専門のAI分析エージェントです。
-以下のデータから、児童のつまずきパターンを分析し、指導アドバイスを提供してください。
-
-【理解度が低いカード】
-${weakCards.results.map((c: any) => 
-  `- ${c.card_title} (理解度: ${c.understanding_level}/5)`
-).join('\n')}
-
-【助けを求めたカード】
-${helpCards.results.map((h: any) => 
-  `- ${h.card_title} (助け: ${h.help_type})`
-).join('\n')}
-
-以下のJSON形式で分析結果を出力してください：
-{
-  "overall_analysis": "全体的な分析（150文字以内）",
-  "error_patterns": [
-    {"pattern": "つまずきパターン1", "frequency": "よく見られる"},
-    {"pattern": "つまずきパターン2", "frequency": "時々見られる"}
-  ],
-  "root_causes": ["根本原因1", "根本原因2"],
-  "suggestions_for_teacher": [
-    {"suggestion": "指導アドバイス1", "priority": "high"},
-    {"suggestion": "指導アドバイス2", "priority": "medium"}
-  ],
-  "support_strategies": ["サポート方法1", "サポート方法2"]
-}`
-
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.6,
-            maxOutputTokens: 1000
-          }
-        })
-      }
-    )
+    if (existing) {
+      // 更新
+      await env.DB.prepare(`
+        UPDATE teacher_customization SET
+          teacher_id = ?,
+          teaching_philosophy = ?,
+          custom_unit_goal = ?,
+          custom_non_cognitive_goal = ?,
+          teaching_notes = ?,
+          gamification_enabled = ?,
+          badge_system_enabled = ?,
+          narrative_enabled = ?,
+          story_theme = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE curriculum_id = ?
+      `).bind(
+        c.get('user').id,
+        body.teaching_philosophy || '',
+        body.custom_unit_goal || '',
+        body.custom_non_cognitive_goal || '',
+        body.teaching_notes || '',
+        body.gamification_enabled ? 1 : 0,
+        body.badge_system_enabled ? 1 : 0,
+        body.narrative_enabled ? 1 : 0,
+        body.story_theme || '',
+        body.curriculum_id
+      ).run()
+      
+      return c.json({ success: true, id: existing.id })
+    } else {
+      // 新規作成
+      const result = await env.DB.prepare(`
+        INSERT INTO teacher_customization (
+          curriculum_id, teacher_id,
+          teaching_philosophy,
+          custom_unit_goal,
+          custom_non_cognitive_goal,
+          teaching_notes,
+          gamification_enabled,
+          badge_system_enabled,
+          narrative_enabled,
+          story_theme
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        body.curriculum_id,
+        c.get('user').id,
+        body.teaching_philosophy || '',
+        body.custom_unit_goal || '',
+        body.custom_non_cognitive_goal || '',
+        body.teaching_notes || '',
+        body.gamification_enabled ? 1 : 0,
+        body.badge_system_enabled ? 1 : 0,
+        body.narrative_enabled ? 1 : 0,
+        body.story_theme || ''
+      ).run()
+      
+      return c.json({ success: true, id: result.meta.last_row_id })
+    }
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
+
+// APIルート：生徒のバッジ取得
+app.get('/api/badges/student/:studentId/curriculum/:curriculumId', async (c) => {
+  const { env } = c
+  const studentId = c.req.param('studentId')
+  const curriculumId = c.req.param('curriculumId')
+  
+  try {
+    const badges = await env.DB.prepare(`
+      SELECT * FROM student_badges
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY earned_at DESC
+    `).bind(studentId, curriculumId).all()
+    
+    return c.json(badges.results)
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
+
+// ==============================================
+// バッジ付与エンジン
+// ==============================================
+
+const BADGE_TYPES = ['completion', 'help_giver', 'perseverance', 'creativity']
+
+// rule_type ごとの達成条件（threshold 以上で付与）
+const BADGE_RULE_TYPES: Record<string, string> = {
+  cards_completed: 'クリアした学習カードの枚数',
+  completion_rate: 'えらんだコースの学習カードのクリア率（%）',
+  completed_after_help: 'ヘルプを使ってクリアした学習カードの枚数',
+  help_given: '友だちのヘルプを解決した回数',
+  optional_completed: 'クリアした選択問題の数',
+  action_count: '学習行動ログの回数（action_type を指定）'
+}
+
+// action_count で数えられる行動（サーバーが記録するものだけ）
+// 児童が POST /api/behavior/logs で自由に書き込める行動を数えると、自分でバッジを取れてしまう
+// 数はほかの rule_type と同じ集計を使う（help_given はヘルプ待ちの列の解決記録。学習行動ログには記録しない）
+const SERVER_RECORDED_ACTION_TYPES: Record<string, string> = {
+  help_given: '友だちのヘルプを解決した'
+}
+
+interface BadgeRule {
+  id: number
+  curriculum_id: number | null
+  badge_type: string
+  badge_name: string
+  badge_description: string | null
+  rule_type: string
+  threshold: number
+  action_type: string | null
+}
+
+// 児童の達成状況を rule_type ごとに集計（action_count は "action_count:<action_type>" をキーにする）
+// help_given はヘルプ待ちの列で友だちとして解決した件数（学習行動ログは児童も書き込めるため使わない）
+async function collectBadgeMetrics(db: D1Database, studentId: any, curriculumId: any): Promise<Record<string, number>> {
+  const [progress, courses, optional, helps] = await db.batch([
+    db.prepare(`
+      SELECT
+        COUNT(DISTINCT CASE WHEN status = 'completed' THEN learning_card_id END) as cards_completed,
+        COUNT(DISTINCT CASE WHEN status = 'completed' AND (help_count > 0 OR help_requested_at IS NOT NULL)
+          THEN learning_card_id END) as completed_after_help
+      FROM student_progress
+      WHERE student_id = ? AND curriculum_id = ?
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT
+        lc.course_id,
+        COUNT(DISTINCT lc.id) as total_cards,
+        COUNT(DISTINCT CASE WHEN sp.status = 'completed' THEN lc.id END) as completed_cards
+      FROM learning_cards lc
+      LEFT JOIN student_progress sp ON sp.learning_card_id = lc.id AND sp.student_id = ?
+      WHERE lc.course_id IN (
+        SELECT DISTINCT course_id FROM student_progress
+        WHERE student_id = ? AND curriculum_id = ? AND course_id IS NOT NULL
+      )
+      GROUP BY lc.course_id
+    `).bind(studentId, studentId, curriculumId),
+    db.prepare(`
+      SELECT COUNT(*) as optional_completed
+      FROM optional_problem_progress
+      WHERE student_id = ? AND curriculum_id = ? AND status = 'completed'
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT COUNT(*) as help_given
+      FROM help_requests
+      WHERE helper_student_id = ? AND curriculum_id = ? AND status = 'resolved' AND resolution = 'peer'
+    `).bind(studentId, curriculumId)
+  ])
+  
+  const progressRow: any = progress.results?.[0] || {}
+  const metrics: Record<string, number> = {
+    cards_completed: progressRow.cards_completed || 0,
+    completed_after_help: progressRow.completed_after_help || 0,
+    optional_completed: (optional.results?.[0] as any)?.optional_completed || 0,
+    // 複数コースに取り組んだ場合は最もクリア率の高いコースで判定
+    completion_rate: Math.max(0, ...(courses.results || []).map((row: any) =>
+      row.total_cards > 0 ? Math.floor(row.completed_cards * 100 / row.total_cards) : 0
+    )),
+    help_given: (helps.results?.[0] as any)?.help_given || 0
+  }
+  
+  for (const actionType of Object.keys(SERVER_RECORDED_ACTION_TYPES)) {
+    metrics[`action_count:${actionType}`] = metrics[actionType] || 0
+  }
+  
+  return metrics
+}
+
+// バッジの評価と付与（付与済みのルールは評価しないため何度呼んでもよい）
+// バッジの失敗で呼び出し元の処理を失敗させないよう、エラーはログのみ
+async function evaluateBadges(db: D1Database, studentId: any, curriculumId: any) {
+  if (!studentId || !curriculumId) return []
+  
+  try {
+    // 先生がバッジ機能をオフにしている単元では付与しない
+    const customization = await db.prepare(`
+      SELECT badge_system_enabled FROM teacher_customization WHERE curriculum_id = ?
+    `).bind(curriculumId).first()
+    if (customization && !customization.badge_system_enabled) return []
+    
+    const rules = await db.prepare(`
+      SELECT * FROM badge_rules
+      WHERE is_active = 1
+        AND (curriculum_id IS NULL OR curriculum_id = ?)
+        AND id NOT IN (
+          SELECT rule_id FROM student_badges
+          WHERE student_id = ? AND curriculum_id = ? AND rule_id IS NOT NULL
+        )
+    `).bind(curriculumId, studentId, curriculumId).all()
     
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text || '{}'
+    const pending = (rules.results || []) as unknown as BadgeRule[]
+    if (pending.length === 0) return []
     
-    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
-                      aiResponse.match(/\{[\s\S]*\}/)
-    const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : '{}'
-    const analysis = JSON.parse(jsonStr)
+    const metrics = await collectBadgeMetrics(db, studentId, curriculumId)
+    const awarded = []
     
-    return c.json(analysis)
+    for (const rule of pending) {
+      const key = rule.rule_type === 'action_count' ? `action_count:${rule.action_type}` : rule.rule_type
+      if ((metrics[key] || 0) < rule.threshold) continue
+      
+      const result = await db.prepare(`
+        INSERT OR IGNORE INTO student_badges (
+          student_id, curriculum_id, rule_id, badge_type, badge_name, badge_description
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(studentId, curriculumId, rule.id, rule.badge_type, rule.badge_name, rule.badge_description).run()
+      
+      // 同時に評価された別リクエストが先に付与した場合は通知しない
+      if (!result.meta.changes) continue
+      
+      const badgeId = result.meta.last_row_id
+      await db.prepare(`
+        INSERT INTO student_notifications (user_id, notification_type, title, message, related_id)
+        VALUES (?, 'badge', ?, ?, ?)
+      `).bind(studentId, `バッジ「${rule.badge_name}」をゲット！`, rule.badge_description, badgeId).run()
+      
+      awarded.push({
+        id: badgeId,
+        rule_id: rule.id,
+        badge_type: rule.badge_type,
+        badge_name: rule.badge_name,
+        badge_description: rule.badge_description
+      })
+    }
     
+    return awarded
   } catch (error) {
-    console.error('誤答分析エラー:', error)
-    return c.json({
-      overall_analysis: '分析を実行できませんでした。',
-      error_patterns: [],
-      root_causes: [],
-      suggestions_for_teacher: [],
-      support_strategies: []
-    })
+    console.error('バッジ評価エラー:', error)
+    return []
   }
-})
+}
 
-// ============================================
-// Phase 7: AI単元自動生成システム
-// ============================================
+// ユーティリティ: バッジルールの入力検証（エラーメッセージを返す）
+function validateBadgeRule(body: any): string | null {
+  if (!BADGE_TYPES.includes(body.badge_type)) {
+    return `badge_type は ${BADGE_TYPES.join(' / ')} のいずれかを指定してください`
+  }
+  if (!body.badge_name || !String(body.badge_name).trim()) {
+    return 'バッジ名を入力してください'
+  }
+  if (!BADGE_RULE_TYPES[body.rule_type]) {
+    return `rule_type は ${Object.keys(BADGE_RULE_TYPES).join(' / ')} のいずれかを指定してください`
+  }
+  if (body.rule_type === 'action_count' && !SERVER_RECORDED_ACTION_TYPES[body.action_type]) {
+    return `action_count では action_type に ${Object.keys(SERVER_RECORDED_ACTION_TYPES).join(' / ')} のいずれかを指定してください`
+  }
+  const threshold = Number(body.threshold)
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    return 'threshold は1以上の整数を指定してください'
+  }
+  if (body.rule_type === 'completion_rate' && threshold > 100) {
+    return 'completion_rate の threshold は100以下で指定してください'
+  }
+  return null
+}
 
-// APIルート：単元名候補をAIで生成
-app.post('/api/ai/suggest-units', async (c) => {
+// APIルート：バッジルール一覧（既定ルール + 単元ごとのカスタムルール）
+app.get('/api/badges/rules/:curriculumId', async (c) => {
   const { env } = c
-  const { grade, subject, textbook } = await c.req.json()
-  
-  const apiKey = env.GEMINI_API_KEY
+  const curriculumId = c.req.param('curriculumId')
   
-  if (!apiKey) {
+  try {
+    const rules = await env.DB.prepare(`
+      SELECT
+        br.*,
+        (SELECT COUNT(*) FROM student_badges sb WHERE sb.rule_id = br.id AND sb.curriculum_id = ?) as awarded_count
+      FROM badge_rules br
+      WHERE br.curriculum_id IS NULL OR br.curriculum_id = ?
+      ORDER BY br.curriculum_id IS NOT NULL, br.id
+    `).bind(curriculumId, curriculumId).all()
+    
     return c.json({
-      error: '単元候補生成機能は現在利用できません。',
-      units: []
+      success: true,
+      rules: rules.results,
+      badgeTypes: BADGE_TYPES,
+      ruleTypes: BADGE_RULE_TYPES,
+      actionTypes: SERVER_RECORDED_ACTION_TYPES
     })
+  } catch (error: any) {
+    console.error('バッジルール取得エラー:', error)
+    return c.json({ success: false, error: 'バッジルールの取得に失敗しました', details: error.message }, 500)
+  }
+})
+
+// APIルート：カスタムバッジルール作成
+app.post('/api/badges/rules', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
+  
+  if (!body.curriculum_id) {
+    return c.json({ success: false, error: 'curriculum_id を指定してください' }, 400)
+  }
+  const validationError = validateBadgeRule(body)
+  if (validationError) {
+    return c.json({ success: false, error: validationError }, 400)
   }
   
   try {
-    const prompt = `${grade}${subject}（${textbook}）の単元名を10個、1行に1つずつ出力。番号不要。例:
-かけ算の筆算
-わり算の筆算
-小数のかけ算`
+    const result = await env.DB.prepare(`
+      INSERT INTO badge_rules (
+        curriculum_id, badge_type, badge_name, badge_description,
+        rule_type, threshold, action_type, is_active, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)
+    `).bind(
+      body.curriculum_id,
+      body.badge_type,
+      String(body.badge_name).trim(),
+      body.badge_description || null,
+      body.rule_type,
+      Number(body.threshold),
+      body.rule_type === 'action_count' ? body.action_type : null,
+      c.get('user').id
+    ).run()
+    
+    return c.json({ success: true, id: result.meta.last_row_id, message: 'バッジルールを作成しました' })
+  } catch (error: any) {
+    console.error('バッジルール作成エラー:', error)
+    return c.json({ success: false, error: 'バッジルールの作成に失敗しました', details: error.message }, 500)
+  }
+})
 
-    // 新しいヘルパー関数を使用（自動リトライ付き）
-    const models = ['gemini-2.5-flash', 'gemini-2.0-flash']
-    let result: GeminiResponse | null = null
+// APIルート：カスタムバッジルール更新（既定ルールは変更不可）
+app.put('/api/badges/rules/:id', async (c) => {
+  const { env } = c
+  const id = c.req.param('id')
+  const body = await c.req.json()
+  
+  try {
+    const rule = await env.DB.prepare(`SELECT * FROM badge_rules WHERE id = ?`).bind(id).first()
+    if (!rule) {
+      return c.json({ success: false, error: 'バッジルールが見つかりません' }, 404)
+    }
+    if (rule.curriculum_id === null) {
+      return c.json({ success: false, error: '既定のバッジルールは変更できません' }, 400)
+    }
     
-    for (const model of models) {
-      result = await callGeminiAPI({
-        model,
-        prompt,
-        apiKey,
-        maxOutputTokens: 1000,
-        temperature: 0.7,
-        retries: 2
-      })
-      
-      if (result.success) break
+    const merged = { ...rule, ...body }
+    const validationError = validateBadgeRule(merged)
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400)
     }
     
-    if (!result || !result.success || !result.content) {
-      throw new Error('すべてのモデルで単元候補の生成に失敗しました')
+    await env.DB.prepare(`
+      UPDATE badge_rules SET
+        badge_type = ?,
+        badge_name = ?,
+        badge_description = ?,
+        rule_type = ?,
+        threshold = ?,
+        action_type = ?,
+        is_active = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      merged.badge_type,
+      String(merged.badge_name).trim(),
+      merged.badge_description || null,
+      merged.rule_type,
+      Number(merged.threshold),
+      merged.rule_type === 'action_count' ? merged.action_type : null,
+      merged.is_active ? 1 : 0,
+      id
+    ).run()
+    
+    return c.json({ success: true, message: 'バッジルールを更新しました' })
+  } catch (error: any) {
+    console.error('バッジルール更新エラー:', error)
+    return c.json({ success: false, error: 'バッジルールの更新に失敗しました', details: error.message }, 500)
+  }
+})
+
+// APIルート：カスタムバッジルール削除（付与済みのバッジは残す）
+app.delete('/api/badges/rules/:id', async (c) => {
+  const { env } = c
+  const id = c.req.param('id')
+  
+  try {
+    const rule = await env.DB.prepare(`SELECT curriculum_id FROM badge_rules WHERE id = ?`).bind(id).first()
+    if (!rule) {
+      return c.json({ success: false, error: 'バッジルールが見つかりません' }, 404)
+    }
+    if (rule.curriculum_id === null) {
+      return c.json({ success: false, error: '既定のバッジルールは削除できません' }, 400)
     }
     
-    // レスポンスから単元名を抽出
-    console.log('📝 Gemini レスポンス:', result.content)
+    await env.DB.batch([
+      env.DB.prepare(`UPDATE student_badges SET rule_id = NULL WHERE rule_id = ?`).bind(id),
+      env.DB.prepare(`DELETE FROM badge_rules WHERE id = ?`).bind(id)
+    ])
     
-    const units = result.content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => {
-        // 数字・記号で始まる行を除外、長さチェックを緩和
-        const isValid = line && 
-                       !line.match(/^[\d\.\-\*\#]+\s*$/) && 
-                       line.length > 1 && 
-                       line.length < 100
-        if (line && line.length > 0) {
-          console.log(`  行: "${line}" -> ${isValid ? '✅ 採用' : '❌ 除外'}`)
-        }
-        return isValid
-      })
-      .map(line => line.replace(/^[\d\.\-\*\#\s]+/, '').trim()) // 先頭の番号・記号を削除
-      .filter(line => line.length > 1)
-      .slice(0, 10)
+    return c.json({ success: true, message: 'バッジルールを削除しました' })
+  } catch (error: any) {
+    console.error('バッジルール削除エラー:', error)
+    return c.json({ success: false, error: 'バッジルールの削除に失敗しました', details: error.message }, 500)
+  }
+})
+
+// APIルート：クラス全員のバッジを再評価（ルール追加後に既存の達成分を反映する）
+app.post('/api/badges/rules/:curriculumId/evaluate', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  const user = c.get('user')
+  
+  try {
+    const students = await env.DB.prepare(`
+      SELECT DISTINCT sp.student_id
+      FROM student_progress sp
+      JOIN users u ON sp.student_id = u.id
+      WHERE sp.curriculum_id = ? AND (? = 'admin' OR u.class_code = ?)
+    `).bind(curriculumId, user.role, user.class_code).all()
     
-    console.log('✅ 抽出された単元:', units)
+    let awardedCount = 0
+    for (const row of (students.results || []) as any[]) {
+      const awarded = await evaluateBadges(env.DB, row.student_id, curriculumId)
+      awardedCount += awarded.length
+    }
     
     return c.json({
       success: true,
-      units,
-      model_used: result.model,
-      attempts: result.attempts,
-      totalTime: result.totalTime
+      evaluatedStudents: students.results?.length || 0,
+      awardedCount,
+      message: `${awardedCount}個のバッジを付与しました`
     })
-    
   } catch (error: any) {
-    console.error('単元候補生成エラー:', error)
-    return c.json({
-      error: '単元候補の生成に失敗しました。',
-      details: error.message,
-      units: []
-    }, 500)
+    console.error('バッジ再評価エラー:', error)
+    return c.json({ success: false, error: 'バッジの再評価に失敗しました', details: error.message }, 500)
   }
 })
 
-// APIルート：AI単元生成
-app.post('/api/ai/generate-unit', async (c) => {
+// ==============================================
+// 児童向け通知
+// ==============================================
+
+// APIルート：自分宛ての通知一覧（?unread=1 で未読のみ）
+app.get('/api/notifications', async (c) => {
   const { env } = c
-  const { grade, subject, textbook, unitName, customization, qualityMode } = await c.req.json()
-  
-  // 環境変数からAPIキーを取得
-  const apiKey = env.GEMINI_API_KEY
+  const user = c.get('user')
+  const unreadOnly = c.req.query('unread') === '1'
   
-  if (!apiKey || apiKey === 'your-gemini-api-key-here') {
-    console.error('❌ APIキーが設定されていません')
-    return c.json({
-      error: 'Gemini APIキーが設定されていません。管理者に連絡してください。',
-      curriculum: null
-    }, 500)
+  try {
+    const notifications = await env.DB.prepare(`
+      SELECT * FROM student_notifications
+      WHERE user_id = ? ${unreadOnly ? 'AND is_read = 0' : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT 50
+    `).bind(user.id).all()
+    
+    return c.json({ success: true, notifications: notifications.results })
+  } catch (error: any) {
+    console.error('通知取得エラー:', error)
+    return c.json({ success: false, error: '通知の取得に失敗しました', details: error.message }, 500)
   }
-  
-  console.log('🔑 APIキー確認: 最初の10文字 =', apiKey.substring(0, 10))
+})
+
+// 先生からの連絡（class_message）の既読は「わかった」の返事なので、POST /api/class-messages/:id/ack でだけ付ける
+// （通知の既読操作で付けると、先生の画面の「わかった」の数が実際より多くなる）
+
+// APIルート：通知を既読にする
+app.post('/api/notifications/:id/read', async (c) => {
+  const { env } = c
+  const id = c.req.param('id')
   
   try {
-    // 品質モードに応じてモデルを選択
-    // 'standard' (デフォルト): Gemini 3 Flash - 高速
-    // 'high': Gemini 3 Pro - 高品質・詳細
-    const useHighQuality = qualityMode === 'high'
+    const result = await env.DB.prepare(`
+      UPDATE student_notifications
+      SET is_read = 1, read_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND is_read = 0 AND notification_type != 'class_message'
+    `).bind(id, c.get('user').id).run()
     
-    // カスタマイズ情報を整形
-    const customInfo = customization ? `
+    return c.json({ success: true, updated: result.meta.changes })
+  } catch (error: any) {
+    console.error('通知既読エラー:', error)
+    return c.json({ success: false, error: '通知の更新に失敗しました', details: error.message }, 500)
+  }
+})
 
-【特別な配慮・カスタマイズ】
-${customization.studentNeeds ? `生徒の状況: ${customization.studentNeeds}` : ''}
-${customization.teacherGoals ? `先生の願い: ${customization.teacherGoals}` : ''}
-${customization.learningStyle ? `学習スタイル: ${customization.learningStyle}` : ''}
-${customization.specialSupport ? `特別支援: ${customization.specialSupport}` : ''}
-` : ''
+// APIルート：通知をすべて既読にする（?type= で種類を限定。先生からの連絡は除く）
+app.post('/api/notifications/read-all', async (c) => {
+  const { env } = c
+  const type = c.req.query('type')
+  
+  try {
+    const result = await env.DB.prepare(`
+      UPDATE student_notifications
+      SET is_read = 1, read_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND is_read = 0 AND notification_type != 'class_message' ${type ? 'AND notification_type = ?' : ''}
+    `).bind(...(type ? [c.get('user').id, type] : [c.get('user').id])).run()
     
-    const prompt = `${grade}${subject}「${unitName}」（${textbook}）の学習カリキュラムをJSON形式で作成してください。
+    return c.json({ success: true, updated: result.meta.changes })
+  } catch (error: any) {
+    console.error('通知既読エラー:', error)
+    return c.json({ success: false, error: '通知の更新に失敗しました', details: error.message }, 500)
+  }
+})
 
-{
-  "curriculum": {
-    "grade": "${grade}",
-    "subject": "${subject}",
-    "textbook_company": "${textbook}",
-    "unit_name": "${unitName}",
-    "total_hours": 8,
-    "unit_goal": "学習目標（100文字、ふりがな付き）",
-    "non_cognitive_goal": "非認知目標（80文字）"
-  },
-  "courses": [
-    {
-      "course_name": "ゆっくりコース",
-      "course_label": "じっくり考えながら進むコース",
-      "description": "ひとつひとつていねいに学びたい人におすすめ",
-      "color_code": "green",
-      "cards": [{"card_number":1,"card_title":"タイトル","card_type":"main","textbook_page":"p.XX","problem_description":"問題","new_terms":"用語","example_problem":"例題","example_solution":"解法","real_world_connection":"つながり","answer":"解答（必須）","hints":[{"hint_level":1,"hint_text":"ヒント1"},{"hint_level":2,"hint_text":"ヒント2"},{"hint_level":3,"hint_text":"ヒント3"}]},
-        ... 全6枚]
-    },
-    {"course_name":"しっかりコース","course_label":"自分のペースで学ぶコース","description":"しっかり考えて学びたい人","color_code":"blue","cards":[...全6枚]},
-    {"course_name":"どんどんコース","course_label":"いろいろなことにちょうせんするコース","description":"発展的に学びたい人","color_code":"purple","cards":[...全6枚]}
-  ]
-}
+// ==============================================
+// 先生からの連絡（クラス全体へのお知らせ・児童へのメッセージ）
+// ==============================================
 
-【重要】
-- 3コース×各6枚=合計18枚のカード
-- 全カードにanswer（必須）
-- 全カードにhints配列3つ（必須）
-- JSONコードブロックなし、完全なJSONのみ
+const CLASS_MESSAGE_MAX_LENGTH = 200
 
-完全なJSONのみ出力してください。`
-    // 品質モードに応じてモデルを選択
-    // 複数モデルでフォールバック（最新安定版を優先）
-    const models = [
-      { name: 'gemini-2.5-flash', maxTokens: 16384 },     // 最新・最も安定
-      { name: 'gemini-2.0-flash', maxTokens: 16384 },     // 高速
-      { name: 'gemini-2.5-pro', maxTokens: 16384 }        // 最高品質
-    ]
-    
-    let response
-    let modelName
-    let lastError
-    
-    for (const model of models) {
-      try {
-        console.log(`🔄 初期生成モデル試行中: ${model.name}`)
-        modelName = model.name
-        
-        response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`,
-          {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              contents: [{ parts: [{ text: prompt }] }],
-              generationConfig: {
-                temperature: 0.8,
-                maxOutputTokens: model.maxTokens
-              }
-            })
-          }
-        )
-        
-        if (response.ok) {
-          console.log(`✅ 初期生成モデル成功: ${modelName}`)
-          break
-        } else {
-          const errorText = await response.text()
-          console.warn(`⚠️ 初期生成モデル失敗: ${modelName} (status: ${response.status})`)
-          console.warn(`   エラー詳細: ${errorText.substring(0, 200)}`)
-          lastError = new Error(`${modelName} returned ${response.status}: ${errorText.substring(0, 100)}`)
-        }
-      } catch (error: any) {
-        console.warn(`⚠️ 初期生成モデルエラー: ${model.name} - ${error.message}`)
-        lastError = error
-      }
-    }
-    
-    if (!response || !response.ok) {
-      console.error('❌ すべてのモデルが失敗しました:', lastError?.message)
-      throw lastError || new Error('すべてのモデルが失敗しました')
-    }
-    
-    const data = await response.json()
-    console.log('📦 API Response Status:', response.status)
-    console.log('📦 API Response Data Keys:', Object.keys(data))
-    
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text
-    
-    if (!aiResponse) {
-      console.error('❌ AIレスポンスが空です')
-      console.error('   完全なレスポンス:', JSON.stringify(data, null, 2).substring(0, 500))
-      return c.json({
-        error: '単元の生成に失敗しました。AIの応答が空でした。',
-        details: JSON.stringify(data).substring(0, 200),
-        curriculum: null
-      })
+// ユーティリティ: 連絡を児童に届ける形（リアルタイム配信と GET /api/class-messages で共通）
+// id はリアルタイム配信の通し番号に使われるので、連絡の id は messageId にする
+function toClassMessage(row: any) {
+  return {
+    messageId: row.id,
+    kind: row.recipient_id ? 'direct' : 'announcement',
+    body: row.body,
+    senderName: row.sender_name,
+    cardId: row.learning_card_id,
+    cardTitle: row.card_title,
+    acknowledged: !!row.is_read,
+    createdAt: row.created_at
+  }
+}
+
+// APIルート：クラスに連絡を送る（recipient_id を指定するとその児童だけに送る）
+app.post('/api/class-messages/class/:classCode', async (c) => {
+  const { env } = c
+  const user: SessionUser = c.get('user')
+  const classCode = c.req.param('classCode')
+  const body = await c.req.json()
+  
+  try {
+    const text = typeof body.body === 'string' ? body.body.trim() : ''
+    if (!text) {
+      return c.json({ success: false, error: '連絡の内容を入力してください' }, 400)
     }
-    
-    console.log('📝 AIレスポンス（最初の500文字）:', aiResponse.substring(0, 500))
-    console.log('📝 AIレスポンス（最後の200文字）:', aiResponse.substring(Math.max(0, aiResponse.length - 200)))
-    
-    // JSONを抽出（複数パターン対応、より寛容に）
-    let jsonStr
-    
-    // パターン1: ```json ... ``` コードブロック
-    const jsonCodeBlock = aiResponse.match(/```json\s*([\s\S]*?)\s*```/)
-    // パターン2: ``` ... ``` プレーンコードブロック（jsonタグなし）
-    const plainCodeBlock = aiResponse.match(/```\s*([\s\S]*?)\s*```/)
-    // パターン3: { ... } JSON オブジェクト（最長マッチ）
-    const jsonObject = aiResponse.match(/\{[\s\S]*\}/)
-    
-    if (jsonCodeBlock) {
-      jsonStr = jsonCodeBlock[1].trim()
-      console.log('✅ JSONコードブロック（```json）を検出')
-    } else if (plainCodeBlock) {
-      jsonStr = plainCodeBlock[1].trim()
-      console.log('✅ プレーンコードブロック（```）を検出')
-    } else if (jsonObject) {
-      jsonStr = jsonObject[0].trim()
-      console.log('✅ JSON オブジェクトを検出')
-    } else {
-      console.error('❌ JSONが見つかりません')
-      console.error('   AIレスポンス全文（最初の1000文字）:', aiResponse.substring(0, 1000))
-      return c.json({
-        error: '単元の生成に失敗しました。AIの応答からJSONを抽出できませんでした。',
-        details: aiResponse.substring(0, 500),
-        curriculum: null,
-        raw_response: aiResponse.substring(0, 1000)
-      }, 500)
+    if (text.length > CLASS_MESSAGE_MAX_LENGTH) {
+      return c.json({ success: false, error: `連絡は${CLASS_MESSAGE_MAX_LENGTH}文字以内で入力してください` }, 400)
     }
     
-    console.log('📋 抽出されたJSON（最初の300文字）:', jsonStr.substring(0, 300))
-    
-    let unitData
-    try {
-      unitData = JSON.parse(jsonStr)
-      console.log('✅ JSONパース成功')
-      console.log('📊 データ構造キー:', Object.keys(unitData))
-    } catch (parseError: any) {
-      console.error('❌ JSONパースエラー:', parseError.message)
-      console.error('   パース対象文字列（最初の500文字）:', jsonStr.substring(0, 500))
-      return c.json({
-        error: '単元の生成に失敗しました。AIの応答がJSON形式ではありませんでした。',
-        details: `パースエラー: ${parseError.message} | 文字列: ${jsonStr.substring(0, 200)}`,
-        curriculum: null
-      })
+    const recipientId = body.recipient_id ? Number(body.recipient_id) : null
+    if (recipientId !== null) {
+      const recipient = await env.DB.prepare(`
+        SELECT id FROM users WHERE id = ? AND role = 'student' AND class_code = ?
+      `).bind(recipientId, classCode).first()
+      if (!recipient) {
+        return c.json({ success: false, error: 'このクラスの児童を指定してください' }, 400)
+      }
     }
     
-    // データ構造を詳細に検証
-    const validationErrors = []
+    const card: any = body.learning_card_id
+      ? await env.DB.prepare(`SELECT id, card_title FROM learning_cards WHERE id = ?`).bind(body.learning_card_id).first()
+      : null
+    if (body.learning_card_id && !card) {
+      return c.json({ error: '学習カードが見つかりません' }, 404)
+    }
+    
+    // 連絡と児童ごとの通知（既読＝「わかった」）は同じバッチで入れる（だれにも届かない連絡を残さない）
+    // 通知の related_id はバッチの中で直前に入れた連絡として MAX(id) で引く（AUTOINCREMENT なので新しい行が最大）
+    const title = recipientId ? `${user.name}先生からのメッセージ` : `${user.name}先生からのお知らせ`
+    const [inserted, delivered] = await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO class_messages (class_code, sender_id, recipient_id, body, learning_card_id)
+        VALUES (?, ?, ?, ?, ?)
+        RETURNING id, created_at
+      `).bind(classCode, user.id, recipientId, text, card?.id ?? null),
+      env.DB.prepare(`
+        INSERT INTO student_notifications (user_id, notification_type, title, message, related_id)
+        SELECT id, 'class_message', ?, ?, (SELECT MAX(id) FROM class_messages)
+        FROM users
+        WHERE class_code = ? AND role = 'student' AND is_active = 1 ${recipientId ? 'AND id = ?' : ''}
+      `).bind(title, text, classCode, ...(recipientId ? [recipientId] : []))
+    ])
+    const message: any = inserted.results[0]
+    
+    await runInBackground(c, publishRealtime(c, classCode, recipientId ? 'direct_message' : 'announcement', toClassMessage({
+      id: message.id,
+      recipient_id: recipientId,
+      body: text,
+      sender_name: user.name,
+      learning_card_id: card?.id ?? null,
+      card_title: card?.card_title ?? null,
+      is_read: 0,
+      created_at: message.created_at
+    }), null, recipientId))
+    
+    return c.json({ success: true, id: message.id, recipientCount: delivered.meta.changes })
+  } catch (error: any) {
+    console.error('連絡送信エラー:', error)
+    return c.json({
+      success: false,
+      error: '連絡の送信に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：クラスに送った連絡と「わかった」の数（今日の分）
+app.get('/api/class-messages/class/:classCode', async (c) => {
+  const { env } = c
+  const classCode = c.req.param('classCode')
+  
+  try {
+    const messages = await env.DB.prepare(`
+      SELECT
+        m.id, m.recipient_id, r.name as recipient_name, m.body,
+        m.learning_card_id, lc.card_title, s.name as sender_name, m.created_at,
+        COUNT(n.id) as recipient_count,
+        COALESCE(SUM(n.is_read), 0) as acknowledged_count
+      FROM class_messages m
+      JOIN users s ON m.sender_id = s.id
+      LEFT JOIN users r ON m.recipient_id = r.id
+      LEFT JOIN learning_cards lc ON m.learning_card_id = lc.id
+      LEFT JOIN student_notifications n ON n.notification_type = 'class_message' AND n.related_id = m.id
+      WHERE m.class_code = ? AND m.created_at >= datetime('now', 'start of day')
+      GROUP BY m.id
+      ORDER BY m.created_at DESC, m.id DESC
+    `).bind(classCode).all()
     
-    // 必須フィールドのみ検証（追加問題は別APIで生成）
-    if (!unitData.curriculum) validationErrors.push('curriculum が欠けています')
-    if (!unitData.courses || !Array.isArray(unitData.courses)) validationErrors.push('courses が欠けているか配列ではありません')
+    return c.json({ success: true, messages: messages.results })
+  } catch (error: any) {
+    console.error('連絡一覧取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '連絡の取得に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：自分宛ての連絡（まだ「わかった」を押していないもの）
+app.get('/api/class-messages', async (c) => {
+  const { env } = c
+  const user: SessionUser = c.get('user')
+  
+  try {
+    const messages = await env.DB.prepare(`
+      SELECT
+        m.id, m.recipient_id, m.body, m.learning_card_id, lc.card_title,
+        s.name as sender_name, n.is_read, m.created_at
+      FROM student_notifications n
+      JOIN class_messages m ON n.related_id = m.id
+      JOIN users s ON m.sender_id = s.id
+      LEFT JOIN learning_cards lc ON m.learning_card_id = lc.id
+      WHERE n.user_id = ? AND n.notification_type = 'class_message' AND n.is_read = 0
+      ORDER BY m.created_at, m.id
+      LIMIT 20
+    `).bind(user.id).all()
     
-    // コースの検証
-    if (unitData.courses && Array.isArray(unitData.courses)) {
-      unitData.courses.forEach((course: any, index: number) => {
-        if (!course.cards || !Array.isArray(course.cards)) {
-          validationErrors.push(`コース${index + 1}の cards が欠けているか配列ではありません`)
-        } else if (course.cards.length !== 6) {
-          validationErrors.push(`コース${index + 1}は6枚のカードが必須ですが、${course.cards.length}枚しかありません`)
-        }
-      })
-    }
+    return c.json({ success: true, messages: messages.results.map(toClassMessage) })
+  } catch (error: any) {
+    console.error('連絡取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '連絡の取得に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：連絡に「わかった」を返す（先生に配信）
+app.post('/api/class-messages/:id/ack', async (c) => {
+  const { env } = c
+  const user: SessionUser = c.get('user')
+  const messageId = c.req.param('id')
+  
+  try {
+    const result = await env.DB.prepare(`
+      UPDATE student_notifications
+      SET is_read = 1, read_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND notification_type = 'class_message' AND related_id = ? AND is_read = 0
+    `).bind(user.id, messageId).run()
     
-    if (validationErrors.length > 0) {
-      console.error('単元データ検証エラー:', validationErrors)
-      console.error('生成されたデータの一部:', JSON.stringify(unitData).substring(0, 1000))
-      return c.json({
-        error: '単元データの構造が正しくありません。',
-        validation_errors: validationErrors,
-        curriculum: null
-      })
+    if (result.meta.changes > 0) {
+      await publishStudentEvent(c, user.id, 'message_acknowledged', { messageId: Number(messageId) })
     }
     
+    return c.json({ success: true, acknowledged: result.meta.changes > 0 })
+  } catch (error: any) {
+    console.error('連絡確認エラー:', error)
     return c.json({
-      success: true,
-      model_used: modelName,
-      data: unitData
-    })
-    
-  } catch (error) {
-    console.error('単元生成エラー:', error)
-    return c.json({
-      error: '単元を生成できませんでした。',
-      details: error instanceof Error ? error.message : String(error),
-      curriculum: null
-    })
+      success: false,
+      error: '連絡の確認に失敗しました',
+      details: error.message
+    }, 500)
   }
 })
 
-// APIルート：生成した単元を保存
-app.post('/api/curriculum/save-generated', async (c) => {
+// APIルート：学習ナラティブ取得
+app.get('/api/narratives/student/:studentId/curriculum/:curriculumId', async (c) => {
   const { env } = c
-  const { curriculum, courses, optionalProblems, courseSelectionProblems, commonCheckTest } = await c.req.json()
+  const studentId = c.req.param('studentId')
+  const curriculumId = c.req.param('curriculumId')
   
   try {
-    // カリキュラムを保存
-    const curriculumResult = await env.DB.prepare(`
-      INSERT INTO curriculum (
-        grade, subject, textbook_company, unit_name, 
-        unit_order, total_hours, unit_goal, non_cognitive_goal
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      curriculum.grade,
-      curriculum.subject,
-      curriculum.textbook_company,
-      curriculum.unit_name,
-      99, // 生成された単元は最後に追加
-      curriculum.total_hours,
-      curriculum.unit_goal,
-      curriculum.non_cognitive_goal
-    ).run()
-    
-    const curriculumId = curriculumResult.meta.last_row_id
-    
-    // コースを保存
-    for (const course of courses) {
-      // course_levelを決定（course_nameから推測）
-      let courseLevel = 'standard'
-      if (course.course_name?.includes('ゆっくり') || course.course_name?.includes('じっくり')) {
-        courseLevel = 'basic'
-      } else if (course.course_name?.includes('どんどん') || course.course_name?.includes('ぐんぐん')) {
-        courseLevel = 'advanced'
-      }
-      
-      const courseResult = await env.DB.prepare(`
-        INSERT INTO courses (
-          curriculum_id, course_level, course_display_name, 
-          selection_question_title, selection_question_content,
-          course_name, description, color_code, course_label
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).bind(
-        curriculumId,
-        courseLevel,
-        course.course_name || course.course_label || 'コース',
-        course.course_name || 'コース選択問題',
-        course.description || '',
-        course.course_name,
-        course.description,
-        course.color_code,
-        course.course_label || ''
-      ).run()
-      
-      const courseId = courseResult.meta.last_row_id
-      
-      // 学習カードを保存
-      for (const card of course.cards || []) {
-        const cardResult = await env.DB.prepare(`
-          INSERT INTO learning_cards (
-            course_id, card_number, card_title, card_type,
-            problem_content, new_terms, example_problem,
-            example_solution, real_world_context, textbook_page
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          courseId,
-          card.card_number,
-          card.card_title,
-          card.card_type || 'main',
-          card.problem_description || card.problem_content || '',
-          card.new_terms || '',
-          card.example_problem || '',
-          card.example_solution || '',
-          card.real_world_connection || card.real_world_context || '',
-          card.textbook_page || ''
-        ).run()
-        
-        const cardId = cardResult.meta.last_row_id
-        
-        // ヒントカードを保存
-        for (const hint of card.hints || []) {
-          await env.DB.prepare(`
-            INSERT INTO hint_cards (
-              learning_card_id, hint_number, hint_content, thinking_tool_suggestion
-            ) VALUES (?, ?, ?, ?)
-          `).bind(
-            cardId,
-            hint.hint_level || hint.hint_number || 1,
-            hint.hint_text || hint.hint_content || '',
-            hint.thinking_tool_suggestion || ''
-          ).run()
-        }
-      }
-    }
-    
-    // 選択問題を保存
-    for (const problem of optionalProblems || []) {
-      await env.DB.prepare(`
-        INSERT INTO optional_problems (
-          curriculum_id, problem_number, problem_title, problem_description,
-          difficulty_level, learning_meaning
-        ) VALUES (?, ?, ?, ?, ?, ?)
-      `).bind(
-        curriculumId,
-        problem.problem_number || 1,
-        problem.problem_title,
-        problem.problem_description,
-        problem.difficulty_level || 'medium',
-        problem.learning_meaning || ''
-      ).run()
-    }
-    
-    // コース選択問題を保存（カリキュラムメタデータとして）
-    if (courseSelectionProblems && courseSelectionProblems.length > 0) {
-      const courseSelectionJSON = JSON.stringify(courseSelectionProblems)
-      await env.DB.prepare(`
-        INSERT OR REPLACE INTO curriculum_metadata (
-          curriculum_id, metadata_key, metadata_value
-        ) VALUES (?, ?, ?)
-      `).bind(
-        curriculumId,
-        'course_selection_problems',
-        courseSelectionJSON
-      ).run()
-    }
-    
-    // 共通チェックテストを保存（カリキュラムメタデータとして）
-    if (commonCheckTest && commonCheckTest.sample_problems && commonCheckTest.sample_problems.length > 0) {
-      const checkTestJSON = JSON.stringify(commonCheckTest)
-      await env.DB.prepare(`
-        INSERT OR REPLACE INTO curriculum_metadata (
-          curriculum_id, metadata_key, metadata_value
-        ) VALUES (?, ?, ?)
-      `).bind(
-        curriculumId,
-        'common_check_test',
-        checkTestJSON
-      ).run()
-    }
-    
-    console.log('✅ 単元保存完了:', {
-      curriculum_id: curriculumId,
-      courses: courses.length,
-      total_cards: courses.reduce((sum, c) => sum + (c.cards?.length || 0), 0),
-      optional_problems: optionalProblems?.length || 0,
-      course_selection_problems: courseSelectionProblems?.length || 0,
-      common_check_test: commonCheckTest ? '有' : '無'
-    })
-    
-    return c.json({
-      success: true,
-      curriculum_id: curriculumId,
-      saved_data: {
-        optional_problems_count: optionalProblems?.length || 0,
-        course_selection_count: courseSelectionProblems?.length || 0,
-        common_check_test: !!commonCheckTest
-      }
-    })
+    const narratives = await env.DB.prepare(`
+      SELECT * FROM learning_narratives
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY chapter_number
+    `).bind(studentId, curriculumId).all()
     
+    return c.json(narratives.results)
   } catch (error) {
-    console.error('単元保存エラー:', error)
-    return c.json({ 
-      success: false,
-      error: 'Database error',
-      details: error instanceof Error ? error.message : String(error)
-    }, 500)
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：コース関連問題を生成（コース選択問題・導入問題）
-app.post('/api/curriculum/:curriculumId/generate-course-problems', async (c) => {
-  const { env } = c
-  const curriculumId = c.req.param('curriculumId')
-  const apiKey = env.GEMINI_API_KEY
+// ==============================================
+// 学習ナラティブ生成
+// ==============================================
+
+type NarrativeMilestoneType = 'course_completed' | 'check_test_passed' | 'unit_reflection'
+
+interface NarrativeMilestone {
+  type: NarrativeMilestoneType
+  key: string               // 同じマイルストーンで二重に章を作らないためのキー
+  courseId?: number | null
+}
+
+const NARRATIVE_MILESTONE_LABELS: Record<NarrativeMilestoneType, string> = {
+  course_completed: 'コースの学習カードをすべてやりとげた',
+  check_test_passed: 'チェックテストに合格した',
+  unit_reflection: '単元全体の振り返りを書いた'
+}
+
+// 章の材料になる学習データ（進捗・ヒント・振り返り・バッジ）を集める
+async function collectNarrativeSource(db: D1Database, studentId: any, curriculumId: any, milestone: NarrativeMilestone) {
+  const [student, curriculum, course, progress, helps, hints, reflections, unitReflection, badges, chapters] = await db.batch([
+    db.prepare(`SELECT name FROM users WHERE id = ?`).bind(studentId),
+    db.prepare(`SELECT grade, subject, unit_name FROM curriculum WHERE id = ?`).bind(curriculumId),
+    db.prepare(`SELECT course_display_name, course_name FROM courses WHERE id = ?`).bind(milestone.courseId ?? null),
+    db.prepare(`
+      SELECT
+        COUNT(DISTINCT CASE WHEN status = 'completed' THEN learning_card_id END) as completed_cards,
+        ROUND(AVG(understanding_level), 1) as avg_understanding,
+        MIN(created_at) as first_activity_at
+      FROM student_progress
+      WHERE student_id = ? AND curriculum_id = ?
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT COALESCE(help_type, help_requested_from) as help_type, COUNT(*) as count
+      FROM student_progress
+      WHERE student_id = ? AND curriculum_id = ? AND COALESCE(help_type, help_requested_from) IS NOT NULL
+      GROUP BY COALESCE(help_type, help_requested_from)
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT COUNT(*) as count FROM learning_behavior_logs
+      WHERE student_id = ? AND curriculum_id = ? AND action_type = 'hint_view'
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT hour_number, reflection_good, reflection_bad, reflection_learned
+      FROM learning_plans
+      WHERE student_id = ? AND curriculum_id = ?
+        AND (reflection_good != '' OR reflection_bad != '' OR reflection_learned != '')
+      ORDER BY hour_number DESC
+      LIMIT 3
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT reflection_good, reflection_bad, reflection_learned
+      FROM unit_reflections
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT badge_name FROM student_badges
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY earned_at
+    `).bind(studentId, curriculumId),
+    db.prepare(`
+      SELECT chapter_number, chapter_title FROM learning_narratives
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY chapter_number
+    `).bind(studentId, curriculumId)
+  ])
+  
+  const first = (result: D1Result) => (result.results?.[0] || {}) as any
   
-  if (!apiKey || apiKey === 'your-gemini-api-key-here') {
-    return c.json({ error: 'Gemini APIキーが設定されていません' }, 500)
+  return {
+    studentName: first(student).name || '',
+    unit: first(curriculum),
+    courseName: first(course).course_display_name || first(course).course_name || null,
+    progress: first(progress),
+    helpCounts: Object.fromEntries((helps.results || []).map((row: any) => [row.help_type, row.count])),
+    hintViews: first(hints).count || 0,
+    reflections: ((reflections.results || []) as any[]).reverse(),
+    unitReflection: unitReflection.results?.[0] || null,
+    badges: (badges.results || []).map((row: any) => row.badge_name),
+    previousChapters: (chapters.results || []) as any[]
   }
+}
+
+type NarrativeSource = Awaited<ReturnType<typeof collectNarrativeSource>>
+
+function buildNarrativePrompt(source: NarrativeSource, milestone: NarrativeMilestone, storyTheme: string | null): string {
+  const reflectionLines = source.reflections.map((r: any) =>
+    `${r.hour_number}時間目: よかった「${r.reflection_good || 'なし'}」むずかしかった「${r.reflection_bad || 'なし'}」わかった「${r.reflection_learned || 'なし'}」`
+  ).join('\n')
+  const unitReflection: any = source.unitReflection
   
-  try {
-    // カリキュラムと3コースの情報を取得
-    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
-    const courses = await env.DB.prepare('SELECT * FROM courses WHERE curriculum_id = ?').bind(curriculumId).all()
-    
-    if (!curriculum || !courses.results || courses.results.length === 0) {
-      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
-    }
-    
-    // AIプロンプト：コース関連問題のみ
-    const prompt = `小学${curriculum.grade}年 ${curriculum.subject}「${curriculum.unit_name}」の問題を生成。
+  return `あなたは小学生の学びを物語にする作家です。子どもの実際の学習記録をもとに、学習ストーリーの新しい章を書いてください。
 
-【必須：3つのコース】
-1. ${courses.results[0]?.course_name || 'ゆっくりコース'}
-2. ${courses.results[1]?.course_name || 'しっかりコース'}  
-3. ${courses.results[2]?.course_name || 'ぐんぐんコース'}
+【主人公】${source.studentName}さん（${source.unit.grade || ''} ${source.unit.subject || ''}「${source.unit.unit_name || ''}」を学習中）
+${storyTheme ? `【物語のテーマ】${storyTheme}\n` : ''}【今回のできごと】${NARRATIVE_MILESTONE_LABELS[milestone.type]}${source.courseName ? `（${source.courseName}）` : ''}
 
-【必須：JSONのみ出力】
+【学習の記録】
+- クリアした学習カード: ${source.progress.completed_cards || 0}枚
+- 分かった度の平均: ${source.progress.avg_understanding ?? 'なし'}（5段階）
+- 使ったヘルプ: ${Object.entries(source.helpCounts).map(([type, count]) => `${type} ${count}回`).join('、') || 'なし'}
+- ヒントカードを見た回数: ${source.hintViews}回
+- 獲得したバッジ: ${source.badges.join('、') || 'なし'}
+${reflectionLines ? `\n【毎時間の振り返り（最近のもの）】\n${reflectionLines}\n` : ''}${unitReflection ? `\n【単元全体の振り返り】\nよかったこと: ${unitReflection.reflection_good || 'なし'}\n直したいこと: ${unitReflection.reflection_bad || 'なし'}\nわかったこと: ${unitReflection.reflection_learned || 'なし'}\n` : ''}${source.previousChapters.length > 0 ? `\n【これまでの章】\n${source.previousChapters.map((ch: any) => `第${ch.chapter_number}章: ${ch.chapter_title}`).join('\n')}\n` : ''}
+【書き方のルール】
+1. 記録にない出来事を作らない（ヒントや友だちの助けを使ったことも、前向きな工夫として描く）
+2. 振り返りに書かれた言葉を1つ以上物語に取り入れる
+3. 小学生が読める言葉で、200〜300文字
+4. これまでの章に続く話として書く
+
+以下のJSON形式で出力してください：
+\`\`\`json
 {
-  "course_selection_problems": [
-    {"problem_number": 1, "problem_title": "コース1の魅力的なタイトル", "problem_content": "具体的な数字を含む問題文（50字以上）", "course_level": "基礎"},
-    {"problem_number": 2, "problem_title": "コース2の魅力的なタイトル", "problem_content": "具体的な数字を含む問題文（50字以上）", "course_level": "標準"},
-    {"problem_number": 3, "problem_title": "コース3の魅力的なタイトル", "problem_content": "具体的な数字を含む問題文（50字以上）", "course_level": "発展"}
-  ],
-  "introduction_problems": [
-    {"course_number": 1, "problem_title": "導入問題1", "problem_content": "具体的な数字を含む問題文（50字以上）", "answer": "解答と解説（30字以上）"},
-    {"course_number": 2, "problem_title": "導入問題2", "problem_content": "具体的な数字を含む問題文（50字以上）", "answer": "解答と解説（30字以上）"},
-    {"course_number": 3, "problem_title": "導入問題3", "problem_content": "具体的な数字を含む問題文（50字以上）", "answer": "解答と解説（30字以上）"}
-  ]
-}`
+  "chapter_title": "章のタイトル（20文字以内）",
+  "story_content": "本文"
+}
+\`\`\``
+}
 
-    // フォールバック機能付きAPI呼び出し
-    const models = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.5-pro']
-    let response
-    let lastError
-    
-    for (const model of models) {
-      try {
-        console.log(`🔄 モデル試行中: ${model}`)
-        response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-          {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              contents: [{ parts: [{ text: prompt }] }],
-              generationConfig: { temperature: 0.8, maxOutputTokens: 8192 }
-            })
+// AIが使えない・失敗したときの定型文
+function buildTemplateNarrative(source: NarrativeSource, milestone: NarrativeMilestone) {
+  const name = source.studentName ? `${source.studentName}さん` : 'あなた'
+  const unitName = source.unit.unit_name || 'この単元'
+  const helpTotal = Object.values(source.helpCounts).reduce((sum: number, count: any) => sum + count, 0)
+  const helpSentence = helpTotal > 0
+    ? `こまったときは${helpTotal}回ヘルプを使い、自分の力に変えてきました。`
+    : '自分の力でこつこつと進めてきました。'
+  
+  switch (milestone.type) {
+    case 'course_completed':
+      return {
+        chapter_title: `${source.courseName || 'コース'}をやりとげた！`,
+        story_content: `${name}は「${unitName}」の${source.courseName || 'コース'}の学習カードを、さいごまでやりとげました。${helpSentence}つぎはチェックテストにちょうせんです。`
+      }
+    case 'check_test_passed':
+      return {
+        chapter_title: 'チェックテスト合格！',
+        story_content: `${name}は「${unitName}」のチェックテストに合格しました。これまでにクリアした学習カードは${source.progress.completed_cards || 0}枚。${helpSentence}えらべる問題で、もっと広い世界へ進もう。`
+      }
+    case 'unit_reflection': {
+      const learned = (source.unitReflection as any)?.reflection_learned
+      return {
+        chapter_title: `「${unitName}」の旅をふりかえって`,
+        story_content: `${name}は「${unitName}」の学習をふりかえりました。${learned ? `「${learned}」ということがわかりました。` : ''}${helpSentence}この経験は、つぎの単元でもきっと役に立ちます。`
+      }
+    }
+  }
+}
+
+// マイルストーン到達時に新しい章を追加（同じマイルストーンでは1回だけ）
+// レスポンスを待たせないよう runInBackground から呼ぶ。エラーはログのみ
+async function generateNarrativeChapter(env: Bindings, studentId: any, curriculumId: any, milestone: NarrativeMilestone) {
+  const db = env.DB
+  
+  try {
+    // 先生がナラティブ機能をオフにしている単元では作らない
+    const customization = await db.prepare(`
+      SELECT narrative_enabled, story_theme FROM teacher_customization WHERE curriculum_id = ?
+    `).bind(curriculumId).first()
+    if (customization && !customization.narrative_enabled) return null
+    
+    const existing = await db.prepare(`
+      SELECT id FROM learning_narratives
+      WHERE student_id = ? AND curriculum_id = ? AND milestone_key = ?
+    `).bind(studentId, curriculumId, milestone.key).first()
+    if (existing) return null
+    
+    const source = await collectNarrativeSource(db, studentId, curriculumId, milestone)
+    let chapter = buildTemplateNarrative(source, milestone)
+    let generatedBy = 'template'
+    
+    if (isLLMConfigured(env)) {
+      const result = await callLLM(env, {
+        task: 'narrative',
+        model: 'gemini-2.5-flash',
+        prompt: buildNarrativePrompt(source, milestone, (customization?.story_theme as string) || null),
+        maxOutputTokens: 1024,
+        temperature: 0.9,
+        retries: 2
+      })
+      
+      if (result.success && result.content) {
+        const jsonMatch = result.content.match(/```json\s*([\s\S]*?)\s*```/) || result.content.match(/\{[\s\S]*\}/)
+        try {
+          const parsed = JSON.parse(jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : result.content)
+          if (parsed.chapter_title && parsed.story_content) {
+            chapter = {
+              chapter_title: String(parsed.chapter_title).slice(0, 50),
+              story_content: String(parsed.story_content)
+            }
+            generatedBy = 'ai'
           }
-        )
-        
-        if (response.ok) {
-          console.log(`✅ モデル成功: ${model}`)
-          break
-        } else {
-          console.warn(`⚠️ モデル失敗: ${model} (status: ${response.status})`)
-          lastError = new Error(`${model} returned ${response.status}`)
+        } catch (parseError) {
+          console.error('ナラティブJSON解析エラー:', parseError)
         }
-      } catch (error: any) {
-        console.warn(`⚠️ モデルエラー: ${model} - ${error.message}`)
-        lastError = error
       }
     }
     
-    if (!response || !response.ok) {
-      throw lastError || new Error('すべてのモデルが失敗しました')
-    }
-    
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text
-    
-    if (!aiResponse) {
-      throw new Error('AI response is empty')
-    }
-    
-    // JSONを抽出
-    console.log('AIレスポンス（コース問題）:', aiResponse)
-    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
-    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
-    const problems = JSON.parse(jsonText)
-    console.log('パース結果（コース問題）:', JSON.stringify(problems, null, 2))
+    const chapterNumber = (source.previousChapters.at(-1)?.chapter_number || 0) + 1
+    const summary = {
+      milestone: milestone.type,
+      courseName: source.courseName,
+      completedCards: source.progress.completed_cards || 0,
+      avgUnderstanding: source.progress.avg_understanding,
+      helpCounts: source.helpCounts,
+      hintViews: source.hintViews,
+      badges: source.badges
+    }
+    
+    // 同時に到達した別リクエストと重なった場合はユニークインデックスで1件に絞る
+    const result = await db.prepare(`
+      INSERT OR IGNORE INTO learning_narratives (
+        student_id, curriculum_id, chapter_number, chapter_title, story_content,
+        milestone_reached, milestone_type, milestone_key, source_summary, generated_by
+      ) VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+    `).bind(
+      studentId,
+      curriculumId,
+      chapterNumber,
+      chapter.chapter_title,
+      chapter.story_content,
+      milestone.type,
+      milestone.key,
+      JSON.stringify(summary),
+      generatedBy
+    ).run()
     
-    // データベースに保存
-    if (problems.course_selection_problems) {
-      console.log(`コース選択問題を保存: ${problems.course_selection_problems.length}件`)
-      const courseSelectionJSON = JSON.stringify(problems.course_selection_problems)
-      await env.DB.prepare(`
-        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
-        VALUES (?, ?, ?)
-      `).bind(curriculumId, 'course_selection_problems', courseSelectionJSON).run()
-    } else {
-      console.warn('course_selection_problemsが見つかりません')
+    if (result.meta.changes) {
+      console.log(`📖 ナラティブ第${chapterNumber}章を追加: student=${studentId} curriculum=${curriculumId} (${milestone.type}, ${generatedBy})`)
     }
-    
-    if (problems.introduction_problems) {
-      console.log(`導入問題を保存: ${problems.introduction_problems.length}件`)
-      const coursesList = courses.results
-      for (let i = 0; i < problems.introduction_problems.length && i < coursesList.length; i++) {
-        const introProblem = problems.introduction_problems[i]
-        const course = coursesList[i]
-        const introJSON = JSON.stringify(introProblem)
-        console.log(`コース${i+1}(ID:${course.id})に導入問題を保存:`, introProblem.problem_title)
-        await env.DB.prepare(`
-          UPDATE courses SET introduction_problem = ? WHERE id = ?
-        `).bind(introJSON, course.id).run()
-      }
-    } else {
-      console.warn('introduction_problemsが見つかりません')
-    }
-    
-    return c.json({ 
-      success: true, 
-      message: 'コース関連問題を生成・保存しました',
-      details: {
-        course_selection_count: problems.course_selection_problems?.length || 0,
-        introduction_count: problems.introduction_problems?.length || 0
-      }
-    })
-    
-  } catch (error: any) {
-    console.error('コース関連問題生成エラー:', error)
-    console.error('エラースタック:', error.stack)
-    return c.json({ 
-      error: 'コース関連問題の生成に失敗しました', 
-      details: error.message,
-      stack: error.stack?.substring(0, 200)
-    }, 500)
+    return result.meta.changes ? chapterNumber : null
+  } catch (error) {
+    console.error('ナラティブ生成エラー:', error)
+    return null
   }
-})
+}
 
-// APIルート：評価問題を生成（チェックテスト・選択問題）
-app.post('/api/curriculum/:curriculumId/generate-assessment-problems', async (c) => {
+// ユーティリティ: コースの学習カードをすべてクリアしたか
+async function isCourseCompleted(db: D1Database, studentId: any, courseId: any): Promise<boolean> {
+  if (!courseId) return false
+  
+  const row = await db.prepare(`
+    SELECT
+      COUNT(DISTINCT lc.id) as total_cards,
+      COUNT(DISTINCT CASE WHEN sp.status = 'completed' THEN lc.id END) as completed_cards
+    FROM learning_cards lc
+    LEFT JOIN student_progress sp ON sp.learning_card_id = lc.id AND sp.student_id = ?
+    WHERE lc.course_id = ?
+  `).bind(studentId, courseId).first() as any
+  
+  return !!row && row.total_cards > 0 && row.completed_cards >= row.total_cards
+}
+
+// ==================== 問題編集機能 API ====================
+
+// APIルート：学習カード更新
+app.put('/api/cards/:cardId', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('curriculumId')
-  const apiKey = env.GEMINI_API_KEY
+  const cardId = c.req.param('cardId')
+  const body = await c.req.json()
   
-  if (!apiKey || apiKey === 'your-gemini-api-key-here') {
-    return c.json({ error: 'Gemini APIキーが設定されていません' }, 500)
+  try {
+    await env.DB.prepare(`
+      UPDATE learning_cards SET
+        card_title = ?,
+        problem_description = ?,
+        new_terms = ?,
+        example_problem = ?,
+        example_solution = ?,
+        diagram_url = ?,
+        real_world_connection = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      body.card_title || '',
+      body.problem_description || '',
+      body.new_terms || '',
+      body.example_problem || '',
+      body.example_solution || '',
+      body.diagram_url || '',
+      body.real_world_connection || '',
+      cardId
+    ).run()
+    
+    return c.json({ success: true })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
   }
+})
+
+// APIルート：学習カード追加
+app.post('/api/cards', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
   
   try {
-    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
-    
-    if (!curriculum) {
-      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
-    }
+    const result = await env.DB.prepare(`
+      INSERT INTO learning_cards (
+        course_id, card_number, card_title, card_type,
+        problem_description, new_terms, example_problem,
+        example_solution, diagram_url, real_world_connection
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      body.course_id,
+      body.card_number,
+      body.card_title || '',
+      body.card_type || 'main',
+      body.problem_description || '',
+      body.new_terms || '',
+      body.example_problem || '',
+      body.example_solution || '',
+      body.diagram_url || '',
+      body.real_world_connection || ''
+    ).run()
     
-    // AIプロンプト：評価問題のみ
-    const prompt = `小学${curriculum.grade}年 ${curriculum.subject}「${curriculum.unit_name}」の評価問題を生成。
-
-【必須：JSONのみ出力】
-{
-  "common_check_test": {
-    "test_title": "基礎基本チェックテスト",
-    "sample_problems": [
-      {"problem_number": 1, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "difficulty": "basic"},
-      {"problem_number": 2, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "difficulty": "basic"},
-      {"problem_number": 3, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "difficulty": "basic"},
-      {"problem_number": 4, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "difficulty": "basic"},
-      {"problem_number": 5, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "difficulty": "basic"},
-      {"problem_number": 6, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "difficulty": "basic"}
-    ]
-  },
-  "optional_problems": [
-    {"problem_number": 1, "problem_title": "実生活問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "実生活で役立つ力がつく（20字以上）", "difficulty_level": "medium"},
-    {"problem_number": 2, "problem_title": "考え方問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "深く理解できる（20字以上）", "difficulty_level": "medium"},
-    {"problem_number": 3, "problem_title": "他教科問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "他教科でも使える（20字以上）", "difficulty_level": "hard"},
-    {"problem_number": 4, "problem_title": "応用問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "組み合わせて考える力（20字以上）", "difficulty_level": "hard"},
-    {"problem_number": 5, "problem_title": "探究問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "不思議さに気づく（20字以上）", "difficulty_level": "very_hard"},
-    {"problem_number": 6, "problem_title": "創造問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "新しい方法を考える（20字以上）", "difficulty_level": "very_hard"}
-  ]
-}`
+    return c.json({ success: true, id: result.meta.last_row_id })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
 
-    // フォールバック機能付きAPI呼び出し
-    const models = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.5-pro']
-    let response
-    let lastError
-    
-    for (const model of models) {
-      try {
-        console.log(`🔄 評価問題モデル試行中: ${model}`)
-        response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-          {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              contents: [{ parts: [{ text: prompt }] }],
-              generationConfig: { temperature: 0.8, maxOutputTokens: 8192 }
-            })
-          }
-        )
-        
-        if (response.ok) {
-          console.log(`✅ 評価問題モデル成功: ${model}`)
-          break
-        } else {
-          console.warn(`⚠️ 評価問題モデル失敗: ${model} (status: ${response.status})`)
-          lastError = new Error(`${model} returned ${response.status}`)
-        }
-      } catch (error: any) {
-        console.warn(`⚠️ 評価問題モデルエラー: ${model} - ${error.message}`)
-        lastError = error
-      }
-    }
-    
-    if (!response || !response.ok) {
-      throw lastError || new Error('すべてのモデルが失敗しました')
-    }
-    
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text
-    
-    if (!aiResponse) {
-      throw new Error('AI response is empty')
-    }
-    
-    // JSONを抽出
-    console.log('AIレスポンス（評価問題）:', aiResponse)
-    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
-    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
-    const problems = JSON.parse(jsonText)
-    console.log('パース結果（評価問題）:', JSON.stringify(problems, null, 2))
-    
-    // データベースに保存
-    if (problems.common_check_test) {
-      const sampleCount = problems.common_check_test.sample_problems?.length || 0
-      console.log(`チェックテスト問題を保存: ${sampleCount}件`)
-      
-      // test_titleとtest_descriptionを追加
-      const checkTestWithMeta = {
-        test_title: problems.common_check_test.test_title || '全コース共通の基礎基本チェックテスト',
-        test_description: problems.common_check_test.test_description || 'どのコースを選んでも、同じチェックテストを受けます。単元の基礎基本が身についているかを確認します。',
-        sample_problems: problems.common_check_test.sample_problems || []
-      }
-      
-      const checkTestJSON = JSON.stringify(checkTestWithMeta)
-      await env.DB.prepare(`
-        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
-        VALUES (?, ?, ?)
-      `).bind(curriculumId, 'common_check_test', checkTestJSON).run()
-    } else {
-      console.warn('common_check_testが見つかりません')
-    }
-    
-    if (problems.optional_problems) {
-      console.log(`選択問題を保存: ${problems.optional_problems.length}件`)
-      for (const problem of problems.optional_problems) {
-        console.log(`  - 問題${problem.problem_number}: ${problem.problem_title}`)
-        await env.DB.prepare(`
-          INSERT INTO optional_problems (
-            curriculum_id, problem_number, problem_title, problem_content, problem_description,
-            difficulty_level, learning_meaning
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          curriculumId,
-          problem.problem_number,
-          problem.problem_title,
-          problem.problem_description,  // problem_content
-          problem.problem_description,  // problem_description
-          problem.difficulty_level || 'medium',
-          problem.learning_meaning || ''
-        ).run()
-      }
-    } else {
-      console.warn('optional_problemsが見つかりません')
-    }
+// APIルート：学習カード削除
+app.delete('/api/cards/:cardId', async (c) => {
+  const { env } = c
+  const cardId = c.req.param('cardId')
+  
+  try {
+    // 関連するヒントカードも削除
+    await env.DB.prepare(`
+      DELETE FROM hint_cards WHERE learning_card_id = ?
+    `).bind(cardId).run()
     
-    return c.json({ 
-      success: true, 
-      message: '評価問題を生成・保存しました',
-      details: {
-        check_test_count: problems.common_check_test?.sample_problems?.length || 0,
-        optional_count: problems.optional_problems?.length || 0
-      }
-    })
+    // 学習カード削除
+    await env.DB.prepare(`
+      DELETE FROM learning_cards WHERE id = ?
+    `).bind(cardId).run()
     
-  } catch (error: any) {
-    console.error('評価問題生成エラー:', error)
-    console.error('エラースタック:', error.stack)
-    return c.json({ 
-      error: '評価問題の生成に失敗しました', 
-      details: error.message,
-      stack: error.stack?.substring(0, 200)
-    }, 500)
+    return c.json({ success: true })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
   }
 })
 
-// APIルート：導入問題のみを生成（軽量・高速）
-app.post('/api/curriculum/:curriculumId/generate-intro-problems', async (c) => {
+// APIルート：ヒントカード更新
+app.put('/api/hints/:hintId', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('curriculumId')
-  const apiKey = env.GEMINI_API_KEY
+  const hintId = c.req.param('hintId')
+  const body = await c.req.json()
   
-  if (!apiKey || apiKey === 'your-gemini-api-key-here') {
-    return c.json({ error: 'Gemini APIキーが設定されていません' }, 500)
+  try {
+    await env.DB.prepare(`
+      UPDATE hint_cards SET
+        hint_text = ?,
+        thinking_tool_suggestion = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      body.hint_text || '',
+      body.thinking_tool_suggestion || '',
+      hintId
+    ).run()
+    
+    return c.json({ success: true })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
   }
+})
+
+// APIルート：ヒントカード追加
+app.post('/api/hints', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
   
   try {
-    // カリキュラムと3コースの情報を取得
-    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
-    const courses = await env.DB.prepare('SELECT * FROM courses WHERE curriculum_id = ?').bind(curriculumId).all()
+    const result = await env.DB.prepare(`
+      INSERT INTO hint_cards (
+        learning_card_id, hint_number, hint_content, thinking_tool_suggestion
+      ) VALUES (?, ?, ?, ?)
+    `).bind(
+      body.learning_card_id,
+      body.hint_level || body.hint_number || 1,
+      body.hint_text || body.hint_content || '',
+      body.thinking_tool_suggestion || ''
+    ).run()
     
-    if (!curriculum || !courses.results || courses.results.length < 3) {
-      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    return c.json({ success: true, id: result.meta.last_row_id })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
+
+// APIルート：ヒントカード削除
+app.delete('/api/hints/:hintId', async (c) => {
+  const { env } = c
+  const hintId = c.req.param('hintId')
+  
+  try {
+    await env.DB.prepare(`
+      DELETE FROM hint_cards WHERE id = ?
+    `).bind(hintId).run()
+    
+    return c.json({ success: true })
+  } catch (error) {
+    return c.json({ error: 'Database error' }, 500)
+  }
+})
+
+// APIルート：類似問題生成
+app.post('/api/cards/:cardId/generate-similar', async (c) => {
+  const { env } = c
+  const cardId = c.req.param('cardId')
+  
+  try {
+    // カード情報を取得
+    const card = await env.DB.prepare(`
+      SELECT lc.*, c.course_name, curr.grade, curr.subject, curr.unit_name
+      FROM learning_cards lc
+      JOIN courses c ON lc.course_id = c.id
+      JOIN curriculum curr ON c.curriculum_id = curr.id
+      WHERE lc.id = ?
+    `).bind(cardId).first()
+    
+    if (!card) {
+      return c.json({ error: 'Card not found' }, 404)
     }
     
-    // 軽量なプロンプト（導入問題3題のみ）
-    const prompt = `小学${curriculum.grade}年 ${curriculum.subject}「${curriculum.unit_name}」の3つのコースの導入問題を生成。
+    // AIで類似問題を生成
+    if (!isLLMConfigured(env)) {
+      return c.json({ error: 'API key not configured' }, 500)
+    }
+    
+    const prompt = `あなたは小学校の優秀な教師です。以下の学習カードの問題に基づいて、類似問題を1問生成してください。
 
-【3つのコース】
-1. ${courses.results[0]?.course_name || 'ゆっくりコース'}: ${courses.results[0]?.description || ''}
-2. ${courses.results[1]?.course_name || 'しっかりコース'}: ${courses.results[1]?.description || ''}
-3. ${courses.results[2]?.course_name || 'ぐんぐんコース'}: ${courses.results[2]?.description || ''}
+【元の学習カード情報】
+- 学年: ${card.grade}
+- 教科: ${card.subject}
+- 単元: ${card.unit_name}
+- コース: ${card.course_name}
+- カードタイトル: ${card.card_title}
+- 元の問題: ${card.problem_content}
+- 解答例: ${card.answer || card.example_solution || ''}
 
-【JSON出力（導入問題3題のみ）】
+【類似問題の条件】
+1. 元の問題と**同じ学習内容**を練習できる問題にする
+2. **数字や状況を変えた**バリエーションを作成
+3. 難易度は元の問題と同程度
+4. 具体的で子どもが解ける形式
+5. 必ず解答例を付ける
+
+以下のJSON形式で出力してください。説明文は不要です：
 {
-  "introduction_problems": [
-    {"course_number": 1, "problem_title": "タイトル（20字以内）", "problem_content": "具体的な数字を含む問題文（80-150字）", "answer": "解答と解説（50-100字）"},
-    {"course_number": 2, "problem_title": "タイトル（20字以内）", "problem_content": "具体的な数字を含む問題文（80-150字）", "answer": "解答と解説（50-100字）"},
-    {"course_number": 3, "problem_title": "タイトル（20字以内）", "problem_content": "具体的な数字を含む問題文（80-150字）", "answer": "解答と解説（50-100字）"}
-  ]
+  "problem_text": "新しい類似問題の問題文",
+  "answer": "解答例",
+  "hint_1": "ヒント1（まず考えてほしいこと）",
+  "hint_2": "ヒント2（中間ヒント）",
+  "hint_3": "ヒント3（答えに近いヒント）"
 }`
 
-    // フォールバック機能付きAPI呼び出し
-    const models = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.5-pro']
-    let response
-    let lastError
-    
-    for (const model of models) {
-      try {
-        console.log(`🔄 導入問題モデル試行中: ${model}`)
-        response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-          {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              contents: [{ parts: [{ text: prompt }] }],
-              generationConfig: { temperature: 0.7, maxOutputTokens: 2000 }
-            })
-          }
-        )
-        
-        if (response.ok) {
-          console.log(`✅ 導入問題モデル成功: ${model}`)
-          break
-        } else {
-          console.warn(`⚠️ 導入問題モデル失敗: ${model} (status: ${response.status})`)
-          lastError = new Error(`${model} returned ${response.status}`)
-        }
-      } catch (error: any) {
-        console.warn(`⚠️ 導入問題モデルエラー: ${model} - ${error.message}`)
-        lastError = error
-      }
-    }
+    const result = await callLLM(env, {
+      task: 'generate-similar',
+      model: 'gemini-3-flash-preview',
+      prompt,
+      maxOutputTokens: 2048,
+      temperature: 0.9,
+      retries: 1
+    })
     
-    if (!response || !response.ok) {
-      throw lastError || new Error('すべてのモデルが失敗しました')
+    if (!result.success || !result.content) {
+      throw new Error(result.error || 'AIの応答が空でした')
     }
     
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text
-    
-    if (!aiResponse) {
-      throw new Error('AI response is empty')
-    }
+    const aiResponse = result.content
     
     // JSONを抽出
-    console.log('AIレスポンス（導入問題）:', aiResponse)
-    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
-    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
-    const problems = JSON.parse(jsonText)
-    console.log('パース結果（導入問題）:', JSON.stringify(problems, null, 2))
-    
-    // データベースに保存
-    if (problems.introduction_problems && problems.introduction_problems.length === 3) {
-      const coursesList = courses.results
-      for (let i = 0; i < 3; i++) {
-        const introProblem = problems.introduction_problems[i]
-        const course = coursesList[i]
-        const introJSON = JSON.stringify(introProblem)
-        console.log(`コース${i+1}(ID:${course.id})に導入問題を保存:`, introProblem.problem_title)
-        await env.DB.prepare(`
-          UPDATE courses SET introduction_problem = ? WHERE id = ?
-        `).bind(introJSON, course.id).run()
-      }
-      
-      return c.json({ 
-        success: true, 
-        message: '導入問題3題を生成・保存しました',
-        details: { introduction_count: 3 }
-      })
-    } else {
-      throw new Error('導入問題が3題生成されませんでした')
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/)
+    if (!jsonMatch) {
+      throw new Error('AI response is not valid JSON')
     }
     
-  } catch (error: any) {
-    console.error('導入問題生成エラー:', error)
-    console.error('エラースタック:', error.stack)
-    return c.json({ 
-      error: '導入問題の生成に失敗しました', 
-      details: error.message,
-      stack: error.stack?.substring(0, 200)
-    }, 500)
-  }
-})
-
-// APIルート：選択問題を取得
-app.get('/api/curriculum/:curriculumId/optional-problems', async (c) => {
-  const { env } = c
-  const curriculumId = c.req.param('curriculumId')
-  
-  try {
-    const problems = await env.DB.prepare(`
-      SELECT * FROM optional_problems 
-      WHERE curriculum_id = ? 
-      ORDER BY problem_number
-    `).bind(curriculumId).all()
-    
-    console.log(`選択問題取得: ${problems.results?.length || 0}件`)
+    const similarProblem = JSON.parse(jsonMatch[0])
     
-    return c.json({ 
+    return c.json({
       success: true,
-      optional_problems: problems.results || []
+      problem: similarProblem
     })
-  } catch (error: any) {
-    console.error('選択問題取得エラー:', error)
+    
+  } catch (error) {
+    console.error('類似問題生成エラー:', error)
     return c.json({ 
-      success: false,
-      error: '選択問題の取得に失敗しました',
-      optional_problems: []
+      error: '類似問題の生成に失敗しました',
+      details: error instanceof Error ? error.message : String(error)
     }, 500)
   }
 })
 
-// APIルート：追加問題を生成（旧エンドポイント - 互換性のため残す）
-app.post('/api/curriculum/:curriculumId/generate-additional-problems', async (c) => {
+// AIチャット機能（学習カード用）
+app.post('/api/ai-chat', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('curriculumId')
-  const apiKey = env.GEMINI_API_KEY
-  
-  if (!apiKey || apiKey === 'your-gemini-api-key-here') {
-    return c.json({ error: 'Gemini APIキーが設定されていません' }, 500)
-  }
   
   try {
-    // カリキュラムと3コースの情報を取得
-    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
-    const courses = await env.DB.prepare('SELECT * FROM courses WHERE curriculum_id = ?').bind(curriculumId).all()
+    const { message, cardContext } = await c.req.json()
     
-    if (!curriculum || !courses.results || courses.results.length === 0) {
-      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    const systemPrompt = `あなたは小学生の学習を優しくサポートするAI先生です。
+${cardContext ? `
+【現在の学習内容】
+- カードタイトル: ${cardContext.card_title}
+- 学習内容: ${cardContext.problem_description}
+- 新出用語: ${cardContext.new_terms || 'なし'}
+` : ''}
+
+【回答ルール】
+1. 小学生が使う言葉で、具体的に説明する（難しい言葉は使わない）
+2. 答えは教えず、「まず〜を考えてみよう」のように段階的にヒントを出す
+3. 図や絵で考える方法を提案する（例：「図に書いてみるといいよ」）
+4. 「いいところに気づいたね！」など励ましを入れる
+5. 150文字程度で簡潔に（長すぎないこと）
+6. 子どもが理解できているか確認する質問を最後に入れる
+
+【回答例】
+質問「区切りってどういうこと？」
+→「区切りっていうのは、大きな数をわかりやすく分けることだよ。例えば、10000を「10と1000」に分けると計算しやすくなるよね。この問題では、どこで区切ると計算しやすいかな？」`
+
+    if (!isLLMConfigured(env)) {
+      return c.json({ response: 'ごめんね、今は答えられないよ。先生に聞いてみてね！' })
     }
     
-    // AIプロンプト：追加問題のみ生成
-    const prompt = `あなたは小学校の教師です。以下の単元の追加問題を生成してください。
-
-【単元情報】
-- 学年: ${curriculum.grade}
-- 教科: ${curriculum.subject}
-- 教科書会社: ${curriculum.textbook_company}
-- 単元名: ${curriculum.unit_name}
-- 単元目標: ${curriculum.unit_goal}
+    const result = await callLLM(env, {
+      task: 'ai-chat',
+      model: 'gemini-2.5-flash',
+      prompt: `${systemPrompt}\n\n子どもの質問: ${message}`,
+      maxOutputTokens: 500,
+      temperature: 0.7,
+      retries: 1
+    })
 
-【3つのコース】
-${courses.results.map((c: any, i: number) => `${i + 1}. ${c.course_name}: ${c.description}`).join('\n')}
+    if (!result.success) {
+      throw new Error(`AI API error: ${result.error}`)
+    }
 
-【生成する問題】
-1. **コース選択問題3題**（各コース1題ずつ、子どもがコースを選ぶための魅力的な問題）
-2. **導入問題3題**（各コース1題ずつ、学習内容をイメージできる問題）
-3. **チェックテスト6題**（全コース共通、基礎基本の確認問題）
-4. **選択問題6題**（発展的な課題、学習の意味を実感できる問題）
+    const aiResponse = result.content || 'ごめんね、うまく答えられなかったよ。もう一度聞いてね。'
 
-【重要な要件】
-- すべての問題に具体的な数字と状況を含めること
-- 問題文は実際に解ける形式にすること
-- 子どもが「やってみたい！」と思える魅力的な内容にすること
+    return c.json({ response: aiResponse })
+  } catch (error: any) {
+    console.error('AIチャットエラー:', error)
+    console.error('エラー詳細:', error.message)
+    return c.json({ 
+      error: 'AIが今は答えられません。先生に聞いてみてね！',
+      details: error.message 
+    }, 500)
+  }
+})
 
-【JSON形式で出力】
-{
-  "course_selection_problems": [
-    {
-      "problem_number": 1,
-      "problem_title": "ゆっくりコースの問題タイトル",
-      "problem_description": "問題の説明",
-      "problem_content": "具体的な数字と状況を含む問題文",
-      "course_level": "基礎",
-      "connection_to_cards": "この問題は学習カード1-2で学ぶ内容につながります"
-    },
-    {
-      "problem_number": 2,
+// トップページ
+app.get('/', (c) => {
+  return c.html(`
+    <!DOCTYPE html>
+    <html lang="ja">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>自由進度学習支援システム</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+        <link href="https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/css/all.min.css" rel="stylesheet">
+        <script src="https://cdn.jsdelivr.net/npm/sortablejs@1.15.0/Sortable.min.js"></script>
+        <script src="https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js"></script>
+        <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+        <script src="https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/dist/tf.min.js"></script>
+        <style>
+          @media print {
+            body { background: white !important; }
+            .print\\:hidden { display: none !important; }
+            .print\\:shadow-none { box-shadow: none !important; }
+            .print\\:break-after-page { page-break-after: always; }
+            .print\\:break-inside-avoid { page-break-inside: avoid; }
+            @page { margin: 1cm; }
+          }
+        </style>
+    </head>
+    <body class="bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen">
+        <div id="app">
+          <div class="flex items-center justify-center min-h-screen">
+            <div class="text-center">
+              <div class="inline-block animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-blue-600 mb-4"></div>
+              <p class="text-xl text-gray-700">システムを読み込んでいます...</p>
+            </div>
+          </div>
+        </div>
+        
+        <script src="https://cdn.jsdelivr.net/npm/axios@1.6.0/dist/axios.min.js"></script>
+        <script src="/static/app.js"></script>
+        <script>
+          // すべてのリソース読み込み後に実行
+          window.addEventListener('load', () => {
+            console.log('✅ ページ読み込み完了')
+            console.log('📦 renderTopPage:', typeof renderTopPage)
+            
+            try {
+              if (typeof renderTopPage === 'function') {
+                renderTopPage()
+              } else if (typeof window.renderTopPage === 'function') {
+                window.renderTopPage()
+              } else {
+                console.error('❌ renderTopPage関数が見つかりません')
+                // エラー表示
+                document.getElementById('app').innerHTML = '<div class="flex items-center justify-center min-h-screen p-4"><div class="bg-white rounded-lg shadow-xl p-8 max-w-md w-full text-center"><div class="text-red-600 mb-4"><i class="fas fa-exclamation-triangle text-6xl"></i></div><h2 class="text-2xl font-bold text-gray-800 mb-4">システムエラー</h2><p class="text-gray-600 mb-6">ページをリフレッシュしてください。</p><button onclick="location.reload()" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition"><i class="fas fa-redo mr-2"></i>リフレッシュ</button></div></div>'
+              }
+            } catch (error) {
+              console.error('エラー:', error)
+              document.getElementById('app').innerHTML = '<div class="flex items-center justify-center min-h-screen p-4"><div class="bg-white rounded-lg shadow-xl p-8 max-w-md w-full text-center"><div class="text-red-600 mb-4"><i class="fas fa-exclamation-triangle text-6xl"></i></div><h2 class="text-2xl font-bold text-gray-800 mb-4">エラー</h2><button onclick="location.reload()" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition">リフレッシュ</button></div></div>'
+            }
+          })
+        </script>
+    </body>
+    </html>
+  `)
+})
+
+// ============================================
+// Phase 6: AI機能フル実装
+// ============================================
+
+// APIルート：AI学習診断
+app.post('/api/ai/diagnosis', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
+  const { curriculumId } = body
+  
+  const studentId = await resolveStudentId(c, body.studentId)
+  if (studentId === null) {
+    return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+  }
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({
+      diagnosis: '学習診断機能は現在利用できません。',
+      recommendations: [],
+      strengths: [],
+      areas_for_improvement: []
+    })
+  }
+  
+  try {
+    // 学習進捗データを取得
+    const progress = await env.DB.prepare(`
+      SELECT 
+        sp.*,
+        lc.card_title,
+        lc.card_type,
+        lc.card_number
+      FROM student_progress sp
+      JOIN learning_cards lc ON sp.learning_card_id = lc.id
+      WHERE sp.student_id = ? AND sp.curriculum_id = ?
+      ORDER BY sp.updated_at DESC
+      LIMIT 20
+    `).bind(studentId, curriculumId).all()
+    
+    // 助け要請データを取得
+    const helpRequests = await env.DB.prepare(`
+      SELECT help_type, COUNT(*) as count
+      FROM student_progress
+      WHERE student_id = ? AND curriculum_id = ?
+      GROUP BY help_type
+    `).bind(studentId, curriculumId).all()
+    
+    // 理解度データを集計
+    const understandingStats = progress.results.reduce((acc: any, item: any) => {
+      if (item.understanding_level) {
+        acc.total++
+        acc.sum += item.understanding_level
+        if (item.understanding_level >= 4) acc.high++
+        if (item.understanding_level <= 2) acc.low++
+      }
+      return acc
+    }, { total: 0, sum: 0, high: 0, low: 0 })
+    
+    const avgUnderstanding = understandingStats.total > 0 
+      ? (understandingStats.sum / understandingStats.total).toFixed(1) 
+      : '0'
+    
+    // Gemini APIに診断を依頼
+    const prompt = `あなたは小学生の学習を支援する優しいAI先生です。
+以下の学習データから、この児童の学習状況を分析して、具体的なアドバイスをしてください。
+
+【学習データ】
+- 学習カード総数: ${progress.results.length}枚
+- 平均理解度: ${avgUnderstanding}/5
+- 高理解度カード: ${understandingStats.high}枚
+- 低理解度カード: ${understandingStats.low}枚
+- 助け要請: ${JSON.stringify(helpRequests.results)}
+
+【最近の学習カード】
+${progress.results.slice(0, 5).map((p: any) => 
+  `- ${p.card_title} (理解度: ${p.understanding_level || '未評価'}/5)`
+).join('\n')}
+
+以下のJSON形式で診断結果を出力してください：
+{
+  "overall_assessment": "全体的な学習状況の評価（100文字以内）",
+  "strengths": ["強み1", "強み2", "強み3"],
+  "areas_for_improvement": ["改善点1", "改善点2"],
+  "recommendations": [
+    {"title": "おすすめアクション1", "description": "具体的な説明"},
+    {"title": "おすすめアクション2", "description": "具体的な説明"}
+  ],
+  "encouragement": "児童への励ましメッセージ（50文字以内）"
+}`
+
+    const result = await callLLM(env, {
+      task: 'diagnosis',
+      model: 'gemini-3-flash-preview',
+      prompt,
+      maxOutputTokens: 1000,
+      temperature: 0.7,
+      retries: 1
+    })
+    
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    
+    const aiResponse = result.content || '{}'
+    
+    // JSONを抽出（```json ... ``` の中身を取得）
+    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
+                      aiResponse.match(/\{[\s\S]*\}/)
+    const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : '{}'
+    const diagnosis = JSON.parse(jsonStr)
+    
+    return c.json(diagnosis)
+    
+  } catch (error) {
+    console.error('AI診断エラー:', error)
+    return c.json({
+      overall_assessment: '学習診断を実行できませんでした。',
+      strengths: ['頑張って学習を続けています'],
+      areas_for_improvement: [],
+      recommendations: [],
+      encouragement: 'これからも一緒に頑張りましょう！'
+    })
+  }
+})
+
+// APIルート：AI学習計画提案
+app.post('/api/ai/suggest-plan', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
+  const { curriculumId } = body
+  
+  const studentId = await resolveStudentId(c, body.studentId)
+  if (studentId === null) {
+    return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+  }
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({
+      suggestion: '学習計画提案機能は現在利用できません。',
+      daily_goals: [],
+      weekly_goals: []
+    })
+  }
+  
+  try {
+    // 進捗データを取得
+    const progress = await env.DB.prepare(`
+      SELECT sp.*, lc.card_title, lc.card_number, lc.card_type
+      FROM student_progress sp
+      JOIN learning_cards lc ON sp.learning_card_id = lc.id
+      WHERE sp.student_id = ? AND sp.curriculum_id = ?
+      ORDER BY sp.updated_at DESC
+    `).bind(studentId, curriculumId).all()
+    
+    // 学習計画を取得
+    const plans = await env.DB.prepare(`
+      SELECT * FROM learning_plans
+      WHERE student_id = ? AND curriculum_id = ?
+      ORDER BY planned_date DESC
+      LIMIT 7
+    `).bind(studentId, curriculumId).all()
+    
+    const completedCards = progress.results.filter((p: any) => p.is_completed).length
+    const totalCards = progress.results.length
+    
+    const prompt = `あなたは小学生の学習をサポートするAI先生です。
+以下のデータから、今後の学習計画を提案してください。
+
+【現在の状況】
+- 完了カード: ${completedCards}/${totalCards}枚
+- 最近の学習: ${plans.results.length}日分のデータ
+- 平均理解度: ${progress.results.filter((p: any) => p.understanding_level).length > 0 
+  ? (progress.results.reduce((sum: number, p: any) => sum + (p.understanding_level || 0), 0) / 
+     progress.results.filter((p: any) => p.understanding_level).length).toFixed(1) 
+  : '未評価'}
+
+以下のJSON形式で学習計画を提案してください：
+{
+  "overall_suggestion": "全体的な学習計画の提案（100文字以内）",
+  "daily_goals": [
+    {"day": "今日", "goal": "具体的な目標", "cards": 2},
+    {"day": "明日", "goal": "具体的な目標", "cards": 2}
+  ],
+  "weekly_goals": [
+    {"goal": "今週の目標1", "importance": "high"},
+    {"goal": "今週の目標2", "importance": "medium"}
+  ],
+  "tips": ["学習のコツ1", "学習のコツ2"]
+}`
+
+    const result = await callLLM(env, {
+      task: 'suggest-plan',
+      model: 'gemini-3-flash-preview',
+      prompt,
+      maxOutputTokens: 800,
+      temperature: 0.7,
+      retries: 1
+    })
+    
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    
+    const aiResponse = result.content || '{}'
+    
+    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
+                      aiResponse.match(/\{[\s\S]*\}/)
+    const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : '{}'
+    const plan = JSON.parse(jsonStr)
+    
+    return c.json(plan)
+    
+  } catch (error) {
+    console.error('計画提案エラー:', error)
+    return c.json({
+      overall_suggestion: '学習計画を提案できませんでした。',
+      daily_goals: [],
+      weekly_goals: [],
+      tips: ['自分のペースで頑張りましょう']
+    })
+  }
+})
+
+// APIルート：AI誤答分析
+app.post('/api/ai/analyze-errors', async (c) => {
+  const { env } = c
+  const body = await c.req.json()
+  const { curriculumId } = body
+  
+  const studentId = await resolveStudentId(c, body.studentId)
+  if (studentId === null) {
+    return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+  }
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({
+      analysis: '誤答分析機能は現在利用できません。',
+      error_patterns: [],
+      suggestions_for_teacher: []
+    })
+  }
+  
+  try {
+    // 理解度が低いカードを取得
+    const weakCards = await env.DB.prepare(`
+      SELECT sp.*, lc.card_title, lc.problem_description, lc.card_type
+      FROM student_progress sp
+      JOIN learning_cards lc ON sp.learning_card_id = lc.id
+      WHERE sp.student_id = ? 
+        AND sp.curriculum_id = ?
+        AND sp.understanding_level <= 2
+      ORDER BY sp.updated_at DESC
+      LIMIT 10
+    `).bind(studentId, curriculumId).all()
+    
+    // 助け要請が多いカードを取得
+    const helpCards = await env.DB.prepare(`
+      SELECT sp.*, lc.card_title, sp.help_type
+      FROM student_progress sp
+      JOIN learning_cards lc ON sp.learning_card_id = lc.id
+      WHERE sp.student_id = ? 
+        AND sp.curriculum_id = ?
+        AND sp.help_type IS NOT NULL
+      ORDER BY sp.updated_at DESC
+      LIMIT 10
+    `).bind(studentId, curriculumId).all()
+    
+    if (weakCards.results.length === 0 && helpCards.results.length === 0) {
+      return c.json({
+        analysis: 'この児童は順調に学習を進めています。特につまずきは見られません。',
+        error_patterns: [],
+        suggestions_for_teacher: ['引き続き見守りながら、チャレンジ問題を提案してみてください。']
+      })
+    }
+    
+    const prompt = `あなたは教育専門のAI分析エージェントです。
+以下のデータから、児童のつまずきパターンを分析し、指導アドバイスを提供してください。
+
+【理解度が低いカード】
+${weakCards.results.map((c: any) => 
+  `- ${c.card_title} (理解度: ${c.understanding_level}/5)`
+).join('\n')}
+
+【助けを求めたカード】
+${helpCards.results.map((h: any) => 
+  `- ${h.card_title} (助け: ${h.help_type})`
+).join('\n')}
+
+以下のJSON形式で分析結果を出力してください：
+{
+  "overall_analysis": "全体的な分析（150文字以内）",
+  "error_patterns": [
+    {"pattern": "つまずきパターン1", "frequency": "よく見られる"},
+    {"pattern": "つまずきパターン2", "frequency": "時々見られる"}
+  ],
+  "root_causes": ["根本原因1", "根本原因2"],
+  "suggestions_for_teacher": [
+    {"suggestion": "指導アドバイス1", "priority": "high"},
+    {"suggestion": "指導アドバイス2", "priority": "medium"}
+  ],
+  "support_strategies": ["サポート方法1", "サポート方法2"]
+}`
+
+    const result = await callLLM(env, {
+      task: 'analyze-errors',
+      model: 'gemini-3-flash-preview',
+      prompt,
+      maxOutputTokens: 1000,
+      temperature: 0.6,
+      retries: 1
+    })
+    
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    
+    const aiResponse = result.content || '{}'
+    
+    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
+                      aiResponse.match(/\{[\s\S]*\}/)
+    const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : '{}'
+    const analysis = JSON.parse(jsonStr)
+    
+    return c.json(analysis)
+    
+  } catch (error) {
+    console.error('誤答分析エラー:', error)
+    return c.json({
+      overall_analysis: '分析を実行できませんでした。',
+      error_patterns: [],
+      root_causes: [],
+      suggestions_for_teacher: [],
+      support_strategies: []
+    })
+  }
+})
+
+// ============================================
+// Phase 7: AI単元自動生成システム
+// ============================================
+
+// APIルート：単元名候補をAIで生成
+app.post('/api/ai/suggest-units', async (c) => {
+  const { env } = c
+  const { grade, subject, textbook } = await c.req.json()
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({
+      error: '単元候補生成機能は現在利用できません。',
+      units: []
+    })
+  }
+  
+  try {
+    const prompt = `${grade}${subject}（${textbook}）の単元名を10個、1行に1つずつ出力。番号不要。例:
+かけ算の筆算
+わり算の筆算
+小数のかけ算`
+
+    // 新しいヘルパー関数を使用（自動リトライ付き）
+    const models = ['gemini-2.5-flash', 'gemini-2.0-flash']
+    let result: LLMResponse | null = null
+    
+    for (const model of models) {
+      result = await callLLM(env, {
+        task: 'suggest-units',
+        model,
+        prompt,
+        maxOutputTokens: 1000,
+        temperature: 0.7,
+        retries: 2
+      })
+      
+      if (result.success) break
+    }
+    
+    if (!result || !result.success || !result.content) {
+      throw new Error('すべてのモデルで単元候補の生成に失敗しました')
+    }
+    
+    // レスポンスから単元名を抽出
+    console.log('📝 AIレスポンス:', result.content)
+    
+    const units = result.content
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => {
+        // 数字・記号で始まる行を除外、長さチェックを緩和
+        const isValid = line && 
+                       !line.match(/^[\d\.\-\*\#]+\s*$/) && 
+                       line.length > 1 && 
+                       line.length < 100
+        if (line && line.length > 0) {
+          console.log(`  行: "${line}" -> ${isValid ? '✅ 採用' : '❌ 除外'}`)
+        }
+        return isValid
+      })
+      .map(line => line.replace(/^[\d\.\-\*\#\s]+/, '').trim()) // 先頭の番号・記号を削除
+      .filter(line => line.length > 1)
+      .slice(0, 10)
+    
+    console.log('✅ 抽出された単元:', units)
+    
+    return c.json({
+      success: true,
+      units,
+      model_used: result.model,
+      attempts: result.attempts,
+      totalTime: result.totalTime
+    })
+    
+  } catch (error: any) {
+    console.error('単元候補生成エラー:', error)
+    return c.json({
+      error: '単元候補の生成に失敗しました。',
+      details: error.message,
+      units: []
+    }, 500)
+  }
+})
+
+// APIルート：AI単元生成
+app.post('/api/ai/generate-unit', async (c) => {
+  const { env } = c
+  const { grade, subject, textbook, unitName, customization, qualityMode } = await c.req.json()
+  
+  if (!isLLMConfigured(env)) {
+    console.error('❌ APIキーが設定されていません')
+    return c.json({
+      error: 'AIのAPIキーが設定されていません。管理者に連絡してください。',
+      curriculum: null
+    }, 500)
+  }
+  
+  try {
+    // 品質モードに応じてモデルを選択
+    // 'standard' (デフォルト): Gemini 3 Flash - 高速
+    // 'high': Gemini 3 Pro - 高品質・詳細
+    const useHighQuality = qualityMode === 'high'
+    
+    // カスタマイズ情報を整形
+    const customInfo = customization ? `
+
+【特別な配慮・カスタマイズ】
+${customization.studentNeeds ? `生徒の状況: ${customization.studentNeeds}` : ''}
+${customization.teacherGoals ? `先生の願い: ${customization.teacherGoals}` : ''}
+${customization.learningStyle ? `学習スタイル: ${customization.learningStyle}` : ''}
+${customization.specialSupport ? `特別支援: ${customization.specialSupport}` : ''}
+` : ''
+    
+    const prompt = `${grade}${subject}「${unitName}」（${textbook}）の学習カリキュラムをJSON形式で作成してください。
+
+{
+  "curriculum": {
+    "grade": "${grade}",
+    "subject": "${subject}",
+    "textbook_company": "${textbook}",
+    "unit_name": "${unitName}",
+    "total_hours": 8,
+    "unit_goal": "学習目標（100文字、ふりがな付き）",
+    "non_cognitive_goal": "非認知目標（80文字）"
+  },
+  "courses": [
+    {
+      "course_name": "ゆっくりコース",
+      "course_label": "じっくり考えながら進むコース",
+      "description": "ひとつひとつていねいに学びたい人におすすめ",
+      "color_code": "green",
+      "cards": [{"card_number":1,"card_title":"タイトル","card_type":"main","textbook_page":"p.XX","problem_description":"問題","new_terms":"用語","example_problem":"例題","example_solution":"解法","real_world_connection":"つながり","answer":"解答（必須）","hints":[{"hint_level":1,"hint_text":"ヒント1"},{"hint_level":2,"hint_text":"ヒント2"},{"hint_level":3,"hint_text":"ヒント3"}]},
+        ... 全6枚]
+    },
+    {"course_name":"しっかりコース","course_label":"自分のペースで学ぶコース","description":"しっかり考えて学びたい人","color_code":"blue","cards":[...全6枚]},
+    {"course_name":"どんどんコース","course_label":"いろいろなことにちょうせんするコース","description":"発展的に学びたい人","color_code":"purple","cards":[...全6枚]}
+  ]
+}
+
+【重要】
+- 3コース×各6枚=合計18枚のカード
+- 全カードにanswer（必須）
+- 全カードにhints配列3つ（必須）
+- JSONコードブロックなし、完全なJSONのみ
+
+完全なJSONのみ出力してください。`
+    // 品質モードに応じてモデルを選択
+    // 複数モデルでフォールバック（最新安定版を優先）
+    const models = [
+      { name: 'gemini-2.5-flash', maxTokens: 16384 },     // 最新・最も安定
+      { name: 'gemini-2.0-flash', maxTokens: 16384 },     // 高速
+      { name: 'gemini-2.5-pro', maxTokens: 16384 }        // 最高品質
+    ]
+    
+    let result: LLMResponse | null = null
+    
+    for (const model of models) {
+      console.log(`🔄 初期生成モデル試行中: ${model.name}`)
+      result = await callLLM(env, {
+        task: 'generate-unit',
+        model: model.name,
+        prompt,
+        maxOutputTokens: model.maxTokens,
+        temperature: 0.8,
+        retries: 1
+      })
+      
+      if (result.success) {
+        console.log(`✅ 初期生成モデル成功: ${result.model}`)
+        break
+      }
+      console.warn(`⚠️ 初期生成モデル失敗: ${model.name} - ${result.error}`)
+    }
+    
+    if (!result || !result.success || !result.content) {
+      console.error('❌ すべてのモデルが失敗しました:', result?.error)
+      throw new Error(result?.error || 'すべてのモデルが失敗しました')
+    }
+    
+    const modelName = result.model
+    const aiResponse = result.content
+    
+    console.log('📝 AIレスポンス（最初の500文字）:', aiResponse.substring(0, 500))
+    console.log('📝 AIレスポンス（最後の200文字）:', aiResponse.substring(Math.max(0, aiResponse.length - 200)))
+    
+    // JSONを抽出（複数パターン対応、より寛容に）
+    let jsonStr
+    
+    // パターン1: ```json ... ``` コードブロック
+    const jsonCodeBlock = aiResponse.match(/```json\s*([\s\S]*?)\s*```/)
+    // パターン2: ``` ... ``` プレーンコードブロック（jsonタグなし）
+    const plainCodeBlock = aiResponse.match(/```\s*([\s\S]*?)\s*```/)
+    // パターン3: { ... } JSON オブジェクト（最長マッチ）
+    const jsonObject = aiResponse.match(/\{[\s\S]*\}/)
+    
+    if (jsonCodeBlock) {
+      jsonStr = jsonCodeBlock[1].trim()
+      console.log('✅ JSONコードブロック（```json）を検出')
+    } else if (plainCodeBlock) {
+      jsonStr = plainCodeBlock[1].trim()
+      console.log('✅ プレーンコードブロック（```）を検出')
+    } else if (jsonObject) {
+      jsonStr = jsonObject[0].trim()
+      console.log('✅ JSON オブジェクトを検出')
+    } else {
+      console.error('❌ JSONが見つかりません')
+      console.error('   AIレスポンス全文（最初の1000文字）:', aiResponse.substring(0, 1000))
+      return c.json({
+        error: '単元の生成に失敗しました。AIの応答からJSONを抽出できませんでした。',
+        details: aiResponse.substring(0, 500),
+        curriculum: null,
+        raw_response: aiResponse.substring(0, 1000)
+      }, 500)
+    }
+    
+    console.log('📋 抽出されたJSON（最初の300文字）:', jsonStr.substring(0, 300))
+    
+    let unitData
+    try {
+      unitData = JSON.parse(jsonStr)
+      console.log('✅ JSONパース成功')
+      console.log('📊 データ構造キー:', Object.keys(unitData))
+    } catch (parseError: any) {
+      console.error('❌ JSONパースエラー:', parseError.message)
+      console.error('   パース対象文字列（最初の500文字）:', jsonStr.substring(0, 500))
+      return c.json({
+        error: '単元の生成に失敗しました。AIの応答がJSON形式ではありませんでした。',
+        details: `パースエラー: ${parseError.message} | 文字列: ${jsonStr.substring(0, 200)}`,
+        curriculum: null
+      })
+    }
+    
+    // データ構造を詳細に検証
+    const validationErrors = []
+    
+    // 必須フィールドのみ検証（追加問題は別APIで生成）
+    if (!unitData.curriculum) validationErrors.push('curriculum が欠けています')
+    if (!unitData.courses || !Array.isArray(unitData.courses)) validationErrors.push('courses が欠けているか配列ではありません')
+    
+    // コースの検証
+    if (unitData.courses && Array.isArray(unitData.courses)) {
+      unitData.courses.forEach((course: any, index: number) => {
+        if (!course.cards || !Array.isArray(course.cards)) {
+          validationErrors.push(`コース${index + 1}の cards が欠けているか配列ではありません`)
+        } else if (course.cards.length !== 6) {
+          validationErrors.push(`コース${index + 1}は6枚のカードが必須ですが、${course.cards.length}枚しかありません`)
+        }
+      })
+    }
+    
+    if (validationErrors.length > 0) {
+      console.error('単元データ検証エラー:', validationErrors)
+      console.error('生成されたデータの一部:', JSON.stringify(unitData).substring(0, 1000))
+      return c.json({
+        error: '単元データの構造が正しくありません。',
+        validation_errors: validationErrors,
+        curriculum: null
+      })
+    }
+    
+    return c.json({
+      success: true,
+      model_used: modelName,
+      data: unitData
+    })
+    
+  } catch (error) {
+    console.error('単元生成エラー:', error)
+    return c.json({
+      error: '単元を生成できませんでした。',
+      details: error instanceof Error ? error.message : String(error),
+      curriculum: null
+    })
+  }
+})
+
+// APIルート：生成した単元を保存
+app.post('/api/curriculum/save-generated', async (c) => {
+  const { env } = c
+  const { curriculum, courses, optionalProblems, courseSelectionProblems, commonCheckTest } = await c.req.json()
+  
+  try {
+    // カリキュラムを保存
+    const curriculumResult = await env.DB.prepare(`
+      INSERT INTO curriculum (
+        grade, subject, textbook_company, unit_name, 
+        unit_order, total_hours, unit_goal, non_cognitive_goal, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      curriculum.grade,
+      curriculum.subject,
+      curriculum.textbook_company,
+      curriculum.unit_name,
+      99, // 生成された単元は最後に追加
+      curriculum.total_hours,
+      curriculum.unit_goal,
+      curriculum.non_cognitive_goal,
+      c.get('user')?.id ?? null
+    ).run()
+    
+    const curriculumId = curriculumResult.meta.last_row_id
+    
+    // コースを保存
+    for (const course of courses) {
+      // course_levelを決定（course_nameから推測）
+      let courseLevel = 'standard'
+      if (course.course_name?.includes('ゆっくり') || course.course_name?.includes('じっくり')) {
+        courseLevel = 'basic'
+      } else if (course.course_name?.includes('どんどん') || course.course_name?.includes('ぐんぐん')) {
+        courseLevel = 'advanced'
+      }
+      
+      const courseResult = await env.DB.prepare(`
+        INSERT INTO courses (
+          curriculum_id, course_level, course_display_name, 
+          selection_question_title, selection_question_content,
+          course_name, description, color_code, course_label
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        curriculumId,
+        courseLevel,
+        course.course_name || course.course_label || 'コース',
+        course.course_name || 'コース選択問題',
+        course.description || '',
+        course.course_name,
+        course.description,
+        course.color_code,
+        course.course_label || ''
+      ).run()
+      
+      const courseId = courseResult.meta.last_row_id
+      
+      // 学習カードを保存
+      for (const card of course.cards || []) {
+        const cardResult = await env.DB.prepare(`
+          INSERT INTO learning_cards (
+            course_id, card_number, card_title, card_type,
+            problem_content, new_terms, example_problem,
+            example_solution, real_world_context, textbook_page
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          courseId,
+          card.card_number,
+          card.card_title,
+          card.card_type || 'main',
+          card.problem_description || card.problem_content || '',
+          card.new_terms || '',
+          card.example_problem || '',
+          card.example_solution || '',
+          card.real_world_connection || card.real_world_context || '',
+          card.textbook_page || ''
+        ).run()
+        
+        const cardId = cardResult.meta.last_row_id
+        
+        // ヒントカードを保存
+        for (const hint of card.hints || []) {
+          await env.DB.prepare(`
+            INSERT INTO hint_cards (
+              learning_card_id, hint_number, hint_content, thinking_tool_suggestion
+            ) VALUES (?, ?, ?, ?)
+          `).bind(
+            cardId,
+            hint.hint_level || hint.hint_number || 1,
+            hint.hint_text || hint.hint_content || '',
+            hint.thinking_tool_suggestion || ''
+          ).run()
+        }
+      }
+    }
+    
+    // 選択問題を保存
+    for (const problem of optionalProblems || []) {
+      await env.DB.prepare(`
+        INSERT INTO optional_problems (
+          curriculum_id, problem_number, problem_title, problem_description,
+          difficulty_level, learning_meaning
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(
+        curriculumId,
+        problem.problem_number || 1,
+        problem.problem_title,
+        problem.problem_description,
+        problem.difficulty_level || 'medium',
+        problem.learning_meaning || ''
+      ).run()
+    }
+    
+    // コース選択問題を保存（カリキュラムメタデータとして）
+    if (courseSelectionProblems && courseSelectionProblems.length > 0) {
+      const courseSelectionJSON = JSON.stringify(courseSelectionProblems)
+      await env.DB.prepare(`
+        INSERT OR REPLACE INTO curriculum_metadata (
+          curriculum_id, metadata_key, metadata_value
+        ) VALUES (?, ?, ?)
+      `).bind(
+        curriculumId,
+        'course_selection_problems',
+        courseSelectionJSON
+      ).run()
+    }
+    
+    // 共通チェックテストを保存（カリキュラムメタデータとして）
+    if (commonCheckTest && commonCheckTest.sample_problems && commonCheckTest.sample_problems.length > 0) {
+      const checkTestJSON = JSON.stringify(commonCheckTest)
+      await env.DB.prepare(`
+        INSERT OR REPLACE INTO curriculum_metadata (
+          curriculum_id, metadata_key, metadata_value
+        ) VALUES (?, ?, ?)
+      `).bind(
+        curriculumId,
+        'common_check_test',
+        checkTestJSON
+      ).run()
+    }
+    
+    console.log('✅ 単元保存完了:', {
+      curriculum_id: curriculumId,
+      courses: courses.length,
+      total_cards: courses.reduce((sum, c) => sum + (c.cards?.length || 0), 0),
+      optional_problems: optionalProblems?.length || 0,
+      course_selection_problems: courseSelectionProblems?.length || 0,
+      common_check_test: commonCheckTest ? '有' : '無'
+    })
+    
+    return c.json({
+      success: true,
+      curriculum_id: curriculumId,
+      saved_data: {
+        optional_problems_count: optionalProblems?.length || 0,
+        course_selection_count: courseSelectionProblems?.length || 0,
+        common_check_test: !!commonCheckTest
+      }
+    })
+    
+  } catch (error) {
+    console.error('単元保存エラー:', error)
+    return c.json({ 
+      success: false,
+      error: 'Database error',
+      details: error instanceof Error ? error.message : String(error)
+    }, 500)
+  }
+})
+
+// APIルート：コース関連問題を生成（コース選択問題・導入問題）
+app.post('/api/curriculum/:curriculumId/generate-course-problems', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({ error: 'AIのAPIキーが設定されていません' }, 500)
+  }
+  
+  try {
+    // カリキュラムと3コースの情報を取得
+    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
+    const courses = await env.DB.prepare('SELECT * FROM courses WHERE curriculum_id = ?').bind(curriculumId).all()
+    
+    if (!curriculum || !courses.results || courses.results.length === 0) {
+      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    }
+    
+    // AIプロンプト：コース関連問題のみ
+    const prompt = `小学${curriculum.grade}年 ${curriculum.subject}「${curriculum.unit_name}」の問題を生成。
+
+【必須：3つのコース】
+1. ${courses.results[0]?.course_name || 'ゆっくりコース'}
+2. ${courses.results[1]?.course_name || 'しっかりコース'}  
+3. ${courses.results[2]?.course_name || 'ぐんぐんコース'}
+
+【必須：JSONのみ出力】
+{
+  "course_selection_problems": [
+    {"problem_number": 1, "problem_title": "コース1の魅力的なタイトル", "problem_content": "具体的な数字を含む問題文（50字以上）", "course_level": "基礎"},
+    {"problem_number": 2, "problem_title": "コース2の魅力的なタイトル", "problem_content": "具体的な数字を含む問題文（50字以上）", "course_level": "標準"},
+    {"problem_number": 3, "problem_title": "コース3の魅力的なタイトル", "problem_content": "具体的な数字を含む問題文（50字以上）", "course_level": "発展"}
+  ],
+  "introduction_problems": [
+    {"course_number": 1, "problem_title": "導入問題1", "problem_content": "具体的な数字を含む問題文（50字以上）", "answer": "解答と解説（30字以上）"},
+    {"course_number": 2, "problem_title": "導入問題2", "problem_content": "具体的な数字を含む問題文（50字以上）", "answer": "解答と解説（30字以上）"},
+    {"course_number": 3, "problem_title": "導入問題3", "problem_content": "具体的な数字を含む問題文（50字以上）", "answer": "解答と解説（30字以上）"}
+  ]
+}`
+
+    // フォールバック機能付きAPI呼び出し
+    const models = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.5-pro']
+    let result: LLMResponse | null = null
+    
+    for (const model of models) {
+      console.log(`🔄 モデル試行中: ${model}`)
+      result = await callLLM(env, {
+        task: 'generate-course-problems',
+        model,
+        prompt,
+        maxOutputTokens: 8192,
+        temperature: 0.8,
+        retries: 1
+      })
+      
+      if (result.success) {
+        console.log(`✅ モデル成功: ${model}`)
+        break
+      }
+      console.warn(`⚠️ モデル失敗: ${model} - ${result.error}`)
+    }
+    
+    if (!result || !result.success || !result.content) {
+      throw new Error(result?.error || 'すべてのモデルが失敗しました')
+    }
+    
+    const aiResponse = result.content
+    
+    // JSONを抽出
+    console.log('AIレスポンス（コース問題）:', aiResponse)
+    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
+    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
+    const problems = JSON.parse(jsonText)
+    console.log('パース結果（コース問題）:', JSON.stringify(problems, null, 2))
+    
+    // データベースに保存
+    if (problems.course_selection_problems) {
+      console.log(`コース選択問題を保存: ${problems.course_selection_problems.length}件`)
+      const courseSelectionJSON = JSON.stringify(problems.course_selection_problems)
+      await env.DB.prepare(`
+        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
+        VALUES (?, ?, ?)
+      `).bind(curriculumId, 'course_selection_problems', courseSelectionJSON).run()
+    } else {
+      console.warn('course_selection_problemsが見つかりません')
+    }
+    
+    if (problems.introduction_problems) {
+      console.log(`導入問題を保存: ${problems.introduction_problems.length}件`)
+      const coursesList = courses.results
+      for (let i = 0; i < problems.introduction_problems.length && i < coursesList.length; i++) {
+        const introProblem = problems.introduction_problems[i]
+        const course = coursesList[i]
+        const introJSON = JSON.stringify(introProblem)
+        console.log(`コース${i+1}(ID:${course.id})に導入問題を保存:`, introProblem.problem_title)
+        await env.DB.prepare(`
+          UPDATE courses SET introduction_problem = ? WHERE id = ?
+        `).bind(introJSON, course.id).run()
+      }
+    } else {
+      console.warn('introduction_problemsが見つかりません')
+    }
+    
+    return c.json({ 
+      success: true, 
+      message: 'コース関連問題を生成・保存しました',
+      details: {
+        course_selection_count: problems.course_selection_problems?.length || 0,
+        introduction_count: problems.introduction_problems?.length || 0
+      }
+    })
+    
+  } catch (error: any) {
+    console.error('コース関連問題生成エラー:', error)
+    console.error('エラースタック:', error.stack)
+    return c.json({ 
+      error: 'コース関連問題の生成に失敗しました', 
+      details: error.message,
+      stack: error.stack?.substring(0, 200)
+    }, 500)
+  }
+})
+
+// APIルート：評価問題を生成（チェックテスト・選択問題）
+app.post('/api/curriculum/:curriculumId/generate-assessment-problems', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({ error: 'AIのAPIキーが設定されていません' }, 500)
+  }
+  
+  try {
+    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
+    
+    if (!curriculum) {
+      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    }
+    
+    // AIプロンプト：評価問題のみ
+    const prompt = `小学${curriculum.grade}年 ${curriculum.subject}「${curriculum.unit_name}」の評価問題を生成。
+
+【必須：JSONのみ出力】
+{
+  "common_check_test": {
+    "test_title": "基礎基本チェックテスト",
+    "sample_problems": [
+      {"problem_number": 1, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "related_card_number": 1, "difficulty": "basic"},
+      {"problem_number": 2, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "related_card_number": 2, "difficulty": "basic"},
+      {"problem_number": 3, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "related_card_number": 3, "difficulty": "basic"},
+      {"problem_number": 4, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "related_card_number": 4, "difficulty": "basic"},
+      {"problem_number": 5, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "related_card_number": 5, "difficulty": "basic"},
+      {"problem_number": 6, "problem_text": "具体的な数字を含む問題文（30字以上）", "answer": "解答", "related_card_number": 6, "difficulty": "basic"}
+    ]
+  },
+  "optional_problems": [
+    {"problem_number": 1, "problem_title": "実生活問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "実生活で役立つ力がつく（20字以上）", "difficulty_level": "medium"},
+    {"problem_number": 2, "problem_title": "考え方問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "深く理解できる（20字以上）", "difficulty_level": "medium"},
+    {"problem_number": 3, "problem_title": "他教科問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "他教科でも使える（20字以上）", "difficulty_level": "hard"},
+    {"problem_number": 4, "problem_title": "応用問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "組み合わせて考える力（20字以上）", "difficulty_level": "hard"},
+    {"problem_number": 5, "problem_title": "探究問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "不思議さに気づく（20字以上）", "difficulty_level": "very_hard"},
+    {"problem_number": 6, "problem_title": "創造問題", "problem_description": "具体的な数字を含む問題文（50字以上）", "learning_meaning": "新しい方法を考える（20字以上）", "difficulty_level": "very_hard"}
+  ]
+}`
+
+    // フォールバック機能付きAPI呼び出し
+    const models = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.5-pro']
+    let result: LLMResponse | null = null
+    
+    for (const model of models) {
+      console.log(`🔄 評価問題モデル試行中: ${model}`)
+      result = await callLLM(env, {
+        task: 'generate-assessment-problems',
+        model,
+        prompt,
+        maxOutputTokens: 8192,
+        temperature: 0.8,
+        retries: 1
+      })
+      
+      if (result.success) {
+        console.log(`✅ 評価問題モデル成功: ${model}`)
+        break
+      }
+      console.warn(`⚠️ 評価問題モデル失敗: ${model} - ${result.error}`)
+    }
+    
+    if (!result || !result.success || !result.content) {
+      throw new Error(result?.error || 'すべてのモデルが失敗しました')
+    }
+    
+    const aiResponse = result.content
+    
+    // JSONを抽出
+    console.log('AIレスポンス（評価問題）:', aiResponse)
+    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
+    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
+    const problems = JSON.parse(jsonText)
+    console.log('パース結果（評価問題）:', JSON.stringify(problems, null, 2))
+    
+    // データベースに保存
+    if (problems.common_check_test) {
+      const sampleCount = problems.common_check_test.sample_problems?.length || 0
+      console.log(`チェックテスト問題を保存: ${sampleCount}件`)
+      
+      // test_titleとtest_descriptionを追加
+      const checkTestWithMeta = {
+        test_title: problems.common_check_test.test_title || '全コース共通の基礎基本チェックテスト',
+        test_description: problems.common_check_test.test_description || 'どのコースを選んでも、同じチェックテストを受けます。単元の基礎基本が身についているかを確認します。',
+        sample_problems: problems.common_check_test.sample_problems || []
+      }
+      
+      const checkTestJSON = JSON.stringify(checkTestWithMeta)
+      await env.DB.prepare(`
+        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
+        VALUES (?, ?, ?)
+      `).bind(curriculumId, 'common_check_test', checkTestJSON).run()
+    } else {
+      console.warn('common_check_testが見つかりません')
+    }
+    
+    if (problems.optional_problems) {
+      console.log(`選択問題を保存: ${problems.optional_problems.length}件`)
+      for (const problem of problems.optional_problems) {
+        console.log(`  - 問題${problem.problem_number}: ${problem.problem_title}`)
+        await env.DB.prepare(`
+          INSERT INTO optional_problems (
+            curriculum_id, problem_number, problem_title, problem_content, problem_description,
+            difficulty_level, learning_meaning
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          curriculumId,
+          problem.problem_number,
+          problem.problem_title,
+          problem.problem_description,  // problem_content
+          problem.problem_description,  // problem_description
+          problem.difficulty_level || 'medium',
+          problem.learning_meaning || ''
+        ).run()
+      }
+    } else {
+      console.warn('optional_problemsが見つかりません')
+    }
+    
+    return c.json({ 
+      success: true, 
+      message: '評価問題を生成・保存しました',
+      details: {
+        check_test_count: problems.common_check_test?.sample_problems?.length || 0,
+        optional_count: problems.optional_problems?.length || 0
+      }
+    })
+    
+  } catch (error: any) {
+    console.error('評価問題生成エラー:', error)
+    console.error('エラースタック:', error.stack)
+    return c.json({ 
+      error: '評価問題の生成に失敗しました', 
+      details: error.message,
+      stack: error.stack?.substring(0, 200)
+    }, 500)
+  }
+})
+
+// APIルート：導入問題のみを生成（軽量・高速）
+app.post('/api/curriculum/:curriculumId/generate-intro-problems', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({ error: 'AIのAPIキーが設定されていません' }, 500)
+  }
+  
+  try {
+    // カリキュラムと3コースの情報を取得
+    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
+    const courses = await env.DB.prepare('SELECT * FROM courses WHERE curriculum_id = ?').bind(curriculumId).all()
+    
+    if (!curriculum || !courses.results || courses.results.length < 3) {
+      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    }
+    
+    // 軽量なプロンプト（導入問題3題のみ）
+    const prompt = `小学${curriculum.grade}年 ${curriculum.subject}「${curriculum.unit_name}」の3つのコースの導入問題を生成。
+
+【3つのコース】
+1. ${courses.results[0]?.course_name || 'ゆっくりコース'}: ${courses.results[0]?.description || ''}
+2. ${courses.results[1]?.course_name || 'しっかりコース'}: ${courses.results[1]?.description || ''}
+3. ${courses.results[2]?.course_name || 'ぐんぐんコース'}: ${courses.results[2]?.description || ''}
+
+【JSON出力（導入問題3題のみ）】
+{
+  "introduction_problems": [
+    {"course_number": 1, "problem_title": "タイトル（20字以内）", "problem_content": "具体的な数字を含む問題文（80-150字）", "answer": "解答と解説（50-100字）"},
+    {"course_number": 2, "problem_title": "タイトル（20字以内）", "problem_content": "具体的な数字を含む問題文（80-150字）", "answer": "解答と解説（50-100字）"},
+    {"course_number": 3, "problem_title": "タイトル（20字以内）", "problem_content": "具体的な数字を含む問題文（80-150字）", "answer": "解答と解説（50-100字）"}
+  ]
+}`
+
+    // フォールバック機能付きAPI呼び出し
+    const models = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.5-pro']
+    let result: LLMResponse | null = null
+    
+    for (const model of models) {
+      console.log(`🔄 導入問題モデル試行中: ${model}`)
+      result = await callLLM(env, {
+        task: 'generate-intro-problems',
+        model,
+        prompt,
+        maxOutputTokens: 2000,
+        temperature: 0.7,
+        retries: 1
+      })
+      
+      if (result.success) {
+        console.log(`✅ 導入問題モデル成功: ${model}`)
+        break
+      }
+      console.warn(`⚠️ 導入問題モデル失敗: ${model} - ${result.error}`)
+    }
+    
+    if (!result || !result.success || !result.content) {
+      throw new Error(result?.error || 'すべてのモデルが失敗しました')
+    }
+    
+    const aiResponse = result.content
+    
+    // JSONを抽出
+    console.log('AIレスポンス（導入問題）:', aiResponse)
+    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
+    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
+    const problems = JSON.parse(jsonText)
+    console.log('パース結果（導入問題）:', JSON.stringify(problems, null, 2))
+    
+    // データベースに保存
+    if (problems.introduction_problems && problems.introduction_problems.length === 3) {
+      const coursesList = courses.results
+      for (let i = 0; i < 3; i++) {
+        const introProblem = problems.introduction_problems[i]
+        const course = coursesList[i]
+        const introJSON = JSON.stringify(introProblem)
+        console.log(`コース${i+1}(ID:${course.id})に導入問題を保存:`, introProblem.problem_title)
+        await env.DB.prepare(`
+          UPDATE courses SET introduction_problem = ? WHERE id = ?
+        `).bind(introJSON, course.id).run()
+      }
+      
+      return c.json({ 
+        success: true, 
+        message: '導入問題3題を生成・保存しました',
+        details: { introduction_count: 3 }
+      })
+    } else {
+      throw new Error('導入問題が3題生成されませんでした')
+    }
+    
+  } catch (error: any) {
+    console.error('導入問題生成エラー:', error)
+    console.error('エラースタック:', error.stack)
+    return c.json({ 
+      error: '導入問題の生成に失敗しました', 
+      details: error.message,
+      stack: error.stack?.substring(0, 200)
+    }, 500)
+  }
+})
+
+// APIルート：選択問題を取得
+app.get('/api/curriculum/:curriculumId/optional-problems', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  
+  try {
+    const problems = await env.DB.prepare(`
+      SELECT * FROM optional_problems 
+      WHERE curriculum_id = ? 
+      ORDER BY problem_number
+    `).bind(curriculumId).all()
+    
+    console.log(`選択問題取得: ${problems.results?.length || 0}件`)
+    
+    return c.json({ 
+      success: true,
+      optional_problems: problems.results || []
+    })
+  } catch (error: any) {
+    console.error('選択問題取得エラー:', error)
+    return c.json({ 
+      success: false,
+      error: '選択問題の取得に失敗しました',
+      optional_problems: []
+    }, 500)
+  }
+})
+
+// APIルート：追加問題を生成（旧エンドポイント - 互換性のため残す）
+app.post('/api/curriculum/:curriculumId/generate-additional-problems', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({ error: 'AIのAPIキーが設定されていません' }, 500)
+  }
+  
+  try {
+    // カリキュラムと3コースの情報を取得
+    const curriculum = await env.DB.prepare('SELECT * FROM curriculum WHERE id = ?').bind(curriculumId).first()
+    const courses = await env.DB.prepare('SELECT * FROM courses WHERE curriculum_id = ?').bind(curriculumId).all()
+    
+    if (!curriculum || !courses.results || courses.results.length === 0) {
+      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    }
+    
+    // AIプロンプト：追加問題のみ生成
+    const prompt = `あなたは小学校の教師です。以下の単元の追加問題を生成してください。
+
+【単元情報】
+- 学年: ${curriculum.grade}
+- 教科: ${curriculum.subject}
+- 教科書会社: ${curriculum.textbook_company}
+- 単元名: ${curriculum.unit_name}
+- 単元目標: ${curriculum.unit_goal}
+
+【3つのコース】
+${courses.results.map((c: any, i: number) => `${i + 1}. ${c.course_name}: ${c.description}`).join('\n')}
+
+【生成する問題】
+1. **コース選択問題3題**（各コース1題ずつ、子どもがコースを選ぶための魅力的な問題）
+2. **導入問題3題**（各コース1題ずつ、学習内容をイメージできる問題）
+3. **チェックテスト6題**（全コース共通、基礎基本の確認問題）
+4. **選択問題6題**（発展的な課題、学習の意味を実感できる問題）
+
+【重要な要件】
+- すべての問題に具体的な数字と状況を含めること
+- 問題文は実際に解ける形式にすること
+- 子どもが「やってみたい！」と思える魅力的な内容にすること
+
+【JSON形式で出力】
+{
+  "course_selection_problems": [
+    {
+      "problem_number": 1,
+      "problem_title": "ゆっくりコースの問題タイトル",
+      "problem_description": "問題の説明",
+      "problem_content": "具体的な数字と状況を含む問題文",
+      "course_level": "基礎",
+      "connection_to_cards": "この問題は学習カード1-2で学ぶ内容につながります"
+    },
+    {
+      "problem_number": 2,
       "problem_title": "しっかりコースの問題タイトル",
       "problem_description": "問題の説明",
       "problem_content": "具体的な数字と状況を含む問題文",
@@ -3794,1600 +5904,3601 @@ ${courses.results.map((c: any, i: number) => `${i + 1}. ${c.course_name}: ${c.de
       "course_level": "発展",
       "connection_to_cards": "この問題は学習カード1-4につながります"
     }
-  ],
-  "introduction_problems": [
-    {
-      "course_number": 1,
-      "problem_title": "ゆっくりコース導入問題のタイトル",
-      "problem_content": "具体的な数字と状況を含む問題文",
-      "answer": "解答のヒント"
-    },
-    {
-      "course_number": 2,
-      "problem_title": "しっかりコース導入問題のタイトル",
-      "problem_content": "具体的な数字と状況を含む問題文",
-      "answer": "解答のヒント"
-    },
-    {
-      "course_number": 3,
-      "problem_title": "どんどんコース導入問題のタイトル",
-      "problem_content": "具体的な数字と状況を含む問題文",
-      "answer": "解答のヒント"
+  ],
+  "introduction_problems": [
+    {
+      "course_number": 1,
+      "problem_title": "ゆっくりコース導入問題のタイトル",
+      "problem_content": "具体的な数字と状況を含む問題文",
+      "answer": "解答のヒント"
+    },
+    {
+      "course_number": 2,
+      "problem_title": "しっかりコース導入問題のタイトル",
+      "problem_content": "具体的な数字と状況を含む問題文",
+      "answer": "解答のヒント"
+    },
+    {
+      "course_number": 3,
+      "problem_title": "どんどんコース導入問題のタイトル",
+      "problem_content": "具体的な数字と状況を含む問題文",
+      "answer": "解答のヒント"
+    }
+  ],
+  "common_check_test": {
+    "test_title": "基礎基本チェックテスト",
+    "test_description": "全コース共通の基礎基本チェックテスト（知識理解の最低保証）",
+    "sample_problems": [
+      {
+        "problem_number": 1,
+        "problem_text": "具体的な数字と状況を含む問題文",
+        "answer": "解答",
+        "related_card_number": 1,
+        "difficulty": "basic"
+      },
+      {
+        "problem_number": 2,
+        "problem_text": "具体的な数字と状況を含む問題文",
+        "answer": "解答",
+        "related_card_number": 2,
+        "difficulty": "basic"
+      },
+      {
+        "problem_number": 3,
+        "problem_text": "具体的な数字と状況を含む問題文",
+        "answer": "解答",
+        "related_card_number": 3,
+        "difficulty": "basic"
+      },
+      {
+        "problem_number": 4,
+        "problem_text": "具体的な数字と状況を含む問題文",
+        "answer": "解答",
+        "related_card_number": 4,
+        "difficulty": "basic"
+      },
+      {
+        "problem_number": 5,
+        "problem_text": "具体的な数字と状況を含む問題文",
+        "answer": "解答",
+        "related_card_number": 5,
+        "difficulty": "basic"
+      },
+      {
+        "problem_number": 6,
+        "problem_text": "具体的な数字と状況を含む問題文",
+        "answer": "解答",
+        "related_card_number": 6,
+        "difficulty": "basic"
+      }
+    ]
+  },
+  "optional_problems": [
+    {
+      "problem_number": 1,
+      "problem_title": "実生活に生かせる問題",
+      "problem_description": "具体的な数字と状況を含む問題文",
+      "learning_meaning": "この問題を解くことで、算数が実際の生活で役に立つことがわかります",
+      "difficulty_level": "medium",
+      "answer": "解答",
+      "explanation": "考え方の説明"
+    },
+    {
+      "problem_number": 2,
+      "problem_title": "教科の見方・考え方が深まる問題",
+      "problem_description": "具体的な数字と状況を含む問題文",
+      "learning_meaning": "この問題を解くことで、なぜこの方法で解けるのか深く理解できます",
+      "difficulty_level": "medium",
+      "answer": "解答",
+      "explanation": "考え方の説明"
+    },
+    {
+      "problem_number": 3,
+      "problem_title": "他教科とつながる問題",
+      "problem_description": "具体的な数字と状況を含む問題文",
+      "learning_meaning": "この問題を解くことで、算数が他の教科でも使えることがわかります",
+      "difficulty_level": "hard",
+      "answer": "解答",
+      "explanation": "考え方の説明"
+    },
+    {
+      "problem_number": 4,
+      "problem_title": "発展的な問題",
+      "problem_description": "具体的な数字と状況を含む問題文",
+      "learning_meaning": "この問題を解くことで、今まで学んだことを組み合わせて考える力がつきます",
+      "difficulty_level": "hard",
+      "answer": "解答",
+      "explanation": "考え方の説明"
+    },
+    {
+      "problem_number": 5,
+      "problem_title": "教科の本質に触れる探究的な問題",
+      "problem_description": "具体的な数字と状況を含む問題文",
+      "learning_meaning": "この問題を解くことで、算数の面白さや不思議さに気づき、もっと学びたくなります",
+      "difficulty_level": "very_hard",
+      "answer": "解答",
+      "explanation": "考え方の説明"
+    },
+    {
+      "problem_number": 6,
+      "problem_title": "創造的・総合的な問題",
+      "problem_description": "具体的な数字と状況を含む問題文",
+      "learning_meaning": "この問題を解くことで、自分で考えを作り出す力がつきます",
+      "difficulty_level": "very_hard",
+      "answer": "解答",
+      "explanation": "考え方の説明"
+    }
+  ]
+}
+
+必ず完全なJSONのみを出力してください。説明文は不要です。`
+
+    const result = await callLLM(env, {
+      task: 'generate-additional-problems',
+      model: 'gemini-3-flash-preview',
+      prompt,
+      maxOutputTokens: 8000,
+      temperature: 0.8,
+      retries: 1
+    })
+    
+    if (!result.success || !result.content) {
+      throw new Error(`AI API error: ${result.error}`)
+    }
+    
+    const aiResponse = result.content
+    
+    // JSONを抽出
+    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
+    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
+    
+    const additionalProblems = JSON.parse(jsonText)
+    
+    // データベースに保存
+    // コース選択問題
+    if (additionalProblems.course_selection_problems) {
+      const courseSelectionJSON = JSON.stringify(additionalProblems.course_selection_problems)
+      await env.DB.prepare(`
+        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
+        VALUES (?, ?, ?)
+      `).bind(curriculumId, 'course_selection_problems', courseSelectionJSON).run()
+    }
+    
+    // 導入問題（各コースに保存）
+    if (additionalProblems.introduction_problems) {
+      const coursesList = courses.results
+      for (let i = 0; i < additionalProblems.introduction_problems.length && i < coursesList.length; i++) {
+        const introProblem = additionalProblems.introduction_problems[i]
+        const course = coursesList[i]
+        const introJSON = JSON.stringify(introProblem)
+        await env.DB.prepare(`
+          UPDATE courses SET introduction_problem = ? WHERE id = ?
+        `).bind(introJSON, course.id).run()
+      }
+    }
+    
+    // チェックテスト
+    if (additionalProblems.common_check_test) {
+      const checkTestJSON = JSON.stringify(additionalProblems.common_check_test)
+      await env.DB.prepare(`
+        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
+        VALUES (?, ?, ?)
+      `).bind(curriculumId, 'common_check_test', checkTestJSON).run()
+    }
+    
+    // 選択問題
+    if (additionalProblems.optional_problems) {
+      for (const problem of additionalProblems.optional_problems) {
+        await env.DB.prepare(`
+          INSERT INTO optional_problems (
+            curriculum_id, problem_number, problem_title, problem_content, problem_description,
+            difficulty_level, learning_meaning
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          curriculumId,
+          problem.problem_number,
+          problem.problem_title,
+          problem.problem_description,  // problem_content
+          problem.problem_description,  // problem_description
+          problem.difficulty_level || 'medium',
+          problem.learning_meaning || ''
+        ).run()
+      }
+    }
+    
+    return c.json({
+      success: true,
+      message: '追加問題を生成・保存しました'
+    })
+    
+  } catch (error: any) {
+    console.error('追加問題生成エラー:', error)
+    return c.json({
+      error: '追加問題の生成に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元名候補の生成（AI検索機能）
+// 重複エンドポイント削除（2162行目に正式版あり）
+
+// APIルート：単元の更新（編集）
+app.put('/api/curriculum/:id', async (c) => {
+  const { env } = c
+  const id = c.req.param('id')
+  const { basicInfo, courses } = await c.req.json()
+  
+  try {
+    console.log(`📝 単元更新開始: ID=${id}`)
+    
+    // 更新前のデータを取得（履歴記録用）
+    const oldCurriculum = await env.DB.prepare(`
+      SELECT * FROM curriculum WHERE id = ?
+    `).bind(id).first()
+    
+    // 1. カリキュラム基本情報を更新
+    await env.DB.prepare(`
+      UPDATE curriculum
+      SET grade = ?, subject = ?, textbook_company = ?, 
+          unit_name = ?, unit_goal = ?, non_cognitive_goal = ?
+      WHERE id = ?
+    `).bind(
+      basicInfo.grade,
+      basicInfo.subject,
+      basicInfo.textbook_company,
+      basicInfo.unit_name,
+      basicInfo.unit_goal,
+      basicInfo.non_cognitive_goal,
+      id
+    ).run()
+    console.log(`  - カリキュラム基本情報更新完了`)
+    
+    // 履歴記録
+    await recordHistory(
+      env.DB,
+      'curriculum_history',
+      parseInt(id),
+      'update',
+      { old: oldCurriculum, new: basicInfo }
+    )
+    
+    // 2. 各コースのカードを更新
+    for (const course of courses) {
+      for (const card of course.cards) {
+        await env.DB.prepare(`
+          UPDATE learning_cards
+          SET card_title = ?, problem_description = ?, 
+              example_problem = ?, answer = ?
+          WHERE id = ?
+        `).bind(
+          card.card_title,
+          card.problem_description,
+          card.example_problem,
+          card.answer,
+          card.id
+        ).run()
+      }
+      console.log(`  - コース ${course.id} のカード更新完了`)
+    }
+    
+    return c.json({
+      success: true,
+      message: '単元を更新しました'
+    })
+    
+  } catch (error: any) {
+    console.error('単元更新エラー:', error)
+    return c.json({
+      success: false,
+      error: '単元の更新に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元の削除（カスケード削除）
+app.delete('/api/curriculum/:id', async (c) => {
+  const { env } = c
+  const id = c.req.param('id')
+  
+  try {
+    console.log(`🗑️ 単元削除開始: ID=${id}`)
+    
+    // 1. カリキュラムに紐づくコースIDを取得
+    const courses = await env.DB.prepare(`
+      SELECT id FROM courses WHERE curriculum_id = ?
+    `).bind(id).all()
+    
+    const courseIds = (courses.results || []).map((c: any) => c.id)
+    console.log(`  - コース数: ${courseIds.length}`)
+    
+    // 2. 各コースの学習カードを削除
+    for (const courseId of courseIds) {
+      await env.DB.prepare(`
+        DELETE FROM learning_cards WHERE course_id = ?
+      `).bind(courseId).run()
+    }
+    console.log(`  - 学習カード削除完了`)
+    
+    // 3. コースを削除
+    await env.DB.prepare(`
+      DELETE FROM courses WHERE curriculum_id = ?
+    `).bind(id).run()
+    console.log(`  - コース削除完了`)
+    
+    // 4. メタデータを削除（コース選択問題、チェックテスト）
+    await env.DB.prepare(`
+      DELETE FROM curriculum_metadata WHERE curriculum_id = ?
+    `).bind(id).run()
+    console.log(`  - メタデータ削除完了`)
+    
+    // 5. 選択問題を削除
+    await env.DB.prepare(`
+      DELETE FROM optional_problems WHERE curriculum_id = ?
+    `).bind(id).run()
+    console.log(`  - 選択問題削除完了`)
+    
+    // 6. タグを削除
+    await env.DB.prepare(`
+      DELETE FROM curriculum_tags WHERE curriculum_id = ?
+    `).bind(id).run()
+    
+    // 7. カリキュラム本体を削除
+    await env.DB.prepare(`
+      DELETE FROM curriculum WHERE id = ?
+    `).bind(id).run()
+    console.log(`  - カリキュラム本体削除完了`)
+    
+    return c.json({
+      success: true,
+      message: '単元を削除しました',
+      deleted: {
+        curriculum_id: id,
+        courses_count: courseIds.length
+      }
+    })
+    
+  } catch (error: any) {
+    console.error('単元削除エラー:', error)
+    return c.json({
+      success: false,
+      error: '単元の削除に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元のタグを付け替える（送られたタグで置き換える）
+app.put('/api/curriculum/:id/tags', async (c) => {
+  const { env } = c
+  const id = Number(c.req.param('id'))
+  const { tags } = await c.req.json()
+  
+  try {
+    const normalized = normalizeTags(tags)
+    if (!normalized) {
+      return c.json({ success: false, error: 'tags は文字列の配列で指定してください' }, 400)
+    }
+    
+    const curriculum = await env.DB.prepare(`SELECT id FROM curriculum WHERE id = ?`).bind(id).first()
+    if (!curriculum) {
+      return c.json({ success: false, error: '単元が見つかりません' }, 404)
+    }
+    
+    await env.DB.batch([
+      env.DB.prepare(`DELETE FROM curriculum_tags WHERE curriculum_id = ?`).bind(id),
+      ...normalized.map(tag => env.DB.prepare(`
+        INSERT INTO curriculum_tags (curriculum_id, tag) VALUES (?, ?)
+      `).bind(id, tag))
+    ])
+    
+    return c.json({ success: true, tags: normalized })
+  } catch (error: any) {
+    console.error('タグ更新エラー:', error)
+    return c.json({
+      success: false,
+      error: 'タグの更新に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元の複製
+app.post('/api/curriculum/:id/duplicate', async (c) => {
+  const { env } = c
+  const sourceId = c.req.param('id')
+  const { newGrade, newSubject, newTextbook, newUnitName } = await c.req.json()
+  
+  try {
+    console.log(`📋 単元複製開始: sourceId=${sourceId}`)
+    
+    // 元のカリキュラムを取得
+    const sourceCurriculum: any = await env.DB.prepare(`
+      SELECT * FROM curriculum WHERE id = ?
+    `).bind(sourceId).first()
+    
+    if (!sourceCurriculum) {
+      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    }
+    
+    // 新しいカリキュラムを作成
+    const newCurriculum = await env.DB.prepare(`
+      INSERT INTO curriculum (
+        grade, subject, textbook_company, unit_name, 
+        unit_order, total_hours, unit_goal, non_cognitive_goal, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      newGrade || sourceCurriculum.grade,
+      newSubject || sourceCurriculum.subject,
+      newTextbook || sourceCurriculum.textbook_company,
+      newUnitName || `${sourceCurriculum.unit_name}（コピー）`,
+      sourceCurriculum.unit_order,
+      sourceCurriculum.total_hours,
+      sourceCurriculum.unit_goal,
+      sourceCurriculum.non_cognitive_goal,
+      c.get('user')?.id ?? null
+    ).run()
+    
+    const newCurriculumId = newCurriculum.meta.last_row_id
+    
+    // タグをコピー
+    await env.DB.prepare(`
+      INSERT INTO curriculum_tags (curriculum_id, tag)
+      SELECT ?, tag FROM curriculum_tags WHERE curriculum_id = ?
+    `).bind(newCurriculumId, sourceId).run()
+    
+    // コースをコピー
+    const courses = await env.DB.prepare(`
+      SELECT * FROM courses WHERE curriculum_id = ?
+    `).bind(sourceId).all()
+    
+    for (const course of courses.results) {
+      const newCourse = await env.DB.prepare(`
+        INSERT INTO courses (
+          curriculum_id, course_level, course_name, course_label, 
+          color_code, introduction_problem
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(
+        newCurriculumId,
+        (course as any).course_level,
+        (course as any).course_name,
+        (course as any).course_label,
+        (course as any).color_code,
+        (course as any).introduction_problem
+      ).run()
+      
+      const newCourseId = newCourse.meta.last_row_id
+      
+      // 学習カードをコピー
+      const cards = await env.DB.prepare(`
+        SELECT * FROM learning_cards WHERE course_id = ?
+      `).bind((course as any).id).all()
+      
+      for (const card of cards.results) {
+        await env.DB.prepare(`
+          INSERT INTO learning_cards (
+            course_id, card_number, card_title, card_type, 
+            problem_description, new_terms, example_problem, 
+            example_solution, real_world_connection, answer, textbook_page
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          newCourseId,
+          (card as any).card_number,
+          (card as any).card_title,
+          (card as any).card_type,
+          (card as any).problem_description,
+          (card as any).new_terms,
+          (card as any).example_problem,
+          (card as any).example_solution,
+          (card as any).real_world_connection,
+          (card as any).answer,
+          (card as any).textbook_page
+        ).run()
+      }
+    }
+    
+    // メタデータをコピー
+    const metadata = await env.DB.prepare(`
+      SELECT * FROM curriculum_metadata WHERE curriculum_id = ?
+    `).bind(sourceId).all()
+    
+    for (const meta of metadata.results) {
+      await env.DB.prepare(`
+        INSERT INTO curriculum_metadata (curriculum_id, meta_key, meta_value)
+        VALUES (?, ?, ?)
+      `).bind(
+        newCurriculumId,
+        (meta as any).meta_key,
+        (meta as any).meta_value
+      ).run()
+    }
+    
+    // 選択問題をコピー
+    const optionalProblems = await env.DB.prepare(`
+      SELECT * FROM optional_problems WHERE curriculum_id = ?
+    `).bind(sourceId).all()
+    
+    for (const problem of optionalProblems.results) {
+      await env.DB.prepare(`
+        INSERT INTO optional_problems (
+          curriculum_id, problem_number, problem_title, 
+          problem_description, problem_content, difficulty_level, learning_meaning
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        newCurriculumId,
+        (problem as any).problem_number,
+        (problem as any).problem_title,
+        (problem as any).problem_description,
+        (problem as any).problem_content,
+        (problem as any).difficulty_level,
+        (problem as any).learning_meaning
+      ).run()
+    }
+    
+    console.log(`✅ 単元複製完了: newId=${newCurriculumId}`)
+    
+    return c.json({
+      success: true,
+      newCurriculumId,
+      message: '単元を複製しました'
+    })
+  } catch (error: any) {
+    console.error('単元複製エラー:', error)
+    return c.json({
+      success: false,
+      error: '単元の複製に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// ==============================================
+// 単元パッケージ（書き出しと取り込み）
+// 単元を丸ごとJSONにして別の学校・環境へ持ち運ぶ。形式は src/curriculum-package.ts を参照
+// ==============================================
+
+// 同じサーバーの静的ファイルの画像を読む（カード画像の埋め込み用）
+function loadPackageImage(c: any): PackageImageLoader {
+  const assets: Fetcher | undefined = c.env.ASSETS
+  return async (path: string) => {
+    const url = new URL(path, c.req.url)
+    // ほかのホストの URL は読まない（パッケージに埋め込むのは同じサーバーの画像だけ）
+    if (url.origin !== new URL(c.req.url).origin) {
+      return null
+    }
+    const response = await (assets ? assets.fetch(url) : fetch(url))
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim()
+    if (!response.ok || !contentType.startsWith('image/')) {
+      return null
+    }
+    return { content_type: contentType, data: await response.arrayBuffer() }
+  }
+}
+
+// パッケージの検証と、取り込み先にある同じ単元の確認
+async function checkCurriculumPackage(db: D1Database, pkg: any, unitName: unknown) {
+  const { errors, summary } = validateCurriculumPackage(pkg)
+  if (!summary) {
+    return { errors, summary, conflicts: [], unitName: '' }
+  }
+  
+  const name = typeof unitName === 'string' && unitName.trim() ? unitName.trim() : String(pkg.curriculum.unit_name || '')
+  const conflicts = errors.length === 0 ? await findCurriculumConflicts(db, pkg.curriculum, name) : []
+  return { errors, summary, conflicts, unitName: name }
+}
+
+// APIルート：単元パッケージの書き出し（解答を含むので先生・管理者のみ）
+app.get('/api/curriculum/:id/export', async (c) => {
+  const { env } = c
+  const id = Number(c.req.param('id'))
+  
+  try {
+    const pkg = await exportCurriculumPackage(env.DB, id, loadPackageImage(c))
+    if (!pkg) {
+      return c.json({ success: false, error: '単元が見つかりません' }, 404)
+    }
+    
+    const filename = `単元パッケージ_${pkg.curriculum.subject}_${pkg.curriculum.unit_name}.json`
+    return c.body(JSON.stringify(pkg, null, 2), 200, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="curriculum.json"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      'Cache-Control': 'private, no-store'
+    })
+  } catch (error: any) {
+    console.error('単元パッケージ書き出しエラー:', error)
+    return c.json({
+      success: false,
+      error: '単元パッケージの書き出しに失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元パッケージのプレビュー（検証と重複確認のみ、登録はしない）
+// unit_name を指定すると、その単元名で取り込んだ場合の重複を確認する
+app.post('/api/curriculum-package/import/preview', async (c) => {
+  const { env } = c
+  const { package: pkg, unit_name } = await c.req.json()
+  
+  try {
+    const { errors, summary, conflicts, unitName } = await checkCurriculumPackage(env.DB, pkg, unit_name)
+    if (!summary) {
+      return c.json({ success: false, error: errors[0] }, 400)
+    }
+    
+    return c.json({
+      success: true,
+      can_commit: errors.length === 0 && conflicts.length === 0,
+      schema_version: pkg.schema_version,
+      source: pkg.source || null,
+      curriculum: { ...pkg.curriculum, unit_name: unitName },
+      summary,
+      errors,
+      conflicts
+    })
+  } catch (error: any) {
+    console.error('単元パッケージプレビューエラー:', error)
+    return c.json({
+      success: false,
+      error: '単元パッケージの確認に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元パッケージの取り込み（新しい ID を振り直し、全行を1つのバッチで登録）
+app.post('/api/curriculum-package/import/commit', async (c) => {
+  const { env } = c
+  const { package: pkg, unit_name } = await c.req.json()
+  
+  try {
+    // プレビュー後に単元が増えている可能性があるため再検証する
+    const { errors, summary, conflicts, unitName } = await checkCurriculumPackage(env.DB, pkg, unit_name)
+    if (!summary) {
+      return c.json({ success: false, error: errors[0] }, 400)
+    }
+    if (errors.length > 0) {
+      return c.json({ success: false, error: 'パッケージにエラーがあるため取り込めません', summary, errors, conflicts }, 400)
+    }
+    if (conflicts.length > 0) {
+      return c.json({
+        success: false,
+        error: `同じ単元「${unitName}」が既にあります。単元名を変えて取り込んでください`,
+        summary,
+        errors,
+        conflicts
+      }, 409)
+    }
+    
+    const results = await env.DB.batch(buildCurriculumImportStatements(env.DB, pkg, unitName, c.get('user')?.id ?? null))
+    const curriculumId = (results[0].results?.[0] as any)?.id
+    
+    return c.json({
+      success: true,
+      curriculum_id: curriculumId,
+      summary,
+      message: `単元「${unitName}」を取り込みました`
+    })
+  } catch (error: any) {
+    console.error('単元パッケージ取り込みエラー:', error)
+    return c.json({
+      success: false,
+      error: '単元パッケージの取り込みに失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：カードの並び替え
+app.post('/api/course/:courseId/reorder-cards', async (c) => {
+  const { env } = c
+  const courseId = c.req.param('courseId')
+  const { cardIds } = await c.req.json() // [id1, id2, id3, ...]
+  
+  try {
+    console.log(`📋 カード並び替え開始: courseId=${courseId}, cards=${cardIds.length}`)
+    
+    // 各カードのcard_numberを更新
+    for (let i = 0; i < cardIds.length; i++) {
+      await env.DB.prepare(`
+        UPDATE learning_cards
+        SET card_number = ?
+        WHERE id = ? AND course_id = ?
+      `).bind(i + 1, cardIds[i], courseId).run()
+    }
+    
+    console.log(`✅ カード並び替え完了: ${cardIds.length}枚`)
+    
+    return c.json({
+      success: true,
+      message: 'カードの並び替えを保存しました',
+      count: cardIds.length
+    })
+  } catch (error: any) {
+    console.error('カード並び替えエラー:', error)
+    return c.json({
+      success: false,
+      error: 'カードの並び替えに失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：選択問題の削除
+app.delete('/api/optional-problem/:id', async (c) => {
+  const { env } = c
+  const problemId = c.req.param('id')
+  
+  try {
+    await env.DB.prepare(`
+      DELETE FROM optional_problems WHERE id = ?
+    `).bind(problemId).run()
+    
+    return c.json({
+      success: true,
+      message: '選択問題を削除しました'
+    })
+  } catch (error: any) {
+    console.error('選択問題削除エラー:', error)
+    return c.json({
+      success: false,
+      error: '選択問題の削除に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：選択問題の更新
+app.put('/api/optional-problem/:id', async (c) => {
+  const { env } = c
+  const problemId = c.req.param('id')
+  const { problem_title, problem_description, problem_content, difficulty_level, learning_meaning } = await c.req.json()
+  
+  try {
+    await env.DB.prepare(`
+      UPDATE optional_problems
+      SET problem_title = ?, problem_description = ?, 
+          problem_content = ?, difficulty_level = ?, learning_meaning = ?
+      WHERE id = ?
+    `).bind(
+      problem_title,
+      problem_description,
+      problem_content || '',
+      difficulty_level || 'medium',
+      learning_meaning || '',
+      problemId
+    ).run()
+    
+    return c.json({
+      success: true,
+      message: '選択問題を更新しました'
+    })
+  } catch (error: any) {
+    console.error('選択問題更新エラー:', error)
+    return c.json({
+      success: false,
+      error: '選択問題の更新に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：選択問題の新規追加
+app.post('/api/curriculum/:id/optional-problem', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('id')
+  const { problem_number, problem_title, problem_description, problem_content, difficulty_level, learning_meaning } = await c.req.json()
+  
+  try {
+    const result = await env.DB.prepare(`
+      INSERT INTO optional_problems (
+        curriculum_id, problem_number, problem_title, 
+        problem_description, problem_content, difficulty_level, learning_meaning
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      curriculumId,
+      problem_number,
+      problem_title,
+      problem_description,
+      problem_content || '',
+      difficulty_level || 'medium',
+      learning_meaning || ''
+    ).run()
+    
+    return c.json({
+      success: true,
+      message: '選択問題を追加しました',
+      problemId: result.meta.last_row_id
+    })
+  } catch (error: any) {
+    console.error('選択問題追加エラー:', error)
+    return c.json({
+      success: false,
+      error: '選択問題の追加に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：導入問題の更新
+app.put('/api/course/:id/introduction-problem', async (c) => {
+  const { env } = c
+  const courseId = c.req.param('id')
+  const { problem_title, problem_content, answer } = await c.req.json()
+  
+  try {
+    const introductionProblem = JSON.stringify({
+      problem_title,
+      problem_content,
+      answer
+    })
+    
+    await env.DB.prepare(`
+      UPDATE courses
+      SET introduction_problem = ?
+      WHERE id = ?
+    `).bind(introductionProblem, courseId).run()
+    
+    return c.json({
+      success: true,
+      message: '導入問題を更新しました'
+    })
+  } catch (error: any) {
+    console.error('導入問題更新エラー:', error)
+    return c.json({
+      success: false,
+      error: '導入問題の更新に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：導入問題の削除
+app.delete('/api/course/:id/introduction-problem', async (c) => {
+  const { env } = c
+  const courseId = c.req.param('id')
+  
+  try {
+    await env.DB.prepare(`
+      UPDATE courses
+      SET introduction_problem = NULL
+      WHERE id = ?
+    `).bind(courseId).run()
+    
+    return c.json({
+      success: true,
+      message: '導入問題を削除しました'
+    })
+  } catch (error: any) {
+    console.error('導入問題削除エラー:', error)
+    return c.json({
+      success: false,
+      error: '導入問題の削除に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// ユーティリティ: 単元の共通チェックテストを取得（未作成の場合は null）
+async function loadCheckTest(db: D1Database, curriculumId: any): Promise<any | null> {
+  const metaRow: any = await db.prepare(`
+    SELECT metadata_value FROM curriculum_metadata
+    WHERE curriculum_id = ? AND metadata_key = 'common_check_test'
+  `).bind(curriculumId).first()
+  
+  return metaRow ? JSON.parse(metaRow.metadata_value) : null
+}
+
+// ユーティリティ: 児童に返すチェックテスト（正解と別解を除く）
+function withoutCheckTestAnswers(checkTest: any): any {
+  if (!Array.isArray(checkTest?.sample_problems)) {
+    return checkTest
+  }
+  return {
+    ...checkTest,
+    sample_problems: checkTest.sample_problems.map(({ answer, accepted_answers, ...problem }: any) => problem)
+  }
+}
+
+async function saveCheckTest(db: D1Database, curriculumId: any, checkTest: any) {
+  await db.prepare(`
+    INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
+    VALUES (?, 'common_check_test', ?)
+  `).bind(curriculumId, JSON.stringify(checkTest)).run()
+}
+
+function toAnswerList(value: any): string[] | null {
+  if (!Array.isArray(value)) return null
+  return value.map((item: any) => String(item).trim()).filter(Boolean)
+}
+
+// ユーティリティ: 採点設定（答えの形式・選択肢・別解・許容誤差・関連カード）を問題に反映
+// 指定された項目のみ更新する。入力が不正な場合はエラーメッセージを返す
+function applyCheckTestGrading(problem: any, body: any): string | null {
+  if (body.answer_type !== undefined) {
+    if (body.answer_type && !ANSWER_TYPES.includes(body.answer_type)) {
+      return `answer_type は ${ANSWER_TYPES.join(' / ')} のいずれかを指定してください`
+    }
+    problem.answer_type = body.answer_type || undefined
+  }
+  
+  if (body.choices !== undefined) {
+    const choices = toAnswerList(body.choices)
+    if (!choices) return 'choices は配列で指定してください'
+    problem.choices = choices.length > 0 ? choices : undefined
+  }
+  
+  if (body.accepted_answers !== undefined) {
+    const acceptedAnswers = toAnswerList(body.accepted_answers)
+    if (!acceptedAnswers) return 'accepted_answers は配列で指定してください'
+    problem.accepted_answers = acceptedAnswers.length > 0 ? acceptedAnswers : undefined
+  }
+  
+  if (body.tolerance !== undefined) {
+    const tolerance = body.tolerance === null || body.tolerance === '' ? undefined : Number(body.tolerance)
+    if (tolerance !== undefined && !(tolerance >= 0)) return 'tolerance は0以上の数で指定してください'
+    problem.tolerance = tolerance
+  }
+  
+  if (body.related_card_number !== undefined) {
+    const cardNumber = body.related_card_number === null || body.related_card_number === '' ? undefined : Number(body.related_card_number)
+    if (cardNumber !== undefined && !(Number.isInteger(cardNumber) && cardNumber > 0)) {
+      return 'related_card_number は1以上の整数で指定してください'
+    }
+    problem.related_card_number = cardNumber
+  }
+  
+  if (problem.answer_type === 'choice' && !(problem.choices?.length >= 2)) {
+    return '選択式の問題には選択肢を2つ以上指定してください'
+  }
+  
+  return null
+}
+
+// APIルート：チェックテスト問題の個別更新
+app.put('/api/curriculum/:id/check-test/problem/:problemNumber', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('id')
+  const problemNumber = parseInt(c.req.param('problemNumber'))
+  const body = await c.req.json()
+  
+  try {
+    // 既存のチェックテストを取得
+    const checkTest = await loadCheckTest(env.DB, curriculumId)
+    
+    if (!checkTest) {
+      return c.json({ error: 'チェックテストが見つかりません' }, 404)
+    }
+    
+    // 指定された問題を更新
+    const problem = checkTest.sample_problems.find((p: any) => p.problem_number === problemNumber)
+    if (!problem) {
+      return c.json({ error: '指定された問題が見つかりません' }, 404)
+    }
+    
+    if (body.problem_text !== undefined) problem.problem_text = body.problem_text
+    if (body.answer !== undefined) problem.answer = body.answer
+    
+    const gradingError = applyCheckTestGrading(problem, body)
+    if (gradingError) {
+      return c.json({ success: false, error: gradingError }, 400)
+    }
+    
+    // データベースに保存
+    await saveCheckTest(env.DB, curriculumId, checkTest)
+    
+    return c.json({
+      success: true,
+      message: 'チェックテスト問題を更新しました',
+      answerType: inferAnswerType(problem)
+    })
+  } catch (error: any) {
+    console.error('チェックテスト更新エラー:', error)
+    return c.json({
+      success: false,
+      error: 'チェックテスト問題の更新に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：チェックテスト問題の個別削除
+app.delete('/api/curriculum/:id/check-test/problem/:problemNumber', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('id')
+  const problemNumber = parseInt(c.req.param('problemNumber'))
+  
+  try {
+    // 既存のチェックテストを取得
+    const checkTest = await loadCheckTest(env.DB, curriculumId)
+    
+    if (!checkTest) {
+      return c.json({ error: 'チェックテストが見つかりません' }, 404)
+    }
+    
+    // 指定された問題を削除
+    checkTest.sample_problems = checkTest.sample_problems.filter((p: any) => p.problem_number !== problemNumber)
+    
+    // 問題番号を振り直し
+    checkTest.sample_problems.forEach((p: any, index: number) => {
+      p.problem_number = index + 1
+    })
+    
+    // データベースに保存
+    await saveCheckTest(env.DB, curriculumId, checkTest)
+    
+    return c.json({
+      success: true,
+      message: 'チェックテスト問題を削除しました'
+    })
+  } catch (error: any) {
+    console.error('チェックテスト削除エラー:', error)
+    return c.json({
+      success: false,
+      error: 'チェックテスト問題の削除に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：チェックテスト問題の新規追加
+app.post('/api/curriculum/:id/check-test/problem', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('id')
+  const body = await c.req.json()
+  
+  try {
+    // 既存のチェックテストを取得
+    const checkTest = await loadCheckTest(env.DB, curriculumId) || {
+      test_title: '基礎基本チェックテスト',
+      test_description: '全コース共通の基礎基本チェックテスト（知識理解の最低保証）',
+      test_note: '6問中5問以上正解で合格です！',
+      sample_problems: []
+    }
+    
+    // 新しい問題を追加
+    const newProblemNumber = checkTest.sample_problems.length + 1
+    const problem = {
+      problem_number: newProblemNumber,
+      problem_text: body.problem_text,
+      answer: body.answer
+    }
+    
+    const gradingError = applyCheckTestGrading(problem, body)
+    if (gradingError) {
+      return c.json({ success: false, error: gradingError }, 400)
+    }
+    checkTest.sample_problems.push(problem)
+    
+    // データベースに保存
+    await saveCheckTest(env.DB, curriculumId, checkTest)
+    
+    return c.json({
+      success: true,
+      message: 'チェックテスト問題を追加しました',
+      problemNumber: newProblemNumber
+    })
+  } catch (error: any) {
+    console.error('チェックテスト追加エラー:', error)
+    return c.json({
+      success: false,
+      error: 'チェックテスト問題の追加に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// ==============================================
+// チェックテストの自動採点
+// ==============================================
+
+// 合格に必要な正解数（未設定の場合は「6問中5問」と同じ割合）
+function checkTestPassCount(checkTest: any): number {
+  const total = checkTest.sample_problems?.length || 0
+  const passCount = Number(checkTest.pass_count)
+  return Number.isInteger(passCount) && passCount > 0
+    ? Math.min(passCount, total)
+    : Math.ceil(total * 5 / 6)
+}
+
+async function getCheckTestSummary(db: D1Database, studentId: any, curriculumId: any, checkTest: any) {
+  const totalProblems = checkTest.sample_problems?.length || 0
+  const passCount = checkTestPassCount(checkTest)
+  
+  const progress = await db.prepare(`
+    SELECT problem_number, status, attempts, first_attempt_correct, completed_at, updated_at
+    FROM check_test_progress
+    WHERE student_id = ? AND curriculum_id = ? AND problem_number <= ?
+    ORDER BY problem_number
+  `).bind(studentId, curriculumId, totalProblems).all()
+  
+  const correctCount = progress.results.filter((p: any) => p.status === 'completed').length
+  const firstAttemptCorrectCount = progress.results.filter((p: any) => p.first_attempt_correct === 1).length
+  
+  return {
+    progress: progress.results,
+    summary: {
+      totalProblems,
+      correctCount,
+      firstAttemptCorrectCount,
+      passCount,
+      passed: totalProblems > 0 && correctCount >= passCount
+    }
+  }
+}
+
+// ユーティリティ: 不正解のときに戻る学習カードを探す
+// チェックテストは全コース共通のため、related_card_number と同じ番号のカードを児童が学習中のコースから選ぶ
+async function findReviewCard(db: D1Database, studentId: any, curriculumId: any, problem: any) {
+  if (!problem.related_card_number) return null
+  
+  return await db.prepare(`
+    SELECT lc.id, lc.card_number, lc.card_title, lc.course_id
+    FROM learning_cards lc
+    JOIN courses co ON lc.course_id = co.id
+    WHERE co.curriculum_id = ? AND lc.card_number = ?
+    ORDER BY
+      CASE WHEN lc.course_id = (
+        SELECT course_id FROM student_progress
+        WHERE student_id = ? AND curriculum_id = ? AND course_id IS NOT NULL
+        ORDER BY updated_at DESC, id DESC LIMIT 1
+      ) THEN 0 ELSE 1 END,
+      CASE co.course_level WHEN 'basic' THEN 1 WHEN 'standard' THEN 2 ELSE 3 END
+    LIMIT 1
+  `).bind(curriculumId, problem.related_card_number, studentId, curriculumId).first()
+}
+
+// APIルート：チェックテストの解答を採点
+app.post('/api/check-test/:curriculumId/problem/:problemNumber/submit', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  const problemNumber = parseInt(c.req.param('problemNumber'))
+  const body = await c.req.json()
+  
+  try {
+    const studentId = await resolveStudentId(c, body.student_id)
+    if (studentId === null) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
     }
-  ],
-  "common_check_test": {
-    "test_title": "基礎基本チェックテスト",
-    "test_description": "全コース共通の基礎基本チェックテスト（知識理解の最低保証）",
-    "sample_problems": [
-      {
-        "problem_number": 1,
-        "problem_text": "具体的な数字と状況を含む問題文",
-        "answer": "解答",
-        "difficulty": "basic"
-      },
-      {
-        "problem_number": 2,
-        "problem_text": "具体的な数字と状況を含む問題文",
-        "answer": "解答",
-        "difficulty": "basic"
-      },
-      {
-        "problem_number": 3,
-        "problem_text": "具体的な数字と状況を含む問題文",
-        "answer": "解答",
-        "difficulty": "basic"
-      },
-      {
-        "problem_number": 4,
-        "problem_text": "具体的な数字と状況を含む問題文",
-        "answer": "解答",
-        "difficulty": "basic"
-      },
-      {
-        "problem_number": 5,
-        "problem_text": "具体的な数字と状況を含む問題文",
-        "answer": "解答",
-        "difficulty": "basic"
-      },
-      {
-        "problem_number": 6,
-        "problem_text": "具体的な数字と状況を含む問題文",
-        "answer": "解答",
-        "difficulty": "basic"
-      }
-    ]
-  },
-  "optional_problems": [
-    {
-      "problem_number": 1,
-      "problem_title": "実生活に生かせる問題",
-      "problem_description": "具体的な数字と状況を含む問題文",
-      "learning_meaning": "この問題を解くことで、算数が実際の生活で役に立つことがわかります",
-      "difficulty_level": "medium",
-      "answer": "解答",
-      "explanation": "考え方の説明"
-    },
-    {
-      "problem_number": 2,
-      "problem_title": "教科の見方・考え方が深まる問題",
-      "problem_description": "具体的な数字と状況を含む問題文",
-      "learning_meaning": "この問題を解くことで、なぜこの方法で解けるのか深く理解できます",
-      "difficulty_level": "medium",
-      "answer": "解答",
-      "explanation": "考え方の説明"
-    },
-    {
-      "problem_number": 3,
-      "problem_title": "他教科とつながる問題",
-      "problem_description": "具体的な数字と状況を含む問題文",
-      "learning_meaning": "この問題を解くことで、算数が他の教科でも使えることがわかります",
-      "difficulty_level": "hard",
-      "answer": "解答",
-      "explanation": "考え方の説明"
-    },
-    {
-      "problem_number": 4,
-      "problem_title": "発展的な問題",
-      "problem_description": "具体的な数字と状況を含む問題文",
-      "learning_meaning": "この問題を解くことで、今まで学んだことを組み合わせて考える力がつきます",
-      "difficulty_level": "hard",
-      "answer": "解答",
-      "explanation": "考え方の説明"
-    },
-    {
-      "problem_number": 5,
-      "problem_title": "教科の本質に触れる探究的な問題",
-      "problem_description": "具体的な数字と状況を含む問題文",
-      "learning_meaning": "この問題を解くことで、算数の面白さや不思議さに気づき、もっと学びたくなります",
-      "difficulty_level": "very_hard",
-      "answer": "解答",
-      "explanation": "考え方の説明"
-    },
-    {
-      "problem_number": 6,
-      "problem_title": "創造的・総合的な問題",
-      "problem_description": "具体的な数字と状況を含む問題文",
-      "learning_meaning": "この問題を解くことで、自分で考えを作り出す力がつきます",
-      "difficulty_level": "very_hard",
-      "answer": "解答",
-      "explanation": "考え方の説明"
+    
+    const answer = typeof body.answer === 'string' ? body.answer.trim() : ''
+    if (!answer) {
+      return c.json({ success: false, error: 'こたえを入力してください' }, 400)
     }
-  ]
-}
+    
+    const checkTest = await loadCheckTest(env.DB, curriculumId)
+    const problem = checkTest?.sample_problems?.find((p: any) => p.problem_number === problemNumber)
+    if (!problem) {
+      return c.json({ error: '指定された問題が見つかりません' }, 404)
+    }
+    
+    const before = await getCheckTestSummary(env.DB, studentId, curriculumId, checkTest)
+    const grade = gradeAnswer(problem, answer)
+    const reviewCard: any = grade.correct ? null : await findReviewCard(env.DB, studentId, curriculumId, problem)
+    
+    // 一度正解した問題は、その後まちがえても正解のまま（合格判定が下がらないようにする）
+    // 出し直して当てた正解と見分けられるよう、1回目の正誤は first_attempt_correct に別に残す
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO check_test_attempts
+          (student_id, curriculum_id, problem_number, submitted_answer, answer_type, is_correct, review_card_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(studentId, curriculumId, problemNumber, answer, grade.answerType, grade.correct ? 1 : 0, reviewCard?.id ?? null),
+      env.DB.prepare(`
+        INSERT INTO check_test_progress (student_id, curriculum_id, problem_number, status, attempts, first_attempt_correct, completed_at)
+        VALUES (?, ?, ?, ?, 1, ?, CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT (student_id, curriculum_id, problem_number) DO UPDATE SET
+          first_attempt_correct = CASE WHEN attempts = 0 THEN excluded.first_attempt_correct ELSE first_attempt_correct END,
+          attempts = attempts + 1,
+          status = CASE WHEN status = 'completed' THEN 'completed' ELSE excluded.status END,
+          completed_at = COALESCE(completed_at, excluded.completed_at),
+          updated_at = CURRENT_TIMESTAMP
+      `).bind(studentId, curriculumId, problemNumber, grade.correct ? 'completed' : 'failed', grade.correct ? 1 : 0, grade.correct ? 'completed' : 'failed')
+    ])
+    
+    const { progress, summary } = await getCheckTestSummary(env.DB, studentId, curriculumId, checkTest)
+    const problemProgress: any = progress.find((p: any) => p.problem_number === problemNumber)
+    
+    // 合格した時点で学習ストーリーの章を追加
+    if (summary.passed && !before.summary.passed) {
+      await runInBackground(c, generateNarrativeChapter(env, studentId, curriculumId, {
+        type: 'check_test_passed',
+        key: 'check_test'
+      }))
+    }
+    
+    return c.json({
+      success: true,
+      correct: grade.correct,
+      answerType: grade.answerType,
+      missingUnit: !!grade.missingUnit,
+      status: problemProgress?.status,
+      attempts: problemProgress?.attempts || 1,
+      reviewCard,
+      summary,
+      justPassed: summary.passed && !before.summary.passed
+    })
+  } catch (error: any) {
+    console.error('チェックテスト採点エラー:', error)
+    return c.json({
+      success: false,
+      error: 'チェックテストの採点に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
 
-必ず完全なJSONのみを出力してください。説明文は不要です。`
+// APIルート：児童のチェックテスト結果
+app.get('/api/check-test/:curriculumId/student/:studentId', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('curriculumId')
+  const studentId = c.req.param('studentId')
+  
+  try {
+    const checkTest = await loadCheckTest(env.DB, curriculumId)
+    if (!checkTest) {
+      return c.json({ error: 'チェックテストが見つかりません' }, 404)
+    }
+    
+    const { progress, summary } = await getCheckTestSummary(env.DB, studentId, curriculumId, checkTest)
+    
+    return c.json({ success: true, progress, summary })
+  } catch (error: any) {
+    console.error('チェックテスト結果取得エラー:', error)
+    return c.json({
+      success: false,
+      error: 'チェックテスト結果の取得に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// ============================================================
+// 学習スタイル対応 - カード編集API
+// ============================================================
+
+// APIルート：学習カードの更新（学習スタイル対応）
+app.put('/api/card/:cardId', async (c) => {
+  const { env } = c
+  const cardId = c.req.param('cardId')
+  const updates = await c.req.json()
+  
+  try {
+    // 更新可能なフィールド
+    const allowedFields = [
+      'card_title',
+      'problem_description',
+      'answer',
+      'problem_image_url',
+      'answer_image_url',
+      'visual_support',
+      'auditory_support',
+      'kinesthetic_support',
+      'hints',
+      'example_problem',
+      'example_solution',
+      'real_world_connection',
+      'new_terms',
+      'textbook_page',
+      'learning_style_notes'
+    ]
+    
+    const updateFields: string[] = []
+    const values: any[] = []
+    
+    for (const field of allowedFields) {
+      if (field in updates) {
+        updateFields.push(`${field} = ?`)
+        // JSON型のフィールドは文字列化
+        if (['hints', 'new_terms', 'visual_support', 'auditory_support', 'kinesthetic_support'].includes(field)) {
+          values.push(JSON.stringify(updates[field]))
+        } else {
+          values.push(updates[field])
+        }
+      }
+    }
+    
+    if (updateFields.length === 0) {
+      return c.json({
+        success: false,
+        error: '更新するフィールドがありません'
+      }, 400)
+    }
+    
+    values.push(cardId)
+    
+    const sql = `
+      UPDATE learning_cards
+      SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `
+    
+    await env.DB.prepare(sql).bind(...values).run()
+    
+    // 更新後のカードを取得
+    const card = await env.DB.prepare(`
+      SELECT * FROM learning_cards WHERE id = ?
+    `).bind(cardId).first()
+    
+    // 履歴記録
+    await recordHistory(env.DB, {
+      type: 'card',
+      action: 'update_learning_styles',
+      idField: 'card_id',
+      idValue: parseInt(cardId),
+      changedFields: updateFields.map(f => f.split(' = ')[0]),
+      snapshot: card
+    })
+    
+    return c.json({
+      success: true,
+      message: '学習カードを更新しました',
+      card
+    })
+  } catch (error: any) {
+    console.error('カード更新エラー:', error)
+    return c.json({
+      success: false,
+      error: 'カードの更新に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
 
-    const response = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=' + apiKey,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.8,
-            maxOutputTokens: 8000
-          }
-        })
-      }
-    )
-    
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status}`)
-    }
-    
-    const data = await response.json()
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text
+// APIルート：学習スタイル自動提案
+app.post('/api/card/:cardId/suggest-learning-styles', async (c) => {
+  const { env } = c
+  const cardId = c.req.param('cardId')
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({
+      success: false,
+      error: 'APIキーが設定されていません'
+    }, 500)
+  }
+  
+  try {
+    // カード情報を取得
+    const card: any = await env.DB.prepare(`
+      SELECT lc.*, c.grade, c.subject, c.unit_name, c.textbook_company
+      FROM learning_cards lc
+      JOIN courses co ON lc.course_id = co.id
+      JOIN curriculum c ON co.curriculum_id = c.id
+      WHERE lc.id = ?
+    `).bind(cardId).first()
     
-    if (!aiResponse) {
-      throw new Error('AI response is empty')
+    if (!card) {
+      return c.json({ error: 'カードが見つかりません' }, 404)
     }
     
-    // JSONを抽出
-    let jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/)
-    let jsonText = jsonMatch ? jsonMatch[1] : aiResponse
-    
-    const additionalProblems = JSON.parse(jsonText)
+    const prompt = `以下の学習カードに対して、視覚優位・聴覚優位・体感優位の3つの学習スタイルに応じたサポート内容を提案してください。
+
+【学習カード情報】
+学年: ${card.grade}
+教科: ${card.subject}
+単元: ${card.unit_name}
+カード番号: ${card.card_number}
+カード名: ${card.card_title}
+問題: ${card.problem_description}
+
+【出力形式】JSON形式で出力してください：
+{
+  "visual_support": {
+    "description": "視覚優位な子どもへの支援内容（図やイラスト、色分け、図解などの提案）",
+    "materials": ["必要な教材1", "必要な教材2"],
+    "activities": ["活動例1", "活動例2"]
+  },
+  "auditory_support": {
+    "description": "聴覚優位な子どもへの支援内容（音読、リズム、語呂合わせなどの提案）",
+    "materials": ["必要な教材1", "必要な教材2"],
+    "activities": ["活動例1", "活動例2"]
+  },
+  "kinesthetic_support": {
+    "description": "体感優位な子どもへの支援内容（身体活動、具体物操作などの提案）",
+    "materials": ["必要な教材1", "必要な教材2"],
+    "activities": ["活動例1", "活動例2"]
+  },
+  "learning_style_notes": "教師向けの指導上の留意点"
+}`
+
+    const result = await callLLM(env, {
+      task: 'suggest-learning-styles',
+      model: 'gemini-2.5-flash',
+      prompt,
+      maxOutputTokens: 4096,
+      temperature: 0.7,
+      retries: 2
+    })
     
-    // データベースに保存
-    // コース選択問題
-    if (additionalProblems.course_selection_problems) {
-      const courseSelectionJSON = JSON.stringify(additionalProblems.course_selection_problems)
-      await env.DB.prepare(`
-        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
-        VALUES (?, ?, ?)
-      `).bind(curriculumId, 'course_selection_problems', courseSelectionJSON).run()
+    if (!result.success || !result.content) {
+      throw new Error('学習スタイル提案の生成に失敗しました')
     }
     
-    // 導入問題（各コースに保存）
-    if (additionalProblems.introduction_problems) {
-      const coursesList = courses.results
-      for (let i = 0; i < additionalProblems.introduction_problems.length && i < coursesList.length; i++) {
-        const introProblem = additionalProblems.introduction_problems[i]
-        const course = coursesList[i]
-        const introJSON = JSON.stringify(introProblem)
-        await env.DB.prepare(`
-          UPDATE courses SET introduction_problem = ? WHERE id = ?
-        `).bind(introJSON, course.id).run()
-      }
+    // JSON抽出
+    let jsonMatch = result.content.match(/```json\n([\s\S]*?)\n```/)
+    if (!jsonMatch) {
+      jsonMatch = result.content.match(/```\n([\s\S]*?)\n```/)
     }
-    
-    // チェックテスト
-    if (additionalProblems.common_check_test) {
-      const checkTestJSON = JSON.stringify(additionalProblems.common_check_test)
-      await env.DB.prepare(`
-        INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, metadata_key, metadata_value)
-        VALUES (?, ?, ?)
-      `).bind(curriculumId, 'common_check_test', checkTestJSON).run()
+    if (!jsonMatch) {
+      jsonMatch = result.content.match(/(\{[\s\S]*\})/)
     }
     
-    // 選択問題
-    if (additionalProblems.optional_problems) {
-      for (const problem of additionalProblems.optional_problems) {
-        await env.DB.prepare(`
-          INSERT INTO optional_problems (
-            curriculum_id, problem_number, problem_title, problem_content, problem_description,
-            difficulty_level, learning_meaning
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          curriculumId,
-          problem.problem_number,
-          problem.problem_title,
-          problem.problem_description,  // problem_content
-          problem.problem_description,  // problem_description
-          problem.difficulty_level || 'medium',
-          problem.learning_meaning || ''
-        ).run()
-      }
-    }
+    const jsonText = jsonMatch ? jsonMatch[1] : result.content
+    const suggestions = JSON.parse(jsonText)
     
     return c.json({
       success: true,
-      message: '追加問題を生成・保存しました'
+      suggestions,
+      message: '学習スタイル提案を生成しました'
     })
-    
   } catch (error: any) {
-    console.error('追加問題生成エラー:', error)
+    console.error('学習スタイル提案エラー:', error)
     return c.json({
-      error: '追加問題の生成に失敗しました',
+      success: false,
+      error: '学習スタイル提案の生成に失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート：単元名候補の生成（AI検索機能）
-// 重複エンドポイント削除（2162行目に正式版あり）
-
-// APIルート：単元の更新（編集）
-app.put('/api/curriculum/:id', async (c) => {
+// APIルート：チェックテストの再生成
+app.post('/api/curriculum/:id/regenerate-check-test', async (c) => {
   const { env } = c
-  const id = c.req.param('id')
-  const { basicInfo, courses } = await c.req.json()
+  const curriculumId = c.req.param('id')
+  
+  if (!isLLMConfigured(env)) {
+    return c.json({
+      success: false,
+      error: 'APIキーが設定されていません'
+    }, 500)
+  }
   
   try {
-    console.log(`📝 単元更新開始: ID=${id}`)
-    
-    // 更新前のデータを取得（履歴記録用）
-    const oldCurriculum = await env.DB.prepare(`
+    // カリキュラム情報を取得
+    const curriculum = await env.DB.prepare(`
       SELECT * FROM curriculum WHERE id = ?
-    `).bind(id).first()
+    `).bind(curriculumId).first()
     
-    // 1. カリキュラム基本情報を更新
-    await env.DB.prepare(`
-      UPDATE curriculum
-      SET grade = ?, subject = ?, textbook_company = ?, 
-          unit_name = ?, unit_goal = ?, non_cognitive_goal = ?
-      WHERE id = ?
-    `).bind(
-      basicInfo.grade,
-      basicInfo.subject,
-      basicInfo.textbook_company,
-      basicInfo.unit_name,
-      basicInfo.unit_goal,
-      basicInfo.non_cognitive_goal,
-      id
-    ).run()
-    console.log(`  - カリキュラム基本情報更新完了`)
+    if (!curriculum) {
+      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
+    }
     
-    // 履歴記録
-    await recordHistory(
-      env.DB,
-      'curriculum_history',
-      parseInt(id),
-      'update',
-      { old: oldCurriculum, new: basicInfo }
-    )
+    const prompt = `${curriculum.grade}${curriculum.subject}「${curriculum.unit_name}」の基礎確認テスト6問を生成。各問は30字以上、answer必須。answerは「6本」のように答えだけを書く。related_card_numberはその問題の内容を学ぶ学習カードの番号。JSON出力:
+{"sample_problems":[{"problem_number":1,"problem_text":"問題文","answer":"答え","related_card_number":1}]}`
+
+    const result = await callLLM(env, {
+      task: 'regenerate-check-test',
+      model: 'gemini-2.5-flash',
+      prompt,
+      maxOutputTokens: 4096,
+      temperature: 0.8,
+      retries: 3
+    })
     
-    // 2. 各コースのカードを更新
-    for (const course of courses) {
-      for (const card of course.cards) {
-        await env.DB.prepare(`
-          UPDATE learning_cards
-          SET card_title = ?, problem_description = ?, 
-              example_problem = ?, answer = ?
-          WHERE id = ?
-        `).bind(
-          card.card_title,
-          card.problem_description,
-          card.example_problem,
-          card.answer,
-          card.id
-        ).run()
-      }
-      console.log(`  - コース ${course.id} のカード更新完了`)
+    if (!result.success || !result.content) {
+      throw new Error('チェックテストの生成に失敗しました')
     }
     
+    // JSONを抽出
+    let jsonMatch = result.content.match(/```json\n([\s\S]*?)\n```/)
+    let jsonText = jsonMatch ? jsonMatch[1] : result.content
+    const checkTest = JSON.parse(jsonText)
+    
+    // データベースに保存
+    await saveCheckTest(env.DB, curriculumId, {
+      test_title: '基礎基本チェックテスト',
+      test_description: '全コース共通の基礎基本チェックテスト（知識理解の最低保証）',
+      test_note: '6問中5問以上正解で合格です！',
+      sample_problems: checkTest.sample_problems
+    })
+    
+    return c.json({
+      success: true,
+      checkTest: checkTest.sample_problems,
+      model_used: result.model
+    })
+  } catch (error: any) {
+    console.error('チェックテスト再生成エラー:', error)
+    return c.json({
+      success: false,
+      error: 'チェックテストの再生成に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元の編集履歴取得
+app.get('/api/curriculum/:id/history', async (c) => {
+  const { env } = c
+  const curriculumId = c.req.param('id')
+  
+  try {
+    const history = await env.DB.prepare(`
+      SELECT 
+        h.*,
+        u.name as changed_by_name
+      FROM curriculum_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.curriculum_id = ?
+      ORDER BY h.created_at DESC
+      LIMIT 50
+    `).bind(curriculumId).all()
+    
     return c.json({
       success: true,
-      message: '単元を更新しました'
+      history: history.results || [],
+      count: history.results?.length || 0
     })
-    
   } catch (error: any) {
-    console.error('単元更新エラー:', error)
+    console.error('履歴取得エラー:', error)
     return c.json({
       success: false,
-      error: '単元の更新に失敗しました',
+      error: '履歴の取得に失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート：単元の削除（カスケード削除）
-app.delete('/api/curriculum/:id', async (c) => {
+// APIルート：履歴ロールバック
+app.post('/api/curriculum/:id/rollback/:historyId', async (c) => {
   const { env } = c
-  const id = c.req.param('id')
+  const curriculumId = c.req.param('id')
+  const historyId = c.req.param('historyId')
   
   try {
-    console.log(`🗑️ 単元削除開始: ID=${id}`)
+    // 履歴データを取得
+    const historyRecord = await env.DB.prepare(`
+      SELECT * FROM curriculum_history 
+      WHERE id = ? AND curriculum_id = ?
+    `).bind(historyId, curriculumId).first()
     
-    // 1. カリキュラムに紐づくコースIDを取得
-    const courses = await env.DB.prepare(`
-      SELECT id FROM courses WHERE curriculum_id = ?
-    `).bind(id).all()
+    if (!historyRecord) {
+      return c.json({
+        success: false,
+        error: '履歴レコードが見つかりません'
+      }, 404)
+    }
     
-    const courseIds = (courses.results || []).map((c: any) => c.id)
-    console.log(`  - コース数: ${courseIds.length}`)
+    // 現在の状態を履歴に保存（ロールバック前）
+    const currentCurriculum = await env.DB.prepare(`
+      SELECT * FROM curriculum WHERE id = ?
+    `).bind(curriculumId).first()
     
-    // 2. 各コースの学習カードを削除
-    for (const courseId of courseIds) {
-      await env.DB.prepare(`
-        DELETE FROM learning_cards WHERE course_id = ?
-      `).bind(courseId).run()
+    if (currentCurriculum) {
+      await recordHistory(env, 'curriculum_history', curriculumId, {
+        action: 'rollback_before',
+        changed_by: 1, // システムユーザー
+        data_before: JSON.stringify(currentCurriculum),
+        data_after: historyRecord.data_before
+      })
     }
-    console.log(`  - 学習カード削除完了`)
-    
-    // 3. コースを削除
-    await env.DB.prepare(`
-      DELETE FROM courses WHERE curriculum_id = ?
-    `).bind(id).run()
-    console.log(`  - コース削除完了`)
     
-    // 4. メタデータを削除（コース選択問題、チェックテスト）
-    await env.DB.prepare(`
-      DELETE FROM curriculum_metadata WHERE curriculum_id = ?
-    `).bind(id).run()
-    console.log(`  - メタデータ削除完了`)
+    // 履歴データをパース
+    const rollbackData = JSON.parse(historyRecord.data_before as string)
     
-    // 5. 選択問題を削除
+    // カリキュラムをロールバック
     await env.DB.prepare(`
-      DELETE FROM optional_problems WHERE curriculum_id = ?
-    `).bind(id).run()
-    console.log(`  - 選択問題削除完了`)
+      UPDATE curriculum SET
+        grade = ?,
+        subject = ?,
+        textbook_company = ?,
+        unit_name = ?,
+        unit_goal = ?,
+        non_cognitive_goal = ?
+      WHERE id = ?
+    `).bind(
+      rollbackData.grade,
+      rollbackData.subject,
+      rollbackData.textbook_company,
+      rollbackData.unit_name,
+      rollbackData.unit_goal,
+      rollbackData.non_cognitive_goal,
+      curriculumId
+    ).run()
     
-    // 6. カリキュラム本体を削除
-    await env.DB.prepare(`
-      DELETE FROM curriculum WHERE id = ?
-    `).bind(id).run()
-    console.log(`  - カリキュラム本体削除完了`)
+    // ロールバック完了を履歴に記録
+    await recordHistory(env, 'curriculum_history', curriculumId, {
+      action: 'rollback_complete',
+      changed_by: 1,
+      data_before: JSON.stringify(currentCurriculum),
+      data_after: JSON.stringify(rollbackData)
+    })
     
     return c.json({
       success: true,
-      message: '単元を削除しました',
-      deleted: {
-        curriculum_id: id,
-        courses_count: courseIds.length
-      }
+      message: 'ロールバックが完了しました',
+      rolled_back_to: historyRecord.created_at
     })
-    
   } catch (error: any) {
-    console.error('単元削除エラー:', error)
+    console.error('ロールバックエラー:', error)
     return c.json({
       success: false,
-      error: '単元の削除に失敗しました',
+      error: 'ロールバックに失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート：単元の複製
-app.post('/api/curriculum/:id/duplicate', async (c) => {
+// APIルート：システム統計情報取得（API呼び出し回数、データベース統計など）
+app.get('/api/system/stats', async (c) => {
   const { env } = c
-  const sourceId = c.req.param('id')
-  const { newGrade, newSubject, newTextbook, newUnitName } = await c.req.json()
   
   try {
-    console.log(`📋 単元複製開始: sourceId=${sourceId}`)
-    
-    // 元のカリキュラムを取得
-    const sourceCurriculum: any = await env.DB.prepare(`
-      SELECT * FROM curriculum WHERE id = ?
-    `).bind(sourceId).first()
-    
-    if (!sourceCurriculum) {
-      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
-    }
-    
-    // 新しいカリキュラムを作成
-    const newCurriculum = await env.DB.prepare(`
-      INSERT INTO curriculum (
-        grade, subject, textbook_company, unit_name, 
-        unit_order, total_hours, unit_goal, non_cognitive_goal
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      newGrade || sourceCurriculum.grade,
-      newSubject || sourceCurriculum.subject,
-      newTextbook || sourceCurriculum.textbook_company,
-      newUnitName || `${sourceCurriculum.unit_name}（コピー）`,
-      sourceCurriculum.unit_order,
-      sourceCurriculum.total_hours,
-      sourceCurriculum.unit_goal,
-      sourceCurriculum.non_cognitive_goal
-    ).run()
-    
-    const newCurriculumId = newCurriculum.meta.last_row_id
-    
-    // コースをコピー
-    const courses = await env.DB.prepare(`
-      SELECT * FROM courses WHERE curriculum_id = ?
-    `).bind(sourceId).all()
-    
-    for (const course of courses.results) {
-      const newCourse = await env.DB.prepare(`
-        INSERT INTO courses (
-          curriculum_id, course_level, course_name, course_label, 
-          color_code, introduction_problem
-        ) VALUES (?, ?, ?, ?, ?, ?)
-      `).bind(
-        newCurriculumId,
-        (course as any).course_level,
-        (course as any).course_name,
-        (course as any).course_label,
-        (course as any).color_code,
-        (course as any).introduction_problem
-      ).run()
-      
-      const newCourseId = newCourse.meta.last_row_id
-      
-      // 学習カードをコピー
-      const cards = await env.DB.prepare(`
-        SELECT * FROM learning_cards WHERE course_id = ?
-      `).bind((course as any).id).all()
-      
-      for (const card of cards.results) {
-        await env.DB.prepare(`
-          INSERT INTO learning_cards (
-            course_id, card_number, card_title, card_type, 
-            problem_description, new_terms, example_problem, 
-            example_solution, real_world_connection, answer, textbook_page
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          newCourseId,
-          (card as any).card_number,
-          (card as any).card_title,
-          (card as any).card_type,
-          (card as any).problem_description,
-          (card as any).new_terms,
-          (card as any).example_problem,
-          (card as any).example_solution,
-          (card as any).real_world_connection,
-          (card as any).answer,
-          (card as any).textbook_page
-        ).run()
-      }
-    }
-    
-    // メタデータをコピー
-    const metadata = await env.DB.prepare(`
-      SELECT * FROM curriculum_metadata WHERE curriculum_id = ?
-    `).bind(sourceId).all()
-    
-    for (const meta of metadata.results) {
-      await env.DB.prepare(`
-        INSERT INTO curriculum_metadata (curriculum_id, meta_key, meta_value)
-        VALUES (?, ?, ?)
-      `).bind(
-        newCurriculumId,
-        (meta as any).meta_key,
-        (meta as any).meta_value
-      ).run()
-    }
+    // カリキュラム統計
+    const curriculumStats = await env.DB.prepare(`
+      SELECT 
+        COUNT(*) as total_curriculums,
+        COUNT(DISTINCT grade) as total_grades,
+        COUNT(DISTINCT subject) as total_subjects,
+        COUNT(DISTINCT textbook_company) as total_textbooks
+      FROM curriculum
+    `).first()
     
-    // 選択問題をコピー
-    const optionalProblems = await env.DB.prepare(`
-      SELECT * FROM optional_problems WHERE curriculum_id = ?
-    `).bind(sourceId).all()
+    // コース統計
+    const courseStats = await env.DB.prepare(`
+      SELECT 
+        COUNT(*) as total_courses,
+        COUNT(DISTINCT curriculum_id) as curriculums_with_courses
+      FROM courses
+    `).first()
     
-    for (const problem of optionalProblems.results) {
-      await env.DB.prepare(`
-        INSERT INTO optional_problems (
-          curriculum_id, problem_number, problem_title, 
-          problem_description, problem_content, difficulty_level, learning_meaning
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
-      `).bind(
-        newCurriculumId,
-        (problem as any).problem_number,
-        (problem as any).problem_title,
-        (problem as any).problem_description,
-        (problem as any).problem_content,
-        (problem as any).difficulty_level,
-        (problem as any).learning_meaning
-      ).run()
-    }
+    // 学習カード統計
+    const cardStats = await env.DB.prepare(`
+      SELECT 
+        COUNT(*) as total_cards,
+        COUNT(DISTINCT course_id) as courses_with_cards
+      FROM learning_cards
+    `).first()
     
-    console.log(`✅ 単元複製完了: newId=${newCurriculumId}`)
+    // 選択問題統計
+    const optionalProblemStats = await env.DB.prepare(`
+      SELECT 
+        COUNT(*) as total_optional_problems,
+        COUNT(DISTINCT curriculum_id) as curriculums_with_optional_problems
+      FROM optional_problems
+    `).first()
     
     return c.json({
       success: true,
-      newCurriculumId,
-      message: '単元を複製しました'
+      stats: {
+        curriculum: curriculumStats,
+        courses: courseStats,
+        cards: cardStats,
+        optional_problems: optionalProblemStats
+      },
+      timestamp: new Date().toISOString()
     })
   } catch (error: any) {
-    console.error('単元複製エラー:', error)
+    console.error('統計情報取得エラー:', error)
     return c.json({
       success: false,
-      error: '単元の複製に失敗しました',
+      error: '統計情報の取得に失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート：カードの並び替え
-app.post('/api/course/:courseId/reorder-cards', async (c) => {
-  const { env } = c
-  const courseId = c.req.param('courseId')
-  const { cardIds } = await c.req.json() // [id1, id2, id3, ...]
+// ==============================================
+// 認証API
+// ==============================================
+
+// パスワードハッシュ設定
+// 形式: pbkdf2-sha256$<反復回数>$<ソルト(hex)>$<ハッシュ(hex)>
+// ※ Workersの PBKDF2 は反復回数100,000回が上限
+const PASSWORD_HASH_SCHEME = 'pbkdf2-sha256'
+const PASSWORD_HASH_ITERATIONS = 100000
+const PASSWORD_SALT_BYTES = 16
+const PASSWORD_KEY_BYTES = 32
+
+function bytesToHex(bytes: Uint8Array): string {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+function hexToBytes(hex: string): Uint8Array {
+  const bytes = new Uint8Array(hex.length / 2)
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16)
+  }
+  return bytes
+}
+
+// 長さに依存しない比較（タイミング攻撃対策）
+function timingSafeEqual(a: string, b: string): boolean {
+  let diff = a.length ^ b.length
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0)
+  }
+  return diff === 0
+}
+
+async function derivePasswordKey(password: string, salt: Uint8Array, iterations: number): Promise<string> {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    PASSWORD_KEY_BYTES * 8
+  )
+  return bytesToHex(new Uint8Array(bits))
+}
+
+// SHA-256のhex文字列（旧形式パスワードの検証、使用済みリフレッシュトークンの記録に使用）
+async function sha256Hex(text: string): Promise<string> {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return bytesToHex(new Uint8Array(hashBuffer))
+}
+
+// ユーティリティ: パスワードハッシュ生成（PBKDF2・ユーザーごとのソルト）
+async function hashPassword(password: string): Promise<string> {
+  const salt = new Uint8Array(PASSWORD_SALT_BYTES)
+  crypto.getRandomValues(salt)
+  const hash = await derivePasswordKey(password, salt, PASSWORD_HASH_ITERATIONS)
+  return `${PASSWORD_HASH_SCHEME}$${PASSWORD_HASH_ITERATIONS}$${bytesToHex(salt)}$${hash}`
+}
+
+// ユーティリティ: パスワード検証
+// needsRehash は旧形式や反復回数が古いハッシュの場合に true（ログイン成功時に再ハッシュする）
+async function verifyPassword(password: string, storedHash: string | null): Promise<{ valid: boolean; needsRehash: boolean }> {
+  if (!storedHash) {
+    return { valid: false, needsRehash: false }
+  }
+  
+  const parts = storedHash.split('$')
+  if (parts.length === 4 && parts[0] === PASSWORD_HASH_SCHEME) {
+    const iterations = parseInt(parts[1], 10)
+    if (!iterations || iterations <= 0) {
+      return { valid: false, needsRehash: false }
+    }
+    const hash = await derivePasswordKey(password, hexToBytes(parts[2]), iterations)
+    return {
+      valid: timingSafeEqual(hash, parts[3]),
+      needsRehash: iterations !== PASSWORD_HASH_ITERATIONS
+    }
+  }
+  
+  // 旧形式: 64桁のSHA-256 hex
+  const legacyHash = await sha256Hex(password)
+  return { valid: timingSafeEqual(legacyHash, storedHash), needsRehash: true }
+}
+
+// 絵パスワード（低学年向け）
+// 9枚の絵から4つを順に選ぶ。絵の番号（0〜8）の並びをパスワードとしてハッシュ化する
+const PICTURE_PASSWORD_CHOICES = 9
+const PICTURE_PASSWORD_LENGTH = 4
+
+function isValidPictureSequence(sequence: any): sequence is number[] {
+  return Array.isArray(sequence) &&
+    sequence.length === PICTURE_PASSWORD_LENGTH &&
+    sequence.every(n => Number.isInteger(n) && n >= 0 && n < PICTURE_PASSWORD_CHOICES)
+}
+
+function pictureSecret(sequence: any): string {
+  return isValidPictureSequence(sequence) ? `picture:${sequence.join('-')}` : ''
+}
+
+// byte % 9 だと 0〜3 の絵が出やすくなるため、9の倍数（252）以上のバイトは捨てて引き直す
+const PICTURE_BYTE_LIMIT = 256 - (256 % PICTURE_PASSWORD_CHOICES)
+
+function generatePictureSequence(): number[] {
+  const sequence: number[] = []
+  const array = new Uint8Array(PICTURE_PASSWORD_LENGTH * 2)
+  while (sequence.length < PICTURE_PASSWORD_LENGTH) {
+    crypto.getRandomValues(array)
+    for (const byte of array) {
+      if (byte < PICTURE_BYTE_LIMIT && sequence.length < PICTURE_PASSWORD_LENGTH) {
+        sequence.push(byte % PICTURE_PASSWORD_CHOICES)
+      }
+    }
+  }
+  return sequence
+}
+
+// ユーティリティ: トークン生成
+function generateToken(length: number = 32): string {
+  const array = new Uint8Array(length)
+  crypto.getRandomValues(array)
+  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// ユーティリティ: リクエストからセッショントークンを取得
+function getSessionToken(c: any): string | null {
+  const authHeader = c.req.header('Authorization')
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7)
+  }
+  
+  // ブラウザのWebSocketはヘッダーを付与できないため、接続時のみクエリで受け取る
+  if (c.req.header('Upgrade') === 'websocket') {
+    return c.req.query('token') || null
+  }
+  
+  return null
+}
+
+// ユーティリティ: ロールの権限有無を確認（role_permissions）
+async function hasPermission(db: D1Database, role: string, resource: string, action: string): Promise<boolean> {
+  const permission = await db.prepare(`
+    SELECT id FROM role_permissions
+    WHERE role = ? AND resource = ? AND action = ?
+  `).bind(role, resource, action).first()
+  
+  return !!permission
+}
+
+// ユーティリティ: 指定した児童のデータにアクセスできるか
+// 児童は本人のみ、教師は自分のクラスの児童のみ、コーディネーターはデータ共有許可のある児童のみ
+// 保護者は紐づけられた児童のみ（閲覧できるのは /api/guardian の読み取りAPIだけで、見せる内容は同意の設定で絞る）
+async function canAccessStudent(db: D1Database, user: SessionUser, studentId: any): Promise<boolean> {
+  if (studentId === undefined || studentId === null || studentId === '') {
+    return false
+  }
+  
+  if (user.role === 'admin') {
+    return true
+  }
+  
+  if (user.role === 'student') {
+    return String(user.id) === String(studentId)
+  }
+  
+  if (user.role === 'teacher') {
+    const student = await db.prepare(`
+      SELECT id FROM users WHERE id = ? AND class_code = ?
+    `).bind(studentId, user.class_code).first()
+    return !!student
+  }
+  
+  if (user.role === 'coordinator') {
+    const permission = await db.prepare(`
+      SELECT id FROM data_sharing_permissions
+      WHERE student_id = ? AND shared_with_user_id = ? AND is_active = 1
+    `).bind(studentId, user.id).first()
+    return !!permission
+  }
+  
+  if (user.role === 'guardian') {
+    return !!(await findGuardianLink(db, user.id, studentId))
+  }
+  
+  return false
+}
+
+// ユーティリティ: 処理対象の児童IDを決定
+// 児童本人の場合はリクエスト内容に関わらずセッションのユーザーIDを使う。アクセスできない場合は null
+async function resolveStudentId(c: any, requested: any): Promise<any | null> {
+  const user: SessionUser = c.get('user')
+  
+  if (user.role === 'student') {
+    return user.id
+  }
+  
+  return (await canAccessStudent(c.env.DB, user, requested)) ? requested : null
+}
+
+// ミドルウェア: 認証チェック
+async function requireAuth(c: any, next: any) {
+  // APIアクセスポリシーで認証済みの場合はそのまま通す
+  if (c.get('user')) {
+    return next()
+  }
+  
+  const token = getSessionToken(c)
+  
+  if (!token) {
+    return c.json({ error: '認証が必要です' }, 401)
+  }
   
   try {
-    console.log(`📋 カード並び替え開始: courseId=${courseId}, cards=${cardIds.length}`)
+    const user = await findSessionUser(c.env.DB, token)
     
-    // 各カードのcard_numberを更新
-    for (let i = 0; i < cardIds.length; i++) {
-      await env.DB.prepare(`
-        UPDATE learning_cards
-        SET card_number = ?
-        WHERE id = ? AND course_id = ?
-      `).bind(i + 1, cardIds[i], courseId).run()
+    if (!user) {
+      return c.json({ error: 'セッションが無効です' }, 401)
     }
     
-    console.log(`✅ カード並び替え完了: ${cardIds.length}枚`)
+    // コンテキストにユーザー情報を保存
+    c.set('user', user)
     
-    return c.json({
-      success: true,
-      message: 'カードの並び替えを保存しました',
-      count: cardIds.length
-    })
-  } catch (error: any) {
-    console.error('カード並び替えエラー:', error)
-    return c.json({
-      success: false,
-      error: 'カードの並び替えに失敗しました',
-      details: error.message
-    }, 500)
+    await next()
+  } catch (error) {
+    console.error('認証エラー:', error)
+    return c.json({ error: '認証に失敗しました' }, 500)
   }
-})
+}
 
-// APIルート：選択問題の削除
-app.delete('/api/optional-problem/:id', async (c) => {
-  const { env } = c
-  const problemId = c.req.param('id')
-  
-  try {
-    await env.DB.prepare(`
-      DELETE FROM optional_problems WHERE id = ?
-    `).bind(problemId).run()
+// ミドルウェア: 権限チェック
+function requirePermission(resource: string, action: string) {
+  return async (c: any, next: any) => {
+    const user = c.get('user')
+    if (!user) {
+      return c.json({ error: '認証が必要です' }, 401)
+    }
     
-    return c.json({
-      success: true,
-      message: '選択問題を削除しました'
-    })
-  } catch (error: any) {
-    console.error('選択問題削除エラー:', error)
-    return c.json({
-      success: false,
-      error: '選択問題の削除に失敗しました',
-      details: error.message
-    }, 500)
+    const { env } = c
+    
+    try {
+      if (!(await hasPermission(env.DB, user.role, resource, action))) {
+        return c.json({ error: '権限がありません' }, 403)
+      }
+      
+      await next()
+    } catch (error) {
+      console.error('権限チェックエラー:', error)
+      return c.json({ error: '権限チェックに失敗しました' }, 500)
+    }
   }
-})
+}
 
-// APIルート：選択問題の更新
-app.put('/api/optional-problem/:id', async (c) => {
-  const { env } = c
-  const problemId = c.req.param('id')
-  const { problem_title, problem_description, problem_content, difficulty_level, learning_meaning } = await c.req.json()
+// ミドルウェア: APIアクセスポリシーの適用（すべての /api ルートの前段で実行）
+async function enforceApiPolicy(c: any, next: any) {
+  // CORSプリフライトは対象外
+  if (c.req.method === 'OPTIONS') {
+    return next()
+  }
+  
+  const matched = matchApiPolicy(c.req.method, c.req.path)
+  
+  if (!matched) {
+    return c.json({ error: 'このAPIへのアクセスは許可されていません' }, 403)
+  }
+  
+  const { policy, params } = matched
+  
+  if (policy.public) {
+    return next()
+  }
+  
+  const token = getSessionToken(c)
+  if (!token) {
+    return c.json({ error: '認証が必要です' }, 401)
+  }
   
   try {
-    await env.DB.prepare(`
-      UPDATE optional_problems
-      SET problem_title = ?, problem_description = ?, 
-          problem_content = ?, difficulty_level = ?, learning_meaning = ?
-      WHERE id = ?
-    `).bind(
-      problem_title,
-      problem_description,
-      problem_content || '',
-      difficulty_level || 'medium',
-      learning_meaning || '',
-      problemId
-    ).run()
+    const user = await findSessionUser(c.env.DB, token)
+    if (!user) {
+      return c.json({ error: 'セッションが無効です' }, 401)
+    }
     
-    return c.json({
-      success: true,
-      message: '選択問題を更新しました'
-    })
-  } catch (error: any) {
-    console.error('選択問題更新エラー:', error)
-    return c.json({
-      success: false,
-      error: '選択問題の更新に失敗しました',
-      details: error.message
-    }, 500)
+    c.set('user', user)
+    
+    if (policy.resource && policy.action &&
+        !(await hasPermission(c.env.DB, user.role, policy.resource, policy.action))) {
+      return c.json({ error: '権限がありません' }, 403)
+    }
+    
+    // パスパラメータによるアクセス範囲の検証
+    if (params.studentId && !(await canAccessStudent(c.env.DB, user, params.studentId))) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
+    if (params.classCode && !canAccessClass(user, params.classCode)) {
+      return c.json({ error: 'このクラスのデータにはアクセスできません' }, 403)
+    }
+    
+    if (params.teacherId && user.role !== 'admin' && String(user.id) !== params.teacherId) {
+      return c.json({ error: '他の先生のデータにはアクセスできません' }, 403)
+    }
+  } catch (error) {
+    console.error('アクセスポリシー適用エラー:', error)
+    return c.json({ error: '認証に失敗しました' }, 500)
+  }
+  
+  await next()
+}
+
+// ==============================================
+// 監査ログ（教育委員会のデータ取扱い規程対応）
+// ==============================================
+
+// ユーティリティ: レスポンス後にバックグラウンドで処理を実行（実行コンテキストがない環境ではその場で待つ）
+async function runInBackground(c: any, task: Promise<unknown>) {
+  try {
+    c.executionCtx.waitUntil(task)
+  } catch {
+    await task
+  }
+}
+
+interface AuditRule {
+  method: 'POST' | 'PUT' | 'DELETE' | '*'
+  path: string
+  resource: string      // audit_logs.resource
+  action?: string       // 省略時はメソッドから判定（POST: create / PUT: update / DELETE: delete）
+  table?: string        // 変更前後の差分を記録するテーブル
+  idParam?: string      // resource_id に使うパスパラメータ（省略時はレスポンスの id）
+  responseIdKey?: string
+}
+
+// 監査対象の更新系API（先に一致したものを適用）
+const auditRules: AuditRule[] = [
+  // カリキュラム
+  { method: 'PUT', path: '/api/curriculum/:id/check-test/problem/:problemNumber', resource: 'curriculum', idParam: 'id' },
+  { method: 'DELETE', path: '/api/curriculum/:id/check-test/problem/:problemNumber', resource: 'curriculum', action: 'update', idParam: 'id' },
+  { method: 'POST', path: '/api/curriculum/:id/duplicate', resource: 'curriculum', table: 'curriculum', responseIdKey: 'newCurriculumId' },
+  { method: 'POST', path: '/api/curriculum/:id/rollback/:historyId', resource: 'curriculum', action: 'rollback', table: 'curriculum', idParam: 'id' },
+  { method: 'POST', path: '/api/curriculum/save-generated', resource: 'curriculum', table: 'curriculum', responseIdKey: 'curriculum_id' },
+  { method: 'POST', path: '/api/curriculum-package/import/commit', resource: 'curriculum', action: 'import', table: 'curriculum', responseIdKey: 'curriculum_id' },
+  { method: 'POST', path: '/api/curriculum/:curriculumId/*', resource: 'curriculum', action: 'update', idParam: 'curriculumId' },
+  { method: 'PUT', path: '/api/curriculum/:id', resource: 'curriculum', table: 'curriculum', idParam: 'id' },
+  { method: 'PUT', path: '/api/curriculum/:id/tags', resource: 'curriculum', action: 'update', idParam: 'id' },
+  { method: 'DELETE', path: '/api/curriculum/:id', resource: 'curriculum', table: 'curriculum', idParam: 'id' },
+  { method: 'POST', path: '/api/course/:courseId/reorder-cards', resource: 'course', action: 'update', idParam: 'courseId' },
+  { method: '*', path: '/api/course/:id/introduction-problem', resource: 'course', action: 'update', table: 'courses', idParam: 'id' },
+  { method: '*', path: '/api/optional-problem/:id', resource: 'optional_problem', table: 'optional_problems', idParam: 'id' },
+  { method: '*', path: '/api/environment/design/:id', resource: 'environment_design', table: 'learning_environment_designs', idParam: 'id' },
+  { method: 'POST', path: '/api/environment/design', resource: 'environment_design', table: 'learning_environment_designs' },
+  { method: 'POST', path: '/api/teacher/customization', resource: 'teacher_customization', action: 'update' },
+  { method: 'POST', path: '/api/custom/content', resource: 'custom_content', table: 'custom_content' },
+  
+  // 学習カード・ヒント
+  { method: 'POST', path: '/api/cards/:cardId/generate-similar', resource: 'card', action: 'generate', idParam: 'cardId' },
+  { method: '*', path: '/api/cards/:cardId/answer-release', resource: 'card_answer_release', idParam: 'cardId' },
+  { method: '*', path: '/api/cards/:cardId', resource: 'card', table: 'learning_cards', idParam: 'cardId' },
+  { method: 'POST', path: '/api/cards', resource: 'card', table: 'learning_cards' },
+  { method: 'PUT', path: '/api/card/:cardId', resource: 'card', table: 'learning_cards', idParam: 'cardId' },
+  { method: '*', path: '/api/hints/:hintId', resource: 'hint', table: 'hint_cards', idParam: 'hintId' },
+  { method: 'POST', path: '/api/hints', resource: 'hint', table: 'hint_cards' },
+  { method: 'POST', path: '/api/ai/approve-problem/:problemId', resource: 'generated_problem', action: 'approve', table: 'ai_generated_problems', idParam: 'problemId' },
+  { method: 'POST', path: '/api/ai/generate-problem', resource: 'generated_problem', action: 'generate' },
+  
+  // 先生からの連絡
+  { method: 'POST', path: '/api/class-messages/class/:classCode', resource: 'class_message', table: 'class_messages' },
+  
+  // バッジルール
+  { method: 'POST', path: '/api/badges/rules/:curriculumId/evaluate', resource: 'badge_rule', action: 'evaluate', idParam: 'curriculumId' },
+  { method: '*', path: '/api/badges/rules/:id', resource: 'badge_rule', table: 'badge_rules', idParam: 'id' },
+  { method: 'POST', path: '/api/badges/rules', resource: 'badge_rule', table: 'badge_rules' },
+  
+  // 評価
+  { method: 'PUT', path: '/api/evaluations/three-point/:id', resource: 'evaluation', table: 'three_point_evaluations', idParam: 'id' },
+  { method: 'PUT', path: '/api/evaluations/non-cognitive/:id', resource: 'evaluation', table: 'non_cognitive_evaluations', idParam: 'id' },
+  { method: 'POST', path: '/api/evaluations/three-point', resource: 'evaluation', table: 'three_point_evaluations' },
+  { method: 'POST', path: '/api/evaluations/non-cognitive', resource: 'evaluation', table: 'non_cognitive_evaluations' },
+  { method: 'POST', path: '/api/evaluations', resource: 'evaluation', table: 'evaluations' },
+  
+  // ヘルプ待ちの列
+  { method: 'POST', path: '/api/help-queue/:id/*', resource: 'help_request', action: 'update', idParam: 'id' },
+  
+  // 学習計画
+  { method: 'PUT', path: '/api/plans/:id', resource: 'plan', table: 'learning_plans', idParam: 'id' },
+  { method: 'POST', path: '/api/plans', resource: 'plan', table: 'learning_plans' },
+  { method: 'POST', path: '/api/learning-plan/save', resource: 'plan', action: 'update' },
+  
+  // 保護者の紐づけ・同意
+  { method: '*', path: '/api/guardian-links/:id', resource: 'guardian_link', table: 'guardian_links', idParam: 'id' },
+  { method: 'POST', path: '/api/guardian-links', resource: 'guardian_link', table: 'guardian_links' },
+  
+  // 解答提出の確認
+  { method: 'PUT', path: '/api/submissions/:id/review', resource: 'submission', action: 'review', table: 'card_submissions', idParam: 'id' },
+  
+  // コーディネーター
+  { method: 'POST', path: '/api/coordinator/*', resource: 'coordinator' },
+  
+  // ユーザー管理
+  { method: 'POST', path: '/api/roster/import/commit', resource: 'user', action: 'import' },
+  { method: 'POST', path: '/api/auth/picture-password/:studentId', resource: 'user', action: 'credential', idParam: 'studentId' },
+  { method: 'DELETE', path: '/api/auth/users/:userId/sessions', resource: 'session', action: 'revoke', idParam: 'userId' }
+]
+
+const compiledAuditRules = compileRoutePatterns(auditRules)
+
+// 監査ログに残す値の最大文字数（長文の問題文などは切り詰める）
+const AUDIT_VALUE_MAX_LENGTH = 500
+
+function truncateAuditValue(value: any): any {
+  return typeof value === 'string' && value.length > AUDIT_VALUE_MAX_LENGTH
+    ? `${value.slice(0, AUDIT_VALUE_MAX_LENGTH)}…`
+    : value
+}
+
+async function fetchAuditSnapshot(db: D1Database, table: string, id: string | number): Promise<Record<string, any> | null> {
+  return await db.prepare(`SELECT * FROM ${table} WHERE id = ?`).bind(id).first()
+}
+
+// 変更前後の差分（変わった項目のみ）
+function diffAuditSnapshots(before: Record<string, any> | null, after: Record<string, any> | null) {
+  const changes: Record<string, { before: any; after: any }> = {}
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  
+  for (const key of keys) {
+    const oldValue = before ? before[key] : undefined
+    const newValue = after ? after[key] : undefined
+    if (oldValue !== newValue) {
+      changes[key] = { before: truncateAuditValue(oldValue), after: truncateAuditValue(newValue) }
+    }
+  }
+  
+  return changes
+}
+
+// ミドルウェア: 更新系APIの監査ログ記録（アクセスポリシー適用後に実行）
+async function recordAuditLog(c: any, next: any) {
+  const method = c.req.method
+  const matched = ['POST', 'PUT', 'DELETE'].includes(method)
+    ? matchRoutePattern(compiledAuditRules, method, c.req.path)
+    : null
+  
+  if (!matched) {
+    return next()
+  }
+  
+  const { route: rule, params } = matched
+  const db: D1Database = c.env.DB
+  const paramId = rule.idParam ? params[rule.idParam] : null
+  
+  let before: Record<string, any> | null = null
+  if (rule.table && paramId) {
+    try {
+      before = await fetchAuditSnapshot(db, rule.table, paramId)
+    } catch (error) {
+      console.error('監査ログ（変更前）取得エラー:', error)
+    }
   }
-})
-
-// APIルート：選択問題の新規追加
-app.post('/api/curriculum/:id/optional-problem', async (c) => {
-  const { env } = c
-  const curriculumId = c.req.param('id')
-  const { problem_number, problem_title, problem_description, problem_content, difficulty_level, learning_meaning } = await c.req.json()
   
-  try {
-    const result = await env.DB.prepare(`
-      INSERT INTO optional_problems (
-        curriculum_id, problem_number, problem_title, 
-        problem_description, problem_content, difficulty_level, learning_meaning
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  await next()
+  
+  // 失敗したリクエストは記録しない
+  if (c.res.status >= 400) {
+    return
+  }
+  
+  const user: SessionUser | undefined = c.get('user')
+  const action = rule.action || (method === 'POST' ? 'create' : method === 'PUT' ? 'update' : 'delete')
+  const ipAddress = c.req.header('cf-connecting-ip') || 'unknown'
+  const userAgent = c.req.header('user-agent') || 'unknown'
+  const response = c.res.clone()
+  
+  const task = (async () => {
+    let resourceId = paramId
+    if (!resourceId) {
+      const body = await response.json().catch(() => null)
+      const responseId = body ? body[rule.responseIdKey || 'id'] : null
+      resourceId = responseId !== null && responseId !== undefined ? String(responseId) : null
+    }
+    
+    const after = rule.table && resourceId && method !== 'DELETE'
+      ? await fetchAuditSnapshot(db, rule.table, resourceId)
+      : null
+    
+    const details: Record<string, any> = {
+      route: `${method} ${c.req.path}`,
+      status: c.res.status
+    }
+    if (rule.table) {
+      details.changes = diffAuditSnapshots(before, after)
+    }
+    
+    await db.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, ip_address, user_agent, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `).bind(
-      curriculumId,
-      problem_number,
-      problem_title,
-      problem_description,
-      problem_content || '',
-      difficulty_level || 'medium',
-      learning_meaning || ''
+      user ? user.id : null,
+      action,
+      rule.resource,
+      resourceId,
+      ipAddress,
+      userAgent,
+      JSON.stringify(details)
     ).run()
-    
-    return c.json({
-      success: true,
-      message: '選択問題を追加しました',
-      problemId: result.meta.last_row_id
-    })
-  } catch (error: any) {
-    console.error('選択問題追加エラー:', error)
-    return c.json({
-      success: false,
-      error: '選択問題の追加に失敗しました',
-      details: error.message
-    }, 500)
-  }
-})
+  })().catch(error => console.error('監査ログ記録エラー:', error))
+  
+  await runInBackground(c, task)
+}
 
-// APIルート：導入問題の更新
-app.put('/api/course/:id/introduction-problem', async (c) => {
+// APIルート: ユーザー登録
+app.post('/api/auth/register', async (c) => {
   const { env } = c
-  const courseId = c.req.param('id')
-  const { problem_title, problem_content, answer } = await c.req.json()
+  const { name, email, password, role, class_code, student_number } = await c.req.json()
   
   try {
-    const introductionProblem = JSON.stringify({
-      problem_title,
-      problem_content,
-      answer
-    })
+    // 児童以外のアカウントは、ユーザー作成権限を持つログイン中のユーザーのみ作成できる
+    const requestedRole = role || 'student'
+    if (requestedRole !== 'student') {
+      const token = getSessionToken(c)
+      const creator = token ? await findSessionUser(env.DB, token) : null
+      
+      if (!creator || !(await hasPermission(env.DB, creator.role, 'user', 'create'))) {
+        return c.json({ error: '教師・管理者アカウントの作成には管理者権限が必要です' }, 403)
+      }
+    }
     
-    await env.DB.prepare(`
-      UPDATE courses
-      SET introduction_problem = ?
-      WHERE id = ?
-    `).bind(introductionProblem, courseId).run()
+    // メールアドレスの重複チェック
+    const existingUser = await env.DB.prepare(`
+      SELECT id FROM users WHERE email = ?
+    `).bind(email).first()
+    
+    if (existingUser) {
+      return c.json({ error: 'このメールアドレスは既に登録されています' }, 400)
+    }
+    
+    // パスワードハッシュ化
+    const passwordHash = await hashPassword(password)
+    
+    // ユーザー作成
+    const result = await env.DB.prepare(`
+      INSERT INTO users (name, email, password_hash, role, class_code, student_number, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, 1)
+    `).bind(name, email, passwordHash, requestedRole, class_code || null, student_number || null).run()
     
     return c.json({
       success: true,
-      message: '導入問題を更新しました'
+      user_id: result.meta.last_row_id,
+      message: 'ユーザー登録が完了しました'
     })
   } catch (error: any) {
-    console.error('導入問題更新エラー:', error)
+    console.error('ユーザー登録エラー:', error)
     return c.json({
       success: false,
-      error: '導入問題の更新に失敗しました',
+      error: 'ユーザー登録に失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート：導入問題の削除
-app.delete('/api/course/:id/introduction-problem', async (c) => {
+// APIルート: ログイン
+// ・メールアドレス＋パスワード
+// ・クラスコード＋出席番号＋絵パスワード（低学年向け、児童のみ）
+app.post('/api/auth/login', async (c) => {
   const { env } = c
-  const courseId = c.req.param('id')
+  const { email, password, class_code, student_number, picture_password } = await c.req.json()
+  const isPictureLogin = picture_password !== undefined
+  const invalidMessage = isPictureLogin
+    ? 'えの じゅんばんが ちがうよ。もういちど やってみてね'
+    : 'メールアドレスまたはパスワードが正しくありません'
   
   try {
+    // ユーザー検索
+    const user = isPictureLogin
+      ? await env.DB.prepare(`
+          SELECT * FROM users
+          WHERE class_code = ? AND student_number = ? AND role = 'student' AND is_active = 1
+        `).bind(class_code || '', Number(student_number) || 0).first()
+      : await env.DB.prepare(`
+          SELECT * FROM users WHERE email = ? AND is_active = 1
+        `).bind(email).first()
+    
+    if (!user) {
+      return c.json({ error: invalidMessage }, 401)
+    }
+    
+    // アカウントロックチェック
+    if (user.locked_until && new Date(user.locked_until as string) > new Date()) {
+      return c.json({ 
+        error: isPictureLogin
+          ? 'しばらく まってから もういちど やってみてね'
+          : 'アカウントがロックされています。しばらく待ってから再度お試しください' 
+      }, 403)
+    }
+    
+    // パスワード検証（絵パスワードは並び順を文字列化して同じ形式で検証）
+    const { valid, needsRehash } = isPictureLogin
+      ? await verifyPassword(pictureSecret(picture_password), user.picture_password_hash as string | null)
+      : await verifyPassword(password, user.password_hash as string | null)
+    if (!valid) {
+      // ログイン失敗回数を増加
+      const attempts = (user.failed_login_attempts as number || 0) + 1
+      const lockUntil = attempts >= 5 
+        ? new Date(Date.now() + 15 * 60 * 1000).toISOString() // 15分ロック
+        : null
+      
+      await env.DB.prepare(`
+        UPDATE users 
+        SET failed_login_attempts = ?, locked_until = ?
+        WHERE id = ?
+      `).bind(attempts, lockUntil, user.id).run()
+      
+      return c.json({ 
+        error: invalidMessage,
+        attempts_remaining: 5 - attempts
+      }, 401)
+    }
+    
+    // セッショントークン生成
+    const sessionToken = generateToken(32)
+    const refreshToken = generateToken(32)
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24時間
+    const refreshExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7日間
+    
+    // セッション作成
     await env.DB.prepare(`
-      UPDATE courses
-      SET introduction_problem = NULL
+      INSERT INTO user_sessions (user_id, session_token, refresh_token, expires_at, refresh_expires_at, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      user.id,
+      sessionToken,
+      refreshToken,
+      expiresAt,
+      refreshExpiresAt,
+      c.req.header('cf-connecting-ip') || 'unknown',
+      c.req.header('user-agent') || 'unknown'
+    ).run()
+    
+    // ログイン成功: 失敗回数をリセット、最終ログイン時刻を更新
+    await env.DB.prepare(`
+      UPDATE users 
+      SET failed_login_attempts = 0, locked_until = NULL, last_login_at = datetime('now')
       WHERE id = ?
-    `).bind(courseId).run()
+    `).bind(user.id).run()
+    
+    // 旧形式のハッシュは現在の形式で保存し直す
+    if (needsRehash) {
+      await env.DB.prepare(`
+        UPDATE users SET ${isPictureLogin ? 'picture_password_hash' : 'password_hash'} = ? WHERE id = ?
+      `).bind(await hashPassword(isPictureLogin ? pictureSecret(picture_password) : password), user.id).run()
+    }
     
     return c.json({
       success: true,
-      message: '導入問題を削除しました'
+      session_token: sessionToken,
+      refresh_token: refreshToken,
+      expires_at: expiresAt,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        class_code: user.class_code,
+        student_number: user.student_number
+      }
     })
   } catch (error: any) {
-    console.error('導入問題削除エラー:', error)
+    console.error('ログインエラー:', error)
     return c.json({
       success: false,
-      error: '導入問題の削除に失敗しました',
+      error: 'ログインに失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート：チェックテスト問題の個別更新
-app.put('/api/curriculum/:id/check-test/problem/:problemNumber', async (c) => {
+// APIルート: ログアウト
+app.post('/api/auth/logout', requireAuth, async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('id')
-  const problemNumber = parseInt(c.req.param('problemNumber'))
-  const { problem_text, answer } = await c.req.json()
+  const authHeader = c.req.header('Authorization')
+  const token = authHeader!.substring(7)
   
   try {
-    // 既存のチェックテストを取得
-    const metaRow: any = await env.DB.prepare(`
-      SELECT meta_value FROM curriculum_metadata
-      WHERE curriculum_id = ? AND meta_key = 'common_check_test'
-    `).bind(curriculumId).first()
-    
-    if (!metaRow) {
-      return c.json({ error: 'チェックテストが見つかりません' }, 404)
-    }
-    
-    const checkTest = JSON.parse(metaRow.meta_value)
-    
-    // 指定された問題を更新
-    const problemIndex = checkTest.sample_problems.findIndex((p: any) => p.problem_number === problemNumber)
-    if (problemIndex === -1) {
-      return c.json({ error: '指定された問題が見つかりません' }, 404)
-    }
-    
-    checkTest.sample_problems[problemIndex].problem_text = problem_text
-    checkTest.sample_problems[problemIndex].answer = answer
-    
-    // データベースに保存
+    // セッション削除
     await env.DB.prepare(`
-      UPDATE curriculum_metadata
-      SET meta_value = ?
-      WHERE curriculum_id = ? AND meta_key = 'common_check_test'
-    `).bind(JSON.stringify(checkTest), curriculumId).run()
+      DELETE FROM user_sessions WHERE session_token = ?
+    `).bind(token).run()
     
     return c.json({
       success: true,
-      message: 'チェックテスト問題を更新しました'
+      message: 'ログアウトしました'
     })
   } catch (error: any) {
-    console.error('チェックテスト更新エラー:', error)
+    console.error('ログアウトエラー:', error)
     return c.json({
       success: false,
-      error: 'チェックテスト問題の更新に失敗しました',
-      details: error.message
+      error: 'ログアウトに失敗しました'
     }, 500)
   }
 })
 
-// APIルート：チェックテスト問題の個別削除
-app.delete('/api/curriculum/:id/check-test/problem/:problemNumber', async (c) => {
+// APIルート: セッション更新（リフレッシュトークン）
+// 更新のたびにリフレッシュトークンも新しくし（ローテーション）、古いトークンは使用済みとして記録する。
+// 使用済みトークンが再度提示された場合は漏えいとみなし、そのセッション系列をすべて無効化する
+app.post('/api/auth/refresh', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('id')
-  const problemNumber = parseInt(c.req.param('problemNumber'))
+  const { refresh_token } = await c.req.json()
+  
+  if (!refresh_token) {
+    return c.json({ error: 'リフレッシュトークンが無効です' }, 401)
+  }
   
   try {
-    // 既存のチェックテストを取得
-    const metaRow: any = await env.DB.prepare(`
-      SELECT meta_value FROM curriculum_metadata
-      WHERE curriculum_id = ? AND meta_key = 'common_check_test'
-    `).bind(curriculumId).first()
+    const tokenHash = await sha256Hex(refresh_token)
     
-    if (!metaRow) {
-      return c.json({ error: 'チェックテストが見つかりません' }, 404)
+    const session = await env.DB.prepare(`
+      SELECT s.*, u.id as user_id, u.name, u.email, u.role, u.class_code, u.student_number
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.refresh_token = ? AND datetime(s.refresh_expires_at) > datetime('now') AND u.is_active = 1
+    `).bind(refresh_token).first()
+    
+    if (!session) {
+      // 使用済みトークンの再利用を検知したら、同じ系列のセッションを無効化
+      const consumed = await env.DB.prepare(`
+        SELECT session_id, user_id FROM consumed_refresh_tokens WHERE token_hash = ?
+      `).bind(tokenHash).first()
+      
+      if (consumed) {
+        await env.DB.prepare(`
+          DELETE FROM user_sessions WHERE id = ?
+        `).bind(consumed.session_id).run()
+        console.warn('リフレッシュトークンの再利用を検知しました:', { user_id: consumed.user_id, session_id: consumed.session_id })
+        
+        return c.json({ 
+          error: 'このログインは無効になりました。安全のため、もう一度ログインしてください',
+          reuse_detected: true
+        }, 401)
+      }
+      
+      return c.json({ error: 'リフレッシュトークンが無効です' }, 401)
     }
     
-    const checkTest = JSON.parse(metaRow.meta_value)
+    // 新しいセッショントークン・リフレッシュトークン生成（系列の有効期限は引き継ぐ）
+    const newSessionToken = generateToken(32)
+    const newRefreshToken = generateToken(32)
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
     
-    // 指定された問題を削除
-    checkTest.sample_problems = checkTest.sample_problems.filter((p: any) => p.problem_number !== problemNumber)
+    // セッション更新（同時に更新された場合は後から来た方を失敗させる）
+    const updated = await env.DB.prepare(`
+      UPDATE user_sessions 
+      SET session_token = ?, refresh_token = ?, expires_at = ?, updated_at = datetime('now')
+      WHERE id = ? AND refresh_token = ?
+    `).bind(newSessionToken, newRefreshToken, expiresAt, session.id, refresh_token).run()
     
-    // 問題番号を振り直し
-    checkTest.sample_problems.forEach((p: any, index: number) => {
-      p.problem_number = index + 1
-    })
+    if (!updated.meta.changes) {
+      return c.json({ error: 'リフレッシュトークンが無効です' }, 401)
+    }
     
-    // データベースに保存
+    // 古いリフレッシュトークンを使用済みとして記録（トークンそのものは保存しない）
     await env.DB.prepare(`
-      UPDATE curriculum_metadata
-      SET meta_value = ?
-      WHERE curriculum_id = ? AND meta_key = 'common_check_test'
-    `).bind(JSON.stringify(checkTest), curriculumId).run()
+      INSERT OR IGNORE INTO consumed_refresh_tokens (token_hash, session_id, user_id, expires_at)
+      VALUES (?, ?, ?, ?)
+    `).bind(tokenHash, session.id, session.user_id, session.refresh_expires_at || expiresAt).run()
     
     return c.json({
       success: true,
-      message: 'チェックテスト問題を削除しました'
+      session_token: newSessionToken,
+      refresh_token: newRefreshToken,
+      expires_at: expiresAt,
+      user: {
+        id: session.user_id,
+        name: session.name,
+        email: session.email,
+        role: session.role,
+        class_code: session.class_code,
+        student_number: session.student_number
+      }
     })
   } catch (error: any) {
-    console.error('チェックテスト削除エラー:', error)
+    console.error('セッション更新エラー:', error)
     return c.json({
       success: false,
-      error: 'チェックテスト問題の削除に失敗しました',
-      details: error.message
+      error: 'セッション更新に失敗しました'
     }, 500)
   }
 })
 
-// APIルート：チェックテスト問題の新規追加
-app.post('/api/curriculum/:id/check-test/problem', async (c) => {
+// APIルート: 現在のユーザー情報取得
+app.get('/api/auth/me', requireAuth, async (c) => {
+  const user = c.get('user')
+  return c.json({
+    success: true,
+    user
+  })
+})
+
+// APIルート: 絵パスワードでログインできる出席番号の一覧（ログイン前の番号選択用）
+// ※ 未ログインでも呼べるため、氏名は返さない
+app.get('/api/auth/picture-login/:classCode', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('id')
-  const { problem_text, answer } = await c.req.json()
+  const classCode = c.req.param('classCode')
   
   try {
-    // 既存のチェックテストを取得
-    const metaRow: any = await env.DB.prepare(`
-      SELECT meta_value FROM curriculum_metadata
-      WHERE curriculum_id = ? AND meta_key = 'common_check_test'
-    `).bind(curriculumId).first()
-    
-    let checkTest
-    if (metaRow) {
-      checkTest = JSON.parse(metaRow.meta_value)
-    } else {
-      checkTest = {
-        test_title: '基礎基本チェックテスト',
-        test_description: '全コース共通の基礎基本チェックテスト（知識理解の最低保証）',
-        test_note: '6問中5問以上正解で合格です！',
-        sample_problems: []
-      }
-    }
-    
-    // 新しい問題を追加
-    const newProblemNumber = checkTest.sample_problems.length + 1
-    checkTest.sample_problems.push({
-      problem_number: newProblemNumber,
-      problem_text,
-      answer
-    })
-    
-    // データベースに保存
-    if (metaRow) {
-      await env.DB.prepare(`
-        UPDATE curriculum_metadata
-        SET meta_value = ?
-        WHERE curriculum_id = ? AND meta_key = 'common_check_test'
-      `).bind(JSON.stringify(checkTest), curriculumId).run()
-    } else {
-      await env.DB.prepare(`
-        INSERT INTO curriculum_metadata (curriculum_id, meta_key, meta_value)
-        VALUES (?, 'common_check_test', ?)
-      `).bind(curriculumId, JSON.stringify(checkTest)).run()
-    }
+    const students = await env.DB.prepare(`
+      SELECT student_number FROM users
+      WHERE class_code = ? AND role = 'student' AND is_active = 1
+        AND student_number IS NOT NULL AND picture_password_hash IS NOT NULL
+      ORDER BY student_number
+    `).bind(classCode).all()
     
     return c.json({
       success: true,
-      message: 'チェックテスト問題を追加しました',
-      problemNumber: newProblemNumber
+      picture_count: PICTURE_PASSWORD_CHOICES,
+      sequence_length: PICTURE_PASSWORD_LENGTH,
+      student_numbers: (students.results || []).map((s: any) => s.student_number)
     })
   } catch (error: any) {
-    console.error('チェックテスト追加エラー:', error)
+    console.error('出席番号一覧取得エラー:', error)
     return c.json({
       success: false,
-      error: 'チェックテスト問題の追加に失敗しました',
-      details: error.message
+      error: '出席番号の取得に失敗しました'
     }, 500)
   }
 })
 
-// ============================================================
-// 学習スタイル対応 - カード編集API
-// ============================================================
-
-// APIルート：学習カードの更新（学習スタイル対応）
-app.put('/api/card/:cardId', async (c) => {
+// APIルート: 絵パスワードの設定・再発行（教師用）
+// sequence を省略した場合はランダムに発行する
+app.post('/api/auth/picture-password/:studentId', async (c) => {
   const { env } = c
-  const cardId = c.req.param('cardId')
-  const updates = await c.req.json()
+  const studentId = c.req.param('studentId')
+  const body = await c.req.json().catch(() => ({}))
+  const sequence = body.sequence ?? generatePictureSequence()
+  
+  if (!isValidPictureSequence(sequence)) {
+    return c.json({ 
+      error: `絵パスワードは0〜${PICTURE_PASSWORD_CHOICES - 1}の番号を${PICTURE_PASSWORD_LENGTH}つ指定してください` 
+    }, 400)
+  }
   
   try {
-    // 更新可能なフィールド
-    const allowedFields = [
-      'card_title',
-      'problem_description',
-      'answer',
-      'problem_image_url',
-      'answer_image_url',
-      'visual_support',
-      'auditory_support',
-      'kinesthetic_support',
-      'hints',
-      'example_problem',
-      'example_solution',
-      'real_world_connection',
-      'new_terms',
-      'textbook_page',
-      'learning_style_notes'
-    ]
-    
-    const updateFields: string[] = []
-    const values: any[] = []
+    const student = await env.DB.prepare(`
+      SELECT id, student_number FROM users WHERE id = ? AND role = 'student'
+    `).bind(studentId).first()
     
-    for (const field of allowedFields) {
-      if (field in updates) {
-        updateFields.push(`${field} = ?`)
-        // JSON型のフィールドは文字列化
-        if (['hints', 'new_terms', 'visual_support', 'auditory_support', 'kinesthetic_support'].includes(field)) {
-          values.push(JSON.stringify(updates[field]))
-        } else {
-          values.push(updates[field])
-        }
-      }
+    if (!student) {
+      return c.json({ error: '児童が見つかりません' }, 404)
     }
-    
-    if (updateFields.length === 0) {
-      return c.json({
-        success: false,
-        error: '更新するフィールドがありません'
-      }, 400)
+    if (student.student_number === null) {
+      return c.json({ error: '出席番号が未設定の児童には絵パスワードを設定できません' }, 400)
     }
     
-    values.push(cardId)
-    
-    const sql = `
-      UPDATE learning_cards
-      SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    // 再発行時はロックも解除する
+    await env.DB.prepare(`
+      UPDATE users 
+      SET picture_password_hash = ?, failed_login_attempts = 0, locked_until = NULL
       WHERE id = ?
-    `
-    
-    await env.DB.prepare(sql).bind(...values).run()
-    
-    // 更新後のカードを取得
-    const card = await env.DB.prepare(`
-      SELECT * FROM learning_cards WHERE id = ?
-    `).bind(cardId).first()
-    
-    // 履歴記録
-    await recordHistory(env.DB, {
-      type: 'card',
-      action: 'update_learning_styles',
-      idField: 'card_id',
-      idValue: parseInt(cardId),
-      changedFields: updateFields.map(f => f.split(' = ')[0]),
-      snapshot: card
-    })
+    `).bind(await hashPassword(pictureSecret(sequence)), studentId).run()
     
     return c.json({
       success: true,
-      message: '学習カードを更新しました',
-      card
+      picture_password: sequence
     })
   } catch (error: any) {
-    console.error('カード更新エラー:', error)
+    console.error('絵パスワード設定エラー:', error)
     return c.json({
       success: false,
-      error: 'カードの更新に失敗しました',
+      error: '絵パスワードの設定に失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート：学習スタイル自動提案
-app.post('/api/card/:cardId/suggest-learning-styles', async (c) => {
+// ==============================================
+// セッション管理API
+// ==============================================
+
+// セッション一覧（トークンは返さない）
+async function listUserSessions(db: D1Database, userId: number | string, currentToken: string | null) {
+  const sessions = await db.prepare(`
+    SELECT 
+      id, ip_address, user_agent, created_at, updated_at, expires_at, refresh_expires_at,
+      CASE WHEN session_token = ? THEN 1 ELSE 0 END as is_current
+    FROM user_sessions
+    WHERE user_id = ? AND datetime(COALESCE(refresh_expires_at, expires_at)) > datetime('now')
+    ORDER BY updated_at DESC
+  `).bind(currentToken || '', userId).all()
+  
+  return sessions.results || []
+}
+
+// 管理対象ユーザーの確認（管理者は全員、教師は担当クラスの児童のみ）
+async function canManageUserSessions(db: D1Database, user: SessionUser, targetUserId: string): Promise<boolean> {
+  if (user.role === 'admin') {
+    return true
+  }
+  
+  const target = await db.prepare(`
+    SELECT role FROM users WHERE id = ?
+  `).bind(targetUserId).first()
+  
+  return !!target && target.role === 'student' && await canAccessStudent(db, user, targetUserId)
+}
+
+// APIルート: 自分のセッション一覧
+app.get('/api/auth/sessions', async (c) => {
   const { env } = c
-  const cardId = c.req.param('cardId')
-  const apiKey = env.GEMINI_API_KEY
+  const user = c.get('user')
   
-  if (!apiKey) {
+  try {
+    return c.json({
+      success: true,
+      sessions: await listUserSessions(env.DB, user.id, getSessionToken(c))
+    })
+  } catch (error: any) {
+    console.error('セッション一覧取得エラー:', error)
     return c.json({
       success: false,
-      error: 'APIキーが設定されていません'
+      error: 'セッション一覧の取得に失敗しました'
     }, 500)
   }
+})
+
+// APIルート: 自分のセッションをすべて無効化
+// except_current=false を指定しない限り、現在のセッションは残す
+app.delete('/api/auth/sessions', async (c) => {
+  const { env } = c
+  const user = c.get('user')
+  const exceptCurrent = c.req.query('except_current') !== 'false'
   
   try {
-    // カード情報を取得
-    const card: any = await env.DB.prepare(`
-      SELECT lc.*, c.grade, c.subject, c.unit_name, c.textbook_company
-      FROM learning_cards lc
-      JOIN courses co ON lc.course_id = co.id
-      JOIN curriculum c ON co.curriculum_id = c.id
-      WHERE lc.id = ?
-    `).bind(cardId).first()
-    
-    if (!card) {
-      return c.json({ error: 'カードが見つかりません' }, 404)
-    }
-    
-    const prompt = `以下の学習カードに対して、視覚優位・聴覚優位・体感優位の3つの学習スタイルに応じたサポート内容を提案してください。
-
-【学習カード情報】
-学年: ${card.grade}
-教科: ${card.subject}
-単元: ${card.unit_name}
-カード番号: ${card.card_number}
-カード名: ${card.card_title}
-問題: ${card.problem_description}
-
-【出力形式】JSON形式で出力してください：
-{
-  "visual_support": {
-    "description": "視覚優位な子どもへの支援内容（図やイラスト、色分け、図解などの提案）",
-    "materials": ["必要な教材1", "必要な教材2"],
-    "activities": ["活動例1", "活動例2"]
-  },
-  "auditory_support": {
-    "description": "聴覚優位な子どもへの支援内容（音読、リズム、語呂合わせなどの提案）",
-    "materials": ["必要な教材1", "必要な教材2"],
-    "activities": ["活動例1", "活動例2"]
-  },
-  "kinesthetic_support": {
-    "description": "体感優位な子どもへの支援内容（身体活動、具体物操作などの提案）",
-    "materials": ["必要な教材1", "必要な教材2"],
-    "activities": ["活動例1", "活動例2"]
-  },
-  "learning_style_notes": "教師向けの指導上の留意点"
-}`
-
-    const result = await callGeminiAPI({
-      model: 'gemini-2.5-flash',
-      prompt,
-      apiKey,
-      maxOutputTokens: 4096,
-      temperature: 0.7,
-      retries: 2
-    })
-    
-    if (!result.success || !result.content) {
-      throw new Error('学習スタイル提案の生成に失敗しました')
-    }
-    
-    // JSON抽出
-    let jsonMatch = result.content.match(/```json\n([\s\S]*?)\n```/)
-    if (!jsonMatch) {
-      jsonMatch = result.content.match(/```\n([\s\S]*?)\n```/)
-    }
-    if (!jsonMatch) {
-      jsonMatch = result.content.match(/(\{[\s\S]*\})/)
-    }
-    
-    const jsonText = jsonMatch ? jsonMatch[1] : result.content
-    const suggestions = JSON.parse(jsonText)
+    const result = await env.DB.prepare(`
+      DELETE FROM user_sessions WHERE user_id = ? AND session_token != ?
+    `).bind(user.id, exceptCurrent ? getSessionToken(c) : '').run()
     
     return c.json({
       success: true,
-      suggestions,
-      message: '学習スタイル提案を生成しました'
+      revoked: result.meta.changes || 0
     })
   } catch (error: any) {
-    console.error('学習スタイル提案エラー:', error)
+    console.error('セッション一括無効化エラー:', error)
     return c.json({
       success: false,
-      error: '学習スタイル提案の生成に失敗しました',
-      details: error.message
+      error: 'セッションの無効化に失敗しました'
     }, 500)
   }
 })
 
-// APIルート：チェックテストの再生成
-app.post('/api/curriculum/:id/regenerate-check-test', async (c) => {
+// APIルート: 期限切れセッションの削除（管理者用。定期実行はリアルタイム配信ワーカーの cron で行う）
+app.post('/api/auth/sessions/cleanup', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('id')
-  const apiKey = env.GEMINI_API_KEY
   
-  if (!apiKey) {
+  try {
+    const deleted = await cleanupExpiredSessions(env.DB)
+    return c.json({
+      success: true,
+      deleted
+    })
+  } catch (error: any) {
+    console.error('セッション削除エラー:', error)
     return c.json({
       success: false,
-      error: 'APIキーが設定されていません'
+      error: '期限切れセッションの削除に失敗しました'
     }, 500)
   }
-  
-  try {
-    // カリキュラム情報を取得
-    const curriculum = await env.DB.prepare(`
-      SELECT * FROM curriculum WHERE id = ?
-    `).bind(curriculumId).first()
-    
-    if (!curriculum) {
-      return c.json({ error: 'カリキュラムが見つかりません' }, 404)
-    }
-    
-    const prompt = `${curriculum.grade}${curriculum.subject}「${curriculum.unit_name}」の基礎確認テスト6問を生成。各問は30字以上、answer必須。JSON出力:
-{"sample_problems":[{"problem_number":1,"problem_text":"問題文","answer":"答え"}]}`
+})
 
-    const result = await callGeminiAPI({
-      model: 'gemini-2.5-flash',
-      prompt,
-      apiKey,
-      maxOutputTokens: 4096,
-      temperature: 0.8,
-      retries: 3
-    })
-    
-    if (!result.success || !result.content) {
-      throw new Error('チェックテストの生成に失敗しました')
-    }
-    
-    // JSONを抽出
-    let jsonMatch = result.content.match(/```json\n([\s\S]*?)\n```/)
-    let jsonText = jsonMatch ? jsonMatch[1] : result.content
-    const checkTest = JSON.parse(jsonText)
+// APIルート: 自分のセッションを1件無効化
+app.delete('/api/auth/sessions/:sessionId', async (c) => {
+  const { env } = c
+  const user = c.get('user')
+  const sessionId = c.req.param('sessionId')
+  
+  try {
+    const result = await env.DB.prepare(`
+      DELETE FROM user_sessions WHERE id = ? AND user_id = ?
+    `).bind(sessionId, user.id).run()
     
-    // データベースに保存
-    await env.DB.prepare(`
-      INSERT OR REPLACE INTO curriculum_metadata (curriculum_id, meta_key, meta_value)
-      VALUES (?, 'common_check_test', ?)
-    `).bind(
-      curriculumId,
-      JSON.stringify({
-        test_title: '基礎基本チェックテスト',
-        test_description: '全コース共通の基礎基本チェックテスト（知識理解の最低保証）',
-        test_note: '6問中5問以上正解で合格です！',
-        sample_problems: checkTest.sample_problems
-      })
-    ).run()
+    if (!result.meta.changes) {
+      return c.json({ error: 'セッションが見つかりません' }, 404)
+    }
     
     return c.json({
       success: true,
-      checkTest: checkTest.sample_problems,
-      model_used: result.model
+      message: 'セッションを無効化しました'
     })
   } catch (error: any) {
-    console.error('チェックテスト再生成エラー:', error)
+    console.error('セッション無効化エラー:', error)
     return c.json({
       success: false,
-      error: 'チェックテストの再生成に失敗しました',
-      details: error.message
+      error: 'セッションの無効化に失敗しました'
     }, 500)
   }
 })
 
-// APIルート：単元の編集履歴取得
-app.get('/api/curriculum/:id/history', async (c) => {
+// APIルート: 指定ユーザーのセッション一覧（管理者・担任）
+app.get('/api/auth/users/:userId/sessions', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('id')
+  const userId = c.req.param('userId')
   
   try {
-    const history = await env.DB.prepare(`
-      SELECT 
-        h.*,
-        u.name as changed_by_name
-      FROM curriculum_history h
-      LEFT JOIN users u ON h.changed_by = u.id
-      WHERE h.curriculum_id = ?
-      ORDER BY h.created_at DESC
-      LIMIT 50
-    `).bind(curriculumId).all()
+    if (!(await canManageUserSessions(env.DB, c.get('user'), userId))) {
+      return c.json({ error: 'このユーザーのセッションは管理できません' }, 403)
+    }
     
     return c.json({
       success: true,
-      history: history.results || [],
-      count: history.results?.length || 0
+      sessions: await listUserSessions(env.DB, userId, getSessionToken(c))
     })
   } catch (error: any) {
-    console.error('履歴取得エラー:', error)
+    console.error('セッション一覧取得エラー:', error)
     return c.json({
       success: false,
-      error: '履歴の取得に失敗しました',
-      details: error.message
+      error: 'セッション一覧の取得に失敗しました'
     }, 500)
   }
 })
 
-// APIルート：履歴ロールバック
-app.post('/api/curriculum/:id/rollback/:historyId', async (c) => {
+// APIルート: 指定ユーザーの強制ログアウト（管理者・担任）
+app.delete('/api/auth/users/:userId/sessions', async (c) => {
   const { env } = c
-  const curriculumId = c.req.param('id')
-  const historyId = c.req.param('historyId')
+  const userId = c.req.param('userId')
   
   try {
-    // 履歴データを取得
-    const historyRecord = await env.DB.prepare(`
-      SELECT * FROM curriculum_history 
-      WHERE id = ? AND curriculum_id = ?
-    `).bind(historyId, curriculumId).first()
-    
-    if (!historyRecord) {
-      return c.json({
-        success: false,
-        error: '履歴レコードが見つかりません'
-      }, 404)
-    }
-    
-    // 現在の状態を履歴に保存（ロールバック前）
-    const currentCurriculum = await env.DB.prepare(`
-      SELECT * FROM curriculum WHERE id = ?
-    `).bind(curriculumId).first()
-    
-    if (currentCurriculum) {
-      await recordHistory(env, 'curriculum_history', curriculumId, {
-        action: 'rollback_before',
-        changed_by: 1, // システムユーザー
-        data_before: JSON.stringify(currentCurriculum),
-        data_after: historyRecord.data_before
-      })
+    if (!(await canManageUserSessions(env.DB, c.get('user'), userId))) {
+      return c.json({ error: 'このユーザーのセッションは管理できません' }, 403)
     }
     
-    // 履歴データをパース
-    const rollbackData = JSON.parse(historyRecord.data_before as string)
-    
-    // カリキュラムをロールバック
-    await env.DB.prepare(`
-      UPDATE curriculum SET
-        grade = ?,
-        subject = ?,
-        textbook_company = ?,
-        unit_name = ?,
-        unit_goal = ?,
-        non_cognitive_goal = ?
-      WHERE id = ?
-    `).bind(
-      rollbackData.grade,
-      rollbackData.subject,
-      rollbackData.textbook_company,
-      rollbackData.unit_name,
-      rollbackData.unit_goal,
-      rollbackData.non_cognitive_goal,
-      curriculumId
-    ).run()
-    
-    // ロールバック完了を履歴に記録
-    await recordHistory(env, 'curriculum_history', curriculumId, {
-      action: 'rollback_complete',
-      changed_by: 1,
-      data_before: JSON.stringify(currentCurriculum),
-      data_after: JSON.stringify(rollbackData)
-    })
+    const result = await env.DB.prepare(`
+      DELETE FROM user_sessions WHERE user_id = ?
+    `).bind(userId).run()
     
     return c.json({
       success: true,
-      message: 'ロールバックが完了しました',
-      rolled_back_to: historyRecord.created_at
+      revoked: result.meta.changes || 0,
+      message: '強制ログアウトしました'
     })
   } catch (error: any) {
-    console.error('ロールバックエラー:', error)
+    console.error('強制ログアウトエラー:', error)
     return c.json({
       success: false,
-      error: 'ロールバックに失敗しました',
-      details: error.message
+      error: '強制ログアウトに失敗しました'
     }, 500)
   }
 })
 
-// APIルート：システム統計情報取得（API呼び出し回数、データベース統計など）
-app.get('/api/system/stats', async (c) => {
+// ==============================================
+// 監査ログ閲覧API
+// ==============================================
+
+const AUDIT_LOG_DEFAULT_LIMIT = 50
+const AUDIT_LOG_MAX_LIMIT = 200
+
+// ユーティリティ: クエリ文字列の整数（数値でない・範囲外の値は既定値か上限に丸める）
+function queryInteger(value: string | undefined, fallback: number, min: number, max: number = Number.MAX_SAFE_INTEGER): number {
+  const number = Number(value)
+  if (value === undefined || value === '' || !Number.isInteger(number)) {
+    return fallback
+  }
+  return Math.min(Math.max(number, min), max)
+}
+
+// APIルート: 監査ログ一覧（ユーザー・リソース・期間で絞り込み）
+app.get('/api/audit-logs', async (c) => {
   const { env } = c
+  const user = c.get('user')
+  const { user_id, resource, action, from, to } = c.req.query()
+  const limit = queryInteger(c.req.query('limit'), AUDIT_LOG_DEFAULT_LIMIT, 1, AUDIT_LOG_MAX_LIMIT)
+  const offset = queryInteger(c.req.query('offset'), 0, 0)
   
   try {
-    // カリキュラム統計
-    const curriculumStats = await env.DB.prepare(`
-      SELECT 
-        COUNT(*) as total_curriculums,
-        COUNT(DISTINCT grade) as total_grades,
-        COUNT(DISTINCT subject) as total_subjects,
-        COUNT(DISTINCT textbook_company) as total_textbooks
-      FROM curriculum
-    `).first()
+    const conditions: string[] = []
+    const params: any[] = []
     
-    // コース統計
-    const courseStats = await env.DB.prepare(`
-      SELECT 
-        COUNT(*) as total_courses,
-        COUNT(DISTINCT curriculum_id) as curriculums_with_courses
-      FROM courses
-    `).first()
+    // 管理者以外は自クラスのユーザーによる操作のみ
+    if (user.role !== 'admin') {
+      conditions.push('u.class_code = ?')
+      params.push(user.class_code)
+    }
+    if (user_id) {
+      conditions.push('a.user_id = ?')
+      params.push(user_id)
+    }
+    if (resource) {
+      conditions.push('a.resource = ?')
+      params.push(resource)
+    }
+    if (action) {
+      conditions.push('a.action = ?')
+      params.push(action)
+    }
+    if (from) {
+      conditions.push('a.created_at >= ?')
+      params.push(from)
+    }
+    if (to) {
+      // 終了日は当日を含む
+      conditions.push("a.created_at < date(?, '+1 day')")
+      params.push(to)
+    }
     
-    // 学習カード統計
-    const cardStats = await env.DB.prepare(`
-      SELECT 
-        COUNT(*) as total_cards,
-        COUNT(DISTINCT course_id) as courses_with_cards
-      FROM learning_cards
-    `).first()
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
     
-    // 選択問題統計
-    const optionalProblemStats = await env.DB.prepare(`
-      SELECT 
-        COUNT(*) as total_optional_problems,
-        COUNT(DISTINCT curriculum_id) as curriculums_with_optional_problems
-      FROM optional_problems
-    `).first()
+    const total = await env.DB.prepare(`
+      SELECT COUNT(*) as count
+      FROM audit_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      ${where}
+    `).bind(...params).first()
+    
+    const logs = await env.DB.prepare(`
+      SELECT a.*, u.name as user_name, u.role as user_role
+      FROM audit_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, limit, offset).all()
     
     return c.json({
       success: true,
-      stats: {
-        curriculum: curriculumStats,
-        courses: courseStats,
-        cards: cardStats,
-        optional_problems: optionalProblemStats
-      },
-      timestamp: new Date().toISOString()
+      total: total?.count || 0,
+      limit,
+      offset,
+      logs: (logs.results || []).map((log: any) => ({
+        ...log,
+        details: log.details ? JSON.parse(log.details) : null
+      }))
     })
   } catch (error: any) {
-    console.error('統計情報取得エラー:', error)
+    console.error('監査ログ取得エラー:', error)
     return c.json({
       success: false,
-      error: '統計情報の取得に失敗しました',
+      error: '監査ログの取得に失敗しました',
       details: error.message
     }, 500)
   }
 })
 
 // ==============================================
-// 認証API
+// 名簿一括取り込みAPI（校務システムのCSV）
 // ==============================================
 
-// ユーティリティ: パスワードハッシュ生成（Web Crypto API使用）
-async function hashPassword(password: string): Promise<string> {
-  const encoder = new TextEncoder()
-  const data = encoder.encode(password)
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data)
-  const hashArray = Array.from(new Uint8Array(hashBuffer))
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
+const ROSTER_MAX_ROWS = 200
+
+// CSV見出しの対応表（英語・日本語どちらの見出しでも受け付ける）
+const ROSTER_HEADER_ALIASES: Record<string, string> = {
+  'student_number': 'student_number', '出席番号': 'student_number', '番号': 'student_number',
+  'name': 'name', '氏名': 'name', '名前': 'name',
+  'class_code': 'class_code', 'クラスコード': 'class_code',
+  'role': 'role', '役割': 'role', '区分': 'role',
+  'email': 'email', 'メールアドレス': 'email',
+  'grade': 'grade', '学年': 'grade',
+  'class_name': 'class_name', 'クラス名': 'class_name',
+  'school_name': 'school_name', '学校名': 'school_name'
 }
 
-// ユーティリティ: トークン生成
-function generateToken(length: number = 32): string {
+const ROSTER_ROLE_ALIASES: Record<string, string> = {
+  'student': 'student', '児童': 'student', '生徒': 'student',
+  'teacher': 'teacher', '教師': 'teacher', '教員': 'teacher'
+}
+
+interface RosterRow {
+  row: number
+  student_number: number | null
+  name: string
+  class_code: string
+  role: string
+  email: string
+  grade: number | null
+  class_name: string
+  school_name: string
+  errors: string[]
+  conflicts: string[]
+}
+
+// CSVを行ごとのセル配列に分割（ダブルクォート内のカンマ・改行に対応）
+function parseCsv(text: string): string[][] {
+  const rows: string[][] = []
+  let row: string[] = []
+  let cell = ''
+  let inQuotes = false
+  const src = text.replace(/^\uFEFF/, '') // BOM付きCSV（Excel出力）に対応
+  
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (ch === '"') {
+        inQuotes = false
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"') {
+      inQuotes = true
+    } else if (ch === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+  
+  // 空行を除外
+  return rows.filter(r => r.some(v => v.trim() !== ''))
+}
+
+// 児童のメールアドレスが空欄の場合のログインID
+function defaultRosterEmail(classCode: string, studentNumber: number): string {
+  return `${classCode}-${String(studentNumber).padStart(2, '0')}@students.local`.toLowerCase()
+}
+
+// 初期パスワード生成（紛らわしい文字 0/O, 1/l/I を除く）
+function generateInitialPassword(length: number = 8): string {
+  const chars = 'abcdefghjkmnpqrstuvwxyz23456789'
   const array = new Uint8Array(length)
   crypto.getRandomValues(array)
-  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('')
+  return Array.from(array, byte => chars[byte % chars.length]).join('')
 }
 
-// ミドルウェア: 認証チェック
-async function requireAuth(c: any, next: any) {
-  const { env } = c
-  const authHeader = c.req.header('Authorization')
+// 名簿CSVを検証し、既存ユーザーとの重複を調べる
+async function validateRoster(db: D1Database, user: SessionUser, csv: string): Promise<{ rows: RosterRow[]; error?: string }> {
+  const table = parseCsv(csv || '')
+  if (table.length < 2) {
+    return { rows: [], error: 'CSVに見出し行とデータ行が必要です' }
+  }
+  if (table.length - 1 > ROSTER_MAX_ROWS) {
+    return { rows: [], error: `一度に取り込めるのは${ROSTER_MAX_ROWS}行までです` }
+  }
+  
+  const headers = table[0].map(h => ROSTER_HEADER_ALIASES[h.trim().toLowerCase()] || ROSTER_HEADER_ALIASES[h.trim()] || '')
+  const missing = ['name', 'class_code', 'role'].filter(key => !headers.includes(key))
+  if (missing.length > 0) {
+    return { rows: [], error: `必須の列がありません: ${missing.join(', ')}` }
+  }
+  
+  const canCreateStaff = await hasPermission(db, user.role, 'user', 'create')
+  const seenEmails = new Map<string, number>()
+  const seenNumbers = new Map<string, number>()
+  
+  const rows: RosterRow[] = table.slice(1).map((cells, index) => {
+    const value = (key: string) => {
+      const col = headers.indexOf(key)
+      return col >= 0 ? (cells[col] || '').trim() : ''
+    }
+    const rawNumber = value('student_number')
+    const rawGrade = value('grade')
+    const row: RosterRow = {
+      row: index + 2, // 見出し行を1行目とした行番号
+      student_number: rawNumber ? Number(rawNumber) : null,
+      name: value('name'),
+      class_code: value('class_code'),
+      role: ROSTER_ROLE_ALIASES[value('role').toLowerCase()] || ROSTER_ROLE_ALIASES[value('role')] || value('role'),
+      email: value('email').toLowerCase(),
+      grade: rawGrade ? Number(rawGrade) : null,
+      class_name: value('class_name'),
+      school_name: value('school_name'),
+      errors: [],
+      conflicts: []
+    }
+    
+    if (!row.name) row.errors.push('氏名が空欄です')
+    if (!row.class_code) row.errors.push('クラスコードが空欄です')
+    if (!ROSTER_ROLE_ALIASES[row.role]) {
+      row.errors.push(`役割「${value('role')}」は指定できません（児童・教師のみ）`)
+    } else if (row.role !== 'student' && !canCreateStaff) {
+      row.errors.push('教師アカウントの取り込みには管理者権限が必要です')
+    }
+    if (row.class_code && !canAccessClass(user, row.class_code)) {
+      row.errors.push('このクラスの名簿は取り込めません')
+    }
+    if (row.student_number !== null && (!Number.isInteger(row.student_number) || row.student_number <= 0)) {
+      row.errors.push('出席番号は1以上の整数で入力してください')
+    }
+    if (row.grade !== null && (!Number.isInteger(row.grade) || row.grade < 1 || row.grade > 9)) {
+      row.errors.push('学年は1〜9で入力してください')
+    }
+    
+    if (row.role === 'student') {
+      if (row.student_number === null) {
+        row.errors.push('児童には出席番号が必要です')
+      } else if (!row.email && row.class_code && row.errors.length === 0) {
+        row.email = defaultRosterEmail(row.class_code, row.student_number)
+      }
+      
+      if (row.student_number !== null) {
+        const key = `${row.class_code}\u0000${row.student_number}`
+        if (seenNumbers.has(key)) {
+          row.errors.push(`出席番号が${seenNumbers.get(key)}行目と重複しています`)
+        } else {
+          seenNumbers.set(key, row.row)
+        }
+      }
+    } else if (!row.email) {
+      row.errors.push('教師にはメールアドレスが必要です')
+    }
+    
+    if (row.email) {
+      if (!/^[^@\s]+@[^@\s]+$/.test(row.email)) {
+        row.errors.push('メールアドレスの形式が正しくありません')
+      } else if (seenEmails.has(row.email)) {
+        row.errors.push(`メールアドレスが${seenEmails.get(row.email)}行目と重複しています`)
+      } else {
+        seenEmails.set(row.email, row.row)
+      }
+    }
+    
+    return row
+  })
   
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return c.json({ error: '認証が必要です' }, 401)
+  // 既存ユーザーとの重複チェック（D1のバインド上限を考慮して分割）
+  const emails = rows.filter(r => r.email).map(r => r.email)
+  for (let i = 0; i < emails.length; i += 50) {
+    const chunk = emails.slice(i, i + 50)
+    const existing = await db.prepare(`
+      SELECT email, name FROM users WHERE email IN (${chunk.map(() => '?').join(',')})
+    `).bind(...chunk).all()
+    
+    for (const found of existing.results || []) {
+      rows.filter(r => r.email === found.email)
+        .forEach(r => r.conflicts.push(`メールアドレスは既に「${found.name}」が使用しています`))
+    }
+  }
+  
+  const classCodes = [...new Set(rows.filter(r => r.role === 'student' && r.class_code).map(r => r.class_code))]
+  for (let i = 0; i < classCodes.length; i += 50) {
+    const chunk = classCodes.slice(i, i + 50)
+    const existing = await db.prepare(`
+      SELECT class_code, student_number, name FROM users
+      WHERE role = 'student' AND student_number IS NOT NULL
+        AND class_code IN (${chunk.map(() => '?').join(',')})
+    `).bind(...chunk).all()
+    
+    for (const found of existing.results || []) {
+      rows.filter(r => r.role === 'student' && r.class_code === found.class_code && r.student_number === found.student_number)
+        .forEach(r => r.conflicts.push(`出席番号${found.student_number}は既に「${found.name}」が使用しています`))
+    }
   }
   
-  const token = authHeader.substring(7)
+  return { rows }
+}
+
+function summarizeRoster(rows: RosterRow[]) {
+  return {
+    total: rows.length,
+    students: rows.filter(r => r.role === 'student').length,
+    teachers: rows.filter(r => r.role === 'teacher').length,
+    errors: rows.filter(r => r.errors.length > 0).length,
+    conflicts: rows.filter(r => r.conflicts.length > 0).length
+  }
+}
+
+// APIルート: 名簿CSVのプレビュー（検証と重複確認のみ、登録はしない）
+app.post('/api/roster/import/preview', async (c) => {
+  const { env } = c
+  const { csv } = await c.req.json()
   
   try {
-    const session = await env.DB.prepare(`
-      SELECT s.*, u.id as user_id, u.name, u.email, u.role, u.class_code
-      FROM user_sessions s
-      JOIN users u ON s.user_id = u.id
-      WHERE s.session_token = ? AND s.expires_at > datetime('now') AND u.is_active = 1
-    `).bind(token).first()
-    
-    if (!session) {
-      return c.json({ error: 'セッションが無効です' }, 401)
+    const { rows, error } = await validateRoster(env.DB, c.get('user'), csv)
+    if (error) {
+      return c.json({ success: false, error }, 400)
     }
     
-    // コンテキストにユーザー情報を保存
-    c.set('user', {
-      id: session.user_id,
-      name: session.name,
-      email: session.email,
-      role: session.role,
-      class_code: session.class_code
+    const summary = summarizeRoster(rows)
+    return c.json({
+      success: true,
+      can_commit: summary.errors === 0 && summary.conflicts === 0,
+      summary,
+      rows
     })
+  } catch (error: any) {
+    console.error('名簿プレビューエラー:', error)
+    return c.json({
+      success: false,
+      error: '名簿の確認に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート: 名簿CSVの取り込み（全行を1つのバッチで登録）
+app.post('/api/roster/import/commit', async (c) => {
+  const { env } = c
+  const { csv } = await c.req.json()
+  
+  try {
+    // プレビュー後に名簿が変わっている可能性があるため再検証する
+    const { rows, error } = await validateRoster(env.DB, c.get('user'), csv)
+    if (error) {
+      return c.json({ success: false, error }, 400)
+    }
     
-    await next()
-  } catch (error) {
-    console.error('認証エラー:', error)
-    return c.json({ error: '認証に失敗しました' }, 500)
+    const summary = summarizeRoster(rows)
+    if (summary.errors > 0 || summary.conflicts > 0) {
+      return c.json({
+        success: false,
+        error: 'エラーまたは重複がある行があるため取り込めません',
+        summary,
+        rows
+      }, 400)
+    }
+    
+    // 初期パスワードを発行してユーザーを登録
+    const loginCards: any[] = []
+    const statements: D1PreparedStatement[] = []
+    
+    for (const row of rows) {
+      const initialPassword = generateInitialPassword()
+      // 児童には低学年向けの絵パスワードも発行する
+      const pictureSequence = row.role === 'student' ? generatePictureSequence() : null
+      statements.push(env.DB.prepare(`
+        INSERT INTO users (name, email, password_hash, picture_password_hash, role, class_code, student_number, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+      `).bind(
+        row.name,
+        row.email,
+        await hashPassword(initialPassword),
+        pictureSequence ? await hashPassword(pictureSecret(pictureSequence)) : null,
+        row.role,
+        row.class_code,
+        row.student_number
+      ))
+      
+      loginCards.push({
+        name: row.name,
+        role: row.role,
+        class_code: row.class_code,
+        student_number: row.student_number,
+        email: row.email,
+        initial_password: initialPassword,
+        picture_password: pictureSequence
+      })
+    }
+    
+    // 学年が指定されたクラスは classes にも登録（既存クラスはそのまま）
+    const classRows = new Map<string, RosterRow>()
+    for (const row of rows) {
+      if (row.grade !== null && !classRows.has(row.class_code)) {
+        classRows.set(row.class_code, row)
+      }
+    }
+    for (const [classCode, row] of classRows) {
+      const teacher = rows.find(r => r.role === 'teacher' && r.class_code === classCode)
+      statements.push(env.DB.prepare(`
+        INSERT OR IGNORE INTO classes (class_code, school_name, grade, class_name, teacher_id)
+        VALUES (?, ?, ?, ?, (SELECT id FROM users WHERE email = ?))
+      `).bind(classCode, row.school_name, row.grade, row.class_name || classCode, teacher ? teacher.email : null))
+    }
+    
+    await env.DB.batch(statements)
+    
+    return c.json({
+      success: true,
+      summary,
+      login_cards: loginCards,
+      message: `${rows.length}名を登録しました`
+    })
+  } catch (error: any) {
+    console.error('名簿取り込みエラー:', error)
+    return c.json({
+      success: false,
+      error: '名簿の取り込みに失敗しました',
+      details: error.message
+    }, 500)
   }
+})
+
+// ==============================================
+// 保護者ポータル（紐づけられた児童の学習の様子を閲覧のみ）
+// 紐づけと、何を見せるか（家庭の同意）の設定は先生が行う
+// ==============================================
+
+// ユーティリティ: 保護者と児童の有効な紐づけ
+async function findGuardianLink(db: D1Database, guardianId: any, studentId: any): Promise<any | null> {
+  return await db.prepare(`
+    SELECT * FROM guardian_links WHERE guardian_id = ? AND student_id = ? AND is_active = 1
+  `).bind(guardianId, studentId).first()
 }
 
-// ミドルウェア: 権限チェック
-function requirePermission(resource: string, action: string) {
-  return async (c: any, next: any) => {
-    const user = c.get('user')
-    if (!user) {
-      return c.json({ error: '認証が必要です' }, 401)
-    }
+// ユーティリティ: 保護者に見せてよい内容か（同意のない内容は 403 を返す）
+async function guardianShareDenied(c: any, flag: GuardianShareFlag): Promise<Response | null> {
+  const link = await findGuardianLink(c.env.DB, c.get('user').id, c.req.param('studentId'))
+  if (!link || !link[flag]) {
+    return c.json({ success: false, error: 'この内容は共有の同意がないため表示できません' }, 403)
+  }
+  return null
+}
+
+// APIルート：クラスの児童と保護者の紐づけ一覧（先生）
+app.get('/api/guardian-links/class/:classCode', async (c) => {
+  const { env } = c
+  const classCode = c.req.param('classCode')
+  
+  try {
+    const students = await env.DB.prepare(`
+      SELECT id as student_id, name as student_name, student_number
+      FROM users
+      WHERE class_code = ? AND role = 'student' AND is_active = 1
+      ORDER BY student_number
+    `).bind(classCode).all()
     
-    const { env } = c
+    const links = await env.DB.prepare(`
+      SELECT
+        gl.id, gl.student_id, gl.guardian_id, g.name as guardian_name, g.email as guardian_email,
+        gl.relationship, ${GUARDIAN_SHARE_FLAGS.map(flag => `gl.${flag}`).join(', ')},
+        t.name as consented_by_name, gl.consented_at
+      FROM guardian_links gl
+      JOIN users s ON gl.student_id = s.id
+      JOIN users g ON gl.guardian_id = g.id
+      LEFT JOIN users t ON gl.consented_by = t.id
+      WHERE s.class_code = ? AND gl.is_active = 1
+      ORDER BY gl.id
+    `).bind(classCode).all()
     
-    try {
-      const permission = await env.DB.prepare(`
-        SELECT * FROM role_permissions
-        WHERE role = ? AND resource = ? AND action = ?
-      `).bind(user.role, resource, action).first()
-      
-      if (!permission) {
-        return c.json({ error: '権限がありません' }, 403)
-      }
-      
-      await next()
-    } catch (error) {
-      console.error('権限チェックエラー:', error)
-      return c.json({ error: '権限チェックに失敗しました' }, 500)
-    }
+    return c.json({
+      success: true,
+      students: (students.results as any[]).map(student => ({
+        ...student,
+        guardians: (links.results as any[]).filter(link => link.student_id === student.student_id)
+      }))
+    })
+  } catch (error: any) {
+    console.error('保護者一覧取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '保護者の一覧の取得に失敗しました',
+      details: error.message
+    }, 500)
   }
-}
+})
 
-// APIルート: ユーザー登録
-app.post('/api/auth/register', async (c) => {
+// APIルート：保護者を児童に紐づける（先生）
+// 保護者のアカウントがなければ作成し、初期パスワードはこのレスポンスでのみ返す
+app.post('/api/guardian-links', async (c) => {
   const { env } = c
-  const { name, email, password, role, class_code, student_number } = await c.req.json()
+  const user: SessionUser = c.get('user')
+  const body = await c.req.json()
+  const guardianName = typeof body.guardian_name === 'string' ? body.guardian_name.trim() : ''
+  const guardianEmail = typeof body.guardian_email === 'string' ? body.guardian_email.trim().toLowerCase() : ''
   
   try {
-    // メールアドレスの重複チェック
-    const existingUser = await env.DB.prepare(`
-      SELECT id FROM users WHERE email = ?
-    `).bind(email).first()
+    if (!(await canAccessStudent(env.DB, user, body.student_id))) {
+      return c.json({ error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    if (!/^[^\s@]+@[^\s@]+$/.test(guardianEmail)) {
+      return c.json({ success: false, error: '保護者のメールアドレスを入力してください' }, 400)
+    }
     
-    if (existingUser) {
-      return c.json({ error: 'このメールアドレスは既に登録されています' }, 400)
+    const student: any = await env.DB.prepare(`
+      SELECT id FROM users WHERE id = ? AND role = 'student'
+    `).bind(body.student_id).first()
+    if (!student) {
+      return c.json({ success: false, error: '児童が見つかりません' }, 404)
     }
     
-    // パスワードハッシュ化
-    const passwordHash = await hashPassword(password)
+    const guardian: any = await env.DB.prepare(`
+      SELECT id, role, last_login_at,
+        (SELECT COUNT(*) FROM guardian_links WHERE guardian_id = users.id AND is_active = 1) as active_links
+      FROM users WHERE email = ?
+    `).bind(guardianEmail).first()
+    let initialPassword: string | null = null
     
-    // ユーザー作成
-    const result = await env.DB.prepare(`
-      INSERT INTO users (name, email, password_hash, role, class_code, student_number, is_active)
-      VALUES (?, ?, ?, ?, ?, ?, 1)
-    `).bind(name, email, passwordHash, role || 'student', class_code || null, student_number || null).run()
+    if (guardian && guardian.role !== 'guardian') {
+      return c.json({ success: false, error: 'このメールアドレスは保護者以外のアカウントで使われています' }, 400)
+    }
+    
+    const statements: D1PreparedStatement[] = []
+    if (guardian) {
+      // 以前に解除した紐づけは、新しい同意の内容で戻す
+      const existing: any = await env.DB.prepare(`
+        SELECT is_active FROM guardian_links WHERE guardian_id = ? AND student_id = ?
+      `).bind(guardian.id, student.id).first()
+      if (existing?.is_active) {
+        return c.json({ success: false, error: 'この保護者はすでに紐づけられています' }, 409)
+      }
+      // 一度もログインしておらず、どの児童とも紐づいていないアカウントは初期パスワードを発行し直す
+      // （紐づけに失敗して初期パスワードが誰にも渡らなかったアカウントを使えるようにする）
+      if (!guardian.last_login_at && guardian.active_links === 0) {
+        initialPassword = generateInitialPassword()
+        statements.push(env.DB.prepare(`
+          UPDATE users SET password_hash = ?, failed_login_attempts = 0, locked_until = NULL WHERE id = ?
+        `).bind(await hashPassword(initialPassword), guardian.id))
+      }
+    } else {
+      if (!guardianName) {
+        return c.json({ success: false, error: '保護者の名前を入力してください' }, 400)
+      }
+      // 保護者はクラスに属さない（class_code は空文字）
+      // アカウントと紐づけは同じバッチで作る（紐づけに失敗したとき、初期パスワードを誰も知らないアカウントを残さない）
+      initialPassword = generateInitialPassword()
+      statements.push(env.DB.prepare(`
+        INSERT INTO users (name, email, password_hash, role, class_code, is_active)
+        VALUES (?, ?, ?, 'guardian', '', 1)
+      `).bind(guardianName, guardianEmail, await hashPassword(initialPassword)))
+    }
+    
+    const flags = readGuardianShareFlags(body)
+    statements.push(env.DB.prepare(`
+      INSERT INTO guardian_links (
+        guardian_id, student_id, relationship, ${GUARDIAN_SHARE_FLAGS.join(', ')}, consented_by, consented_at
+      )
+      VALUES ((SELECT id FROM users WHERE email = ? AND role = 'guardian'), ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (guardian_id, student_id) DO UPDATE SET
+        relationship = excluded.relationship,
+        ${GUARDIAN_SHARE_FLAGS.map(flag => `${flag} = excluded.${flag}`).join(', ')},
+        consented_by = excluded.consented_by,
+        consented_at = CURRENT_TIMESTAMP,
+        is_active = 1,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id, guardian_id
+    `).bind(
+      guardianEmail,
+      student.id,
+      body.relationship || null,
+      ...GUARDIAN_SHARE_FLAGS.map(flag => flags[flag]),
+      user.id
+    ))
+    
+    const results = await env.DB.batch(statements)
+    const link: any = results[results.length - 1].results[0]
     
     return c.json({
       success: true,
-      user_id: result.meta.last_row_id,
-      message: 'ユーザー登録が完了しました'
+      id: link.id,
+      guardian_id: link.guardian_id,
+      initial_password: initialPassword
     })
   } catch (error: any) {
-    console.error('ユーザー登録エラー:', error)
+    console.error('保護者紐づけエラー:', error)
     return c.json({
       success: false,
-      error: 'ユーザー登録に失敗しました',
+      error: '保護者の紐づけに失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート: ログイン
-app.post('/api/auth/login', async (c) => {
+// APIルート：共有する内容（同意）の変更・紐づけの解除（先生）
+app.on(['PUT', 'DELETE'], '/api/guardian-links/:id', async (c) => {
   const { env } = c
-  const { email, password } = await c.req.json()
+  const user: SessionUser = c.get('user')
+  const linkId = c.req.param('id')
   
   try {
-    // ユーザー検索
-    const user = await env.DB.prepare(`
-      SELECT * FROM users WHERE email = ? AND is_active = 1
-    `).bind(email).first()
-    
-    if (!user) {
-      return c.json({ error: 'メールアドレスまたはパスワードが正しくありません' }, 401)
-    }
+    const link: any = await env.DB.prepare(`
+      SELECT * FROM guardian_links WHERE id = ? AND is_active = 1
+    `).bind(linkId).first()
     
-    // アカウントロックチェック
-    if (user.locked_until && new Date(user.locked_until as string) > new Date()) {
-      return c.json({ 
-        error: 'アカウントがロックされています。しばらく待ってから再度お試しください' 
-      }, 403)
+    if (!link || !(await canAccessStudent(env.DB, user, link.student_id))) {
+      return c.json({ error: '紐づけが見つかりません' }, 404)
     }
     
-    // パスワード検証
-    const passwordHash = await hashPassword(password)
-    if (passwordHash !== user.password_hash) {
-      // ログイン失敗回数を増加
-      const attempts = (user.failed_login_attempts as number || 0) + 1
-      const lockUntil = attempts >= 5 
-        ? new Date(Date.now() + 15 * 60 * 1000).toISOString() // 15分ロック
-        : null
-      
+    if (c.req.method === 'DELETE') {
       await env.DB.prepare(`
-        UPDATE users 
-        SET failed_login_attempts = ?, locked_until = ?
-        WHERE id = ?
-      `).bind(attempts, lockUntil, user.id).run()
-      
-      return c.json({ 
-        error: 'メールアドレスまたはパスワードが正しくありません',
-        attempts_remaining: 5 - attempts
-      }, 401)
+        UPDATE guardian_links SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(linkId).run()
+      return c.json({ success: true })
     }
     
-    // セッショントークン生成
-    const sessionToken = generateToken(32)
-    const refreshToken = generateToken(32)
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24時間
-    const refreshExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7日間
-    
-    // セッション作成
+    const body = await c.req.json()
+    const flags = readGuardianShareFlags(body, link)
     await env.DB.prepare(`
-      INSERT INTO user_sessions (user_id, session_token, refresh_token, expires_at, refresh_expires_at, ip_address, user_agent)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      UPDATE guardian_links
+      SET relationship = ?, ${GUARDIAN_SHARE_FLAGS.map(flag => `${flag} = ?`).join(', ')},
+          consented_by = ?, consented_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
     `).bind(
+      body.relationship === undefined ? link.relationship : (body.relationship || null),
+      ...GUARDIAN_SHARE_FLAGS.map(flag => flags[flag]),
       user.id,
-      sessionToken,
-      refreshToken,
-      expiresAt,
-      refreshExpiresAt,
-      c.req.header('cf-connecting-ip') || 'unknown',
-      c.req.header('user-agent') || 'unknown'
+      linkId
     ).run()
     
-    // ログイン成功: 失敗回数をリセット、最終ログイン時刻を更新
-    await env.DB.prepare(`
-      UPDATE users 
-      SET failed_login_attempts = 0, locked_until = NULL, last_login_at = datetime('now')
-      WHERE id = ?
-    `).bind(user.id).run()
-    
+    return c.json({ success: true, id: Number(linkId), ...flags })
+  } catch (error: any) {
+    console.error('保護者紐づけ更新エラー:', error)
     return c.json({
-      success: true,
-      session_token: sessionToken,
-      refresh_token: refreshToken,
-      expires_at: expiresAt,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        class_code: user.class_code,
-        student_number: user.student_number
+      success: false,
+      error: '保護者の紐づけの更新に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：保護者に紐づけられた児童（保護者）
+app.get('/api/guardian/students', async (c) => {
+  const { env } = c
+  const user: SessionUser = c.get('user')
+  
+  try {
+    const students = await env.DB.prepare(`
+      SELECT
+        s.id as student_id, s.name as student_name, s.class_code, s.student_number,
+        gl.relationship, ${GUARDIAN_SHARE_FLAGS.map(flag => `gl.${flag}`).join(', ')}
+      FROM guardian_links gl
+      JOIN users s ON gl.student_id = s.id
+      WHERE gl.guardian_id = ? AND gl.is_active = 1 AND s.is_active = 1
+      ORDER BY s.class_code, s.student_number
+    `).bind(user.id).all()
+    
+    return c.json({ success: true, students: students.results })
+  } catch (error: any) {
+    console.error('保護者の児童一覧取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '児童の一覧の取得に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：コースの進み具合（保護者）
+app.get('/api/guardian/students/:studentId/progress', async (c) => {
+  const { env } = c
+  const studentId = c.req.param('studentId')
+  
+  try {
+    const denied = await guardianShareDenied(c, 'share_progress')
+    if (denied) return denied
+    
+    // 取り組んだことのある単元だけ、コースごとに数える
+    const courses = await env.DB.prepare(`
+      SELECT
+        cur.id as curriculum_id, cur.grade, cur.subject, cur.unit_name,
+        co.id as course_id, co.course_level, co.course_display_name,
+        COUNT(lc.id) as total_cards,
+        COUNT(CASE WHEN sp.status = 'completed' THEN 1 END) as completed_cards,
+        COUNT(CASE WHEN sp.status IN ('in_progress', 'help_needed') THEN 1 END) as in_progress_cards,
+        MAX(sp.updated_at) as last_activity_at
+      FROM curriculum cur
+      JOIN courses co ON co.curriculum_id = cur.id
+      JOIN learning_cards lc ON lc.course_id = co.id
+      LEFT JOIN student_progress sp ON sp.learning_card_id = lc.id AND sp.student_id = ?
+      WHERE cur.id IN (SELECT DISTINCT curriculum_id FROM student_progress WHERE student_id = ?)
+      GROUP BY co.id
+      ORDER BY cur.id DESC, CASE co.course_level WHEN 'basic' THEN 1 WHEN 'standard' THEN 2 ELSE 3 END
+    `).bind(studentId, studentId).all()
+    
+    const units: any[] = []
+    for (const course of courses.results as any[]) {
+      let unit = units.find(u => u.curriculum_id === course.curriculum_id)
+      if (!unit) {
+        unit = {
+          curriculum_id: course.curriculum_id,
+          grade: course.grade,
+          subject: course.subject,
+          unit_name: course.unit_name,
+          last_activity_at: null,
+          courses: []
+        }
+        units.push(unit)
       }
-    })
+      if (course.last_activity_at && (!unit.last_activity_at || course.last_activity_at > unit.last_activity_at)) {
+        unit.last_activity_at = course.last_activity_at
+      }
+      unit.courses.push({
+        course_id: course.course_id,
+        course_level: course.course_level,
+        course_display_name: course.course_display_name,
+        total_cards: course.total_cards,
+        completed_cards: course.completed_cards,
+        in_progress_cards: course.in_progress_cards
+      })
+    }
+    
+    return c.json({ success: true, units })
   } catch (error: any) {
-    console.error('ログインエラー:', error)
+    console.error('保護者向け進捗取得エラー:', error)
     return c.json({
       success: false,
-      error: 'ログインに失敗しました',
+      error: '学習の進み具合の取得に失敗しました',
       details: error.message
     }, 500)
   }
 })
 
-// APIルート: ログアウト
-app.post('/api/auth/logout', requireAuth, async (c) => {
+// APIルート：もらったバッジ（保護者）
+app.get('/api/guardian/students/:studentId/badges', async (c) => {
   const { env } = c
-  const authHeader = c.req.header('Authorization')
-  const token = authHeader!.substring(7)
+  const studentId = c.req.param('studentId')
   
   try {
-    // セッション削除
-    await env.DB.prepare(`
-      DELETE FROM user_sessions WHERE session_token = ?
-    `).bind(token).run()
+    const denied = await guardianShareDenied(c, 'share_badges')
+    if (denied) return denied
     
+    const badges = await env.DB.prepare(`
+      SELECT sb.id, sb.badge_type, sb.badge_name, sb.badge_description, sb.earned_at,
+             cur.grade, cur.subject, cur.unit_name
+      FROM student_badges sb
+      JOIN curriculum cur ON sb.curriculum_id = cur.id
+      WHERE sb.student_id = ?
+      ORDER BY sb.earned_at DESC
+    `).bind(studentId).all()
+    
+    return c.json({ success: true, badges: badges.results })
+  } catch (error: any) {
+    console.error('保護者向けバッジ取得エラー:', error)
     return c.json({
-      success: true,
-      message: 'ログアウトしました'
-    })
+      success: false,
+      error: 'バッジの取得に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：単元の振り返り（保護者）
+app.get('/api/guardian/students/:studentId/reflections', async (c) => {
+  const { env } = c
+  const studentId = c.req.param('studentId')
+  
+  try {
+    const denied = await guardianShareDenied(c, 'share_reflections')
+    if (denied) return denied
+    
+    const reflections = await env.DB.prepare(`
+      SELECT ur.id, ur.reflection_good, ur.reflection_bad, ur.reflection_learned, ur.created_at,
+             cur.id as curriculum_id, cur.grade, cur.subject, cur.unit_name
+      FROM unit_reflections ur
+      JOIN curriculum cur ON ur.curriculum_id = cur.id
+      WHERE ur.student_id = ?
+      ORDER BY ur.created_at DESC
+    `).bind(studentId).all()
+    
+    return c.json({ success: true, reflections: reflections.results })
   } catch (error: any) {
-    console.error('ログアウトエラー:', error)
+    console.error('保護者向け振り返り取得エラー:', error)
     return c.json({
       success: false,
-      error: 'ログアウトに失敗しました'
+      error: '振り返りの取得に失敗しました',
+      details: error.message
     }, 500)
   }
 })
 
-// APIルート: セッション更新（リフレッシュトークン）
-app.post('/api/auth/refresh', async (c) => {
+// APIルート：先生の所見（保護者）
+// 単元ごとに最新の非認知能力評価から、コメントが書かれた項目だけを返す
+app.get('/api/guardian/students/:studentId/comments', async (c) => {
   const { env } = c
-  const { refresh_token } = await c.req.json()
+  const studentId = c.req.param('studentId')
   
   try {
-    const session = await env.DB.prepare(`
-      SELECT s.*, u.id as user_id, u.name, u.email, u.role, u.class_code, u.student_number
-      FROM user_sessions s
-      JOIN users u ON s.user_id = u.id
-      WHERE s.refresh_token = ? AND s.refresh_expires_at > datetime('now') AND u.is_active = 1
-    `).bind(refresh_token).first()
+    const denied = await guardianShareDenied(c, 'share_comments')
+    if (denied) return denied
     
-    if (!session) {
-      return c.json({ error: 'リフレッシュトークンが無効です' }, 401)
+    const evaluations = await env.DB.prepare(`
+      SELECT e.*, cur.grade, cur.subject, cur.unit_name
+      FROM non_cognitive_evaluations e
+      JOIN curriculum cur ON e.curriculum_id = cur.id
+      WHERE e.student_id = ?
+        AND e.id = (
+          SELECT latest.id FROM non_cognitive_evaluations latest
+          WHERE latest.student_id = e.student_id AND latest.curriculum_id = e.curriculum_id
+          ORDER BY latest.created_at DESC, latest.id DESC
+          LIMIT 1
+        )
+      ORDER BY e.created_at DESC
+    `).bind(studentId).all()
+    
+    const comments = guardianComments(evaluations.results as any[])
+    
+    return c.json({ success: true, comments })
+  } catch (error: any) {
+    console.error('保護者向け所見取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '先生の所見の取得に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：週ごとのまとめ（保護者）
+// 週次レポートと同じ集計から、その児童の分だけを返す（date を含む週。省略時は今週）
+app.get('/api/guardian/students/:studentId/weekly-digest', async (c) => {
+  const { env } = c
+  const studentId = c.req.param('studentId')
+  
+  try {
+    const denied = await guardianShareDenied(c, 'share_progress')
+    if (denied) return denied
+    
+    const { period, error } = resolveReportPeriod('weekly', { date: c.req.query('date') })
+    if (error) {
+      return c.json({ success: false, error }, 400)
     }
     
-    // 新しいセッショントークン生成
-    const newSessionToken = generateToken(32)
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    const student: any = await env.DB.prepare(`
+      SELECT class_code FROM users WHERE id = ? AND role = 'student'
+    `).bind(studentId).first()
+    if (!student?.class_code) {
+      return c.json({ success: false, error: '児童が見つかりません' }, 404)
+    }
     
-    // セッション更新
-    await env.DB.prepare(`
-      UPDATE user_sessions 
-      SET session_token = ?, expires_at = ?, updated_at = datetime('now')
-      WHERE id = ?
-    `).bind(newSessionToken, expiresAt, session.id).run()
+    const digest = await buildStudentDigest(env.DB, student.class_code, Number(studentId), period)
+    const link = await findGuardianLink(env.DB, c.get('user').id, studentId)
     
     return c.json({
       success: true,
-      session_token: newSessionToken,
-      expires_at: expiresAt,
-      user: {
-        id: session.user_id,
-        name: session.name,
-        email: session.email,
-        role: session.role,
-        class_code: session.class_code,
-        student_number: session.student_number
-      }
+      ...digest,
+      badges: link?.share_badges ? digest.badges : []
     })
   } catch (error: any) {
-    console.error('セッション更新エラー:', error)
+    console.error('週ごとのまとめ取得エラー:', error)
     return c.json({
       success: false,
-      error: 'セッション更新に失敗しました'
+      error: '週ごとのまとめの取得に失敗しました',
+      details: error.message
     }, 500)
   }
 })
 
-// APIルート: 現在のユーザー情報取得
-app.get('/api/auth/me', requireAuth, async (c) => {
-  const user = c.get('user')
-  return c.json({
-    success: true,
-    user
-  })
-})
-
 // ==============================================
 // AI拡張機能API
 // ==============================================
@@ -5460,26 +9571,250 @@ app.get('/api/ai/stats/:studentId', async (c) => {
   }
 })
 
-// APIルート: 自動問題生成
+// 自動問題生成のリクエストモード
+// version 1: 旧リクエスト形式から推定（cardId あり → similar / それ以外 → targeted）
+// version 2: mode を明示
+//   similar  : 学習カードをもとにした類似問題（児童も利用可）
+//   targeted : 問題タイプ・難易度を指定した問題
+//   queue    : 承認キューに複数問をまとめて追加
+const GENERATE_PROBLEM_VERSIONS = [1, 2]
+const GENERATE_PROBLEM_MODES = ['similar', 'targeted', 'queue'] as const
+const GENERATE_PROBLEM_TYPES = ['intro', 'practice', 'challenge', 'check_test', 'optional']
+const GENERATE_PROBLEM_QUEUE_MAX = 5
+const GENERATE_PROBLEM_MODEL = 'gemini-2.5-flash'
+
+type GenerateProblemMode = typeof GENERATE_PROBLEM_MODES[number]
+
+interface GenerateProblemRequest {
+  version: number
+  mode: GenerateProblemMode
+  curriculumId: number | null
+  courseId: number | null
+  cardId: number | null
+  problemType: string
+  difficultyLevel: number
+  requirements: string
+  count: number
+}
+
+interface GeneratedProblemDraft {
+  title: string
+  content: string
+  answer: string
+  explanation: string
+  hint: string
+}
+
+const PROBLEM_TYPE_LABELS: Record<string, string> = {
+  intro: '導入問題',
+  practice: '練習問題',
+  challenge: '発展問題',
+  check_test: 'チェックテスト問題',
+  optional: '選択問題'
+}
+
+const PROBLEM_DIFFICULTY_LABELS = ['', '★ かんたん', '★★ ふつう', '★★★ むずかしい', '★★★★ とてもむずかしい']
+
+// ユーティリティ: 難易度を 1〜4 に正規化（旧形式の easy/normal/hard・じっくり/しっかり/ぐんぐん も受け付ける）
+function toProblemDifficultyLevel(value: any): number | null {
+  if (value === undefined || value === null || value === '') return 2
+  if (/^\d+$/.test(String(value))) {
+    const level = Number(value)
+    return level >= 1 && level <= 4 ? level : null
+  }
+  switch (value) {
+    case 'easy':
+    case 'じっくり':
+      return 1
+    case 'normal':
+    case 'しっかり':
+      return 2
+    case 'hard':
+    case 'ぐんぐん':
+      return 3
+    default:
+      return null
+  }
+}
+
+function toOptionalId(value: any): number | null {
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+// ユーティリティ: リクエストボディを検証してモードを決定
+function parseGenerateProblemRequest(body: any): { request?: GenerateProblemRequest; error?: string } {
+  const version = body.version === undefined ? 1 : Number(body.version)
+  if (!GENERATE_PROBLEM_VERSIONS.includes(version)) {
+    return { error: `未対応のバージョンです: ${body.version}` }
+  }
+  
+  let mode: GenerateProblemMode
+  if (version === 1) {
+    mode = body.cardId ? 'similar' : 'targeted'
+  } else if (GENERATE_PROBLEM_MODES.includes(body.mode)) {
+    mode = body.mode
+  } else {
+    return { error: `mode は ${GENERATE_PROBLEM_MODES.join(' / ')} のいずれかを指定してください` }
+  }
+  
+  const cardId = toOptionalId(body.cardId)
+  const curriculumId = toOptionalId(body.curriculumId)
+  if (mode === 'similar' && !cardId) {
+    return { error: '類似問題の生成には cardId が必要です' }
+  }
+  if (mode !== 'similar' && !curriculumId) {
+    return { error: 'curriculumId が必要です' }
+  }
+  
+  const problemType = body.problemType || 'practice'
+  if (!GENERATE_PROBLEM_TYPES.includes(problemType)) {
+    return { error: `未対応の問題タイプです: ${problemType}` }
+  }
+  
+  const difficultyLevel = toProblemDifficultyLevel(body.difficultyLevel ?? body.difficulty)
+  if (difficultyLevel === null) {
+    return { error: '難易度は 1〜4 で指定してください' }
+  }
+  
+  let count = 1
+  if (mode === 'queue') {
+    count = body.count === undefined ? 3 : Number(body.count)
+    if (!Number.isInteger(count) || count < 1 || count > GENERATE_PROBLEM_QUEUE_MAX) {
+      return { error: `count は 1〜${GENERATE_PROBLEM_QUEUE_MAX} で指定してください` }
+    }
+  }
+  
+  return {
+    request: {
+      version,
+      mode,
+      curriculumId,
+      courseId: toOptionalId(body.courseId),
+      cardId,
+      problemType,
+      difficultyLevel,
+      requirements: String(body.specificRequirements ?? body.requirements ?? '').slice(0, 500),
+      count
+    }
+  }
+}
+
+// ユーティリティ: 生成モードに応じたプロンプトを作成
+function buildGenerateProblemPrompt(request: GenerateProblemRequest, curriculum: any, card: any, examples: any[]): string {
+  const source = request.mode === 'similar'
+    ? `【元の学習カード】
+タイトル: ${card.card_title}
+問題: ${card.problem_content}
+例題: ${card.example_problem || ''}
+
+元の問題と同じ考え方で解ける類似問題を作成してください（数値や場面を変える）。`
+    : examples.length > 0
+      ? `【参考問題】
+${examples.map((e: any, i: number) => `例${i + 1}: ${e.problem_content}`).join('\n')}`
+      : ''
+  
+  return `あなたは小学生向けの学習問題を作成する先生です。以下の情報を基に、${PROBLEM_TYPE_LABELS[request.problemType]}を${request.count}問作成してください。
+
+【カリキュラム情報】
+学年: ${curriculum.grade}
+教科: ${curriculum.subject}
+単元名: ${curriculum.unit_name}
+単元目標: ${curriculum.unit_goal || ''}
+
+${source}
+
+【問題の要件】
+難易度: ${PROBLEM_DIFFICULTY_LABELS[request.difficultyLevel]}
+- 小学生にわかりやすい言葉で
+- 実社会と関連付ける
+${request.requirements ? `- ${request.requirements}` : ''}
+
+以下のJSON形式で出力してください（problems は${request.count}件）：
+{
+  "problems": [
+    {
+      "title": "問題タイトル（15文字以内）",
+      "content": "問題文",
+      "answer": "正解",
+      "explanation": "解き方の説明",
+      "hint": "困ったときのヒント"
+    }
+  ]
+}`
+}
+
+// ユーティリティ: 生成結果から問題を取り出す（JSONでない場合は本文をそのまま1問として扱う）
+function parseGeneratedProblems(text: string): GeneratedProblemDraft[] {
+  const toDraft = (p: any): GeneratedProblemDraft => ({
+    title: String(p.title || '自動生成問題').slice(0, 100),
+    content: String(p.content || p.problem || ''),
+    answer: String(p.answer || p.solution || ''),
+    explanation: String(p.explanation || ''),
+    hint: String(p.hint || '')
+  })
+  
+  try {
+    const jsonMatch = text.match(/```json\s*([\s\S]*?)\s*```/) || text.match(/(\{[\s\S]*\})/)
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[1])
+      const items = Array.isArray(parsed.problems) ? parsed.problems : [parsed]
+      const drafts = items.map(toDraft).filter((p: GeneratedProblemDraft) => p.content)
+      if (drafts.length > 0) return drafts
+    }
+  } catch (parseError) {
+    console.warn('生成問題のJSON解析に失敗:', parseError)
+  }
+  
+  return [toDraft({ content: text, answer: '解答は教師が後で追加してください' })]
+}
+
+// APIルート: 自動問題生成（類似問題・難易度指定・承認キュー）
 app.post('/api/ai/generate-problem', async (c) => {
   const { env } = c
+  const user = c.get('user')
   const body = await c.req.json()
   const startTime = Date.now()
   
-  const apiKey = env.GEMINI_API_KEY
+  const { request, error } = parseGenerateProblemRequest(body)
+  if (!request) {
+    return c.json({ success: false, error }, 400)
+  }
+  
+  // 類似問題は児童も利用できる。難易度指定・承認キューは教材を作成できるロールのみ
+  if (request.mode !== 'similar' && !(await hasPermission(env.DB, user.role, 'card', 'create'))) {
+    return c.json({ success: false, error: 'この生成モードを利用する権限がありません' }, 403)
+  }
   
-  if (!apiKey || apiKey === 'your-gemini-api-key-here') {
+  if (!isLLMConfigured(env)) {
     return c.json({ 
       success: false,
       error: 'AI問題生成機能は現在利用できません'
-    })
+    }, 503)
   }
   
+  let curriculumId = request.curriculumId
+  
   try {
-    // カリキュラム情報を取得
+    let card: any = null
+    if (request.mode === 'similar') {
+      card = await env.DB.prepare(`
+        SELECT lc.*, co.curriculum_id
+        FROM learning_cards lc
+        JOIN courses co ON lc.course_id = co.id
+        WHERE lc.id = ?
+      `).bind(request.cardId).first()
+      
+      if (!card) {
+        return c.json({ success: false, error: 'カードが見つかりません' }, 404)
+      }
+      curriculumId = card.curriculum_id as number
+      request.courseId = card.course_id as number
+    }
+    
     const curriculum = await env.DB.prepare(`
       SELECT * FROM curriculum WHERE id = ?
-    `).bind(body.curriculumId).first()
+    `).bind(curriculumId).first()
     
     if (!curriculum) {
       return c.json({
@@ -5488,142 +9823,88 @@ app.post('/api/ai/generate-problem', async (c) => {
       }, 404)
     }
     
-    // 問題生成プロンプト
-    const prompt = `あなたは教育コンテンツの専門家です。以下の情報を基に、${body.problemType === 'intro' ? '導入問題' : body.problemType === 'practice' ? '練習問題' : body.problemType === 'challenge' ? '発展問題' : body.problemType === 'check_test' ? 'チェックテスト問題' : '選択問題'}を生成してください。
-
-【カリキュラム情報】
-学年: ${curriculum.grade}
-教科: ${curriculum.subject}
-単元名: ${curriculum.unit_name}
-単元目標: ${curriculum.unit_goal}
-
-【問題の要件】
-難易度: ${body.difficultyLevel === 1 ? '★ かんたん' : body.difficultyLevel === 2 ? '★★ ふつう' : body.difficultyLevel === 3 ? '★★★ むずかしい' : '★★★★ とてもむずかしい'}
-問題タイプ: ${body.problemType}
-${body.specificRequirements ? `追加要件: ${body.specificRequirements}` : ''}
-
-【生成する内容】
-1. 問題タイトル: 簡潔で分かりやすいタイトル（15文字以内）
-2. 問題内容: 具体的な問題文（小学生にわかりやすく）
-3. 解答: 詳しい解答と解説
-
-以下のJSON形式で出力してください：
-{
-  "title": "問題タイトル",
-  "content": "問題内容",
-  "solution": "解答と解説"
-}`
-
-    // Gemini APIにリクエスト
-    const geminiResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.8,
-            maxOutputTokens: 1000,
-          }
-        })
-      }
-    )
-    
-    const responseTime = Date.now() - startTime
+    // 既存のコース問題を参考として取得
+    let examples: any[] = []
+    if (request.mode !== 'similar' && request.courseId) {
+      const existing = await env.DB.prepare(`
+        SELECT problem_content FROM learning_cards
+        WHERE course_id = ? ORDER BY card_number LIMIT 3
+      `).bind(request.courseId).all()
+      examples = existing.results || []
+    }
+    
+    const prompt = buildGenerateProblemPrompt(request, curriculum, card, examples)
+    const result = await callLLM(env, {
+      task: request.mode === 'similar' ? 'generate-problem-similar' : 'generate-problem',
+      model: GENERATE_PROBLEM_MODEL,
+      prompt,
+      maxOutputTokens: 1000 * request.count,
+      temperature: 0.8,
+      retries: 2
+    })
     
-    if (!geminiResponse.ok) {
-      const errorData = await geminiResponse.json()
-      console.error('Gemini API error:', errorData)
-      
-      // エラーログを記録
-      await env.DB.prepare(`
-        INSERT INTO ai_usage_stats (
-          student_id, curriculum_id, feature_type, 
-          response_time_ms, success, error_message
-        ) VALUES (?, ?, 'problem_generation', ?, 0, ?)
-      `).bind(
-        body.userId || 1,
-        body.curriculumId,
-        responseTime,
-        `API Error: ${geminiResponse.status}`
-      ).run()
-      
-      throw new Error(`Gemini API error: ${geminiResponse.status}`)
+    if (!result.success || !result.content) {
+      throw new Error(result.error || '問題の生成に失敗しました')
     }
     
-    const geminiData = await geminiResponse.json()
-    const generatedText = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || ''
-    
-    // JSONを抽出（```json ... ``` の中身を取得）
-    let problemData
-    try {
-      const jsonMatch = generatedText.match(/```json\s*(\{[\s\S]*?\})\s*```/) || 
-                       generatedText.match(/(\{[\s\S]*?\})/)
-      if (jsonMatch) {
-        problemData = JSON.parse(jsonMatch[1])
-      } else {
-        // JSON形式でない場合は、テキストを分割して抽出
-        problemData = {
-          title: '自動生成問題',
-          content: generatedText,
-          solution: '解答は教師が後で追加してください'
-        }
-      }
-    } catch (parseError) {
-      problemData = {
-        title: '自動生成問題',
-        content: generatedText,
-        solution: '解答は教師が後で追加してください'
-      }
-    }
+    const drafts = parseGeneratedProblems(result.content).slice(0, request.count)
+    const batchId = request.mode === 'queue' ? crypto.randomUUID() : null
+    const responseTime = Date.now() - startTime
+    const tokensUsed = result.tokensUsed || 0
     
-    // 生成された問題をデータベースに保存
-    const result = await env.DB.prepare(`
+    // すべて承認待ち（pending）として保存
+    const inserted = await env.DB.batch(drafts.map(draft => env.DB.prepare(`
       INSERT INTO ai_generated_problems (
         curriculum_id, course_id, problem_type, problem_title,
-        problem_content, problem_solution, difficulty_level,
-        generation_prompt, is_approved
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
+        problem_content, problem_solution, problem_explanation, problem_hint,
+        difficulty_level, generated_by, generation_prompt, is_approved, review_status,
+        generation_mode, source_card_id, requested_by, batch_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 'pending', ?, ?, ?, ?)
     `).bind(
-      body.curriculumId,
-      body.courseId || null,
-      body.problemType,
-      problemData.title,
-      problemData.content,
-      problemData.solution,
-      body.difficultyLevel || 2,
-      prompt
-    ).run()
+      curriculumId,
+      request.courseId,
+      request.problemType,
+      draft.title,
+      draft.content,
+      draft.answer,
+      draft.explanation,
+      draft.hint,
+      request.difficultyLevel,
+      result.model || GENERATE_PROBLEM_MODEL,
+      prompt,
+      request.mode,
+      request.cardId,
+      user.id,
+      batchId
+    )))
     
     // 使用統計を記録
-    const tokensUsed = geminiData.usageMetadata?.totalTokenCount || 0
     await env.DB.prepare(`
       INSERT INTO ai_usage_stats (
-        student_id, curriculum_id, feature_type,
+        student_id, curriculum_id, learning_card_id, feature_type,
         tokens_used, response_time_ms, success
-      ) VALUES (?, ?, 'problem_generation', ?, ?, 1)
-    `).bind(
-      body.userId || 1,
-      body.curriculumId,
-      tokensUsed,
-      responseTime
-    ).run()
+      ) VALUES (?, ?, ?, 'problem_generation', ?, ?, 1)
+    `).bind(user.id, curriculumId, request.cardId, tokensUsed, responseTime).run()
+    
+    const problems = drafts.map((draft, i) => ({
+      id: inserted[i].meta.last_row_id,
+      title: draft.title,
+      content: draft.content,
+      solution: draft.answer,
+      explanation: draft.explanation,
+      hint: draft.hint,
+      difficultyLevel: request.difficultyLevel,
+      problemType: request.problemType,
+      reviewStatus: 'pending'
+    }))
     
     return c.json({
       success: true,
-      problem: {
-        id: result.meta.last_row_id,
-        ...problemData,
-        difficultyLevel: body.difficultyLevel || 2,
-        problemType: body.problemType
-      },
+      version: request.version,
+      mode: request.mode,
+      batchId,
+      problem: problems[0],
+      problems,
       tokensUsed,
       responseTime
     })
@@ -5632,20 +9913,23 @@ ${body.specificRequirements ? `追加要件: ${body.specificRequirements}` : ''}
     console.error('問題生成エラー:', error)
     
     // エラーログを記録
-    try {
-      await env.DB.prepare(`
-        INSERT INTO ai_usage_stats (
-          student_id, curriculum_id, feature_type,
-          response_time_ms, success, error_message
-        ) VALUES (?, ?, 'problem_generation', ?, 0, ?)
-      `).bind(
-        body.userId || 1,
-        body.curriculumId,
-        Date.now() - startTime,
-        error.message
-      ).run()
-    } catch (dbError) {
-      console.error('Failed to log error:', dbError)
+    if (curriculumId) {
+      try {
+        await env.DB.prepare(`
+          INSERT INTO ai_usage_stats (
+            student_id, curriculum_id, learning_card_id, feature_type,
+            response_time_ms, success, error_message
+          ) VALUES (?, ?, ?, 'problem_generation', ?, 0, ?)
+        `).bind(
+          user.id,
+          curriculumId,
+          request.cardId,
+          Date.now() - startTime,
+          error.message
+        ).run()
+      } catch (dbError) {
+        console.error('Failed to log error:', dbError)
+      }
     }
     
     return c.json({
@@ -5662,6 +9946,8 @@ app.get('/api/ai/generated-problems/:curriculumId', async (c) => {
   const curriculumId = c.req.param('curriculumId')
   const problemType = c.req.query('problemType')
   const approved = c.req.query('approved')
+  const status = c.req.query('status')
+  const mode = c.req.query('mode')
   
   try {
     let query = `
@@ -5680,6 +9966,17 @@ app.get('/api/ai/generated-problems/:curriculumId', async (c) => {
       params.push(approved === 'true' ? '1' : '0')
     }
     
+    // 承認状態（pending / approved / rejected）
+    if (status) {
+      query += ` AND review_status = ?`
+      params.push(status)
+    }
+    
+    if (mode) {
+      query += ` AND generation_mode = ?`
+      params.push(mode)
+    }
+    
     query += ` ORDER BY created_at DESC`
     
     const problems = await env.DB.prepare(query).bind(...params).all()
@@ -5701,18 +9998,23 @@ app.get('/api/ai/generated-problems/:curriculumId', async (c) => {
 app.post('/api/ai/approve-problem/:problemId', async (c) => {
   const { env } = c
   const problemId = c.req.param('problemId')
-  const { userId, approved } = await c.req.json()
+  const { approved } = await c.req.json()
+  const userId = c.get('user').id
   
   try {
-    await env.DB.prepare(`
+    const result = await env.DB.prepare(`
       UPDATE ai_generated_problems
-      SET is_approved = ?, approved_by = ?, approved_at = datetime('now')
+      SET is_approved = ?, review_status = ?, approved_by = ?, approved_at = datetime('now')
       WHERE id = ?
-    `).bind(approved ? 1 : 0, userId, problemId).run()
+    `).bind(approved ? 1 : 0, approved ? 'approved' : 'rejected', userId, problemId).run()
+    
+    if (!result.meta.changes) {
+      return c.json({ success: false, error: '問題が見つかりません' }, 404)
+    }
     
     return c.json({
       success: true,
-      message: approved ? '問題を承認しました' : '承認を取り消しました'
+      message: approved ? '問題を承認しました' : '問題を差し戻しました'
     })
   } catch (error: any) {
     console.error('問題承認エラー:', error)
@@ -5726,7 +10028,8 @@ app.post('/api/ai/approve-problem/:problemId', async (c) => {
 // APIルート: AI フィードバック評価
 app.post('/api/ai/feedback', async (c) => {
   const { env } = c
-  const { studentId, conversationId, usageStatId, rating, comment } = await c.req.json()
+  const { conversationId, usageStatId, rating, comment } = await c.req.json()
+  const studentId = c.get('user').id
   
   try {
     await env.DB.prepare(`
@@ -5764,7 +10067,25 @@ app.post('/api/behavior/logs', async (c) => {
     }, 400)
   }
   
+  // バッジの判定に使う行動はサーバーだけが記録する
+  const reserved = logs.find(log => SERVER_RECORDED_ACTION_TYPES[log?.action_type])
+  if (reserved) {
+    return c.json({
+      success: false,
+      error: `action_type「${reserved.action_type}」は記録できません`
+    }, 400)
+  }
+  
   try {
+    // 児童本人のログはセッションのユーザーIDで記録する
+    for (const log of logs) {
+      const studentId = await resolveStudentId(c, log.student_id)
+      if (studentId === null) {
+        return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+      }
+      log.student_id = studentId
+    }
+    
     // バッチ挿入
     const stmt = env.DB.prepare(`
       INSERT INTO learning_behavior_logs (
@@ -5792,10 +10113,21 @@ app.post('/api/behavior/logs', async (c) => {
     
     await env.DB.batch(batch)
     
+    // ログに含まれる児童・単元ごとにバッジを評価
+    const targets = new Map<string, any>()
+    logs.filter(log => log.curriculum_id).forEach(log => {
+      targets.set(`${log.student_id}:${log.curriculum_id}`, log)
+    })
+    const newBadges = []
+    for (const log of targets.values()) {
+      newBadges.push(...await evaluateBadges(env.DB, log.student_id, log.curriculum_id))
+    }
+    
     return c.json({
       success: true,
       message: `${logs.length}件のログを保存しました`,
-      count: logs.length
+      count: logs.length,
+      newBadges
     })
   } catch (error: any) {
     console.error('学習行動ログ保存エラー:', error)
@@ -6097,7 +10429,10 @@ app.post('/api/analysis/profile/:studentId', async (c) => {
     // 6つの分析結果を取得
     const analysisResponse = await fetch(`${c.req.url.split('/api')[0]}/api/analysis/patterns/${studentId}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': c.req.header('Authorization') || ''
+      },
       body: JSON.stringify({ curriculumId })
     })
     
@@ -6113,9 +10448,8 @@ app.post('/api/analysis/profile/:studentId', async (c) => {
       SELECT name, email FROM users WHERE id = ?
     `).bind(studentId).first()
     
-    // Gemini APIで統合分析
-    const apiKey = env.GEMINI_API_KEY
-    if (!apiKey || apiKey === 'your-gemini-api-key-here') {
+    // AIで統合分析
+    if (!isLLMConfigured(env)) {
       // APIキーが設定されていない場合は簡易プロファイルを返す
       const profile = generateSimpleProfile(patterns, student)
       await saveProfile(env.DB, studentId, curriculumId, profile)
@@ -6178,29 +10512,20 @@ ID: ${studentId}
 }
 `
     
-    const geminiResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{ text: geminiPrompt }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 1000
-          }
-        })
-      }
-    )
+    const result = await callLLM(env, {
+      task: 'analysis-profile',
+      model: 'gemini-2.0-flash-exp',
+      prompt: geminiPrompt,
+      maxOutputTokens: 1000,
+      temperature: 0.7,
+      retries: 1
+    })
     
-    if (!geminiResponse.ok) {
-      throw new Error('Gemini API呼び出しに失敗しました')
+    if (!result.success) {
+      throw new Error('AI API呼び出しに失敗しました')
     }
     
-    const geminiData = await geminiResponse.json()
-    const geminiText = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || ''
+    const geminiText = result.content || ''
     
     // JSONを抽出
     const jsonMatch = geminiText.match(/\{[\s\S]*\}/)
@@ -6608,9 +10933,14 @@ app.get('/api/dashboard/student/:studentId', async (c) => {
 // 推奨事項の作成（教師向け）
 app.post('/api/dashboard/recommendations', async (c) => {
   const { env } = c
-  const { studentId, curriculumId, targetRole, type, priority, title, description, actionItems } = await c.req.json()
+  const { studentId: requestedStudentId, curriculumId, targetRole, type, priority, title, description, actionItems } = await c.req.json()
   
   try {
+    const studentId = await resolveStudentId(c, requestedStudentId)
+    if (studentId === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     await env.DB.prepare(`
       INSERT INTO recommendations (
         student_id, curriculum_id, target_role, recommendation_type, priority,
@@ -6652,7 +10982,7 @@ app.get('/api/cards/:cardId/adapted/:studentId', async (c) => {
   
   try {
     // 元の学習カード取得
-    const card = await env.DB.prepare(`
+    let card = await env.DB.prepare(`
       SELECT * FROM learning_cards WHERE id = ?
     `).bind(cardId).first()
     
@@ -6671,6 +11001,11 @@ app.get('/api/cards/:cardId/adapted/:studentId', async (c) => {
       LIMIT 1
     `).bind(studentId).first()
     
+    // 児童には、自分の答えを提出するか先生が公開するまで解答を返さない
+    if (!await canViewCardAnswer(env.DB, c.get('user'), cardId)) {
+      card = withoutCardAnswer(card)
+    }
+    
     let adaptedCard = { ...card }
     let learningStyle = 'balanced' // デフォルト
     
@@ -6754,7 +11089,10 @@ app.post('/api/predictions/:studentId', async (c) => {
     // 学習パターンを取得
     const analysisResponse = await fetch(`${c.req.url.split('/api')[0]}/api/analysis/patterns/${studentId}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': c.req.header('Authorization') || ''
+      },
       body: JSON.stringify({ curriculumId })
     })
     
@@ -7137,9 +11475,15 @@ app.get('/api/lstm/time-series/:studentId', async (c) => {
 // Phase 17: Transformer - テキスト解析
 app.post('/api/transformer/analyze-text', async (c) => {
   const { env } = c
-  const { student_id, text_input, analysis_type } = await c.req.json()
+  const body = await c.req.json()
+  const { text_input, analysis_type } = body
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     // 簡易的な感情分析（実際のTransformerはクライアント側で実行）
     let analysis_result: any = {}
     let confidence_score = 0.8
@@ -7198,9 +11542,15 @@ app.post('/api/transformer/analyze-text', async (c) => {
 // Phase 17: 強化学習 - アクション実行と報酬記録
 app.post('/api/rl/take-action', async (c) => {
   const { env } = c
-  const { student_id, state, action, reward } = await c.req.json()
+  const body = await c.req.json()
+  const { state, action, reward } = body
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     // エージェントを取得または作成
     let agent = await env.DB.prepare(`
       SELECT * FROM rl_agents
@@ -7278,9 +11628,15 @@ app.post('/api/rl/take-action', async (c) => {
 // Phase 17: 強化学習 - 最適アクション推薦
 app.post('/api/rl/recommend-action', async (c) => {
   const { env } = c
-  const { student_id, current_state } = await c.req.json()
+  const body = await c.req.json()
+  const { current_state } = body
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     const agent = await env.DB.prepare(`
       SELECT * FROM rl_agents
       WHERE student_id = ? AND agent_type = 'q_learning'
@@ -7340,9 +11696,15 @@ app.post('/api/rl/recommend-action', async (c) => {
 // Phase 18: 音声入力 - 文字起こし保存
 app.post('/api/voice/save-transcription', async (c) => {
   const { env } = c
-  const { student_id, audio_url, transcription, confidence, language, duration, emotion } = await c.req.json()
+  const body = await c.req.json()
+  const { audio_url, transcription, confidence, language, duration, emotion } = body
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     await env.DB.prepare(`
       INSERT INTO voice_inputs 
       (student_id, audio_url, transcription, transcription_confidence, language, duration_seconds, emotion_detected, created_at)
@@ -7367,9 +11729,15 @@ app.post('/api/voice/save-transcription', async (c) => {
 // Phase 18: 手書き認識 - 認識結果保存
 app.post('/api/handwriting/save-recognition', async (c) => {
   const { env } = c
-  const { student_id, curriculum_id, image_url, recognized_text, confidence, stroke_data, is_correct, feedback } = await c.req.json()
+  const body = await c.req.json()
+  const { curriculum_id, image_url, recognized_text, confidence, stroke_data, is_correct, feedback } = body
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     await env.DB.prepare(`
       INSERT INTO handwriting_inputs 
       (student_id, curriculum_id, image_url, recognized_text, recognition_confidence, stroke_data, is_correct, feedback, created_at)
@@ -7529,7 +11897,8 @@ app.get('/api/cross-school/analytics/:municipalityId', async (c) => {
 // Phase 19: 研究データセット作成
 app.post('/api/research/create-dataset', async (c) => {
   const { env } = c
-  const { dataset_name, researcher_id, description, data_collection_start, data_collection_end, school_codes, anonymization_level } = await c.req.json()
+  const { dataset_name, description, data_collection_start, data_collection_end, school_codes, anonymization_level } = await c.req.json()
+  const researcher_id = c.get('user').id
   
   try {
     // データセット作成
@@ -7563,9 +11932,16 @@ app.post('/api/research/create-dataset', async (c) => {
 // A/Bテスト実験への参加登録
 app.post('/api/ab-test/assign', async (c) => {
   const { env } = c
-  const { experiment_name, student_id, class_code } = await c.req.json()
+  const body = await c.req.json()
+  const { experiment_name } = body
+  const class_code = c.get('user').class_code
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     // 既存の割り当てをチェック
     const existing = await env.DB.prepare(`
       SELECT * FROM ab_test_assignments
@@ -7603,9 +11979,15 @@ app.post('/api/ab-test/assign', async (c) => {
 // A/Bテストイベント記録
 app.post('/api/ab-test/event', async (c) => {
   const { env } = c
-  const { experiment_name, student_id, event_type, event_data } = await c.req.json()
+  const body = await c.req.json()
+  const { experiment_name, event_type, event_data } = body
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     // 割り当てを取得
     const assignment = await env.DB.prepare(`
       SELECT variant_name FROM ab_test_assignments
@@ -7871,7 +12253,7 @@ app.post('/api/ml/predict/:studentId', async (c) => {
 // コーディネーター向け：複数校データ統合分析
 app.get('/api/coordinator/cross-school-analytics', async (c) => {
   const { env } = c
-  const coordinatorId = c.req.query('coordinator_id')
+  const coordinatorId = c.get('user').id
   const scope = c.req.query('scope') || 'municipality' // 'municipality', 'prefecture', 'national'
   
   try {
@@ -7998,7 +12380,8 @@ app.get('/api/coordinator/cross-school-analytics', async (c) => {
 // データ共有許可の申請（コーディネーター → 担任教師）
 app.post('/api/coordinator/request-data-access', async (c) => {
   const { env } = c
-  const { student_id, coordinator_id, teacher_id, purpose } = await c.req.json()
+  const { student_id, teacher_id, purpose } = await c.req.json()
+  const coordinator_id = c.get('user').id
   
   try {
     // 既存の許可をチェック
@@ -8037,7 +12420,7 @@ app.post('/api/coordinator/request-data-access', async (c) => {
 // 研究論文用データエクスポート（完全匿名化）
 app.get('/api/coordinator/research-export', async (c) => {
   const { env } = c
-  const coordinatorId = c.req.query('coordinator_id')
+  const coordinatorId = c.get('user').id
   const startDate = c.req.query('start_date')
   const endDate = c.req.query('end_date')
   const format = c.req.query('format') || 'json' // 'json', 'csv', 'spss'
@@ -8156,9 +12539,16 @@ app.get('/api/coordinator/research-export', async (c) => {
 // 不登校児童サポート記録
 app.post('/api/coordinator/truancy-support', async (c) => {
   const { env } = c
-  const { student_id, support_type, progress_notes, coordinator_id } = await c.req.json()
+  const body = await c.req.json()
+  const { support_type, progress_notes } = body
+  const coordinator_id = c.get('user').id
   
   try {
+    const student_id = await resolveStudentId(c, body.student_id)
+    if (student_id === null) {
+      return c.json({ success: false, error: 'この児童のデータにはアクセスできません' }, 403)
+    }
+    
     // 既存の記録を取得
     const existing = await env.DB.prepare(`
       SELECT * FROM truancy_support_records
@@ -8243,42 +12633,175 @@ app.post('/api/coordinator/research-publication', async (c) => {
 })
 
 // ==============================================
-// WebSocketエンドポイント
+// リアルタイム配信（WebSocket / ポーリング）
 // ==============================================
 
-// WebSocket接続エンドポイント（ローカル開発のみ）
+const REALTIME_POLL_LIMIT = 100
+
+// ユーティリティ: クラスにリアルタイムメッセージを配信
+// realtime_events に記録してから、Durable Object が使えれば WebSocket の接続先にも送る
+// targetRole = 'teacher' は児童以外だけ、targetUserId はそのユーザーだけに届ける
+// （配信に失敗しても元のリクエストは成功させる）
+async function publishRealtime(
+  c: any,
+  classCode: string,
+  type: string,
+  payload: Record<string, unknown>,
+  targetRole: 'teacher' | null = null,
+  targetUserId: number | null = null
+) {
+  const { env } = c
+  
+  try {
+    const [, inserted] = await env.DB.batch([
+      env.DB.prepare(`
+        DELETE FROM realtime_events WHERE created_at < datetime('now', '-1 day')
+      `),
+      env.DB.prepare(`
+        INSERT INTO realtime_events (class_code, event_type, payload, target_role, target_user_id)
+        VALUES (?, ?, ?, ?, ?)
+        RETURNING id
+      `).bind(classCode, type, JSON.stringify(payload), targetRole, targetUserId)
+    ])
+    
+    const message = {
+      id: (inserted.results[0] as any).id,
+      type,
+      ...payload,
+      timestamp: new Date().toISOString()
+    }
+    
+    if (env.PROGRESS_WEBSOCKET) {
+      const stub = env.PROGRESS_WEBSOCKET.get(env.PROGRESS_WEBSOCKET.idFromName(classCode))
+      await stub.fetch('https://realtime/broadcast', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ classCode, message, targetRole, targetUserId })
+      })
+    }
+  } catch (error) {
+    console.error('リアルタイム配信エラー:', error)
+  }
+}
+
+// ユーティリティ: 児童の進捗の変化を、その児童のクラスの先生に配信（レスポンス後に実行）
+async function publishStudentEvent(c: any, studentId: number | string, type: string, payload: Record<string, unknown>) {
+  await runInBackground(c, (async () => {
+    const student: any = await c.env.DB.prepare(`
+      SELECT name, class_code FROM users WHERE id = ?
+    `).bind(studentId).first()
+    
+    if (!student?.class_code) {
+      return
+    }
+    
+    await publishRealtime(c, student.class_code, type, {
+      studentId: Number(studentId),
+      studentName: student.name,
+      ...payload
+    }, 'teacher')
+  })().catch(error => console.error('リアルタイム配信エラー:', error)))
+}
+
+// APIルート：リアルタイムメッセージのポーリング（WebSocket に接続できない場合の代わり）
+// after を省略すると現在のカーソルだけを返す。以降は受け取った cursor を after に指定する
+app.get('/api/realtime/poll', async (c) => {
+  const { env } = c
+  const user: SessionUser = c.get('user')
+  const classCode = c.req.query('classCode')
+  const after = c.req.query('after')
+  
+  try {
+    if (!classCode) {
+      return c.json({ success: false, error: 'classCode を指定してください' }, 400)
+    }
+    if (!canJoinClassChannel(user, classCode)) {
+      return c.json({ error: 'このクラスにはアクセスできません' }, 403)
+    }
+    if (after !== undefined && !/^\d+$/.test(after)) {
+      return c.json({ success: false, error: 'after は整数で指定してください' }, 400)
+    }
+    
+    if (after === undefined) {
+      const latest: any = await env.DB.prepare(`
+        SELECT COALESCE(MAX(id), 0) as cursor FROM realtime_events
+      `).first()
+      return c.json({ success: true, messages: [], cursor: latest?.cursor || 0 })
+    }
+    
+    const events = await env.DB.prepare(`
+      SELECT id, event_type, payload, target_role, target_user_id, created_at
+      FROM realtime_events
+      WHERE class_code = ? AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `).bind(classCode, Number(after), REALTIME_POLL_LIMIT).all()
+    
+    const messages = events.results
+      .filter((e: any) => !(e.target_role === 'teacher' && user.role === 'student'))
+      .filter((e: any) => e.target_user_id === null || e.target_user_id === user.id)
+      .map((e: any) => ({
+        id: e.id,
+        type: e.event_type,
+        ...JSON.parse(e.payload),
+        timestamp: new Date(e.created_at.replace(' ', 'T') + 'Z').toISOString()
+      }))
+    
+    // 自分宛てでないイベントを読み飛ばした場合もカーソルは進める
+    const last: any = events.results[events.results.length - 1]
+    const cursor = last ? last.id : Number(after)
+    
+    return c.json({ success: true, messages, cursor })
+  } catch (error: any) {
+    console.error('リアルタイムポーリングエラー:', error)
+    return c.json({
+      success: false,
+      error: 'リアルタイム更新の取得に失敗しました',
+      details: error.message
+    }, 500)
+  }
+})
+
+// APIルート：WebSocket接続（配信ワーカー jiyushindo-gakushu-realtime の Durable Object に転送）
+// 接続者の確認は Durable Object 側でもセッショントークンで行う
 app.get('/api/ws', async (c) => {
   const { env } = c
   
-  // Durable Objectsが利用不可の場合はエラーを返す
+  // 配信ワーカーが使えない場合、クライアントはポーリングに切り替える
   if (!env.PROGRESS_WEBSOCKET) {
     return c.json({ 
-      error: 'WebSocket is not available in production. Use polling instead.',
-      message: 'WebSocket機能は開発環境でのみ利用可能です。'
+      error: 'WebSocket is not available. Use /api/realtime/poll instead.',
+      message: 'リアルタイム配信サーバーに接続できません。定期的な取得に切り替えてください。'
     }, 503)
   }
   
-  // クエリパラメータからクラスコードとユーザー情報を取得
+  const user: SessionUser = c.get('user')
   const classCode = c.req.query('classCode')
-  const userId = c.req.query('userId')
-  const role = c.req.query('role')
   
   if (!classCode) {
     return c.json({ error: 'classCode is required' }, 400)
   }
   
+  if (!canJoinClassChannel(user, classCode)) {
+    return c.json({ error: 'このクラスにはアクセスできません' }, 403)
+  }
+  
   // Durable ObjectのIDを生成（クラスコードごとに1つのインスタンス）
-  const id = env.PROGRESS_WEBSOCKET.idFromName(classCode)
-  const stub = env.PROGRESS_WEBSOCKET.get(id)
+  const stub = env.PROGRESS_WEBSOCKET.get(env.PROGRESS_WEBSOCKET.idFromName(classCode))
   
-  // リクエストをDurable Objectに転送
+  // リクエスト（token クエリを含む）をそのまま転送
   const url = new URL(c.req.url)
   url.pathname = '/ws'
-  url.searchParams.set('classCode', classCode)
-  if (userId) url.searchParams.set('userId', userId)
-  if (role) url.searchParams.set('role', role)
   
-  return stub.fetch(url.toString(), c.req.raw)
+  try {
+    return await stub.fetch(url.toString(), c.req.raw)
+  } catch (error: any) {
+    console.error('WebSocket転送エラー:', error)
+    return c.json({
+      error: 'WebSocket is not available. Use /api/realtime/poll instead.',
+      message: 'リアルタイム配信サーバーに接続できません。定期的な取得に切り替えてください。'
+    }, 503)
+  }
 })
 
 // ==============================================
@@ -0,0 +1,252 @@
+// LLMモックプロバイダー用の固定応答
+// キーは callLLM の task。各ルートのJSON解析・検証を通る最小限の内容にしている
+
+type MockFixture = string | Record<string, unknown>
+
+const MOCK_HINTS = [
+  { hint_level: 1, hint_text: 'わかっている数を図にかいてみよう' },
+  { hint_level: 2, hint_text: '同じ数ずつ分けると考えてみよう' },
+  { hint_level: 3, hint_text: '式にすると 24 ÷ 4 になるよ' }
+]
+
+function mockCourse(courseName: string, courseLabel: string, description: string, colorCode: string) {
+  return {
+    course_name: courseName,
+    course_label: courseLabel,
+    description,
+    color_code: colorCode,
+    cards: [1, 2, 3, 4, 5, 6].map(n => ({
+      card_number: n,
+      card_title: `${courseName} カード${n}`,
+      card_type: 'main',
+      textbook_page: `p.${10 + n}`,
+      problem_description: `あめが ${n * 4} こあります。4人で同じ数ずつ分けると、1人何こになりますか。`,
+      new_terms: 'わり算',
+      example_problem: 'みかんが 12 こあります。3人で同じ数ずつ分けると、1人何こになりますか。',
+      example_solution: '12 ÷ 3 = 4　答え 4こ',
+      real_world_connection: 'おやつを友だちと分けるときに使えます',
+      answer: `${n * 4} ÷ 4 = ${n}　答え ${n}こ`,
+      hints: MOCK_HINTS
+    }))
+  }
+}
+
+const MOCK_CHECK_TEST_PROBLEMS = [1, 2, 3, 4, 5, 6].map(n => ({
+  problem_number: n,
+  problem_text: `えんぴつが ${n * 6} 本あります。6人で同じ数ずつ分けると、1人何本になりますか。`,
+  answer: `${n}本`,
+  related_card_number: n,
+  difficulty: 'basic'
+}))
+
+const MOCK_OPTIONAL_PROBLEMS = [
+  ['実生活問題', 'medium'],
+  ['考え方問題', 'medium'],
+  ['他教科問題', 'hard'],
+  ['応用問題', 'hard'],
+  ['探究問題', 'very_hard'],
+  ['創造問題', 'very_hard']
+].map(([title, level], i) => ({
+  problem_number: i + 1,
+  problem_title: title,
+  problem_description: `クラスの 30 人で 5 人ずつのグループを作ります。グループはいくつできますか。（${title}）`,
+  learning_meaning: '学んだわり算を身の回りの場面で使えるようになります',
+  difficulty_level: level,
+  answer: '30 ÷ 5 = 6　答え 6グループ',
+  explanation: '全体の人数を1グループの人数でわります'
+}))
+
+const MOCK_COURSE_SELECTION_PROBLEMS = [
+  ['基礎', 'ゆっくりコース'],
+  ['標準', 'しっかりコース'],
+  ['発展', 'どんどんコース']
+].map(([level, course], i) => ({
+  problem_number: i + 1,
+  problem_title: `${course}にちょうせん`,
+  problem_description: `${course}の学習内容につながる問題です`,
+  problem_content: 'クッキーが 18 まいあります。3人で同じ数ずつ分けると、1人何まいになりますか。',
+  course_level: level,
+  connection_to_cards: 'この問題は学習カード1-2で学ぶ内容につながります'
+}))
+
+const MOCK_INTRODUCTION_PROBLEMS = [1, 2, 3].map(n => ({
+  course_number: n,
+  problem_title: `導入問題${n}`,
+  problem_content: 'いちごが 20 こあります。5人で同じ数ずつ分けると、1人何こになるでしょう。図をかいて考えてみましょう。',
+  answer: '20 ÷ 5 = 4　答え 4こ。5つのお皿に1こずつ配っていくと考えます。'
+}))
+
+export const LLM_MOCK_FIXTURES: Record<string, MockFixture> = {
+  default: 'これはモックプロバイダーの応答です。',
+
+  ask: 'いい質問だね。まず、問題の中でわかっている数を2つ探してみよう。どんな数が見つかったかな？',
+
+  reflect: 'よくがんばりましたね！わかったことを自分の言葉で書けていてすばらしいです。次の時間もこの調子でいきましょう。',
+
+  'ai-chat': '図にかいてみるといいよ。まず全部の数を丸で表してみよう。何こ丸がかけたかな？',
+
+  'generate-similar': {
+    problem_text: 'ビー玉が 32 こあります。4人で同じ数ずつ分けると、1人何こになりますか。',
+    answer: '32 ÷ 4 = 8　答え 8こ',
+    hint_1: '全部の数と分ける人数を確かめよう',
+    hint_2: '4人に1こずつ配ると何回配れるかな',
+    hint_3: '4 × □ = 32 の □ を考えよう'
+  },
+
+  diagnosis: {
+    overall_assessment: 'こつこつと学習を進めています。基礎の問題はよく理解できています。',
+    strengths: ['毎日続けて学習している', '基本の計算が正確', 'ヒントを上手に使えている'],
+    areas_for_improvement: ['文章問題の読み取り', '見直しの習慣'],
+    recommendations: [
+      { title: '文章問題を図にする', description: '問題文を読んだら、わかっていることを図にかいてから式を立てましょう' },
+      { title: '答えを見直す', description: '答えが出たら、かけ算でたしかめてみましょう' }
+    ],
+    encouragement: 'この調子で一歩ずつ進んでいこう！'
+  },
+
+  'suggest-plan': {
+    overall_suggestion: '1日2枚のペースで進めると、今週中に単元を終えられます。',
+    daily_goals: [
+      { day: '今日', goal: 'カード1・2を終わらせる', cards: 2 },
+      { day: '明日', goal: 'カード3・4を終わらせる', cards: 2 }
+    ],
+    weekly_goals: [
+      { goal: 'チェックテストに合格する', importance: 'high' },
+      { goal: '選択問題に1つちょうせんする', importance: 'medium' }
+    ],
+    tips: ['わからないときはヒントカードを使おう', '終わったら振り返りを書こう']
+  },
+
+  'analyze-errors': {
+    overall_analysis: 'わり算の意味の理解は進んでいますが、文章から式を立てる段階でつまずきが見られます。',
+    error_patterns: [
+      { pattern: '全体と1人分を取り違える', frequency: 'よく見られる' },
+      { pattern: '余りの扱いを忘れる', frequency: '時々見られる' }
+    ],
+    root_causes: ['問題場面のイメージ不足', '数量関係の整理不足'],
+    suggestions_for_teacher: [
+      { suggestion: 'テープ図で数量関係を整理させる', priority: 'high' },
+      { suggestion: '具体物で分ける操作をさせる', priority: 'medium' }
+    ],
+    support_strategies: ['図をかくヒントカードを先に渡す', 'ペアで説明し合う時間をとる']
+  },
+
+  'suggest-units': [
+    'かけ算の筆算',
+    'わり算',
+    '大きな数',
+    '小数',
+    '分数',
+    '長さ',
+    '重さ',
+    '円と球',
+    '三角形',
+    '表とグラフ'
+  ].join('\n'),
+
+  'generate-unit': {
+    curriculum: {
+      grade: '3年',
+      subject: '算数',
+      textbook_company: '東京書籍',
+      unit_name: 'わり算',
+      total_hours: 8,
+      unit_goal: '同じ数ずつ分ける場面をわり算の式に表し、答えを求めることができる',
+      non_cognitive_goal: '友だちと考えを伝え合いながら、粘り強く問題に取り組む'
+    },
+    courses: [
+      mockCourse('ゆっくりコース', 'じっくり考えながら進むコース', 'ひとつひとつていねいに学びたい人におすすめ', 'green'),
+      mockCourse('しっかりコース', '自分のペースで学ぶコース', 'しっかり考えて学びたい人', 'blue'),
+      mockCourse('どんどんコース', 'いろいろなことにちょうせんするコース', '発展的に学びたい人', 'purple')
+    ]
+  },
+
+  'generate-course-problems': {
+    course_selection_problems: MOCK_COURSE_SELECTION_PROBLEMS,
+    introduction_problems: MOCK_INTRODUCTION_PROBLEMS
+  },
+
+  'generate-assessment-problems': {
+    common_check_test: {
+      test_title: '基礎基本チェックテスト',
+      sample_problems: MOCK_CHECK_TEST_PROBLEMS
+    },
+    optional_problems: MOCK_OPTIONAL_PROBLEMS
+  },
+
+  'generate-intro-problems': {
+    introduction_problems: MOCK_INTRODUCTION_PROBLEMS
+  },
+
+  'generate-additional-problems': {
+    course_selection_problems: MOCK_COURSE_SELECTION_PROBLEMS,
+    introduction_problems: MOCK_INTRODUCTION_PROBLEMS,
+    common_check_test: {
+      test_title: '基礎基本チェックテスト',
+      test_description: '全コース共通の基礎基本チェックテスト（知識理解の最低保証）',
+      sample_problems: MOCK_CHECK_TEST_PROBLEMS
+    },
+    optional_problems: MOCK_OPTIONAL_PROBLEMS
+  },
+
+  'regenerate-check-test': {
+    sample_problems: MOCK_CHECK_TEST_PROBLEMS.map(({ problem_number, problem_text, answer, related_card_number }) => ({ problem_number, problem_text, answer, related_card_number }))
+  },
+
+  'suggest-learning-styles': {
+    visual_support: {
+      description: 'テープ図やアレイ図で分ける様子を見える形にする',
+      materials: ['テープ図のワークシート', '色分けしたおはじきの図'],
+      activities: ['図に色をぬって1人分を囲む', '黒板の図を見ながら式を立てる']
+    },
+    auditory_support: {
+      description: '「ぜんぶで」「1人分」などの言葉を声に出して確かめる',
+      materials: ['音読カード', '言葉の式カード'],
+      activities: ['問題文をペアで音読する', '式の意味を言葉で説明し合う']
+    },
+    kinesthetic_support: {
+      description: 'おはじきやブロックを実際に分ける操作を取り入れる',
+      materials: ['おはじき', 'お皿カード'],
+      activities: ['おはじきを同じ数ずつ配る', '配った回数を数えて式にする']
+    },
+    learning_style_notes: '操作→図→式の順に段階を踏み、子どもが選べるようにする'
+  },
+
+  'generate-problem': {
+    problems: [1, 2, 3, 4, 5].map(n => ({
+      title: `わり算の練習${n}`,
+      content: `色紙が ${n * 12} まいあります。6人で同じ数ずつ分けると、1人何まいになりますか。`,
+      answer: `${n * 2}まい`,
+      explanation: `${n * 12} ÷ 6 = ${n * 2}`,
+      hint: '6のだんの九九を使おう'
+    }))
+  },
+
+  'generate-problem-similar': {
+    problems: [{
+      title: '類似問題',
+      content: 'シールが 28 まいあります。7人で同じ数ずつ分けると、1人何まいになりますか。',
+      answer: '4まい',
+      explanation: '28 ÷ 7 = 4。7のだんの九九で答えが28になるのは 7 × 4 です。',
+      hint: '7のだんの九九を思い出そう'
+    }]
+  },
+
+  narrative: {
+    chapter_title: 'ゆうきのカード',
+    story_content: 'さいごの学習カードの前で、主人公は少し立ち止まりました。ヒントカードをひらき、図をかいてみると、わけ方のひみつが見えてきました。「同じ数ずつ分けるとわり算になる」。振り返りに書いたその言葉を胸に、主人公はつぎの扉、チェックテストへと歩き出します。'
+  },
+
+  'analysis-profile': {
+    summary: '図や具体物を使うと理解が深まるタイプです。集中できる時間帯に学習を進めると効果的です。',
+    strengths: ['視覚的な情報の理解が得意', '学習の継続性が高い', '助けを求めるタイミングが適切'],
+    weaknesses: ['長い文章問題の読み取り', '見直しの習慣'],
+    recommendations: {
+      for_teacher: ['図を使ったヒントを優先して提示する', '短い区切りで達成感を持たせる', '説明する場面を意図的に設ける'],
+      for_parent: ['家庭での学習時間を一定にする', 'できたことを具体的にほめる'],
+      for_student: ['問題を読んだら図にかこう', '答えが出たら見直そう']
+    },
+    learning_type: '視覚型×安定型×適時支援型',
+    recommended_course: 'しっかりコース'
+  }
+}
@@ -0,0 +1,357 @@
+// LLMプロバイダー層
+// 環境変数 LLM_PROVIDER で切り替える（未指定時は gemini）
+//   gemini : Google Generative Language API（GEMINI_API_KEY）
+//   openai : OpenAI互換の Chat Completions API（OPENAI_API_KEY / OPENAI_BASE_URL / OPENAI_MODEL）
+//   mock   : APIキー不要。task ごとの固定フィクスチャを返す（開発・テスト用）
+
+import { LLM_MOCK_FIXTURES } from './llm-fixtures'
+
+export interface LLMEnv {
+  LLM_PROVIDER?: string
+  GEMINI_API_KEY?: string
+  OPENAI_API_KEY?: string
+  OPENAI_BASE_URL?: string
+  OPENAI_MODEL?: string
+}
+
+export interface LLMRequest {
+  task: string        // 呼び出し元の機能名（mock のフィクスチャ選択とログに使用）
+  model: string       // Gemini のモデル名（openai では OPENAI_MODEL が優先）
+  prompt: string
+  maxOutputTokens: number
+  temperature: number
+}
+
+export interface LLMCompletion {
+  content: string
+  model: string
+  tokensUsed: number
+}
+
+// ストリーミングの差分（tokensUsed は判明した時点の累計）
+export interface LLMStreamChunk {
+  text: string
+  tokensUsed?: number
+}
+
+export interface LLMProvider {
+  name: string
+  configured: boolean
+  generate(request: LLMRequest): Promise<LLMCompletion>
+  stream(request: LLMRequest, signal?: AbortSignal): AsyncGenerator<LLMStreamChunk>
+}
+
+// プロバイダー呼び出しの失敗（status: HTTPステータス。通信エラー・空応答は 0）
+export class LLMProviderError extends Error {
+  status: number
+
+  constructor(message: string, status: number) {
+    super(message)
+    this.name = 'LLMProviderError'
+    this.status = status
+  }
+}
+
+function isPlaceholderKey(key?: string): boolean {
+  return !key || key.startsWith('your-')
+}
+
+// SSEレスポンスから data 行を順に取り出す
+async function* readSSEData(response: Response): AsyncGenerator<string> {
+  if (!response.body) return
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += value
+
+    let boundary
+    while ((boundary = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, boundary).replace(/\r$/, '')
+      buffer = buffer.slice(boundary + 1)
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim()
+      }
+    }
+  }
+}
+
+async function ensureOk(response: Response): Promise<void> {
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new LLMProviderError(`HTTP ${response.status}: ${errorText.substring(0, 200)}`, response.status)
+  }
+}
+
+function createGeminiProvider(env: LLMEnv): LLMProvider {
+  const apiKey = env.GEMINI_API_KEY
+  return {
+    name: 'gemini',
+    configured: !isPlaceholderKey(apiKey),
+    async generate({ model, prompt, maxOutputTokens, temperature }) {
+      const response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: { temperature, maxOutputTokens }
+          })
+        }
+      )
+
+      await ensureOk(response)
+
+      const data: any = await response.json()
+      const content = data.candidates?.[0]?.content?.parts?.[0]?.text
+      if (!content) {
+        throw new LLMProviderError('AIの応答が空でした', 0)
+      }
+
+      return {
+        content,
+        model,
+        tokensUsed: data.usageMetadata?.totalTokenCount || 0
+      }
+    },
+    async *stream({ model, prompt, maxOutputTokens, temperature }, signal) {
+      const response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: { temperature, maxOutputTokens }
+          }),
+          signal
+        }
+      )
+      await ensureOk(response)
+
+      for await (const payload of readSSEData(response)) {
+        const data = JSON.parse(payload)
+        yield {
+          text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+          tokensUsed: data.usageMetadata?.totalTokenCount
+        }
+      }
+    }
+  }
+}
+
+function createOpenAIProvider(env: LLMEnv): LLMProvider {
+  const apiKey = env.OPENAI_API_KEY
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+  return {
+    name: 'openai',
+    configured: !isPlaceholderKey(apiKey),
+    async generate({ model, prompt, maxOutputTokens, temperature }) {
+      const targetModel = env.OPENAI_MODEL || model
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          model: targetModel,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxOutputTokens,
+          temperature
+        })
+      })
+
+      await ensureOk(response)
+
+      const data: any = await response.json()
+      const content = data.choices?.[0]?.message?.content
+      if (!content) {
+        throw new LLMProviderError('AIの応答が空でした', 0)
+      }
+
+      return {
+        content,
+        model: data.model || targetModel,
+        tokensUsed: data.usage?.total_tokens || 0
+      }
+    },
+    async *stream({ model, prompt, maxOutputTokens, temperature }, signal) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          model: env.OPENAI_MODEL || model,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxOutputTokens,
+          temperature,
+          stream: true,
+          stream_options: { include_usage: true }
+        }),
+        signal
+      })
+      await ensureOk(response)
+
+      for await (const payload of readSSEData(response)) {
+        if (payload === '[DONE]') break
+        const data = JSON.parse(payload)
+        yield {
+          text: data.choices?.[0]?.delta?.content || '',
+          tokensUsed: data.usage?.total_tokens
+        }
+      }
+    }
+  }
+}
+
+// 同じ task には常に同じ応答を返す（未登録の task は汎用テキスト）
+function mockContent(task: string): string {
+  const fixture = LLM_MOCK_FIXTURES[task] ?? LLM_MOCK_FIXTURES.default
+  return typeof fixture === 'string' ? fixture : '```json\n' + JSON.stringify(fixture, null, 2) + '\n```'
+}
+
+function createMockProvider(): LLMProvider {
+  return {
+    name: 'mock',
+    configured: true,
+    async generate({ task }) {
+      return {
+        content: mockContent(task),
+        model: 'mock',
+        tokensUsed: 0
+      }
+    },
+    // 8文字ずつ少し間をあけて返す（逐次表示・中断の確認用）
+    async *stream({ task }, signal) {
+      const content = mockContent(task)
+      for (let i = 0; i < content.length; i += 8) {
+        if (signal?.aborted) return
+        await new Promise(resolve => setTimeout(resolve, 40))
+        yield { text: content.slice(i, i + 8) }
+      }
+      yield { text: '', tokensUsed: 0 }
+    }
+  }
+}
+
+export function getLLMProvider(env: LLMEnv): LLMProvider {
+  switch (env.LLM_PROVIDER || 'gemini') {
+    case 'mock':
+      return createMockProvider()
+    case 'openai':
+      return createOpenAIProvider(env)
+    default:
+      return createGeminiProvider(env)
+  }
+}
+
+// AI機能が利用可能か（APIキー未設定時は各ルートのフォールバック応答を使う）
+export function isLLMConfigured(env: LLMEnv): boolean {
+  return getLLMProvider(env).configured
+}
+
+// LLM呼び出しヘルパー（リトライ + 監視）
+export interface LLMCallOptions {
+  task: string
+  model: string
+  prompt: string
+  maxOutputTokens?: number
+  temperature?: number
+  retries?: number
+  retryDelay?: number
+}
+
+export interface LLMResponse {
+  success: boolean
+  content?: string
+  model?: string
+  provider?: string
+  error?: string
+  attempts?: number
+  totalTime?: number
+  tokensUsed?: number
+}
+
+export async function callLLM(env: LLMEnv, options: LLMCallOptions): Promise<LLMResponse> {
+  const {
+    task,
+    model,
+    prompt,
+    maxOutputTokens = 8192,
+    temperature = 0.8,
+    retries = 3,
+    retryDelay = 2000
+  } = options
+
+  const provider = getLLMProvider(env)
+  const startTime = Date.now()
+  let lastError = ''
+
+  if (!provider.configured) {
+    return { success: false, error: `${provider.name} のAPIキーが設定されていません`, model, provider: provider.name, attempts: 0, totalTime: 0 }
+  }
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      console.log(`🔄 LLM呼び出し: ${provider.name}/${model} [${task}] (試行 ${attempt}/${retries})`)
+
+      const completion = await provider.generate({ task, model, prompt, maxOutputTokens, temperature })
+      const totalTime = Date.now() - startTime
+      console.log(`✅ LLM成功: ${provider.name}/${completion.model} [${task}] (${attempt}回目, ${totalTime}ms)`)
+
+      return {
+        success: true,
+        content: completion.content,
+        model: completion.model,
+        provider: provider.name,
+        attempts: attempt,
+        totalTime,
+        tokensUsed: completion.tokensUsed
+      }
+    } catch (error) {
+      lastError = error instanceof Error ? error.message : 'Unknown error'
+      console.error(`❌ LLMエラー (${provider.name}/${model} [${task}]):`, lastError)
+
+      // 429 (Rate Limit)・5xx・通信エラーのみリトライ
+      const status = error instanceof LLMProviderError ? error.status : 0
+      const retryable = status === 0 || status === 429 || status >= 500
+      if (!retryable) break
+
+      if (attempt < retries) {
+        console.log(`⏳ ${retryDelay * attempt}ms 待機してリトライ...`)
+        await new Promise(resolve => setTimeout(resolve, retryDelay * attempt))
+      }
+    }
+  }
+
+  const totalTime = Date.now() - startTime
+  console.error(`❌ LLM失敗: ${provider.name}/${model} [${task}] (${totalTime}ms)`)
+
+  return {
+    success: false,
+    error: lastError,
+    model,
+    provider: provider.name,
+    attempts: retries,
+    totalTime
+  }
+}
+
+// LLMストリーミング呼び出し（途中まで送った応答はやり直せないためリトライしない）
+export async function* streamLLM(env: LLMEnv, options: LLMCallOptions, signal?: AbortSignal): AsyncGenerator<LLMStreamChunk> {
+  const { task, model, prompt, maxOutputTokens = 8192, temperature = 0.8 } = options
+  const provider = getLLMProvider(env)
+
+  if (!provider.configured) {
+    throw new LLMProviderError(`${provider.name} のAPIキーが設定されていません`, 0)
+  }
+
+  console.log(`🔄 LLMストリーミング: ${provider.name}/${model} [${task}]`)
+  yield* provider.stream({ task, model, prompt, maxOutputTokens, temperature }, signal)
+}
@@ -0,0 +1,379 @@
+// PDF出力（学習のてびき・進捗一覧・個人レポート・週次/月次レポート）
+// ブラウザの印刷に頼らず、サーバーで A4 のページに組む（端末によって改ページや文字の大きさが変わらない）
+// 日本語フォントは BIZ UDPゴシック（public/static/fonts、SIL Open Font License）を使い、使った文字だけを埋め込む
+// フォントは subset_pdf_font.js で JIS第1・第2水準の漢字とかな・記号に絞ってある（それ以外の字は表示されない）
+// ふりがなは本文中の次の書き方を、親文字の上に小さく組む
+//   ｜文字列《よみ》 / 漢字《よみ》 / 漢字（ひらがな）
+// 括弧の書き方は「問題（やってみよう）」のような補足と区別がつかないため、
+// 前後に漢字が続かない1〜3文字の漢字で、読みが1文字あたり2音以内のときだけルビにする
+// それ以外の読みは ｜漢字《よみ》 で書く
+
+import { PDFDocument, rgb, type PDFFont, type PDFPage, type RGB } from 'pdf-lib'
+import * as fontkit from 'fontkit'
+
+export const PDF_FONT_PATH = '/static/fonts/BIZUDPGothic-Regular-JIS.ttf'
+
+const A4: [number, number] = [595.28, 841.89]
+const MARGIN = 40
+const FOOTER_HEIGHT = 24
+const RUBY_SCALE = 0.5
+const LINE_SPACING = 1.5
+
+// 行頭に来てはいけない文字（前の行の末尾にぶら下げる）
+const NO_LINE_START = '、。，．）」』】〕！？ー～ぁぃぅぇぉっゃゅょァィゥェォッャュョ・：；'
+
+const KANJI = '\\u4E00-\\u9FFF\\u3400-\\u4DBF々〆ヶ'
+const FURIGANA_PATTERN = new RegExp(
+  `｜([^｜《》\\n]+)《([^《》\\n]+)》|([${KANJI}]+)《([^《》\\n]+)》|(?<![${KANJI}])([${KANJI}]{1,3})[（(]([\\u3041-\\u309F]{1,9})[）)]`,
+  'g'
+)
+const PAREN_RUBY_MORA_PER_KANJI = 2
+// 拗音・促音の小書きかなは音の数に数えない
+const SMALL_KANA = /[ぁぃぅぇぉっゃゅょゎ]/g
+
+// pdf-lib に fontkit 2 を渡すためのアダプター
+// pdf-lib 同梱の fontkit（@pdf-lib/fontkit）はサブセット化で一部の和文グリフが欠けるため、fontkit 2 を使う
+// fontkit 2 のサブセットは encode() で一度に書き出すので、pdf-lib が呼ぶ encodeStream() の形に合わせる
+// 読み込んだフォントは元のバイト列ごとに覚えておき、同じ isolate の次のPDFでは解析し直さない
+const parsedFonts = new WeakMap<ArrayBufferLike, any>()
+
+function parseFont(buffer: Uint8Array) {
+  const font: any = fontkit.create(buffer as any)
+  const createSubset = font.createSubset.bind(font)
+  font.createSubset = () => {
+    const subset = createSubset()
+    subset.encodeStream = () => {
+      const handlers: Record<string, (data?: Uint8Array) => void> = {}
+      const stream = {
+        on(event: string, handler: (data?: Uint8Array) => void) {
+          handlers[event] = handler
+          return stream
+        }
+      }
+      queueMicrotask(() => {
+        handlers.data?.(subset.encode())
+        handlers.end?.()
+      })
+      return stream
+    }
+    return subset
+  }
+  return font
+}
+
+const pdfFontkit = {
+  create(buffer: Uint8Array) {
+    let font = parsedFonts.get(buffer.buffer)
+    if (!font) {
+      font = parseFont(buffer)
+      parsedFonts.set(buffer.buffer, font)
+    }
+    return font
+  }
+}
+
+export const PDF_COLORS = {
+  text: rgb(0.13, 0.13, 0.13),
+  muted: rgb(0.45, 0.45, 0.45),
+  accent: rgb(0.31, 0.27, 0.9),
+  border: rgb(0.8, 0.8, 0.8),
+  headerFill: rgb(0.94, 0.94, 0.97)
+}
+
+// 本文をふりがなのある部分とない部分に分ける
+export interface TextSegment {
+  text: string
+  ruby?: string
+}
+
+export function parseFurigana(text: string): TextSegment[] {
+  const segments: TextSegment[] = []
+  let last = 0
+  for (const match of text.matchAll(FURIGANA_PATTERN)) {
+    if (match[5] && match[6].replace(SMALL_KANA, '').length > match[5].length * PAREN_RUBY_MORA_PER_KANJI) {
+      continue
+    }
+    if (match.index! > last) {
+      segments.push({ text: text.slice(last, match.index) })
+    }
+    segments.push({ text: match[1] ?? match[3] ?? match[5], ruby: match[2] ?? match[4] ?? match[6] })
+    last = match.index! + match[0].length
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last) })
+  }
+  return segments
+}
+
+// ふりがなの書き方を取り除いた本文（ふりがなを組めない表のセルなどで使う）
+export function stripFurigana(text: string): string {
+  return parseFurigana(text).map(segment => segment.text).join('')
+}
+
+interface TextOptions {
+  size?: number
+  color?: RGB
+  indent?: number
+  width?: number
+}
+
+// 1行分の組み単位（ふりがなつきの語は分割しない）
+interface LineItem {
+  text: string
+  ruby?: string
+  width: number
+}
+
+export interface PdfTableColumn {
+  header: string
+  width: number              // 表の幅に対する割合（合計 1）
+  align?: 'left' | 'center' | 'right'
+}
+
+export class PdfBuilder {
+  private doc: PDFDocument
+  private font: PDFFont
+  private charset: Set<number>
+  private title: string
+  private pageSize: [number, number]
+  private page!: PDFPage
+  private y = 0
+
+  private constructor(doc: PDFDocument, font: PDFFont, title: string, landscape: boolean) {
+    this.doc = doc
+    this.font = font
+    this.charset = new Set(font.getCharacterSet())
+    this.title = title
+    this.pageSize = landscape ? [A4[1], A4[0]] : A4
+    this.newPage()
+  }
+
+  static async create(fontBytes: ArrayBuffer, title: string, options: { landscape?: boolean } = {}): Promise<PdfBuilder> {
+    const doc = await PDFDocument.create()
+    doc.registerFontkit(pdfFontkit as any)
+    doc.setTitle(title)
+    doc.setCreator('自由進度学習支援システム')
+    const font = await doc.embedFont(fontBytes, { subset: true })
+    return new PdfBuilder(doc, font, title, !!options.landscape)
+  }
+
+  get contentWidth(): number {
+    return this.pageSize[0] - MARGIN * 2
+  }
+
+  newPage() {
+    this.page = this.doc.addPage(this.pageSize)
+    this.y = this.pageSize[1] - MARGIN
+  }
+
+  // 残りの高さが足りなければ改ページ
+  ensureSpace(height: number) {
+    if (this.y - height < MARGIN + FOOTER_HEIGHT) {
+      this.newPage()
+    }
+  }
+
+  spacer(height = 8) {
+    this.y -= height
+  }
+
+  heading(text: string, level: 1 | 2 | 3 = 1) {
+    const size = level === 1 ? 18 : level === 2 ? 14 : 12
+    this.ensureSpace(size * 3)
+    this.spacer(level === 1 ? 4 : 8)
+    this.paragraph(text, { size, color: level === 1 ? PDF_COLORS.accent : PDF_COLORS.text })
+    if (level <= 2) {
+      this.page.drawLine({
+        start: { x: MARGIN, y: this.y + 2 },
+        end: { x: MARGIN + this.contentWidth, y: this.y + 2 },
+        thickness: level === 1 ? 1.5 : 0.75,
+        color: level === 1 ? PDF_COLORS.accent : PDF_COLORS.border
+      })
+      this.spacer(6)
+    }
+  }
+
+  // 折り返して組む。改行はそのまま段落の区切りにする
+  paragraph(text: string | null | undefined, options: TextOptions = {}) {
+    if (!text) {
+      return
+    }
+    const size = options.size ?? 10.5
+    const indent = options.indent ?? 0
+    const width = options.width ?? this.contentWidth - indent
+
+    for (const line of String(text).split(/\r?\n/)) {
+      for (const items of this.wrap(line, size, width)) {
+        const hasRuby = items.some(item => item.ruby)
+        const lineHeight = size * LINE_SPACING + (hasRuby ? size * RUBY_SCALE : 0)
+        this.ensureSpace(lineHeight)
+        this.y -= lineHeight
+        this.drawLine(items, MARGIN + indent, this.y + (size * LINE_SPACING - size) / 2, size, options.color ?? PDF_COLORS.text)
+      }
+    }
+  }
+
+  // 「見出し：内容」の1行（内容は折り返す）。見出しは内容の1行目と同じベースラインに置く
+  field(label: string, value: string | number | null | undefined, options: TextOptions & { labelWidth?: number } = {}) {
+    if (value === null || value === undefined || value === '') {
+      return
+    }
+    const size = options.size ?? 10.5
+    const indent = options.indent ?? 0
+    const labelWidth = Math.max(options.labelWidth ?? 70, this.textWidth(label, size) + 12)
+    const firstLine = this.wrap(String(value).split(/\r?\n/)[0], size, this.contentWidth - indent - labelWidth)[0]
+    const lineHeight = size * LINE_SPACING + (firstLine.some(item => item.ruby) ? size * RUBY_SCALE : 0)
+    this.ensureSpace(lineHeight)
+    this.page.drawText(this.sanitize(label), {
+      x: MARGIN + indent,
+      y: this.y - lineHeight + (size * LINE_SPACING - size) / 2,
+      size,
+      font: this.font,
+      color: PDF_COLORS.muted
+    })
+    this.paragraph(String(value), { ...options, indent: indent + labelWidth })
+  }
+
+  // 表（ヘッダーは改ページのたびに繰り返す）
+  table(columns: PdfTableColumn[], rows: (string | number | null | undefined)[][], options: { size?: number } = {}) {
+    const size = options.size ?? 9
+    const padding = 4
+    const widths = columns.map(column => column.width * this.contentWidth)
+
+    const drawRow = (cells: string[], fill?: RGB) => {
+      const lines = cells.map((cell, i) => this.wrap(stripFurigana(cell), size, widths[i] - padding * 2))
+      const height = Math.max(1, ...lines.map(l => l.length)) * size * 1.35 + padding * 2
+      return { lines, height, fill }
+    }
+
+    const renderRow = (row: ReturnType<typeof drawRow>) => {
+      let x = MARGIN
+      const top = this.y
+      row.lines.forEach((cellLines, i) => {
+        this.page.drawRectangle({
+          x, y: top - row.height, width: widths[i], height: row.height,
+          borderColor: PDF_COLORS.border, borderWidth: 0.5,
+          ...(row.fill ? { color: row.fill } : {})
+        })
+        cellLines.forEach((items, lineIndex) => {
+          const lineWidth = items.reduce((sum, item) => sum + item.width, 0)
+          const align = columns[i].align ?? 'left'
+          const offset = align === 'center' ? (widths[i] - padding * 2 - lineWidth) / 2
+            : align === 'right' ? widths[i] - padding * 2 - lineWidth : 0
+          this.page.drawText(items.map(item => item.text).join(''), {
+            x: x + padding + offset,
+            y: top - padding - size * 1.35 * (lineIndex + 1) + size * 0.3,
+            size,
+            font: this.font,
+            color: PDF_COLORS.text
+          })
+        })
+        x += widths[i]
+      })
+      this.y -= row.height
+    }
+
+    const header = drawRow(columns.map(column => column.header), PDF_COLORS.headerFill)
+    this.ensureSpace(header.height * 2)
+    renderRow(header)
+
+    for (const cells of rows) {
+      const row = drawRow(cells.map(cell => cell === null || cell === undefined ? '' : String(cell)))
+      if (this.y - row.height < MARGIN + FOOTER_HEIGHT) {
+        this.newPage()
+        renderRow(header)
+      }
+      renderRow(row)
+    }
+    this.spacer(8)
+  }
+
+  // ページ番号を入れて書き出す
+  async save(): Promise<Uint8Array> {
+    const pages = this.doc.getPages()
+    const footerTitle = this.sanitize(this.title)
+    pages.forEach((page, index) => {
+      const label = `${index + 1} / ${pages.length}`
+      page.drawText(footerTitle, { x: MARGIN, y: MARGIN / 2, size: 8, font: this.font, color: PDF_COLORS.muted })
+      page.drawText(label, {
+        x: page.getWidth() - MARGIN - this.font.widthOfTextAtSize(label, 8),
+        y: MARGIN / 2,
+        size: 8,
+        font: this.font,
+        color: PDF_COLORS.muted
+      })
+    })
+    return this.doc.save()
+  }
+
+  // フォントにない文字（絵文字など）は取り除く
+  private sanitize(text: string): string {
+    return Array.from(text.replace(/\t/g, '  '))
+      .filter(char => this.charset.has(char.codePointAt(0)!))
+      .join('')
+  }
+
+  private textWidth(text: string, size: number): number {
+    return this.font.widthOfTextAtSize(this.sanitize(text), size)
+  }
+
+  // 1文字（ふりがなつきの語は1語）ずつ詰め、幅を超えたら折り返す
+  private wrap(text: string, size: number, width: number): LineItem[][] {
+    const units: LineItem[] = parseFurigana(text).flatMap(segment => {
+      if (segment.ruby) {
+        const base = this.sanitize(segment.text)
+        const ruby = this.sanitize(segment.ruby)
+        return [{
+          text: base,
+          ruby,
+          width: Math.max(this.font.widthOfTextAtSize(base, size), this.font.widthOfTextAtSize(ruby, size * RUBY_SCALE))
+        }]
+      }
+      // 英数字の連なりは途中で折り返さない
+      return (this.sanitize(segment.text).match(/[A-Za-z0-9.,:;%/+\-=()'"]+ ?|[\s\S]/gu) || [])
+        .map(part => ({ text: part, width: this.font.widthOfTextAtSize(part, size) }))
+    })
+
+    const lines: LineItem[][] = []
+    let current: LineItem[] = []
+    let currentWidth = 0
+    for (const unit of units) {
+      const hangs = current.length > 0 && !unit.ruby && NO_LINE_START.includes(unit.text[0])
+      if (currentWidth + unit.width > width && current.length > 0 && !hangs) {
+        lines.push(current)
+        current = []
+        currentWidth = 0
+        if (unit.text === ' ') {
+          continue
+        }
+      }
+      current.push(unit)
+      currentWidth += unit.width
+    }
+    lines.push(current)
+    return lines
+  }
+
+  // ふりがなは親文字の中央に合わせて上に置く（ふりがなの方が長いときは親文字を中央に寄せる）
+  private drawLine(items: LineItem[], x: number, baseline: number, size: number, color: RGB) {
+    let cursor = x
+    for (const item of items) {
+      if (item.ruby) {
+        const baseWidth = this.font.widthOfTextAtSize(item.text, size)
+        const rubySize = size * RUBY_SCALE
+        const rubyWidth = this.font.widthOfTextAtSize(item.ruby, rubySize)
+        this.page.drawText(item.text, { x: cursor + (item.width - baseWidth) / 2, y: baseline, size, font: this.font, color })
+        this.page.drawText(item.ruby, {
+          x: cursor + (item.width - rubyWidth) / 2,
+          y: baseline + size * 1.02,
+          size: rubySize,
+          font: this.font,
+          color
+        })
+      } else if (item.text.trim()) {
+        this.page.drawText(item.text, { x: cursor, y: baseline, size, font: this.font, color })
+      }
+      cursor += item.width
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// 進捗ボード・ヘルプ待ちの列の並び
+// 児童×カードの行に停滞時間・ヘルプ待ち時間・指導介入優先度を付け、ヘルプ待ちの列を優先度と待ち時間の順に並べる
+// public/static/app.js の applyProgressBoardTimings と同じ計算（しきい値を変えるときは両方そろえる）
+
+// 理解度（student_progress.understanding_level）は1〜5
+// 1 はほとんどわかっていない、2 はあまりわかっていない
+export const VERY_LOW_UNDERSTANDING_LEVEL = 1
+export const LOW_UNDERSTANDING_LEVEL = 2
+
+// 停滞とみなす時間（分）。理解度がとても低いときは早めに声をかける
+export const VERY_LOW_UNDERSTANDING_STAGNANT_MINUTES = 10
+export const STAGNANT_MINUTES = 30
+
+// D1 の CURRENT_TIMESTAMP（"YYYY-MM-DD HH:MM:SS"、UTC）からの経過分
+export function minutesSince(timestamp: string | null | undefined, now: number): number {
+  return timestamp ? Math.max(0, Math.floor((now - Date.parse(timestamp.replace(' ', 'T') + 'Z')) / 60000)) : 0
+}
+
+// 学習中・ヘルプ要請中のカードだけを対象にする（完了・未着手は 0）
+//   ヘルプ待ち 100+待ち分 ＞ 理解度1で10分超の停滞 80+停滞分 ＞ 30分超の停滞 60+停滞分 ＞ 理解度2以下 40+(3-理解度)×5 ＞ そのほか 20
+export function applyProgressBoardTimings<T extends Record<string, any>>(row: T, now: number) {
+  const active = row.status === 'in_progress' || row.status === 'help_needed'
+  const waitingHelp = active && !!row.help_requested_at && !row.help_resolved_at
+  const stagnant = active ? minutesSince(row.last_activity_at, now) : 0
+  const waiting = waitingHelp ? minutesSince(row.help_requested_at, now) : 0
+  const level = row.understanding_level
+
+  const timed = row as T & { stagnant_minutes: number; help_waiting_minutes: number; intervention_priority: number }
+  timed.stagnant_minutes = stagnant
+  timed.help_waiting_minutes = waiting
+  timed.intervention_priority = !active ? 0
+    : waitingHelp ? 100 + waiting
+    : level != null && level <= VERY_LOW_UNDERSTANDING_LEVEL && stagnant > VERY_LOW_UNDERSTANDING_STAGNANT_MINUTES ? 80 + stagnant
+    : stagnant > STAGNANT_MINUTES ? 60 + stagnant
+    : level != null && level <= LOW_UNDERSTANDING_LEVEL ? 40 + (LOW_UNDERSTANDING_LEVEL + 1 - level) * 5
+    : 20
+  return timed
+}
+
+// ヘルプ待ちの列を指導介入優先度の高い順、同じなら長く待っている順に並べる
+// requested_at は要請（help_requests）の受付日時、progress_status などはそのカードの進捗
+export function orderHelpQueue<T extends Record<string, any>>(requests: T[], now: number) {
+  const queue = requests.map(request => {
+    const timings = applyProgressBoardTimings({
+      status: request.progress_status,
+      understanding_level: request.understanding_level,
+      help_requested_at: request.help_requested_at,
+      help_resolved_at: request.help_resolved_at,
+      last_activity_at: request.last_activity_at
+    }, now)
+    return {
+      ...request,
+      wait_minutes: minutesSince(request.requested_at, now),
+      intervention_priority: timings.intervention_priority
+    }
+  })
+  return queue.sort((a, b) => b.intervention_priority - a.intervention_priority || b.wait_minutes - a.wait_minutes)
+}
@@ -0,0 +1,50 @@
+// 学習進捗の状態遷移
+// student_progress は児童×学習カードごとに1行の現在状態を持ち、遷移のたびに student_progress_events に記録する
+//   not_started → in_progress → help_needed → completed
+//   help_needed から in_progress に戻る（ヘルプ解決）。completed は終端で、理解度などの更新のみ受け付ける
+
+export type ProgressStatus = 'not_started' | 'in_progress' | 'help_needed' | 'completed'
+
+export type ProgressEventType = 'started' | 'help_requested' | 'help_resolved' | 'completed' | 'updated'
+
+export const PROGRESS_STATUSES: ProgressStatus[] = ['not_started', 'in_progress', 'help_needed', 'completed']
+
+export const HELP_TYPES = ['ai', 'teacher', 'friend', 'hint']
+
+// ヘルプ待ちの列（help_requests）。ヘルプ要請中になると waiting で入り、ヘルプ要請中でなくなると resolved になる
+//   waiting → claimed（先生が対応中）/ peer_assigned（できた友だちに任せた）→ resolved
+export type HelpRequestStatus = 'waiting' | 'claimed' | 'peer_assigned' | 'resolved'
+
+export type HelpResolution = 'teacher' | 'peer' | 'self'
+
+export const OPEN_HELP_REQUEST_STATUSES: HelpRequestStatus[] = ['waiting', 'claimed', 'peer_assigned']
+
+const PROGRESS_TRANSITIONS: Record<ProgressStatus, ProgressStatus[]> = {
+  not_started: ['not_started', 'in_progress', 'help_needed', 'completed'],
+  in_progress: ['in_progress', 'help_needed', 'completed'],
+  help_needed: ['help_needed', 'in_progress', 'completed'],
+  completed: ['completed']
+}
+
+export function isProgressStatus(value: unknown): value is ProgressStatus {
+  return PROGRESS_STATUSES.includes(value as ProgressStatus)
+}
+
+// from が null のときは行がまだない（not_started と同じ扱い）
+export function canTransition(from: ProgressStatus | null, to: ProgressStatus): boolean {
+  return PROGRESS_TRANSITIONS[from ?? 'not_started'].includes(to)
+}
+
+export function progressEventType(from: ProgressStatus | null, to: ProgressStatus): ProgressEventType {
+  if (from === to) return 'updated'
+  switch (to) {
+    case 'help_needed':
+      return 'help_requested'
+    case 'completed':
+      return 'completed'
+    case 'in_progress':
+      return from === 'help_needed' ? 'help_resolved' : 'started'
+    default:
+      return 'updated'
+  }
+}
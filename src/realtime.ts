@@ -0,0 +1,36 @@
+// リアルタイム配信ワーカー（wrangler.realtime.jsonc）
+// Pages アプリ（jiyushindo-gakushu）は PROGRESS_WEBSOCKET バインディングでこのワーカーの Durable Object を使う
+// 外部から直接届くのは /ws の WebSocket 接続だけ（配信依頼の /broadcast はバインディング経由のみ）
+// Pages は cron トリガーを持てないため、期限切れセッションの定期削除もこのワーカーで行う
+
+import { ProgressWebSocket, type Env } from './websocket'
+import { cleanupExpiredSessions } from './session'
+
+export { ProgressWebSocket }
+
+export default {
+  async fetch(request: Request, env: Env): Promise<Response> {
+    const url = new URL(request.url)
+    const classCode = url.searchParams.get('classCode')
+
+    if (url.pathname !== '/ws') {
+      return new Response('Not Found', { status: 404 })
+    }
+    if (!classCode) {
+      return new Response('Missing classCode parameter', { status: 400 })
+    }
+
+    // クラスコードごとに1つのインスタンス（認証は Durable Object 側で行う）
+    const stub = env.PROGRESS_WEBSOCKET.get(env.PROGRESS_WEBSOCKET.idFromName(classCode))
+    return stub.fetch(request)
+  },
+
+  // cron（wrangler.realtime.jsonc の triggers.crons）
+  async scheduled(_controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    ctx.waitUntil(
+      cleanupExpiredSessions(env.DB)
+        .then(deleted => console.log(`期限切れセッションを${deleted}件削除しました`))
+        .catch(error => console.error('期限切れセッション削除エラー:', error))
+    )
+  }
+}
@@ -0,0 +1,366 @@
+// 週次・月次レポートの集計
+// 期間は日本時間の日付（YYYY-MM-DD、両端を含む）で扱う。DB の日時は UTC なので、日付にする前に9時間進める
+//   週次 : 月曜〜日曜（date を含む週。startDate / endDate で任意の期間も指定できる）
+//   月次 : その月の1日〜末日
+// 前の期間（先週・先月・同じ日数だけ前）と比べた増減、単元・コース別の内訳、ヘルプの種類の内訳を返す
+// 保護者向けの週ごとのまとめも、同じ集計から児童ひとり分を取り出して作る
+
+import { HELP_TYPES } from './progress-state'
+
+export type ReportKind = 'weekly' | 'monthly'
+
+export interface ReportPeriod {
+  kind: ReportKind
+  start: string
+  end: string
+  year?: number   // 月次のみ
+  month?: number
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000
+const MAX_CUSTOM_PERIOD_DAYS = 366
+
+// SQLite の日時（UTC）を日本時間の日付にする
+const localDate = (column: string) => `DATE(${column}, '+9 hours')`
+
+// YYYY-MM-DD を UTC 0時の Date にする（2026-02-30 のような存在しない日付は null）
+export function parseReportDate(value: unknown): Date | null {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null
+  }
+  const date = new Date(`${value}T00:00:00Z`)
+  return !isNaN(date.getTime()) && formatReportDate(date) === value ? date : null
+}
+
+export function formatReportDate(date: Date): string {
+  return date.toISOString().slice(0, 10)
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getTime() + days * DAY_MS)
+}
+
+// 日本時間での今日
+export function todayInJapan(now: Date = new Date()): Date {
+  return parseReportDate(formatReportDate(new Date(now.getTime() + JST_OFFSET_MS)))!
+}
+
+export function daysInMonth(year: number, month: number): number {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+// date を含む週（月曜はじまり）
+export function weekPeriod(date: Date): ReportPeriod {
+  const monday = addDays(date, -((date.getUTCDay() + 6) % 7))
+  return { kind: 'weekly', start: formatReportDate(monday), end: formatReportDate(addDays(monday, 6)) }
+}
+
+export function monthPeriod(year: number, month: number): ReportPeriod {
+  const mm = String(month).padStart(2, '0')
+  return {
+    kind: 'monthly',
+    start: `${year}-${mm}-01`,
+    end: `${year}-${mm}-${String(daysInMonth(year, month)).padStart(2, '0')}`,
+    year,
+    month
+  }
+}
+
+// 比べる相手の期間。月次は前の月、週次（任意の期間を含む）は同じ日数だけ前
+export function previousPeriod(period: ReportPeriod): ReportPeriod {
+  if (period.kind === 'monthly' && period.year && period.month) {
+    return period.month === 1 ? monthPeriod(period.year - 1, 12) : monthPeriod(period.year, period.month - 1)
+  }
+  const start = parseReportDate(period.start)!
+  const days = Math.round((parseReportDate(period.end)!.getTime() - start.getTime()) / DAY_MS) + 1
+  return {
+    kind: period.kind,
+    start: formatReportDate(addDays(start, -days)),
+    end: formatReportDate(addDays(start, -1))
+  }
+}
+
+// クエリから期間を決める（指定がなければ今週・今月）
+export function resolveReportPeriod(
+  kind: ReportKind,
+  query: Record<string, string | undefined>,
+  now: Date = new Date()
+): { period: ReportPeriod; error?: undefined } | { period?: undefined; error: string } {
+  if (kind === 'monthly') {
+    if (!query.year && !query.month) {
+      const today = todayInJapan(now)
+      return { period: monthPeriod(today.getUTCFullYear(), today.getUTCMonth() + 1) }
+    }
+    const year = Number(query.year)
+    const month = Number(query.month)
+    if (!Number.isInteger(year) || year < 2000 || year > 2100 || !Number.isInteger(month) || month < 1 || month > 12) {
+      return { error: 'year は西暦、month は 1〜12 で指定してください' }
+    }
+    return { period: monthPeriod(year, month) }
+  }
+
+  if (query.startDate || query.endDate) {
+    const start = parseReportDate(query.startDate)
+    const end = parseReportDate(query.endDate)
+    if (!start || !end || start > end) {
+      return { error: 'startDate と endDate は YYYY-MM-DD で、startDate を endDate 以前にしてください' }
+    }
+    if ((end.getTime() - start.getTime()) / DAY_MS >= MAX_CUSTOM_PERIOD_DAYS) {
+      return { error: `期間は${MAX_CUSTOM_PERIOD_DAYS}日以内で指定してください` }
+    }
+    return { period: { kind, start: query.startDate!, end: query.endDate! } }
+  }
+
+  if (query.date) {
+    const date = parseReportDate(query.date)
+    if (!date) {
+      return { error: 'date は YYYY-MM-DD で指定してください' }
+    }
+    return { period: weekPeriod(date) }
+  }
+
+  return { period: weekPeriod(todayInJapan(now)) }
+}
+
+// 今回と前回の差（どちらかが null なら null）
+function delta(current: number | null, previous: number | null): number | null {
+  if (current == null || previous == null) {
+    return null
+  }
+  return Math.round((current - previous) * 10) / 10
+}
+
+function round1(value: unknown): number | null {
+  return value == null ? null : Math.round(Number(value) * 10) / 10
+}
+
+interface PeriodTotals {
+  completed_cards: number
+  avg_understanding: number | null
+  active_students: number
+  help_requests: number
+}
+
+// クラスのレポートを集計する
+// ?1〜?2 が今回、?3〜?4 が前回の期間。前回の最終日は今回の前日なので、?3〜?2 をまとめて読み、日付で振り分ける
+export async function buildClassReport(db: D1Database, classCode: string, period: ReportPeriod) {
+  const previous = previousPeriod(period)
+  const params = [period.start, period.end, previous.start, previous.end, classCode]
+
+  // 期間内に完了したカード（児童×カードで1行なので、完了日時は最初に完了した日）
+  const completions = `
+    SELECT sp.student_id, sp.curriculum_id, lc.course_id, sp.understanding_level,
+           ${localDate('sp.completed_at')} as day
+    FROM student_progress sp
+    JOIN users u ON sp.student_id = u.id
+    JOIN learning_cards lc ON sp.learning_card_id = lc.id
+    WHERE u.class_code = ?5 AND u.role = 'student'
+      AND sp.status = 'completed' AND ${localDate('sp.completed_at')} BETWEEN ?3 AND ?2
+  `
+
+  // 期間内の進捗の操作（学習した日・使ったヘルプの種類）
+  const events = `
+    SELECT e.student_id, e.learning_card_id, e.help_type, ${localDate('e.created_at')} as day
+    FROM student_progress_events e
+    JOIN users u ON e.student_id = u.id
+    WHERE u.class_code = ?5 AND u.role = 'student' AND ${localDate('e.created_at')} BETWEEN ?3 AND ?2
+  `
+
+  const bucket = `CASE WHEN day >= ?1 THEN 'current' ELSE 'previous' END`
+
+  const [students, completionTotals, activityTotals, helpRequestTotals, helpMix, units, courses, helpQueue] = await db.batch([
+    // 児童別
+    db.prepare(`
+      WITH done AS (${completions}), activity AS (${events})
+      SELECT
+        u.id as student_id,
+        u.name as student_name,
+        u.student_number,
+        (SELECT COUNT(*) FROM done WHERE done.student_id = u.id AND day >= ?1) as completed_cards,
+        (SELECT COUNT(*) FROM done WHERE done.student_id = u.id AND day <= ?4) as previous_completed_cards,
+        (SELECT ROUND(AVG(understanding_level), 1) FROM done WHERE done.student_id = u.id AND day >= ?1) as avg_understanding,
+        (SELECT COUNT(DISTINCT day) FROM activity a WHERE a.student_id = u.id AND day >= ?1) as active_days,
+        ${HELP_TYPES.map(type => `
+        (SELECT COUNT(DISTINCT learning_card_id) FROM activity a
+         WHERE a.student_id = u.id AND day >= ?1 AND help_type = '${type}') as ${type}_help_count`).join(',')},
+        (
+          SELECT COUNT(*) FROM help_requests h
+          WHERE h.student_id = u.id AND ${localDate('h.requested_at')} BETWEEN ?1 AND ?2
+        ) as help_request_count,
+        (
+          SELECT COUNT(*) FROM help_requests h
+          WHERE h.helper_student_id = u.id AND h.resolution = 'peer' AND ${localDate('h.resolved_at')} BETWEEN ?1 AND ?2
+        ) as peer_helped_count
+      FROM users u
+      WHERE u.class_code = ?5 AND u.role = 'student'
+      ORDER BY u.student_number
+    `).bind(...params),
+
+    // クラス全体（今回・前回）
+    db.prepare(`
+      WITH done AS (${completions})
+      SELECT ${bucket} as bucket, COUNT(*) as completed_cards, ROUND(AVG(understanding_level), 1) as avg_understanding
+      FROM done GROUP BY bucket
+    `).bind(...params),
+    db.prepare(`
+      WITH activity AS (${events})
+      SELECT ${bucket} as bucket, COUNT(DISTINCT student_id) as active_students
+      FROM activity GROUP BY bucket
+    `).bind(...params),
+    db.prepare(`
+      SELECT ${bucket} as bucket, COUNT(*) as help_requests
+      FROM (
+        SELECT ${localDate('requested_at')} as day FROM help_requests
+        WHERE class_code = ?5 AND ${localDate('requested_at')} BETWEEN ?3 AND ?2
+      )
+      GROUP BY bucket
+    `).bind(...params),
+
+    // ヘルプの種類の内訳（児童×カードごとに種類を1回と数える）
+    db.prepare(`
+      WITH activity AS (${events})
+      SELECT bucket, help_type, COUNT(*) as count
+      FROM (
+        SELECT DISTINCT ${bucket} as bucket, student_id, learning_card_id, help_type
+        FROM activity WHERE help_type IS NOT NULL
+      )
+      GROUP BY bucket, help_type
+    `).bind(...params),
+
+    // 単元別（期間の終わりまでにクラスのだれかが取り組んだ単元。完了がなくても出す）
+    db.prepare(`
+      WITH done AS (${completions})
+      SELECT
+        cur.id as curriculum_id, cur.grade, cur.subject, cur.unit_name,
+        COUNT(DISTINCT CASE WHEN done.day >= ?1 THEN done.student_id END) as students_count,
+        COUNT(CASE WHEN done.day >= ?1 THEN 1 END) as completed_cards_total,
+        COUNT(CASE WHEN done.day <= ?4 THEN 1 END) as previous_completed_cards_total
+      FROM curriculum cur
+      LEFT JOIN done ON done.curriculum_id = cur.id
+      WHERE cur.id IN (
+        SELECT sp.curriculum_id FROM student_progress sp
+        JOIN users u ON sp.student_id = u.id
+        WHERE u.class_code = ?5 AND u.role = 'student' AND ${localDate('sp.created_at')} <= ?2
+      )
+      GROUP BY cur.id
+      ORDER BY cur.grade, cur.subject, cur.unit_order, cur.id
+    `).bind(...params),
+
+    // コース別
+    db.prepare(`
+      WITH done AS (${completions})
+      SELECT
+        co.curriculum_id, co.id as course_id, co.course_level, co.course_display_name,
+        (SELECT COUNT(*) FROM learning_cards lc WHERE lc.course_id = co.id) as total_cards,
+        COUNT(DISTINCT CASE WHEN done.day >= ?1 THEN done.student_id END) as students_count,
+        COUNT(CASE WHEN done.day >= ?1 THEN 1 END) as completed_cards_total,
+        COUNT(CASE WHEN done.day <= ?4 THEN 1 END) as previous_completed_cards_total
+      FROM courses co
+      LEFT JOIN done ON done.course_id = co.id
+      WHERE co.curriculum_id IN (
+        SELECT sp.curriculum_id FROM student_progress sp
+        JOIN users u ON sp.student_id = u.id
+        WHERE u.class_code = ?5 AND u.role = 'student' AND ${localDate('sp.created_at')} <= ?2
+      )
+      GROUP BY co.id
+      ORDER BY co.curriculum_id, co.id
+    `).bind(...params),
+
+    // ヘルプ待ちの列（最初の対応＝先生の対応開始・友だちへの割り当て・解決のうち最初に記録されたもの）
+    db.prepare(`
+      SELECT
+        COUNT(*) as total_requests,
+        COALESCE(SUM(status = 'resolved'), 0) as resolved_requests,
+        COALESCE(SUM(resolution = 'teacher'), 0) as resolved_by_teacher,
+        COALESCE(SUM(resolution = 'peer'), 0) as resolved_by_peer,
+        COALESCE(SUM(resolution = 'self'), 0) as resolved_by_self,
+        ROUND(AVG((julianday(COALESCE(claimed_at, assigned_at, resolved_at)) - julianday(requested_at)) * 1440), 1) as avg_wait_minutes,
+        ROUND(MAX((julianday(COALESCE(claimed_at, assigned_at, resolved_at)) - julianday(requested_at)) * 1440), 1) as max_wait_minutes,
+        ROUND(AVG((julianday(resolved_at) - julianday(requested_at)) * 1440), 1) as avg_resolution_minutes
+      FROM help_requests
+      WHERE class_code = ?5 AND ${localDate('requested_at')} BETWEEN ?1 AND ?2
+    `).bind(...params)
+  ])
+
+  const totals = (name: 'current' | 'previous'): PeriodTotals => {
+    const find = (result: D1Result) => (result.results as any[]).find(row => row.bucket === name) || {}
+    const completion = find(completionTotals)
+    return {
+      completed_cards: completion.completed_cards || 0,
+      avg_understanding: round1(completion.avg_understanding),
+      active_students: find(activityTotals).active_students || 0,
+      help_requests: find(helpRequestTotals).help_requests || 0
+    }
+  }
+  const current = totals('current')
+  const before = totals('previous')
+
+  const mix = (name: 'current' | 'previous') => Object.fromEntries(HELP_TYPES.map(type => [
+    type,
+    (helpMix.results as any[]).find(row => row.bucket === name && row.help_type === type)?.count || 0
+  ]))
+
+  const courseRows = courses.results as any[]
+
+  return {
+    period,
+    previous_period: previous,
+    students: (students.results as any[]).map(student => ({
+      ...student,
+      completed_cards_delta: student.completed_cards - student.previous_completed_cards
+    })),
+    summary: {
+      current,
+      previous: before,
+      delta: {
+        completed_cards: delta(current.completed_cards, before.completed_cards),
+        avg_understanding: delta(current.avg_understanding, before.avg_understanding),
+        active_students: delta(current.active_students, before.active_students),
+        help_requests: delta(current.help_requests, before.help_requests)
+      }
+    },
+    help_mix: { current: mix('current'), previous: mix('previous') },
+    units: (units.results as any[]).map(unit => ({
+      ...unit,
+      courses: courseRows.filter(course => course.curriculum_id === unit.curriculum_id)
+    })),
+    help_queue: helpQueue.results[0]
+  }
+}
+
+// 保護者向けのまとめ（クラスのレポートから児童ひとり分の行を取り出し、期間内に終えたカードともらったバッジを添える）
+// ほかの児童の行やクラス全体の集計は返さない
+export async function buildStudentDigest(db: D1Database, classCode: string, studentId: number, period: ReportPeriod) {
+  const report = await buildClassReport(db, classCode, period)
+  const student = report.students.find(row => row.student_id === studentId) || null
+
+  const [cards, badges] = await db.batch([
+    db.prepare(`
+      SELECT lc.id as learning_card_id, lc.card_number, lc.card_title, co.course_display_name,
+             cur.id as curriculum_id, cur.grade, cur.subject, cur.unit_name,
+             sp.understanding_level, ${localDate('sp.completed_at')} as completed_on
+      FROM student_progress sp
+      JOIN learning_cards lc ON sp.learning_card_id = lc.id
+      JOIN courses co ON lc.course_id = co.id
+      JOIN curriculum cur ON co.curriculum_id = cur.id
+      WHERE sp.student_id = ?1 AND sp.status = 'completed' AND ${localDate('sp.completed_at')} BETWEEN ?2 AND ?3
+      ORDER BY sp.completed_at
+    `).bind(studentId, period.start, period.end),
+    db.prepare(`
+      SELECT sb.badge_name, sb.badge_description, cur.unit_name, ${localDate('sb.earned_at')} as earned_on
+      FROM student_badges sb
+      JOIN curriculum cur ON sb.curriculum_id = cur.id
+      WHERE sb.student_id = ?1 AND ${localDate('sb.earned_at')} BETWEEN ?2 AND ?3
+      ORDER BY sb.earned_at
+    `).bind(studentId, period.start, period.end)
+  ])
+
+  return {
+    period: report.period,
+    previous_period: report.previous_period,
+    student,
+    completed_cards: cards.results,
+    badges: badges.results
+  }
+}
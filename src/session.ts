@@ -0,0 +1,64 @@
+// セッション認証（Pages アプリとリアルタイム配信ワーカーで共用）
+
+// セッションから復元したログインユーザー
+export type SessionUser = {
+  id: number
+  name: string
+  email: string
+  role: string  // student, teacher, coordinator, admin, guardian
+  class_code: string
+  student_number: number | null
+}
+
+// ユーティリティ: セッショントークンからユーザーを取得
+export async function findSessionUser(db: D1Database, token: string): Promise<SessionUser | null> {
+  const session = await db.prepare(`
+    SELECT s.*, u.id as user_id, u.name, u.email, u.role, u.class_code, u.student_number
+    FROM user_sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.session_token = ? AND datetime(s.expires_at) > datetime('now') AND u.is_active = 1
+  `).bind(token).first()
+  
+  if (!session) {
+    return null
+  }
+  
+  return {
+    id: session.user_id as number,
+    name: session.name as string,
+    email: session.email as string,
+    role: session.role as string,
+    class_code: session.class_code as string,
+    student_number: session.student_number as number | null
+  }
+}
+
+// 期限切れセッションの削除（リフレッシュトークンも期限切れのもの）
+// 使用済みリフレッシュトークンの記録も、系列の有効期限を過ぎたら不要になるため削除する
+export async function cleanupExpiredSessions(db: D1Database): Promise<number> {
+  const [sessions] = await db.batch([
+    db.prepare(`
+      DELETE FROM user_sessions
+      WHERE datetime(COALESCE(refresh_expires_at, expires_at)) <= datetime('now')
+    `),
+    db.prepare(`
+      DELETE FROM consumed_refresh_tokens
+      WHERE datetime(expires_at) <= datetime('now')
+    `)
+  ])
+  return sessions.meta.changes || 0
+}
+
+// ユーティリティ: 指定したクラスのデータにアクセスできるか（児童はクラス単位のデータを閲覧不可）
+export function canAccessClass(user: SessionUser, classCode: string): boolean {
+  if (user.role === 'admin' || user.role === 'coordinator') {
+    return true
+  }
+  
+  return user.role === 'teacher' && user.class_code === classCode
+}
+
+// ユーティリティ: クラスのリアルタイム配信を受け取れるか（児童は自分のクラスのみ）
+export function canJoinClassChannel(user: SessionUser, classCode: string): boolean {
+  return user.role === 'student' ? user.class_code === classCode : canAccessClass(user, classCode)
+}
@@ -1,50 +1,138 @@
 // WebSocket用Durable Object
 // リアルタイム進捗更新とヘルプ要請通知を実現
+// Pages では Durable Object を定義できないため、src/realtime.ts のワーカー（wrangler.realtime.jsonc）で動かす
+// Hibernatable WebSocket API を使うので、接続を保ったまま Durable Object がメモリから退避されても配信は途切れない
+// 最近のメッセージはストレージのリングバッファに残し、再接続したクライアントの resume に応えて再送する
+// resume の位置はクラスごとの通し番号 seq（この Durable Object が配信した順に振る）で指定する
+
+import { findSessionUser, canJoinClassChannel } from './session'
 
 export interface Env {
   PROGRESS_WEBSOCKET: DurableObjectNamespace
   DB: D1Database
 }
 
-interface WebSocketClient {
-  ws: WebSocket
+// 接続ごとに保存する情報（退避から復帰しても serializeAttachment で取り出せる）
+export interface WebSocketClient {
   classCode: string
-  userId?: number
-  role?: string
+  userId: number
+  role: string
+}
+
+// 配信するメッセージ（ポーリング用の GET /api/realtime/poll と同じ形）
+// id は realtime_events の id（全クラス共通の連番）。配信依頼は非同期に届くため、クラス内でも id の順に届くとは限らない
+// seq はクラスごとの通し番号で、WebSocket で配信した順に増える（ポーリングのメッセージには付かない）
+export interface RealtimeMessage {
+  id?: number
+  seq?: number
+  type: string
+  [key: string]: unknown
+}
+
+export interface BufferedMessage {
+  message: RealtimeMessage
+  targetRole: string | null
+  targetUserId?: number | null
+}
+
+const RING_BUFFER_KEY = 'recent-messages'
+const SEQUENCE_KEY = 'last-seq'
+export const RING_BUFFER_SIZE = 200
+
+// targetRole = 'teacher' は児童以外（教師・コーディネーター・管理者）に、targetUserId はそのユーザーだけに届ける
+export function canReceive(client: WebSocketClient, targetRole?: string | null, targetUserId?: number | null): boolean {
+  if (targetUserId != null && client.userId !== targetUserId) {
+    return false
+  }
+  return !(targetRole === 'teacher' && client.role === 'student')
+}
+
+// lastSeq より後で client に届けるメッセージを seq の順に選ぶ
+// 欠けがある（バッファより古い seq から再開した）場合は complete: false
+export function selectReplay(buffer: BufferedMessage[], lastSeq: number, currentSeq: number, client: WebSocketClient) {
+  const sorted = [...buffer].sort((a, b) => (a.message.seq ?? 0) - (b.message.seq ?? 0))
+  const oldest = sorted[0]?.message.seq
+  const missed = sorted
+    .filter(entry => (entry.message.seq ?? 0) > lastSeq && canReceive(client, entry.targetRole, entry.targetUserId))
+    .map(entry => entry.message)
+
+  return {
+    missed,
+    // 一杯になったバッファから捨てたのは oldest より前の seq なので、lastSeq がそこまで届いていれば欠けはない
+    // lastSeq が現在の seq より大きいときはストレージが初期化されている（何が欠けたかわからない）
+    complete: lastSeq <= currentSeq &&
+      (sorted.length < RING_BUFFER_SIZE || oldest === undefined || oldest <= lastSeq + 1)
+  }
 }
 
 export class ProgressWebSocket {
   private state: DurableObjectState
-  private clients: Set<WebSocketClient>
+  private env: Env
 
   constructor(state: DurableObjectState, env: Env) {
     this.state = state
-    this.clients = new Set()
+    this.env = env
+
+    // ping には Durable Object を起こさずに pong を返す
+    this.state.setWebSocketAutoResponse(
+      new WebSocketRequestResponsePair(JSON.stringify({ type: 'ping' }), JSON.stringify({ type: 'pong' }))
+    )
   }
 
   async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url)
+
+    // Pages アプリからの配信依頼（バインディング経由でのみ届く）
+    if (url.pathname === '/broadcast' && request.method === 'POST') {
+      const { classCode, message, targetRole, targetUserId } = await request.json() as {
+        classCode: string
+        message: RealtimeMessage
+        targetRole?: string | null
+        targetUserId?: number | null
+      }
+      const sequenced = await this.remember(message, targetRole || null, targetUserId ?? null)
+      this.broadcast(sequenced, classCode, targetRole || undefined, targetUserId ?? undefined)
+      return new Response(null, { status: 204 })
+    }
+
     // WebSocketアップグレード
     const upgradeHeader = request.headers.get('Upgrade')
     if (!upgradeHeader || upgradeHeader !== 'websocket') {
       return new Response('Expected Upgrade: websocket', { status: 426 })
     }
 
-    // URLからクラスコードとユーザー情報を取得
-    const url = new URL(request.url)
+    // 接続者はセッショントークンで確認する（クエリの userId / role は信用しない）
     const classCode = url.searchParams.get('classCode')
-    const userId = url.searchParams.get('userId')
-    const role = url.searchParams.get('role')
+    const token = url.searchParams.get('token')
 
     if (!classCode) {
       return new Response('Missing classCode parameter', { status: 400 })
     }
 
+    const user = token ? await findSessionUser(this.env.DB, token) : null
+    if (!user) {
+      return new Response('Unauthorized', { status: 401 })
+    }
+    if (!canJoinClassChannel(user, classCode)) {
+      return new Response('Forbidden', { status: 403 })
+    }
+
     // WebSocketペアを作成
     const webSocketPair = new WebSocketPair()
     const [client, server] = Object.values(webSocketPair)
 
-    // サーバー側WebSocketを受け入れ
-    this.handleSession(server, classCode, userId ? parseInt(userId) : undefined, role || undefined)
+    // サーバー側WebSocketを受け入れ（クラスコードのタグで配信先を引く）
+    this.state.acceptWebSocket(server, [classCode])
+    server.serializeAttachment({ classCode, userId: user.id, role: user.role } satisfies WebSocketClient)
+
+    // 接続通知（latestSeq は次の resume の起点。初めて接続したクライアントはここから数える）
+    server.send(JSON.stringify({
+      type: 'connected',
+      message: 'WebSocket接続が確立されました',
+      classCode,
+      latestSeq: await this.state.storage.get<number>(SEQUENCE_KEY) || 0,
+      clientCount: this.state.getWebSockets(classCode).length
+    }))
 
     // クライアント側WebSocketを返す
     return new Response(null, {
@@ -53,132 +141,114 @@ export class ProgressWebSocket {
     })
   }
 
-  async handleSession(ws: WebSocket, classCode: string, userId?: number, role?: string) {
-    ws.accept()
-
-    const client: WebSocketClient = {
-      ws,
-      classCode,
-      userId,
-      role
+  // メッセージハンドラー（退避中に届いた場合は Durable Object を起こして呼ばれる）
+  async webSocketMessage(ws: WebSocket, raw: string | ArrayBuffer) {
+    try {
+      const data = JSON.parse(typeof raw === 'string' ? raw : new TextDecoder().decode(raw))
+      await this.handleMessage(ws, data)
+    } catch (error) {
+      console.error('Message handling error:', error)
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: 'メッセージの処理に失敗しました'
+      }))
     }
+  }
 
-    this.clients.add(client)
-
-    // 接続通知
-    ws.send(JSON.stringify({
-      type: 'connected',
-      message: 'WebSocket接続が確立されました',
-      classCode,
-      clientCount: this.clients.size
-    }))
-
-    // メッセージハンドラー
-    ws.addEventListener('message', async (event: MessageEvent) => {
-      try {
-        const data = JSON.parse(event.data as string)
-        await this.handleMessage(client, data)
-      } catch (error) {
-        console.error('Message handling error:', error)
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'メッセージの処理に失敗しました'
-        }))
-      }
-    })
-
-    // クローズハンドラー
-    ws.addEventListener('close', () => {
-      this.clients.delete(client)
-      console.log(`WebSocket closed. Remaining clients: ${this.clients.size}`)
-    })
+  // クローズハンドラー
+  async webSocketClose(ws: WebSocket, code: number, reason: string) {
+    try {
+      ws.close(code, reason)
+    } catch {
+      // すでに閉じている
+    }
+  }
 
-    // エラーハンドラー
-    ws.addEventListener('error', (event) => {
-      console.error('WebSocket error:', event)
-      this.clients.delete(client)
-    })
+  // エラーハンドラー
+  async webSocketError(ws: WebSocket, error: unknown) {
+    console.error('WebSocket error:', error)
   }
 
-  async handleMessage(client: WebSocketClient, data: any) {
+  // クライアントから受け付けるのは keep-alive と resume だけ
+  // 進捗・ヘルプの通知はAPIが記録したときにサーバーから配信する（児童が他人の通知を送れないようにする）
+  async handleMessage(ws: WebSocket, data: any) {
     switch (data.type) {
       case 'ping':
-        // Ping/Pong for keep-alive
-        client.ws.send(JSON.stringify({ type: 'pong' }))
-        break
-
-      case 'progress_update':
-        // 進捗更新をブロードキャスト
-        this.broadcast({
-          type: 'progress_updated',
-          studentId: data.studentId,
-          curriculumId: data.curriculumId,
-          courseId: data.courseId,
-          cardId: data.cardId,
-          status: data.status,
-          understandingLevel: data.understandingLevel,
-          timestamp: new Date().toISOString()
-        }, client.classCode)
-        break
-
-      case 'help_request':
-        // ヘルプ要請を教師に通知
-        this.broadcast({
-          type: 'help_requested',
-          studentId: data.studentId,
-          studentName: data.studentName,
-          curriculumId: data.curriculumId,
-          cardId: data.cardId,
-          cardTitle: data.cardTitle,
-          helpType: data.helpType,
-          timestamp: new Date().toISOString()
-        }, client.classCode, 'teacher')
+        // Ping/Pong for keep-alive（通常は自動応答で返るのでここには来ない）
+        ws.send(JSON.stringify({ type: 'pong' }))
         break
 
-      case 'help_resolve':
-        // ヘルプ解決を通知
-        this.broadcast({
-          type: 'help_resolved',
-          studentId: data.studentId,
-          timestamp: new Date().toISOString()
-        }, client.classCode)
-        break
-
-      case 'activity':
-        // 活動記録を更新
-        this.broadcast({
-          type: 'activity_updated',
-          studentId: data.studentId,
-          cardId: data.cardId,
-          timestamp: new Date().toISOString()
-        }, client.classCode, 'teacher')
+      case 'resume':
+        // 再接続したクライアントに、最後に受け取った seq より後のメッセージを再送
+        await this.resume(ws, Number(data.lastSeq))
         break
 
       default:
-        client.ws.send(JSON.stringify({
+        ws.send(JSON.stringify({
           type: 'error',
           message: `Unknown message type: ${data.type}`
         }))
     }
   }
 
+  // リングバッファに残っている分だけ再送する
+  // 欠けがある（バッファより古い seq から再開した）場合は complete: false を返し、クライアントはポーリングで補う
+  async resume(ws: WebSocket, lastSeq: number) {
+    if (!Number.isFinite(lastSeq)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'resume には lastSeq を指定してください' }))
+      return
+    }
+
+    const client = ws.deserializeAttachment() as WebSocketClient
+    const currentSeq = await this.state.storage.get<number>(SEQUENCE_KEY) || 0
+    const buffer = await this.state.storage.get<BufferedMessage[]>(RING_BUFFER_KEY) || []
+    const { missed, complete } = selectReplay(buffer, lastSeq, currentSeq, client)
+
+    for (const message of missed) {
+      ws.send(JSON.stringify(message))
+    }
+
+    ws.send(JSON.stringify({
+      type: 'resumed',
+      replayed: missed.length,
+      latestSeq: currentSeq,
+      complete
+    }))
+  }
+
+  // 配信するメッセージにクラスの seq を振り、リングバッファに追加する（古いものから捨てる）
+  // ストレージの読み書きの間は入力ゲートで次の配信依頼を待たせるため、seq は届いた順に重複なく増える
+  async remember(message: RealtimeMessage, targetRole: string | null, targetUserId: number | null): Promise<RealtimeMessage> {
+    if (message.id === undefined) {
+      return message
+    }
+
+    const seq = (await this.state.storage.get<number>(SEQUENCE_KEY) || 0) + 1
+    const sequenced = { ...message, seq }
+    const buffer = await this.state.storage.get<BufferedMessage[]>(RING_BUFFER_KEY) || []
+    buffer.push({ message: sequenced, targetRole, targetUserId })
+    await this.state.storage.put({
+      [SEQUENCE_KEY]: seq,
+      [RING_BUFFER_KEY]: buffer.slice(-RING_BUFFER_SIZE)
+    })
+    return sequenced
+  }
+
   // 同じクラスコードのクライアントにブロードキャスト
-  broadcast(message: any, classCode: string, targetRole?: string) {
+  broadcast(message: RealtimeMessage, classCode: string, targetRole?: string, targetUserId?: number) {
     const messageStr = JSON.stringify(message)
-    
-    for (const client of this.clients) {
-      if (client.classCode === classCode) {
-        // 特定の役割へのみ送信
-        if (targetRole && client.role !== targetRole) {
-          continue
-        }
-        
-        try {
-          client.ws.send(messageStr)
-        } catch (error) {
-          console.error('Broadcast error:', error)
-          this.clients.delete(client)
-        }
+
+    for (const ws of this.state.getWebSockets(classCode)) {
+      const client = ws.deserializeAttachment() as WebSocketClient
+      // 特定の役割へのみ送信
+      if (!canReceive(client, targetRole, targetUserId)) {
+        continue
+      }
+
+      try {
+        ws.send(messageStr)
+      } catch (error) {
+        console.error('Broadcast error:', error)
       }
     }
   }
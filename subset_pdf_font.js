@@ -0,0 +1,48 @@
+// PDF出力用フォントのサブセット作成スクリプト
+// 使い方: node subset_pdf_font.js <BIZUDPGothic-Regular.ttf のパス>
+// 元のフォントは https://github.com/googlefonts/morisawa-biz-ud-gothic から入手する
+// Workers ではリクエストのたびにフォントを読み込んでサブセット化するため、あらかじめ
+// JIS第1・第2水準の漢字とかな・記号（Shift_JIS で表せる文字）、ASCII、半角カナだけに絞っておく
+
+import { readFile, writeFile } from 'node:fs/promises'
+import subsetFont from 'subset-font'
+
+const OUTPUT = 'public/static/fonts/BIZUDPGothic-Regular-JIS.ttf'
+
+// Shift_JIS（Windows-31J）の2バイト文字をすべて書き出す（①〜⑳などの NEC 特殊文字を含む）
+function shiftJisCharacters() {
+  const decoder = new TextDecoder('shift_jis', { fatal: true })
+  const characters = new Set()
+  for (let lead = 0x81; lead <= 0xfc; lead++) {
+    if (lead >= 0xa0 && lead <= 0xdf) continue
+    for (let trail = 0x40; trail <= 0xfc; trail++) {
+      if (trail === 0x7f) continue
+      try {
+        characters.add(decoder.decode(new Uint8Array([lead, trail])))
+      } catch {
+        // 割り当てのない符号
+      }
+    }
+  }
+  return characters
+}
+
+const source = process.argv[2]
+if (!source) {
+  console.error('使い方: node subset_pdf_font.js <BIZUDPGothic-Regular.ttf のパス>')
+  process.exit(1)
+}
+
+const characters = shiftJisCharacters()
+for (let code = 0x20; code <= 0x7e; code++) characters.add(String.fromCharCode(code))
+for (let code = 0xff61; code <= 0xff9f; code++) characters.add(String.fromCharCode(code))
+// JIS の文字に対応づけが2通りある記号（〜 と ～、‖ と ∥ など）は両方入れる
+for (const character of '〜‖−¢£¬') characters.add(character)
+
+const subset = await subsetFont(await readFile(source), [...characters].join(''), {
+  targetFormat: 'truetype',
+  noHinting: true,         // PDF ビューアーはヒントを使わずに描く
+  noLayoutClosure: true    // 縦書き用などの置き換え先の字形は入れない
+})
+await writeFile(OUTPUT, subset)
+console.log(`${characters.size}文字 → ${OUTPUT}（${Math.round(subset.length / 1024)} KB）`)
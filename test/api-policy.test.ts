@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest'
+import { compileRoutePatterns, matchApiPolicy, matchRoutePattern } from '../src/api-policy'
+
+describe('matchApiPolicy', () => {
+  it('ログインなどの公開APIは public のルールに一致する', () => {
+    expect(matchApiPolicy('POST', '/api/auth/login')?.policy.public).toBe(true)
+    expect(matchApiPolicy('GET', '/api/auth/picture-login/3-1')?.policy.public).toBe(true)
+  })
+
+  it('どのルールにも一致しないAPIは null（拒否）', () => {
+    expect(matchApiPolicy('GET', '/api/unknown-endpoint')).toBeNull()
+  })
+
+  it('上から順に評価し、最初に一致したルールを使う', () => {
+    expect(matchApiPolicy('GET', '/api/curriculum/5/export')?.policy).toMatchObject({ resource: 'curriculum', action: 'update' })
+    expect(matchApiPolicy('GET', '/api/curriculum/5')?.policy).toMatchObject({ resource: 'curriculum', action: 'read' })
+    expect(matchApiPolicy('DELETE', '/api/curriculum/5')?.policy).toMatchObject({ resource: 'curriculum', action: 'delete' })
+    expect(matchApiPolicy('PUT', '/api/curriculum/5')?.policy).toMatchObject({ resource: 'curriculum', action: 'update' })
+  })
+
+  it('パスパラメータを取り出す（アクセス範囲の検証に使う）', () => {
+    expect(matchApiPolicy('GET', '/api/progress/curriculum/7/class/3-1')?.params).toEqual({ curriculumId: '7', classCode: '3-1' })
+    expect(matchApiPolicy('GET', '/api/progress/events/42')?.params).toEqual({ studentId: '42' })
+  })
+
+  it('パスパラメータは URL デコードする', () => {
+    expect(matchApiPolicy('GET', '/api/progress/class/%E4%B8%89%E5%B9%B4')?.params).toEqual({ classCode: '三年' })
+  })
+
+  it('壊れたエスケープを含むパスは例外にせず、一致なしとして扱う', () => {
+    expect(matchApiPolicy('GET', '/api/progress/events/%E0')).toBeNull()
+  })
+})
+
+describe('matchRoutePattern', () => {
+  const compiled = compileRoutePatterns([
+    { method: 'GET', path: '/api/items/:id' },
+    { method: '*', path: '/api/items/*' }
+  ])
+
+  it('パラメータは1つのパス区切りの中だけに一致する', () => {
+    expect(matchRoutePattern(compiled, 'GET', '/api/items/1')?.route.path).toBe('/api/items/:id')
+    expect(matchRoutePattern(compiled, 'GET', '/api/items/1/history')?.route.path).toBe('/api/items/*')
+  })
+
+  it("method が '*' のルールはどのメソッドにも一致する", () => {
+    expect(matchRoutePattern(compiled, 'POST', '/api/items/1')?.route.path).toBe('/api/items/*')
+  })
+
+  it("末尾の '/*' は区切りの後に1文字以上必要", () => {
+    expect(matchRoutePattern(compiled, 'POST', '/api/items')).toBeNull()
+    expect(matchRoutePattern(compiled, 'POST', '/api/items/')).toBeNull()
+  })
+})
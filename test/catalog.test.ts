@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest'
+import { normalizeTags, parseCatalogQuery, searchCurriculumCatalog, TAGS_PER_CURRICULUM } from '../src/catalog'
+
+describe('parseCatalogQuery', () => {
+  it('キーワードを全角・半角の空白で分け、重複を除いて5語までにする', () => {
+    expect(parseCatalogQuery({ q: ' わり算　あまり わり算 ' }).keywords).toEqual(['わり算', 'あまり'])
+    expect(parseCatalogQuery({ q: 'a b c d e f' }).keywords).toEqual(['a', 'b', 'c', 'd', 'e'])
+  })
+
+  it('不正な値は指定なしとして扱う', () => {
+    expect(parseCatalogQuery({ grade: '  ', author_id: 'x', page: '0', per_page: '-1' })).toEqual({
+      keywords: [], grade: null, subject: null, textbook_company: null, author_id: null, tag: null, page: 1, per_page: 20
+    })
+  })
+
+  it('1ページの件数は50件までにする', () => {
+    expect(parseCatalogQuery({ page: '3', per_page: '500', author_id: '7', subject: ' 算数 ' }))
+      .toMatchObject({ page: 3, per_page: 50, author_id: 7, subject: '算数' })
+  })
+})
+
+describe('normalizeTags', () => {
+  it('前後の空白と先頭の # を除き、重複・空・長すぎるタグを落とす', () => {
+    expect(normalizeTags([' #図形 ', '＃図形', '', '##', 'あ'.repeat(21), 3, '協働'])).toEqual(['図形', '協働'])
+  })
+
+  it('単元ごとのタグの数をそろえ、配列でなければ null', () => {
+    expect(normalizeTags(Array.from({ length: 15 }, (_, index) => `タグ${index}`))).toHaveLength(TAGS_PER_CURRICULUM)
+    expect(normalizeTags('図形')).toBeNull()
+  })
+})
+
+// 発行された SQL とバインド値を記録する D1 の代わり
+// 件数・一覧・タグ・カード枚数・一致したカードを、SQL の中身で見分けて返す
+function catalogDb(units: any[], matchedCards: any[] = []) {
+  const statements: { sql: string; values: unknown[] }[] = []
+  const resultsFor = (sql: string) =>
+    sql.includes('FROM curriculum_tags WHERE curriculum_id IN') ? [{ curriculum_id: units[0]?.id, tag: '図形' }]
+    : sql.includes('COUNT(lc.id) AS card_count') ? [{ curriculum_id: units[0]?.id, card_count: 12 }]
+    : sql.includes('AS excerpt') ? matchedCards
+    : units
+  const db = {
+    prepare: (sql: string) => ({
+      bind: (...values: unknown[]) => {
+        const statement = { sql: sql.replace(/\s+/g, ' ').trim(), values }
+        statements.push(statement)
+        return {
+          ...statement,
+          first: async () => ({ count: 45 }),
+          all: async () => ({ results: units })
+        }
+      }
+    }),
+    batch: async (batch: { sql: string }[]) => batch.map(statement => ({ results: resultsFor(statement.sql) }))
+  } as unknown as D1Database
+  return { db, statements }
+}
+
+describe('searchCurriculumCatalog', () => {
+  it('ページに分けて返し、タグとカード枚数を単元に付ける', async () => {
+    const { db, statements } = catalogDb([{ id: 1, unit_name: 'わり算' }, { id: 2, unit_name: '角の大きさ' }])
+    const result = await searchCurriculumCatalog(db, parseCatalogQuery({ page: '3', per_page: '20', grade: '4' }))
+
+    expect(result.pagination).toEqual({ page: 3, per_page: 20, total: 45, total_pages: 3 })
+    expect(statements[1].values).toEqual(['4', 20, 40])
+    expect(result.units[0]).toMatchObject({ tags: ['図形'], card_count: 12, matched_cards: [] })
+    expect(result.units[1]).toMatchObject({ tags: [], card_count: 0 })
+  })
+
+  it('キーワードの % と _ はエスケープして LIKE に渡す', async () => {
+    const { db, statements } = catalogDb([])
+    await searchCurriculumCatalog(db, parseCatalogQuery({ q: '5%_' }))
+    expect(statements[0].values.slice(0, 5)).toEqual(Array(5).fill('%5\\%\\_%'))
+  })
+
+  it('3文字以上の語は全文検索、2文字以下の語は LIKE で学習カードを探す', async () => {
+    const { db, statements } = catalogDb([])
+    await searchCurriculumCatalog(db, parseCatalogQuery({ q: 'わり算 "図形" 商' }))
+    const count = statements[0]
+
+    expect(count.sql.match(/learning_cards_fts MATCH \?/g)).toHaveLength(2)
+    expect(count.values).toContain('"わり算"')
+    expect(count.values).toContain('"""図形"""')
+    expect(count.values.filter(value => value === '%商%')).toHaveLength(8)
+  })
+
+  it('一致した学習カードは単元ごとに3枚まで、重複を除いて返す', async () => {
+    const card = (id: number) => ({ curriculum_id: 1, id, card_number: id, card_title: `カード${id}`, course_level: 'basic', excerpt: null })
+    const { db } = catalogDb([{ id: 1, unit_name: 'わり算' }], [card(1), card(1), card(2), card(3), card(4)])
+    const result = await searchCurriculumCatalog(db, parseCatalogQuery({ q: 'わり算' }))
+
+    expect(result.units[0].matched_cards.map((found: any) => found.id)).toEqual([1, 2, 3])
+    expect(result.units[0].matched_cards[0]).not.toHaveProperty('curriculum_id')
+  })
+})
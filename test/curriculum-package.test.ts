@@ -0,0 +1,154 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildCurriculumImportStatements,
+  exportCurriculumPackage,
+  validateCurriculumPackage,
+  CURRICULUM_PACKAGE_FORMAT,
+  CURRICULUM_PACKAGE_VERSION,
+  PACKAGE_IMAGE_PREFIX,
+  type CurriculumPackage
+} from '../src/curriculum-package'
+
+// パッケージ内の ID は書き出し元のもの（取り込み先では振り直す）
+function samplePackage(): CurriculumPackage {
+  return {
+    format: CURRICULUM_PACKAGE_FORMAT,
+    schema_version: CURRICULUM_PACKAGE_VERSION,
+    exported_at: '2026-04-01T00:00:00.000Z',
+    source: { curriculum_id: 9, unit_name: 'わり算' },
+    curriculum: { grade: 3, subject: '算数', textbook_company: '東京書籍', unit_name: 'わり算', unit_order: 4, total_hours: 10 },
+    courses: [
+      { id: 21, course_level: 'basic', course_display_name: 'じっくり', selection_question_title: '問', selection_question_content: '内容' },
+      { id: 22, course_level: 'advanced', course_display_name: 'はってん', selection_question_title: '問', selection_question_content: '内容' }
+    ],
+    learning_cards: [
+      { id: 301, course_id: 21, card_number: 1, card_title: '分けてみよう', card_type: 'main', problem_image_url: `${PACKAGE_IMAGE_PREFIX}img-1` },
+      { id: 302, course_id: 22, card_number: 1, card_title: 'くふうしよう', card_type: 'main' }
+    ],
+    hint_cards: [
+      { learning_card_id: 301, hint_number: 1, hint_content: '図にかこう' },
+      { learning_card_id: 302, hint_number: 1, hint_content: '九九を使おう' }
+    ],
+    answers: [
+      { learning_card_id: 302, answer_content: '6こ' },
+      { optional_problem_id: 41, answer_content: '8' }
+    ],
+    optional_problems: [
+      { id: 41, problem_number: 1, problem_title: 'チャレンジ', problem_description: '説明', problem_content: '48÷6' }
+    ],
+    curriculum_metadata: [{ metadata_key: 'check_test', metadata_value: '{}' }],
+    images: [{ ref: 'img-1', source_url: null, content_type: 'image/png', data: 'iVBORw0KGgo=' }]
+  }
+}
+
+// 文と bind した値を記録するだけの D1 の代わり
+function recordingDb() {
+  return {
+    prepare(sql: string) {
+      return {
+        bind: (...values: unknown[]) => ({ sql: sql.replace(/\s+/g, ' ').trim(), values })
+      }
+    }
+  } as unknown as D1Database
+}
+
+describe('validateCurriculumPackage', () => {
+  it('正しいパッケージはエラーなしで件数を返す', () => {
+    const { errors, summary } = validateCurriculumPackage(samplePackage())
+    expect(errors).toEqual([])
+    expect(summary).toEqual({ courses: 2, learning_cards: 2, hint_cards: 2, answers: 2, optional_problems: 1, metadata: 1, images: 1 })
+  })
+
+  it('形式のちがうファイルと新しい版は中身を見ずに断る', () => {
+    expect(validateCurriculumPackage({ format: 'other' }).summary).toBeNull()
+    const newer = validateCurriculumPackage({ ...samplePackage(), schema_version: CURRICULUM_PACKAGE_VERSION + 1 })
+    expect(newer.summary).toBeNull()
+    expect(newer.errors[0]).toContain('新しい版')
+  })
+
+  it('パッケージにない親を指す行と重複した ID を報告する', () => {
+    const pkg = samplePackage()
+    pkg.learning_cards[1].course_id = 99
+    pkg.hint_cards[0].learning_card_id = 999
+    pkg.courses[1].id = 21
+    const { errors } = validateCurriculumPackage(pkg)
+    expect(errors).toContain('コース2: id がないか重複しています')
+    expect(errors).toContain('学習カード2（くふうしよう）: コース 99 がパッケージにありません')
+    expect(errors).toContain('ヒントカード1: 学習カード 999 がパッケージにありません')
+  })
+
+  it('解答はカードか選択問題のどちらか一方だけを指す', () => {
+    const pkg = samplePackage()
+    pkg.answers[0].optional_problem_id = 41
+    expect(validateCurriculumPackage(pkg).errors).toContain('解答1: learning_card_id と optional_problem_id のどちらか一方を指定してください')
+  })
+
+  it('パッケージにない画像の参照を報告する', () => {
+    const pkg = samplePackage()
+    pkg.images = []
+    expect(validateCurriculumPackage(pkg).errors).toContain(`学習カード1（分けてみよう）: 画像 ${PACKAGE_IMAGE_PREFIX}img-1 がパッケージにありません`)
+  })
+})
+
+describe('buildCurriculumImportStatements', () => {
+  const build = () => buildCurriculumImportStatements(recordingDb(), samplePackage(), 'わり算（コピー）', 7) as unknown as { sql: string; values: unknown[] }[]
+
+  it('最初の文で単元を作り、新しい id を返す', () => {
+    const [first] = build()
+    expect(first.sql).toMatch(/^INSERT INTO curriculum .* RETURNING id$/)
+    expect(first.values).toContain('わり算（コピー）')
+    expect(first.values).toContain(7)
+  })
+
+  it('書き出し元の ID は使わず、親の直後に子を並べて MAX(id) で新しい親を引く', () => {
+    const statements = build()
+    const tables = statements.map(statement => statement.sql.match(/^INSERT INTO (\w+)/)![1])
+    expect(tables).toEqual([
+      'curriculum',
+      'optional_problems', 'answers',
+      'curriculum_metadata',
+      'courses', 'learning_cards', 'hint_cards',
+      'courses', 'learning_cards', 'hint_cards', 'answers'
+    ])
+
+    for (const statement of statements) {
+      expect(statement.sql).not.toMatch(/\bid,/)
+      for (const sourceId of [9, 21, 22, 301, 302, 41]) {
+        expect(statement.values).not.toContain(sourceId)
+      }
+    }
+    expect(statements[2].sql).toContain('(SELECT MAX(id) FROM optional_problems)')
+    expect(statements[5].sql).toContain('(SELECT MAX(id) FROM courses)')
+    expect(statements[6].sql).toContain('(SELECT MAX(id) FROM learning_cards)')
+    expect(statements[10].values).toEqual(['6こ', null])
+  })
+
+  it('パッケージ内の画像の参照を data URL に置き換える', () => {
+    const card = build()[5]
+    expect(card.values).toContain('data:image/png;base64,iVBORw0KGgo=')
+  })
+})
+
+describe('exportCurriculumPackage', () => {
+  // 単元1つとカード1枚を返す D1 の代わり（batch は exportCurriculumPackage の問い合わせの順に結果を返す）
+  function exportDb(imageUrls: string[]) {
+    const cards = imageUrls.map((url, index) => ({ id: index + 1, course_id: 1, card_number: index + 1, card_title: `カード${index + 1}`, card_type: 'main', problem_image_url: url }))
+    return {
+      prepare: () => ({ bind: () => ({ first: async () => ({ id: 1, unit_name: 'わり算' }) }) }),
+      batch: async () => [[{ id: 1, course_level: 'basic' }], cards, [], [], [], [], []].map(results => ({ results }))
+    } as unknown as D1Database
+  }
+
+  it('同じサーバーのパスだけを読み込み、ほかのホストを指すパスは読まない', async () => {
+    const requested: string[] = []
+    const loadImage = async (url: string) => {
+      requested.push(url)
+      return { content_type: 'image/png', data: new Uint8Array([1, 2, 3]).buffer }
+    }
+    const pkg = await exportCurriculumPackage(exportDb(['/static/a.png', '//other-host/x.png', '/\\other-host/y.png']), 1, loadImage)
+
+    expect(requested).toEqual(['/static/a.png'])
+    expect(pkg!.learning_cards.map(card => card.problem_image_url)).toEqual([`${PACKAGE_IMAGE_PREFIX}img1`, '//other-host/x.png', '/\\other-host/y.png'])
+    expect(pkg!.images).toHaveLength(1)
+  })
+})
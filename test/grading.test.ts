@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { gradeAnswer, inferAnswerType, normalizeAnswer } from '../src/grading'
+
+describe('normalizeAnswer', () => {
+  it('全角半角・カタカナ・空白・末尾の句点の違いをなくす', () => {
+    expect(normalizeAnswer('　ＡＢＣ　アイ。')).toBe('abcあい')
+  })
+})
+
+describe('inferAnswerType', () => {
+  it('answer_type を優先し、なければ選択肢と答えから判定する', () => {
+    expect(inferAnswerType({ problem_number: 1, answer: '6', answer_type: 'text' })).toBe('text')
+    expect(inferAnswerType({ problem_number: 1, answer: 'ア', choices: ['3', '4'] })).toBe('choice')
+    expect(inferAnswerType({ problem_number: 1, answer: '6こ' })).toBe('numeric')
+    expect(inferAnswerType({ problem_number: 1, answer: 'へいこう' })).toBe('text')
+  })
+})
+
+describe('gradeAnswer: numeric', () => {
+  const problem = { problem_number: 1, answer: '6こ' }
+
+  it('同じ意味の助数詞を同じ単位とみなす', () => {
+    expect(gradeAnswer(problem, '6個')).toEqual({ correct: true, answerType: 'numeric' })
+    expect(gradeAnswer({ problem_number: 1, answer: '3本' }, '3ぼん').correct).toBe(true)
+    expect(gradeAnswer({ problem_number: 1, answer: '2匹' }, '2ひき').correct).toBe(true)
+  })
+
+  it('式と「答え」のついた書き方から答えを取り出す', () => {
+    expect(gradeAnswer(problem, '24÷4=6 答え6こ').correct).toBe(true)
+  })
+
+  it('単位がなければ正解にして missingUnit を返し、ちがう単位は不正解にする', () => {
+    expect(gradeAnswer(problem, '6')).toEqual({ correct: true, answerType: 'numeric', missingUnit: true })
+    expect(gradeAnswer(problem, '6本').correct).toBe(false)
+    expect(gradeAnswer(problem, '7こ').correct).toBe(false)
+  })
+
+  it('分数・帯分数・小数・あまりを値で比べる', () => {
+    expect(gradeAnswer({ problem_number: 1, answer: '3/4' }, '4分の3').correct).toBe(true)
+    expect(gradeAnswer({ problem_number: 1, answer: '1と3/4' }, '1.75').correct).toBe(true)
+    expect(gradeAnswer({ problem_number: 1, answer: '7あまり2' }, '7あまり2').correct).toBe(true)
+    expect(gradeAnswer({ problem_number: 1, answer: '7あまり2' }, '7あまり1').correct).toBe(false)
+  })
+
+  it('tolerance の範囲の誤差を正解にする', () => {
+    expect(gradeAnswer({ problem_number: 1, answer: '3.14', tolerance: 0.01 }, '3.15').correct).toBe(true)
+    expect(gradeAnswer({ problem_number: 1, answer: '3.14', tolerance: 0.01 }, '3.2').correct).toBe(false)
+  })
+})
+
+describe('gradeAnswer: choice', () => {
+  const problem = { problem_number: 2, answer: 'イ', choices: ['三角形', '四角形', '五角形'] }
+
+  it('記号・番号・選択肢の文のどれで答えても同じ選択肢として採点する', () => {
+    expect(gradeAnswer(problem, 'い').correct).toBe(true)
+    expect(gradeAnswer(problem, '2').correct).toBe(true)
+    expect(gradeAnswer(problem, '四角形').correct).toBe(true)
+    expect(gradeAnswer(problem, 'ア').correct).toBe(false)
+  })
+})
+
+describe('gradeAnswer: text', () => {
+  it('accepted_answers の別の書き方も正解にする', () => {
+    const problem = { problem_number: 3, answer: 'へいこう', accepted_answers: ['平行'] }
+    expect(gradeAnswer(problem, 'ヘイコウ').correct).toBe(true)
+    expect(gradeAnswer(problem, '平行').correct).toBe(true)
+    expect(gradeAnswer(problem, 'すいちょく').correct).toBe(false)
+  })
+
+  it('空の答えは不正解', () => {
+    expect(gradeAnswer({ problem_number: 3, answer: 'へいこう' }, '  ').correct).toBe(false)
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest'
+import { guardianComments, readGuardianShareFlags } from '../src/guardian'
+import { matchApiPolicy } from '../src/api-policy'
+
+describe('readGuardianShareFlags', () => {
+  it('指定がなければ進捗とバッジだけを共有する', () => {
+    expect(readGuardianShareFlags({})).toEqual({ share_progress: 1, share_badges: 1, share_reflections: 0, share_comments: 0 })
+  })
+
+  it('指定のないものは現在の設定を引き継ぎ、指定したものは 0/1 にする', () => {
+    const current = { share_progress: 0, share_badges: 1, share_reflections: 1, share_comments: 0 }
+    expect(readGuardianShareFlags({ share_comments: true, share_badges: '' }, current))
+      .toEqual({ share_progress: 0, share_badges: 0, share_reflections: 1, share_comments: 1 })
+  })
+})
+
+describe('guardianComments', () => {
+  it('コメントの書かれた項目だけを返し、段階の数値は含めない', () => {
+    const comments = guardianComments([
+      {
+        curriculum_id: 3, grade: 3, subject: '算数', unit_name: 'わり算', created_at: '2026-05-01 10:00:00',
+        motivation: 4, motivation_comment: '最後まで考えぬきました', curiosity: 3, curiosity_comment: ''
+      },
+      { curriculum_id: 4, grade: 3, subject: '算数', unit_name: 'かけ算', created_at: '2026-04-01 10:00:00', motivation: 2 }
+    ])
+    expect(comments).toEqual([{
+      curriculum_id: 3, grade: 3, subject: '算数', unit_name: 'わり算', evaluated_at: '2026-05-01 10:00:00',
+      items: [{ item: 'motivation', label: '意欲・粘り強さ', comment: '最後まで考えぬきました' }]
+    }])
+  })
+})
+
+describe('保護者ポータルのアクセスポリシー', () => {
+  it('閲覧APIは guardian の read 権限で、児童IDの範囲も検証する', () => {
+    const matched = matchApiPolicy('GET', '/api/guardian/students/12/progress')
+    expect(matched?.policy).toMatchObject({ resource: 'guardian', action: 'read' })
+    expect(matched?.params).toEqual({ studentId: '12' })
+  })
+
+  it('紐づけの作成・変更・解除は guardian の manage 権限が必要', () => {
+    expect(matchApiPolicy('POST', '/api/guardian-links')?.policy).toMatchObject({ resource: 'guardian', action: 'manage' })
+    expect(matchApiPolicy('DELETE', '/api/guardian-links/5')?.policy).toMatchObject({ resource: 'guardian', action: 'manage' })
+  })
+
+  it('保護者ポータルに書き込みAPIはない', () => {
+    expect(matchApiPolicy('POST', '/api/guardian/students/12/progress')).toBeNull()
+  })
+})
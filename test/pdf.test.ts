@@ -0,0 +1,49 @@
+import { readFile } from 'node:fs/promises'
+import { describe, expect, it } from 'vitest'
+import { parseFurigana, PdfBuilder, PDF_FONT_PATH } from '../src/pdf'
+
+describe('parseFurigana', () => {
+  it('｜と《》で範囲を指定したふりがな', () => {
+    expect(parseFurigana('｜正方形《せいほうけい》の面積')).toEqual([
+      { text: '正方形', ruby: 'せいほうけい' },
+      { text: 'の面積' }
+    ])
+  })
+
+  it('漢字《よみ》は直前に続く漢字すべてに振る', () => {
+    expect(parseFurigana('計算《けいさん》しよう')).toEqual([
+      { text: '計算', ruby: 'けいさん' },
+      { text: 'しよう' }
+    ])
+  })
+
+  it('漢字（ひらがな）は短い漢字の読みとしてルビにする', () => {
+    expect(parseFurigana('面積（めんせき）を求める')).toEqual([
+      { text: '面積', ruby: 'めんせき' },
+      { text: 'を求める' }
+    ])
+  })
+
+  it('読みとして長すぎる括弧の補足はそのまま組む', () => {
+    expect(parseFurigana('問題（やってみよう）')).toEqual([{ text: '問題（やってみよう）' }])
+  })
+
+  it('前に漢字が続くときは括弧の読みをルビにしない', () => {
+    expect(parseFurigana('正方形面積（めんせき）')).toEqual([{ text: '正方形面積（めんせき）' }])
+  })
+})
+
+describe('PdfBuilder', () => {
+  it('絞ったフォントで、ふりがなつきの日本語のPDFを続けて作れる', async () => {
+    const file = await readFile(`public${PDF_FONT_PATH}`)
+    const fontBytes = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength)
+
+    for (const title of ['1回目', '2回目']) {
+      const pdf = await PdfBuilder.create(fontBytes, title)
+      pdf.heading('わり算①')
+      pdf.paragraph('｜正方形《せいほうけい》の面積（めんせき）を求めよう。')
+      const bytes = await pdf.save()
+      expect(new TextDecoder().decode(bytes.slice(0, 5))).toBe('%PDF-')
+    }
+  })
+})
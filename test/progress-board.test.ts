@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import { applyProgressBoardTimings, orderHelpQueue } from '../src/progress-board'
+
+const now = Date.parse('2026-10-19T03:00:00Z')
+
+// now から minutes 分前の D1 形式の日時
+const ago = (minutes: number) => new Date(now - minutes * 60000).toISOString().slice(0, 19).replace('T', ' ')
+
+describe('applyProgressBoardTimings', () => {
+  it('完了・未着手のカードは優先度 0 で、時間も数えない', () => {
+    const row = applyProgressBoardTimings({ status: 'completed', understanding_level: 1, last_activity_at: ago(60) }, now)
+    expect(row).toMatchObject({ intervention_priority: 0, stagnant_minutes: 0, help_waiting_minutes: 0 })
+    expect(applyProgressBoardTimings({ status: 'not_started' }, now).intervention_priority).toBe(0)
+  })
+
+  it('ヘルプ待ちは待ち時間を足して最優先にする', () => {
+    const row = applyProgressBoardTimings({
+      status: 'help_needed', understanding_level: 4, help_requested_at: ago(7), last_activity_at: ago(7)
+    }, now)
+    expect(row.intervention_priority).toBe(107)
+    expect(row.help_waiting_minutes).toBe(7)
+  })
+
+  it('解決済みのヘルプは待ちに数えない', () => {
+    const row = applyProgressBoardTimings({
+      status: 'in_progress', understanding_level: 4, help_requested_at: ago(20), help_resolved_at: ago(5), last_activity_at: ago(5)
+    }, now)
+    expect(row.intervention_priority).toBe(20)
+  })
+
+  it('理解度は1〜5の段階で判定する', () => {
+    const timings = (level: number | null, stagnant: number) => applyProgressBoardTimings({
+      status: 'in_progress', understanding_level: level, last_activity_at: ago(stagnant)
+    }, now).intervention_priority
+
+    expect(timings(1, 11)).toBe(91)
+    expect(timings(1, 10)).toBe(50)
+    expect(timings(2, 11)).toBe(45)
+    expect(timings(3, 11)).toBe(20)
+    expect(timings(5, 31)).toBe(91)
+    expect(timings(null, 5)).toBe(20)
+  })
+})
+
+describe('orderHelpQueue', () => {
+  const request = (id: number, requestedMinutes: number, progress: Record<string, any>) => ({
+    id,
+    requested_at: ago(requestedMinutes),
+    progress_status: 'help_needed',
+    understanding_level: 3,
+    help_requested_at: ago(requestedMinutes),
+    help_resolved_at: null,
+    last_activity_at: ago(requestedMinutes),
+    ...progress
+  })
+
+  it('指導介入優先度の高い順、同じなら長く待っている順に並べる', () => {
+    const queue = orderHelpQueue([
+      request(1, 3, {}),
+      request(2, 12, {}),
+      // 先生が対応してヘルプが解決済みになった行（理解度1で長く止まっている）
+      request(3, 40, { progress_status: 'in_progress', understanding_level: 1, help_resolved_at: ago(15), last_activity_at: ago(15) }),
+      // 同じ優先度（105）で、要請の受付がより前
+      request(4, 20, { help_requested_at: ago(5) }),
+      request(5, 5, {})
+    ], now)
+
+    expect(queue.map(item => item.id)).toEqual([2, 4, 5, 1, 3])
+    expect(queue.map(item => item.intervention_priority)).toEqual([112, 105, 105, 103, 95])
+    expect(queue[1].wait_minutes).toBe(20)
+  })
+
+  it('元の要請の項目はそのまま残す', () => {
+    const [item] = orderHelpQueue([{ ...request(9, 2, {}), student_name: 'さくら' }], now)
+    expect(item).toMatchObject({ id: 9, student_name: 'さくら', wait_minutes: 2, intervention_priority: 102 })
+  })
+})
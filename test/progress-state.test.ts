@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest'
+import { canTransition, isProgressStatus, progressEventType } from '../src/progress-state'
+
+describe('isProgressStatus', () => {
+  it('定義された状態だけを受け付ける', () => {
+    expect(isProgressStatus('help_needed')).toBe(true)
+    expect(isProgressStatus('done')).toBe(false)
+    expect(isProgressStatus(null)).toBe(false)
+  })
+})
+
+describe('canTransition', () => {
+  it('行がないときは not_started と同じ扱いにする', () => {
+    expect(canTransition(null, 'in_progress')).toBe(true)
+    expect(canTransition(null, 'completed')).toBe(true)
+  })
+
+  it('ヘルプ要請中から取り組み中に戻れる', () => {
+    expect(canTransition('help_needed', 'in_progress')).toBe(true)
+  })
+
+  it('取り組みを始めたら not_started には戻れない', () => {
+    expect(canTransition('in_progress', 'not_started')).toBe(false)
+    expect(canTransition('help_needed', 'not_started')).toBe(false)
+  })
+
+  it('completed は終端で、同じ状態の更新だけ受け付ける', () => {
+    expect(canTransition('completed', 'completed')).toBe(true)
+    expect(canTransition('completed', 'in_progress')).toBe(false)
+    expect(canTransition('completed', 'help_needed')).toBe(false)
+  })
+})
+
+describe('progressEventType', () => {
+  it('遷移先と遷移元からイベントの種類を決める', () => {
+    expect(progressEventType(null, 'in_progress')).toBe('started')
+    expect(progressEventType('not_started', 'in_progress')).toBe('started')
+    expect(progressEventType('in_progress', 'help_needed')).toBe('help_requested')
+    expect(progressEventType('help_needed', 'in_progress')).toBe('help_resolved')
+    expect(progressEventType('help_needed', 'completed')).toBe('completed')
+  })
+
+  it('状態が変わらないときは updated', () => {
+    expect(progressEventType('completed', 'completed')).toBe('updated')
+    expect(progressEventType('in_progress', 'in_progress')).toBe('updated')
+  })
+})
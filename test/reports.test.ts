@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest'
+import { buildClassReport, buildStudentDigest, parseReportDate, previousPeriod, resolveReportPeriod, todayInJapan, weekPeriod } from '../src/reports'
+
+describe('parseReportDate', () => {
+  it('YYYY-MM-DD の実在する日付だけを受け付ける', () => {
+    expect(parseReportDate('2026-02-28')?.toISOString()).toBe('2026-02-28T00:00:00.000Z')
+    expect(parseReportDate('2026-02-30')).toBeNull()
+    expect(parseReportDate('2026-2-1')).toBeNull()
+    expect(parseReportDate(undefined)).toBeNull()
+  })
+})
+
+describe('todayInJapan', () => {
+  it('UTC の15時以降は日本時間の翌日にする', () => {
+    expect(todayInJapan(new Date('2026-10-18T14:59:00Z')).toISOString().slice(0, 10)).toBe('2026-10-18')
+    expect(todayInJapan(new Date('2026-10-18T15:00:00Z')).toISOString().slice(0, 10)).toBe('2026-10-19')
+  })
+})
+
+describe('resolveReportPeriod', () => {
+  const now = new Date('2026-10-21T03:00:00Z') // 水曜日
+
+  it('週次は指定がなければ今週の月曜〜日曜', () => {
+    expect(resolveReportPeriod('weekly', {}, now)).toEqual({ period: { kind: 'weekly', start: '2026-10-19', end: '2026-10-25' } })
+  })
+
+  it('date を含む週にする（日曜はその前の月曜から）', () => {
+    expect(resolveReportPeriod('weekly', { date: '2026-11-01' }, now).period).toMatchObject({ start: '2026-10-26', end: '2026-11-01' })
+    expect(resolveReportPeriod('weekly', { date: '2026-11-31' }, now).error).toBeDefined()
+  })
+
+  it('startDate と endDate で任意の期間を指定できる', () => {
+    expect(resolveReportPeriod('weekly', { startDate: '2026-10-01', endDate: '2026-10-10' }, now).period)
+      .toEqual({ kind: 'weekly', start: '2026-10-01', end: '2026-10-10' })
+    expect(resolveReportPeriod('weekly', { startDate: '2026-10-10', endDate: '2026-10-01' }, now).error).toBeDefined()
+    expect(resolveReportPeriod('weekly', { startDate: '2026-10-01' }, now).error).toBeDefined()
+  })
+
+  it('任意の期間は366日以内にする', () => {
+    expect(resolveReportPeriod('weekly', { startDate: '2025-10-01', endDate: '2026-09-30' }, now).period).toBeDefined()
+    expect(resolveReportPeriod('weekly', { startDate: '2025-10-01', endDate: '2026-10-02' }, now).error).toBeDefined()
+  })
+
+  it('月次は指定がなければ今月で、うるう年の2月末まで含める', () => {
+    expect(resolveReportPeriod('monthly', {}, now).period).toMatchObject({ start: '2026-10-01', end: '2026-10-31', year: 2026, month: 10 })
+    expect(resolveReportPeriod('monthly', { year: '2028', month: '2' }, now).period).toMatchObject({ start: '2028-02-01', end: '2028-02-29' })
+    expect(resolveReportPeriod('monthly', { year: '2026', month: '13' }, now).error).toBeDefined()
+  })
+})
+
+describe('previousPeriod', () => {
+  it('週次は前の週、任意の期間は同じ日数だけ前', () => {
+    expect(previousPeriod(weekPeriod(parseReportDate('2026-10-21')!))).toEqual({ kind: 'weekly', start: '2026-10-12', end: '2026-10-18' })
+    expect(previousPeriod({ kind: 'weekly', start: '2026-10-01', end: '2026-10-10' })).toEqual({ kind: 'weekly', start: '2026-09-21', end: '2026-09-30' })
+  })
+
+  it('月次は前の月（1月は前の年の12月）', () => {
+    const january = resolveReportPeriod('monthly', { year: '2026', month: '1' }).period!
+    expect(previousPeriod(january)).toMatchObject({ start: '2025-12-01', end: '2025-12-31', year: 2025, month: 12 })
+  })
+})
+
+// buildClassReport の問い合わせの順に結果を返す D1 の代わり
+// 児童別・完了・学習した児童・ヘルプ要請・ヘルプの種類・単元・コース・ヘルプ待ちの列、のあとに保護者向けのカード・バッジ
+function reportDb() {
+  const bound: unknown[][] = []
+  const classResults = [
+    [
+      { student_id: 1, student_name: 'あおい', completed_cards: 5, previous_completed_cards: 3 },
+      { student_id: 2, student_name: 'さくら', completed_cards: 1, previous_completed_cards: 4 }
+    ],
+    [{ bucket: 'current', completed_cards: 6, avg_understanding: 3.45 }, { bucket: 'previous', completed_cards: 7, avg_understanding: 4 }],
+    [{ bucket: 'current', active_students: 2 }],
+    [{ bucket: 'previous', help_requests: 3 }],
+    [{ bucket: 'current', help_type: 'friend', count: 2 }, { bucket: 'previous', help_type: 'ai', count: 1 }],
+    [{ curriculum_id: 10, unit_name: 'わり算' }],
+    [{ curriculum_id: 10, course_id: 100 }, { curriculum_id: 11, course_id: 110 }],
+    [{ total_requests: 0 }]
+  ]
+  const digestResults = [[{ learning_card_id: 7, card_title: 'あまりのあるわり算' }], [{ badge_name: 'はじめの一歩' }]]
+  let calls = 0
+  const db = {
+    prepare: () => ({
+      bind: (...values: unknown[]) => {
+        bound.push(values)
+        return {}
+      }
+    }),
+    batch: async () => (calls++ === 0 ? classResults : digestResults).map(results => ({ results }))
+  } as unknown as D1Database
+  return { db, bound }
+}
+
+describe('buildClassReport', () => {
+  const period = { kind: 'weekly' as const, start: '2026-10-19', end: '2026-10-25' }
+
+  it('今回・前回の期間とクラスコードを同じ順で渡す', async () => {
+    const { db, bound } = reportDb()
+    await buildClassReport(db, '4-1', period)
+    expect(bound).toHaveLength(8)
+    bound.forEach(values => expect(values).toEqual(['2026-10-19', '2026-10-25', '2026-10-12', '2026-10-18', '4-1']))
+  })
+
+  it('前の期間との増減を出し、ない値は 0 として数える', async () => {
+    const { db } = reportDb()
+    const report = await buildClassReport(db, '4-1', period)
+
+    expect(report.previous_period).toEqual({ kind: 'weekly', start: '2026-10-12', end: '2026-10-18' })
+    expect(report.summary.current).toEqual({ completed_cards: 6, avg_understanding: 3.5, active_students: 2, help_requests: 0 })
+    expect(report.summary.previous).toEqual({ completed_cards: 7, avg_understanding: 4, active_students: 0, help_requests: 3 })
+    expect(report.summary.delta).toEqual({ completed_cards: -1, avg_understanding: -0.5, active_students: 2, help_requests: -3 })
+    expect(report.students.map(student => student.completed_cards_delta)).toEqual([2, -3])
+  })
+
+  it('ヘルプの種類はすべての種類を並べ、単元にはそのコースだけを付ける', async () => {
+    const { db } = reportDb()
+    const report = await buildClassReport(db, '4-1', period)
+
+    expect(report.help_mix.current).toEqual({ ai: 0, teacher: 0, friend: 2, hint: 0 })
+    expect(report.help_mix.previous).toEqual({ ai: 1, teacher: 0, friend: 0, hint: 0 })
+    expect(report.units[0].courses.map((course: any) => course.course_id)).toEqual([100])
+  })
+})
+
+describe('buildStudentDigest', () => {
+  it('児童ひとり分の行だけを返し、クラス全体の集計は含めない', async () => {
+    const { db, bound } = reportDb()
+    const digest = await buildStudentDigest(db, '4-1', 2, { kind: 'weekly', start: '2026-10-19', end: '2026-10-25' })
+
+    expect(digest.student).toMatchObject({ student_id: 2, student_name: 'さくら' })
+    expect(digest.completed_cards).toEqual([{ learning_card_id: 7, card_title: 'あまりのあるわり算' }])
+    expect(digest.badges).toEqual([{ badge_name: 'はじめの一歩' }])
+    expect(digest).not.toHaveProperty('students')
+    expect(digest).not.toHaveProperty('summary')
+    expect(bound.slice(8)).toEqual([[2, '2026-10-19', '2026-10-25'], [2, '2026-10-19', '2026-10-25']])
+  })
+
+  it('クラスにいない児童は student を null にする', async () => {
+    const { db } = reportDb()
+    const digest = await buildStudentDigest(db, '4-1', 99, { kind: 'weekly', start: '2026-10-19', end: '2026-10-25' })
+    expect(digest.student).toBeNull()
+  })
+})
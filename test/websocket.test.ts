@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { canReceive, selectReplay, RING_BUFFER_SIZE, type BufferedMessage } from '../src/websocket'
+
+const teacher = { classCode: '3-1', userId: 1, role: 'teacher' }
+const student = { classCode: '3-1', userId: 10, role: 'student' }
+
+const entry = (seq: number, targetRole: string | null = null, targetUserId: number | null = null): BufferedMessage => ({
+  message: { id: seq * 100, seq, type: 'progress_update' },
+  targetRole,
+  targetUserId
+})
+
+describe('canReceive', () => {
+  it("targetRole = 'teacher' は児童に届けない", () => {
+    expect(canReceive(teacher, 'teacher')).toBe(true)
+    expect(canReceive(student, 'teacher')).toBe(false)
+  })
+
+  it('targetUserId はそのユーザーだけに届ける', () => {
+    expect(canReceive(student, null, 10)).toBe(true)
+    expect(canReceive(teacher, null, 10)).toBe(false)
+  })
+})
+
+describe('selectReplay', () => {
+  it('lastSeq より後のメッセージを seq の順に返す（保存の順が入れ替わっていても）', () => {
+    const buffer = [entry(1), entry(3), entry(2), entry(4)]
+    const { missed, complete } = selectReplay(buffer, 1, 4, teacher)
+    expect(missed.map(message => message.seq)).toEqual([2, 3, 4])
+    expect(complete).toBe(true)
+  })
+
+  it('受け取れないメッセージは再送しない', () => {
+    const buffer = [entry(1, 'teacher'), entry(2, null, 99), entry(3)]
+    expect(selectReplay(buffer, 0, 3, student).missed.map(message => message.seq)).toEqual([3])
+  })
+
+  it('追いついているときは何も返さず complete', () => {
+    expect(selectReplay([entry(1), entry(2)], 2, 2, teacher)).toEqual({ missed: [], complete: true })
+  })
+
+  it('一杯になったバッファより古い seq から再開したときは complete: false', () => {
+    const buffer = Array.from({ length: RING_BUFFER_SIZE }, (_, index) => entry(index + 51))
+    expect(selectReplay(buffer, 50, RING_BUFFER_SIZE + 50, teacher).complete).toBe(true)
+    expect(selectReplay(buffer, 40, RING_BUFFER_SIZE + 50, teacher).complete).toBe(false)
+  })
+
+  it('lastSeq が現在の seq より大きい（ストレージが初期化された）ときは complete: false', () => {
+    expect(selectReplay([entry(1)], 30, 1, teacher).complete).toBe(false)
+  })
+})
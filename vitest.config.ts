@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config'
+
+// 単体テストは DB や Workers のランタイムを使わない純粋な関数だけを対象にする
+// （vite.config.ts の Pages ビルド・開発サーバーのプラグインは読み込まない）
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.ts']
+  }
+})